@@ -295,6 +295,30 @@ const uploadPriceList = multer({
     }
 });
 
+// Price list upload for the parser registry: PDF, CSV or XLSX (10MB, memory storage)
+const PRICE_LIST_TYPES = {
+    pdf: ['application/pdf'],
+    csv: ['text/csv', 'text/plain', 'application/vnd.ms-excel'],
+    xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', 'application/zip', 'application/octet-stream']
+};
+const uploadPriceListFile = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024 },
+    fileFilter: (req, file, cb) => {
+        const ext = path.extname(file.originalname).toLowerCase().slice(1);
+        if (!PRICE_LIST_TYPES[ext] || !PRICE_LIST_TYPES[ext].includes(file.mimetype)) {
+            return cb(new Error('Only PDF, CSV or XLSX price lists allowed'));
+        }
+        if (file.buffer) {
+            const ok = ext === 'pdf' ? isPdfContent(file.buffer)
+                : ext === 'xlsx' ? matchesMagic(file.buffer, [sig.zip])
+                    : isCsvOrTextContent(file.buffer);
+            if (!ok) return cb(new Error(`File content is not a valid ${ext.toUpperCase()}`));
+        }
+        cb(null, true);
+    }
+});
+
 // Price list CSV upload (5MB, memory storage for parsing, CSV only)
 const uploadPriceCsv = multer({
     storage: multer.memoryStorage(),
@@ -359,6 +383,7 @@ module.exports = {
     uploadPainterVisualization,
     uploadActivity,
     uploadPriceList,
+    uploadPriceListFile,
     uploadPriceCsv,
     uploadVendorBill,
     uploadDplPdf,
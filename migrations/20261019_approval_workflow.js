@@ -0,0 +1,172 @@
+/**
+ * Approval workflow engine (services/approval-workflow.js).
+ *
+ * Additive-only and guarded so the migration is safe to re-run.
+ * Pattern: migrations/20261019_branch_day_close.js.
+ *
+ *   approval_chains         — admin-configured chains per entity type with an
+ *                             amount band (min exclusive, max inclusive, NULL
+ *                             = open) and a priority.
+ *   approval_chain_steps    — ordered approvers of a chain (role / user /
+ *                             branch_manager / permission) with an optional
+ *                             escalation timeout + escalate-to approver.
+ *   approval_requests       — one per submission of an entity (credit-limit
+ *                             request, salary advance, estimate discount, …).
+ *   approval_request_steps  — the chain's steps copied onto the request, with
+ *                             who acted (and on whose behalf) and when.
+ *   approval_delegations    — "while I'm on leave, X approves for me".
+ *   permissions             — approvals.manage (chains, others' delegations),
+ *                             assigned to admin/manager.
+ */
+
+const APPROVER_ENUM = "ENUM('role','user','branch_manager','permission')";
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS approval_chains (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            entity_type VARCHAR(50) NOT NULL,
+            name VARCHAR(150) NOT NULL,
+            min_amount DECIMAL(12,2) NULL,
+            max_amount DECIMAL(12,2) NULL,
+            priority INT NOT NULL DEFAULT 0,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_entity_active (entity_type, is_active)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ approval_chains table ensured');
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS approval_chain_steps (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            chain_id INT NOT NULL,
+            step_order INT NOT NULL,
+            approver_type ${APPROVER_ENUM} NOT NULL,
+            approver_value VARCHAR(100) NULL,
+            escalate_after_hours INT NULL,
+            escalate_to_type ${APPROVER_ENUM} NULL,
+            escalate_to_value VARCHAR(100) NULL,
+            UNIQUE KEY uq_chain_step (chain_id, step_order),
+            CONSTRAINT fk_approval_chain_steps_chain FOREIGN KEY (chain_id) REFERENCES approval_chains(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ approval_chain_steps table ensured');
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS approval_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            entity_type VARCHAR(50) NOT NULL,
+            entity_id VARCHAR(64) NOT NULL,
+            chain_id INT NULL,
+            title VARCHAR(255) NULL,
+            amount DECIMAL(12,2) NULL,
+            branch_id INT NULL,
+            requested_by INT NULL,
+            status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+            current_step INT NOT NULL DEFAULT 1,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            resolved_at DATETIME NULL,
+            INDEX idx_entity (entity_type, entity_id, status),
+            INDEX idx_status (status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ approval_requests table ensured');
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS approval_request_steps (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            request_id INT NOT NULL,
+            step_order INT NOT NULL,
+            approver_type ${APPROVER_ENUM} NOT NULL,
+            approver_value VARCHAR(100) NULL,
+            status ENUM('waiting','pending','approved','rejected','skipped') NOT NULL DEFAULT 'waiting',
+            escalate_after_hours INT NULL,
+            escalate_to_type ${APPROVER_ENUM} NULL,
+            escalate_to_value VARCHAR(100) NULL,
+            due_at DATETIME NULL,
+            escalated_at DATETIME NULL,
+            escalated_from VARCHAR(150) NULL,
+            acted_by INT NULL,
+            on_behalf_of INT NULL,
+            acted_at DATETIME NULL,
+            note TEXT NULL,
+            UNIQUE KEY uq_request_step (request_id, step_order),
+            INDEX idx_pending_due (status, due_at),
+            CONSTRAINT fk_approval_request_steps_request FOREIGN KEY (request_id) REFERENCES approval_requests(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ approval_request_steps table ensured');
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS approval_delegations (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            delegate_user_id INT NOT NULL,
+            starts_on DATE NOT NULL,
+            ends_on DATE NOT NULL,
+            entity_type VARCHAR(50) NULL,
+            reason VARCHAR(255) NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_delegate (delegate_user_id, is_active, starts_on, ends_on),
+            INDEX idx_user (user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ approval_delegations table ensured');
+
+    const [existing] = await pool.query(
+        "SELECT id FROM permissions WHERE module = 'approvals' AND action = 'manage'"
+    );
+    if (!existing.length) {
+        await pool.query(
+            'INSERT INTO permissions (module, action, display_name, description) VALUES (?, ?, ?, ?)',
+            ['approvals', 'manage', 'Manage Approval Chains', 'Configure approval chains and manage delegations for other users']
+        );
+        console.log('  ✓ permission approvals.manage added');
+    }
+
+    const [roles] = await pool.query(
+        "SELECT id FROM roles WHERE name IN ('admin', 'manager', 'super_admin') AND status = 'active'"
+    );
+    const [permRows] = await pool.query(
+        "SELECT id FROM permissions WHERE module = 'approvals' AND action = 'manage'"
+    );
+    for (const role of roles) {
+        for (const perm of permRows) {
+            const [exists] = await pool.query(
+                'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ?',
+                [role.id, perm.id]
+            );
+            if (!exists.length) {
+                await pool.query(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [role.id, perm.id]
+                );
+            }
+        }
+    }
+    console.log('  ✓ approvals.manage assigned to admin/manager');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_approval_workflow.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_approval_workflow.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,129 @@
+/**
+ * Sales returns against local billing invoices.
+ *
+ * Additive-only and information_schema-guarded (dev MySQL vs prod MariaDB)
+ * so the migration is safe to re-run. Pattern: migrations/20260812_billing_quick_sale.js.
+ *
+ *   billing_returns        — one row per return (SR-YYYYMMDD-###): reason code,
+ *                            restock decision/location, money totals, Zoho
+ *                            credit-note link + push-failure stamp.
+ *   billing_return_items   — returned quantity per original invoice line.
+ *   billing_invoices.returned_amount — running total of returns; the payment
+ *                            settlement nets it off grand_total.
+ *   painter_point_transactions.source += 'sales_return', 'void'. 'void' is
+ *                            what reverseInvoicePoints has always written on
+ *                            an invoice void — it was never in the ENUM
+ *                            (same latent bug 20260610_painter_points_phase2.js
+ *                            fixed for the other runtime sources).
+ */
+
+const RUNTIME_SOURCES = ['void', 'sales_return'];
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+async function tableExists(pool, table) {
+    const [rows] = await pool.query(
+        `SELECT 1 FROM information_schema.TABLES WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+        [table]
+    );
+    return rows.length > 0;
+}
+
+exports.up = async function up(pool) {
+    // ── return header + lines ──
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS billing_returns (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            return_number VARCHAR(30) NOT NULL UNIQUE,
+            invoice_id INT NOT NULL,
+            branch_id INT NULL,
+            reason_code VARCHAR(30) NOT NULL,
+            notes TEXT NULL,
+            restock TINYINT(1) NOT NULL DEFAULT 1,
+            restock_location_id VARCHAR(50) NULL,
+            subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+            discount_share DECIMAL(12,2) NOT NULL DEFAULT 0,
+            total DECIMAL(12,2) NOT NULL DEFAULT 0,
+            points_ratio DECIMAL(9,6) NOT NULL DEFAULT 0,
+            zoho_status ENUM('pending','pushed','failed','not_applicable') NOT NULL DEFAULT 'pending',
+            zoho_creditnote_id VARCHAR(50) NULL,
+            zoho_creditnote_number VARCHAR(50) NULL,
+            zoho_applied_amount DECIMAL(12,2) NULL,
+            zoho_push_error VARCHAR(255) NULL,
+            zoho_push_attempted_at DATETIME NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_invoice_id (invoice_id),
+            INDEX idx_zoho_status (zoho_status),
+            INDEX idx_created_at (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS billing_return_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            return_id INT NOT NULL,
+            invoice_item_id INT NOT NULL,
+            zoho_item_id VARCHAR(50) NULL,
+            item_name VARCHAR(255) NOT NULL,
+            quantity DECIMAL(10,2) NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+            line_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+            FOREIGN KEY (return_id) REFERENCES billing_returns(id) ON DELETE CASCADE,
+            INDEX idx_invoice_item_id (invoice_item_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ billing_returns / billing_return_items tables ensured');
+
+    // ── billing_invoices.returned_amount ──
+    if (await tableExists(pool, 'billing_invoices')) {
+        if (!(await columnInfo(pool, 'billing_invoices', 'returned_amount'))) {
+            await pool.query('ALTER TABLE billing_invoices ADD COLUMN returned_amount DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER grand_total');
+            console.log('  ✓ billing_invoices.returned_amount added');
+        }
+    } else {
+        console.log('  [skip] billing_invoices not present in this DB');
+    }
+
+    // ── painter_point_transactions.source ENUM additions ──
+    const col = await columnInfo(pool, 'painter_point_transactions', 'source');
+    if (!col) {
+        console.log('  [skip] painter_point_transactions.source not found');
+    } else if (col.type.toLowerCase().startsWith('enum(')) {
+        const values = (col.type.match(/'([^']*)'/g) || []).map(v => v.slice(1, -1));
+        const missing = RUNTIME_SOURCES.filter(v => !values.includes(v));
+        if (missing.length) {
+            const newValues = [...values, ...missing].map(v => `'${v}'`).join(',');
+            const nullSql = col.nullable ? 'DEFAULT NULL' : 'NOT NULL';
+            await pool.query(
+                `ALTER TABLE painter_point_transactions MODIFY COLUMN source ENUM(${newValues}) ${nullSql}`
+            );
+            console.log(`  ✓ painter_point_transactions.source += ${missing.join(', ')}`);
+        }
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_billing_sales_returns.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_billing_sales_returns.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,120 @@
+/**
+ * Per-branch day-end cash close.
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_billing_sales_returns.js.
+ *
+ *   branch_day_closes — one row per (branch, IST business date): the cashier's
+ *                       denomination count + declared UPI/card, the expected
+ *                       figures reconciled from billing_payments and the paid
+ *                       pay-links, the variances, the manager sign-off and the
+ *                       last re-open. A 'pending_signoff' or 'closed' row locks
+ *                       that day's payments; 'reopened' unlocks them until the
+ *                       day is closed again (revision += 1).
+ *   permissions       — billing.day_close (count + submit), assigned to the
+ *                       counter staff who close the drawer as well as
+ *                       admin/manager (migrate-staff-leads-permissions.js),
+ *                       and billing.day_close_signoff (sign off variances,
+ *                       re-open), admin/manager only like
+ *                       migrate-credit-limits-permissions.js.
+ */
+
+// [module, action, display name, description, roles granted]
+const PERMISSIONS = [
+    ['billing', 'day_close', 'Day Close', 'Count the cash drawer and submit the branch day-end close',
+        ['staff', 'manager', 'admin', 'super_admin']],
+    ['billing', 'day_close_signoff', 'Day Close Sign-off', 'Sign off day-close shortages/excess and re-open a closed day',
+        ['manager', 'admin', 'super_admin']]
+];
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS branch_day_closes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            branch_id INT NOT NULL,
+            business_date DATE NOT NULL,
+            status ENUM('pending_signoff','closed','reopened') NOT NULL DEFAULT 'pending_signoff',
+            revision INT NOT NULL DEFAULT 1,
+            denominations TEXT NULL,
+            declared_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+            declared_upi DECIMAL(12,2) NOT NULL DEFAULT 0,
+            declared_card DECIMAL(12,2) NOT NULL DEFAULT 0,
+            expected_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+            expected_upi DECIMAL(12,2) NOT NULL DEFAULT 0,
+            expected_card DECIMAL(12,2) NOT NULL DEFAULT 0,
+            variance_cash DECIMAL(12,2) NOT NULL DEFAULT 0,
+            variance_upi DECIMAL(12,2) NOT NULL DEFAULT 0,
+            variance_card DECIMAL(12,2) NOT NULL DEFAULT 0,
+            has_variance TINYINT(1) NOT NULL DEFAULT 0,
+            snapshot LONGTEXT NULL,
+            notes TEXT NULL,
+            submitted_by INT NULL,
+            submitted_at DATETIME NULL,
+            signed_off_by INT NULL,
+            signed_off_at DATETIME NULL,
+            signoff_note TEXT NULL,
+            reopened_by INT NULL,
+            reopened_at DATETIME NULL,
+            reopen_reason TEXT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_branch_date (branch_id, business_date),
+            INDEX idx_status (status),
+            INDEX idx_business_date (business_date)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ branch_day_closes table ensured');
+
+    for (const [module, action, displayName, description, roleNames] of PERMISSIONS) {
+        const [existing] = await pool.query(
+            'SELECT id FROM permissions WHERE module = ? AND action = ?',
+            [module, action]
+        );
+        let permId = existing.length ? existing[0].id : null;
+        if (!permId) {
+            const [ins] = await pool.query(
+                'INSERT INTO permissions (module, action, display_name, description) VALUES (?, ?, ?, ?)',
+                [module, action, displayName, description]
+            );
+            permId = ins.insertId;
+            console.log(`  ✓ permission ${module}.${action} added`);
+        }
+
+        const [roles] = await pool.query(
+            "SELECT id FROM roles WHERE name IN (?) AND status = 'active'",
+            [roleNames]
+        );
+        for (const role of roles) {
+            const [exists] = await pool.query(
+                'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ?',
+                [role.id, permId]
+            );
+            if (!exists.length) {
+                await pool.query(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [role.id, permId]
+                );
+            }
+        }
+        console.log(`  ✓ ${module}.${action} assigned to ${roleNames.join('/')}`);
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_branch_day_close.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_branch_day_close.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,77 @@
+/**
+ * Statement of account delivery log (services/statement-of-account.js).
+ *
+ * Additive-only and guarded so the migration is safe to re-run.
+ * Pattern: migrations/20261019_item_barcodes.js.
+ *
+ *   statement_runs      — one row per bulk run (monthly schedule or the
+ *                         collections "send all" button); a scheduled run is
+ *                         looked up by period so restarts never double-send
+ *   customer_statements — every statement sent / failed / skipped (no phone),
+ *                         with the opening/closing balance it carried
+ *
+ * Access reuses zoho.collections — no new permission.
+ */
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS statement_runs (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            period_from DATE NOT NULL,
+            period_to DATE NOT NULL,
+            run_trigger ENUM('schedule','manual') NOT NULL DEFAULT 'manual',
+            branch_id INT NULL,
+            customers_total INT NOT NULL DEFAULT 0,
+            sent_count INT NOT NULL DEFAULT 0,
+            failed_count INT NOT NULL DEFAULT 0,
+            skipped_count INT NOT NULL DEFAULT 0,
+            status ENUM('running','completed') NOT NULL DEFAULT 'running',
+            started_by INT NULL,
+            started_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            finished_at DATETIME NULL,
+            INDEX idx_period (period_from, period_to, run_trigger)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ statement_runs table ensured');
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS customer_statements (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            run_id INT NULL,
+            zoho_customer_id VARCHAR(50) NOT NULL,
+            customer_name VARCHAR(255) NULL,
+            phone VARCHAR(50) NULL,
+            period_from DATE NOT NULL,
+            period_to DATE NOT NULL,
+            opening_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+            closing_balance DECIMAL(12,2) NOT NULL DEFAULT 0,
+            status ENUM('sent','failed','skipped') NOT NULL,
+            error_message VARCHAR(500) NULL,
+            sent_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_customer (zoho_customer_id),
+            INDEX idx_run (run_id),
+            INDEX idx_created (created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ customer_statements table ensured');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_customer_statements.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_customer_statements.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
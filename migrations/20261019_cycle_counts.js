@@ -0,0 +1,87 @@
+/**
+ * Cycle-count scheduling with ABC classification (services/cycle-count.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_stock_transfers.js.
+ *
+ *   item_abc_classes      — per branch per item: A / B / C by sales value over
+ *                           the lookback window (branch_item_sales.revenue),
+ *                           the value and its cumulative share when classified.
+ *   stock_check_assignments.request_type
+ *                         — gains 'cycle_count' for assignments the daily job
+ *                           creates; created_by becomes NULLable (NULL = the
+ *                           scheduler, not a person).
+ *   stock_check_items.abc_class
+ *                         — the item's class when it was put on the count, so
+ *                           variance trends can be read per class later.
+ *
+ * Access reuses zoho.stock_check — no new permission.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS item_abc_classes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            branch_id INT NOT NULL,
+            zoho_item_id VARCHAR(50) NOT NULL,
+            abc_class ENUM('A','B','C') NOT NULL,
+            sales_value DECIMAL(14,2) NOT NULL DEFAULT 0,
+            qty_sold DECIMAL(12,2) NOT NULL DEFAULT 0,
+            cumulative_pct DECIMAL(6,2) NULL,
+            classified_at DATETIME NOT NULL,
+            UNIQUE KEY uq_branch_item (branch_id, zoho_item_id),
+            INDEX idx_branch_class (branch_id, abc_class)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ item_abc_classes table ensured');
+
+    const requestType = await columnInfo(pool, 'stock_check_assignments', 'request_type');
+    if (requestType && !requestType.type.includes("'cycle_count'")) {
+        await pool.query(
+            `ALTER TABLE stock_check_assignments
+             MODIFY COLUMN request_type ENUM('admin_assigned','self_requested','cycle_count') DEFAULT 'admin_assigned'`
+        );
+        console.log('  ✓ stock_check_assignments.request_type gains cycle_count');
+    }
+    const createdBy = await columnInfo(pool, 'stock_check_assignments', 'created_by');
+    if (createdBy && !createdBy.nullable) {
+        await pool.query('ALTER TABLE stock_check_assignments MODIFY COLUMN created_by INT NULL');
+        console.log('  ✓ stock_check_assignments.created_by made NULLable (scheduler-created)');
+    }
+
+    if (!(await columnInfo(pool, 'stock_check_items', 'abc_class'))) {
+        await pool.query(
+            `ALTER TABLE stock_check_items
+             ADD COLUMN abc_class ENUM('A','B','C') NULL AFTER item_sku`
+        );
+        console.log('  ✓ stock_check_items.abc_class added');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_cycle_counts.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_cycle_counts.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,73 @@
+/**
+ * DPL price-change impact simulator (services/dpl-impact.js,
+ * routes/zoho/items.js /items/dpl-catalog/.../simulate).
+ *
+ * Additive-only and guarded with IF NOT EXISTS so the migration is safe to
+ * re-run. Pattern: migrations/20261019_paint_calculator.js.
+ *
+ *   dpl_price_simulations      — one dry run of apply-prices for a brand: the
+ *                                impact report (report_json) and what the
+ *                                admin decided (approve now / schedule /
+ *                                discard)
+ *   dpl_price_simulation_items — the catalog rows whose price would change,
+ *                                with old / new DPL and rate and the per-row
+ *                                decision, so part of a run can be approved
+ */
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS dpl_price_simulations (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            brand VARCHAR(50) NOT NULL,
+            status ENUM('pending','scheduled','applied','discarded') NOT NULL DEFAULT 'pending',
+            effective_date DATE NULL,
+            items_changed INT NOT NULL DEFAULT 0,
+            summary_json LONGTEXT NOT NULL,
+            report_json LONGTEXT NOT NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            decided_by INT NULL,
+            decided_at DATETIME NULL,
+            applied_at DATETIME NULL,
+            KEY idx_brand_status (brand, status),
+            KEY idx_status_effective (status, effective_date)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ dpl_price_simulations table ensured');
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS dpl_price_simulation_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            simulation_id INT NOT NULL,
+            catalog_id INT NOT NULL,
+            zoho_item_id VARCHAR(100) NULL,
+            old_dpl DECIMAL(12,2) NULL,
+            new_dpl DECIMAL(12,2) NOT NULL,
+            old_rate DECIMAL(12,2) NULL,
+            new_rate DECIMAL(12,2) NOT NULL,
+            decision ENUM('pending','approved','skipped','stale') NOT NULL DEFAULT 'pending',
+            KEY idx_simulation (simulation_id),
+            KEY idx_catalog (catalog_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ dpl_price_simulation_items table ensured');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_dpl_price_simulations.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_dpl_price_simulations.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,157 @@
+/**
+ * Dunning ladder for overdue receivables (services/dunning.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_billing_sales_returns.js.
+ *
+ *   dunning_ladders       — one ladder per customer type (customer_type_id
+ *                           NULL = the default ladder for everyone else)
+ *   dunning_ladder_steps  — days overdue → action (whatsapp / sms / call_task /
+ *                           credit_hold), message template, collector
+ *   dunning_actions       — every step taken for a customer, once per overdue
+ *                           cycle (keyed on the oldest overdue due date), with
+ *                           its outcome (paid / promised / no_response) so the
+ *                           collections summary can score each stage
+ *   zoho_customers_map.credit_hold* — the hold the last rung places; the
+ *                           credit check refuses credit while it is set
+ *   collection_reminders.reminder_type += 'sms'
+ *
+ * Seeds the default ladder (7 days WhatsApp, 15 SMS, 30 call task, 45 credit
+ * hold). Access reuses zoho.collections — no new permission.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+const DEFAULT_STEPS = [
+    { step_order: 1, days_overdue: 7, action: 'whatsapp' },
+    { step_order: 2, days_overdue: 15, action: 'sms' },
+    { step_order: 3, days_overdue: 30, action: 'call_task' },
+    { step_order: 4, days_overdue: 45, action: 'credit_hold' }
+];
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS dunning_ladders (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(100) NOT NULL,
+            customer_type_id INT NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_customer_type (customer_type_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS dunning_ladder_steps (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            ladder_id INT NOT NULL,
+            step_order INT NOT NULL,
+            days_overdue INT NOT NULL,
+            action ENUM('whatsapp','sms','call_task','credit_hold') NOT NULL,
+            message_template TEXT NULL,
+            assign_to INT NULL,
+            FOREIGN KEY (ladder_id) REFERENCES dunning_ladders(id) ON DELETE CASCADE,
+            INDEX idx_ladder (ladder_id, step_order)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS dunning_actions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            ladder_id INT NOT NULL,
+            step_id INT NOT NULL,
+            step_order INT NOT NULL,
+            action ENUM('whatsapp','sms','call_task','credit_hold') NOT NULL,
+            zoho_customer_id VARCHAR(50) NOT NULL,
+            customer_name VARCHAR(255) NULL,
+            phone VARCHAR(50) NULL,
+            branch_id INT NULL,
+            cycle_due_date DATE NOT NULL,
+            days_overdue INT NOT NULL,
+            ageing_band VARCHAR(10) NOT NULL,
+            overdue_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+            status ENUM('done','failed','skipped') NOT NULL,
+            note VARCHAR(500) NULL,
+            reference_id INT NULL,
+            outcome ENUM('pending','paid','promised','no_response') NOT NULL DEFAULT 'pending',
+            collected_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+            outcome_at DATETIME NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_customer_step_cycle (zoho_customer_id, step_id, cycle_due_date),
+            INDEX idx_outcome (outcome),
+            INDEX idx_created (created_at),
+            INDEX idx_branch (branch_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ dunning_ladders / dunning_ladder_steps / dunning_actions tables ensured');
+
+    // ── credit hold on the customer map ──
+    const holdColumns = [
+        ['credit_hold', 'TINYINT(1) NOT NULL DEFAULT 0'],
+        ['credit_hold_reason', 'VARCHAR(255) NULL'],
+        ['credit_hold_source', "ENUM('dunning','manual') NULL"],
+        ['credit_hold_at', 'DATETIME NULL']
+    ];
+    for (const [column, definition] of holdColumns) {
+        if (!(await columnInfo(pool, 'zoho_customers_map', column))) {
+            await pool.query(`ALTER TABLE zoho_customers_map ADD COLUMN ${column} ${definition}`);
+            console.log(`  ✓ zoho_customers_map.${column} added`);
+        }
+    }
+
+    // ── collection_reminders.reminder_type += 'sms' ──
+    const col = await columnInfo(pool, 'collection_reminders', 'reminder_type');
+    if (!col) {
+        console.log('  [skip] collection_reminders.reminder_type not found');
+    } else if (col.type.toLowerCase().startsWith('enum(')) {
+        const values = (col.type.match(/'([^']*)'/g) || []).map(v => v.slice(1, -1));
+        if (!values.includes('sms')) {
+            const newValues = [...values, 'sms'].map(v => `'${v}'`).join(',');
+            await pool.query(
+                `ALTER TABLE collection_reminders MODIFY COLUMN reminder_type ENUM(${newValues}) ${col.nullable ? 'NULL' : 'NOT NULL'} DEFAULT 'whatsapp'`
+            );
+            console.log("  ✓ collection_reminders.reminder_type += 'sms'");
+        }
+    }
+
+    // ── default ladder ──
+    const [existing] = await pool.query('SELECT id FROM dunning_ladders WHERE customer_type_id IS NULL LIMIT 1');
+    if (!existing.length) {
+        const [ins] = await pool.query(
+            "INSERT INTO dunning_ladders (name, customer_type_id) VALUES ('Default ladder', NULL)"
+        );
+        for (const step of DEFAULT_STEPS) {
+            await pool.query(
+                'INSERT INTO dunning_ladder_steps (ladder_id, step_order, days_overdue, action) VALUES (?, ?, ?, ?)',
+                [ins.insertId, step.step_order, step.days_overdue, step.action]
+            );
+        }
+        console.log('  ✓ default dunning ladder seeded');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_dunning_ladder.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_dunning_ladder.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,96 @@
+/**
+ * Online estimate acceptance on the public share link (routes/share.js,
+ * services/estimate-acceptance.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_shift_rosters.js.
+ *
+ *   estimate_acceptances      — one row per customer response: accepted,
+ *                               rejected or changes requested, with the typed
+ *                               or drawn signature, IP, user agent and the
+ *                               OTP-verified phone
+ *   estimate_change_requests  — per-line (or whole-estimate) change comments
+ *                               from a "request changes" response
+ *   estimate_status_history.changed_by_user_id — now NULL-able: a customer
+ *                               decision has no staff user behind it
+ *   otp_verifications.purpose — gains 'estimate_acceptance'
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT IS_NULLABLE, COLUMN_TYPE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows[0] || null;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS estimate_acceptances (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            estimate_id INT NOT NULL,
+            share_token_id INT NULL,
+            decision ENUM('accepted','rejected','changes_requested') NOT NULL,
+            signer_name VARCHAR(150) NOT NULL,
+            signature_type ENUM('typed','drawn') NULL,
+            signature_text VARCHAR(150) NULL,
+            signature_image MEDIUMTEXT NULL,
+            signer_phone VARCHAR(15) NULL,
+            otp_verified_at DATETIME NULL,
+            ip_address VARCHAR(45) NULL,
+            user_agent VARCHAR(255) NULL,
+            comment TEXT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_estimate (estimate_id, created_at)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS estimate_change_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            acceptance_id INT NOT NULL,
+            estimate_id INT NOT NULL,
+            estimate_item_id INT NULL,
+            comment TEXT NOT NULL,
+            status ENUM('open','resolved') NOT NULL DEFAULT 'open',
+            resolved_by INT NULL,
+            resolved_at DATETIME NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_estimate (estimate_id, status),
+            FOREIGN KEY (acceptance_id) REFERENCES estimate_acceptances(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ estimate_acceptances / estimate_change_requests tables ensured');
+
+    const changedBy = await columnInfo(pool, 'estimate_status_history', 'changed_by_user_id');
+    if (changedBy && changedBy.IS_NULLABLE === 'NO') {
+        await pool.query('ALTER TABLE estimate_status_history MODIFY COLUMN changed_by_user_id INT NULL');
+        console.log('  ✓ estimate_status_history.changed_by_user_id now NULL-able');
+    }
+
+    const purpose = await columnInfo(pool, 'otp_verifications', 'purpose');
+    if (purpose && !purpose.COLUMN_TYPE.includes("'estimate_acceptance'")) {
+        const values = purpose.COLUMN_TYPE.replace(/\)$/, ",'estimate_acceptance')");
+        await pool.query(`ALTER TABLE otp_verifications MODIFY COLUMN purpose ${values} NOT NULL`);
+        console.log("  ✓ otp_verifications.purpose gains 'estimate_acceptance'");
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_estimate_esign.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_estimate_esign.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
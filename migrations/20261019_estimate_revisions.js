@@ -0,0 +1,77 @@
+/**
+ * Estimate revisions (services/estimate-revisions.js, routes/estimates.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_estimate_esign.js.
+ *
+ *   estimate_revisions            — a numbered snapshot of the header and
+ *                                   items on every save (create, update,
+ *                                   revert; 'baseline' for estimates saved
+ *                                   before this existed)
+ *   estimates.current_revision    — the revision the estimate now shows
+ *                                   (0 = never snapshotted)
+ *   share_tokens.revision_no      — the revision current when the link was
+ *                                   shared, so the page can say "revised since"
+ *   estimate_acceptances.revision_no — the revision the customer answered
+ */
+
+async function columnExists(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT 1 FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS estimate_revisions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            estimate_id INT NOT NULL,
+            revision_no INT NOT NULL,
+            source ENUM('baseline','create','update','revert') NOT NULL,
+            reverted_from INT NULL,
+            header_json TEXT NOT NULL,
+            items_json LONGTEXT NOT NULL,
+            item_count INT NOT NULL DEFAULT 0,
+            grand_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_estimate_revision (estimate_id, revision_no)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ estimate_revisions table ensured');
+
+    if (!(await columnExists(pool, 'estimates', 'current_revision'))) {
+        await pool.query('ALTER TABLE estimates ADD COLUMN current_revision INT NOT NULL DEFAULT 0');
+        console.log('  ✓ estimates.current_revision added');
+    }
+    if (!(await columnExists(pool, 'share_tokens', 'revision_no'))) {
+        await pool.query('ALTER TABLE share_tokens ADD COLUMN revision_no INT NULL');
+        console.log('  ✓ share_tokens.revision_no added');
+    }
+    if (!(await columnExists(pool, 'estimate_acceptances', 'revision_no'))) {
+        await pool.query('ALTER TABLE estimate_acceptances ADD COLUMN revision_no INT NULL AFTER share_token_id');
+        console.log('  ✓ estimate_acceptances.revision_no added');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_estimate_revisions.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_estimate_revisions.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,98 @@
+/**
+ * Barcode / QR labels and scan-to-add (services/barcodes.js).
+ *
+ * Additive-only and guarded so the migration is safe to re-run.
+ * Pattern: migrations/20261019_branch_day_close.js.
+ *
+ *   item_barcodes — codes that resolve to a Zoho item beyond what Zoho
+ *                   already carries (zoho_ean / zoho_upc / zoho_sku): the
+ *                   manufacturer EAN printed on a tin, a carton code that
+ *                   counts as pack_qty units per scan, …
+ *   permissions   — products.labels (print label sheets, map codes),
+ *                   assigned to admin/manager.
+ */
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS item_barcodes (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            code VARCHAR(64) NOT NULL,
+            zoho_item_id VARCHAR(50) NOT NULL,
+            symbology ENUM('ean13','ean8','upc','code128','qr') NOT NULL DEFAULT 'code128',
+            pack_qty INT NOT NULL DEFAULT 1,
+            note VARCHAR(255) NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_code (code),
+            INDEX idx_zoho_item (zoho_item_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ item_barcodes table ensured');
+
+    // Lookup speed for synced manufacturer codes
+    for (const [index, column] of [['idx_zim_ean', 'zoho_ean'], ['idx_zim_upc', 'zoho_upc'], ['idx_zim_sku', 'zoho_sku']]) {
+        const [exists] = await pool.query(
+            `SELECT 1 FROM information_schema.STATISTICS
+             WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'zoho_items_map' AND INDEX_NAME = ?`,
+            [index]
+        );
+        if (!exists.length) {
+            await pool.query(`ALTER TABLE zoho_items_map ADD INDEX ${index} (${column})`);
+            console.log(`  ✓ zoho_items_map.${index} added`);
+        }
+    }
+
+    const [existing] = await pool.query(
+        "SELECT id FROM permissions WHERE module = 'products' AND action = 'labels'"
+    );
+    if (!existing.length) {
+        await pool.query(
+            'INSERT INTO permissions (module, action, display_name, description) VALUES (?, ?, ?, ?)',
+            ['products', 'labels', 'Barcode Labels', 'Print barcode/QR label sheets and map manufacturer codes to items']
+        );
+        console.log('  ✓ permission products.labels added');
+    }
+
+    const [roles] = await pool.query(
+        "SELECT id FROM roles WHERE name IN ('admin', 'manager', 'super_admin') AND status = 'active'"
+    );
+    const [permRows] = await pool.query(
+        "SELECT id FROM permissions WHERE module = 'products' AND action = 'labels'"
+    );
+    for (const role of roles) {
+        for (const perm of permRows) {
+            const [exists] = await pool.query(
+                'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ?',
+                [role.id, perm.id]
+            );
+            if (!exists.length) {
+                await pool.query(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [role.id, perm.id]
+                );
+            }
+        }
+    }
+    console.log('  ✓ products.labels assigned to admin/manager');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_item_barcodes.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_item_barcodes.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,178 @@
+/**
+ * Leave management (services/leave.js, routes/leave.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_dunning_ladder.js.
+ *
+ *   leave_types      — casual / sick / earned (paid) and loss-of-pay (unpaid)
+ *   leave_policies   — per role (role NULL = every role without its own row):
+ *                      monthly accrual and the carry-forward cap into the next year
+ *   holidays         — per-branch calendar (branch_id NULL = every branch);
+ *                      holidays are not counted as leave days
+ *   leave_balances   — per user, type and year: opening (carried forward),
+ *                      accrued, adjusted, used; last_accrued_month keeps the
+ *                      monthly accrual idempotent
+ *   leave_requests   — multi-day requests, optionally starting or ending on a
+ *                      half day; approved through the approval workflow
+ *   leave_days       — one row per approved leave date with its portion (1 or
+ *                      0.5) and paid flag; salary reads these
+ *   monthly_salaries paid_sunday_leaves / paid_weekday_leaves / excess_leaves
+ *                      INT → DECIMAL(5,1) so half days are not rounded away
+ *
+ * Access reuses attendance.approve (requests) and attendance.manage (types,
+ * policies, holidays) — no new permission.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT DATA_TYPE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].DATA_TYPE).toLowerCase() } : null;
+}
+
+const DEFAULT_TYPES = [
+    { code: 'CL', name: 'Casual leave', is_paid: 1, monthly_accrual: 1, carry_forward_cap: 0 },
+    { code: 'SL', name: 'Sick leave', is_paid: 1, monthly_accrual: 0.5, carry_forward_cap: 6 },
+    { code: 'EL', name: 'Earned leave', is_paid: 1, monthly_accrual: 1, carry_forward_cap: 12 },
+    { code: 'LOP', name: 'Loss of pay', is_paid: 0, monthly_accrual: null, carry_forward_cap: null }
+];
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS leave_types (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            code VARCHAR(10) NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            is_paid TINYINT(1) NOT NULL DEFAULT 1,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_code (code)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS leave_policies (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            role VARCHAR(50) NULL,
+            leave_type_id INT NOT NULL,
+            monthly_accrual DECIMAL(5,2) NOT NULL DEFAULT 0,
+            carry_forward_cap DECIMAL(5,1) NULL,
+            updated_by INT NULL,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (leave_type_id) REFERENCES leave_types(id) ON DELETE CASCADE,
+            INDEX idx_role (role)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS holidays (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            branch_id INT NULL,
+            holiday_date DATE NOT NULL,
+            name VARCHAR(100) NOT NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_date (holiday_date),
+            INDEX idx_branch_date (branch_id, holiday_date)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS leave_balances (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            leave_type_id INT NOT NULL,
+            year SMALLINT NOT NULL,
+            opening DECIMAL(6,1) NOT NULL DEFAULT 0,
+            accrued DECIMAL(6,2) NOT NULL DEFAULT 0,
+            adjusted DECIMAL(6,1) NOT NULL DEFAULT 0,
+            used DECIMAL(6,1) NOT NULL DEFAULT 0,
+            last_accrued_month CHAR(7) NULL,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_user_type_year (user_id, leave_type_id, year),
+            FOREIGN KEY (leave_type_id) REFERENCES leave_types(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS leave_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            branch_id INT NULL,
+            leave_type_id INT NOT NULL,
+            from_date DATE NOT NULL,
+            to_date DATE NOT NULL,
+            half_day_start TINYINT(1) NOT NULL DEFAULT 0,
+            half_day_end TINYINT(1) NOT NULL DEFAULT 0,
+            days DECIMAL(5,1) NOT NULL,
+            reason VARCHAR(500) NULL,
+            status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+            reviewed_by INT NULL,
+            reviewed_at DATETIME NULL,
+            review_notes VARCHAR(500) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_user_dates (user_id, from_date, to_date),
+            INDEX idx_status (status),
+            INDEX idx_branch_dates (branch_id, from_date),
+            FOREIGN KEY (leave_type_id) REFERENCES leave_types(id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS leave_days (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            request_id INT NOT NULL,
+            user_id INT NOT NULL,
+            leave_type_id INT NOT NULL,
+            leave_date DATE NOT NULL,
+            portion DECIMAL(2,1) NOT NULL DEFAULT 1.0,
+            is_paid TINYINT(1) NOT NULL,
+            UNIQUE KEY uq_request_date (request_id, leave_date),
+            INDEX idx_user_date (user_id, leave_date),
+            FOREIGN KEY (request_id) REFERENCES leave_requests(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ leave_types / leave_policies / holidays / leave_balances / leave_requests / leave_days tables ensured');
+
+    // ── half-day leave counts on monthly_salaries ──
+    for (const column of ['paid_sunday_leaves', 'paid_weekday_leaves', 'excess_leaves']) {
+        const col = await columnInfo(pool, 'monthly_salaries', column);
+        if (col && col.type !== 'decimal') {
+            await pool.query(`ALTER TABLE monthly_salaries MODIFY COLUMN ${column} DECIMAL(5,1) DEFAULT 0`);
+            console.log(`  ✓ monthly_salaries.${column} → DECIMAL(5,1)`);
+        }
+    }
+
+    // ── default leave types and policies (every role) ──
+    for (const t of DEFAULT_TYPES) {
+        const [existing] = await pool.query('SELECT id FROM leave_types WHERE code = ?', [t.code]);
+        if (existing.length) continue;
+        const [ins] = await pool.query(
+            'INSERT INTO leave_types (code, name, is_paid) VALUES (?, ?, ?)',
+            [t.code, t.name, t.is_paid]
+        );
+        if (t.monthly_accrual) {
+            await pool.query(
+                'INSERT INTO leave_policies (role, leave_type_id, monthly_accrual, carry_forward_cap) VALUES (NULL, ?, ?, ?)',
+                [ins.insertId, t.monthly_accrual, t.carry_forward_cap]
+            );
+        }
+        console.log(`  ✓ leave type ${t.code} seeded`);
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_leave_management.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_leave_management.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
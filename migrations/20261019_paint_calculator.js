@@ -0,0 +1,47 @@
+/**
+ * Room-by-room paint calculator (services/paint-calculator.js,
+ * routes/paint-calculator.js).
+ *
+ * Additive-only and guarded with IF NOT EXISTS so the migration is safe to
+ * re-run. Pattern: migrations/20261019_estimate_revisions.js.
+ *
+ *   estimate_calculations — the measurements a draft estimate was built from
+ *                           (input_json) and the computed rooms, litres and
+ *                           pack mix (result_json), for the PDF and print page
+ */
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS estimate_calculations (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            estimate_id INT NOT NULL,
+            input_json LONGTEXT NOT NULL,
+            result_json LONGTEXT NOT NULL,
+            total_area_sqft DECIMAL(12,2) NOT NULL DEFAULT 0,
+            total_litres DECIMAL(10,2) NOT NULL DEFAULT 0,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            KEY idx_estimate (estimate_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ estimate_calculations table ensured');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_paint_calculator.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_paint_calculator.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
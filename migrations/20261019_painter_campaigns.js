@@ -0,0 +1,125 @@
+/**
+ * Rule-based painter campaigns on top of painter_challenges
+ * (services/painter-campaigns.js, hourly job in painter-scheduler.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_painter_points_expiry.js.
+ *
+ *   painter_challenges            — the columns the admin challenge routes
+ *                                   already write (title, description,
+ *                                   target_value, icon, created_by) where the
+ *                                   original gamification table lacks them;
+ *                                   its bilingual title / target_count become
+ *                                   nullable so those INSERTs succeed.
+ *                                 + rules JSON (NULL = legacy fixed challenge),
+ *                                   match_mode, branch_ids JSON (NULL = every
+ *                                   branch), auto_award, evaluated_at.
+ *   painter_challenge_progress    + current_value (if missing), rule_progress
+ *                                   JSON (per-condition value / target),
+ *                                   awarded_points, updated_at.
+ *   painter_invoice_lines         — the line items of every invoice
+ *                                   processInvoice awards, so conditions can
+ *                                   count product quantity / value. Cascades
+ *                                   with the painter_invoices_processed claim
+ *                                   row, so a voided invoice stops counting.
+ *
+ * Invoices processed before this migration have no lines, so invoice
+ * conditions count from deployment onward.
+ */
+
+const CHALLENGE_COLUMNS = [
+    ['title', 'VARCHAR(200) NULL'],
+    ['description', 'TEXT NULL'],
+    ['target_value', 'DECIMAL(12,2) NULL'],
+    ['icon', 'VARCHAR(50) NULL'],
+    ['created_by', 'INT NULL'],
+    ['rules', 'JSON NULL'],
+    ['match_mode', "ENUM('all','any') NOT NULL DEFAULT 'all'"],
+    ['branch_ids', 'JSON NULL'],
+    ['auto_award', 'TINYINT(1) NOT NULL DEFAULT 1'],
+    ['evaluated_at', 'DATETIME NULL']
+];
+
+const LEGACY_REQUIRED = [
+    ['title_en', 'VARCHAR(200) NULL'],
+    ['title_ta', 'VARCHAR(200) NULL'],
+    ['target_count', 'INT NULL']
+];
+
+const PROGRESS_COLUMNS = [
+    ['current_value', 'DECIMAL(12,2) NOT NULL DEFAULT 0'],
+    ['rule_progress', 'JSON NULL'],
+    ['awarded_points', 'DECIMAL(12,2) NULL'],
+    ['updated_at', 'TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP']
+];
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+async function addMissing(pool, table, columns) {
+    for (const [name, definition] of columns) {
+        if (await columnInfo(pool, table, name)) continue;
+        await pool.query(`ALTER TABLE ${table} ADD COLUMN ${name} ${definition}`);
+        console.log(`  ✓ ${table}.${name} added`);
+    }
+}
+
+exports.up = async function up(pool) {
+    await addMissing(pool, 'painter_challenges', CHALLENGE_COLUMNS);
+
+    for (const [name, definition] of LEGACY_REQUIRED) {
+        const col = await columnInfo(pool, 'painter_challenges', name);
+        if (col && !col.nullable) {
+            await pool.query(`ALTER TABLE painter_challenges MODIFY COLUMN ${name} ${definition}`);
+            console.log(`  ✓ painter_challenges.${name} now nullable`);
+        }
+    }
+
+    await addMissing(pool, 'painter_challenge_progress', PROGRESS_COLUMNS);
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS painter_invoice_lines (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            processed_id INT NOT NULL,
+            line_no INT NOT NULL,
+            painter_id INT NOT NULL,
+            invoice_id VARCHAR(100) NOT NULL,
+            invoice_date DATE NULL,
+            item_id VARCHAR(100) NULL,
+            item_name VARCHAR(255) NULL,
+            quantity DECIMAL(12,2) NOT NULL DEFAULT 0,
+            item_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            UNIQUE KEY uk_line (processed_id, line_no),
+            INDEX idx_painter_date (painter_id, invoice_date),
+            INDEX idx_item (item_id),
+            FOREIGN KEY (processed_id) REFERENCES painter_invoices_processed(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ painter_invoice_lines table ensured');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_painter_campaigns.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_painter_campaigns.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,119 @@
+/**
+ * Painter fraud / collusion scoring and the withdrawal freeze
+ * (services/painter-fraud.js, nightly job in painter-scheduler.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_painter_points_expiry.js.
+ *
+ *   painter_sessions.device_id / ip_address / user_agent
+ *                                  — who signed in from where, captured at
+ *                                    OTP verification.
+ *   painters.withdrawals_frozen / withdrawals_frozen_reason
+ *                                  — the hold requestWithdrawal, approval and
+ *                                    payout batches respect until cleared.
+ *   painter_fraud_cases            — the review queue: one open case per
+ *                                    painter, its score and evidence.
+ *   ai_config painter_fraud_enabled (1) / _lookback_days (90) /
+ *             _case_score (40) / _auto_freeze (0) / _freeze_score (70) /
+ *             _painters_per_device (3) / _painters_per_prefix (4) /
+ *             _customer_painters (3) / _gps_repeat_days (5) /
+ *             _ignore_customers ('') — Zoho customer ids of walk-in / cash
+ *             accounts that many painters legitimately bill against.
+ *
+ * Auto-freeze stays off until painter_fraud_auto_freeze is set to '1';
+ * reviewers can always freeze from the queue.
+ */
+
+const CONFIG = [
+    ['painter_fraud_enabled', '1'],
+    ['painter_fraud_lookback_days', '90'],
+    ['painter_fraud_case_score', '40'],
+    ['painter_fraud_auto_freeze', '0'],
+    ['painter_fraud_freeze_score', '70'],
+    ['painter_fraud_painters_per_device', '3'],
+    ['painter_fraud_painters_per_prefix', '4'],
+    ['painter_fraud_customer_painters', '3'],
+    ['painter_fraud_gps_repeat_days', '5'],
+    ['painter_fraud_ignore_customers', '']
+];
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    if (!(await columnInfo(pool, 'painter_sessions', 'device_id'))) {
+        await pool.query(
+            `ALTER TABLE painter_sessions
+             ADD COLUMN device_id VARCHAR(64) NULL,
+             ADD COLUMN ip_address VARCHAR(45) NULL,
+             ADD COLUMN user_agent VARCHAR(255) NULL,
+             ADD INDEX idx_device (device_id)`
+        );
+        console.log('  ✓ painter_sessions.device_id / ip_address / user_agent added');
+    }
+
+    if (!(await columnInfo(pool, 'painters', 'withdrawals_frozen'))) {
+        await pool.query(
+            `ALTER TABLE painters
+             ADD COLUMN withdrawals_frozen TINYINT(1) NOT NULL DEFAULT 0,
+             ADD COLUMN withdrawals_frozen_reason VARCHAR(255) NULL`
+        );
+        console.log('  ✓ painters.withdrawals_frozen added');
+    }
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS painter_fraud_cases (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            painter_id INT NOT NULL,
+            status ENUM('open','cleared','confirmed') NOT NULL DEFAULT 'open',
+            score INT NOT NULL DEFAULT 0,
+            signals VARCHAR(255) NULL,
+            evidence JSON NULL,
+            withdrawals_frozen TINYINT(1) NOT NULL DEFAULT 0,
+            first_detected_on DATE NOT NULL,
+            last_detected_on DATE NOT NULL,
+            reviewed_by INT NULL,
+            reviewed_at DATETIME NULL,
+            review_notes VARCHAR(500) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_status_score (status, score),
+            INDEX idx_painter (painter_id, status),
+            FOREIGN KEY (painter_id) REFERENCES painters(id) ON DELETE CASCADE
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ painter_fraud_cases table ensured');
+
+    for (const [key, value] of CONFIG) {
+        const [existing] = await pool.query('SELECT config_key FROM ai_config WHERE config_key = ?', [key]);
+        if (!existing.length) {
+            await pool.query('INSERT INTO ai_config (config_key, config_value) VALUES (?, ?)', [key, value]);
+            console.log(`  ✓ ai_config ${key} seeded (${value || "''"})`);
+        }
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_painter_fraud_review.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_painter_fraud_review.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
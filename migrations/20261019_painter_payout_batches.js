@@ -0,0 +1,111 @@
+/**
+ * Painter withdrawal payout batches (services/painter-payouts.js) and the
+ * enforced annual-pool withdrawal window.
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_stock_transfers.js.
+ *
+ *   painters.bank_* / upi_id  — where a painter's withdrawals are paid (same
+ *                               columns as users): NEFT needs the account
+ *                               name, number and IFSC; UPI needs the VPA.
+ *   painter_payout_batches    — one row per bulk payout (PB-YYYYMMDD-###):
+ *                               NEFT or UPI, the file's totals, and how many
+ *                               rows were paid / failed when it was settled.
+ *   painter_withdrawals.batch_id / failure_reason
+ *                             — the batch a withdrawal is paid in; why its
+ *                               payout failed (the request is back to pending).
+ *   ai_config painter_annual_withdrawal_window_days
+ *                             — how long the annual window stays open after
+ *                               painter_annual_withdrawal_month / _day (30).
+ *
+ * Access reuses painters.points — no new permission.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+const PAINTER_PAYOUT_COLUMNS = [
+    ['bank_account_name', 'VARCHAR(150) NULL'],
+    ['bank_name', 'VARCHAR(150) NULL'],
+    ['bank_account_number', 'VARCHAR(30) NULL'],
+    ['bank_ifsc_code', 'VARCHAR(11) NULL'],
+    ['upi_id', 'VARCHAR(100) NULL']
+];
+
+exports.up = async function up(pool) {
+    for (const [column, definition] of PAINTER_PAYOUT_COLUMNS) {
+        if (!(await columnInfo(pool, 'painters', column))) {
+            await pool.query(`ALTER TABLE painters ADD COLUMN ${column} ${definition}`);
+            console.log(`  ✓ painters.${column} added`);
+        }
+    }
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS painter_payout_batches (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            batch_number VARCHAR(30) NOT NULL UNIQUE,
+            mode ENUM('neft','upi') NOT NULL,
+            status ENUM('generated','paid','cancelled') NOT NULL DEFAULT 'generated',
+            row_count INT NOT NULL DEFAULT 0,
+            total_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+            paid_count INT NOT NULL DEFAULT 0,
+            paid_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+            failed_count INT NOT NULL DEFAULT 0,
+            notes VARCHAR(500) NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            file_downloaded_at DATETIME NULL,
+            settled_by INT NULL,
+            settled_at DATETIME NULL,
+            cancelled_by INT NULL,
+            cancelled_at DATETIME NULL,
+            INDEX idx_status (status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ painter_payout_batches table ensured');
+
+    if (!(await columnInfo(pool, 'painter_withdrawals', 'batch_id'))) {
+        await pool.query(
+            `ALTER TABLE painter_withdrawals
+             ADD COLUMN batch_id INT NULL AFTER payment_reference,
+             ADD COLUMN failure_reason VARCHAR(255) NULL AFTER batch_id,
+             ADD INDEX idx_batch (batch_id)`
+        );
+        console.log('  ✓ painter_withdrawals.batch_id / failure_reason added');
+    }
+
+    const [existing] = await pool.query(
+        "SELECT config_key FROM ai_config WHERE config_key = 'painter_annual_withdrawal_window_days'"
+    );
+    if (!existing.length) {
+        await pool.query(
+            "INSERT INTO ai_config (config_key, config_value) VALUES ('painter_annual_withdrawal_window_days', '30')"
+        );
+        console.log('  ✓ ai_config painter_annual_withdrawal_window_days seeded (30)');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_painter_payout_batches.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_painter_payout_batches.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,68 @@
+/**
+ * Payee snapshot on batched painter withdrawals (services/painter-payouts.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_painter_payout_batches.js.
+ *
+ *   painter_withdrawals.payee_name / payee_account_number / payee_ifsc_code /
+ *   payee_upi_id — the payout details a withdrawal was checked against when
+ *                  it went into a batch. The bank file and settlement read
+ *                  these, so a painter editing their profile afterwards can't
+ *                  redirect a payout already in a generated batch.
+ *
+ * Rows already sitting in a generated batch get their painter's current
+ * details as the snapshot, so those batches still produce a file.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    if (!(await columnInfo(pool, 'painter_withdrawals', 'payee_name'))) {
+        await pool.query(
+            `ALTER TABLE painter_withdrawals
+             ADD COLUMN payee_name VARCHAR(150) NULL AFTER failure_reason,
+             ADD COLUMN payee_account_number VARCHAR(30) NULL AFTER payee_name,
+             ADD COLUMN payee_ifsc_code VARCHAR(11) NULL AFTER payee_account_number,
+             ADD COLUMN payee_upi_id VARCHAR(100) NULL AFTER payee_ifsc_code`
+        );
+        console.log('  ✓ painter_withdrawals.payee_* added');
+
+        const [snap] = await pool.query(
+            `UPDATE painter_withdrawals pw
+             JOIN painter_payout_batches b ON b.id = pw.batch_id AND b.status = 'generated'
+             JOIN painters p ON p.id = pw.painter_id
+             SET pw.payee_name = TRIM(COALESCE(NULLIF(p.bank_account_name, ''), p.full_name)),
+                 pw.payee_account_number = IF(b.mode = 'neft', REPLACE(p.bank_account_number, ' ', ''), NULL),
+                 pw.payee_ifsc_code = IF(b.mode = 'neft', UPPER(TRIM(p.bank_ifsc_code)), NULL),
+                 pw.payee_upi_id = IF(b.mode = 'upi', TRIM(p.upi_id), NULL)
+             WHERE pw.status = 'approved' AND pw.payee_name IS NULL`
+        );
+        if (snap.affectedRows) console.log(`  ✓ payee snapshot taken for ${snap.affectedRows} batched withdrawal(s)`);
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_painter_payout_payee.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_painter_payout_payee.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,110 @@
+/**
+ * Regular-pool points expiry — FIFO per earn transaction
+ * (services/painter-points-expiry.js, nightly job in painter-scheduler.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_painter_payout_batches.js.
+ *
+ *   painter_point_transactions.expires_at     — when an earn row's points
+ *                                                expire (earn date + months).
+ *   painter_point_transactions.expired_points — how much of the earn row has
+ *                                                expired so far.
+ *   painter_point_transactions.source += 'expiry'.
+ *   painter_points_expiry_warnings            — one row per warning sent
+ *                                                (painter, expiry date,
+ *                                                threshold); the key is the
+ *                                                send-once claim.
+ *   ai_config painter_points_expiry_enabled (0) / _months (18) /
+ *             _warn_days ('30,7') / _whatsapp (1).
+ *
+ * Existing regular earn rows are left unstamped: the first nightly run after
+ * painter_points_expiry_enabled is set to '1' stamps them, no sooner than the
+ * widest warning away, so old points get their warnings before they expire.
+ * The job stays off until then, so turning the policy on is a deliberate step.
+ */
+
+const RUNTIME_SOURCES = ['expiry'];
+
+const CONFIG = [
+    ['painter_points_expiry_enabled', '0'],
+    ['painter_points_expiry_months', '18'],
+    ['painter_points_expiry_warn_days', '30,7'],
+    ['painter_points_expiry_whatsapp', '1']
+];
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    if (!(await columnInfo(pool, 'painter_point_transactions', 'expires_at'))) {
+        await pool.query(
+            `ALTER TABLE painter_point_transactions
+             ADD COLUMN expires_at DATE NULL,
+             ADD COLUMN expired_points DECIMAL(12,2) NULL,
+             ADD INDEX idx_expiry (pool, type, expires_at)`
+        );
+        console.log('  ✓ painter_point_transactions.expires_at / expired_points added');
+    }
+
+    // ── painter_point_transactions.source ENUM additions ──
+    const col = await columnInfo(pool, 'painter_point_transactions', 'source');
+    if (!col) {
+        console.log('  [skip] painter_point_transactions.source not found');
+    } else if (col.type.toLowerCase().startsWith('enum(')) {
+        const values = (col.type.match(/'([^']*)'/g) || []).map(v => v.slice(1, -1));
+        const missing = RUNTIME_SOURCES.filter(v => !values.includes(v));
+        if (missing.length) {
+            const newValues = [...values, ...missing].map(v => `'${v}'`).join(',');
+            const nullSql = col.nullable ? 'DEFAULT NULL' : 'NOT NULL';
+            await pool.query(
+                `ALTER TABLE painter_point_transactions MODIFY COLUMN source ENUM(${newValues}) ${nullSql}`
+            );
+            console.log(`  ✓ painter_point_transactions.source += ${missing.join(', ')}`);
+        }
+    }
+
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS painter_points_expiry_warnings (
+            painter_id INT NOT NULL,
+            expires_on DATE NOT NULL,
+            days_before INT NOT NULL,
+            points DECIMAL(12,2) NOT NULL,
+            sent_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            PRIMARY KEY (painter_id, expires_on, days_before)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ painter_points_expiry_warnings table ensured');
+
+    for (const [key, value] of CONFIG) {
+        const [existing] = await pool.query('SELECT config_key FROM ai_config WHERE config_key = ?', [key]);
+        if (!existing.length) {
+            await pool.query('INSERT INTO ai_config (config_key, config_value) VALUES (?, ?)', [key, value]);
+            console.log(`  ✓ ai_config ${key} seeded (${value})`);
+        }
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_painter_points_expiry.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_painter_points_expiry.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
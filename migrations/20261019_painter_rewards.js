@@ -0,0 +1,169 @@
+/**
+ * Painter rewards catalogue — redeem points for gifts, tools and store-credit
+ * vouchers (services/painter-rewards.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_stock_transfers.js.
+ *
+ *   painter_rewards            — the catalogue: point price, stock (NULL =
+ *                                unlimited), lowest painter level allowed and
+ *                                how it reaches the painter (pickup / dispatch).
+ *   painter_reward_redemptions — one row per redemption (RW-YYYYMMDD-###):
+ *                                points paid, pickup branch or delivery
+ *                                address, the queue status and the hashed
+ *                                handover OTP the painter shows at handover.
+ *   painter_point_transactions.source += 'reward'.
+ *   permissions                — painters.reward_fulfil (hand rewards over at
+ *                                the counter / mark them dispatched), assigned
+ *                                to branch staff as well as admin/manager,
+ *                                like zoho.stock_transfer.
+ *
+ * Catalogue management reuses painters.points.
+ */
+
+const RUNTIME_SOURCES = ['reward'];
+
+// [module, action, display name, description, roles granted]
+const PERMISSIONS = [
+    ['painters', 'reward_fulfil', 'Fulfil Painter Rewards', 'Hand redeemed rewards over at the branch and dispatch delivered ones',
+        ['staff', 'manager', 'admin', 'super_admin']]
+];
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS painter_rewards (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            name VARCHAR(150) NOT NULL,
+            description TEXT NULL,
+            category ENUM('gift','tool','voucher') NOT NULL DEFAULT 'gift',
+            points_cost DECIMAL(12,2) NOT NULL,
+            voucher_value DECIMAL(12,2) NULL,
+            stock INT NULL,
+            min_level VARCHAR(20) NOT NULL DEFAULT 'bronze',
+            fulfilment ENUM('pickup','dispatch','either') NOT NULL DEFAULT 'either',
+            image_url VARCHAR(500) NULL,
+            max_per_painter INT NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            sort_order INT NOT NULL DEFAULT 0,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_active (is_active, sort_order)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS painter_reward_redemptions (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            redemption_number VARCHAR(30) NOT NULL UNIQUE,
+            painter_id INT NOT NULL,
+            reward_id INT NOT NULL,
+            reward_name VARCHAR(150) NOT NULL,
+            category ENUM('gift','tool','voucher') NOT NULL,
+            quantity INT NOT NULL DEFAULT 1,
+            points_each DECIMAL(12,2) NOT NULL,
+            total_points DECIMAL(12,2) NOT NULL,
+            voucher_value DECIMAL(12,2) NULL,
+            voucher_code VARCHAR(20) NULL UNIQUE,
+            fulfilment ENUM('pickup','dispatch') NOT NULL,
+            branch_id INT NULL,
+            delivery_address VARCHAR(500) NULL,
+            status ENUM('requested','ready','dispatched','delivered','cancelled') NOT NULL DEFAULT 'requested',
+            handover_otp_hash CHAR(64) NULL,
+            handover_otp_attempts INT NOT NULL DEFAULT 0,
+            handover_otp_sent_at DATETIME NULL,
+            courier_name VARCHAR(100) NULL,
+            tracking_number VARCHAR(100) NULL,
+            requested_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            ready_at DATETIME NULL,
+            dispatched_at DATETIME NULL,
+            delivered_at DATETIME NULL,
+            handed_over_by INT NULL,
+            cancelled_at DATETIME NULL,
+            cancelled_by INT NULL,
+            cancel_reason VARCHAR(255) NULL,
+            INDEX idx_painter (painter_id),
+            INDEX idx_queue (status, fulfilment, branch_id),
+            INDEX idx_reward (reward_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ painter_rewards / painter_reward_redemptions tables ensured');
+
+    // ── painter_point_transactions.source ENUM additions ──
+    const col = await columnInfo(pool, 'painter_point_transactions', 'source');
+    if (!col) {
+        console.log('  [skip] painter_point_transactions.source not found');
+    } else if (col.type.toLowerCase().startsWith('enum(')) {
+        const values = (col.type.match(/'([^']*)'/g) || []).map(v => v.slice(1, -1));
+        const missing = RUNTIME_SOURCES.filter(v => !values.includes(v));
+        if (missing.length) {
+            const newValues = [...values, ...missing].map(v => `'${v}'`).join(',');
+            const nullSql = col.nullable ? 'DEFAULT NULL' : 'NOT NULL';
+            await pool.query(
+                `ALTER TABLE painter_point_transactions MODIFY COLUMN source ENUM(${newValues}) ${nullSql}`
+            );
+            console.log(`  ✓ painter_point_transactions.source += ${missing.join(', ')}`);
+        }
+    }
+
+    for (const [module, action, displayName, description, roleNames] of PERMISSIONS) {
+        const [existing] = await pool.query(
+            'SELECT id FROM permissions WHERE module = ? AND action = ?',
+            [module, action]
+        );
+        let permId = existing.length ? existing[0].id : null;
+        if (!permId) {
+            const [ins] = await pool.query(
+                'INSERT INTO permissions (module, action, display_name, description) VALUES (?, ?, ?, ?)',
+                [module, action, displayName, description]
+            );
+            permId = ins.insertId;
+            console.log(`  ✓ permission ${module}.${action} added`);
+        }
+
+        const [roles] = await pool.query(
+            "SELECT id FROM roles WHERE name IN (?) AND status = 'active'",
+            [roleNames]
+        );
+        for (const role of roles) {
+            const [exists] = await pool.query(
+                'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ?',
+                [role.id, permId]
+            );
+            if (!exists.length) {
+                await pool.query(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [role.id, permId]
+                );
+            }
+        }
+        console.log(`  ✓ ${module}.${action} assigned to ${roleNames.join('/')}`);
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_painter_rewards.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_painter_rewards.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,80 @@
+/**
+ * Effective-dated price changes (services/scheduled-prices.js,
+ * services/scheduled-prices-scheduler.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_dunning_ladder.js.
+ *
+ *   dpl_price_history.effective_date — the day the price took (or takes)
+ *                           effect; history is filtered and ordered by it.
+ *                           Existing rows are backfilled from changed_at.
+ *   dpl_price_history.status — 'applied' (every existing row), 'scheduled'
+ *                           (item-master dpl-apply with a future date, not yet
+ *                           on the item) or 'cancelled'
+ *   dpl_price_history.simulation_id — set when the change came from a
+ *                           scheduled DPL simulation (dpl_price_simulations)
+ *
+ * Scheduled DPL catalog changes reuse dpl_price_simulations.status =
+ * 'scheduled' + effective_date from 20261019_dpl_price_simulations.js.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+async function indexExists(pool, table, index) {
+    const [rows] = await pool.query(
+        `SELECT 1 FROM information_schema.STATISTICS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND INDEX_NAME = ? LIMIT 1`,
+        [table, index]
+    );
+    return rows.length > 0;
+}
+
+exports.up = async function up(pool) {
+    const historyColumns = [
+        ['effective_date', 'DATE NULL'],
+        ['status', "ENUM('applied','scheduled','cancelled') NOT NULL DEFAULT 'applied'"],
+        ['simulation_id', 'INT NULL']
+    ];
+    for (const [column, definition] of historyColumns) {
+        if (!(await columnInfo(pool, 'dpl_price_history', column))) {
+            await pool.query(`ALTER TABLE dpl_price_history ADD COLUMN ${column} ${definition}`);
+            console.log(`  ✓ dpl_price_history.${column} added`);
+        }
+    }
+
+    const [backfill] = await pool.query(
+        'UPDATE dpl_price_history SET effective_date = DATE(changed_at) WHERE effective_date IS NULL'
+    );
+    if (backfill.affectedRows) console.log(`  ✓ dpl_price_history.effective_date backfilled on ${backfill.affectedRows} rows`);
+
+    if (!(await indexExists(pool, 'dpl_price_history', 'idx_status_effective'))) {
+        await pool.query('ALTER TABLE dpl_price_history ADD INDEX idx_status_effective (status, effective_date)');
+        console.log('  ✓ dpl_price_history.idx_status_effective added');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_scheduled_price_changes.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_scheduled_price_changes.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,118 @@
+/**
+ * Shift rosters and per-staff schedules (services/shifts.js, routes/shifts.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_leave_management.js.
+ *
+ *   shifts                 — named shift timings (branch_id NULL = any branch):
+ *                            start / end, unpaid break, expected hours, late grace
+ *   staff_shift_defaults   — per staff: the usual shift and the weekly-off day
+ *                            (default Sunday, today's rule for everyone)
+ *   staff_rosters          — per staff per date: a shift, or a rostered day off;
+ *                            overrides the defaults
+ *   shift_swap_requests    — two staff trading their rostered days; a manager
+ *                            approves through the approval workflow
+ *   staff_attendance.shift_id — the shift the day was judged against
+ *
+ * Staff with no defaults row and no roster rows keep the branch's
+ * shop_hours_config timing exactly as before. Access reuses attendance.*
+ * — no new permission.
+ */
+
+async function columnExists(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT 1 FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length > 0;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS shifts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            branch_id INT NULL,
+            name VARCHAR(100) NOT NULL,
+            start_time TIME NOT NULL,
+            end_time TIME NOT NULL,
+            break_minutes INT NOT NULL DEFAULT 0,
+            expected_hours DECIMAL(4,2) NOT NULL,
+            late_threshold_minutes INT NOT NULL DEFAULT 15,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_branch (branch_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS staff_shift_defaults (
+            user_id INT PRIMARY KEY,
+            shift_id INT NULL,
+            weekly_off_day ENUM('monday','tuesday','wednesday','thursday','friday','saturday','sunday') NOT NULL DEFAULT 'sunday',
+            updated_by INT NULL,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            FOREIGN KEY (shift_id) REFERENCES shifts(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS staff_rosters (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            user_id INT NOT NULL,
+            roster_date DATE NOT NULL,
+            shift_id INT NULL,
+            is_off TINYINT(1) NOT NULL DEFAULT 0,
+            source ENUM('manual','swap') NOT NULL DEFAULT 'manual',
+            updated_by INT NULL,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            UNIQUE KEY uq_user_date (user_id, roster_date),
+            INDEX idx_date (roster_date),
+            FOREIGN KEY (shift_id) REFERENCES shifts(id) ON DELETE SET NULL
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS shift_swap_requests (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            requester_id INT NOT NULL,
+            requester_date DATE NOT NULL,
+            target_user_id INT NOT NULL,
+            target_date DATE NOT NULL,
+            branch_id INT NULL,
+            reason VARCHAR(500) NULL,
+            status ENUM('pending','approved','rejected','cancelled') NOT NULL DEFAULT 'pending',
+            reviewed_by INT NULL,
+            reviewed_at DATETIME NULL,
+            review_notes VARCHAR(500) NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_status (status),
+            INDEX idx_requester (requester_id),
+            INDEX idx_target (target_user_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ shifts / staff_shift_defaults / staff_rosters / shift_swap_requests tables ensured');
+
+    if (!(await columnExists(pool, 'staff_attendance', 'shift_id'))) {
+        await pool.query('ALTER TABLE staff_attendance ADD COLUMN shift_id INT NULL AFTER expected_hours');
+        console.log('  ✓ staff_attendance.shift_id added');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_shift_rosters.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_shift_rosters.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,164 @@
+/**
+ * Inter-branch stock transfer requests (services/stock-transfers.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_vendor_goods_receipts.js.
+ *
+ *   stock_transfers       — one row per request (ST-YYYYMMDD-###): source and
+ *                           destination location + branch, the workflow status
+ *                           requested → approved → in_transit → received
+ *                           (or rejected / cancelled), who did each step, and
+ *                           the two Zoho inventory adjustments (OUT at the
+ *                           source on dispatch, IN at the destination on
+ *                           receipt) + the last push error.
+ *   stock_transfer_items  — requested / approved / dispatched / received
+ *                           quantity per item; a short receipt carries a note.
+ *   zoho_purchase_suggestions.suggestion_type / transfer_from_* / transfer_id
+ *                         — a suggestion can now be "move N from a sister
+ *                           branch's surplus" instead of "buy N", and links
+ *                           to the transfer request raised from it.
+ *   permissions           — zoho.stock_transfer (request / dispatch / receive)
+ *                           for branch staff as well as admin/manager, and
+ *                           zoho.stock_transfer_approve (approve or reject at
+ *                           the source branch) for admin/manager, like
+ *                           migrations/20261019_branch_day_close.js.
+ */
+
+// [module, action, display name, description, roles granted]
+const PERMISSIONS = [
+    ['zoho', 'stock_transfer', 'Stock Transfers', 'Request stock from a sister branch, dispatch and receive transfers',
+        ['staff', 'manager', 'admin', 'super_admin']],
+    ['zoho', 'stock_transfer_approve', 'Approve Stock Transfers', 'Approve or reject transfer requests against your branch\'s stock',
+        ['manager', 'admin', 'super_admin']]
+];
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS stock_transfers (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            transfer_number VARCHAR(30) NOT NULL UNIQUE,
+            from_branch_id INT NULL,
+            from_location_id VARCHAR(50) NOT NULL,
+            from_location_name VARCHAR(255) NULL,
+            to_branch_id INT NULL,
+            to_location_id VARCHAR(50) NOT NULL,
+            to_location_name VARCHAR(255) NULL,
+            status ENUM('requested','approved','rejected','in_transit','received','cancelled') NOT NULL DEFAULT 'requested',
+            source ENUM('manual','suggestion') NOT NULL DEFAULT 'manual',
+            notes TEXT NULL,
+            requested_by INT NULL,
+            approved_by INT NULL,
+            approved_at DATETIME NULL,
+            rejected_by INT NULL,
+            rejected_at DATETIME NULL,
+            rejection_reason VARCHAR(500) NULL,
+            dispatched_by INT NULL,
+            dispatched_at DATETIME NULL,
+            received_by INT NULL,
+            received_at DATETIME NULL,
+            cancelled_by INT NULL,
+            cancelled_at DATETIME NULL,
+            has_discrepancy TINYINT(1) NOT NULL DEFAULT 0,
+            zoho_out_adjustment_id VARCHAR(50) NULL,
+            zoho_in_adjustment_id VARCHAR(50) NULL,
+            zoho_push_error VARCHAR(255) NULL,
+            zoho_push_attempted_at DATETIME NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_status (status),
+            INDEX idx_from_branch (from_branch_id),
+            INDEX idx_to_branch (to_branch_id),
+            INDEX idx_to_location (to_location_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS stock_transfer_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            transfer_id INT NOT NULL,
+            zoho_item_id VARCHAR(50) NOT NULL,
+            item_name VARCHAR(255) NULL,
+            sku VARCHAR(100) NULL,
+            requested_qty DECIMAL(10,2) NOT NULL,
+            approved_qty DECIMAL(10,2) NULL,
+            dispatched_qty DECIMAL(10,2) NULL,
+            received_qty DECIMAL(10,2) NULL,
+            discrepancy_note VARCHAR(255) NULL,
+            FOREIGN KEY (transfer_id) REFERENCES stock_transfers(id) ON DELETE CASCADE,
+            INDEX idx_item (zoho_item_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ stock_transfers / stock_transfer_items tables ensured');
+
+    if (!(await columnInfo(pool, 'zoho_purchase_suggestions', 'suggestion_type'))) {
+        await pool.query(
+            `ALTER TABLE zoho_purchase_suggestions
+             ADD COLUMN suggestion_type ENUM('purchase','transfer') NOT NULL DEFAULT 'purchase' AFTER batch_id,
+             ADD COLUMN transfer_from_location_id VARCHAR(50) NULL AFTER suggested_qty,
+             ADD COLUMN transfer_from_branch VARCHAR(100) NULL AFTER transfer_from_location_id,
+             ADD COLUMN transfer_id INT NULL AFTER transfer_from_branch`
+        );
+        console.log('  ✓ zoho_purchase_suggestions transfer columns added');
+    }
+
+    for (const [module, action, displayName, description, roleNames] of PERMISSIONS) {
+        const [existing] = await pool.query(
+            'SELECT id FROM permissions WHERE module = ? AND action = ?',
+            [module, action]
+        );
+        let permId = existing.length ? existing[0].id : null;
+        if (!permId) {
+            const [ins] = await pool.query(
+                'INSERT INTO permissions (module, action, display_name, description) VALUES (?, ?, ?, ?)',
+                [module, action, displayName, description]
+            );
+            permId = ins.insertId;
+            console.log(`  ✓ permission ${module}.${action} added`);
+        }
+
+        const [roles] = await pool.query(
+            "SELECT id FROM roles WHERE name IN (?) AND status = 'active'",
+            [roleNames]
+        );
+        for (const role of roles) {
+            const [exists] = await pool.query(
+                'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ?',
+                [role.id, permId]
+            );
+            if (!exists.length) {
+                await pool.query(
+                    'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                    [role.id, permId]
+                );
+            }
+        }
+        console.log(`  ✓ ${module}.${action} assigned to ${roleNames.join('/')}`);
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_stock_transfers.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_stock_transfers.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,104 @@
+/**
+ * Tint formula registry (services/tint-formulas.js).
+ *
+ * Additive-only and guarded so the migration is safe to re-run.
+ * Pattern: migrations/20261019_item_barcodes.js.
+ *
+ *   tint_formulas — shade code + base item + colorant shots per litre +
+ *                   machine, linked to an estimate line or a billing invoice
+ *                   line; customer_phone holds the last 10 digits so repeat
+ *                   orders are found by phone.
+ *   permissions   — billing.tint (record / edit formulas), assigned to every
+ *                   role that already holds billing.invoice (the counter
+ *                   tints what it bills).
+ */
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS tint_formulas (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            shade_code VARCHAR(30) NOT NULL,
+            shade_name VARCHAR(100) NULL,
+            brand_code VARCHAR(50) NULL,
+            shade_hex VARCHAR(7) NULL,
+            base_zoho_item_id VARCHAR(50) NULL,
+            base_item_name VARCHAR(255) NULL,
+            base_key VARCHAR(20) NULL,
+            pack_size VARCHAR(50) NULL,
+            machine_name VARCHAR(100) NULL,
+            colorants JSON NOT NULL,
+            customer_name VARCHAR(255) NULL,
+            customer_phone VARCHAR(10) NULL,
+            estimate_id INT NULL,
+            estimate_item_id INT NULL,
+            invoice_id INT NULL,
+            invoice_item_id INT NULL,
+            branch_id INT NULL,
+            notes VARCHAR(500) NULL,
+            is_active TINYINT(1) NOT NULL DEFAULT 1,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+            INDEX idx_customer_phone (customer_phone),
+            INDEX idx_shade_code (shade_code),
+            INDEX idx_invoice (invoice_id),
+            INDEX idx_estimate (estimate_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ tint_formulas table ensured');
+
+    const [existing] = await pool.query(
+        "SELECT id FROM permissions WHERE module = 'billing' AND action = 'tint'"
+    );
+    if (!existing.length) {
+        await pool.query(
+            'INSERT INTO permissions (module, action, display_name, description) VALUES (?, ?, ?, ?)',
+            ['billing', 'tint', 'Tint Formulas', 'Record and edit tinting formulas on estimates and invoices']
+        );
+        console.log('  ✓ permission billing.tint added');
+    }
+
+    const [[perm]] = await pool.query(
+        "SELECT id FROM permissions WHERE module = 'billing' AND action = 'tint'"
+    );
+    const [roles] = await pool.query(
+        `SELECT DISTINCT rp.role_id AS id
+         FROM role_permissions rp
+         JOIN permissions p ON p.id = rp.permission_id
+         WHERE p.module = 'billing' AND p.action = 'invoice'
+         UNION
+         SELECT id FROM roles WHERE name IN ('admin', 'manager', 'super_admin') AND status = 'active'`
+    );
+    for (const role of roles) {
+        const [exists] = await pool.query(
+            'SELECT id FROM role_permissions WHERE role_id = ? AND permission_id = ?',
+            [role.id, perm.id]
+        );
+        if (!exists.length) {
+            await pool.query(
+                'INSERT INTO role_permissions (role_id, permission_id) VALUES (?, ?)',
+                [role.id, perm.id]
+            );
+        }
+    }
+    console.log('  ✓ billing.tint assigned to billing.invoice roles + admin/manager');
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_tint_formulas.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_tint_formulas.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
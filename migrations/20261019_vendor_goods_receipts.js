@@ -0,0 +1,112 @@
+/**
+ * Goods receipts (GRN) against purchase orders + the PO / GRN / bill
+ * three-way match (services/vendor-three-way-match.js).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_vendor_purchase_returns.js.
+ *
+ *   vendor_goods_receipts        — one row per delivery (GRN-YYYYMMDD-###):
+ *                                  the PO, the branch it arrived at, who took it.
+ *   vendor_goods_receipt_items   — quantity received per PO line, with the
+ *                                  line's short / ok / excess flag as of that
+ *                                  receipt (cumulative against the ordered qty).
+ *   vendor_po_items.received_qty — running total of the receipts per line.
+ *   vendor_purchase_orders.receipt_status   — none / partial / complete / excess
+ *                                  (separate from status, whose 'received'
+ *                                  still means "converted to a bill").
+ *   vendor_purchase_orders.stock_applied_on_convert — set when convert-to-bill
+ *                                  bumped the stock cache itself (no GRN yet),
+ *                                  so later receipts don't count the tins twice.
+ *   vendor_bills.three_way_*     — the stored match verdict + the manager
+ *                                  override that lets a mismatch be pushed.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS vendor_goods_receipts (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            grn_number VARCHAR(30) NOT NULL UNIQUE,
+            po_id INT NOT NULL,
+            vendor_id INT NOT NULL,
+            zoho_location_id VARCHAR(50) NULL,
+            zoho_location_name VARCHAR(255) NULL,
+            notes TEXT NULL,
+            received_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_po_id (po_id),
+            INDEX idx_vendor_id (vendor_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS vendor_goods_receipt_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            grn_id INT NOT NULL,
+            po_item_id INT NOT NULL,
+            zoho_item_id VARCHAR(50) NULL,
+            item_name VARCHAR(255) NOT NULL,
+            ordered_qty DECIMAL(10,2) NOT NULL DEFAULT 0,
+            received_qty DECIMAL(10,2) NOT NULL,
+            flag ENUM('short','ok','excess') NOT NULL DEFAULT 'ok',
+            notes VARCHAR(255) NULL,
+            FOREIGN KEY (grn_id) REFERENCES vendor_goods_receipts(id) ON DELETE CASCADE,
+            INDEX idx_po_item_id (po_item_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ vendor_goods_receipts / vendor_goods_receipt_items tables ensured');
+
+    if (!(await columnInfo(pool, 'vendor_po_items', 'received_qty'))) {
+        await pool.query('ALTER TABLE vendor_po_items ADD COLUMN received_qty DECIMAL(10,2) NOT NULL DEFAULT 0 AFTER quantity');
+        console.log('  ✓ vendor_po_items.received_qty added');
+    }
+    if (!(await columnInfo(pool, 'vendor_purchase_orders', 'receipt_status'))) {
+        await pool.query(
+            `ALTER TABLE vendor_purchase_orders
+             ADD COLUMN receipt_status ENUM('none','partial','complete','excess') NOT NULL DEFAULT 'none' AFTER status`
+        );
+        console.log('  ✓ vendor_purchase_orders.receipt_status added');
+    }
+    if (!(await columnInfo(pool, 'vendor_purchase_orders', 'stock_applied_on_convert'))) {
+        await pool.query('ALTER TABLE vendor_purchase_orders ADD COLUMN stock_applied_on_convert TINYINT(1) NOT NULL DEFAULT 0 AFTER receipt_status');
+        console.log('  ✓ vendor_purchase_orders.stock_applied_on_convert added');
+    }
+
+    if (!(await columnInfo(pool, 'vendor_bills', 'three_way_status'))) {
+        await pool.query(
+            `ALTER TABLE vendor_bills
+             ADD COLUMN three_way_status ENUM('not_applicable','matched','mismatch') NOT NULL DEFAULT 'not_applicable' AFTER ai_verification_result,
+             ADD COLUMN three_way_result LONGTEXT NULL AFTER three_way_status,
+             ADD COLUMN three_way_overridden_by INT NULL AFTER three_way_result,
+             ADD COLUMN three_way_overridden_at DATETIME NULL AFTER three_way_overridden_by,
+             ADD COLUMN three_way_override_note VARCHAR(500) NULL AFTER three_way_overridden_at`
+        );
+        console.log('  ✓ vendor_bills.three_way_* columns added');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_vendor_goods_receipts.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_vendor_goods_receipts.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -0,0 +1,103 @@
+/**
+ * Purchase returns against vendor bills (damaged / wrong-shade tins sent back
+ * to the distributor).
+ *
+ * Additive-only and information_schema-guarded so the migration is safe to
+ * re-run. Pattern: migrations/20261019_billing_sales_returns.js.
+ *
+ *   vendor_purchase_returns      — one row per return (PR-YYYYMMDD-###): the
+ *                                  stock location it leaves from, money totals,
+ *                                  how much was offset against the bill's unpaid
+ *                                  balance vs still due back from the vendor
+ *                                  (credit_due / credit_received / credit_status
+ *                                  drive the open-returns view), and the Zoho
+ *                                  vendor-credit (debit note) link + push stamp.
+ *   vendor_purchase_return_items — returned quantity + reason per bill line.
+ *   vendor_bills.returned_amount — running total of returns; the payment
+ *                                  settlement nets it off grand_total.
+ */
+
+async function columnInfo(pool, table, column) {
+    const [rows] = await pool.query(
+        `SELECT COLUMN_TYPE, IS_NULLABLE FROM information_schema.COLUMNS
+         WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND COLUMN_NAME = ?`,
+        [table, column]
+    );
+    return rows.length ? { type: String(rows[0].COLUMN_TYPE), nullable: rows[0].IS_NULLABLE === 'YES' } : null;
+}
+
+exports.up = async function up(pool) {
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS vendor_purchase_returns (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            return_number VARCHAR(30) NOT NULL UNIQUE,
+            vendor_id INT NOT NULL,
+            bill_id INT NOT NULL,
+            notes TEXT NULL,
+            zoho_location_id VARCHAR(50) NULL,
+            zoho_location_name VARCHAR(255) NULL,
+            subtotal DECIMAL(12,2) NOT NULL DEFAULT 0,
+            discount_share DECIMAL(12,2) NOT NULL DEFAULT 0,
+            tax_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+            total DECIMAL(12,2) NOT NULL DEFAULT 0,
+            adjusted_amount DECIMAL(12,2) NOT NULL DEFAULT 0,
+            credit_due DECIMAL(12,2) NOT NULL DEFAULT 0,
+            credit_received DECIMAL(12,2) NOT NULL DEFAULT 0,
+            credit_status ENUM('open','settled') NOT NULL DEFAULT 'open',
+            credit_reference VARCHAR(100) NULL,
+            credit_settled_at DATETIME NULL,
+            zoho_status ENUM('pending','pushed','failed') NOT NULL DEFAULT 'pending',
+            zoho_vendor_credit_id VARCHAR(50) NULL,
+            zoho_vendor_credit_number VARCHAR(50) NULL,
+            zoho_applied_amount DECIMAL(12,2) NULL,
+            zoho_push_error VARCHAR(255) NULL,
+            zoho_push_attempted_at DATETIME NULL,
+            created_by INT NULL,
+            created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+            INDEX idx_vendor_id (vendor_id),
+            INDEX idx_bill_id (bill_id),
+            INDEX idx_credit_status (credit_status),
+            INDEX idx_zoho_status (zoho_status)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    await pool.query(
+        `CREATE TABLE IF NOT EXISTS vendor_purchase_return_items (
+            id INT AUTO_INCREMENT PRIMARY KEY,
+            return_id INT NOT NULL,
+            bill_item_id INT NOT NULL,
+            zoho_item_id VARCHAR(50) NULL,
+            item_name VARCHAR(255) NOT NULL,
+            quantity DECIMAL(10,2) NOT NULL,
+            unit_price DECIMAL(10,2) NOT NULL DEFAULT 0,
+            line_total DECIMAL(12,2) NOT NULL DEFAULT 0,
+            reason_code VARCHAR(30) NOT NULL,
+            FOREIGN KEY (return_id) REFERENCES vendor_purchase_returns(id) ON DELETE CASCADE,
+            INDEX idx_bill_item_id (bill_item_id)
+        ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4 COLLATE=utf8mb4_unicode_ci`
+    );
+    console.log('  ✓ vendor_purchase_returns / vendor_purchase_return_items tables ensured');
+
+    if (!(await columnInfo(pool, 'vendor_bills', 'returned_amount'))) {
+        await pool.query('ALTER TABLE vendor_bills ADD COLUMN returned_amount DECIMAL(12,2) NOT NULL DEFAULT 0 AFTER grand_total');
+        console.log('  ✓ vendor_bills.returned_amount added');
+    }
+};
+
+// Direct-run support for prod (the pre-2026-04-30 _migrations gap):
+//   node migrations/20261019_vendor_purchase_returns.js
+//   then: INSERT IGNORE INTO _migrations (name) VALUES ('20261019_vendor_purchase_returns.js');
+if (require.main === module) {
+    (async () => {
+        require('dotenv').config();
+        const { createPool } = require('../config/database');
+        const pool = createPool();
+        try {
+            await exports.up(pool);
+            console.log('Done.');
+            process.exit(0);
+        } catch (err) {
+            console.error('Migration failed:', err.message);
+            process.exit(1);
+        }
+    })();
+}
@@ -89,7 +89,7 @@ async function loadBill() {
         document.getElementById('custPhone').textContent = inv.customer_phone ? 'Phone: ' + inv.customer_phone : '';
         document.getElementById('custAddress').textContent = inv.customer_address || '';
 
-        renderItems(items);
+        renderItems(items, data.tint_formulas || []);
         renderTotals(inv);
         renderPayments(payments);
 
@@ -115,7 +115,7 @@ async function loadBill() {
 // ========================================
 // RENDER
 // ========================================
-function renderItems(items) {
+function renderItems(items, tintFormulas) {
     const tbody = document.getElementById('itemsBody');
     if (!items.length) {
         tbody.innerHTML = '<tr><td colspan="5" class="text-center py-8 text-gray-400">No items</td></tr>';
@@ -130,9 +130,15 @@ function renderItems(items) {
         const qtyDisp = Number.isInteger(qty) ? qty : qty.toFixed(2);
         const rate = parseFloat(item.unit_price) || 0;
         const total = parseFloat(item.line_total) || (qty * rate);
+        // Tint recipe (shade, base, machine, shots for this pack) so a repeat
+        // order can be re-tinted from the bill.
+        const tints = (tintFormulas || []).filter(f => Number(f.invoice_item_id) === Number(item.id));
+        const tintHtml = tints.map(f =>
+            `<div style="font-size:10px; font-weight:500; color: var(--text-light); margin-top:2px;">Tint: ${escapeHtml(f.print)}</div>`
+        ).join('');
         return `<tr>
             <td style="color: var(--text-light); font-weight:600;">${i + 1}</td>
-            <td style="font-weight:600;">${name}${pack}</td>
+            <td style="font-weight:600;">${name}${pack}${tintHtml}</td>
             <td style="text-align:right;">${qtyDisp}</td>
             <td style="text-align:right;">${formatINR(rate)}</td>
             <td style="text-align:right; font-weight:700;">${formatINR(total)}</td>
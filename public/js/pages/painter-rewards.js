@@ -0,0 +1,208 @@
+    const API = '/api/painters';
+    let rewards = [];
+    let branches = [];
+    let selected = null;
+    let redeemKey = null; // one Idempotency-Key per opened sheet, so a double tap redeems once
+
+    function painterHeaders() {
+        return {
+            'Content-Type': 'application/json',
+            'X-Painter-Token': localStorage.getItem('painter_token') || ''
+        };
+    }
+
+    // Check auth
+    if (!localStorage.getItem('painter_token')) {
+        window.location.href = '/painter-login.html';
+    }
+
+    // ============ Toast ============
+    function showToast(msg, type) {
+        const toast = document.createElement('div');
+        toast.className = 'fixed top-4 left-1/2 -translate-x-1/2 px-4 py-2.5 rounded-lg text-sm font-medium z-[200] '
+            + (type === 'error' ? 'bg-red-600' : 'bg-emerald-600') + ' text-white shadow-lg';
+        toast.style.transform = 'translateX(-50%)';
+        toast.textContent = msg;
+        document.body.appendChild(toast);
+        setTimeout(function() { toast.style.opacity = '0'; toast.style.transition = 'opacity 0.3s'; }, 2500);
+        setTimeout(function() { toast.remove(); }, 3000);
+    }
+
+    function esc(s) {
+        const div = document.createElement('div');
+        div.textContent = s == null ? '' : String(s);
+        return div.innerHTML;
+    }
+
+    function fmtPoints(n) {
+        return (parseFloat(n) || 0).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+    }
+
+    // ============ Catalogue ============
+    async function loadCatalogue() {
+        const el = document.getElementById('tab-catalogue');
+        try {
+            const res = await fetch(`${API}/me/rewards`, { headers: painterHeaders() });
+            if (res.status === 401) { window.location.href = '/painter-login.html'; return; }
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message);
+            rewards = data.rewards;
+            branches = data.branches || [];
+            document.getElementById('balance').textContent = fmtPoints(data.balance);
+            document.getElementById('level').textContent = data.level;
+            if (!rewards.length) {
+                el.innerHTML = '<div class="col-span-2 text-center text-gray-400 text-sm py-8">No rewards available right now</div>';
+                return;
+            }
+            el.innerHTML = rewards.map(r => `
+                <div class="reward-card">
+                    <div class="reward-img" ${r.image_url ? `style="background-image:url('${esc(r.image_url)}')"` : ''}>${r.image_url ? '' : esc(r.category)}</div>
+                    <div class="reward-body">
+                        <div class="font-semibold text-sm">${esc(r.name)}</div>
+                        ${r.category === 'voucher' ? `<div class="text-xs text-gray-500">Store credit ₹${fmtPoints(r.voucher_value)}</div>` : ''}
+                        <div class="reward-cost">${fmtPoints(r.points_cost)} pts</div>
+                        ${r.stock !== null && r.stock <= 5 && r.stock > 0 ? `<div class="text-xs text-amber-600">Only ${r.stock} left</div>` : ''}
+                        ${r.reason ? `<div class="text-xs text-gray-400">${esc(r.reason)}</div>` : ''}
+                        <button class="reward-btn" data-reward="${r.id}" ${r.can_redeem ? '' : 'disabled'}>Redeem</button>
+                    </div>
+                </div>
+            `).join('');
+        } catch (err) {
+            el.innerHTML = `<div class="col-span-2 text-center text-red-500 text-sm py-8">${esc(err.message)}</div>`;
+        }
+    }
+
+    // ============ Redeem sheet ============
+    function openSheet(reward) {
+        selected = reward;
+        redeemKey = `reward-${reward.id}-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+        document.getElementById('sheetTitle').textContent = reward.name;
+        document.getElementById('sheetCost').textContent = `${fmtPoints(reward.points_cost)} points each`;
+        document.getElementById('redeemQty').value = 1;
+        const fulfilment = document.getElementById('redeemFulfilment');
+        fulfilment.value = reward.fulfilment === 'dispatch' ? 'dispatch' : 'pickup';
+        fulfilment.disabled = reward.fulfilment !== 'either';
+        document.getElementById('redeemBranch').innerHTML = branches
+            .map(b => `<option value="${b.id}">${esc(b.name)}${b.city ? ' — ' + esc(b.city) : ''}</option>`).join('');
+        toggleFulfilment();
+        document.getElementById('sheetBackdrop').style.display = 'block';
+        document.getElementById('redeemSheet').style.display = 'block';
+    }
+
+    function closeSheet() {
+        document.getElementById('sheetBackdrop').style.display = 'none';
+        document.getElementById('redeemSheet').style.display = 'none';
+        selected = null;
+    }
+
+    function toggleFulfilment() {
+        const pickup = document.getElementById('redeemFulfilment').value === 'pickup';
+        document.getElementById('pickupFields').style.display = pickup ? 'block' : 'none';
+        document.getElementById('dispatchFields').style.display = pickup ? 'none' : 'block';
+    }
+
+    async function confirmRedeem() {
+        if (!selected) return;
+        const btn = document.getElementById('confirmRedeem');
+        const fulfilment = document.getElementById('redeemFulfilment').value;
+        const body = {
+            quantity: parseInt(document.getElementById('redeemQty').value, 10) || 1,
+            fulfilment,
+            branch_id: fulfilment === 'pickup' ? parseInt(document.getElementById('redeemBranch').value, 10) : undefined,
+            delivery_address: fulfilment === 'dispatch' ? document.getElementById('redeemAddress').value : undefined
+        };
+        btn.disabled = true;
+        try {
+            const res = await fetch(`${API}/me/rewards/${selected.id}/redeem`, {
+                method: 'POST',
+                headers: { ...painterHeaders(), 'Idempotency-Key': redeemKey },
+                body: JSON.stringify(body)
+            });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message);
+            closeSheet();
+            showToast(data.message);
+            loadCatalogue();
+        } catch (err) {
+            showToast(err.message, 'error');
+        } finally {
+            btn.disabled = false;
+        }
+    }
+
+    // ============ Redemptions ============
+    async function loadRedemptions() {
+        const el = document.getElementById('tab-redemptions');
+        try {
+            const res = await fetch(`${API}/me/rewards/redemptions`, { headers: painterHeaders() });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message);
+            if (!data.redemptions.length) {
+                el.innerHTML = '<div class="text-center text-gray-400 text-sm py-8">You have not redeemed anything yet</div>';
+                return;
+            }
+            el.innerHTML = data.redemptions.map(r => `
+                <div class="bg-white border border-gray-200 rounded-xl p-3">
+                    <div class="flex justify-between items-start">
+                        <div>
+                            <div class="font-semibold text-sm">${r.quantity} × ${esc(r.reward_name)}</div>
+                            <div class="text-xs text-gray-500">${esc(r.redemption_number)} · ${fmtPoints(r.total_points)} pts</div>
+                            <div class="text-xs text-gray-500">${r.fulfilment === 'pickup' ? 'Collect at ' + esc(r.branch_name || 'branch') : 'Delivery'}${r.tracking_number ? ' · ' + esc(r.courier_name || '') + ' ' + esc(r.tracking_number) : ''}</div>
+                            ${r.voucher_code ? `<div class="text-sm font-bold text-emerald-700 mt-1">Voucher ${esc(r.voucher_code)}</div>` : ''}
+                            ${r.cancel_reason ? `<div class="text-xs text-gray-400 mt-1">${esc(r.cancel_reason)}</div>` : ''}
+                        </div>
+                        <span class="badge status-${r.status}">${r.status}</span>
+                    </div>
+                    ${['ready', 'dispatched'].includes(r.status) ? `<button class="reward-btn w-full mt-2" data-otp="${r.id}">Show handover OTP</button>` : ''}
+                    ${r.status === 'requested' ? `<button class="w-full mt-2 text-xs text-red-600" data-cancel="${r.id}">Cancel and get points back</button>` : ''}
+                </div>
+            `).join('');
+        } catch (err) {
+            el.innerHTML = `<div class="text-center text-red-500 text-sm py-8">${esc(err.message)}</div>`;
+        }
+    }
+
+    async function showOtp(id) {
+        try {
+            const res = await fetch(`${API}/me/rewards/redemptions/${id}/otp`, { method: 'POST', headers: painterHeaders() });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message);
+            alert(`Show this code to staff / the delivery person:\n\n${data.otp}`);
+        } catch (err) { showToast(err.message, 'error'); }
+    }
+
+    async function cancelRedemption(id) {
+        if (!confirm('Cancel this redemption? Your points will be returned.')) return;
+        try {
+            const res = await fetch(`${API}/me/rewards/redemptions/${id}/cancel`, { method: 'POST', headers: painterHeaders() });
+            const data = await res.json();
+            if (!data.success) throw new Error(data.message);
+            showToast(data.message);
+            loadRedemptions();
+            loadCatalogue();
+        } catch (err) { showToast(err.message, 'error'); }
+    }
+
+    // ============ Wiring ============
+    document.querySelectorAll('.tab-btn').forEach(btn => btn.addEventListener('click', () => {
+        document.querySelectorAll('.tab-btn').forEach(b => b.classList.toggle('active', b === btn));
+        const tab = btn.dataset.tab;
+        document.getElementById('tab-catalogue').style.display = tab === 'catalogue' ? 'grid' : 'none';
+        document.getElementById('tab-redemptions').style.display = tab === 'redemptions' ? 'block' : 'none';
+        if (tab === 'redemptions') loadRedemptions();
+    }));
+    document.getElementById('tab-catalogue').addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-reward]');
+        if (btn && !btn.disabled) openSheet(rewards.find(r => r.id === Number(btn.dataset.reward)));
+    });
+    document.getElementById('tab-redemptions').addEventListener('click', (e) => {
+        const otpBtn = e.target.closest('[data-otp]');
+        if (otpBtn) return showOtp(otpBtn.dataset.otp);
+        const cancelBtn = e.target.closest('[data-cancel]');
+        if (cancelBtn) cancelRedemption(cancelBtn.dataset.cancel);
+    });
+    document.getElementById('redeemFulfilment').addEventListener('change', toggleFulfilment);
+    document.getElementById('sheetBackdrop').addEventListener('click', closeSheet);
+    document.getElementById('confirmRedeem').addEventListener('click', confirmRedeem);
+
+    loadCatalogue();
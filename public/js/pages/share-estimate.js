@@ -25,6 +25,14 @@ async function loadSharedEstimate() {
         // Estimate info
         document.getElementById('estDate').textContent = resource.estimate_date ? new Date(resource.estimate_date).toLocaleDateString('en-IN', { year: 'numeric', month: 'short', day: 'numeric' }) : '';
         document.getElementById('estNumber').textContent = resource.estimate_number || '';
+        const rev = resource.revision || {};
+        if (rev.current) {
+            const revised = rev.shared && rev.shared !== rev.current;
+            document.getElementById('estRevision').textContent = revised
+                ? `${rev.current} (updated since version ${rev.shared} was sent to you)`
+                : String(rev.current);
+            document.getElementById('estRevisionRow').classList.remove('hidden');
+        }
         document.getElementById('custName').textContent = resource.customer_name || '';
         document.getElementById('custPhone').textContent = resource.customer_phone || '';
         document.getElementById('custAddr').textContent = resource.customer_address || '';
@@ -73,6 +81,8 @@ async function loadSharedEstimate() {
             document.getElementById('notesSection').style.display = 'block';
         }
 
+        renderResponse(resource);
+
         document.getElementById('loadingState').classList.add('hidden');
         document.getElementById('mainContent').classList.remove('hidden');
         document.title = `Estimate ${resource.estimate_number} - ${bizName}`;
@@ -84,6 +94,179 @@ async function loadSharedEstimate() {
     }
 }
 
+// ========================================
+// CUSTOMER RESPONSE (accept / request changes / reject)
+// ========================================
+
+let responseMode = null;
+let sigHasInk = false;
+
+const DECISION_LABELS = {
+    accepted: { text: 'You accepted this estimate', cls: 'bg-green-50 text-green-800' },
+    rejected: { text: 'You declined this estimate', cls: 'bg-red-50 text-red-800' },
+    changes_requested: { text: 'You asked for changes to this estimate', cls: 'bg-amber-50 text-amber-800' }
+};
+
+function renderResponse(resource) {
+    const state = resource.acceptance || {};
+    const last = state.last_response;
+    const resultEl = document.getElementById('responseResult');
+    if (last && DECISION_LABELS[last.decision]) {
+        const label = DECISION_LABELS[last.decision];
+        const when = new Date(last.created_at).toLocaleString('en-IN', { dateStyle: 'medium', timeStyle: 'short' });
+        resultEl.className = `no-print mt-6 rounded-xl p-4 text-sm ${label.cls}`;
+        resultEl.textContent = `${label.text} — ${last.signer_name}, ${when}.`;
+    }
+    if (!state.can_respond) return;
+
+    document.getElementById('signerName').value = resource.customer_name || '';
+    document.getElementById('otpHint').textContent = state.otp_phone
+        ? `We will send a one-time code to ${state.otp_phone}.`
+        : 'No mobile number on this estimate — please contact the shop to accept or decline.';
+
+    document.getElementById('lineComments').innerHTML = (resource.items || []).map((item, i) => `
+        <div>
+            <label class="block text-xs text-gray-600 mb-0.5">${i + 1}. ${esc(item.item_description || item.product_name || '')}</label>
+            <input type="text" maxlength="500" data-item-id="${item.id}" class="line-comment w-full border rounded-lg px-3 py-1.5 text-sm" placeholder="Change needed (optional)">
+        </div>
+    `).join('');
+
+    document.getElementById('responsePanel').classList.remove('hidden');
+}
+
+function setResponseMode(mode) {
+    responseMode = mode;
+    document.querySelectorAll('.resp-mode').forEach(btn => {
+        btn.classList.toggle('bg-gray-100', btn.dataset.mode === mode);
+    });
+    document.getElementById('responseForm').classList.remove('hidden');
+    document.getElementById('signatureBlock').classList.toggle('hidden', mode !== 'accept');
+    document.getElementById('changesBlock').classList.toggle('hidden', mode !== 'request_changes');
+    document.getElementById('otpBlock').classList.toggle('hidden', mode === 'request_changes');
+    const labels = { accept: 'Accept estimate', reject: 'Decline estimate', request_changes: 'Send change request' };
+    document.getElementById('submitResponseBtn').textContent = labels[mode];
+    showResponseError('');
+}
+
+function showResponseError(msg) {
+    const el = document.getElementById('respError');
+    el.textContent = msg;
+    el.classList.toggle('hidden', !msg);
+}
+
+function selectedSigType() {
+    const checked = document.querySelector('input[name="sigType"]:checked');
+    return checked ? checked.value : 'typed';
+}
+
+function wireSignaturePad() {
+    const canvas = document.getElementById('sigCanvas');
+    if (!canvas) return;
+    const ctx = canvas.getContext('2d');
+    ctx.lineWidth = 2.5;
+    ctx.lineCap = 'round';
+    ctx.strokeStyle = '#111827';
+    let drawing = false;
+
+    function point(e) {
+        const rect = canvas.getBoundingClientRect();
+        return {
+            x: (e.clientX - rect.left) * (canvas.width / rect.width),
+            y: (e.clientY - rect.top) * (canvas.height / rect.height)
+        };
+    }
+    canvas.addEventListener('pointerdown', e => {
+        drawing = true;
+        canvas.setPointerCapture(e.pointerId);
+        const p = point(e);
+        ctx.beginPath();
+        ctx.moveTo(p.x, p.y);
+    });
+    canvas.addEventListener('pointermove', e => {
+        if (!drawing) return;
+        const p = point(e);
+        ctx.lineTo(p.x, p.y);
+        ctx.stroke();
+        sigHasInk = true;
+    });
+    ['pointerup', 'pointerleave', 'pointercancel'].forEach(ev => canvas.addEventListener(ev, () => { drawing = false; }));
+
+    document.getElementById('sigClearBtn').addEventListener('click', () => {
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        sigHasInk = false;
+    });
+    document.querySelectorAll('input[name="sigType"]').forEach(r => r.addEventListener('change', () => {
+        const drawn = selectedSigType() === 'drawn';
+        document.getElementById('sigDrawWrap').classList.toggle('hidden', !drawn);
+        document.getElementById('sigTyped').classList.toggle('hidden', drawn);
+    }));
+}
+
+async function postJSON(url, body) {
+    const r = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+    });
+    const result = await r.json().catch(() => ({}));
+    if (!r.ok || !result.success) throw new Error(result.message || 'Something went wrong');
+    return result;
+}
+
+async function sendResponseOtp() {
+    const btn = document.getElementById('sendOtpBtn');
+    btn.disabled = true;
+    try {
+        const result = await postJSON(`/api/share/public/${token}/otp`, {});
+        document.getElementById('otpHint').textContent = `OTP sent to ${result.data.phone}. It is valid for 5 minutes.`;
+        showResponseError('');
+    } catch (err) {
+        showResponseError(err.message);
+    } finally {
+        setTimeout(() => { btn.disabled = false; }, 30000);
+    }
+}
+
+async function submitResponse() {
+    if (!responseMode) return;
+    const body = {
+        decision: responseMode,
+        signer_name: document.getElementById('signerName').value.trim(),
+        comment: document.getElementById('respComment').value.trim()
+    };
+    if (!body.signer_name) return showResponseError('Please enter your name');
+
+    if (responseMode === 'accept') {
+        body.signature_type = selectedSigType();
+        if (body.signature_type === 'drawn') {
+            if (!sigHasInk) return showResponseError('Please draw your signature');
+            body.signature_image = document.getElementById('sigCanvas').toDataURL('image/png');
+        } else {
+            body.signature_text = document.getElementById('sigTyped').value.trim() || body.signer_name;
+        }
+    }
+    if (responseMode === 'request_changes') {
+        body.line_comments = [...document.querySelectorAll('.line-comment')]
+            .filter(el => el.value.trim())
+            .map(el => ({ item_id: Number(el.dataset.itemId), comment: el.value.trim() }));
+    } else {
+        body.otp = document.getElementById('otpInput').value.trim();
+        if (!/^\d{6}$/.test(body.otp)) return showResponseError('Enter the 6-digit OTP sent to your phone');
+    }
+
+    const btn = document.getElementById('submitResponseBtn');
+    btn.disabled = true;
+    try {
+        await postJSON(`/api/share/public/${token}/respond`, body);
+        document.getElementById('responsePanel').classList.add('hidden');
+        await loadSharedEstimate();
+    } catch (err) {
+        showResponseError(err.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
 function downloadSharePDF() {
     window.open(`/api/share/public/${token}/pdf`, '_blank');
 }
@@ -110,6 +293,15 @@ loadSharedEstimate();
 
         const headerLogo = document.getElementById('headerLogo');
         if (headerLogo) headerLogo.addEventListener('error', function () { this.style.display = 'none'; });
+
+        document.querySelectorAll('.resp-mode').forEach(btn => {
+            btn.addEventListener('click', function () { setResponseMode(this.dataset.mode); });
+        });
+        const otpBtn = document.getElementById('sendOtpBtn');
+        if (otpBtn) otpBtn.addEventListener('click', sendResponseOtp);
+        const submitBtn = document.getElementById('submitResponseBtn');
+        if (submitBtn) submitBtn.addEventListener('click', submitResponse);
+        wireSignaturePad();
     }
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', bind);
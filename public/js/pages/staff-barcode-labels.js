@@ -0,0 +1,134 @@
+// Barcode Labels page — pick items, set copies, download an A4 Code128/QR
+// label sheet from /api/barcodes/labels, and map manufacturer codes (EAN on a
+// tin, carton codes) to items via /api/barcodes/codes.
+
+let rows = [];            // [{ zoho_item_id, zoho_item_name, label_code, copies }]
+let searchTimer = null;
+
+function escHtml(s) {
+    if (!s) return '';
+    const d = document.createElement('div');
+    d.textContent = s;
+    return d.innerHTML;
+}
+
+function renderRows() {
+    const body = document.getElementById('labelRows');
+    document.getElementById('emptyHint').classList.toggle('hidden', rows.length > 0);
+    body.innerHTML = rows.map((r, i) => `
+        <tr class="border-t border-gray-50">
+            <td class="py-1 pr-2">${escHtml(r.zoho_item_name)}</td>
+            <td class="py-1 text-xs text-gray-500">${escHtml(r.label_code)}</td>
+            <td class="py-1 text-right"><input type="number" min="1" max="500" value="${r.copies}" data-idx="${i}" class="copies-input border border-gray-200 rounded px-2 py-1 text-sm"></td>
+            <td class="py-1 text-right"><button class="row-remove text-xs text-red-600 font-semibold" data-idx="${i}">Remove</button></td>
+        </tr>`).join('');
+    body.querySelectorAll('.copies-input').forEach(el => el.addEventListener('input', () => {
+        rows[Number(el.dataset.idx)].copies = Math.max(1, parseInt(el.value, 10) || 1);
+    }));
+    body.querySelectorAll('.row-remove').forEach(b => b.addEventListener('click', () => {
+        rows.splice(Number(b.dataset.idx), 1);
+        renderRows();
+    }));
+    document.getElementById('mapItem').innerHTML = rows.length
+        ? rows.map(r => `<option value="${escHtml(r.zoho_item_id)}">${escHtml(r.zoho_item_name)}</option>`).join('')
+        : '<option value="">Add an item above first</option>';
+}
+
+function addRow(item) {
+    const existing = rows.find(r => r.zoho_item_id === item.zoho_item_id);
+    if (existing) existing.copies += 1;
+    else rows.push({ zoho_item_id: item.zoho_item_id, zoho_item_name: item.zoho_item_name, label_code: item.label_code, copies: 1 });
+    document.getElementById('itemSearch').value = '';
+    document.getElementById('itemResults').classList.add('hidden');
+    renderRows();
+}
+
+async function searchItems() {
+    const term = document.getElementById('itemSearch').value.trim();
+    const box = document.getElementById('itemResults');
+    if (term.length < 2) { box.classList.add('hidden'); return; }
+    try {
+        const res = await fetch(`/api/barcodes/items?search=${encodeURIComponent(term)}`, { headers: getAuthHeaders() });
+        const data = await res.json();
+        if (!data.success || !data.items.length) { box.classList.add('hidden'); return; }
+        box._items = data.items;
+        box.innerHTML = data.items.map((it, i) => `
+            <div class="result-item px-3 py-2 text-sm hover:bg-gray-50 cursor-pointer" data-idx="${i}">
+                <div class="font-medium text-gray-800">${escHtml(it.zoho_item_name)}</div>
+                <div class="text-xs text-gray-400">${escHtml(it.label_code)}${it.zoho_ean ? ' &middot; EAN ' + escHtml(it.zoho_ean) : ''}</div>
+            </div>`).join('');
+        box.classList.remove('hidden');
+    } catch (e) {
+        console.error('Label item search error:', e);
+    }
+}
+
+async function downloadSheet() {
+    if (!rows.length) { alert('Add at least one item'); return; }
+    const body = {
+        items: rows.map(r => ({ zoho_item_id: r.zoho_item_id, copies: r.copies })),
+        format: document.getElementById('labelFormat').value,
+        show_price: document.getElementById('showPrice').checked,
+        outline: document.getElementById('outline').checked,
+        skip: Math.min(23, Math.max(0, parseInt(document.getElementById('skipSlots').value, 10) || 0))
+    };
+    const btn = document.getElementById('printBtn');
+    btn.disabled = true;
+    try {
+        const res = await fetch('/api/barcodes/labels', { method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(body) });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            alert(data.message || (data.error && data.error.message) || 'Failed to generate labels');
+            return;
+        }
+        const blob = await res.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `Labels-${body.format}.pdf`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (e) {
+        console.error('Label sheet error:', e);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function mapCode() {
+    const code = document.getElementById('mapCode').value.trim();
+    const zohoItemId = document.getElementById('mapItem').value;
+    if (!code || !zohoItemId) { alert('Scan a code and pick an item'); return; }
+    const body = {
+        code,
+        zoho_item_id: zohoItemId,
+        pack_qty: Math.max(1, parseInt(document.getElementById('mapPackQty').value, 10) || 1)
+    };
+    try {
+        const res = await fetch('/api/barcodes/codes', { method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(body) });
+        const data = await res.json();
+        alert(data.message || (data.error && data.error.message) || (data.success ? 'Mapped' : 'Failed to map code'));
+        if (data.success) document.getElementById('mapCode').value = '';
+    } catch (e) {
+        console.error('Map code error:', e);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    const search = document.getElementById('itemSearch');
+    search.addEventListener('input', () => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(searchItems, 300);
+    });
+    document.getElementById('itemResults').addEventListener('click', (e) => {
+        const el = e.target.closest('.result-item');
+        const box = document.getElementById('itemResults');
+        if (el && box._items) addRow(box._items[Number(el.dataset.idx)]);
+    });
+    document.getElementById('mapCode').addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') { e.preventDefault(); mapCode(); }
+    });
+    document.getElementById('printBtn').addEventListener('click', downloadSheet);
+    document.getElementById('mapBtn').addEventListener('click', mapCode);
+    renderRows();
+});
@@ -0,0 +1,275 @@
+// Day Close page — cash count by denomination, UPI/card declaration, live
+// reconciliation against /api/day-close/expected, submit, and the manager
+// sign-off / re-open / PDF actions on recent closes.
+
+const DENOMS = [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+const TENDERS = [['Cash', 'cash'], ['UPI', 'upi'], ['Card / pay-links', 'card']];
+const MANAGER_ROLES = ['admin', 'manager', 'super_admin'];
+
+const currentUser = getCurrentUser() || {};
+const isManager = MANAGER_ROLES.includes(currentUser.role);
+let expected = { cash: 0, upi: 0, card: 0 };
+let pendingAction = null;
+
+function fmtINR(n) {
+    return '₹' + parseFloat(n || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function escHtml(s) {
+    if (!s) return '';
+    const d = document.createElement('div');
+    d.textContent = s;
+    return d.innerHTML;
+}
+
+function todayIST() {
+    return new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+}
+
+function selectedBranch() {
+    const sel = document.getElementById('branchSelect');
+    return isManager && sel.value ? sel.value : '';
+}
+
+function renderDenoms() {
+    document.getElementById('denomBody').innerHTML = DENOMS.map(d => `
+        <tr>
+            <td class="py-1">₹${d}</td>
+            <td class="text-right py-1"><input type="number" min="0" step="1" value="" data-denom="${d}" class="denom-input border border-gray-200 rounded px-2 py-1 text-sm"></td>
+            <td class="text-right py-1" id="denomAmt-${d}">₹0</td>
+        </tr>`).join('');
+    document.querySelectorAll('.denom-input').forEach(el => el.addEventListener('input', updateTotals));
+}
+
+function readCount() {
+    const denominations = {};
+    let total = 0;
+    document.querySelectorAll('.denom-input').forEach(el => {
+        const n = parseInt(el.value, 10);
+        const d = Number(el.dataset.denom);
+        const amt = n > 0 ? n * d : 0;
+        document.getElementById(`denomAmt-${d}`).textContent = fmtINR(amt);
+        if (n > 0) { denominations[d] = n; total += amt; }
+    });
+    return { denominations, total };
+}
+
+function updateTotals() {
+    const { total } = readCount();
+    document.getElementById('cashTotal').textContent = fmtINR(total);
+    const declared = {
+        cash: total,
+        upi: parseFloat(document.getElementById('declaredUpi').value) || 0,
+        card: parseFloat(document.getElementById('declaredCard').value) || 0
+    };
+    document.getElementById('reconBody').innerHTML = TENDERS.map(([label, k]) => {
+        const diff = Math.round((declared[k] - expected[k]) * 100) / 100;
+        const cls = Math.abs(diff) <= 1 ? 'text-gray-700' : diff < 0 ? 'text-red-600' : 'text-amber-600';
+        const tag = Math.abs(diff) <= 1 ? '' : diff < 0 ? ' short' : ' excess';
+        return `<tr>
+            <td class="py-1">${label}</td>
+            <td class="text-right py-1">${fmtINR(declared[k])}</td>
+            <td class="text-right py-1">${fmtINR(expected[k])}</td>
+            <td class="text-right py-1 font-semibold ${cls}">${fmtINR(Math.abs(diff))}${tag}</td>
+        </tr>`;
+    }).join('');
+}
+
+function showBanner(existing) {
+    const el = document.getElementById('statusBanner');
+    const locked = existing && existing.status !== 'reopened';
+    document.getElementById('submitBtn').disabled = !!locked;
+    document.getElementById('submitBtn').classList.toggle('opacity-50', !!locked);
+    if (!existing) { el.classList.add('hidden'); return; }
+    const text = {
+        closed: 'This day is closed and locked.',
+        pending_signoff: 'Submitted — waiting for manager sign-off. Payments for this date are locked.',
+        reopened: `Re-opened by a manager (revision ${existing.revision}). Count again and re-submit.`
+    }[existing.status];
+    el.className = 'rounded-xl p-3 text-sm mb-3 ' + (existing.status === 'reopened' ? 'bg-amber-50 text-amber-800' : 'bg-green-50 text-green-800');
+    el.textContent = text;
+}
+
+async function loadExpected() {
+    const params = new URLSearchParams({ date: document.getElementById('businessDate').value });
+    const branch = selectedBranch();
+    if (branch) params.set('branch_id', branch);
+    try {
+        const res = await fetch(`/api/day-close/expected?${params}`, { headers: getAuthHeaders() });
+        const data = await res.json();
+        if (!data.success) { alert(data.message || 'Failed to load the day'); return; }
+        expected = data.expected;
+        document.getElementById('otherTenders').textContent =
+            `Not in the drawer: bank transfer ${fmtINR(data.other.bank_transfer)}, cheque ${fmtINR(data.other.cheque)} · ` +
+            `${data.takings.payments.length} billing payment(s), ${data.takings.payLinks.length} paid pay-link(s)`;
+        showBanner(data.existing);
+        updateTotals();
+    } catch (e) {
+        console.error('Load expected error:', e);
+    }
+}
+
+async function submitClose() {
+    const { denominations, total } = readCount();
+    const body = {
+        business_date: document.getElementById('businessDate').value,
+        denominations,
+        declared_upi: parseFloat(document.getElementById('declaredUpi').value) || 0,
+        declared_card: parseFloat(document.getElementById('declaredCard').value) || 0,
+        notes: document.getElementById('closeNotes').value.trim()
+    };
+    const branch = selectedBranch();
+    if (branch) body.branch_id = Number(branch);
+    if (!confirm(`Submit the day close with ${fmtINR(total)} counted cash?`)) return;
+
+    const btn = document.getElementById('submitBtn');
+    btn.disabled = true;
+    try {
+        const res = await fetch('/api/day-close', { method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(body) });
+        const data = await res.json();
+        if (!data.success) {
+            alert(data.message || (data.error && data.error.message) || 'Failed to submit');
+            btn.disabled = false;
+            return;
+        }
+        alert(data.message);
+        await loadExpected();
+        await loadHistory();
+    } catch (e) {
+        console.error('Submit day close error:', e);
+        btn.disabled = false;
+    }
+}
+
+async function loadHistory() {
+    const params = new URLSearchParams({ limit: '30' });
+    const branch = selectedBranch();
+    if (branch) params.set('branch_id', branch);
+    try {
+        const res = await fetch(`/api/day-close?${params}`, { headers: getAuthHeaders() });
+        const data = await res.json();
+        const list = document.getElementById('historyList');
+        if (!data.success || !data.closes.length) {
+            list.innerHTML = '<p class="text-sm text-gray-400">No day closes yet.</p>';
+            return;
+        }
+        list.innerHTML = data.closes.map(c => {
+            const date = String(c.business_date).slice(0, 10);
+            const variance = Number(c.variance_cash) + Number(c.variance_upi) + Number(c.variance_card);
+            const badge = { closed: 'bg-green-100 text-green-700', pending_signoff: 'bg-amber-100 text-amber-700', reopened: 'bg-gray-100 text-gray-600' }[c.status];
+            const actions = [];
+            if (c.status !== 'reopened') actions.push(`<button class="dc-pdf text-xs text-teal-700 font-semibold" data-id="${c.id}" data-date="${date}">PDF</button>`);
+            if (isManager && c.status === 'pending_signoff') actions.push(`<button class="dc-signoff text-xs text-green-700 font-semibold" data-id="${c.id}">Sign off</button>`);
+            if (isManager && c.status !== 'reopened') actions.push(`<button class="dc-reopen text-xs text-red-600 font-semibold" data-id="${c.id}">Re-open</button>`);
+            return `<div class="bg-white rounded-xl border border-gray-100 p-3 flex items-center justify-between">
+                <div>
+                    <div class="text-sm font-semibold text-gray-800">${date} · ${escHtml(c.branch_name || '')}</div>
+                    <div class="text-xs text-gray-500">Cash ${fmtINR(c.declared_cash)} · diff ${fmtINR(variance)} · by ${escHtml(c.submitted_by_name || '-')}</div>
+                </div>
+                <div class="flex items-center gap-3">
+                    <span class="text-[11px] px-2 py-0.5 rounded-full ${badge}">${c.status.replace('_', ' ')}</span>
+                    ${actions.join('')}
+                </div>
+            </div>`;
+        }).join('');
+        list.querySelectorAll('.dc-pdf').forEach(b => b.addEventListener('click', () => downloadPdf(b.dataset.id, b.dataset.date)));
+        list.querySelectorAll('.dc-signoff').forEach(b => b.addEventListener('click', () => openAction('signoff', b.dataset.id)));
+        list.querySelectorAll('.dc-reopen').forEach(b => b.addEventListener('click', () => openAction('reopen', b.dataset.id)));
+    } catch (e) {
+        console.error('Load history error:', e);
+    }
+}
+
+async function downloadPdf(id, date) {
+    try {
+        const res = await fetch(`/api/day-close/${id}/pdf`, { headers: getAuthHeaders() });
+        if (!res.ok) {
+            const data = await res.json().catch(() => ({}));
+            alert(data.message || 'Failed to generate PDF');
+            return;
+        }
+        const blob = await res.blob();
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `DayClose-${date}.pdf`;
+        a.click();
+        URL.revokeObjectURL(url);
+    } catch (e) {
+        console.error('Day close PDF error:', e);
+    }
+}
+
+function openAction(kind, id) {
+    pendingAction = { kind, id };
+    document.getElementById('actionTitle').textContent = kind === 'signoff' ? 'Sign off day close' : 'Re-open day';
+    document.getElementById('actionHint').textContent = kind === 'signoff'
+        ? 'Record why the shortage/excess is accepted.'
+        : 'Re-opening unlocks this date\'s payments. The reason is kept in the audit log.';
+    document.getElementById('actionText').value = '';
+    const modal = document.getElementById('actionModal');
+    modal.classList.remove('hidden');
+    modal.classList.add('flex');
+}
+
+function closeAction() {
+    pendingAction = null;
+    const modal = document.getElementById('actionModal');
+    modal.classList.add('hidden');
+    modal.classList.remove('flex');
+}
+
+async function confirmAction() {
+    if (!pendingAction) return;
+    const text = document.getElementById('actionText').value.trim();
+    const { kind, id } = pendingAction;
+    const body = kind === 'signoff' ? { note: text } : { reason: text };
+    try {
+        const res = await fetch(`/api/day-close/${id}/${kind}`, { method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(body) });
+        const data = await res.json();
+        if (!data.success) {
+            alert(data.message || (data.error && data.error.message) || 'Action failed');
+            return;
+        }
+        closeAction();
+        await loadExpected();
+        await loadHistory();
+    } catch (e) {
+        console.error('Day close action error:', e);
+    }
+}
+
+async function loadBranches() {
+    if (!isManager) return;
+    try {
+        const res = await fetch('/api/branches', { headers: getAuthHeaders() });
+        const data = await res.json();
+        if (!data.success) return;
+        const sel = document.getElementById('branchSelect');
+        sel.innerHTML = (data.data || []).map(b =>
+            `<option value="${b.id}" ${Number(b.id) === Number(currentUser.branch_id) ? 'selected' : ''}>${escHtml(b.name)}</option>`
+        ).join('');
+        sel.classList.remove('hidden');
+    } catch (e) {
+        console.error('Load branches error:', e);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    const dateInput = document.getElementById('businessDate');
+    dateInput.value = todayIST();
+    dateInput.max = todayIST();
+    renderDenoms();
+
+    dateInput.addEventListener('change', loadExpected);
+    document.getElementById('branchSelect').addEventListener('change', () => { loadExpected(); loadHistory(); });
+    document.getElementById('declaredUpi').addEventListener('input', updateTotals);
+    document.getElementById('declaredCard').addEventListener('input', updateTotals);
+    document.getElementById('submitBtn').addEventListener('click', submitClose);
+    document.getElementById('actionCancel').addEventListener('click', closeAction);
+    document.getElementById('actionConfirm').addEventListener('click', confirmAction);
+
+    await loadBranches();
+    await loadExpected();
+    await loadHistory();
+});
@@ -0,0 +1,217 @@
+// Paint Calculator page — enter rooms (walls, ceiling, doors / windows to
+// subtract), coats and surface condition; the server works out litres per
+// product and the cheapest pack mix, then turns it into a draft estimate.
+// API: /api/paint-calculator.
+
+let products = [];       // area-wise products with packs
+let lastResult = null;   // last calculation shown
+let estimateKey = null;  // one Idempotency-Key per calculation, so a retried create makes one estimate
+
+const CONDITIONS = [
+    ['repaint_good', 'Repaint — sound surface'],
+    ['repaint_damaged', 'Repaint — cracks / peeling'],
+    ['new', 'New plaster']
+];
+
+function escHtml(s) {
+    if (s === null || s === undefined) return '';
+    const d = document.createElement('div');
+    d.textContent = String(s);
+    return d.innerHTML;
+}
+
+function formatINR(n) {
+    return '₹' + (parseFloat(n) || 0).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function apiError(data, fallback) {
+    return data.message || (data.error && data.error.message) || fallback;
+}
+
+// ========================================
+// PRODUCTS
+// ========================================
+async function loadProducts(q = '') {
+    try {
+        const res = await fetch(`/api/paint-calculator/products?q=${encodeURIComponent(q)}`, { headers: getAuthHeaders() });
+        const data = await res.json();
+        products = data.data || [];
+        document.querySelectorAll('.product-select').forEach(select => {
+            const keep = select.value;
+            const optional = select.id !== 'paintProduct';
+            select.innerHTML = (optional ? '<option value="">— none —</option>' : '<option value="">Choose…</option>') +
+                products.map(p => `<option value="${p.id}">${escHtml(p.brand ? `${p.brand} · ${p.name}` : p.name)} (${escHtml(p.area_coverage)} sqft/L)</option>`).join('');
+            if (keep && products.some(p => String(p.id) === keep)) select.value = keep;
+        });
+    } catch (e) {
+        console.error('Load products error:', e);
+    }
+}
+
+// ========================================
+// ROOMS
+// ========================================
+function addRoom() {
+    const box = document.getElementById('roomRows');
+    const n = box.children.length + 1;
+    const row = document.createElement('div');
+    row.className = 'room-row border border-gray-100 rounded-lg p-3';
+    row.innerHTML = `
+        <div class="flex gap-2 items-center mb-2">
+            <input type="text" class="mini r-name" value="Room ${n}" placeholder="Room name">
+            <button class="remove-room text-xs text-red-500 px-2">Remove</button>
+        </div>
+        <div class="grid grid-cols-4 gap-2">
+            <label class="text-xs text-gray-500">Length (ft)<input type="number" class="mini r-length" min="0" step="0.1"></label>
+            <label class="text-xs text-gray-500">Width (ft)<input type="number" class="mini r-width" min="0" step="0.1"></label>
+            <label class="text-xs text-gray-500">Height (ft)<input type="number" class="mini r-height" min="0" step="0.1" value="10"></label>
+            <label class="text-xs text-gray-500">Coats<input type="number" class="mini r-coats" min="1" max="5" placeholder="default"></label>
+        </div>
+        <div class="flex flex-wrap gap-3 items-center mt-2 text-xs text-gray-600">
+            <label><input type="checkbox" class="r-ceiling"> Ceiling</label>
+            <select class="mini r-condition" style="width:auto">
+                ${CONDITIONS.map(([v, l]) => `<option value="${v}">${l}</option>`).join('')}
+            </select>
+            <button class="add-opening text-green-700 font-semibold">+ Door / window</button>
+        </div>
+        <div class="openings space-y-1 mt-2"></div>`;
+    box.appendChild(row);
+}
+
+function addOpening(row) {
+    const div = document.createElement('div');
+    div.className = 'opening-row flex gap-2 items-center';
+    div.innerHTML = `
+        <input type="text" class="mini o-label" placeholder="Door / window" style="width:35%">
+        <input type="number" class="mini o-width" placeholder="W (ft)" min="0" step="0.1">
+        <input type="number" class="mini o-height" placeholder="H (ft)" min="0" step="0.1">
+        <input type="number" class="mini o-count" value="1" min="1" style="width:4rem">
+        <button class="remove-opening text-xs text-red-500 px-1">&times;</button>`;
+    row.querySelector('.openings').appendChild(div);
+}
+
+function collectInput() {
+    const val = (el, sel) => el.querySelector(sel).value;
+    return {
+        paint_product_id: document.getElementById('paintProduct').value || null,
+        ceiling_product_id: document.getElementById('ceilingProduct').value || null,
+        primer_product_id: document.getElementById('primerProduct').value || null,
+        putty_product_id: document.getElementById('puttyProduct').value || null,
+        coats: Number(document.getElementById('coats').value) || 2,
+        wastage_pct: Number(document.getElementById('wastage').value) || 0,
+        rooms: [...document.querySelectorAll('.room-row')].map(row => ({
+            name: val(row, '.r-name'),
+            length_ft: val(row, '.r-length'),
+            width_ft: val(row, '.r-width'),
+            height_ft: val(row, '.r-height'),
+            coats: val(row, '.r-coats') || null,
+            ceiling: row.querySelector('.r-ceiling').checked,
+            condition: val(row, '.r-condition'),
+            openings: [...row.querySelectorAll('.opening-row')].map(o => ({
+                label: val(o, '.o-label'),
+                width_ft: val(o, '.o-width'),
+                height_ft: val(o, '.o-height'),
+                count: val(o, '.o-count')
+            }))
+        }))
+    };
+}
+
+// ========================================
+// CALCULATE / CREATE
+// ========================================
+function renderResult(r) {
+    const rooms = r.rooms.map(room => `
+        <tr class="border-t border-gray-50">
+            <td class="py-1">${escHtml(room.name)}</td>
+            <td class="text-right">${room.net_wall_sqft}</td>
+            <td class="text-right">${room.opening_sqft ? '-' + room.opening_sqft : '-'}</td>
+            <td class="text-right">${room.ceiling_sqft || '-'}</td>
+            <td class="text-right">${room.coats}</td>
+        </tr>`).join('');
+    const reqs = r.requirements.map(q => `
+        <div class="border border-gray-100 rounded-lg p-2">
+            <div class="flex justify-between text-sm">
+                <span class="font-semibold text-gray-800">${escHtml(q.product_name)}</span>
+                <span class="font-semibold">${formatINR(q.cost)}</span>
+            </div>
+            <div class="text-xs text-gray-500">${escHtml(q.roles.join(' + '))} · ${q.coat_area_sqft} sqft × coats ÷ ${q.coverage} = ${q.quantity} ${escHtml(q.unit)} (buying ${q.supplied})</div>
+            <div class="text-xs text-gray-700 mt-1">${q.packs.map(p => `${p.qty} × ${escHtml(p.label)} @ ${formatINR(p.price)}`).join(' + ')}</div>
+        </div>`).join('');
+    const warnings = r.warnings.map(w => `<p class="text-xs text-amber-600">&#9888; ${escHtml(w)}</p>`).join('');
+    document.getElementById('resultBody').innerHTML = `
+        <table class="w-full text-xs text-gray-600 mb-3">
+            <thead><tr class="text-gray-400"><th class="text-left">Room</th><th class="text-right">Walls sqft</th><th class="text-right">Doors/Windows</th><th class="text-right">Ceiling sqft</th><th class="text-right">Coats</th></tr></thead>
+            <tbody>${rooms}</tbody>
+        </table>
+        ${warnings}
+        <div class="space-y-2 mt-2">${reqs}</div>
+        <div class="flex justify-between text-sm font-bold text-gray-900 mt-3">
+            <span>${r.totals.wall_sqft + r.totals.ceiling_sqft} sqft · ${r.totals.paint_litres} L</span>
+            <span>${formatINR(r.totals.cost)}</span>
+        </div>`;
+    document.getElementById('resultCard').classList.remove('hidden');
+}
+
+async function calculate() {
+    const btn = document.getElementById('calculateBtn');
+    btn.disabled = true;
+    try {
+        const res = await fetch('/api/paint-calculator/calculate', {
+            method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(collectInput())
+        });
+        const data = await res.json();
+        if (!data.success) { alert(apiError(data, 'Calculation failed')); return; }
+        lastResult = data.data;
+        estimateKey = (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : `${Date.now()}-${Math.random()}`;
+        renderResult(lastResult);
+    } catch (e) {
+        console.error('Calculate error:', e);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function createEstimate() {
+    const body = {
+        ...collectInput(),
+        customer_name: document.getElementById('customerName').value.trim(),
+        customer_phone: document.getElementById('customerPhone').value.trim(),
+        customer_address: document.getElementById('customerAddress').value.trim()
+    };
+    if (!body.customer_name) { alert('Enter the customer name'); return; }
+    const btn = document.getElementById('createEstimateBtn');
+    btn.disabled = true;
+    try {
+        const res = await fetch('/api/paint-calculator/estimate', {
+            method: 'POST', headers: { ...getAuthHeaders(), 'Idempotency-Key': estimateKey }, body: JSON.stringify(body)
+        });
+        const data = await res.json();
+        if (!data.success) { alert(apiError(data, 'Failed to create estimate')); return; }
+        alert(`Draft estimate ${data.data.estimate_number} created`);
+        window.location.href = `/estimate-print.html?id=${data.data.id}`;
+    } catch (e) {
+        console.error('Create estimate error:', e);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    let searchTimer;
+    document.getElementById('productSearch').addEventListener('input', (e) => {
+        clearTimeout(searchTimer);
+        searchTimer = setTimeout(() => loadProducts(e.target.value.trim()), 300);
+    });
+    document.getElementById('addRoomBtn').addEventListener('click', addRoom);
+    document.getElementById('roomRows').addEventListener('click', (e) => {
+        const row = e.target.closest('.room-row');
+        if (e.target.closest('.remove-room')) row.remove();
+        else if (e.target.closest('.add-opening')) addOpening(row);
+        else if (e.target.closest('.remove-opening')) e.target.closest('.opening-row').remove();
+    });
+    document.getElementById('calculateBtn').addEventListener('click', calculate);
+    document.getElementById('createEstimateBtn').addEventListener('click', createEstimate);
+    addRoom();
+    loadProducts();
+});
@@ -0,0 +1,4 @@
+// Synchronous auth guard for staff-stock-transfers.html (strict CSP — no inline script).
+// Loaded as a NON-deferred classic script immediately after auth-helper.js so it
+// runs before body render.
+checkAuthOrRedirect();
@@ -0,0 +1,363 @@
+// Stock Transfers page — request stock from a sister branch, and the
+// approve / dispatch / receive steps on each transfer (/api/stock-transfers).
+// The server decides who may act; the buttons here only follow the branch.
+
+const MANAGER_ROLES = ['admin', 'manager', 'super_admin'];
+// Only admins act for every branch; managers work their own, like staff.
+const ALL_BRANCH_ROLES = ['admin', 'administrator', 'super_admin'];
+const STATUS_BADGE = {
+    requested: 'bg-amber-100 text-amber-700',
+    approved: 'bg-blue-100 text-blue-700',
+    in_transit: 'bg-purple-100 text-purple-700',
+    received: 'bg-green-100 text-green-700',
+    rejected: 'bg-red-100 text-red-700',
+    cancelled: 'bg-gray-100 text-gray-600'
+};
+
+const currentUser = getCurrentUser() || {};
+const isManager = MANAGER_ROLES.includes(currentUser.role);
+const allBranches = ALL_BRANCH_ROLES.includes(currentUser.role);
+let locations = [];
+let direction = '';
+let requestLines = [];
+let searchTimer = null;
+let openTransfer = null;
+
+function escHtml(s) {
+    if (s === null || s === undefined) return '';
+    const d = document.createElement('div');
+    d.textContent = String(s);
+    return d.innerHTML;
+}
+
+function fmtQty(n) {
+    if (n === null || n === undefined || n === '') return '-';
+    return parseFloat(n).toLocaleString('en-IN', { maximumFractionDigits: 2 });
+}
+
+function idemKey() {
+    return (window.crypto && crypto.randomUUID) ? crypto.randomUUID() : (Date.now() + '-' + Math.random());
+}
+
+function atBranch(branchId) {
+    return allBranches || (!!branchId && Number(branchId) === Number(currentUser.branch_id));
+}
+
+async function api(url, opts = {}) {
+    const res = await fetch(url, { ...opts, headers: { ...getAuthHeaders(), ...(opts.headers || {}) } });
+    const data = await res.json().catch(() => ({}));
+    if (!data.success) throw new Error(data.message || (data.error && data.error.message) || 'Request failed');
+    return data;
+}
+
+function showModal(id, show) {
+    const el = document.getElementById(id);
+    el.classList.toggle('hidden', !show);
+    el.classList.toggle('flex', show);
+}
+
+// ── List ──
+
+async function loadList() {
+    const params = new URLSearchParams({ limit: '100' });
+    if (direction) params.set('direction', direction);
+    const status = document.getElementById('statusFilter').value;
+    if (status) params.set('status', status);
+    const branch = document.getElementById('branchFilter').value;
+    if (allBranches && branch) params.set('branch_id', branch);
+
+    const list = document.getElementById('transferList');
+    try {
+        const data = await api(`/api/stock-transfers?${params}`);
+        if (!data.transfers.length) {
+            list.innerHTML = '<p class="text-sm text-gray-400">No transfers.</p>';
+            return;
+        }
+        list.innerHTML = data.transfers.map(t => `
+            <div class="st-row bg-white rounded-xl border border-gray-100 p-3 flex items-center justify-between cursor-pointer hover:bg-gray-50" data-id="${t.id}">
+                <div>
+                    <div class="text-sm font-semibold text-gray-800">${escHtml(t.transfer_number)}</div>
+                    <div class="text-xs text-gray-500">${escHtml(t.from_branch_name || t.from_location_name)} &rarr; ${escHtml(t.to_branch_name || t.to_location_name)}
+                        · ${t.item_count} item(s), ${fmtQty(t.total_qty)} units · by ${escHtml(t.requested_by_name || '-')}</div>
+                </div>
+                <div class="flex items-center gap-2">
+                    ${Number(t.has_discrepancy) ? '<span class="text-[11px] px-2 py-0.5 rounded-full bg-red-50 text-red-600">short</span>' : ''}
+                    ${t.zoho_push_error ? '<span class="text-[11px] px-2 py-0.5 rounded-full bg-red-50 text-red-600" title="' + escHtml(t.zoho_push_error) + '">Zoho failed</span>' : ''}
+                    <span class="text-[11px] px-2 py-0.5 rounded-full ${STATUS_BADGE[t.status] || ''}">${t.status.replace('_', ' ')}</span>
+                </div>
+            </div>`).join('');
+        list.querySelectorAll('.st-row').forEach(r => r.addEventListener('click', () => openDetail(r.dataset.id)));
+    } catch (e) {
+        list.innerHTML = `<p class="text-sm text-red-500">${escHtml(e.message)}</p>`;
+    }
+}
+
+// ── New request ──
+
+function locationLabel(l) {
+    return `${l.branch_name || 'Branch ' + l.local_branch_id} — ${l.zoho_location_name || l.zoho_location_id}`;
+}
+
+function openRequest() {
+    const own = locations.filter(l => atBranch(l.local_branch_id));
+    if (!own.length) { alert('Your branch has no Zoho location mapped'); return; }
+    const toSel = document.getElementById('toLocation');
+    toSel.innerHTML = own.map(l =>
+        `<option value="${escHtml(l.zoho_location_id)}" ${Number(l.local_branch_id) === Number(currentUser.branch_id) ? 'selected' : ''}>${escHtml(locationLabel(l))}</option>`
+    ).join('');
+    fillSources();
+    requestLines = [];
+    renderRequestLines();
+    document.getElementById('itemSearch').value = '';
+    document.getElementById('itemResults').classList.add('hidden');
+    document.getElementById('requestNotes').value = '';
+    showModal('requestModal', true);
+}
+
+function fillSources() {
+    const to = locations.find(l => l.zoho_location_id === document.getElementById('toLocation').value);
+    const sources = locations.filter(l => !to || Number(l.local_branch_id) !== Number(to.local_branch_id));
+    document.getElementById('fromLocation').innerHTML = sources.map(l =>
+        `<option value="${escHtml(l.zoho_location_id)}">${escHtml(locationLabel(l))}</option>`
+    ).join('');
+    requestLines = [];
+    renderRequestLines();
+}
+
+function searchItems() {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(async () => {
+        const search = document.getElementById('itemSearch').value.trim();
+        const box = document.getElementById('itemResults');
+        if (search.length < 2) { box.classList.add('hidden'); return; }
+        const params = new URLSearchParams({ location_id: document.getElementById('fromLocation').value, search });
+        try {
+            const data = await api(`/api/stock-transfers/source-stock?${params}`);
+            box.innerHTML = data.items.length
+                ? data.items.map(it => `
+                    <div class="st-pick px-3 py-2 text-sm hover:bg-gray-50 cursor-pointer flex justify-between" data-id="${escHtml(it.zoho_item_id)}">
+                        <span>${escHtml(it.item_name)} <span class="text-xs text-gray-400">${escHtml(it.sku || '')}</span></span>
+                        <span class="text-xs text-gray-500">${fmtQty(it.stock_on_hand)}${Number(it.reserved_qty) ? ' (' + fmtQty(it.reserved_qty) + ' promised)' : ''}</span>
+                    </div>`).join('')
+                : '<div class="px-3 py-2 text-sm text-gray-400">Nothing in stock there</div>';
+            box.classList.remove('hidden');
+            box.querySelectorAll('.st-pick').forEach(el => el.addEventListener('click', () => {
+                const it = data.items.find(i => String(i.zoho_item_id) === el.dataset.id);
+                if (!requestLines.some(l => l.zoho_item_id === it.zoho_item_id)) {
+                    requestLines.push({ zoho_item_id: it.zoho_item_id, item_name: it.item_name, stock: it.stock_on_hand, quantity: 1 });
+                    renderRequestLines();
+                }
+                box.classList.add('hidden');
+                document.getElementById('itemSearch').value = '';
+            }));
+        } catch (e) {
+            console.error('Source stock search error:', e);
+        }
+    }, 300);
+}
+
+function renderRequestLines() {
+    const body = document.getElementById('requestLines');
+    body.innerHTML = requestLines.length
+        ? requestLines.map((l, i) => `
+            <tr>
+                <td class="py-1">${escHtml(l.item_name)}</td>
+                <td class="text-right py-1 text-gray-500">${fmtQty(l.stock)}</td>
+                <td class="text-right py-1"><input type="number" min="0.01" step="1" value="${l.quantity}" data-idx="${i}" class="req-qty qty-input border border-gray-200 rounded px-2 py-1 text-sm"></td>
+                <td class="text-right py-1"><button class="req-del text-xs text-red-600" data-idx="${i}">&times;</button></td>
+            </tr>`).join('')
+        : '<tr><td colspan="4" class="py-2 text-xs text-gray-400">Search and add the items you need.</td></tr>';
+    body.querySelectorAll('.req-qty').forEach(el => el.addEventListener('input', () => {
+        requestLines[Number(el.dataset.idx)].quantity = parseFloat(el.value) || 0;
+    }));
+    body.querySelectorAll('.req-del').forEach(el => el.addEventListener('click', () => {
+        requestLines.splice(Number(el.dataset.idx), 1);
+        renderRequestLines();
+    }));
+}
+
+async function submitRequest() {
+    if (!requestLines.length) { alert('Add at least one item'); return; }
+    const body = {
+        from_location_id: document.getElementById('fromLocation').value,
+        to_location_id: document.getElementById('toLocation').value,
+        notes: document.getElementById('requestNotes').value.trim(),
+        items: requestLines.map(l => ({ zoho_item_id: String(l.zoho_item_id), quantity: l.quantity }))
+    };
+    const btn = document.getElementById('requestSubmit');
+    btn.disabled = true;
+    try {
+        const data = await api('/api/stock-transfers', {
+            method: 'POST',
+            headers: { 'Idempotency-Key': idemKey() },
+            body: JSON.stringify(body)
+        });
+        alert(data.message);
+        showModal('requestModal', false);
+        await loadList();
+    } catch (e) {
+        alert(e.message);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+// ── Detail + workflow steps ──
+
+// Which step (if any) this user can take now, and the quantity it edits.
+function stepFor(t) {
+    if (t.status === 'requested' && atBranch(t.from_branch_id)) return { action: 'approve', field: 'approved_qty', cap: 'requested_qty' };
+    if (t.status === 'approved' && atBranch(t.from_branch_id)) return { action: 'dispatch', field: 'dispatched_qty', cap: 'approved_qty' };
+    if (t.status === 'in_transit' && atBranch(t.to_branch_id)) return { action: 'receive', field: 'received_qty', cap: 'dispatched_qty' };
+    return null;
+}
+
+async function openDetail(id) {
+    try {
+        const data = await api(`/api/stock-transfers/${id}`);
+        openTransfer = data.transfer;
+        renderDetail();
+        showModal('detailModal', true);
+    } catch (e) {
+        alert(e.message);
+    }
+}
+
+function renderDetail() {
+    const t = openTransfer;
+    const step = stepFor(t);
+    document.getElementById('detailTitle').textContent = `${t.transfer_number} · ${t.status.replace('_', ' ')}`;
+    document.getElementById('detailMeta').textContent =
+        `${t.from_branch_name || t.from_location_name} → ${t.to_branch_name || t.to_location_name} · requested by ${t.requested_by_name || '-'}` +
+        (t.rejection_reason ? ` · rejected: ${t.rejection_reason}` : '') +
+        (t.zoho_push_error ? ` · Zoho: ${t.zoho_push_error}` : '');
+
+    const cols = [['Requested', 'requested_qty'], ['Approved', 'approved_qty'], ['Sent', 'dispatched_qty'], ['Received', 'received_qty']];
+    document.getElementById('detailBody').innerHTML = `
+        <table class="w-full text-sm">
+            <thead><tr class="text-xs text-gray-500">
+                <th class="text-left py-1">Item</th>
+                ${cols.map(([label]) => `<th class="text-right py-1">${label}</th>`).join('')}
+            </tr></thead>
+            <tbody>${t.items.map(it => `
+                <tr class="border-t border-gray-50">
+                    <td class="py-1">${escHtml(it.item_name)}
+                        ${it.discrepancy_note ? `<div class="text-[11px] text-red-600">${escHtml(it.discrepancy_note)}</div>` : ''}
+                        ${step && step.action === 'receive' ? `<input type="text" placeholder="Note if short" data-id="${it.id}" class="st-note mt-1 w-full border border-gray-200 rounded px-2 py-1 text-xs">` : ''}
+                    </td>
+                    ${cols.map(([, f]) => `<td class="text-right py-1">${step && step.field === f
+                        ? `<input type="number" min="0" step="1" value="${parseFloat(it[step.cap]) || 0}" data-id="${it.id}" class="st-qty qty-input border border-gray-200 rounded px-2 py-1 text-sm">`
+                        : fmtQty(it[f])}</td>`).join('')}
+                </tr>`).join('')}
+            </tbody>
+        </table>`;
+
+    const noteBox = document.getElementById('detailNote');
+    noteBox.classList.add('hidden');
+    document.getElementById('detailNoteText').value = '';
+
+    const actions = [];
+    if (step) {
+        const label = { approve: 'Approve', dispatch: 'Dispatch', receive: 'Confirm Receipt' }[step.action];
+        actions.push(`<button class="st-act flex-1 py-2 text-sm font-semibold text-white bg-gradient-to-r from-green-500 to-teal-600 rounded-lg" data-act="${step.action}">${label}</button>`);
+    }
+    if (t.status === 'requested' && atBranch(t.from_branch_id)) {
+        actions.push('<button class="st-act flex-1 py-2 text-sm font-semibold text-red-600 bg-red-50 rounded-lg" data-act="reject">Reject</button>');
+    }
+    if (['requested', 'approved'].includes(t.status) && atBranch(t.to_branch_id)) {
+        actions.push('<button class="st-act flex-1 py-2 text-sm font-semibold text-gray-700 bg-gray-100 rounded-lg" data-act="cancel">Cancel Request</button>');
+    }
+    if (t.zoho_push_error && isManager) {
+        actions.push('<button class="st-act flex-1 py-2 text-sm font-semibold text-amber-700 bg-amber-50 rounded-lg" data-act="push-zoho">Retry Zoho</button>');
+    }
+    actions.push('<button class="st-close flex-1 py-2 text-sm font-semibold text-gray-600 bg-gray-100 rounded-lg">Close</button>');
+    const box = document.getElementById('detailActions');
+    box.innerHTML = actions.join('');
+    box.querySelectorAll('.st-act').forEach(b => b.addEventListener('click', () => runAction(b.dataset.act)));
+    box.querySelector('.st-close').addEventListener('click', () => showModal('detailModal', false));
+}
+
+function readStepLines(field) {
+    const notes = {};
+    document.querySelectorAll('#detailBody .st-note').forEach(el => { notes[el.dataset.id] = el.value.trim(); });
+    return Array.from(document.querySelectorAll('#detailBody .st-qty')).map(el => {
+        const line = { item_id: Number(el.dataset.id), [field]: parseFloat(el.value) || 0 };
+        if (notes[el.dataset.id]) line.note = notes[el.dataset.id];
+        return line;
+    });
+}
+
+async function runAction(act) {
+    const t = openTransfer;
+    let body = {};
+    if (act === 'reject') {
+        const noteBox = document.getElementById('detailNote');
+        const reason = document.getElementById('detailNoteText').value.trim();
+        if (noteBox.classList.contains('hidden') || !reason) {
+            document.getElementById('detailNoteLabel').textContent = 'Why can\'t your branch send this? (required)';
+            noteBox.classList.remove('hidden');
+            return;
+        }
+        body = { reason };
+    } else if (act === 'approve') {
+        body = { items: readStepLines('approved_qty') };
+    } else if (act === 'dispatch') {
+        if (!confirm('Dispatch now? The stock leaves your branch and shows as in transit.')) return;
+        body = { items: readStepLines('dispatched_qty') };
+    } else if (act === 'receive') {
+        body = { items: readStepLines('received_qty') };
+    } else if (act === 'cancel') {
+        if (!confirm(`Cancel ${t.transfer_number}?`)) return;
+    }
+
+    try {
+        const data = await api(`/api/stock-transfers/${t.id}/${act}`, {
+            method: 'POST',
+            headers: { 'Idempotency-Key': idemKey() },
+            body: JSON.stringify(body)
+        });
+        alert(data.message);
+        showModal('detailModal', false);
+        await loadList();
+    } catch (e) {
+        alert(e.message);
+    }
+}
+
+// ── Boot ──
+
+async function loadLocations() {
+    try {
+        const data = await api('/api/stock-transfers/locations');
+        locations = data.locations || [];
+        if (allBranches) {
+            const branches = new Map(locations.map(l => [Number(l.local_branch_id), l.branch_name]));
+            const sel = document.getElementById('branchFilter');
+            sel.innerHTML = '<option value="">All branches</option>' + Array.from(branches).map(([id, name]) =>
+                `<option value="${id}">${escHtml(name || 'Branch ' + id)}</option>`
+            ).join('');
+            sel.classList.remove('hidden');
+        }
+    } catch (e) {
+        console.error('Load locations error:', e);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', async () => {
+    document.querySelectorAll('.dir-tab').forEach(b => b.addEventListener('click', () => {
+        direction = b.dataset.dir;
+        document.querySelectorAll('.dir-tab').forEach(x => x.classList.toggle('active', x === b));
+        loadList();
+    }));
+    document.getElementById('statusFilter').addEventListener('change', loadList);
+    document.getElementById('branchFilter').addEventListener('change', loadList);
+    document.getElementById('newRequestBtn').addEventListener('click', openRequest);
+    document.getElementById('toLocation').addEventListener('change', fillSources);
+    document.getElementById('fromLocation').addEventListener('change', () => { requestLines = []; renderRequestLines(); });
+    document.getElementById('itemSearch').addEventListener('input', searchItems);
+    document.getElementById('requestCancel').addEventListener('click', () => showModal('requestModal', false));
+    document.getElementById('requestSubmit').addEventListener('click', submitRequest);
+
+    await loadLocations();
+    await loadList();
+});
@@ -0,0 +1,204 @@
+// Tint Formulas page — search a customer's shade recipes by phone (or shade),
+// record a new formula against an invoice line, and "use again" to start a
+// repeat tint from an old recipe. API: /api/tint-formulas.
+
+let invoiceItems = [];    // lines of the loaded invoice
+
+function escHtml(s) {
+    if (s === null || s === undefined) return '';
+    const d = document.createElement('div');
+    d.textContent = String(s);
+    return d.innerHTML;
+}
+
+function formatDate(dateStr) {
+    if (!dateStr) return '';
+    const d = new Date(dateStr);
+    if (isNaN(d)) return dateStr;
+    return d.toLocaleDateString('en-IN', { day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function apiError(data, fallback) {
+    return data.message || (data.error && data.error.message) || fallback;
+}
+
+// ========================================
+// SEARCH
+// ========================================
+async function searchFormulas() {
+    const phone = document.getElementById('searchPhone').value.trim();
+    const q = document.getElementById('searchText').value.trim();
+    const box = document.getElementById('results');
+    if (!phone && !q) { box.innerHTML = ''; return; }
+    const params = new URLSearchParams();
+    if (phone) params.set('phone', phone);
+    if (q) params.set('q', q);
+    try {
+        const res = await fetch(`/api/tint-formulas?${params}`, { headers: getAuthHeaders() });
+        const data = await res.json();
+        if (!data.success) {
+            box.innerHTML = `<p class="text-xs text-red-600">${escHtml(apiError(data, 'Search failed'))}</p>`;
+            return;
+        }
+        window._formulas = data.formulas;
+        box.innerHTML = data.formulas.length
+            ? data.formulas.map(renderFormula).join('')
+            : '<p class="text-xs text-gray-400">No formulas found</p>';
+    } catch (e) {
+        console.error('Tint formula search error:', e);
+    }
+}
+
+function renderFormula(f, i) {
+    const source = f.invoice_number ? `Invoice ${escHtml(f.invoice_number)}`
+        : f.estimate_number ? `Estimate ${escHtml(f.estimate_number)}` : 'Walk-in';
+    const chips = (f.colorants || [])
+        .map(c => `<span class="colorant-chip">${escHtml(c.code)} &middot; ${escHtml(c.shots_per_litre)}/L</span>`)
+        .join('');
+    return `
+        <div class="border border-gray-100 rounded-lg p-3 flex gap-3">
+            <div class="swatch" style="background:${/^#[0-9a-f]{6}$/i.test(f.shade_hex || '') ? f.shade_hex : '#ffffff'}"></div>
+            <div class="flex-1 min-w-0">
+                <div class="flex justify-between gap-2">
+                    <div class="text-sm font-bold text-gray-800">${escHtml(f.shade_code)} ${escHtml(f.shade_name || '')}</div>
+                    <button class="reuse-btn text-xs font-semibold text-green-700" data-idx="${i}">Use again</button>
+                </div>
+                <div class="text-xs text-gray-500">${escHtml(f.base_item_name || '')}${f.base_key ? ' &middot; Base ' + escHtml(f.base_key) : ''}${f.pack_size ? ' &middot; ' + escHtml(f.pack_size) : ''}</div>
+                <div>${chips}</div>
+                <div class="text-[11px] text-gray-400 mt-1">${source} &middot; ${escHtml(f.customer_name || '')} &middot; ${formatDate(f.created_at)}${f.machine_name ? ' &middot; ' + escHtml(f.machine_name) : ''}</div>
+            </div>
+        </div>`;
+}
+
+function reuseFormula(f) {
+    document.getElementById('brandCode').value = f.brand_code || '';
+    document.getElementById('shadeCode').value = f.shade_code || '';
+    document.getElementById('shadeName').value = f.shade_name || '';
+    document.getElementById('machineName').value = f.machine_name || '';
+    document.getElementById('baseItemName').value = f.base_item_name || '';
+    document.getElementById('customerPhone').value = f.customer_phone || '';
+    document.getElementById('customerName').value = f.customer_name || '';
+    document.getElementById('colorantRows').innerHTML = '';
+    (f.colorants || []).forEach(c => addColorantRow(c.code, c.shots_per_litre));
+    document.getElementById('invoiceNumber').focus();
+}
+
+// ========================================
+// RECORD
+// ========================================
+function addColorantRow(code, shots) {
+    const row = document.createElement('div');
+    row.className = 'colorant-row flex gap-2';
+    row.innerHTML = `
+        <input type="text" class="colorant-code flex-1 border border-gray-200 rounded-lg px-3 py-2 text-sm" placeholder="Colorant code" value="${escHtml(code || '')}">
+        <input type="number" step="0.001" min="0" class="colorant-shots w-28 border border-gray-200 rounded-lg px-3 py-2 text-sm" placeholder="Shots/L" value="${shots != null ? escHtml(shots) : ''}">
+        <button class="colorant-remove px-2 text-red-500 text-sm" title="Remove">&times;</button>`;
+    row.querySelector('.colorant-remove').addEventListener('click', () => row.remove());
+    document.getElementById('colorantRows').appendChild(row);
+}
+
+async function loadInvoice() {
+    const number = document.getElementById('invoiceNumber').value.trim();
+    const select = document.getElementById('invoiceLine');
+    if (!number) return;
+    try {
+        const res = await fetch(`/api/billing/invoices?search=${encodeURIComponent(number)}&limit=5`, { headers: getAuthHeaders() });
+        const data = await res.json();
+        const inv = (data.invoices || []).find(i => String(i.invoice_number).toLowerCase() === number.toLowerCase());
+        if (!inv) { alert('Invoice not found'); return; }
+        const detailRes = await fetch(`/api/billing/invoices/${inv.id}`, { headers: getAuthHeaders() });
+        const detail = await detailRes.json();
+        invoiceItems = detail.items || [];
+        select.innerHTML = invoiceItems.map(it =>
+            `<option value="${it.id}">${escHtml(it.item_name)}${it.pack_size ? ' (' + escHtml(it.pack_size) + ')' : ''} × ${escHtml(it.quantity)}</option>`
+        ).join('');
+        select.classList.toggle('hidden', !invoiceItems.length);
+        document.getElementById('customerPhone').value = inv.customer_phone || '';
+        document.getElementById('customerName').value = inv.customer_name || '';
+        onLineChange();
+    } catch (e) {
+        console.error('Load invoice error:', e);
+    }
+}
+
+function onLineChange() {
+    const line = invoiceItems.find(it => String(it.id) === document.getElementById('invoiceLine').value);
+    if (!line) return;
+    document.getElementById('baseItemName').value = line.item_name || '';
+    document.getElementById('packSize').value = line.pack_size || '';
+}
+
+async function saveFormula() {
+    const colorants = [...document.querySelectorAll('.colorant-row')]
+        .map(r => ({ code: r.querySelector('.colorant-code').value.trim(), shots_per_litre: parseFloat(r.querySelector('.colorant-shots').value) }))
+        .filter(c => c.code);
+    const lineSelect = document.getElementById('invoiceLine');
+    const body = {
+        shade_code: document.getElementById('shadeCode').value.trim(),
+        shade_name: document.getElementById('shadeName').value.trim() || null,
+        brand_code: document.getElementById('brandCode').value || null,
+        machine_name: document.getElementById('machineName').value.trim() || null,
+        base_item_name: document.getElementById('baseItemName').value.trim() || null,
+        pack_size: document.getElementById('packSize').value.trim() || null,
+        customer_phone: document.getElementById('customerPhone').value.trim() || null,
+        customer_name: document.getElementById('customerName').value.trim() || null,
+        invoice_item_id: !lineSelect.classList.contains('hidden') && lineSelect.value ? Number(lineSelect.value) : null,
+        notes: document.getElementById('formulaNotes').value.trim() || null,
+        colorants
+    };
+    if (!body.shade_code || !colorants.length) { alert('Shade code and at least one colorant are required'); return; }
+    const btn = document.getElementById('saveBtn');
+    btn.disabled = true;
+    try {
+        const res = await fetch('/api/tint-formulas', { method: 'POST', headers: getAuthHeaders(), body: JSON.stringify(body) });
+        const data = await res.json();
+        alert(apiError(data, data.success ? 'Formula saved' : 'Failed to save formula'));
+        if (data.success && body.customer_phone) {
+            document.getElementById('searchPhone').value = body.customer_phone;
+            searchFormulas();
+        }
+    } catch (e) {
+        console.error('Save formula error:', e);
+    } finally {
+        btn.disabled = false;
+    }
+}
+
+async function loadBrands() {
+    try {
+        const res = await fetch('/api/paint-colors/brands', { headers: getAuthHeaders() });
+        const data = await res.json();
+        const select = document.getElementById('brandCode');
+        (data.data || []).forEach(b => {
+            const opt = document.createElement('option');
+            opt.value = b.code;
+            opt.textContent = b.name;
+            select.appendChild(opt);
+        });
+    } catch (e) {
+        console.error('Load brands error:', e);
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    document.getElementById('searchBtn').addEventListener('click', searchFormulas);
+    ['searchPhone', 'searchText'].forEach(id => document.getElementById(id).addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') searchFormulas();
+    }));
+    document.getElementById('results').addEventListener('click', (e) => {
+        const btn = e.target.closest('.reuse-btn');
+        if (btn && window._formulas) reuseFormula(window._formulas[Number(btn.dataset.idx)]);
+    });
+    document.getElementById('loadInvoiceBtn').addEventListener('click', loadInvoice);
+    document.getElementById('invoiceLine').addEventListener('change', onLineChange);
+    document.getElementById('addColorantBtn').addEventListener('click', () => addColorantRow());
+    document.getElementById('saveBtn').addEventListener('click', saveFormula);
+    addColorantRow();
+    loadBrands();
+
+    const phone = new URLSearchParams(window.location.search).get('phone');
+    if (phone) {
+        document.getElementById('searchPhone').value = phone;
+        searchFormulas();
+    }
+});
@@ -0,0 +1,326 @@
+/**
+ * Approval Workflow Routes
+ * The "My approvals" inbox, per-entity trails, chain configuration and
+ * delegations for services/approval-workflow.js.
+ *
+ *   GET    /inbox                 — pending steps the caller may act on now
+ *   GET    /entity/:type/:id      — approval trail of one entity
+ *   GET    /chains                — list chains (+ steps) [approvals.manage]
+ *   POST   /chains                — create a chain        [approvals.manage]
+ *   PUT    /chains/:id            — replace a chain       [approvals.manage]
+ *   DELETE /chains/:id            — deactivate a chain    [approvals.manage]
+ *   GET    /delegations           — mine (given + received); all with approvals.manage
+ *   POST   /delegations           — delegate my approvals (others' with approvals.manage)
+ *   DELETE /delegations/:id       — end a delegation
+ *   POST   /escalate/run          — run the overdue-step sweep now [approvals.manage]
+ *
+ * Approving/rejecting stays on each module's own endpoint (the inbox returns
+ * the action paths) — those endpoints route the decision through the engine.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, requireAuth, hasRolePermission, isFullAdmin } = require('../middleware/permissionMiddleware');
+const { validate, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const approvals = require('../services/approval-workflow');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+async function canManage(user) {
+    if (!user) return false;
+    if (isFullAdmin(user.role)) return true;
+    try { return await hasRolePermission(user.role, 'approvals', 'manage'); } catch { return false; }
+}
+
+async function loadChains(entityType) {
+    const [chains] = await pool.query(
+        `SELECT * FROM approval_chains ${entityType ? 'WHERE entity_type = ?' : ''}
+         ORDER BY entity_type, is_active DESC, priority DESC, min_amount`,
+        entityType ? [entityType] : []
+    );
+    if (!chains.length) return [];
+    const [steps] = await pool.query(
+        `SELECT * FROM approval_chain_steps WHERE chain_id IN (${chains.map(() => '?').join(',')})
+         ORDER BY chain_id, step_order`,
+        chains.map(c => c.id)
+    );
+    return chains.map(c => ({
+        ...c,
+        steps: steps.filter(s => s.chain_id === c.id)
+            .map(s => ({ ...s, approver: approvals.approverLabel(s.approver_type, s.approver_value) }))
+    }));
+}
+
+async function writeSteps(conn, chainId, steps) {
+    await conn.query('DELETE FROM approval_chain_steps WHERE chain_id = ?', [chainId]);
+    for (let i = 0; i < steps.length; i++) {
+        const s = steps[i];
+        await conn.query(
+            `INSERT INTO approval_chain_steps
+             (chain_id, step_order, approver_type, approver_value, escalate_after_hours, escalate_to_type, escalate_to_value)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [chainId, i + 1, s.approver_type, s.approver_value || null,
+                s.escalate_after_hours || null, s.escalate_to_type || null, s.escalate_to_value || null]
+        );
+    }
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const entityTypeSchema = z.enum(Object.keys(approvals.ENTITY_TYPES));
+const approverTypeSchema = z.enum(approvals.APPROVER_TYPES);
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD');
+
+const idParamSchema = z.object({
+    id: z.coerce.number().positive()
+});
+
+const entityParamSchema = z.object({
+    type: entityTypeSchema,
+    id: z.string().min(1).max(64)
+});
+
+const chainStepSchema = z.object({
+    approver_type: approverTypeSchema,
+    approver_value: z.union([z.string(), z.number()]).transform(v => String(v)).optional().nullable(),
+    escalate_after_hours: z.number().int().positive().max(720).optional().nullable(),
+    escalate_to_type: approverTypeSchema.optional().nullable(),
+    escalate_to_value: z.union([z.string(), z.number()]).transform(v => String(v)).optional().nullable()
+});
+
+const chainSchema = z.object({
+    entity_type: entityTypeSchema,
+    name: z.string().trim().min(1).max(150),
+    min_amount: z.number().min(0).optional().nullable(),
+    max_amount: z.number().min(0).optional().nullable(),
+    priority: z.number().int().optional().default(0),
+    is_active: z.boolean().optional().default(true),
+    steps: z.array(chainStepSchema).min(1).max(10)
+}).refine(c => c.min_amount == null || c.max_amount == null || c.max_amount > c.min_amount, {
+    message: 'max_amount must be greater than min_amount', path: ['max_amount']
+});
+
+const delegationSchema = z.object({
+    user_id: z.number().positive().optional(),
+    delegate_user_id: z.number().positive(),
+    starts_on: dateString,
+    ends_on: dateString,
+    entity_type: entityTypeSchema.optional().nullable(),
+    reason: z.string().max(255).optional().nullable()
+}).refine(d => d.ends_on >= d.starts_on, { message: 'ends_on must not be before starts_on', path: ['ends_on'] });
+
+// ═══════════════════════════════════════════
+// INBOX / TRAIL
+// ═══════════════════════════════════════════
+
+router.get('/inbox', requireAuth, async (req, res) => {
+    try {
+        const items = await approvals.inbox(req.user);
+        res.json({ success: true, count: items.length, items });
+    } catch (error) {
+        console.error('Approvals inbox error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load approvals' });
+    }
+});
+
+router.get('/entity/:type/:id', requireAuth, validateParams(entityParamSchema), async (req, res) => {
+    try {
+        const t = await approvals.trail(req.params.type, req.params.id);
+        if (!t) return res.status(404).json({ success: false, message: 'No approval request for this item' });
+        res.json({ success: true, approval: t });
+    } catch (error) {
+        console.error('Approval trail error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load approval trail' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// CHAINS
+// ═══════════════════════════════════════════
+
+router.get('/chains', requirePermission('approvals', 'manage'), async (req, res) => {
+    try {
+        const entityType = entityTypeSchema.safeParse(req.query.entity_type).success ? req.query.entity_type : null;
+        const chains = await loadChains(entityType);
+        const entityTypes = Object.entries(approvals.ENTITY_TYPES).map(([key, cfg]) => ({
+            key, label: cfg.label, default_permission: cfg.permission.join('.')
+        }));
+        res.json({ success: true, chains, entity_types: entityTypes });
+    } catch (error) {
+        console.error('List approval chains error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load approval chains' });
+    }
+});
+
+async function saveChain(req, res, id) {
+    const data = req.body;
+    try {
+        approvals.validateSteps(data.steps);
+    } catch (err) {
+        return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+
+    const conn = await pool.getConnection();
+    let chainId = id;
+    let before = null;
+    try {
+        await conn.beginTransaction();
+        const values = [data.entity_type, data.name, data.min_amount ?? null, data.max_amount ?? null,
+            data.priority, data.is_active ? 1 : 0];
+        if (id) {
+            const [rows] = await conn.query('SELECT * FROM approval_chains WHERE id = ? FOR UPDATE', [id]);
+            if (!rows.length) {
+                await conn.rollback();
+                return res.status(404).json({ success: false, message: 'Approval chain not found' });
+            }
+            before = rows[0];
+            await conn.query(
+                `UPDATE approval_chains SET entity_type = ?, name = ?, min_amount = ?, max_amount = ?,
+                 priority = ?, is_active = ? WHERE id = ?`,
+                [...values, id]
+            );
+        } else {
+            const [ins] = await conn.query(
+                `INSERT INTO approval_chains (entity_type, name, min_amount, max_amount, priority, is_active, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [...values, req.user.id]
+            );
+            chainId = ins.insertId;
+        }
+        await writeSteps(conn, chainId, data.steps);
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        console.error('Save approval chain error:', error);
+        return res.status(500).json({ success: false, message: 'Failed to save approval chain' });
+    } finally {
+        conn.release();
+    }
+
+    auditLog.record(req, {
+        action: id ? 'approvals.chain.update' : 'approvals.chain.create',
+        entity_type: 'approval_chain', entity_id: chainId,
+        before, after: { ...data }
+    });
+    // Open requests keep the steps they were created with; new submissions pick this up.
+    res.json({ success: true, id: chainId, message: id ? 'Approval chain updated' : 'Approval chain created' });
+}
+
+router.post('/chains', requirePermission('approvals', 'manage'), validate(chainSchema),
+    (req, res) => saveChain(req, res, null));
+
+router.put('/chains/:id', requirePermission('approvals', 'manage'), validateParams(idParamSchema), validate(chainSchema),
+    (req, res) => saveChain(req, res, Number(req.params.id)));
+
+router.delete('/chains/:id', requirePermission('approvals', 'manage'), validateParams(idParamSchema), async (req, res) => {
+    try {
+        const [result] = await pool.query('UPDATE approval_chains SET is_active = 0 WHERE id = ?', [req.params.id]);
+        if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Approval chain not found' });
+        auditLog.record(req, {
+            action: 'approvals.chain.deactivate', entity_type: 'approval_chain', entity_id: req.params.id,
+            before: { is_active: 1 }, after: { is_active: 0 }
+        });
+        res.json({ success: true, message: 'Approval chain deactivated' });
+    } catch (error) {
+        console.error('Deactivate approval chain error:', error);
+        res.status(500).json({ success: false, message: 'Failed to deactivate approval chain' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// DELEGATIONS
+// ═══════════════════════════════════════════
+
+router.get('/delegations', requireAuth, async (req, res) => {
+    try {
+        const all = req.query.all === '1' && await canManage(req.user);
+        const [rows] = await pool.query(
+            `SELECT d.*, u.full_name AS user_name, du.full_name AS delegate_name
+             FROM approval_delegations d
+             LEFT JOIN users u ON u.id = d.user_id
+             LEFT JOIN users du ON du.id = d.delegate_user_id
+             ${all ? '' : 'WHERE d.user_id = ? OR d.delegate_user_id = ?'}
+             ORDER BY d.is_active DESC, d.starts_on DESC
+             LIMIT 200`,
+            all ? [] : [req.user.id, req.user.id]
+        );
+        res.json({ success: true, delegations: rows });
+    } catch (error) {
+        console.error('List delegations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load delegations' });
+    }
+});
+
+router.post('/delegations', requireAuth, validate(delegationSchema), async (req, res) => {
+    const data = req.body;
+    const userId = data.user_id || req.user.id;
+    try {
+        if (Number(userId) !== Number(req.user.id) && !await canManage(req.user)) {
+            return res.status(403).json({ success: false, message: 'You can only delegate your own approvals' });
+        }
+        if (Number(userId) === Number(data.delegate_user_id)) {
+            return res.status(400).json({ success: false, message: 'Cannot delegate to the same user' });
+        }
+        const [delegate] = await pool.query("SELECT id FROM users WHERE id = ? AND status = 'active'", [data.delegate_user_id]);
+        if (!delegate.length) return res.status(400).json({ success: false, message: 'Delegate not found or inactive' });
+
+        const [ins] = await pool.query(
+            `INSERT INTO approval_delegations (user_id, delegate_user_id, starts_on, ends_on, entity_type, reason, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [userId, data.delegate_user_id, data.starts_on, data.ends_on, data.entity_type || null, data.reason || null, req.user.id]
+        );
+        auditLog.record(req, {
+            action: 'approvals.delegation.create', entity_type: 'approval_delegation', entity_id: ins.insertId,
+            after: { user_id: userId, ...data }
+        });
+        res.json({ success: true, id: ins.insertId, message: 'Delegation saved' });
+    } catch (error) {
+        console.error('Create delegation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save delegation' });
+    }
+});
+
+router.delete('/delegations/:id', requireAuth, validateParams(idParamSchema), async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM approval_delegations WHERE id = ?', [req.params.id]);
+        if (!rows.length) return res.status(404).json({ success: false, message: 'Delegation not found' });
+        const d = rows[0];
+        if (Number(d.user_id) !== Number(req.user.id) && !await canManage(req.user)) {
+            return res.status(403).json({ success: false, message: 'Not your delegation' });
+        }
+        await pool.query('UPDATE approval_delegations SET is_active = 0 WHERE id = ?', [d.id]);
+        auditLog.record(req, {
+            action: 'approvals.delegation.end', entity_type: 'approval_delegation', entity_id: d.id,
+            before: { is_active: 1 }, after: { is_active: 0 }
+        });
+        res.json({ success: true, message: 'Delegation ended' });
+    } catch (error) {
+        console.error('End delegation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to end delegation' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// ESCALATION
+// ═══════════════════════════════════════════
+
+router.post('/escalate/run', requirePermission('approvals', 'manage'), async (req, res) => {
+    try {
+        const escalated = await approvals.escalateOverdue();
+        res.json({ success: true, escalated });
+    } catch (error) {
+        console.error('Approval escalation error:', error);
+        res.status(500).json({ success: false, message: 'Failed to run escalation' });
+    }
+});
+
+module.exports = { router, setPool, chainSchema };
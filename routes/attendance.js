@@ -12,6 +12,9 @@ const fs = require('fs').promises;
 const { requirePermission, requireAuth } = require('../middleware/permissionMiddleware');
 const notificationService = require('../services/notification-service');
 const activityFeed = require('../services/activity-feed');
+const approvals = require('../services/approval-workflow');
+const leaveService = require('../services/leave');
+const shiftsService = require('../services/shifts');
 
 // Configure multer for photo uploads
 const storage = multer.memoryStorage();
@@ -153,9 +156,23 @@ function getDeleteAfterDate() {
 }
 
 /**
- * Get shop hours for branch and day
+ * Open the approval-workflow request for a new permission (best-effort).
+ * Chains match on the requested minutes.
  */
-async function getShopHours(branchId, date) {
+function submitPermissionApproval(permissionId, user, requestType, minutes) {
+    return approvals.submitQuietly({
+        entityType: 'attendance_permission', entityId: permissionId,
+        amount: minutes ? parseInt(minutes) : null,
+        branchId: user.branch_id || null, requestedBy: user.id,
+        title: `${(requestType || 'attendance').replace(/_/g, ' ')} — ${user.full_name || user.username || 'Staff'}`
+    });
+}
+
+/**
+ * Get shop hours for branch and day. With a userId the hours are adjusted
+ * to the staff member's shift roster (services/shifts.js), if they have one.
+ */
+async function getShopHours(branchId, date, userId = null) {
     const dayOfWeek = new Date(date).toLocaleString('en-US', { weekday: 'long', timeZone: 'Asia/Kolkata' }).toLowerCase();
     
     const [rows] = await pool.query(
@@ -164,7 +181,7 @@ async function getShopHours(branchId, date) {
         [branchId, dayOfWeek]
     );
     
-    return rows[0] || {
+    const hours = rows[0] || {
         open_time: '08:30:00',
         close_time: '20:30:00',
         expected_hours: dayOfWeek === 'sunday' ? 5.00 : 10.00,
@@ -174,6 +191,8 @@ async function getShopHours(branchId, date) {
         break_allowance_minutes: 120,
         break_warning_minutes: 90
     };
+    if (!userId) return hours;
+    return shiftsService.applySchedule(hours, await shiftsService.resolveDay(pool, userId, date));
 }
 
 /**
@@ -384,12 +403,12 @@ router.post('/clock-in', requireAuth, upload.single('photo'), async (req, res) =
             }
         }
 
-        // Get shop hours
-        const shopHours = await getShopHours(branchId, today);
+        // Get shop hours (the staff member's shift, if rostered)
+        const shopHours = await getShopHours(branchId, today, userId);
 
-        // Check if late (skip for re-clock-in)
+        // Check if late (skip for re-clock-in and a rostered day off)
         const currentTime = getNowIST().toISOString().substring(11, 19); // HH:MM:SS in IST
-        const late = isReclockin ? false : isLateArrival(currentTime, shopHours.open_time, shopHours.late_threshold_minutes);
+        const late = (isReclockin || shopHours.is_off_day) ? false : isLateArrival(currentTime, shopHours.open_time, shopHours.late_threshold_minutes);
 
         // Calculate late penalty minutes to deduct (10 min/min from 8:45–9:00, 5 min/min after 9:00)
         const latePenaltyAmount = (late && !isReclockin) ? calculateLatePenalty(currentTime, shopHours.open_time) : 0;
@@ -411,12 +430,12 @@ router.post('/clock-in', requireAuth, upload.single('photo'), async (req, res) =
             `INSERT INTO staff_attendance
              (user_id, branch_id, date, clock_in_time, clock_in_photo,
               clock_in_lat, clock_in_lng, clock_in_address,
-              is_late, late_minutes, late_penalty_minutes, expected_hours, status,
+              is_late, late_minutes, late_penalty_minutes, expected_hours, shift_id, status,
               clock_in_distance, is_reclockin, is_overtime, break_allowance_minutes)
-             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'present', ?, ?, ?, ?)`,
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'present', ?, ?, ?, ?)`,
             [userId, branchId, today, now, photoPath, latitude, longitude,
              address, late ? 1 : 0, lateMinutesTotal, latePenaltyAmount,
-             shopHours.expected_hours, clockInDistance,
+             shopHours.expected_hours, shopHours.shift_id || null, clockInDistance,
              isReclockin ? 1 : 0, isOvertime ? 1 : 0, breakAllowanceForRecord]
         );
 
@@ -452,6 +471,7 @@ router.post('/clock-in', requireAuth, upload.single('photo'), async (req, res) =
             );
 
             permissionId = permResult.insertId;
+            await submitPermissionApproval(permissionId, { ...req.user, branch_id: branchId }, 'late_arrival', lateMinutesTotal);
 
             // Link permission to attendance
             await pool.query(
@@ -471,6 +491,7 @@ router.post('/clock-in', requireAuth, upload.single('photo'), async (req, res) =
                 late_penalty_minutes: latePenaltyAmount,
                 shop_open_time: shopHours.open_time,
                 expected_hours: shopHours.expected_hours,
+                shift_name: shopHours.shift_name || null,
                 permission_id: permissionId
             }
         });
@@ -658,11 +679,19 @@ router.post('/clock-out', requireAuth, upload.single('photo'), async (req, res)
             );
         }
 
+        // A rostered shift (or day off) replaces the branch close time and hours
+        const dayHours = shiftsService.applySchedule(
+            { close_time: record.close_time, expected_hours: record.expected_hours },
+            await shiftsService.resolveDay(pool, userId, today)
+        );
+        record.close_time = dayHours.close_time;
+        record.expected_hours = dayHours.expected_hours;
+
         // Check if early checkout (compare IST current time vs IST close time)
         const currentTime = getNowIST().toISOString().substring(11, 19); // HH:MM:SS in IST
         const closeTime = new Date(`1970-01-01T${record.close_time}`);
         const currentDateTime = new Date(`1970-01-01T${currentTime}`);
-        const isEarly = currentDateTime < closeTime;
+        const isEarly = !dayHours.is_off_day && currentDateTime < closeTime;
 
         // Calculate overtime
         const expectedMinutes = (record.expected_hours || 10) * 60;
@@ -781,7 +810,7 @@ router.get('/today', requireAuth, async (req, res) => {
         if (rows.length === 0) {
             // No attendance yet - return shop hours
             const branchId = req.user.branch_id;
-            const shopHours = await getShopHours(branchId, today);
+            const shopHours = await getShopHours(branchId, today, userId);
 
             return res.json({
                 success: true,
@@ -792,6 +821,11 @@ router.get('/today', requireAuth, async (req, res) => {
         }
 
         const attendance = rows[0];
+        // Show the rostered shift's timing rather than the branch's
+        Object.assign(attendance, shiftsService.applySchedule(
+            { open_time: attendance.open_time, close_time: attendance.close_time, expected_hours: attendance.expected_hours },
+            await shiftsService.resolveDay(pool, userId, today)
+        ));
 
         // Check for pending re-clockin request and total day minutes
         let reclockinStatus = null;
@@ -1315,6 +1349,7 @@ router.post('/permission/request', requireAuth, async (req, res) => {
             [userId, attendanceId, request_type, request_date, 
              request_time, duration_minutes, reason, userId]
         );
+        await submitPermissionApproval(result.insertId, req.user, request_type, duration_minutes);
         
         res.json({
             success: true,
@@ -1380,6 +1415,7 @@ router.post('/permission/request-reclockin', requireAuth, async (req, res) => {
              VALUES (?, ?, 're_clockin', ?, ?, ?, 'pending')`,
             [userId, attendanceId, today, reason.trim(), userId]
         );
+        await submitPermissionApproval(result.insertId, req.user, 're_clockin', null);
 
         // Notify admins
         try {
@@ -1592,6 +1628,20 @@ router.put('/permission/:id/approve', requirePermission('attendance', 'approve')
             });
         }
         
+        try {
+            const approval = await approvals.decide(req.user, {
+                entityType: 'attendance_permission', entityId: permissionId, decision: 'approve', note: review_notes || null,
+                start: { amount: permission.duration_minutes || null, requestedBy: permission.requested_by }
+            });
+            // Multi-stage chain: only the final step approves the permission
+            if (!approval.final) {
+                return res.json({ success: true, pending: true, message: approval.message, approval });
+            }
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+        }
+
         const now = new Date();
         
         // Update permission status
@@ -1728,6 +1778,16 @@ router.put('/permission/:id/reject', requirePermission('attendance', 'approve'),
             });
         }
         
+        try {
+            await approvals.decide(req.user, {
+                entityType: 'attendance_permission', entityId: permissionId, decision: 'reject', note: review_notes,
+                start: { amount: permission.duration_minutes || null, requestedBy: permission.requested_by }
+            });
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+        }
+
         const now = new Date();
         
         // Update permission status
@@ -1989,8 +2049,8 @@ router.post('/admin/mark', requirePermission('attendance', 'manage'), async (req
         
         const branchId = users[0].branch_id;
         
-        // Get shop hours
-        const shopHours = await getShopHours(branchId, date);
+        // Get shop hours (the staff member's shift, if rostered)
+        const shopHours = await getShopHours(branchId, date, user_id);
         
         // Check if already exists
         const [existing] = await pool.query(
@@ -2019,9 +2079,9 @@ router.post('/admin/mark', requirePermission('attendance', 'manage'), async (req
         const manualNote = 'Manually marked by admin (ID: ' + adminId + '). ' + (notes || '');
         const [result] = await pool.query(
             `INSERT INTO staff_attendance
-             (user_id, branch_id, date, status, expected_hours, notes)
-             VALUES (?, ?, ?, ?, ?, ?)`,
-            [user_id, branchId, date, status, shopHours.expected_hours, manualNote]
+             (user_id, branch_id, date, status, expected_hours, shift_id, notes)
+             VALUES (?, ?, ?, ?, ?, ?, ?)`,
+            [user_id, branchId, date, status, shopHours.expected_hours, shopHours.shift_id || null, manualNote]
         );
         
         res.json({
@@ -4195,7 +4255,8 @@ router.post('/report/send-lead-alerts', requirePermission('attendance.manage'),
 
 /**
  * GET /api/attendance/leave-balance
- * Returns current month leave usage for the authenticated user
+ * Returns current month leave usage for the authenticated user, plus the
+ * year's leave-type balances from the leave module (/api/leave)
  */
 router.get('/leave-balance', requireAuth, async (req, res) => {
     try {
@@ -4241,6 +4302,9 @@ router.get('/leave-balance', requireAuth, async (req, res) => {
         const FREE_SUNDAY = 1;
         const FREE_WEEKDAY = 1;
 
+        const leaveTypes = await leaveService.balancesFor(pool, req.user, parseInt(targetMonth.split('-')[0]))
+            .catch(() => []);
+
         res.json({
             success: true,
             data: {
@@ -4258,7 +4322,8 @@ router.get('/leave-balance', requireAuth, async (req, res) => {
                     remaining: Math.max(0, FREE_WEEKDAY - weekdayUsed)
                 },
                 total_excess: Math.max(0, sundayUsed - FREE_SUNDAY) + Math.max(0, weekdayUsed - FREE_WEEKDAY),
-                will_be_deducted: (Math.max(0, sundayUsed - FREE_SUNDAY) + Math.max(0, weekdayUsed - FREE_WEEKDAY)) > 0
+                will_be_deducted: (Math.max(0, sundayUsed - FREE_SUNDAY) + Math.max(0, weekdayUsed - FREE_WEEKDAY)) > 0,
+                leave_types: leaveTypes
             }
         });
 
@@ -0,0 +1,268 @@
+/**
+ * Barcode Routes
+ * Scan lookup, manufacturer-code mapping and label sheets for Zoho items.
+ *
+ *   GET    /lookup?code=            — resolve a scanned code to an item
+ *   GET    /items?search=           — item picker for the label sheet page
+ *   GET    /items/:zohoItemId/codes — every code that resolves to an item
+ *   POST   /codes                   — map a code (manufacturer EAN, carton) to an item
+ *   DELETE /codes/:id               — unmap a code
+ *   POST   /labels                  — A4 label sheet PDF (Code128 or QR)
+ *
+ * Billing quick-sale scans through GET /api/billing/products?code= and
+ * stock-check through GET /api/stock-check/scan/:id — both resolve with
+ * services/barcodes.js so every screen agrees on what a code means.
+ *
+ * Exports: { router, setPool } + labelsSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, requireAuth } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const barcodes = require('../services/barcodes');
+const { generateLabelSheetPDF } = require('../services/barcode-label-pdf-generator');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+const MAX_LABELS = 500;
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+/** Map a resolveCode error to a response; returns false for unexpected errors. */
+function sendCodeError(res, err) {
+    if (err.code === 'INVALID_CODE') {
+        return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+    if (err.code === 'AMBIGUOUS_CODE') {
+        return res.status(409).json({ success: false, code: err.code, message: err.message, candidates: err.candidates });
+    }
+    return false;
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const lookupQuerySchema = z.object({
+    code: z.string().min(1).max(200)
+});
+
+const itemSearchSchema = z.object({
+    search: z.string().trim().min(2).max(100)
+});
+
+const itemParamSchema = z.object({
+    zohoItemId: z.string().min(1).max(50)
+});
+
+const idParamSchema = z.object({
+    id: z.coerce.number().positive()
+});
+
+const mapCodeSchema = z.object({
+    code: z.string().min(1).max(200),
+    zoho_item_id: z.string().min(1).max(50),
+    pack_qty: z.number().int().min(1).max(1000).optional().default(1),
+    note: z.string().max(255).optional().nullable()
+});
+
+const labelsSchema = z.object({
+    items: z.array(z.object({
+        zoho_item_id: z.string().min(1).max(50),
+        copies: z.number().int().min(1).max(MAX_LABELS).optional().default(1)
+    })).min(1).max(200),
+    format: z.enum(['code128', 'qr']).optional().default('code128'),
+    show_price: z.boolean().optional().default(false),
+    outline: z.boolean().optional().default(false),
+    // slots already used on a partly-printed sheet
+    skip: z.number().int().min(0).max(23).optional().default(0)
+});
+
+// ═══════════════════════════════════════════
+// LOOKUP
+// ═══════════════════════════════════════════
+
+router.get('/lookup', requireAuth, validateQuery(lookupQuerySchema), async (req, res) => {
+    try {
+        const item = await barcodes.resolveCode(pool, req.query.code);
+        if (!item) {
+            return res.status(404).json({ success: false, code: 'NOT_FOUND', message: 'No item for this code' });
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        if (sendCodeError(res, error)) return;
+        console.error('Barcode lookup error:', error);
+        res.status(500).json({ success: false, message: 'Failed to look up code' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// CODE MAPPING
+// ═══════════════════════════════════════════
+
+router.get('/items', requirePermission('products', 'labels'), validateQuery(itemSearchSchema), async (req, res) => {
+    try {
+        const term = `%${req.query.search}%`;
+        const [rows] = await pool.query(
+            `SELECT zoho_item_id, zoho_item_name, zoho_sku, zoho_rate, zoho_ean, zoho_upc
+             FROM zoho_items_map
+             WHERE zoho_status = 'active' AND (zoho_item_name LIKE ? OR zoho_sku LIKE ? OR zoho_ean = ?)
+             ORDER BY zoho_item_name
+             LIMIT 30`,
+            [term, term, req.query.search]
+        );
+        res.json({ success: true, items: rows.map(r => ({ ...r, label_code: barcodes.labelCode(r) })) });
+    } catch (error) {
+        console.error('Label item search error:', error);
+        res.status(500).json({ success: false, message: 'Failed to search items' });
+    }
+});
+
+router.get('/items/:zohoItemId/codes',
+    requirePermission('products', 'labels'),
+    validateParams(itemParamSchema),
+    async (req, res) => {
+        try {
+            const [items] = await pool.query(
+                `SELECT zoho_item_id, zoho_item_name, zoho_sku, zoho_ean, zoho_upc
+                 FROM zoho_items_map WHERE zoho_item_id = ?`,
+                [req.params.zohoItemId]
+            );
+            if (!items.length) return res.status(404).json({ success: false, message: 'Item not found' });
+            const [mapped] = await pool.query(
+                `SELECT ib.*, u.full_name AS created_by_name
+                 FROM item_barcodes ib LEFT JOIN users u ON u.id = ib.created_by
+                 WHERE ib.zoho_item_id = ? AND ib.is_active = 1 ORDER BY ib.created_at`,
+                [req.params.zohoItemId]
+            );
+            res.json({ success: true, item: items[0], label_code: barcodes.labelCode(items[0]), codes: mapped });
+        } catch (error) {
+            console.error('Item codes error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load item codes' });
+        }
+    }
+);
+
+router.post('/codes', requirePermission('products', 'labels'), validate(mapCodeSchema), async (req, res) => {
+    const data = req.body;
+    let code;
+    try {
+        code = barcodes.normalizeCode(data.code);
+    } catch (err) {
+        return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+    try {
+        const [items] = await pool.query('SELECT zoho_item_id, zoho_item_name FROM zoho_items_map WHERE zoho_item_id = ?', [data.zoho_item_id]);
+        if (!items.length) return res.status(404).json({ success: false, message: 'Item not found' });
+
+        const [existing] = await pool.query('SELECT * FROM item_barcodes WHERE code = ?', [code]);
+        const before = existing[0] || null;
+        if (before && before.is_active && before.zoho_item_id !== data.zoho_item_id) {
+            return res.status(409).json({
+                success: false, code: 'CODE_TAKEN',
+                message: `Code ${code} is already mapped to another item`, zoho_item_id: before.zoho_item_id
+            });
+        }
+
+        let id;
+        if (before) {
+            await pool.query(
+                `UPDATE item_barcodes SET zoho_item_id = ?, symbology = ?, pack_qty = ?, note = ?, is_active = 1, created_by = ?
+                 WHERE id = ?`,
+                [data.zoho_item_id, barcodes.classifyCode(code), data.pack_qty, data.note || null, req.user.id, before.id]
+            );
+            id = before.id;
+        } else {
+            const [ins] = await pool.query(
+                `INSERT INTO item_barcodes (code, zoho_item_id, symbology, pack_qty, note, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [code, data.zoho_item_id, barcodes.classifyCode(code), data.pack_qty, data.note || null, req.user.id]
+            );
+            id = ins.insertId;
+        }
+
+        auditLog.record(req, {
+            action: 'products.barcode.map', entity_type: 'item_barcode', entity_id: id,
+            before, after: { code, zoho_item_id: data.zoho_item_id, pack_qty: data.pack_qty }
+        });
+        res.json({ success: true, id, code, message: `Code mapped to ${items[0].zoho_item_name}` });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, code: 'CODE_TAKEN', message: 'Code was just mapped by someone else' });
+        }
+        console.error('Map barcode error:', error);
+        res.status(500).json({ success: false, message: 'Failed to map code' });
+    }
+});
+
+router.delete('/codes/:id', requirePermission('products', 'labels'), validateParams(idParamSchema), async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM item_barcodes WHERE id = ? AND is_active = 1', [req.params.id]);
+        if (!rows.length) return res.status(404).json({ success: false, message: 'Code not found' });
+        await pool.query('UPDATE item_barcodes SET is_active = 0 WHERE id = ?', [req.params.id]);
+        auditLog.record(req, {
+            action: 'products.barcode.unmap', entity_type: 'item_barcode', entity_id: rows[0].id,
+            before: rows[0], after: { is_active: 0 }
+        });
+        res.json({ success: true, message: 'Code removed' });
+    } catch (error) {
+        console.error('Unmap barcode error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove code' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// LABEL SHEETS
+// ═══════════════════════════════════════════
+
+router.post('/labels', requirePermission('products', 'labels'), validate(labelsSchema), async (req, res) => {
+    const data = req.body;
+    const total = data.items.reduce((sum, i) => sum + i.copies, 0);
+    if (total > MAX_LABELS) {
+        return res.status(400).json({ success: false, message: `At most ${MAX_LABELS} labels per sheet run` });
+    }
+    try {
+        const ids = [...new Set(data.items.map(i => i.zoho_item_id))];
+        const [rows] = await pool.query(
+            `SELECT zoho_item_id, zoho_item_name, zoho_sku, zoho_rate
+             FROM zoho_items_map WHERE zoho_item_id IN (?)`,
+            [ids]
+        );
+        const byId = Object.fromEntries(rows.map(r => [r.zoho_item_id, r]));
+        const missing = ids.filter(id => !byId[id]);
+        if (missing.length) {
+            return res.status(404).json({ success: false, message: `Unknown item(s): ${missing.join(', ')}` });
+        }
+
+        const labels = [];
+        for (let i = 0; i < data.skip; i++) labels.push(null);
+        for (const { zoho_item_id: id, copies } of data.items) {
+            const item = byId[id];
+            const label = { code: barcodes.labelCode(item), item_name: item.zoho_item_name, rate: item.zoho_rate };
+            if (data.format === 'code128') barcodes.encodeCode128(label.code);   // reject unprintable SKUs before streaming
+            for (let c = 0; c < copies; c++) labels.push(label);
+        }
+
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Labels-${data.format}-${Date.now()}.pdf"`);
+        await generateLabelSheetPDF({
+            labels, format: data.format, showPrice: data.show_price, outline: data.outline
+        }, res);
+    } catch (error) {
+        if (error.code === 'INVALID_CODE' && !res.headersSent) {
+            return res.status(400).json({ success: false, code: error.code, message: error.message });
+        }
+        console.error('Label sheet error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Failed to generate labels' });
+        }
+    }
+});
+
+module.exports = { router, setPool, labelsSchema };
@@ -1,6 +1,6 @@
 /**
  * Billing Routes
- * Estimates, invoices, payments, Zoho push, product search, dashboard stats.
+ * Estimates, invoices, payments, sales returns, Zoho push, product search, dashboard stats.
  *
  * Exports: { router, setPool, setPointsEngine } + calculateTotals,
  * createEstimateSchema, recordPaymentSchema (the latter for unit testing only).
@@ -16,6 +16,9 @@ const zohoAPI = require('../services/zoho-api');
 const auditLog = require('../services/audit-log');
 const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
 const { istDateString, classifyPaymentReversal } = require('../services/zoho-payment-mapper');
+const { assertDayOpen } = require('../services/day-close');
+const barcodes = require('../services/barcodes');
+const tintFormulaService = require('../services/tint-formulas');
 
 let pool;
 let pointsEngine = null;
@@ -117,6 +120,7 @@ function computePaymentSettlement(grandTotal, totalPaid) {
  * settlement math + SUM filter live in ONE tested place. `db` is a pool OR a
  * transaction connection (both expose .query). The SUM excludes soft-deleted
  * rows (deleted_at IS NULL) — a reversed payment stops counting immediately.
+ * Sales returns reduce what is owed (billing_invoices.returned_amount).
  * @returns {Promise<{totalPaid:number, balanceDue:number, paymentStatus:string}>}
  */
 async function recalcInvoicePaymentTotals(db, invoiceId) {
@@ -126,11 +130,16 @@ async function recalcInvoicePaymentTotals(db, invoiceId) {
     );
     const totalPaid = Number(paySum[0].total_paid);
     const [invRows] = await db.query(
-        'SELECT grand_total FROM billing_invoices WHERE id = ?',
+        'SELECT grand_total, returned_amount FROM billing_invoices WHERE id = ?',
         [invoiceId]
     );
-    const grandTotal = invRows.length ? invRows[0].grand_total : 0;
-    const { balanceDue, paymentStatus } = computePaymentSettlement(grandTotal, totalPaid);
+    // Goods taken back on a sales return are no longer owed: settle against the
+    // net of grand_total − returned_amount (the invoice document itself keeps
+    // its original total; the credit note carries the difference).
+    const netTotal = invRows.length
+        ? Math.max(0, (Number(invRows[0].grand_total) || 0) - (Number(invRows[0].returned_amount) || 0))
+        : 0;
+    const { balanceDue, paymentStatus } = computePaymentSettlement(netTotal, totalPaid);
     await db.query(
         `UPDATE billing_invoices SET
             amount_paid = ?, balance_due = ?, payment_status = ?, updated_at = NOW()
@@ -160,6 +169,8 @@ async function countLiveInvoicePayments(db, invoiceId) {
  *
  * Order (mirrors the invoice void flow at routes/billing.js delete-invoice):
  *   1. Load the live payment (404 → NOT_FOUND).
+ *   1b. Day-close lock: the invoice branch's close for payment_date must be
+ *      open (else DAY_CLOSED, 409 — a manager re-opens the day first).
  *   2. classifyPaymentReversal(zoho_payment_id):
  *        - in_flight ('SYNCING')      → throw SYNC_IN_FLIGHT (409); nothing touched.
  *        - zoho_delete_required       → deleteCustomerPayment FIRST; a
@@ -181,6 +192,9 @@ async function reverseInvoicePayment(paymentId) {
     if (!rows.length) { const e = new Error('Payment not found'); e.code = 'NOT_FOUND'; throw e; }
     const payment = rows[0];
 
+    const [inv] = await pool.query('SELECT branch_id FROM billing_invoices WHERE id = ?', [payment.invoice_id]);
+    await assertDayOpen(pool, inv[0] && inv[0].branch_id, payment.payment_date);
+
     const kind = classifyPaymentReversal(payment.zoho_payment_id);
     if (kind === 'in_flight') {
         const e = new Error('This payment is mid-sync to Zoho — retry the reversal in a minute.');
@@ -306,6 +320,64 @@ async function evaluateCreditForSale(customerType, customerId, painterId, amount
     };
 }
 
+/**
+ * Plan a sales return against an invoice's lines — pure money math, exported
+ * for direct testing. Each requested line must exist on the invoice and fit in
+ * what is still un-returned (sold − `returnedByItem[id]`). The invoice-level
+ * discount is shared out pro-rata on the returned subtotal, and the total is
+ * capped at what the invoice still carries (grand_total − returned_amount).
+ *
+ * `fraction`/`returnedBefore` are the shares of the ORIGINAL grand total being
+ * returned now / returned earlier — exactly what the points engine's
+ * proportional reverseInvoicePoints expects.
+ * Throws an Error with code 'INVALID_RETURN' on any bad line.
+ * @returns {{lines:Object[], subtotal:number, discountShare:number, total:number, fraction:number, returnedBefore:number}}
+ */
+function planSalesReturn(invoice, invoiceItems, returnedByItem, requested) {
+    const invalid = (message) => { const e = new Error(message); e.code = 'INVALID_RETURN'; return e; };
+    const r2 = (n) => Math.round((Number(n) || 0) * 100) / 100;
+    const byId = new Map(invoiceItems.map(it => [Number(it.id), it]));
+    const seen = new Set();
+    const lines = [];
+    for (const want of requested) {
+        const id = Number(want.invoice_item_id);
+        const item = byId.get(id);
+        if (!item) throw invalid(`Line ${id} is not on this invoice`);
+        if (seen.has(id)) throw invalid(`Line ${id} is listed twice`);
+        seen.add(id);
+        const sold = Number(item.quantity) || 0;
+        const already = Number((returnedByItem || {})[id]) || 0;
+        const open = r2(sold - already);
+        const qty = Number(want.quantity);
+        if (!(qty > 0)) throw invalid(`Return quantity for ${item.item_name} must be positive`);
+        if (qty > open + 0.001) {
+            throw invalid(`Only ${open} of ${item.item_name} can still be returned (sold ${sold}, returned ${already})`);
+        }
+        const unitPrice = Number(item.unit_price) || 0;
+        lines.push({
+            invoice_item_id: id,
+            zoho_item_id: item.zoho_item_id || null,
+            item_name: item.item_name,
+            quantity: qty,
+            unit_price: unitPrice,
+            line_total: r2(qty * unitPrice)
+        });
+    }
+    if (!lines.length) throw invalid('Pick at least one line to return');
+
+    const grandTotal = Number(invoice.grand_total) || 0;
+    const invSubtotal = Number(invoice.subtotal) || 0;
+    const invDiscount = Number(invoice.discount_amount) || 0;
+    const returnedAmount = Number(invoice.returned_amount) || 0;
+
+    const subtotal = r2(lines.reduce((sum, l) => sum + l.line_total, 0));
+    const discountShare = invSubtotal > 0 ? r2(subtotal * invDiscount / invSubtotal) : 0;
+    const total = r2(Math.min(subtotal - discountShare, Math.max(0, grandTotal - returnedAmount)));
+    const fraction = grandTotal > 0 ? total / grandTotal : 0;
+    const returnedBefore = grandTotal > 0 ? Math.min(1, returnedAmount / grandTotal) : 0;
+    return { lines, subtotal, discountShare, total, fraction, returnedBefore };
+}
+
 // ═══════════════════════════════════════════
 // ZOD SCHEMAS
 // ═══════════════════════════════════════════
@@ -411,6 +483,33 @@ const creditCheckQuerySchema = z.object({
     amount: z.coerce.number().min(0).default(0)
 });
 
+// Sales return against an existing invoice: partial quantities per line, a
+// reason code, and whether the goods go back on the shelf (restock) — at the
+// given Zoho location, else where the invoice was posted.
+const RETURN_REASON_CODES = [
+    'damaged', 'wrong_item', 'wrong_shade', 'excess_quantity', 'quality_issue', 'customer_changed_mind', 'other'
+];
+
+const salesReturnSchema = z.object({
+    items: z.array(z.object({
+        invoice_item_id: z.number().int().positive(),
+        quantity: z.number().positive()
+    })).min(1),
+    reason_code: z.enum(RETURN_REASON_CODES),
+    notes: z.string().optional().default(''),
+    restock: z.boolean().optional().default(true),
+    zoho_location_id: z.string().optional().nullable()
+}).refine(d => d.reason_code !== 'other' || d.notes.trim().length > 0, {
+    message: 'Describe the reason when the reason code is "other"', path: ['notes']
+});
+
+const returnListQuerySchema = z.object({
+    page: z.coerce.number().int().positive().default(1),
+    limit: z.coerce.number().int().min(1).max(100, { message: 'Limit max 100' }).default(20),
+    zoho_status: z.enum(['pending', 'pushed', 'failed', 'not_applicable']).optional(),
+    branch_id: z.coerce.number().optional()
+});
+
 // ═══════════════════════════════════════════
 // PRODUCT SEARCH
 // ═══════════════════════════════════════════
@@ -447,6 +546,20 @@ router.get('/products',
             const search = req.query.search || '';
             const brand = req.query.brand || '';
 
+            // Scan mode (?code=): resolve the barcode first and return just that
+            // item, same shape as a search hit plus `scan` (units per scan, match).
+            let scan = null;
+            if (req.query.code) {
+                try {
+                    scan = await barcodes.resolveCode(pool, req.query.code);
+                } catch (err) {
+                    if (err.code === 'INVALID_CODE') return res.status(400).json({ success: false, code: err.code, message: err.message });
+                    if (err.code === 'AMBIGUOUS_CODE') return res.status(409).json({ success: false, code: err.code, message: err.message, candidates: err.candidates });
+                    throw err;
+                }
+                if (!scan) return res.status(404).json({ success: false, code: 'NOT_FOUND', message: 'No item for this code' });
+            }
+
             // B1a: resolve the caller's stock location so the product picker can
             // show live branch stock. Staff → own branch; admin may pass
             // ?branch_id. branches.zoho_location_id first, else the active
@@ -475,7 +588,10 @@ router.get('/products',
             // SQL order — its param must come FIRST.
             const params = [stockLocationId];
 
-            if (search) {
+            if (scan) {
+                where += ' AND zim.zoho_item_id = ?';
+                params.push(scan.zoho_item_id);
+            } else if (search) {
                 where += ' AND (zim.zoho_item_name LIKE ? OR zim.zoho_sku LIKE ?)';
                 const term = `%${search}%`;
                 params.push(term, term);
@@ -508,6 +624,10 @@ router.get('/products',
                 params
             );
 
+            if (scan) {
+                if (!rows.length) return res.status(404).json({ success: false, code: 'NOT_FOUND', message: 'Scanned item is not active' });
+                return res.json({ success: true, products: rows, scan: { code: scan.code, match: scan.match, quantity: scan.quantity } });
+            }
             res.json({ success: true, products: rows });
         } catch (error) {
             console.error('Product search error:', error);
@@ -1158,6 +1278,19 @@ router.post('/quick-sale',
             });
         }
 
+        // Day-close lock: no payment may land on a date the branch has closed
+        // (or submitted for sign-off) — refuse before touching the DB.
+        try {
+            const payDates = new Set((data.payments || []).map(p => p.payment_date || istDateString(new Date())));
+            for (const d of payDates) await assertDayOpen(pool, req.user.branch_id, d);
+        } catch (err) {
+            if (err.code === 'DAY_CLOSED') {
+                return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: err.message });
+            }
+            console.error('Quick sale day-close check error:', err);
+            return res.status(500).json({ success: false, message: 'Failed to create quick sale' });
+        }
+
         // B1.1 credit gate (owner feedback #5): a sale that leaves ANY unpaid
         // balance (incl. payments:[]) is a credit sale — refuse at CREATE time,
         // BEFORE the transaction, unless the customer passes the SAME credit
@@ -1419,7 +1552,11 @@ router.get('/invoices/:id',
                 [id]
             );
 
-            res.json({ success: true, invoice: invoices[0], items, payments });
+            // Tint recipes print under their line; a missing table (migration
+            // not yet run) must not break the invoice view.
+            const tintFormulas = await tintFormulaService.forInvoice(pool, id).catch(() => []);
+
+            res.json({ success: true, invoice: invoices[0], items, payments, tint_formulas: tintFormulas });
         } catch (error) {
             console.error('Get invoice error:', error);
             res.status(500).json({ success: false, message: 'Failed to load invoice' });
@@ -1624,7 +1761,7 @@ router.post('/invoices/:id/payment',
             await connection.beginTransaction();
 
             const [invoices] = await connection.query(
-                `SELECT id, balance_due, payment_status, grand_total, zoho_status, zoho_invoice_id
+                `SELECT id, balance_due, payment_status, grand_total, zoho_status, zoho_invoice_id, branch_id
                  FROM billing_invoices WHERE id = ? AND deleted_at IS NULL FOR UPDATE`,
                 [id]
             );
@@ -1634,6 +1771,9 @@ router.post('/invoices/:id/payment',
             }
             const invoice = invoices[0];
 
+            // A closed/submitted day-close locks that date's takings for the branch.
+            await assertDayOpen(connection, invoice.branch_id, paymentDate);
+
             if (paymentExceedsBalance(data.amount, invoice.balance_due)) {
                 await connection.rollback();
                 return res.status(400).json({
@@ -1666,6 +1806,9 @@ router.post('/invoices/:id/payment',
             };
         } catch (error) {
             try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'DAY_CLOSED') {
+                return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: error.message });
+            }
             console.error('Record payment error:', error);
             return res.status(500).json({ success: false, message: 'Failed to record payment' });
         } finally {
@@ -1826,8 +1969,8 @@ router.delete('/payments/:id',
             if (error.code === 'NOT_FOUND') {
                 return res.status(404).json({ success: false, message: 'Payment not found' });
             }
-            if (error.code === 'SYNC_IN_FLIGHT') {
-                return res.status(409).json({ success: false, code: 'SYNC_IN_FLIGHT', message: error.message });
+            if (error.code === 'SYNC_IN_FLIGHT' || error.code === 'DAY_CLOSED') {
+                return res.status(409).json({ success: false, code: error.code, message: error.message });
             }
             if (error.code === 'ZOHO_DELETE_FAILED') {
                 return res.status(502).json({ success: false, code: 'ZOHO_DELETE_FAILED', message: 'Zoho would not delete this payment: ' + error.message });
@@ -2060,6 +2203,286 @@ router.post('/invoices/:id/sync-zoho-status',
     }
 );
 
+// ═══════════════════════════════════════════
+// SALES RETURNS
+// ═══════════════════════════════════════════
+
+// Take goods back against a pushed invoice (instead of void + re-bill). The
+// local return, the invoice's returned_amount and its re-settled balance land
+// in ONE transaction; the Zoho credit note, the proportional painter-points
+// reversal and the credit-usage update follow best-effort — a failed credit
+// note is stamped on the return and retried via POST /returns/:id/push-zoho.
+router.post('/invoices/:id/returns',
+    requirePermission('billing', 'invoice'),
+    idempotent('billing.invoice.return'),
+    validateParams(idParamSchema),
+    validate(salesReturnSchema),
+    async (req, res) => {
+        const { id } = req.params;
+        const data = req.body;
+
+        // ── Phase 1: the local return record — ONE transaction ──
+        let invoice, plan, returnId, returnNumber, settled;
+        const connection = await pool.getConnection();
+        try {
+            returnNumber = await generateNumber('SR', 'billing_returns', 'return_number');
+
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT * FROM billing_invoices WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [id]
+            );
+            if (!rows.length) {
+                await connection.rollback();
+                return res.status(404).json({ success: false, message: 'Invoice not found' });
+            }
+            invoice = rows[0];
+            // A draft that never reached Zoho has nothing to credit — it can
+            // still be edited or deleted outright.
+            if (!invoice.zoho_invoice_id) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, code: 'NOT_PUSHED', message: 'This invoice is not in Zoho yet — edit or delete it instead of recording a return.' });
+            }
+
+            const [items] = await connection.query(
+                'SELECT * FROM billing_invoice_items WHERE invoice_id = ? AND deleted_at IS NULL', [id]
+            );
+            const [done] = await connection.query(
+                `SELECT bri.invoice_item_id, SUM(bri.quantity) AS qty
+                 FROM billing_return_items bri
+                 JOIN billing_returns br ON br.id = bri.return_id
+                 WHERE br.invoice_id = ?
+                 GROUP BY bri.invoice_item_id`,
+                [id]
+            );
+            const returnedByItem = Object.fromEntries(done.map(r => [r.invoice_item_id, Number(r.qty)]));
+            plan = planSalesReturn(invoice, items, returnedByItem, data.items);
+
+            const [result] = await connection.execute(
+                `INSERT INTO billing_returns
+                 (return_number, invoice_id, branch_id, reason_code, notes, restock, restock_location_id,
+                  subtotal, discount_share, total, points_ratio, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    returnNumber, id, invoice.branch_id, data.reason_code, data.notes,
+                    data.restock ? 1 : 0, data.zoho_location_id || invoice.zoho_location_id || null,
+                    plan.subtotal, plan.discountShare, plan.total, plan.fraction, req.user.id
+                ]
+            );
+            returnId = result.insertId;
+
+            for (const line of plan.lines) {
+                await connection.execute(
+                    `INSERT INTO billing_return_items
+                     (return_id, invoice_item_id, zoho_item_id, item_name, quantity, unit_price, line_total)
+                     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                    [returnId, line.invoice_item_id, line.zoho_item_id, line.item_name, line.quantity, line.unit_price, line.line_total]
+                );
+            }
+
+            await connection.query(
+                'UPDATE billing_invoices SET returned_amount = returned_amount + ? WHERE id = ?',
+                [plan.total, id]
+            );
+            settled = await recalcInvoicePaymentTotals(connection, id);
+
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'INVALID_RETURN') {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+            console.error('Sales return error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to record the return' });
+        } finally {
+            connection.release();
+        }
+
+        // ── Phase 2: after commit — best-effort, NEVER changes the 200 ──
+        const returnedAmount = (Number(invoice.returned_amount) || 0) + plan.total;
+        const refundDue = Math.max(0, Math.round(
+            (settled.totalPaid - Math.max(0, (Number(invoice.grand_total) || 0) - returnedAmount)) * 100) / 100);
+
+        await auditLog.record(req, {
+            action: 'billing.invoice.return',
+            entity_type: 'billing_invoice', entity_id: id,
+            before: { returned_amount: Number(invoice.returned_amount) || 0, balance_due: invoice.balance_due },
+            after: {
+                return_id: returnId, return_number: returnNumber, reason_code: data.reason_code,
+                total: plan.total, restock: data.restock, lines: plan.lines.length,
+                balance_due: settled.balanceDue, refund_due: refundDue
+            }
+        });
+
+        const zoho = { pushed: false, error: null };
+        try {
+            const pushed = await billingZohoService.pushSalesReturnToZoho(returnId, req.user.id);
+            zoho.pushed = true;
+            zoho.zoho_creditnote_id = pushed.zohoCreditNoteId;
+            zoho.zoho_creditnote_number = pushed.zohoCreditNoteNumber;
+            zoho.applied_amount = pushed.appliedAmount;
+            zoho.warnings = pushed.warnings;
+        } catch (err) {
+            zoho.error = String(err.message || err).slice(0, 255);
+            try {
+                await pool.query(
+                    "UPDATE billing_returns SET zoho_status = 'failed', zoho_push_error = ?, zoho_push_attempted_at = NOW() WHERE id = ?",
+                    [zoho.error, returnId]
+                );
+            } catch { /* stamp is best-effort */ }
+        }
+
+        // Points were awarded on the full invoice at push time — take back the
+        // returned share (the engine scales the remaining claim).
+        let pointsReversal = null;
+        if (invoice.customer_type === 'painter' && invoice.painter_id && pointsEngine && pointsEngine.reverseInvoicePoints) {
+            try {
+                pointsReversal = await pointsEngine.reverseInvoicePoints(invoice.zoho_invoice_id, req.user.id, {
+                    fraction: plan.fraction,
+                    returnedBefore: plan.returnedBefore,
+                    label: `Goods returned on ${invoice.invoice_number} (${returnNumber})`
+                });
+            } catch (pErr) { console.error('[invoice.return] points reversal failed:', pErr.message); }
+        }
+
+        res.json({
+            success: true,
+            return: {
+                id: returnId,
+                return_number: returnNumber,
+                reason_code: data.reason_code,
+                subtotal: plan.subtotal,
+                discount_share: plan.discountShare,
+                total: plan.total,
+                items: plan.lines
+            },
+            invoice: {
+                id: Number(id),
+                returned_amount: returnedAmount,
+                amount_paid: settled.totalPaid,
+                balance_due: settled.balanceDue,
+                payment_status: settled.paymentStatus
+            },
+            refund_due: refundDue,
+            zoho,
+            points_reversal: pointsReversal
+        });
+    }
+);
+
+// Returns recorded against one invoice, with their lines.
+router.get('/invoices/:id/returns',
+    requirePermission('billing', 'invoice'),
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const [returns] = await pool.query(
+                `SELECT br.*, u.full_name AS created_by_name
+                 FROM billing_returns br
+                 LEFT JOIN users u ON br.created_by = u.id
+                 WHERE br.invoice_id = ?
+                 ORDER BY br.created_at DESC`,
+                [req.params.id]
+            );
+            let items = [];
+            if (returns.length) {
+                [items] = await pool.query(
+                    'SELECT * FROM billing_return_items WHERE return_id IN (?) ORDER BY id',
+                    [returns.map(r => r.id)]
+                );
+            }
+            res.json({
+                success: true,
+                returns: returns.map(r => ({ ...r, items: items.filter(i => i.return_id === r.id) }))
+            });
+        } catch (error) {
+            console.error('List invoice returns error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load returns' });
+        }
+    }
+);
+
+// All returns (branch-scoped like the invoice list).
+router.get('/returns',
+    requirePermission('billing', 'invoice'),
+    validateQuery(returnListQuerySchema),
+    async (req, res) => {
+        try {
+            const page = Number(req.query.page) || 1;
+            const limit = Number(req.query.limit) || 20;
+            const branchId = getBranchFilter(req);
+            const offset = (page - 1) * limit;
+
+            let where = 'WHERE 1=1';
+            const params = [];
+            if (branchId) { where += ' AND br.branch_id = ?'; params.push(branchId); }
+            if (req.query.zoho_status) { where += ' AND br.zoho_status = ?'; params.push(req.query.zoho_status); }
+
+            const [countRows] = await pool.query(
+                `SELECT COUNT(*) AS total FROM billing_returns br ${where}`,
+                [...params]
+            );
+            const total = countRows[0].total;
+
+            params.push(limit, offset);
+            const [rows] = await pool.query(
+                `SELECT br.*, bi.invoice_number, bi.customer_name, bi.customer_type, u.full_name AS created_by_name
+                 FROM billing_returns br
+                 JOIN billing_invoices bi ON bi.id = br.invoice_id
+                 LEFT JOIN users u ON br.created_by = u.id
+                 ${where}
+                 ORDER BY br.created_at DESC
+                 LIMIT ? OFFSET ?`,
+                params
+            );
+
+            res.json({
+                success: true,
+                returns: rows,
+                pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+            });
+        } catch (error) {
+            console.error('List returns error:', error);
+            res.status(500).json({ success: false, message: 'Failed to list returns' });
+        }
+    }
+);
+
+// Retry a return's credit note after a failed push.
+router.post('/returns/:id/push-zoho',
+    requirePermission('billing', 'zoho_push'),
+    idempotent('billing.return.zohoPush'),
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const result = await billingZohoService.pushSalesReturnToZoho(req.params.id, req.user.id);
+            await auditLog.record(req, {
+                action: 'billing.return.zohoPush',
+                entity_type: 'billing_return', entity_id: req.params.id,
+                before: null,
+                after: { zoho_creditnote_id: result.zohoCreditNoteId, applied_amount: result.appliedAmount }
+            });
+            res.json({
+                success: true,
+                message: result.zohoCreditNoteNumber ? `Credit note ${result.zohoCreditNoteNumber} created in Zoho` : 'Credit note created in Zoho',
+                zoho_creditnote_id: result.zohoCreditNoteId,
+                zoho_creditnote_number: result.zohoCreditNoteNumber,
+                applied_amount: result.appliedAmount,
+                warnings: result.warnings
+            });
+        } catch (error) {
+            console.error('Push return to Zoho error:', error);
+            try {
+                await pool.query(
+                    "UPDATE billing_returns SET zoho_status = 'failed', zoho_push_error = ?, zoho_push_attempted_at = NOW() WHERE id = ? AND zoho_status <> 'pushed'",
+                    [String(error.message || error).slice(0, 255), req.params.id]
+                );
+            } catch { /* stamp is best-effort */ }
+            res.status(500).json({ success: false, message: error.message || 'Failed to push the return to Zoho' });
+        }
+    }
+);
+
 // ═══════════════════════════════════════════
 
 // calculateTotals + schemas + paymentExceedsBalance exported for unit testing
@@ -2068,6 +2491,6 @@ module.exports = {
     router, setPool, setPointsEngine,
     calculateTotals, paymentExceedsBalance, computePaymentSettlement, deriveZohoSync,
     recalcInvoicePaymentTotals, countLiveInvoicePayments, reverseInvoicePayment,
-    evaluateCreditForSale,
-    createEstimateSchema, recordPaymentSchema, listQuerySchema, quickSaleSchema
+    evaluateCreditForSale, planSalesReturn,
+    createEstimateSchema, recordPaymentSchema, listQuerySchema, quickSaleSchema, salesReturnSchema
 };
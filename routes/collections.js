@@ -4,7 +4,7 @@
  * Now with per-branch filtering and customer-branch assignment
  *
  * Endpoints:
- *   GET    /api/zoho/collections/summary             - Dashboard stats
+ *   GET    /api/zoho/collections/summary             - Dashboard stats (+ overdue ageing, dunning stage results)
  *   GET    /api/zoho/collections/customers            - Customer-wise outstanding
  *   GET    /api/zoho/collections/invoices             - Filterable invoice list
  *   POST   /api/zoho/collections/remind               - Send WhatsApp reminders
@@ -16,6 +16,8 @@
  *   GET    /api/zoho/collections/export               - CSV export
  *   PUT    /api/zoho/collections/customers/:customerId/branch  - Assign customer to branch
  *   POST   /api/zoho/collections/customers/assign-branch       - Bulk assign customers to branch
+ *
+ * The dunning ladder lives under /api/zoho/collections/dunning (routes/dunning.js).
  */
 
 const express = require('express');
@@ -23,6 +25,8 @@ const router = express.Router();
 const { requirePermission, isFullAdmin } = require('../middleware/permissionMiddleware');
 const activityFeed = require('../services/activity-feed');
 const zohoPayments = require('../services/zoho-payments-service');
+const dunning = require('../services/dunning');
+const { assertDayOpen, todayBusinessDate } = require('../services/day-close');
 
 let pool;
 function setPool(p) { pool = p; }
@@ -200,6 +204,22 @@ router.get('/summary', perm, async (req, res) => {
             ${branchId ? 'AND branch_id = ?' : ''}
         `, branchParams);
 
+        // Overdue ageing — the bands the dunning ladder runs off
+        const [ageingRows] = await pool.query(`
+            SELECT
+                COALESCE(SUM(CASE WHEN DATEDIFF(CURDATE(), zi.due_date) <= 30 THEN zi.balance ELSE 0 END), 0) as d0_30,
+                COALESCE(SUM(CASE WHEN DATEDIFF(CURDATE(), zi.due_date) BETWEEN 31 AND 60 THEN zi.balance ELSE 0 END), 0) as d31_60,
+                COALESCE(SUM(CASE WHEN DATEDIFF(CURDATE(), zi.due_date) BETWEEN 61 AND 90 THEN zi.balance ELSE 0 END), 0) as d61_90,
+                COALESCE(SUM(CASE WHEN DATEDIFF(CURDATE(), zi.due_date) > 90 THEN zi.balance ELSE 0 END), 0) as d90_plus
+            FROM zoho_invoices zi
+            WHERE zi.balance > 0 AND zi.status NOT IN ('void', 'draft') AND zi.due_date < CURDATE()
+            ${branchWhere}
+        `, branchParams);
+        const ageing = dunning.AGEING_BANDS.map(b => ({ key: b.key, label: b.label, amount: parseFloat(ageingRows[0][b.key]) }));
+
+        // How each dunning stage has worked (last 90 days)
+        const dunningStages = await dunning.stageStats(pool, { branchId }).catch(() => []);
+
         const stats = totals[0];
         const outstandingStart = parseFloat(stats.total_outstanding) + parseFloat(collected30d[0].collected);
         const collectionRate = outstandingStart > 0
@@ -219,7 +239,9 @@ router.get('/summary', perm, async (req, res) => {
                 reminders_today: remindersToday[0].count,
                 pending_promises: pendingPromises[0].count,
                 pending_promises_amount: parseFloat(pendingPromises[0].amount),
-                broken_promises: brokenPromises[0].count
+                broken_promises: brokenPromises[0].count,
+                ageing,
+                dunning_stages: dunningStages
             }
         });
     } catch (error) {
@@ -671,27 +693,22 @@ router.get('/promises', perm, async (req, res) => {
  * stable link between the two worlds). If no local invoice exists yet (never
  * pushed / created in Zoho only), the payment is skipped with matched=false —
  * the promise/link row itself remains the record of truth there.
+ *
+ * Like billing's payment create, the invoice branch's day must still be open
+ * for the payment date (else DAY_CLOSED). The routes call
+ * assertLocalPaymentDayOpen first so a locked day is refused before the
+ * promise/link row changes.
  */
 async function recordLocalPayment({ zohoInvoiceId, zohoInvoiceNumber, amount, paymentMethod, paymentReference, paymentDate, receivedBy }) {
     if (!amount || parseFloat(amount) <= 0) return { matched: false, reason: 'no-amount' };
 
-    let rows;
-    if (zohoInvoiceId) {
-        [rows] = await pool.query(
-            'SELECT id, grand_total FROM billing_invoices WHERE zoho_invoice_id = ? AND deleted_at IS NULL LIMIT 1',
-            [zohoInvoiceId]
-        );
-    }
-    if (!rows || rows.length === 0) {
-        [rows] = await pool.query(
-            'SELECT id, grand_total FROM billing_invoices WHERE zoho_invoice_number = ? AND deleted_at IS NULL LIMIT 1',
-            [zohoInvoiceNumber]
-        );
-    }
-    if (!rows || rows.length === 0) return { matched: false, reason: 'no-local-invoice' };
+    const rows = await findLocalInvoice(zohoInvoiceId, zohoInvoiceNumber);
+    if (rows.length === 0) return { matched: false, reason: 'no-local-invoice' };
 
     const invoiceId = rows[0].id;
     const paid = parseFloat(amount);
+    const payDate = paymentDate || todayBusinessDate();
+    await assertDayOpen(pool, rows[0].branch_id, payDate);
 
     // Insert payment, then re-sum (mirrors billing.js recalcInvoicePaymentTotals).
     const [ins] = await pool.query(
@@ -699,7 +716,7 @@ async function recordLocalPayment({ zohoInvoiceId, zohoInvoiceNumber, amount, pa
          (invoice_id, amount, payment_method, payment_reference, payment_date, received_by, notes)
          VALUES (?, ?, ?, ?, ?, ?, ?)`,
         [invoiceId, paid, paymentMethod || 'upi', paymentReference || null,
-         paymentDate || new Date().toISOString().split('T')[0], receivedBy,
+         payDate, receivedBy,
          'Recorded from collections (promise/payment link)']
     );
 
@@ -708,7 +725,8 @@ async function recordLocalPayment({ zohoInvoiceId, zohoInvoiceNumber, amount, pa
         [invoiceId]
     );
     const totalPaid = Number(paySum[0].total_paid);
-    const grandTotal = Number(rows[0].grand_total) || 0;
+    // Net of sales returns, like recalcInvoicePaymentTotals.
+    const grandTotal = Math.max(0, (Number(rows[0].grand_total) || 0) - (Number(rows[0].returned_amount) || 0));
     const balanceDue = Math.max(0, grandTotal - totalPaid);
     const paymentStatus = totalPaid <= 0 ? 'unpaid' : (balanceDue <= 0.01 ? 'paid' : 'partial');
     await pool.query(
@@ -719,6 +737,30 @@ async function recordLocalPayment({ zohoInvoiceId, zohoInvoiceNumber, amount, pa
     return { matched: true, paymentId: ins.insertId, invoiceId, totalPaid, balanceDue };
 }
 
+async function findLocalInvoice(zohoInvoiceId, zohoInvoiceNumber) {
+    let rows;
+    if (zohoInvoiceId) {
+        [rows] = await pool.query(
+            'SELECT id, branch_id, grand_total, returned_amount FROM billing_invoices WHERE zoho_invoice_id = ? AND deleted_at IS NULL LIMIT 1',
+            [zohoInvoiceId]
+        );
+    }
+    if (!rows || rows.length === 0) {
+        [rows] = await pool.query(
+            'SELECT id, branch_id, grand_total, returned_amount FROM billing_invoices WHERE zoho_invoice_number = ? AND deleted_at IS NULL LIMIT 1',
+            [zohoInvoiceNumber]
+        );
+    }
+    return rows || [];
+}
+
+// Throws DAY_CLOSED when the local invoice's branch has locked paymentDate.
+async function assertLocalPaymentDayOpen(zohoInvoiceId, zohoInvoiceNumber, paymentDate) {
+    const rows = await findLocalInvoice(zohoInvoiceId, zohoInvoiceNumber);
+    if (rows.length === 0) return;
+    await assertDayOpen(pool, rows[0].branch_id, paymentDate || todayBusinessDate());
+}
+
 router.post('/promises', perm, async (req, res) => {
     try {
         const { zoho_invoice_id, zoho_customer_id, customer_name, promise_date, promise_amount, notes, follow_up_date } = req.body;
@@ -784,6 +826,23 @@ router.put('/promises/:id', perm, async (req, res) => {
 
         params.push(req.params.id);
 
+        const recordsPayment = (status === 'kept' || status === 'partial') && actual_amount && parseFloat(actual_amount) > 0;
+        if (recordsPayment) {
+            const [current] = await pool.query(
+                `SELECT zoho_invoice_id FROM payment_promises WHERE id = ?`, [req.params.id]
+            );
+            if (current[0]) {
+                try {
+                    await assertLocalPaymentDayOpen(current[0].zoho_invoice_id, null, actual_payment_date);
+                } catch (err) {
+                    if (err.code === 'DAY_CLOSED') {
+                        return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: err.message });
+                    }
+                    throw err;
+                }
+            }
+        }
+
         const [result] = await pool.query(
             `UPDATE payment_promises SET ${updates.join(', ')} WHERE id = ?`,
             params
@@ -808,7 +867,7 @@ router.put('/promises/:id', perm, async (req, res) => {
 
         // Money collected against a kept/partial promise must create a real
         // billing_payments record (D4 fix) — otherwise billing & Zoho never see it.
-        if ((status === 'kept' || status === 'partial') && actual_amount && parseFloat(actual_amount) > 0) {
+        if (recordsPayment) {
             const [promRow] = await pool.query(
                 `SELECT * FROM payment_promises WHERE id = ?`, [req.params.id]
             );
@@ -828,6 +887,9 @@ router.put('/promises/:id', perm, async (req, res) => {
                         console.log(`[Collections] Promise #${prom.id} → billing_payment #${rec.paymentId} (invoice ${rec.invoiceId})`);
                     }
                 } catch (recErr) {
+                    if (recErr.code === 'DAY_CLOSED') {
+                        return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: recErr.message });
+                    }
                     console.error('[Collections] recordLocalPayment error:', recErr.message);
                 }
             }
@@ -1077,6 +1139,22 @@ router.post('/pay-verify', requirePermission('collections', 'view'), async (req,
             return res.json({ success: false, paid: false, status: zohoStatus.status });
         }
 
+        const [linkRows] = await pool.query(
+            `SELECT invoice_id, zoho_invoice_number, amount, customer_phone FROM payment_links
+             WHERE zoho_payment_link_id = ? LIMIT 1`, [link_id]
+        );
+        const paymentDate = todayBusinessDate();
+        if (linkRows[0]) {
+            try {
+                await assertLocalPaymentDayOpen(linkRows[0].invoice_id || null, linkRows[0].zoho_invoice_number || null, paymentDate);
+            } catch (err) {
+                if (err.code === 'DAY_CLOSED') {
+                    return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: err.message });
+                }
+                throw err;
+            }
+        }
+
         await pool.query(
             `UPDATE payment_links SET status='paid', zoho_payment_id=?, paid_at=NOW() WHERE zoho_payment_link_id=?`,
             [zohoStatus.payment_id || null, link_id]
@@ -1085,10 +1163,6 @@ router.post('/pay-verify', requirePermission('collections', 'view'), async (req,
         // D4 fix: a verified paid link must also create the local billing_payments
         // record + refresh invoice totals, else billing shows unpaid forever.
         try {
-            const [linkRows] = await pool.query(
-                `SELECT invoice_id, zoho_invoice_number, amount, customer_phone FROM payment_links
-                 WHERE zoho_payment_link_id = ? LIMIT 1`, [link_id]
-            );
             if (linkRows[0]) {
                 const rec = await recordLocalPayment({
                     zohoInvoiceId: linkRows[0].invoice_id || null,
@@ -1096,7 +1170,7 @@ router.post('/pay-verify', requirePermission('collections', 'view'), async (req,
                     amount: linkRows[0].amount,
                     paymentMethod: 'upi',
                     paymentReference: `paylink-${link_id}`,
-                    paymentDate: new Date().toISOString().split('T')[0],
+                    paymentDate,
                     receivedBy: req.user.id
                 });
                 if (rec.matched) {
@@ -1104,6 +1178,9 @@ router.post('/pay-verify', requirePermission('collections', 'view'), async (req,
                 }
             }
         } catch (recErr) {
+            if (recErr.code === 'DAY_CLOSED') {
+                return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: recErr.message });
+            }
             console.error('[Collections] pay-verify recordLocalPayment error:', recErr.message);
         }
 
@@ -12,6 +12,7 @@ const zohoAPI = require('../services/zoho-api');
 const notificationService = require('../services/notification-service');
 const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
 const audit = require('../services/audit-log');
+const approvals = require('../services/approval-workflow');
 
 let pool = null;
 let io = null;
@@ -44,7 +45,7 @@ async function syncLimitToZoho(zohoCustomerMapId) {
 // ═══════════════════════════════════════════════════════════════
 async function checkCreditBeforeInvoice(dbPool, zohoContactId, invoiceAmount) {
     const [rows] = await dbPool.query(
-        `SELECT id, zoho_contact_name, credit_limit, zoho_outstanding
+        `SELECT id, zoho_contact_name, credit_hold, credit_hold_reason, credit_limit, zoho_outstanding
          FROM zoho_customers_map WHERE zoho_contact_id = ? LIMIT 1`,
         [zohoContactId]
     );
@@ -58,6 +59,23 @@ async function checkCreditBeforeInvoice(dbPool, zohoContactId, invoiceAmount) {
     const outstanding = Number(c.zoho_outstanding);
     const amount = Number(invoiceAmount);
 
+    // Credit hold (dunning ladder's last step, or set by hand) → BLOCKED
+    // regardless of the limit until it is lifted.
+    if (Number(c.credit_hold) === 1) {
+        return {
+            allowed: false,
+            reason: `${c.zoho_contact_name} is on credit hold${c.credit_hold_reason ? ' — ' + c.credit_hold_reason : ''}. Collect the overdue amount first.`,
+            credit_limit: limit,
+            outstanding,
+            available: 0,
+            on_hold: true,
+            no_limit_set: false,
+            has_pending_request: false,
+            customer_name: c.zoho_contact_name,
+            zoho_customer_map_id: c.id
+        };
+    }
+
     // No limit set → BLOCKED (must request a limit first)
     if (limit === 0) {
         // Check if there's a pending request already
@@ -270,7 +288,7 @@ router.post('/check', requirePermission('credit_limits', 'view'), async (req, re
 
         const [rows] = await pool.query(`
             SELECT id, zoho_contact_name as name, credit_limit, zoho_outstanding as credit_used,
-                   (credit_limit - zoho_outstanding) as credit_available
+                   (credit_limit - zoho_outstanding) as credit_available, credit_hold, credit_hold_reason
             FROM zoho_customers_map WHERE id = ?
         `, [zoho_customer_map_id]);
 
@@ -284,11 +302,14 @@ router.post('/check', requirePermission('credit_limits', 'view'), async (req, re
         // set" and blocks credit (customer must request a limit), NOT "unlimited".
         // The old code here treated 0 as unlimited, giving opposite answers from
         // the push-time gate in the same module.
-        const allowed = limit === 0 ? false : available >= Number(amount);
+        const onHold = Number(c.credit_hold) === 1;
+        const allowed = limit === 0 || onHold ? false : available >= Number(amount);
 
         res.json({
             allowed,
             no_limit_set: limit === 0,
+            on_hold: onHold,
+            hold_reason: onHold ? c.credit_hold_reason : null,
             customer_name: c.name,
             credit_limit: limit,
             credit_used: used,
@@ -470,6 +491,12 @@ router.post('/requests', requirePermission('credit_limits', 'request'), idempote
             [cust[0].branch_id || 0, req.user.id, zoho_customer_map_id, cust[0].zoho_contact_name, requested_amount, reason || null]
         );
 
+        await approvals.submitQuietly({
+            entityType: 'credit_limit_request', entityId: result.insertId, amount: Number(requested_amount),
+            branchId: cust[0].branch_id || null, requestedBy: req.user.id,
+            title: `Credit limit ₹${Number(requested_amount).toLocaleString('en-IN')} for ${cust[0].zoho_contact_name}`
+        });
+
         await audit.record(req, {
             action: 'credit_limit.request.create',
             entity_type: 'credit_limit_request',
@@ -575,7 +602,29 @@ router.put('/requests/:id/approve', requirePermission('credit_limits', 'manage')
             return res.status(404).json({ error: 'Pending request not found' });
         }
         const r = request[0];
-        const finalAmount = approved_amount != null ? Number(approved_amount) : Number(r.requested_amount);
+        let finalAmount = approved_amount != null ? Number(approved_amount) : Number(r.requested_amount);
+
+        // Multi-stage chain (services/approval-workflow.js): only the final step sets the limit
+        let approval;
+        try {
+            approval = await approvals.decide(req.user, {
+                entityType: 'credit_limit_request', entityId: requestId, decision: 'approve',
+                note: review_notes || null,
+                amount: approved_amount != null ? Number(approved_amount) : undefined,
+                start: { amount: finalAmount, branchId: r.branch_id || null, requestedBy: r.requested_by, title: `Credit limit for ${r.customer_name}` }
+            });
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            await conn.rollback();
+            conn.release();
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+        }
+        if (!approval.final) {
+            await conn.rollback();
+            conn.release();
+            return res.json({ success: true, pending: true, message: approval.message, approval });
+        }
+        if (approval.amount != null) finalAmount = approval.amount;
 
         // Update request
         await conn.query(
@@ -647,6 +696,16 @@ router.put('/requests/:id/reject', requirePermission('credit_limits', 'manage'),
         if (!request.length) return res.status(404).json({ error: 'Pending request not found' });
         const r = request[0];
 
+        try {
+            await approvals.decide(req.user, {
+                entityType: 'credit_limit_request', entityId: req.params.id, decision: 'reject', note: review_notes,
+                start: { amount: Number(r.requested_amount), branchId: r.branch_id || null, requestedBy: r.requested_by }
+            });
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ error: err.message, code: err.code });
+        }
+
         await pool.query(
             `UPDATE credit_limit_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_notes = ? WHERE id = ?`,
             [req.user.id, review_notes, req.params.id]
@@ -695,6 +754,7 @@ router.get('/:customerId', requirePermission('credit_limits', 'view'), async (re
                    (zcm.credit_limit - zcm.zoho_outstanding) as credit_available,
                    CASE WHEN zcm.credit_limit > 0 THEN ROUND((zcm.zoho_outstanding / zcm.credit_limit) * 100, 1) ELSE 0 END as utilization,
                    zcm.credit_limit_updated_at, zcm.last_synced_at, zcm.branch_id,
+                   zcm.credit_hold, zcm.credit_hold_reason, zcm.credit_hold_source, zcm.credit_hold_at,
                    u.full_name as updated_by_name, b.name as branch_name
             FROM zoho_customers_map zcm
             LEFT JOIN users u ON zcm.credit_limit_updated_by = u.id
@@ -786,6 +846,50 @@ router.post('/:customerId/set-limit', requirePermission('credit_limits', 'manage
     }
 });
 
+// PUT /api/credit-limits/:customerId/hold — place or lift a credit hold by hand
+// (the dunning ladder places its own; lifting one here sticks for the
+// current overdue cycle because the ladder's hold step has already fired)
+router.put('/:customerId/hold', requirePermission('credit_limits', 'manage'), async (req, res) => {
+    try {
+        const hold = req.body.hold === true || req.body.hold === 1 || req.body.hold === '1';
+        const reason = req.body.reason ? String(req.body.reason).slice(0, 255) : null;
+        if (hold && !reason) return res.status(400).json({ error: 'A reason is required to place a hold' });
+
+        const [current] = await pool.query(
+            'SELECT credit_hold, credit_hold_reason, credit_hold_source FROM zoho_customers_map WHERE id = ?',
+            [req.params.customerId]
+        );
+        if (!current.length) return res.status(404).json({ error: 'Customer not found' });
+
+        if (hold) {
+            await pool.query(
+                `UPDATE zoho_customers_map SET credit_hold = 1, credit_hold_reason = ?, credit_hold_source = 'manual', credit_hold_at = NOW()
+                 WHERE id = ?`,
+                [reason, req.params.customerId]
+            );
+        } else {
+            await pool.query(
+                `UPDATE zoho_customers_map SET credit_hold = 0, credit_hold_reason = NULL, credit_hold_source = NULL, credit_hold_at = NULL
+                 WHERE id = ?`,
+                [req.params.customerId]
+            );
+        }
+
+        await audit.record(req, {
+            action: hold ? 'credit_limit.hold' : 'credit_limit.release_hold',
+            entity_type: 'zoho_customer_map',
+            entity_id: req.params.customerId,
+            before: current[0],
+            after: { credit_hold: hold ? 1 : 0, credit_hold_reason: hold ? reason : null }
+        });
+
+        res.json({ success: true, credit_hold: hold });
+    } catch (e) {
+        console.error('[CreditLimits] Hold error:', e.message);
+        res.status(500).json({ error: e.message });
+    }
+});
+
 // GET /api/credit-limits/:customerId/history — credit limit change history
 router.get('/:customerId/history', requirePermission('credit_limits', 'view'), async (req, res) => {
     try {
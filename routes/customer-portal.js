@@ -280,8 +280,10 @@ router.get('/customer/me/estimates/:id/pdf', requireCustomerAuth, async (req, re
         if (estimate.column_visibility) {
             try { colVis = { ...colVis, ...JSON.parse(estimate.column_visibility) }; } catch {}
         }
+        const accepted = await require('../services/estimate-acceptance').acceptanceForPdf(pool, estimate);
+        const calculation = await require('../services/paint-calculator').calculationForEstimate(pool, estimate.id);
         const { generateEstimatePDF } = require('./estimate-pdf-generator');
-        generateEstimatePDF(res, estimate, items, branding, colVis);
+        generateEstimatePDF(res, estimate, items, branding, colVis, { accepted, calculation });
     } catch (error) {
         console.error('Customer estimate PDF error:', error);
         if (!res.headersSent) res.status(500).json({ success: false, message: 'Failed to generate PDF' });
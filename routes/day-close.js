@@ -0,0 +1,440 @@
+/**
+ * Branch Day Close Routes
+ * Day-end cash count → reconciliation → manager sign-off → locked PDF.
+ *
+ *   GET  /expected        — preview: the day's expected cash/UPI/card for a branch
+ *   POST /                — submit the count; balanced ⇒ 'closed', any
+ *                           shortage/excess ⇒ 'pending_signoff'
+ *   GET  /                — list closes (branch/status/date filters)
+ *   GET  /:id             — one close with its snapshot
+ *   POST /:id/signoff     — manager accepts the variance ⇒ 'closed'
+ *   POST /:id/reopen      — manager re-opens a submitted/closed day (audited);
+ *                           the day's payments unlock until it is closed again
+ *   GET  /:id/pdf         — the day-close PDF
+ *
+ * Staff are locked to their own branch; admin/manager may pass branch_id.
+ * Reconciliation + the payment lock live in services/day-close.js.
+ *
+ * Exports: { router, setPool } + submitDayCloseSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const dayClose = require('../services/day-close');
+const { getBranding } = require('../services/branding');
+const { generateDayClosePDF } = require('../services/day-close-pdf-generator');
+const { toDateString } = require('../services/zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+function isBranchManager(req) {
+    return !!req.user && ['admin', 'manager', 'super_admin'].includes(req.user.role);
+}
+
+/** Branch the caller acts on: admin/manager may pick one, staff get their own. */
+function resolveBranch(req, requested) {
+    if (isBranchManager(req) && requested) return Number(requested);
+    return req.user && req.user.branch_id ? Number(req.user.branch_id) : null;
+}
+
+function canSeeBranch(req, branchId) {
+    return isBranchManager(req) || Number(req.user && req.user.branch_id) === Number(branchId);
+}
+
+function parseSnapshot(row) {
+    if (!row || !row.snapshot) return null;
+    try { return JSON.parse(row.snapshot); } catch { return null; }
+}
+
+async function loadClose(id) {
+    const [rows] = await pool.query(
+        `SELECT dc.*, b.name AS branch_name,
+                us.full_name AS submitted_by_name, uo.full_name AS signed_off_by_name,
+                ur.full_name AS reopened_by_name
+         FROM branch_day_closes dc
+         LEFT JOIN branches b ON b.id = dc.branch_id
+         LEFT JOIN users us ON us.id = dc.submitted_by
+         LEFT JOIN users uo ON uo.id = dc.signed_off_by
+         LEFT JOIN users ur ON ur.id = dc.reopened_by
+         WHERE dc.id = ?`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'date must be YYYY-MM-DD');
+
+const idParamSchema = z.object({
+    id: z.coerce.number().positive()
+});
+
+const expectedQuerySchema = z.object({
+    branch_id: z.coerce.number().positive().optional(),
+    date: dateString.optional()
+});
+
+const submitDayCloseSchema = z.object({
+    branch_id: z.number().positive().optional(),
+    business_date: dateString.optional(),
+    // { "500": 3, "100": 12, ... } — validated against DENOMINATIONS by countCash
+    denominations: z.record(z.string(), z.number().int().min(0)).default({}),
+    declared_upi: z.number().min(0).default(0),
+    declared_card: z.number().min(0).default(0),
+    notes: z.string().max(1000).optional().default('')
+});
+
+const signoffSchema = z.object({
+    note: z.string().trim().min(1, 'A sign-off note is required').max(1000)
+});
+
+const reopenSchema = z.object({
+    reason: z.string().trim().min(3, 'A re-open reason is required').max(1000)
+});
+
+const listQuerySchema = z.object({
+    branch_id: z.coerce.number().positive().optional(),
+    status: z.enum(['pending_signoff', 'closed', 'reopened']).optional(),
+    from: dateString.optional(),
+    to: dateString.optional(),
+    limit: z.coerce.number().int().min(1).max(200).optional().default(60)
+});
+
+// ═══════════════════════════════════════════
+// EXPECTED (PREVIEW)
+// ═══════════════════════════════════════════
+
+router.get('/expected',
+    requirePermission('billing', 'day_close'),
+    validateQuery(expectedQuerySchema),
+    async (req, res) => {
+        try {
+            const branchId = resolveBranch(req, req.query.branch_id);
+            if (!branchId) {
+                return res.status(400).json({ success: false, message: 'Your account has no branch assigned.' });
+            }
+            const businessDate = req.query.date || dayClose.todayBusinessDate();
+            const takings = await dayClose.loadDayTakings(pool, branchId, businessDate);
+            const reconcile = dayClose.reconcileDay(takings, {});
+            const existing = await dayClose.findDayClose(pool, branchId, businessDate);
+            res.json({
+                success: true,
+                branch_id: branchId,
+                business_date: businessDate,
+                expected: reconcile.expected,
+                other: reconcile.other,
+                takings,
+                denominations: dayClose.DENOMINATIONS,
+                existing: existing ? { id: existing.id, status: existing.status, revision: existing.revision } : null
+            });
+        } catch (error) {
+            console.error('Day close expected error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load the day\'s takings' });
+        }
+    }
+);
+
+// ═══════════════════════════════════════════
+// SUBMIT
+// ═══════════════════════════════════════════
+
+router.post('/',
+    requirePermission('billing', 'day_close'),
+    validate(submitDayCloseSchema),
+    async (req, res) => {
+        const data = req.body;
+        const branchId = resolveBranch(req, data.branch_id);
+        if (!branchId) {
+            return res.status(400).json({ success: false, message: 'Your account has no branch assigned.' });
+        }
+        const today = dayClose.todayBusinessDate();
+        const businessDate = data.business_date || today;
+        if (businessDate > today) {
+            return res.status(400).json({ success: false, message: 'Cannot close a future date' });
+        }
+
+        let cash;
+        try {
+            cash = dayClose.countCash(data.denominations);
+        } catch (err) {
+            return res.status(400).json({ success: false, code: err.code, message: err.message });
+        }
+
+        let closeId, before, reconcile, status, revision;
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+
+            before = await dayClose.findDayClose(connection, branchId, businessDate, true);
+            if (before && dayClose.LOCKED_STATUSES.includes(before.status)) {
+                await connection.rollback();
+                return res.status(409).json({
+                    success: false, code: 'ALREADY_CLOSED',
+                    message: `This day is already ${before.status === 'closed' ? 'closed' : 'submitted for sign-off'}.`
+                });
+            }
+
+            const takings = await dayClose.loadDayTakings(connection, branchId, businessDate);
+            reconcile = dayClose.reconcileDay(takings, { cash: cash.total, upi: data.declared_upi, card: data.declared_card });
+            status = reconcile.has_variance ? 'pending_signoff' : 'closed';
+            revision = before ? Number(before.revision) + 1 : 1;
+            const snapshot = JSON.stringify({ business_date: businessDate, denominations: cash, reconcile, takings });
+
+            const values = [
+                status, revision, JSON.stringify(data.denominations),
+                reconcile.declared.cash, reconcile.declared.upi, reconcile.declared.card,
+                reconcile.expected.cash, reconcile.expected.upi, reconcile.expected.card,
+                reconcile.variance.cash, reconcile.variance.upi, reconcile.variance.card,
+                reconcile.has_variance ? 1 : 0, snapshot, data.notes, req.user.id
+            ];
+            if (before) {
+                await connection.query(
+                    `UPDATE branch_day_closes SET
+                        status = ?, revision = ?, denominations = ?,
+                        declared_cash = ?, declared_upi = ?, declared_card = ?,
+                        expected_cash = ?, expected_upi = ?, expected_card = ?,
+                        variance_cash = ?, variance_upi = ?, variance_card = ?,
+                        has_variance = ?, snapshot = ?, notes = ?, submitted_by = ?, submitted_at = NOW(),
+                        signed_off_by = NULL, signed_off_at = NULL, signoff_note = NULL
+                     WHERE id = ?`,
+                    [...values, before.id]
+                );
+                closeId = before.id;
+            } else {
+                const [ins] = await connection.query(
+                    `INSERT INTO branch_day_closes
+                     (status, revision, denominations,
+                      declared_cash, declared_upi, declared_card,
+                      expected_cash, expected_upi, expected_card,
+                      variance_cash, variance_upi, variance_card,
+                      has_variance, snapshot, notes, submitted_by, submitted_at,
+                      branch_id, business_date)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)`,
+                    [...values, branchId, businessDate]
+                );
+                closeId = ins.insertId;
+            }
+
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'ER_DUP_ENTRY') {
+                return res.status(409).json({ success: false, code: 'ALREADY_CLOSED', message: 'This day was just closed by someone else.' });
+            }
+            console.error('Day close submit error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to submit the day close' });
+        } finally {
+            connection.release();
+        }
+
+        await auditLog.record(req, {
+            action: 'billing.dayclose.submit',
+            entity_type: 'branch_day_close',
+            entity_id: closeId,
+            before: before ? { status: before.status, revision: before.revision } : null,
+            after: {
+                branch_id: branchId, business_date: businessDate, status, revision,
+                declared: reconcile.declared, expected: reconcile.expected, variance: reconcile.variance
+            }
+        });
+
+        res.json({
+            success: true,
+            message: status === 'closed' ? 'Day closed — all tenders balance' : 'Submitted for manager sign-off',
+            id: closeId,
+            status,
+            revision,
+            reconcile
+        });
+    }
+);
+
+// ═══════════════════════════════════════════
+// LIST / DETAIL
+// ═══════════════════════════════════════════
+
+router.get('/',
+    requirePermission('billing', 'day_close'),
+    validateQuery(listQuerySchema),
+    async (req, res) => {
+        try {
+            const q = req.query;
+            const branchId = isBranchManager(req) ? (q.branch_id || null) : resolveBranch(req);
+            const where = [];
+            const params = [];
+            if (branchId) { where.push('dc.branch_id = ?'); params.push(branchId); }
+            if (q.status) { where.push('dc.status = ?'); params.push(q.status); }
+            if (q.from) { where.push('dc.business_date >= ?'); params.push(q.from); }
+            if (q.to) { where.push('dc.business_date <= ?'); params.push(q.to); }
+            params.push(q.limit);
+
+            const [rows] = await pool.query(
+                `SELECT dc.id, dc.branch_id, b.name AS branch_name, dc.business_date, dc.status, dc.revision,
+                        dc.declared_cash, dc.declared_upi, dc.declared_card,
+                        dc.expected_cash, dc.expected_upi, dc.expected_card,
+                        dc.variance_cash, dc.variance_upi, dc.variance_card, dc.has_variance,
+                        dc.submitted_at, dc.signed_off_at, dc.reopened_at,
+                        us.full_name AS submitted_by_name
+                 FROM branch_day_closes dc
+                 LEFT JOIN branches b ON b.id = dc.branch_id
+                 LEFT JOIN users us ON us.id = dc.submitted_by
+                 ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+                 ORDER BY dc.business_date DESC, dc.branch_id
+                 LIMIT ?`,
+                params
+            );
+            res.json({ success: true, closes: rows });
+        } catch (error) {
+            console.error('Day close list error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load day closes' });
+        }
+    }
+);
+
+router.get('/:id',
+    requirePermission('billing', 'day_close'),
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const row = await loadClose(req.params.id);
+            if (!row || !canSeeBranch(req, row.branch_id)) {
+                return res.status(404).json({ success: false, message: 'Day close not found' });
+            }
+            const { snapshot, ...close } = row;
+            res.json({ success: true, close, snapshot: parseSnapshot({ snapshot }) });
+        } catch (error) {
+            console.error('Day close get error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load the day close' });
+        }
+    }
+);
+
+// ═══════════════════════════════════════════
+// SIGN-OFF / RE-OPEN
+// ═══════════════════════════════════════════
+
+router.post('/:id/signoff',
+    requirePermission('billing', 'day_close_signoff'),
+    validateParams(idParamSchema),
+    validate(signoffSchema),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const [result] = await pool.query(
+                `UPDATE branch_day_closes
+                 SET status = 'closed', signed_off_by = ?, signed_off_at = NOW(), signoff_note = ?
+                 WHERE id = ? AND status = 'pending_signoff'`,
+                [req.user.id, req.body.note, id]
+            );
+            if (!result.affectedRows) {
+                const row = await loadClose(id);
+                if (!row) return res.status(404).json({ success: false, message: 'Day close not found' });
+                return res.status(409).json({ success: false, code: 'NOT_PENDING', message: `This day close is ${row.status}, not awaiting sign-off.` });
+            }
+
+            await auditLog.record(req, {
+                action: 'billing.dayclose.signoff',
+                entity_type: 'branch_day_close', entity_id: id,
+                before: { status: 'pending_signoff' },
+                after: { status: 'closed', signoff_note: req.body.note }
+            });
+            res.json({ success: true, message: 'Day close signed off' });
+        } catch (error) {
+            console.error('Day close signoff error:', error);
+            res.status(500).json({ success: false, message: 'Failed to sign off the day close' });
+        }
+    }
+);
+
+// Re-open unlocks the day's payments so a back-dated record/reversal can go
+// through; the cashier then re-submits (revision + 1). Always audited.
+router.post('/:id/reopen',
+    requirePermission('billing', 'day_close_signoff'),
+    validateParams(idParamSchema),
+    validate(reopenSchema),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const before = await loadClose(id);
+            if (!before) return res.status(404).json({ success: false, message: 'Day close not found' });
+
+            const [result] = await pool.query(
+                `UPDATE branch_day_closes
+                 SET status = 'reopened', reopened_by = ?, reopened_at = NOW(), reopen_reason = ?
+                 WHERE id = ? AND status IN ('pending_signoff', 'closed')`,
+                [req.user.id, req.body.reason, id]
+            );
+            if (!result.affectedRows) {
+                return res.status(409).json({ success: false, code: 'NOT_CLOSED', message: 'This day is already open.' });
+            }
+
+            await auditLog.record(req, {
+                action: 'billing.dayclose.reopen',
+                entity_type: 'branch_day_close', entity_id: id,
+                before: {
+                    branch_id: before.branch_id, business_date: toDateString(before.business_date),
+                    status: before.status, revision: before.revision,
+                    declared_cash: before.declared_cash, expected_cash: before.expected_cash
+                },
+                after: { status: 'reopened', reason: req.body.reason }
+            });
+            res.json({ success: true, message: 'Day re-opened — payments for this date are editable until it is closed again' });
+        } catch (error) {
+            console.error('Day close reopen error:', error);
+            res.status(500).json({ success: false, message: 'Failed to re-open the day' });
+        }
+    }
+);
+
+// ═══════════════════════════════════════════
+// PDF
+// ═══════════════════════════════════════════
+
+router.get('/:id/pdf',
+    requirePermission('billing', 'day_close'),
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const row = await loadClose(req.params.id);
+            if (!row || !canSeeBranch(req, row.branch_id)) {
+                return res.status(404).json({ success: false, message: 'Day close not found' });
+            }
+            const snapshot = parseSnapshot(row);
+            if (row.status === 'reopened' || !snapshot) {
+                return res.status(409).json({ success: false, code: 'NOT_CLOSED', message: 'The day is re-opened — submit the close again to get a PDF.' });
+            }
+
+            const branding = await getBranding(pool);
+            const filename = `DayClose-${(row.branch_name || 'Branch' + row.branch_id).replace(/[^A-Za-z0-9_-]+/g, '')}-${snapshot.business_date}.pdf`;
+            res.setHeader('Content-Type', 'application/pdf');
+            res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+
+            generateDayClosePDF({
+                close: row,
+                snapshot,
+                branchName: row.branch_name,
+                people: { submitted: row.submitted_by_name, signedOff: row.signed_off_by_name },
+                branding
+            }, res);
+        } catch (error) {
+            console.error('Day close PDF error:', error);
+            if (!res.headersSent) {
+                res.status(500).json({ success: false, message: 'Failed to generate PDF' });
+            }
+        }
+    }
+);
+
+module.exports = { router, setPool, submitDayCloseSchema };
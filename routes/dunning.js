@@ -0,0 +1,304 @@
+/**
+ * Dunning Ladder Routes
+ * Configure the escalation ladder for overdue customers (per customer type)
+ * and follow what it did. Mounted at /api/zoho/collections/dunning.
+ *
+ *   GET    /ladders        — ladders with their steps
+ *   POST   /ladders        — create a ladder
+ *   PUT    /ladders/:id    — edit a ladder (steps matched by id, so steps
+ *                            already taken are not taken again)
+ *   DELETE /ladders/:id    — deactivate a ladder
+ *   GET    /collectors     — staff a call-task step can be assigned to
+ *   GET    /actions        — steps taken, with outcomes
+ *   GET    /stages         — per-stage effectiveness (also on /summary)
+ *   POST   /run            — run the ladder now (the daily run is
+ *                            services/dunning-scheduler.js)
+ *
+ * Access: zoho.collections; staff see their branch's actions and unassigned
+ * ones, as on the collections page.
+ *
+ * Exports: { router, setPool } + ladderSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, isFullAdmin } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const dunning = require('../services/dunning');
+const smsService = require('../services/sms-service');
+const notificationService = require('../services/notification-service');
+const { istDateString } = require('../services/zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+const perm = requirePermission('zoho', 'collections');
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+function getBranchFilter(req) {
+    if (isFullAdmin(req.user.role)) {
+        return req.query.branch_id ? parseInt(req.query.branch_id) : null;
+    }
+    return req.user.branch_id || null;
+}
+
+async function loadLadder(db, id) {
+    const [rows] = await db.query('SELECT * FROM dunning_ladders WHERE id = ?', [id]);
+    if (!rows.length) return null;
+    const [steps] = await db.query('SELECT * FROM dunning_ladder_steps WHERE ladder_id = ? ORDER BY days_overdue', [id]);
+    return { ...rows[0], steps };
+}
+
+/** Update steps in place by id, insert new ones, drop the ones left out. */
+async function writeSteps(conn, ladderId, steps) {
+    const [existing] = await conn.query('SELECT id FROM dunning_ladder_steps WHERE ladder_id = ?', [ladderId]);
+    const existingIds = existing.map(r => r.id);
+    const keep = [];
+    for (const s of steps) {
+        const values = [s.step_order, s.days_overdue, s.action, s.message_template, s.assign_to];
+        if (s.id && existingIds.includes(s.id)) {
+            await conn.query(
+                `UPDATE dunning_ladder_steps SET step_order = ?, days_overdue = ?, action = ?, message_template = ?, assign_to = ?
+                 WHERE id = ?`,
+                [...values, s.id]
+            );
+            keep.push(s.id);
+        } else {
+            await conn.query(
+                `INSERT INTO dunning_ladder_steps (step_order, days_overdue, action, message_template, assign_to, ladder_id)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [...values, ladderId]
+            );
+        }
+    }
+    const drop = existingIds.filter(id => !keep.includes(id));
+    if (drop.length) {
+        await conn.query(`DELETE FROM dunning_ladder_steps WHERE id IN (${drop.map(() => '?').join(', ')})`, drop);
+    }
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const stepSchema = z.object({
+    id: z.coerce.number().int().positive().optional().nullable(),
+    days_overdue: z.coerce.number().int().min(1).max(365),
+    action: z.enum(dunning.ACTIONS),
+    message_template: z.string().max(1000).optional().nullable(),
+    assign_to: z.coerce.number().int().positive().optional().nullable()
+});
+
+const ladderSchema = z.object({
+    name: z.string().trim().min(1).max(100),
+    customer_type_id: z.coerce.number().int().positive().optional().nullable(),
+    is_active: z.boolean().optional().default(true),
+    steps: z.array(stepSchema).min(1).max(10)
+});
+
+const idParamSchema = z.object({
+    id: z.coerce.number().int().positive()
+});
+
+const actionsQuerySchema = z.object({
+    customer_id: z.string().max(50).optional(),
+    action: z.enum(dunning.ACTIONS).optional(),
+    outcome: z.enum(['pending', 'paid', 'promised', 'no_response']).optional(),
+    branch_id: z.string().optional(),
+    limit: z.coerce.number().int().min(1).max(500).optional().default(100)
+});
+
+const stagesQuerySchema = z.object({
+    days: z.coerce.number().int().min(7).max(365).optional().default(90),
+    branch_id: z.string().optional()
+});
+
+// ═══════════════════════════════════════════
+// LADDERS
+// ═══════════════════════════════════════════
+
+router.get('/ladders', perm, async (req, res) => {
+    try {
+        const [ladders] = await pool.query(
+            `SELECT dl.*, ct.name AS customer_type_name
+             FROM dunning_ladders dl LEFT JOIN customer_types ct ON ct.id = dl.customer_type_id
+             ORDER BY dl.is_active DESC, dl.customer_type_id IS NOT NULL, ct.name, dl.id`
+        );
+        const [steps] = await pool.query(
+            `SELECT s.*, u.full_name AS assign_to_name
+             FROM dunning_ladder_steps s LEFT JOIN users u ON u.id = s.assign_to
+             ORDER BY s.ladder_id, s.days_overdue`
+        );
+        res.json({
+            success: true,
+            data: ladders.map(l => ({ ...l, steps: steps.filter(s => s.ladder_id === l.id) })),
+            default_templates: dunning.DEFAULT_TEMPLATES
+        });
+    } catch (error) {
+        console.error('[Dunning] Ladders error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load ladders' });
+    }
+});
+
+async function saveLadder(req, res, id) {
+    const data = req.body;
+    let steps;
+    try {
+        steps = dunning.normalizeSteps(data.steps);
+    } catch (err) {
+        return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+
+    // One active ladder per customer type (and one default)
+    const typeId = data.customer_type_id || null;
+    const conn = await pool.getConnection();
+    let ladderId = id;
+    let before = null;
+    try {
+        await conn.beginTransaction();
+        if (data.is_active) {
+            const [clash] = await conn.query(
+                `SELECT id FROM dunning_ladders
+                 WHERE is_active = 1 AND ${typeId ? 'customer_type_id = ?' : 'customer_type_id IS NULL'} AND id <> ?`,
+                typeId ? [typeId, id || 0] : [id || 0]
+            );
+            if (clash.length) {
+                await conn.rollback();
+                return res.status(409).json({
+                    success: false, code: 'LADDER_EXISTS',
+                    message: typeId ? 'This customer type already has an active ladder' : 'An active default ladder already exists'
+                });
+            }
+        }
+        const values = [data.name, typeId, data.is_active ? 1 : 0];
+        if (id) {
+            before = await loadLadder(conn, id);
+            if (!before) {
+                await conn.rollback();
+                return res.status(404).json({ success: false, message: 'Ladder not found' });
+            }
+            await conn.query('UPDATE dunning_ladders SET name = ?, customer_type_id = ?, is_active = ? WHERE id = ?', [...values, id]);
+        } else {
+            const [ins] = await conn.query(
+                'INSERT INTO dunning_ladders (name, customer_type_id, is_active, created_by) VALUES (?, ?, ?, ?)',
+                [...values, req.user.id]
+            );
+            ladderId = ins.insertId;
+        }
+        await writeSteps(conn, ladderId, steps);
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        console.error('[Dunning] Save ladder error:', error);
+        return res.status(500).json({ success: false, message: 'Failed to save ladder' });
+    } finally {
+        conn.release();
+    }
+
+    auditLog.record(req, {
+        action: id ? 'collections.dunning.ladder.update' : 'collections.dunning.ladder.create',
+        entity_type: 'dunning_ladder', entity_id: ladderId,
+        before, after: { ...data, steps }
+    });
+    res.json({ success: true, id: ladderId, message: id ? 'Ladder updated' : 'Ladder created' });
+}
+
+router.post('/ladders', perm, validate(ladderSchema), (req, res) => saveLadder(req, res, null));
+
+router.put('/ladders/:id', perm, validateParams(idParamSchema), validate(ladderSchema),
+    (req, res) => saveLadder(req, res, Number(req.params.id)));
+
+router.delete('/ladders/:id', perm, validateParams(idParamSchema), async (req, res) => {
+    try {
+        const [result] = await pool.query('UPDATE dunning_ladders SET is_active = 0 WHERE id = ?', [req.params.id]);
+        if (!result.affectedRows) return res.status(404).json({ success: false, message: 'Ladder not found' });
+        auditLog.record(req, {
+            action: 'collections.dunning.ladder.deactivate', entity_type: 'dunning_ladder', entity_id: req.params.id,
+            before: { is_active: 1 }, after: { is_active: 0 }
+        });
+        res.json({ success: true, message: 'Ladder deactivated' });
+    } catch (error) {
+        console.error('[Dunning] Deactivate ladder error:', error);
+        res.status(500).json({ success: false, message: 'Failed to deactivate ladder' });
+    }
+});
+
+/** Who a call-task step can be assigned to (task-assignable roles). */
+router.get('/collectors', perm, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT id, full_name, branch_id, role FROM users
+             WHERE status = 'active' AND role IN ('staff', 'sales_staff', 'branch_manager')
+             ORDER BY full_name`
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        console.error('[Dunning] Collectors error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load collectors' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// ACTIONS, STAGES, RUN
+// ═══════════════════════════════════════════
+
+router.get('/actions', perm, validateQuery(actionsQuerySchema), async (req, res) => {
+    try {
+        const where = [];
+        const params = [];
+        if (req.query.customer_id) { where.push('da.zoho_customer_id = ?'); params.push(req.query.customer_id); }
+        if (req.query.action) { where.push('da.action = ?'); params.push(req.query.action); }
+        if (req.query.outcome) { where.push('da.outcome = ?'); params.push(req.query.outcome); }
+        const branchId = getBranchFilter(req);
+        if (branchId) { where.push('(da.branch_id = ? OR da.branch_id IS NULL)'); params.push(branchId); }
+        params.push(req.query.limit);
+        const [rows] = await pool.query(
+            `SELECT da.* FROM dunning_actions da
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY da.created_at DESC, da.id DESC
+             LIMIT ?`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        console.error('[Dunning] Actions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load dunning actions' });
+    }
+});
+
+router.get('/stages', perm, validateQuery(stagesQuerySchema), async (req, res) => {
+    try {
+        const stages = await dunning.stageStats(pool, { branchId: getBranchFilter(req), days: req.query.days });
+        res.json({ success: true, data: stages });
+    } catch (error) {
+        console.error('[Dunning] Stages error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load stage stats' });
+    }
+});
+
+router.post('/run', perm, async (req, res) => {
+    try {
+        const result = await dunning.runLadder(
+            { db: pool, sendSms: smsService.sendSms, notify: notificationService.send },
+            { today: istDateString(new Date()) }
+        );
+        auditLog.record(req, {
+            action: 'collections.dunning.run', entity_type: 'dunning_ladder', entity_id: null,
+            after: result
+        });
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (error.code === 'RUN_IN_PROGRESS') {
+            return res.status(409).json({ success: false, code: error.code, message: error.message });
+        }
+        console.error('[Dunning] Run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to run the dunning ladder' });
+    }
+});
+
+module.exports = { router, setPool, ladderSchema };
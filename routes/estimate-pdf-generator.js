@@ -15,8 +15,12 @@ function formatINR(num) {
  * @param {Array} items - Estimate items
  * @param {Object} branding - Branding settings
  * @param {Object} colVis - Column visibility settings
+ * @param {Object} [extras]
+ * @param {Object} [extras.accepted] - Customer's online acceptance (services/estimate-acceptance.js acceptanceForPdf)
+ * @param {Object} [extras.calculation] - Measurements behind the estimate (services/paint-calculator.js calculationForEstimate)
  */
-function generateEstimatePDF(res, estimate, items, branding, colVis) {
+function generateEstimatePDF(res, estimate, items, branding, colVis, extras = {}) {
+    const { accepted = null, calculation = null } = extras || {};
     const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
 
     const filename = `${estimate.estimate_number || 'Estimate'}.pdf`;
@@ -77,7 +81,7 @@ function generateEstimatePDF(res, estimate, items, branding, colVis) {
         : '';
     doc.fontSize(9).fillColor(darkGray).font('Helvetica')
         .text(`Date: ${estDate}`, 350, headerTop + 30, { width: 205, align: 'right' })
-        .text(`Ref #: ${estimate.estimate_number}`, 350, headerTop + 42, { width: 205, align: 'right' })
+        .text(`Ref #: ${estimate.estimate_number}${estimate.current_revision > 0 ? `  (Rev ${estimate.current_revision})` : ''}`, 350, headerTop + 42, { width: 205, align: 'right' })
         .text(`Status: ${(estimate.status || 'draft').toUpperCase()}`, 350, headerTop + 54, { width: 205, align: 'right' });
 
     // Purple divider line
@@ -214,6 +218,91 @@ function generateEstimatePDF(res, estimate, items, branding, colVis) {
         doc.fontSize(8).fillColor(medGray).font('Helvetica').text(estimate.notes, 40, y, { width: 515 });
     }
 
+    // ===== MEASUREMENT SUMMARY =====
+    if (calculation && Array.isArray(calculation.rooms) && calculation.rooms.length) {
+        y = Math.max(y + 30, doc.y + 20);
+        if (y > doc.page.height - 120) { doc.addPage(); y = 40; }
+        doc.moveTo(40, y).lineTo(555, y).strokeColor('#e5e7eb').lineWidth(0.5).stroke();
+        y += 10;
+        doc.fontSize(9).fillColor(darkGray).font('Helvetica-Bold').text('Measurement Summary', 40, y);
+        y += 16;
+
+        const mCols = [
+            { label: 'Room', width: 155, align: 'left' },
+            { label: 'Walls (sqft)', width: 80, align: 'right' },
+            { label: 'Doors/Windows', width: 80, align: 'right' },
+            { label: 'Ceiling (sqft)', width: 80, align: 'right' },
+            { label: 'Condition', width: 80, align: 'left' },
+            { label: 'Coats', width: 40, align: 'right' }
+        ];
+        const mRow = (vals, bold) => {
+            let x = 40;
+            doc.fontSize(7.5).fillColor(bold ? darkGray : medGray).font(bold ? 'Helvetica-Bold' : 'Helvetica');
+            mCols.forEach((col, i) => {
+                doc.text(String(vals[i]), col.align === 'right' ? x : x + 4, y, { width: col.width - 8, align: col.align, lineBreak: false });
+                x += col.width;
+            });
+            y += 12;
+        };
+        mRow(mCols.map(c => c.label), true);
+        const conditionLabel = { new: 'New plaster', repaint_damaged: 'Repaint (damaged)', repaint_good: 'Repaint' };
+        calculation.rooms.forEach(room => {
+            if (y > doc.page.height - 60) { doc.addPage(); y = 40; }
+            mRow([room.name, room.net_wall_sqft, room.opening_sqft ? `-${room.opening_sqft}` : '-', room.ceiling_sqft || '-',
+                conditionLabel[room.condition] || room.condition, room.coats], false);
+        });
+
+        y += 4;
+        (calculation.requirements || []).forEach(req => {
+            if (y > doc.page.height - 60) { doc.addPage(); y = 40; }
+            const mix = (req.packs || []).map(p => `${p.qty} × ${p.label}`).join(' + ');
+            doc.fontSize(7.5).fillColor(darkGray).font('Helvetica')
+                .text(`${req.product_name}: ${req.coat_area_sqft} sqft × coats ÷ ${req.coverage} sqft/${req.unit} = ${req.quantity} ${req.unit}  →  ${mix}`,
+                    40, y, { width: 515 });
+            y = doc.y + 3;
+        });
+    }
+
+    // ===== CUSTOMER ACCEPTANCE =====
+    if (accepted) {
+        y = Math.max(y + 30, doc.y + 20);
+        if (y > doc.page.height - 150) { doc.addPage(); y = 40; }
+        const boxH = 95;
+        doc.rect(40, y, 515, boxH).strokeColor('#16a34a').lineWidth(1).stroke();
+
+        const when = new Date(accepted.created_at).toLocaleString('en-IN', {
+            timeZone: 'Asia/Kolkata', day: '2-digit', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit'
+        });
+        doc.fontSize(10).fillColor('#16a34a').font('Helvetica-Bold')
+            .text(`Accepted by ${accepted.signer_name} on ${when} IST`, 50, y + 10, { width: 300 });
+
+        const details = [];
+        if (accepted.revision_no) details.push(`Revision accepted: ${accepted.revision_no}`);
+        if (accepted.signer_phone) details.push(`OTP verified on mobile ******${String(accepted.signer_phone).slice(-4)}`);
+        if (accepted.ip_address) details.push(`IP address: ${accepted.ip_address}`);
+        details.push('Accepted online via the estimate share link');
+        doc.fontSize(7.5).fillColor(medGray).font('Helvetica')
+            .text(details.join('\n'), 50, y + 30, { width: 300, lineGap: 2 });
+
+        // Signature on the right
+        const sigX = 370;
+        let drawn = false;
+        if (accepted.signature_type === 'drawn' && accepted.signature_image) {
+            try {
+                const png = Buffer.from(accepted.signature_image.split(',')[1], 'base64');
+                doc.image(png, sigX, y + 8, { fit: [175, 60], align: 'center', valign: 'center' });
+                drawn = true;
+            } catch { /* unreadable image — fall back to the typed name */ }
+        }
+        if (!drawn) {
+            doc.fontSize(16).fillColor(darkGray).font('Helvetica-Oblique')
+                .text(accepted.signature_text || accepted.signer_name, sigX, y + 28, { width: 175, align: 'center' });
+        }
+        doc.moveTo(sigX, y + 72).lineTo(sigX + 175, y + 72).strokeColor('#9ca3af').lineWidth(0.5).stroke();
+        doc.fontSize(7).fillColor(medGray).font('Helvetica')
+            .text('Customer signature', sigX, y + 76, { width: 175, align: 'center' });
+    }
+
     // Footer
     const footerY = doc.page.height - 40;
     doc.fontSize(7).fillColor('#999999').font('Helvetica')
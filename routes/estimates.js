@@ -5,6 +5,10 @@ const router = express.Router();
 const { requirePermission, requireAuth } = require('../middleware/permissionMiddleware');
 const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
 const audit = require('../services/audit-log');
+const { ALLOWED_STATUSES, applyStatus } = require('../services/estimate-status');
+const revisions = require('../services/estimate-revisions');
+const { assertDayOpen, todayBusinessDate } = require('../services/day-close');
+const paintCalculator = require('../services/paint-calculator');
 
 let pool;
 
@@ -205,6 +209,67 @@ function processItems(items) {
     });
 }
 
+/**
+ * Insert a new estimate with its items and first revision, inside the
+ * caller's transaction. Number generation locks the day's last number
+ * (FOR UPDATE) so concurrent creates cannot collide.
+ * @param {Object} conn - transaction connection
+ * @param {Object} header - estimate header fields from the request
+ * @param {Array} processedItems - items already run through processItems()
+ * @param {number|null} userId
+ * @returns {Promise<{estimateId: number, estimateNumber: string, totals: Object}>}
+ */
+async function createEstimateRecord(conn, header, processedItems, userId) {
+    const {
+        customer_name, customer_phone, customer_address, estimate_date, valid_until,
+        show_gst_breakdown, column_visibility, show_description_only,
+        notes, admin_notes, status, branch_id
+    } = header;
+    const totals = calculateEstimateTotals(processedItems);
+
+    const datePrefix = new Date().toISOString().split('T')[0].replace(/-/g, '');
+    const [lastEstimate] = await conn.query(
+        'SELECT estimate_number FROM estimates WHERE estimate_number LIKE ? ORDER BY id DESC LIMIT 1 FOR UPDATE',
+        [`EST${datePrefix}%`]
+    );
+
+    let estimateNumber;
+    if (lastEstimate.length > 0) {
+        const lastNum = parseInt(lastEstimate[0].estimate_number.slice(-4));
+        estimateNumber = `EST${datePrefix}${String(lastNum + 1).padStart(4, '0')}`;
+    } else {
+        estimateNumber = `EST${datePrefix}0001`;
+    }
+
+    const [result] = await conn.query(
+        `INSERT INTO estimates (
+            estimate_number, customer_name, customer_phone, customer_address,
+            estimate_date, valid_until, branch_id,
+            subtotal, gst_amount, grand_total,
+            total_markup, total_discount, total_labor,
+            show_gst_breakdown, column_visibility, show_description_only,
+            notes, admin_notes, status, created_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            estimateNumber, customer_name, customer_phone, customer_address,
+            estimate_date, valid_until || null, branch_id || null,
+            totals.subtotal, totals.gst_amount, totals.grand_total,
+            totals.total_markup, totals.total_discount, totals.total_labor,
+            show_gst_breakdown ? 1 : 0, column_visibility || null, show_description_only ? 1 : 0,
+            notes || null, admin_notes || null, status || 'draft',
+            userId || 1
+        ]
+    );
+    const estimateId = result.insertId;
+
+    if (processedItems.length > 0) {
+        await conn.query(ITEM_INSERT_SQL, [buildItemValues(estimateId, processedItems)]);
+    }
+
+    await revisions.snapshot(conn, estimateId, { source: 'create', userId: userId || null });
+    return { estimateId, estimateNumber, totals };
+}
+
 // ========================================
 // LIST ESTIMATES
 // ========================================
@@ -416,7 +481,7 @@ router.post('/:id/send-whatsapp', requireAuth, async (req, res) => {
 
         // Get estimate details
         const [estimates] = await pool.query(
-            'SELECT id, estimate_number, customer_name, grand_total, branch_id FROM estimates WHERE id = ?',
+            'SELECT id, estimate_number, customer_name, grand_total, branch_id, current_revision FROM estimates WHERE id = ?',
             [req.params.id]
         );
         if (!estimates.length) return res.status(404).json({ success: false, message: 'Estimate not found' });
@@ -486,8 +551,8 @@ router.post('/:id/send-whatsapp', requireAuth, async (req, res) => {
             const shareToken = crypto.randomBytes(32).toString('hex');
             const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
             await pool.query(
-                'INSERT INTO share_tokens (token, resource_type, resource_id, created_by, expires_at) VALUES (?, ?, ?, ?, ?)',
-                [shareToken, 'estimate', req.params.id, req.user.id, expiresAt]
+                'INSERT INTO share_tokens (token, resource_type, resource_id, created_by, expires_at, revision_no) VALUES (?, ?, ?, ?, ?, ?)',
+                [shareToken, 'estimate', req.params.id, req.user.id, expiresAt, est.current_revision || null]
             );
             const shareUrl = `${req.protocol}://${req.get('host')}/share/estimate/${shareToken}`;
             const amount = parseFloat(est.grand_total) || 0;
@@ -609,6 +674,7 @@ router.post('/:id/record-payment', requirePermission('billing', 'payment'), idem
         // estimate, so concurrent payments cannot read a stale paid-amount and a
         // partial failure cannot leave the estimate/invoice/payment rows inconsistent.
         let est, grandTotal, prevPaid, balance, newTotalPaid, balanceDue, paymentStatus, invoiceId;
+        const paymentDate = todayBusinessDate();
         const conn = await pool.getConnection();
         try {
             await conn.beginTransaction();
@@ -638,6 +704,10 @@ router.post('/:id/record-payment', requirePermission('billing', 'payment'), idem
                 return res.status(400).json({ success: false, message: 'Estimate is already fully paid' });
             }
 
+            // Same lock as billing's payment create: no new takings on a day
+            // the branch has already closed (or submitted for sign-off).
+            await assertDayOpen(conn, est.branch_id || 1, paymentDate);
+
             newTotalPaid = prevPaid + amountNum;
             balanceDue = Math.max(0, grandTotal - newTotalPaid);
             paymentStatus = balanceDue <= 0.01 ? 'paid' : (newTotalPaid > 0 ? 'partial' : 'unpaid');
@@ -682,9 +752,9 @@ router.post('/:id/record-payment', requirePermission('billing', 'payment'), idem
 
             // Record in billing_payments
             await conn.query(`
-                INSERT INTO billing_payments (invoice_id, amount, payment_method, payment_reference, received_by, notes)
-                VALUES (?, ?, ?, ?, ?, ?)
-            `, [invoiceId, amountNum, payment_method, payment_reference || null, req.user.id,
+                INSERT INTO billing_payments (invoice_id, amount, payment_method, payment_reference, payment_date, received_by, notes)
+                VALUES (?, ?, ?, ?, ?, ?, ?)
+            `, [invoiceId, amountNum, payment_method, payment_reference || null, paymentDate, req.user.id,
                 `Payment for Estimate #${est.estimate_number}`]);
 
             await conn.commit();
@@ -754,6 +824,9 @@ router.post('/:id/record-payment', requirePermission('billing', 'payment'), idem
 
         res.json({ success: true, data: { payment_status: paymentStatus, amount_paid: newTotalPaid, balance_due: balanceDue, invoice_id: invoiceId, whatsapp_sent: whatsappSent } });
     } catch (err) {
+        if (err.code === 'DAY_CLOSED') {
+            return res.status(409).json({ success: false, code: 'DAY_CLOSED', message: err.message });
+        }
         console.error('Record payment error:', err);
         res.status(500).json({ success: false, message: err.message || 'Failed to record payment' });
     }
@@ -903,8 +976,9 @@ router.get('/:id', requirePermission('estimates', 'view'), async (req, res) => {
             WHERE ei.estimate_id = ? AND ei.deleted_at IS NULL
             ORDER BY ei.display_order, ei.id
         `, [req.params.id]);
+        const calculation = await paintCalculator.calculationForEstimate(pool, req.params.id);
 
-        res.json({ ...estimate[0], items });
+        res.json({ ...estimate[0], items, calculation });
     } catch (err) {
         res.status(500).json({ error: err.message });
     }
@@ -935,64 +1009,21 @@ router.get('/:id/items', requirePermission('estimates', 'view'), async (req, res
 // ========================================
 router.post('/', requirePermission('estimates', 'add'), idempotent('estimate.create'), async (req, res) => {
     try {
-        const {
-            customer_name, customer_phone, customer_address, estimate_date, valid_until,
-            show_gst_breakdown, column_visibility, show_description_only,
-            notes, admin_notes, status, branch_id, items
-        } = req.body;
+        const { customer_name, customer_phone, status, branch_id, items } = req.body;
 
         // Calculate item pricing
         const processedItems = processItems(items);
-        const totals = calculateEstimateTotals(processedItems);
 
         // Number generation + both inserts run in one transaction so the FOR UPDATE
         // lock actually holds (preventing duplicate numbers under concurrency) and an
         // item-insert failure cannot leave an orphan estimate header behind.
-        const datePrefix = new Date().toISOString().split('T')[0].replace(/-/g, '');
-        let estimateNumber, estimateId;
+        let estimateNumber, estimateId, totals;
         const conn = await pool.getConnection();
         try {
             await conn.beginTransaction();
-
-            const [lastEstimate] = await conn.query(
-                'SELECT estimate_number FROM estimates WHERE estimate_number LIKE ? ORDER BY id DESC LIMIT 1 FOR UPDATE',
-                [`EST${datePrefix}%`]
-            );
-
-            if (lastEstimate.length > 0) {
-                const lastNum = parseInt(lastEstimate[0].estimate_number.slice(-4));
-                estimateNumber = `EST${datePrefix}${String(lastNum + 1).padStart(4, '0')}`;
-            } else {
-                estimateNumber = `EST${datePrefix}0001`;
-            }
-
-            const [result] = await conn.query(
-                `INSERT INTO estimates (
-                    estimate_number, customer_name, customer_phone, customer_address,
-                    estimate_date, valid_until, branch_id,
-                    subtotal, gst_amount, grand_total,
-                    total_markup, total_discount, total_labor,
-                    show_gst_breakdown, column_visibility, show_description_only,
-                    notes, admin_notes, status, created_by
-                ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
-                [
-                    estimateNumber, customer_name, customer_phone, customer_address,
-                    estimate_date, valid_until || null, branch_id || null,
-                    totals.subtotal, totals.gst_amount, totals.grand_total,
-                    totals.total_markup, totals.total_discount, totals.total_labor,
-                    show_gst_breakdown ? 1 : 0, column_visibility || null, show_description_only ? 1 : 0,
-                    notes || null, admin_notes || null, status || 'draft',
-                    req.user ? req.user.id : 1
-                ]
-            );
-
-            estimateId = result.insertId;
-
-            // Insert items
-            if (processedItems.length > 0) {
-                await conn.query(ITEM_INSERT_SQL, [buildItemValues(estimateId, processedItems)]);
-            }
-
+            ({ estimateId, estimateNumber, totals } = await createEstimateRecord(
+                conn, req.body, processedItems, req.user ? req.user.id : null
+            ));
             await conn.commit();
         } catch (txErr) {
             await conn.rollback();
@@ -1056,10 +1087,14 @@ router.put('/:id', requirePermission('estimates', 'edit'), async (req, res) => {
 
         // Header update + item replace run in one transaction so a failed re-insert
         // cannot leave the estimate with all its items soft-deleted (data loss).
+        // The revision snapshot rides the same transaction.
+        let revisionNo;
         const conn = await pool.getConnection();
         try {
             await conn.beginTransaction();
 
+            await revisions.ensureBaseline(conn, estimateId, req.user.id);
+
             await conn.query(
                 `UPDATE estimates SET
                     customer_name = ?, customer_phone = ?, customer_address = ?,
@@ -1087,6 +1122,8 @@ router.put('/:id', requirePermission('estimates', 'edit'), async (req, res) => {
                 await conn.query(ITEM_INSERT_SQL, [buildItemValues(estimateId, processedItems)]);
             }
 
+            revisionNo = await revisions.snapshot(conn, estimateId, { source: 'update', userId: req.user.id });
+
             await conn.commit();
         } catch (txErr) {
             await conn.rollback();
@@ -1106,10 +1143,11 @@ router.put('/:id', requirePermission('estimates', 'edit'), async (req, res) => {
                     grand_total: totals.grand_total,
                 },
                 items: processedItems,
+                revision_no: revisionNo,
             },
         });
 
-        res.json({ success: true, message: 'Estimate updated successfully' });
+        res.json({ success: true, revision_no: revisionNo, message: 'Estimate updated successfully' });
     } catch (err) {
         console.error('Update estimate error:', err);
         res.status(500).json({ error: err.message });
@@ -1169,7 +1207,6 @@ router.patch('/:id/status', requirePermission('estimates', 'edit'), async (req,
         const estimateId = req.params.id;
 
         // Validate status against the known workflow set (reject arbitrary/garbage values)
-        const ALLOWED_STATUSES = ['draft', 'sent', 'pending_approval', 'approved', 'rejected', 'converted', 'expired'];
         if (!status || !ALLOWED_STATUSES.includes(status)) {
             return res.status(400).json({ error: 'Invalid status value' });
         }
@@ -1182,21 +1219,7 @@ router.patch('/:id/status', requirePermission('estimates', 'edit'), async (req,
 
         const oldStatus = current[0].status;
 
-        const setClauses = ['status = ?', 'last_updated_at = NOW()'];
-        const params = [status];
-
-        if (status === 'approved') {
-            setClauses.push('approved_by_admin_id = ?', 'approved_at = NOW()');
-            params.push(req.user.id);
-        }
-
-        params.push(estimateId);
-        await pool.query(`UPDATE estimates SET ${setClauses.join(', ')} WHERE id = ?`, params);
-
-        await pool.query(
-            'INSERT INTO estimate_status_history (estimate_id, old_status, new_status, changed_by_user_id, reason, notes) VALUES (?, ?, ?, ?, ?, ?)',
-            [estimateId, oldStatus, status, req.user.id, reason || null, notes || null]
-        );
+        await applyStatus(pool, { estimateId, oldStatus, status, userId: req.user.id, reason, notes });
 
         await audit.record(req, {
             action: 'estimate.status.change',
@@ -1294,6 +1317,141 @@ router.get('/:id/history', requirePermission('estimates', 'view'), async (req, r
     }
 });
 
+// ========================================
+// REVISIONS — every save is a numbered snapshot (services/estimate-revisions.js)
+// ========================================
+async function loadEstimateForRevisions(req, res) {
+    const [rows] = await pool.query('SELECT * FROM estimates WHERE id = ?', [req.params.id]);
+    if (!rows.length) {
+        res.status(404).json({ error: 'Estimate not found' });
+        return null;
+    }
+    if (!estimateBranchAllowed(req, rows[0].branch_id)) {
+        res.status(403).json({ error: 'Not authorized for this estimate' });
+        return null;
+    }
+    return rows[0];
+}
+
+function revisionError(res, err, label) {
+    if (err.code === 'REVISION_NOT_FOUND') return res.status(404).json({ error: err.message });
+    console.error(label, err);
+    return res.status(500).json({ error: err.message });
+}
+
+router.get('/:id/revisions', requirePermission('estimates', 'view'), async (req, res) => {
+    try {
+        const estimate = await loadEstimateForRevisions(req, res);
+        if (!estimate) return;
+        const list = await revisions.listRevisions(pool, estimate.id);
+        res.json({ success: true, current_revision: estimate.current_revision || 0, revisions: list });
+    } catch (err) {
+        revisionError(res, err, 'List revisions error:');
+    }
+});
+
+// GET /:id/revisions/diff?from=1&to=3 — `to` defaults to the current revision,
+// `from` to the one before it.
+router.get('/:id/revisions/diff', requirePermission('estimates', 'view'), async (req, res) => {
+    try {
+        const estimate = await loadEstimateForRevisions(req, res);
+        if (!estimate) return;
+        const to = req.query.to ? parseInt(req.query.to, 10) : Number(estimate.current_revision) || 0;
+        const from = req.query.from ? parseInt(req.query.from, 10) : to - 1;
+        if (!(from > 0) || !(to > 0) || from === to) {
+            return res.status(400).json({ error: 'from and to must be two different revision numbers' });
+        }
+        const [a, b] = await Promise.all([
+            revisions.getRevision(pool, estimate.id, from),
+            revisions.getRevision(pool, estimate.id, to)
+        ]);
+        res.json({ success: true, diff: revisions.diffRevisions(a, b) });
+    } catch (err) {
+        revisionError(res, err, 'Diff revisions error:');
+    }
+});
+
+router.get('/:id/revisions/:rev', requirePermission('estimates', 'view'), async (req, res) => {
+    try {
+        const estimate = await loadEstimateForRevisions(req, res);
+        if (!estimate) return;
+        const revision = await revisions.getRevision(pool, estimate.id, parseInt(req.params.rev, 10));
+        res.json({ success: true, revision });
+    } catch (err) {
+        revisionError(res, err, 'Get revision error:');
+    }
+});
+
+// Revert restores the revision's header and lines exactly as priced then, and
+// records the result as a new revision — history is never rewritten.
+router.post('/:id/revisions/:rev/revert', requirePermission('estimates', 'edit'), async (req, res) => {
+    try {
+        const estimate = await loadEstimateForRevisions(req, res);
+        if (!estimate) return;
+        if (estimate.status === 'converted' || estimate.billing_invoice_id) {
+            return res.status(409).json({ error: 'This estimate has been converted/paid and can no longer be edited' });
+        }
+        const target = await revisions.getRevision(pool, estimate.id, parseInt(req.params.rev, 10));
+        if (target.revision_no === Number(estimate.current_revision)) {
+            return res.status(400).json({ error: 'The estimate is already at this revision' });
+        }
+        const h = target.header;
+
+        let revisionNo;
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+
+            await conn.query(
+                `UPDATE estimates SET
+                    customer_name = ?, customer_phone = ?, customer_address = ?,
+                    estimate_date = ?, valid_until = ?,
+                    subtotal = ?, gst_amount = ?, grand_total = ?,
+                    total_markup = ?, total_discount = ?, total_labor = ?,
+                    show_gst_breakdown = ?, column_visibility = ?, show_description_only = ?,
+                    notes = ?, admin_notes = ?,
+                    last_updated_at = NOW()
+                WHERE id = ?`,
+                [
+                    h.customer_name, h.customer_phone, h.customer_address,
+                    h.estimate_date, h.valid_until,
+                    h.subtotal, h.gst_amount, h.grand_total,
+                    h.total_markup, h.total_discount, h.total_labor,
+                    h.show_gst_breakdown ? 1 : 0, h.column_visibility, h.show_description_only ? 1 : 0,
+                    h.notes, h.admin_notes, estimate.id
+                ]
+            );
+            await conn.query('UPDATE estimate_items SET deleted_at = NOW() WHERE estimate_id = ? AND deleted_at IS NULL', [estimate.id]);
+            if (target.items.length > 0) {
+                await conn.query(ITEM_INSERT_SQL, [buildItemValues(estimate.id, target.items)]);
+            }
+
+            revisionNo = await revisions.snapshot(conn, estimate.id, {
+                source: 'revert', userId: req.user.id, revertedFrom: target.revision_no
+            });
+
+            await conn.commit();
+        } catch (txErr) {
+            await conn.rollback();
+            throw txErr;
+        } finally {
+            conn.release();
+        }
+
+        await audit.record(req, {
+            action: 'estimate.revert',
+            entity_type: 'estimate',
+            entity_id: estimate.id,
+            before: { revision_no: estimate.current_revision, grand_total: estimate.grand_total },
+            after: { revision_no: revisionNo, reverted_from: target.revision_no, grand_total: h.grand_total },
+        });
+
+        res.json({ success: true, revision_no: revisionNo, message: `Estimate restored to revision ${target.revision_no}` });
+    } catch (err) {
+        revisionError(res, err, 'Revert revision error:');
+    }
+});
+
 // ========================================
 // CONVERT APPROVED ESTIMATE → BILLING INVOICE (D2 fix)
 // ========================================
@@ -1384,4 +1542,4 @@ router.post('/:id/convert-to-invoice', requirePermission('estimates', 'edit'), a
 });
 
 // Exported for unit testing (pure functions, no DB). See tests/unit/estimate-pricing.test.js
-module.exports = { router, setPool, calculateItemPricing, calculateEstimateTotals };
+module.exports = { router, setPool, calculateItemPricing, calculateEstimateTotals, processItems, createEstimateRecord };
@@ -14,6 +14,9 @@
  *                      (approved/paid withdrawals) — a deductible expense.
  *   /profitability   — month summary: actual sales − cost basis − commission
  *                      − staff salary = indicative net.
+ *   /gstr1           — the /filing data as GSTN offline-tool GSTR-1 JSON
+ *                      (carry-forward applied) + a validation report;
+ *                      /gstr1/download serves either as a file.
  *
  * Sales lines come from branch_item_sales (the reorder-intelligence invoice
  * line sync; zoho_invoices.line_items is never populated by the header sync).
@@ -22,6 +25,8 @@ const express = require('express');
 const router = express.Router();
 const { requirePermission } = require('../middleware/permissionMiddleware');
 const zohoAPI = require('../services/zoho-api');
+const { getBranding } = require('../services/branding');
+const gstr1Export = require('../services/gstr1-export');
 
 let pool;
 function setPool(p) { pool = p; }
@@ -358,6 +363,15 @@ router.delete('/carry-forward/:zohoInvoiceId', requirePermission('zoho', 'edit')
     }
 });
 
+/** Fetch an invoice's line items from Zoho and cache them on zoho_invoices. */
+async function fetchInvoiceLines(zohoInvoiceId, caller) {
+    const resp = await zohoAPI.getInvoice(zohoInvoiceId, { caller, priority: 'high' });
+    const lines = (resp && resp.invoice && resp.invoice.line_items) || [];
+    await pool.query('UPDATE zoho_invoices SET line_items = ? WHERE zoho_invoice_id = ?',
+        [JSON.stringify(lines), zohoInvoiceId]);
+    return lines;
+}
+
 // ── B2B ITEM-LEVEL DETAIL (HSN-wise, for GSTR-1 invoice annexure) ───────────
 // Per-invoice line items live only in Zoho (the header sync never stores
 // them) — fetched on demand via the Zoho API and cached into
@@ -408,15 +422,12 @@ router.get('/b2b-items', requirePermission('zoho', 'view'), async (req, res) =>
         for (const inv of invoices) {
             let lines = null;
             if (inv.line_items) {
-                try { lines = JSON.parse(inv.line_items); } catch (e) { lines = null; }
+                try { lines = JSON.parse(inv.line_items); } catch { lines = null; }
             }
             if (!lines) {
                 try {
-                    const resp = await zohoAPI.getInvoice(inv.zoho_invoice_id, { caller: 'gst-b2b-items', priority: 'high' });
-                    lines = (resp && resp.invoice && resp.invoice.line_items) || [];
+                    lines = await fetchInvoiceLines(inv.zoho_invoice_id, 'gst-b2b-items');
                     fetchedFromZoho++;
-                    await pool.query('UPDATE zoho_invoices SET line_items = ? WHERE zoho_invoice_id = ?',
-                        [JSON.stringify(lines), inv.zoho_invoice_id]);
                 } catch (e) {
                     out.push({
                         invoice_number: inv.invoice_number, invoice_date: inv.invoice_date,
@@ -479,6 +490,181 @@ router.get('/b2b-items', requirePermission('zoho', 'view'), async (req, res) =>
     }
 });
 
+// ── GSTR-1 JSON EXPORT (GSTN offline-tool schema) ───────────────────────────
+// Same invoice selection as /filing (carry-forward applied both ways), with
+// the HSN summary corrected for carried invoices' lines. The validation
+// report lists everything left out of the JSON and why.
+
+/** Line items of an invoice row, from the cache or fetched once from Zoho. */
+async function invoiceLinesFor(inv, caller) {
+    if (inv.line_items) {
+        try { return JSON.parse(inv.line_items); } catch { /* refetch */ }
+    }
+    return fetchInvoiceLines(inv.zoho_invoice_id, caller);
+}
+
+/** Zoho line items → HSN-summary lines, HSN back-filled from the items map. */
+async function hsnLinesFor(lines) {
+    const missing = [...new Set(lines.filter(li => !li.hsn_or_sac && li.item_id).map(li => li.item_id))];
+    let hsnById = {};
+    if (missing.length) {
+        const [rows] = await pool.query(
+            `SELECT zoho_item_id, zoho_hsn_or_sac FROM zoho_items_map
+             WHERE zoho_item_id IN (?) AND COALESCE(zoho_hsn_or_sac, '') <> ''`,
+            [missing]
+        );
+        hsnById = Object.fromEntries(rows.map(r => [r.zoho_item_id, r.zoho_hsn_or_sac]));
+    }
+    return lines.map(li => ({
+        hsn: li.hsn_or_sac || hsnById[li.item_id] || '',
+        quantity: parseFloat(li.quantity) || 0,
+        item_total: parseFloat(li.item_total) || 0,
+    }));
+}
+
+async function buildMonthGstr1(month) {
+    const [from, to] = monthRange(month);
+    const branding = await getBranding(pool);
+    const issues = [];
+
+    const [invoices] = await pool.query(
+        `SELECT zi.zoho_invoice_id, zi.invoice_number, zi.invoice_date, zi.sub_total, zi.tax_total,
+                zi.total, zi.line_items, b.state AS branch_state,
+                TRIM(COALESCE(zcm.zoho_gst_no, '')) AS gstin, NULL AS carried_from
+         FROM zoho_invoices zi
+         LEFT JOIN zoho_customers_map zcm ON zcm.zoho_contact_id = zi.zoho_customer_id
+         LEFT JOIN branches b ON b.id = zi.local_branch_id
+         LEFT JOIN gst_filing_adjustments adj ON adj.zoho_invoice_id = zi.zoho_invoice_id
+         WHERE zi.invoice_date BETWEEN ? AND ? AND zi.status <> 'void'
+           AND (adj.zoho_invoice_id IS NULL OR adj.filed_in_month = ?)
+         ORDER BY zi.invoice_date, zi.invoice_number`,
+        [from, to, month]
+    );
+    const [carriedIn] = await pool.query(
+        `SELECT zi.zoho_invoice_id, zi.invoice_number, zi.invoice_date, zi.sub_total, zi.tax_total,
+                zi.total, zi.line_items, b.state AS branch_state,
+                TRIM(COALESCE(zcm.zoho_gst_no, '')) AS gstin, adj.original_month AS carried_from
+         FROM gst_filing_adjustments adj
+         JOIN zoho_invoices zi ON zi.zoho_invoice_id = adj.zoho_invoice_id
+         LEFT JOIN zoho_customers_map zcm ON zcm.zoho_contact_id = zi.zoho_customer_id
+         LEFT JOIN branches b ON b.id = zi.local_branch_id
+         WHERE adj.filed_in_month = ? AND zi.status <> 'void'
+           AND zi.invoice_date NOT BETWEEN ? AND ?
+         ORDER BY zi.invoice_date, zi.invoice_number`,
+        [month, from, to]
+    );
+    const [carriedOut] = await pool.query(
+        `SELECT zi.zoho_invoice_id, zi.invoice_number, zi.line_items, adj.filed_in_month
+         FROM gst_filing_adjustments adj
+         JOIN zoho_invoices zi ON zi.zoho_invoice_id = adj.zoho_invoice_id
+         WHERE zi.invoice_date BETWEEN ? AND ? AND zi.status <> 'void' AND adj.filed_in_month <> ?`,
+        [from, to, month]
+    );
+
+    // Carried invoices' lines move their HSN value between months
+    const linesOf = async (list, direction) => {
+        const out = [];
+        for (const inv of list) {
+            try {
+                out.push(...await hsnLinesFor(await invoiceLinesFor(inv, 'gst-gstr1')));
+            } catch (e) {
+                issues.push({
+                    severity: 'error', code: 'carry_lines_unavailable', section: 'hsn', ref: inv.invoice_number,
+                    message: `Could not load lines of carried-${direction} invoice from Zoho (${e.message}) — HSN summary is not adjusted for it`,
+                });
+            }
+        }
+        return out;
+    };
+    const outLines = await linesOf(carriedOut, 'out');
+    const inLines = await linesOf(carriedIn, 'in');
+
+    const [hsnRows] = await pool.query(
+        `SELECT COALESCE(NULLIF(zim.zoho_hsn_or_sac, ''), '(no HSN)') AS hsn,
+                MAX(zim.zoho_tax_percentage) AS tax_pct,
+                MAX(zim.zoho_unit) AS unit,
+                MAX(zim.zoho_category_name) AS description,
+                SUM(bis.qty_sold) AS qty,
+                SUM(bis.revenue) AS taxable_value
+         FROM branch_item_sales bis
+         LEFT JOIN zoho_items_map zim ON zim.zoho_item_id = bis.zoho_item_id
+         WHERE bis.sale_date BETWEEN ? AND ?
+         GROUP BY COALESCE(NULLIF(zim.zoho_hsn_or_sac, ''), '(no HSN)')
+         ORDER BY taxable_value DESC`,
+        [from, to]
+    );
+    const hsn = gstr1Export.applyCarryToHsn(hsnRows, outLines, inLines)
+        .map(h => ({ ...h, tax_pct: h.tax_pct != null ? h.tax_pct : GST_RATE * 100 }));
+
+    const [creditNotes] = await pool.query(
+        `SELECT cn.creditnote_number, cn.date, cn.total, TRIM(COALESCE(zcm.zoho_gst_no, '')) AS gstin
+         FROM zoho_credit_notes cn
+         LEFT JOIN zoho_customers_map zcm ON zcm.zoho_contact_id = cn.customer_id
+         WHERE cn.date BETWEEN ? AND ? AND COALESCE(cn.status, '') <> 'void'
+         ORDER BY cn.date, cn.creditnote_number`,
+        [from, to]
+    );
+    const [docs] = await pool.query(
+        'SELECT invoice_number, status FROM zoho_invoices WHERE invoice_date BETWEEN ? AND ?',
+        [from, to]
+    );
+
+    const toInput = inv => {
+        const t = deriveTax(inv.total, inv.sub_total, inv.tax_total);
+        let taxNames = [];
+        if (inv.line_items) {
+            try { taxNames = (JSON.parse(inv.line_items) || []).map(li => li.tax_name).filter(Boolean); } catch { taxNames = []; }
+        }
+        return {
+            invoice_number: inv.invoice_number, invoice_date: inv.invoice_date, total: inv.total,
+            taxable: t.taxable, rate_pct: GST_RATE * 100, gstin: inv.gstin,
+            branch_state: inv.branch_state, tax_names: taxNames, carried_from: inv.carried_from,
+        };
+    };
+
+    return gstr1Export.buildGstr1({
+        month,
+        supplierGstin: branding.business_gst,
+        invoices: [...invoices, ...carriedIn].map(toInput),
+        creditNotes: creditNotes.map(cn => ({ ...cn, rate_pct: GST_RATE * 100 })),
+        hsn,
+        docs: docs.map(d => ({ number: d.invoice_number, void: d.status === 'void' })),
+        issues,
+    });
+}
+
+router.get('/gstr1', requirePermission('zoho', 'view'), async (req, res) => {
+    try {
+        const result = await buildMonthGstr1(req.query.month);
+        res.json({
+            success: true, month: req.query.month, gstr1: result.gstr1,
+            validation: { summary: result.summary, issues: result.issues },
+        });
+    } catch (err) {
+        console.error('GST gstr1 error:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
+router.get('/gstr1/download', requirePermission('zoho', 'view'), async (req, res) => {
+    try {
+        const file = req.query.file === 'validation' ? 'validation' : 'json';
+        const result = await buildMonthGstr1(req.query.month);
+        const base = `GSTR1_${result.gstr1.gstin || 'NOGSTIN'}_${result.gstr1.fp}`;
+        if (file === 'json') {
+            res.setHeader('Content-Type', 'application/json');
+            res.setHeader('Content-Disposition', `attachment; filename="${base}.json"`);
+            return res.send(JSON.stringify(result.gstr1));
+        }
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${base}_validation.csv"`);
+        res.send('\uFEFF' + gstr1Export.validationCsv(result.issues));
+    } catch (err) {
+        console.error('GST gstr1 download error:', err);
+        res.status(400).json({ success: false, message: err.message });
+    }
+});
+
 // ── INTERNAL COST ANALYSIS (not for filing) ─────────────────────────────────
 
 router.get('/cost-analysis', requirePermission('zoho', 'view'), async (req, res) => {
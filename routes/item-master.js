@@ -10,6 +10,10 @@ const { validate, validateQuery } = require('../middleware/validate');
 const { z } = require('zod');
 const { execFile } = require('child_process');
 const { uploadDplPdf, uploadPriceList } = require('../config/uploads');
+const approvals = require('../services/approval-workflow');
+const scheduledPrices = require('../services/scheduled-prices');
+const { todayIST } = require('../services/dpl-impact');
+const { toDateString } = require('../services/zoho-payment-mapper');
 
 let pool;
 function setPool(p) { pool = p; }
@@ -49,6 +53,10 @@ function calculateSalesPrice(dpl) {
     return Math.ceil(dpl * 1.18 * 1.10);
 }
 
+// Rows from before effective dates (20261019_scheduled_price_changes) fall
+// back to the day they were written.
+const EFFECTIVE_DATE_SQL = 'COALESCE(dph.effective_date, DATE(dph.changed_at))';
+
 // ─── Zod Schemas ────────────────────────────────────────────────────────
 
 const itemsQuerySchema = z.object({
@@ -88,13 +96,18 @@ const generateNamesSchema = z.object({
     dry_run: z.boolean().optional().default(true)
 });
 
+// `new_dpl` / `dpl_version_id` are the names admin-item-master.html sends.
+// effective_date after today (IST) schedules the change instead of applying it.
 const dplApplySchema = z.object({
     items: z.array(z.object({
         zoho_item_id: z.string().or(z.number()),
-        dpl: z.number().positive(),
+        dpl: z.number().positive().optional(),
+        new_dpl: z.number().positive().optional(),
         version_id: z.number().optional()
-    })).min(1).max(500),
-    version_id: z.number().optional()
+    }).refine(i => i.dpl != null || i.new_dpl != null, { message: 'dpl is required' })).min(1).max(500),
+    version_id: z.number().optional(),
+    dpl_version_id: z.number().optional(),
+    effective_date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).optional()
 });
 
 const dplVersionSchema = z.object({
@@ -114,6 +127,9 @@ const priceHistoryQuerySchema = z.object({
     brand: z.string().optional(),
     from_date: z.string().optional(),
     to_date: z.string().optional(),
+    start_date: z.string().optional(),
+    end_date: z.string().optional(),
+    status: z.enum(['applied', 'scheduled', 'cancelled', 'all']).optional(),
     search: z.string().optional()
 });
 
@@ -567,10 +583,28 @@ router.post('/dpl-match', requireAuth, async (req, res) => {
     }
 });
 
-// POST /dpl-apply — Apply DPL prices to items
+// POST /dpl-apply — Apply DPL prices to items, or schedule them for a later
+// effective date (body effective_date, else the DPL version's date)
 router.post('/dpl-apply', requireAuth, validate(dplApplySchema), async (req, res) => {
     try {
-        const { items, version_id } = req.body;
+        const version_id = req.body.version_id || req.body.dpl_version_id || null;
+        const items = req.body.items.map(i => ({ ...i, dpl: i.dpl != null ? i.dpl : i.new_dpl }));
+
+        let effectiveDate = scheduledPrices.parseEffectiveDate(req.body.effective_date);
+        if (!effectiveDate && version_id) {
+            const [versions] = await pool.query('SELECT effective_date FROM dpl_versions WHERE id = ?', [version_id]);
+            if (versions.length && versions[0].effective_date) {
+                effectiveDate = toDateString(versions[0].effective_date);
+            }
+        }
+        const today = todayIST();
+        if (effectiveDate && effectiveDate > today) {
+            const scheduled = await scheduledPrices.scheduleItemPrices(pool, items, {
+                effective_date: effectiveDate, version_id, userId: req.user.id
+            });
+            return res.json({ success: true, applied: 0, scheduled, effective_date: effectiveDate });
+        }
+
         let applied = 0;
 
         for (const item of items) {
@@ -588,8 +622,8 @@ router.post('/dpl-apply', requireAuth, validate(dplApplySchema), async (req, res
 
             // Log to price history
             await pool.query(
-                `INSERT INTO dpl_price_history (zoho_item_id, dpl_version_id, old_dpl, new_dpl, old_purchase_rate, new_purchase_rate, old_sales_rate, new_sales_rate, changed_by)
-                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                `INSERT INTO dpl_price_history (zoho_item_id, dpl_version_id, old_dpl, new_dpl, old_purchase_rate, new_purchase_rate, old_sales_rate, new_sales_rate, changed_by, effective_date)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
                 [
                     item.zoho_item_id,
                     item.version_id || version_id || null,
@@ -599,7 +633,8 @@ router.post('/dpl-apply', requireAuth, validate(dplApplySchema), async (req, res
                     newPurchase,
                     oldRow.zoho_rate || 0,
                     newSales,
-                    req.user.id
+                    req.user.id,
+                    today
                 ]
             );
 
@@ -612,13 +647,51 @@ router.post('/dpl-apply', requireAuth, validate(dplApplySchema), async (req, res
             applied++;
         }
 
-        res.json({ success: true, applied });
+        res.json({ success: true, applied, effective_date: today });
     } catch (err) {
+        if (err.code === 'INVALID_EFFECTIVE_DATE') return res.status(400).json({ success: false, error: err.message });
         console.error('DPL apply error:', err);
         res.status(500).json({ error: 'Failed to apply DPL prices' });
     }
 });
 
+// GET /price-schedule — Price changes waiting for their effective date
+// (scheduled DPL catalog simulations + scheduled item-master changes)
+router.get('/price-schedule', requireAuth, requirePermission('products', 'manage'), async (req, res) => {
+    try {
+        const data = await scheduledPrices.listUpcoming(pool);
+        res.json({ success: true, data });
+    } catch (err) {
+        console.error('Price schedule list error:', err);
+        res.status(500).json({ error: 'Failed to load scheduled price changes' });
+    }
+});
+
+// DELETE /price-schedule/:id — Cancel one scheduled item change
+router.delete('/price-schedule/:id', requireAuth, requirePermission('products', 'manage'), async (req, res) => {
+    try {
+        await scheduledPrices.cancelScheduled(pool, req.params.id);
+        res.json({ success: true });
+    } catch (err) {
+        if (err.code === 'NOT_SCHEDULED') return res.status(404).json({ success: false, error: err.message });
+        console.error('Price schedule cancel error:', err);
+        res.status(500).json({ error: 'Failed to cancel scheduled price change' });
+    }
+});
+
+// POST /price-schedule/run — Switch everything due today now (the 00:00 IST
+// job, for a missed night or a same-day date)
+router.post('/price-schedule/run', requireAuth, requirePermission('products', 'manage'), async (req, res) => {
+    try {
+        const scheduler = require('../services/scheduled-prices-scheduler');
+        const result = await scheduler.runDaily({ userId: req.user.id });
+        res.json({ success: true, data: result });
+    } catch (err) {
+        console.error('Price schedule run error:', err);
+        res.status(500).json({ error: 'Failed to run scheduled price changes' });
+    }
+});
+
 // ========================================================================
 // NOTEBOOKLM ENDPOINT
 // ========================================================================
@@ -656,10 +729,15 @@ router.post('/dpl-notebooklm', requireAuth, validate(notebookLmSchema), async (r
 // PRICE HISTORY ENDPOINTS
 // ========================================================================
 
-// GET /price-history — List price change history
+// GET /price-history — List price change history, dated by the day each
+// price took effect (scheduled changes show ahead of their day; cancelled
+// ones only with status=cancelled|all)
 router.get('/price-history', requireAuth, validateQuery(priceHistoryQuerySchema), async (req, res) => {
     try {
-        const { brand, from_date, to_date, search } = req.query;
+        const { brand, search } = req.query;
+        const from_date = req.query.from_date || req.query.start_date;
+        const to_date = req.query.to_date || req.query.end_date;
+        const status = req.query.status;
         const page = Number(req.query.page) || 1;
         const limit = Number(req.query.limit) || 50;
         const offset = (page - 1) * limit;
@@ -672,12 +750,18 @@ router.get('/price-history', requireAuth, validateQuery(priceHistoryQuerySchema)
             params.push(brand);
         }
         if (from_date) {
-            where.push('dph.changed_at >= ?');
+            where.push(`${EFFECTIVE_DATE_SQL} >= ?`);
             params.push(from_date);
         }
         if (to_date) {
-            where.push('dph.changed_at <= ?');
-            params.push(to_date + ' 23:59:59');
+            where.push(`${EFFECTIVE_DATE_SQL} <= ?`);
+            params.push(to_date);
+        }
+        if (status && status !== 'all') {
+            where.push('dph.status = ?');
+            params.push(status);
+        } else if (!status) {
+            where.push("dph.status <> 'cancelled'");
         }
         if (search) {
             where.push('(zim.zoho_item_name LIKE ? OR zim.zoho_sku LIKE ?)');
@@ -696,12 +780,15 @@ router.get('/price-history', requireAuth, validateQuery(priceHistoryQuerySchema)
         );
 
         const [rows] = await pool.query(
-            `SELECT dph.*, zim.zoho_item_name, zim.zoho_sku, zim.zoho_brand,
-                    dv.brand AS version_brand, dv.effective_date AS version_date             FROM dpl_price_history dph
+            `SELECT dph.*, ${EFFECTIVE_DATE_SQL} AS effective_date,
+                    zim.zoho_item_name, zim.zoho_sku, zim.zoho_brand,
+                    zim.zoho_item_name AS item_name, zim.zoho_sku AS sku, zim.zoho_brand AS brand,
+                    dv.brand AS version_brand, dv.effective_date AS version_date, dv.version_label
+             FROM dpl_price_history dph
              JOIN zoho_items_map zim ON dph.zoho_item_id = zim.zoho_item_id
              LEFT JOIN dpl_versions dv ON dph.dpl_version_id = dv.id
              WHERE ${whereClause}
-             ORDER BY dph.changed_at DESC
+             ORDER BY ${EFFECTIVE_DATE_SQL} DESC, dph.changed_at DESC
              LIMIT ? OFFSET ?`,
             [...params, limit, offset]
         );
@@ -728,10 +815,12 @@ router.get('/price-history', requireAuth, validateQuery(priceHistoryQuerySchema)
 router.get('/price-history/:itemId', requireAuth, async (req, res) => {
     try {
         const [rows] = await pool.query(
-            `SELECT dph.*, dv.brand AS version_brand, dv.effective_date AS version_date             FROM dpl_price_history dph
+            `SELECT dph.*, ${EFFECTIVE_DATE_SQL} AS effective_date,
+                    dv.brand AS version_brand, dv.effective_date AS version_date
+             FROM dpl_price_history dph
              LEFT JOIN dpl_versions dv ON dph.dpl_version_id = dv.id
-             WHERE dph.zoho_item_id = ?
-             ORDER BY dph.changed_at DESC`,
+             WHERE dph.zoho_item_id = ? AND dph.status <> 'cancelled'
+             ORDER BY ${EFFECTIVE_DATE_SQL} DESC, dph.changed_at DESC`,
             [req.params.itemId]
         );
         res.json({ success: true, data: rows });
@@ -894,6 +983,11 @@ router.post('/pending-requests', requireAuth, async (req, res) => {
        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'pending')`,
       [req.user.id, d.brand, d.product_name, d.category, d.category_code, d.base_type || null, d.color || null, d.pack_size, d.unit || 'nos', d.dpl, purchase_rate, sales_rate, d.hsn_sac || null, d.zoho_tax_id || null, d.description || null]
     );
+    await approvals.submitQuietly({
+      entityType: 'item_request', entityId: result.insertId, amount: Number(d.dpl),
+      branchId: req.user.branch_id || null, requestedBy: req.user.id,
+      title: `New product: ${d.brand} ${d.product_name} ${d.pack_size}`
+    });
     res.json({ success: true, id: result.insertId });
   } catch (err) {
     console.error('pending-request create error:', err);
@@ -939,6 +1033,18 @@ router.post('/pending-requests/:id/approve', requireAuth, requirePermission('pro
     if (!rows.length) return res.status(404).json({ success: false, error: 'Not found' });
     const r = rows[0];
     if (r.status !== 'pending') return res.status(400).json({ success: false, error: `Already ${r.status}` });
+    // Multi-stage chain (services/approval-workflow.js): only the final step pushes to Zoho
+    let approval;
+    try {
+      approval = await approvals.decide(req.user, {
+        entityType: 'item_request', entityId: id, decision: 'approve', note: req.body.note || null,
+        start: { amount: Number(r.dpl), requestedBy: r.requester_user_id, title: `New product: ${r.brand} ${r.product_name} ${r.pack_size}` }
+      });
+    } catch (de) {
+      if (!approvals.DECISION_ERROR_STATUS[de.code]) throw de;
+      return res.status(approvals.DECISION_ERROR_STATUS[de.code]).json({ success: false, code: de.code, error: de.message });
+    }
+    if (!approval.final) return res.json({ success: true, pending: true, message: approval.message, approval });
     // Build Zoho item payload — Zoho Items is master
     const itemName = `${r.category} ${r.brand} ${r.pack_size}${r.base_type ? ' ' + r.base_type : ''}${r.color ? ' ' + r.color : ''} (${r.product_name})`.trim();
     const payload = {
@@ -986,6 +1092,15 @@ router.post('/pending-requests/:id/reject', requireAuth, requirePermission('prod
     const [rows] = await pool.query('SELECT * FROM pending_product_requests WHERE id = ?', [id]);
     if (!rows.length) return res.status(404).json({ success: false, error: 'Not found' });
     if (rows[0].status !== 'pending') return res.status(400).json({ success: false, error: `Already ${rows[0].status}` });
+    try {
+      await approvals.decide(req.user, {
+        entityType: 'item_request', entityId: id, decision: 'reject', note: reason,
+        start: { amount: Number(rows[0].dpl), requestedBy: rows[0].requester_user_id }
+      });
+    } catch (de) {
+      if (!approvals.DECISION_ERROR_STATUS[de.code]) throw de;
+      return res.status(approvals.DECISION_ERROR_STATUS[de.code]).json({ success: false, code: de.code, error: de.message });
+    }
     await pool.query(`UPDATE pending_product_requests SET status='rejected', rejected_reason=?, approved_by=?, approved_at=NOW() WHERE id=?`, [reason, req.user.id, id]);
     res.json({ success: true });
   } catch (err) {
@@ -0,0 +1,647 @@
+/**
+ * Leave Management Routes
+ * Leave types, per-role policies, holiday calendars, balances and requests.
+ * Mounted at /api/leave. Rules live in services/leave.js.
+ *
+ *   GET    /types                    — leave types
+ *   POST   /types, PUT /types/:id    — add / edit a type (attendance.manage)
+ *   GET    /policies                 — accrual + carry-forward per role
+ *   PUT    /policies                 — set a role's policy for a type (attendance.manage)
+ *   GET    /holidays                 — a year's holidays (?year, ?branch_id)
+ *   POST   /holidays, DELETE /holidays/:id (attendance.manage)
+ *   GET    /my-balance               — own balances (?year)
+ *   GET    /balances                 — staff balances (attendance.approve)
+ *   POST   /balances/adjust          — manual +/- days (attendance.manage)
+ *   POST   /accrue                   — credit a month's accrual now (attendance.manage;
+ *                                      the daily run is services/leave-accrual-scheduler.js)
+ *   POST   /requests                 — apply for leave
+ *   GET    /my-requests              — own requests
+ *   GET    /requests                 — requests to review (attendance.approve)
+ *   PUT    /requests/:id/approve     — approve (through the approval workflow)
+ *   PUT    /requests/:id/reject
+ *   PUT    /requests/:id/cancel      — own pending or not-yet-started leave; approvers any
+ *   GET    /calendar                 — team calendar: holidays + leaves in a range
+ *
+ * Staff (non full-admin) reviewers see their own branch only.
+ *
+ * Exports: { router, setPool } + requestSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, requireAuth, isFullAdmin, hasRolePermission } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const approvals = require('../services/approval-workflow');
+const notificationService = require('../services/notification-service');
+const leave = require('../services/leave');
+const { istDateString } = require('../services/zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+const canApprove = requirePermission('attendance', 'approve');
+const canManage = requirePermission('attendance', 'manage');
+
+// services/leave.js error codes → HTTP status
+const ERROR_STATUS = {
+    INVALID_DATES: 400, NO_WORKING_DAYS: 400, INVALID_TYPE: 400,
+    LEAVE_OVERLAP: 409, INSUFFICIENT_BALANCE: 409
+};
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+function getBranchFilter(req) {
+    if (isFullAdmin(req.user.role)) {
+        return req.query.branch_id ? parseInt(req.query.branch_id) : null;
+    }
+    return req.user.branch_id || null;
+}
+
+function sendError(res, err, fallback) {
+    if (ERROR_STATUS[err.code]) {
+        return res.status(ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error(`[Leave] ${fallback}:`, err);
+    return res.status(500).json({ success: false, message: fallback });
+}
+
+async function loadRequest(db, id, lock = false) {
+    const [rows] = await db.query(
+        `SELECT lr.*, u.full_name, u.role, lt.name AS leave_type_name, lt.is_paid
+         FROM leave_requests lr
+         JOIN users u ON u.id = lr.user_id
+         JOIN leave_types lt ON lt.id = lr.leave_type_id
+         WHERE lr.id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/** Non full-admin reviewers only act on their own branch's requests. */
+function outsideBranch(req, request) {
+    return !isFullAdmin(req.user.role) && req.user.branch_id && request.branch_id && request.branch_id !== req.user.branch_id;
+}
+
+function notifyRequester(request, title, body) {
+    notificationService.send(request.user_id, {
+        type: 'leave_request', title, body,
+        data: { type: 'leave_request', request_id: request.id }
+    }).catch(() => {});
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const dateStr = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be yyyy-mm-dd');
+
+const typeSchema = z.object({
+    code: z.string().trim().min(1).max(10).transform(s => s.toUpperCase()),
+    name: z.string().trim().min(1).max(100),
+    is_paid: z.boolean().optional().default(true),
+    is_active: z.boolean().optional().default(true)
+});
+
+const policySchema = z.object({
+    role: z.string().trim().max(50).optional().nullable().transform(r => r || null),
+    leave_type_id: z.coerce.number().int().positive(),
+    monthly_accrual: z.coerce.number().min(0).max(5),
+    carry_forward_cap: z.coerce.number().min(0).max(365).optional().nullable()
+});
+
+const holidaySchema = z.object({
+    branch_id: z.coerce.number().int().positive().optional().nullable(),
+    holiday_date: dateStr,
+    name: z.string().trim().min(1).max(100)
+});
+
+const holidaysQuerySchema = z.object({
+    year: z.coerce.number().int().min(2000).max(2100).optional(),
+    branch_id: z.string().optional()
+});
+
+const yearQuerySchema = z.object({
+    year: z.coerce.number().int().min(2000).max(2100).optional(),
+    user_id: z.coerce.number().int().positive().optional(),
+    branch_id: z.string().optional()
+});
+
+const adjustSchema = z.object({
+    user_id: z.coerce.number().int().positive(),
+    leave_type_id: z.coerce.number().int().positive(),
+    year: z.coerce.number().int().min(2000).max(2100),
+    days: z.coerce.number().min(-60).max(60).refine(d => d !== 0, 'Days cannot be zero'),
+    reason: z.string().trim().min(3).max(255)
+});
+
+const accrueSchema = z.object({
+    month: z.string().regex(/^\d{4}-\d{2}$/, 'Month must be yyyy-mm').optional()
+});
+
+const requestSchema = z.object({
+    leave_type_id: z.coerce.number().int().positive(),
+    from_date: dateStr,
+    to_date: dateStr,
+    half_day_start: z.boolean().optional().default(false),
+    half_day_end: z.boolean().optional().default(false),
+    reason: z.string().trim().max(500).optional().nullable()
+});
+
+const requestsQuerySchema = z.object({
+    status: z.enum(['pending', 'approved', 'rejected', 'cancelled']).optional(),
+    user_id: z.coerce.number().int().positive().optional(),
+    branch_id: z.string().optional(),
+    limit: z.coerce.number().int().min(1).max(500).optional().default(100)
+});
+
+const reviewSchema = z.object({
+    review_notes: z.string().trim().max(500).optional().nullable()
+});
+
+const calendarQuerySchema = z.object({
+    from: dateStr,
+    to: dateStr,
+    branch_id: z.string().optional()
+});
+
+const idParamSchema = z.object({
+    id: z.coerce.number().int().positive()
+});
+
+// ═══════════════════════════════════════════
+// TYPES & POLICIES
+// ═══════════════════════════════════════════
+
+router.get('/types', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.query('SELECT * FROM leave_types ORDER BY is_active DESC, is_paid DESC, id');
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave types');
+    }
+});
+
+router.post('/types', canManage, validate(typeSchema), async (req, res) => {
+    try {
+        const { code, name, is_paid, is_active } = req.body;
+        const [ins] = await pool.query(
+            'INSERT INTO leave_types (code, name, is_paid, is_active) VALUES (?, ?, ?, ?)',
+            [code, name, is_paid ? 1 : 0, is_active ? 1 : 0]
+        );
+        auditLog.record(req, { action: 'leave.type.create', entity_type: 'leave_type', entity_id: ins.insertId, after: req.body });
+        res.json({ success: true, id: ins.insertId, message: 'Leave type added' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, code: 'TYPE_EXISTS', message: 'A leave type with this code already exists' });
+        }
+        sendError(res, error, 'Failed to add leave type');
+    }
+});
+
+router.put('/types/:id', canManage, validateParams(idParamSchema), validate(typeSchema), async (req, res) => {
+    try {
+        const [before] = await pool.query('SELECT * FROM leave_types WHERE id = ?', [req.params.id]);
+        if (!before.length) return res.status(404).json({ success: false, message: 'Leave type not found' });
+        const { code, name, is_paid, is_active } = req.body;
+        await pool.query(
+            'UPDATE leave_types SET code = ?, name = ?, is_paid = ?, is_active = ? WHERE id = ?',
+            [code, name, is_paid ? 1 : 0, is_active ? 1 : 0, req.params.id]
+        );
+        auditLog.record(req, {
+            action: 'leave.type.update', entity_type: 'leave_type', entity_id: req.params.id,
+            before: before[0], after: req.body
+        });
+        res.json({ success: true, message: 'Leave type updated' });
+    } catch (error) {
+        if (error.code === 'ER_DUP_ENTRY') {
+            return res.status(409).json({ success: false, code: 'TYPE_EXISTS', message: 'A leave type with this code already exists' });
+        }
+        sendError(res, error, 'Failed to update leave type');
+    }
+});
+
+router.get('/policies', canApprove, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT lp.*, lt.code, lt.name AS leave_type_name
+             FROM leave_policies lp JOIN leave_types lt ON lt.id = lp.leave_type_id
+             ORDER BY lp.role IS NOT NULL, lp.role, lt.id`
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave policies');
+    }
+});
+
+/** Upsert one (role, type) policy; role null = the default for every role. */
+router.put('/policies', canManage, validate(policySchema), async (req, res) => {
+    try {
+        const { role, leave_type_id, monthly_accrual, carry_forward_cap } = req.body;
+        const [existing] = await pool.query(
+            `SELECT * FROM leave_policies WHERE leave_type_id = ? AND ${role ? 'role = ?' : 'role IS NULL'} LIMIT 1`,
+            role ? [leave_type_id, role] : [leave_type_id]
+        );
+        const cap = carry_forward_cap === undefined ? null : carry_forward_cap;
+        if (existing.length) {
+            await pool.query(
+                'UPDATE leave_policies SET monthly_accrual = ?, carry_forward_cap = ?, updated_by = ? WHERE id = ?',
+                [monthly_accrual, cap, req.user.id, existing[0].id]
+            );
+        } else {
+            await pool.query(
+                `INSERT INTO leave_policies (role, leave_type_id, monthly_accrual, carry_forward_cap, updated_by)
+                 VALUES (?, ?, ?, ?, ?)`,
+                [role, leave_type_id, monthly_accrual, cap, req.user.id]
+            );
+        }
+        auditLog.record(req, {
+            action: 'leave.policy.update', entity_type: 'leave_policy', entity_id: existing.length ? existing[0].id : null,
+            before: existing[0] || null, after: req.body
+        });
+        res.json({ success: true, message: 'Leave policy saved' });
+    } catch (error) {
+        sendError(res, error, 'Failed to save leave policy');
+    }
+});
+
+// ═══════════════════════════════════════════
+// HOLIDAYS
+// ═══════════════════════════════════════════
+
+router.get('/holidays', requireAuth, validateQuery(holidaysQuerySchema), async (req, res) => {
+    try {
+        const year = req.query.year || parseInt(istDateString(new Date()).slice(0, 4), 10);
+        const branchId = getBranchFilter(req);
+        const params = [`${year}-01-01`, `${year}-12-31`];
+        let branchWhere = '';
+        if (branchId) {
+            branchWhere = ' AND (h.branch_id IS NULL OR h.branch_id = ?)';
+            params.push(branchId);
+        }
+        const [rows] = await pool.query(
+            `SELECT h.*, b.name AS branch_name FROM holidays h LEFT JOIN branches b ON b.id = h.branch_id
+             WHERE h.holiday_date BETWEEN ? AND ?${branchWhere}
+             ORDER BY h.holiday_date, h.branch_id`,
+            params
+        );
+        res.json({ success: true, year, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load holidays');
+    }
+});
+
+router.post('/holidays', canManage, validate(holidaySchema), async (req, res) => {
+    try {
+        const { branch_id, holiday_date, name } = req.body;
+        const [dup] = await pool.query(
+            `SELECT id FROM holidays WHERE holiday_date = ? AND ${branch_id ? 'branch_id = ?' : 'branch_id IS NULL'} LIMIT 1`,
+            branch_id ? [holiday_date, branch_id] : [holiday_date]
+        );
+        if (dup.length) {
+            return res.status(409).json({ success: false, code: 'HOLIDAY_EXISTS', message: 'There is already a holiday on this date' });
+        }
+        const [ins] = await pool.query(
+            'INSERT INTO holidays (branch_id, holiday_date, name, created_by) VALUES (?, ?, ?, ?)',
+            [branch_id || null, holiday_date, name, req.user.id]
+        );
+        auditLog.record(req, { action: 'leave.holiday.create', entity_type: 'holiday', entity_id: ins.insertId, after: req.body });
+        res.json({ success: true, id: ins.insertId, message: 'Holiday added' });
+    } catch (error) {
+        sendError(res, error, 'Failed to add holiday');
+    }
+});
+
+router.delete('/holidays/:id', canManage, validateParams(idParamSchema), async (req, res) => {
+    try {
+        const [before] = await pool.query('SELECT * FROM holidays WHERE id = ?', [req.params.id]);
+        if (!before.length) return res.status(404).json({ success: false, message: 'Holiday not found' });
+        await pool.query('DELETE FROM holidays WHERE id = ?', [req.params.id]);
+        auditLog.record(req, { action: 'leave.holiday.delete', entity_type: 'holiday', entity_id: req.params.id, before: before[0] });
+        res.json({ success: true, message: 'Holiday removed' });
+    } catch (error) {
+        sendError(res, error, 'Failed to remove holiday');
+    }
+});
+
+// ═══════════════════════════════════════════
+// BALANCES & ACCRUAL
+// ═══════════════════════════════════════════
+
+router.get('/my-balance', requireAuth, validateQuery(yearQuerySchema), async (req, res) => {
+    try {
+        const year = req.query.year || parseInt(istDateString(new Date()).slice(0, 4), 10);
+        const data = await leave.balancesFor(pool, req.user, year);
+        res.json({ success: true, year, data });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave balance');
+    }
+});
+
+router.get('/balances', canApprove, validateQuery(yearQuerySchema), async (req, res) => {
+    try {
+        const year = req.query.year || parseInt(istDateString(new Date()).slice(0, 4), 10);
+        const where = ["u.status = 'active'"];
+        const params = [];
+        const branchId = getBranchFilter(req);
+        if (branchId) { where.push('u.branch_id = ?'); params.push(branchId); }
+        if (req.query.user_id) { where.push('u.id = ?'); params.push(req.query.user_id); }
+        const [users] = await pool.query(
+            `SELECT u.id, u.full_name, u.role, u.branch_id FROM users u WHERE ${where.join(' AND ')} ORDER BY u.full_name LIMIT 200`,
+            params
+        );
+        const data = [];
+        for (const u of users) {
+            data.push({ user_id: u.id, full_name: u.full_name, role: u.role, branch_id: u.branch_id, balances: await leave.balancesFor(pool, u, year) });
+        }
+        res.json({ success: true, year, data });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave balances');
+    }
+});
+
+router.post('/balances/adjust', canManage, validate(adjustSchema), async (req, res) => {
+    try {
+        const { user_id, leave_type_id, year, days, reason } = req.body;
+        const [users] = await pool.query('SELECT id, role FROM users WHERE id = ?', [user_id]);
+        if (!users.length) return res.status(404).json({ success: false, message: 'User not found' });
+        const [types] = await pool.query('SELECT id, is_paid FROM leave_types WHERE id = ?', [leave_type_id]);
+        if (!types.length || Number(types[0].is_paid) !== 1) {
+            return res.status(400).json({ success: false, code: 'INVALID_TYPE', message: 'Only paid leave types carry a balance' });
+        }
+        const [policies] = await pool.query('SELECT * FROM leave_policies WHERE leave_type_id = ?', [leave_type_id]);
+        const balance = await leave.ensureBalance(pool, user_id, leave_type_id, year, leave.policyFor(policies, users[0].role, leave_type_id));
+        await pool.query('UPDATE leave_balances SET adjusted = adjusted + ? WHERE id = ?', [days, balance.id]);
+        auditLog.record(req, {
+            action: 'leave.balance.adjust', entity_type: 'leave_balance', entity_id: balance.id,
+            before: { adjusted: Number(balance.adjusted) }, after: { adjusted: Number(balance.adjusted) + days, days, reason }
+        });
+        res.json({ success: true, message: `Balance adjusted by ${days} day(s)` });
+    } catch (error) {
+        sendError(res, error, 'Failed to adjust balance');
+    }
+});
+
+router.post('/accrue', canManage, validate(accrueSchema), async (req, res) => {
+    try {
+        const month = req.body.month || istDateString(new Date()).slice(0, 7);
+        const result = await leave.accrueMonth(pool, month);
+        auditLog.record(req, { action: 'leave.accrue', entity_type: 'leave_balance', entity_id: null, after: { month, ...result } });
+        res.json({ success: true, month, data: result });
+    } catch (error) {
+        sendError(res, error, 'Failed to run leave accrual');
+    }
+});
+
+// ═══════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════
+
+router.post('/requests', requireAuth, validate(requestSchema), async (req, res) => {
+    try {
+        const [users] = await pool.query('SELECT id, role, branch_id, full_name FROM users WHERE id = ?', [req.user.id]);
+        const user = users[0] || req.user;
+        const { total } = await leave.checkRequest(pool, user, req.body);
+        const { leave_type_id, from_date, to_date, half_day_start, half_day_end, reason } = req.body;
+        const [ins] = await pool.query(
+            `INSERT INTO leave_requests
+             (user_id, branch_id, leave_type_id, from_date, to_date, half_day_start, half_day_end, days, reason)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [user.id, user.branch_id || null, leave_type_id, from_date, to_date,
+                half_day_start ? 1 : 0, half_day_end ? 1 : 0, total, reason || null]
+        );
+        await approvals.submitQuietly({
+            entityType: 'leave_request', entityId: ins.insertId, amount: total,
+            branchId: user.branch_id || null, requestedBy: user.id,
+            title: `Leave ${from_date}${to_date !== from_date ? ' to ' + to_date : ''} (${total} day${total === 1 ? '' : 's'}) — ${user.full_name || 'Staff'}`
+        });
+        res.json({ success: true, id: ins.insertId, days: total, message: 'Leave request submitted' });
+    } catch (error) {
+        sendError(res, error, 'Failed to submit leave request');
+    }
+});
+
+router.get('/my-requests', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT lr.*, lt.code, lt.name AS leave_type_name, lt.is_paid
+             FROM leave_requests lr JOIN leave_types lt ON lt.id = lr.leave_type_id
+             WHERE lr.user_id = ? ORDER BY lr.from_date DESC LIMIT 100`,
+            [req.user.id]
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave requests');
+    }
+});
+
+router.get('/requests', canApprove, validateQuery(requestsQuerySchema), async (req, res) => {
+    try {
+        const where = [];
+        const params = [];
+        if (req.query.status) { where.push('lr.status = ?'); params.push(req.query.status); }
+        if (req.query.user_id) { where.push('lr.user_id = ?'); params.push(req.query.user_id); }
+        const branchId = getBranchFilter(req);
+        if (branchId) { where.push('lr.branch_id = ?'); params.push(branchId); }
+        params.push(req.query.limit);
+        const [rows] = await pool.query(
+            `SELECT lr.*, u.full_name, lt.code, lt.name AS leave_type_name, lt.is_paid, rv.full_name AS reviewed_by_name
+             FROM leave_requests lr
+             JOIN users u ON u.id = lr.user_id
+             JOIN leave_types lt ON lt.id = lr.leave_type_id
+             LEFT JOIN users rv ON rv.id = lr.reviewed_by
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY lr.status = 'pending' DESC, lr.from_date DESC
+             LIMIT ?`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave requests');
+    }
+});
+
+router.put('/requests/:id/approve', canApprove, validateParams(idParamSchema), validate(reviewSchema), async (req, res) => {
+    const id = Number(req.params.id);
+    const notes = req.body.review_notes || null;
+    let request;
+    try {
+        request = await loadRequest(pool, id);
+        if (!request || outsideBranch(req, request)) return res.status(404).json({ success: false, message: 'Leave request not found' });
+        if (request.status !== 'pending') {
+            return res.status(409).json({ success: false, code: 'NOT_PENDING', message: `Request is already ${request.status}` });
+        }
+        if (request.user_id === req.user.id && !isFullAdmin(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'You cannot approve your own leave' });
+        }
+        const approval = await approvals.decide(req.user, {
+            entityType: 'leave_request', entityId: id, decision: 'approve', note: notes,
+            start: { amount: Number(request.days), requestedBy: request.user_id, branchId: request.branch_id }
+        });
+        if (!approval.final) return res.json({ success: true, pending: true, message: approval.message, approval });
+    } catch (error) {
+        if (approvals.DECISION_ERROR_STATUS[error.code]) {
+            return res.status(approvals.DECISION_ERROR_STATUS[error.code]).json({ success: false, code: error.code, message: error.message });
+        }
+        return sendError(res, error, 'Failed to approve leave');
+    }
+
+    const conn = await pool.getConnection();
+    let total;
+    try {
+        await conn.beginTransaction();
+        const locked = await loadRequest(conn, id, true);
+        if (!locked || locked.status !== 'pending') {
+            await conn.rollback();
+            return res.status(409).json({ success: false, code: 'NOT_PENDING', message: 'Request is no longer pending' });
+        }
+        // Re-check against today's calendar and balance (a holiday may have
+        // been added, or other leave approved, since it was requested).
+        const checked = await leave.checkRequest(conn, { id: locked.user_id, role: locked.role, branch_id: locked.branch_id }, {
+            leave_type_id: locked.leave_type_id,
+            from_date: leave.dateOnly(locked.from_date), to_date: leave.dateOnly(locked.to_date),
+            half_day_start: !!locked.half_day_start, half_day_end: !!locked.half_day_end
+        }, id);
+        total = checked.total;
+        await leave.applyApproval(conn, locked, checked.type, checked.days);
+        await conn.query(
+            `UPDATE leave_requests SET status = 'approved', days = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+             WHERE id = ?`,
+            [total, req.user.id, notes, id]
+        );
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        return sendError(res, error, 'Failed to approve leave');
+    } finally {
+        conn.release();
+    }
+
+    auditLog.record(req, {
+        action: 'leave.request.approve', entity_type: 'leave_request', entity_id: id,
+        before: { status: 'pending', days: Number(request.days) }, after: { status: 'approved', days: total }
+    });
+    notifyRequester(request, 'Leave Approved', `Your ${request.leave_type_name.toLowerCase()} (${total} day${total === 1 ? '' : 's'}) has been approved.`);
+    res.json({ success: true, days: total, message: 'Leave approved' });
+});
+
+router.put('/requests/:id/reject', canApprove, validateParams(idParamSchema), validate(reviewSchema), async (req, res) => {
+    const id = Number(req.params.id);
+    const notes = req.body.review_notes || null;
+    try {
+        const request = await loadRequest(pool, id);
+        if (!request || outsideBranch(req, request)) return res.status(404).json({ success: false, message: 'Leave request not found' });
+        if (request.status !== 'pending') {
+            return res.status(409).json({ success: false, code: 'NOT_PENDING', message: `Request is already ${request.status}` });
+        }
+        await approvals.decide(req.user, {
+            entityType: 'leave_request', entityId: id, decision: 'reject', note: notes,
+            start: { amount: Number(request.days), requestedBy: request.user_id, branchId: request.branch_id }
+        });
+        await pool.query(
+            `UPDATE leave_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+             WHERE id = ? AND status = 'pending'`,
+            [req.user.id, notes, id]
+        );
+        auditLog.record(req, {
+            action: 'leave.request.reject', entity_type: 'leave_request', entity_id: id,
+            before: { status: 'pending' }, after: { status: 'rejected', review_notes: notes }
+        });
+        notifyRequester(request, 'Leave Rejected', `Your leave request was rejected${notes ? ': ' + notes : '.'}`);
+        res.json({ success: true, message: 'Leave rejected' });
+    } catch (error) {
+        if (approvals.DECISION_ERROR_STATUS[error.code]) {
+            return res.status(approvals.DECISION_ERROR_STATUS[error.code]).json({ success: false, code: error.code, message: error.message });
+        }
+        sendError(res, error, 'Failed to reject leave');
+    }
+});
+
+router.put('/requests/:id/cancel', requireAuth, validateParams(idParamSchema), async (req, res) => {
+    const id = Number(req.params.id);
+    const conn = await pool.getConnection();
+    let request;
+    try {
+        await conn.beginTransaction();
+        request = await loadRequest(conn, id, true);
+        const own = request && request.user_id === req.user.id;
+        let reviewer = false;
+        if (request && !own) {
+            reviewer = isFullAdmin(req.user.role) ||
+                (await hasRolePermission(req.user.role, 'attendance', 'approve').catch(() => false) && !outsideBranch(req, request));
+        }
+        if (!request || (!own && !reviewer)) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Leave request not found' });
+        }
+        if (!['pending', 'approved'].includes(request.status)) {
+            await conn.rollback();
+            return res.status(409).json({ success: false, code: 'NOT_CANCELLABLE', message: `Request is already ${request.status}` });
+        }
+        // Staff can take back a booked leave only before it starts
+        if (request.status === 'approved' && !reviewer && leave.dateOnly(request.from_date) <= istDateString(new Date())) {
+            await conn.rollback();
+            return res.status(409).json({ success: false, code: 'NOT_CANCELLABLE', message: 'This leave has started — ask your manager to cancel it' });
+        }
+        if (request.status === 'approved') await leave.revertApproval(conn, request);
+        await conn.query("UPDATE leave_requests SET status = 'cancelled' WHERE id = ?", [id]);
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        return sendError(res, error, 'Failed to cancel leave');
+    } finally {
+        conn.release();
+    }
+
+    if (request.status === 'pending') await approvals.cancel('leave_request', id, 'Cancelled').catch(() => {});
+    auditLog.record(req, {
+        action: 'leave.request.cancel', entity_type: 'leave_request', entity_id: id,
+        before: { status: request.status }, after: { status: 'cancelled' }
+    });
+    if (request.user_id !== req.user.id) notifyRequester(request, 'Leave Cancelled', 'Your leave has been cancelled by your manager.');
+    res.json({ success: true, message: 'Leave cancelled' });
+});
+
+// ═══════════════════════════════════════════
+// TEAM CALENDAR
+// ═══════════════════════════════════════════
+
+/** Holidays plus approved and pending leave overlapping [from, to]. */
+router.get('/calendar', requireAuth, validateQuery(calendarQuerySchema), async (req, res) => {
+    try {
+        const { from, to } = req.query;
+        if (to < from) return res.status(400).json({ success: false, code: 'INVALID_DATES', message: 'to must be on or after from' });
+        const branchId = getBranchFilter(req);
+
+        const holidayParams = [from, to];
+        let holidayWhere = '';
+        if (branchId) { holidayWhere = ' AND (branch_id IS NULL OR branch_id = ?)'; holidayParams.push(branchId); }
+        const [holidays] = await pool.query(
+            `SELECT id, branch_id, holiday_date, name FROM holidays
+             WHERE holiday_date BETWEEN ? AND ?${holidayWhere} ORDER BY holiday_date`,
+            holidayParams
+        );
+
+        const leaveParams = [to, from];
+        let leaveWhere = '';
+        if (branchId) { leaveWhere = ' AND lr.branch_id = ?'; leaveParams.push(branchId); }
+        const [leaves] = await pool.query(
+            `SELECT lr.id, lr.user_id, u.full_name, lr.branch_id, lt.code, lt.name AS leave_type_name,
+                    lr.from_date, lr.to_date, lr.half_day_start, lr.half_day_end, lr.days, lr.status
+             FROM leave_requests lr
+             JOIN users u ON u.id = lr.user_id
+             JOIN leave_types lt ON lt.id = lr.leave_type_id
+             WHERE lr.status IN ('approved', 'pending') AND lr.from_date <= ? AND lr.to_date >= ?${leaveWhere}
+             ORDER BY lr.from_date, u.full_name`,
+            leaveParams
+        );
+        res.json({ success: true, from, to, holidays, leaves });
+    } catch (error) {
+        sendError(res, error, 'Failed to load leave calendar');
+    }
+});
+
+module.exports = { router, setPool, requestSchema };
@@ -0,0 +1,167 @@
+/**
+ * Paint Calculator Routes
+ * Room-by-room measurements → litres per product → cheapest pack mix → draft
+ * estimate. Mounted at /api/paint-calculator. The engine lives in
+ * services/paint-calculator.js; estimate creation reuses createEstimateRecord()
+ * from routes/estimates.js so numbering, pricing and revisions stay in one place.
+ *
+ *   GET  /products   — area-wise products with their active packs (?q)
+ *   POST /calculate  — preview: rooms, areas, litres, pack mix, cost
+ *   POST /estimate   — create a draft estimate from the calculation and attach
+ *                      it (shown on the estimate print page and share PDF)
+ *
+ * All routes need estimates.add. POST /estimate honours an Idempotency-Key.
+ *
+ * Exports: { router, setPool }.
+ */
+
+const express = require('express');
+const router = express.Router();
+const { requirePermission, isFullAdmin } = require('../middleware/permissionMiddleware');
+const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
+const audit = require('../services/audit-log');
+const calculator = require('../services/paint-calculator');
+const { processItems, createEstimateRecord } = require('./estimates');
+
+let pool;
+function setPool(p) { pool = p; setIdempotencyPool(p); }
+
+// services/paint-calculator.js error codes → HTTP status
+const ERROR_STATUS = {
+    INVALID_CALCULATION: 400,
+    PRODUCT_NOT_FOUND: 404,
+    NO_PACKS: 409
+};
+
+function sendError(res, err, fallback) {
+    if (ERROR_STATUS[err.code]) {
+        return res.status(ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error(`[PaintCalculator] ${fallback}:`, err);
+    return res.status(500).json({ success: false, message: fallback });
+}
+
+async function runCalculation(body) {
+    const input = body || {};
+    const norm = calculator.normalizeInput(input);
+    const catalog = await calculator.loadCatalog(pool, Object.values(norm.products));
+    return { catalog, result: calculator.calculate(input, catalog) };
+}
+
+// ========================================
+// PRODUCTS
+// ========================================
+router.get('/products', requirePermission('estimates', 'add'), async (req, res) => {
+    try {
+        const q = String(req.query.q || '').trim();
+        const params = [];
+        let where = "p.status = 'active' AND p.product_type = 'area_wise'";
+        if (q) {
+            where += ' AND (p.name LIKE ? OR b.name LIKE ?)';
+            params.push(`%${q}%`, `%${q}%`);
+        }
+        const [rows] = await pool.query(
+            `SELECT p.id, p.name, p.area_coverage, b.name AS brand, c.name AS category
+             FROM products p
+             LEFT JOIN brands b ON p.brand_id = b.id
+             LEFT JOIN categories c ON p.category_id = c.id
+             WHERE ${where}
+             ORDER BY b.name, p.name
+             LIMIT 200`,
+            params
+        );
+        const catalog = await calculator.loadCatalog(pool, rows.map(r => r.id));
+        res.json({
+            success: true,
+            data: rows.map(r => ({
+                ...r,
+                area_coverage: Number(r.area_coverage) > 0 ? Number(r.area_coverage) : calculator.DEFAULT_COVERAGE,
+                packs: catalog.has(r.id) ? catalog.get(r.id).packs : []
+            }))
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to load products');
+    }
+});
+
+// ========================================
+// CALCULATE (preview)
+// ========================================
+router.post('/calculate', requirePermission('estimates', 'add'), async (req, res) => {
+    try {
+        const { result } = await runCalculation(req.body);
+        res.json({ success: true, data: result });
+    } catch (err) {
+        sendError(res, err, 'Failed to calculate');
+    }
+});
+
+// ========================================
+// CREATE DRAFT ESTIMATE
+// ========================================
+router.post('/estimate', requirePermission('estimates', 'add'), idempotent('paint_calculator.estimate'), async (req, res) => {
+    try {
+        const body = req.body || {};
+        const customerName = String(body.customer_name || '').trim();
+        if (!customerName) {
+            return res.status(400).json({ success: false, code: 'INVALID_CALCULATION', message: 'Customer name is required' });
+        }
+
+        const { catalog, result } = await runCalculation(body);
+        if (!result.requirements.length) {
+            return res.status(400).json({ success: false, code: 'INVALID_CALCULATION', message: 'Nothing to paint — check the room sizes' });
+        }
+        const processedItems = processItems(calculator.estimateItems(result, catalog));
+        const userId = req.user ? req.user.id : null;
+        const header = {
+            customer_name: customerName,
+            customer_phone: body.customer_phone || null,
+            customer_address: body.customer_address || null,
+            estimate_date: new Date().toISOString().slice(0, 10),
+            branch_id: isFullAdmin(req.user.role) ? (body.branch_id || null) : (req.user.branch_id || null),
+            notes: body.notes || null,
+            status: 'draft'
+        };
+
+        let created;
+        const conn = await pool.getConnection();
+        try {
+            await conn.beginTransaction();
+            created = await createEstimateRecord(conn, header, processedItems, userId);
+            await calculator.saveCalculation(conn, created.estimateId, body, result, userId);
+            await conn.commit();
+        } catch (txErr) {
+            await conn.rollback();
+            throw txErr;
+        } finally {
+            conn.release();
+        }
+
+        await audit.record(req, {
+            action: 'estimate.create',
+            entity_type: 'estimate',
+            entity_id: created.estimateId,
+            before: null,
+            after: {
+                estimate_number: created.estimateNumber,
+                customer_name: customerName, branch_id: header.branch_id,
+                grand_total: created.totals.grand_total, status: 'draft',
+                item_count: processedItems.length, source: 'paint_calculator'
+            }
+        });
+
+        res.json({
+            success: true,
+            data: {
+                id: created.estimateId,
+                estimate_number: created.estimateNumber,
+                grand_total: created.totals.grand_total,
+                calculation: result
+            }
+        });
+    } catch (err) {
+        sendError(res, err, 'Failed to create estimate');
+    }
+});
+
+module.exports = { router, setPool };
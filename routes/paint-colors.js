@@ -40,6 +40,19 @@ if (fs.existsSync(paintColorsDir)) {
     });
 }
 
+// Catalog shade by brand + code ("WW 0002", case/space-insensitive) — tint
+// formulas take the shade name and hex from here. Returns null when unknown.
+function findShade(brandCode, code) {
+    const catalog = paintCatalogs[brandCode];
+    if (!catalog || !code) return null;
+    const key = String(code).replace(/\s+/g, '').toUpperCase();
+    for (const family of catalog.families) {
+        const color = family.colors.find(c => c.code.replace(/\s+/g, '').toUpperCase() === key);
+        if (color) return { ...color, family: family.code, familyName: family.name, brand: catalog.brand };
+    }
+    return null;
+}
+
 // --- Color theory helpers for auto-visualization ---
 function hexToHsl(hex) {
     let r = parseInt(hex.slice(1, 3), 16) / 255;
@@ -600,5 +613,6 @@ router.post('/design-requests/:id/auto-visualize', requireRole('admin', 'manager
 module.exports = {
     router,
     setPool,
-    setGeminiAI
+    setGeminiAI,
+    findShade
 };
@@ -16,9 +16,15 @@ const sharp = require('sharp');
 const painterNotificationService = require('../../services/painter-notification-service');
 const notificationService = require('../../services/notification-service');
 const { generatePainterEstimatePDF } = require('../painter-estimate-pdf-generator');
+const approvals = require('../../services/approval-workflow');
+const payouts = require('../../services/painter-payouts');
+const painterRewards = require('../../services/painter-rewards');
+const painterPointsExpiry = require('../../services/painter-points-expiry');
+const painterCampaigns = require('../../services/painter-campaigns');
+const painterFraud = require('../../services/painter-fraud');
 const attendanceService = require('../../services/painter-attendance-service');
 const audit = require('../../services/audit-log');
-const { logEstimateStatusChange, toISTDateString } = require('./shared');
+const { logEstimateStatusChange, toISTDateString, nextDocNumber } = require('./shared');
 const { logCreditViolation } = require('../../services/credit-violation-log');
 
 let pool;
@@ -1068,8 +1074,12 @@ router.put('/withdrawals/:id', requirePermission('painters', 'points'), async (r
         if (!action) return res.status(400).json({ success: false, message: 'Action required (approve/reject/paid)' });
 
         // Get withdrawal details before processing (for notification + audit before-snapshot)
-        const [wRows] = await pool.query('SELECT painter_id, pool, amount, status FROM painter_withdrawals WHERE id = ?', [req.params.id]);
+        const [wRows] = await pool.query('SELECT painter_id, pool, amount, status, batch_id FROM painter_withdrawals WHERE id = ?', [req.params.id]);
         const withdrawal = wRows[0];
+        // A withdrawal in a payout batch is paid / failed through the batch.
+        if (withdrawal && withdrawal.batch_id && withdrawal.status === 'approved') {
+            return res.status(409).json({ success: false, message: 'Withdrawal is in a payout batch — settle or cancel the batch instead' });
+        }
 
         const result = await pointsEngine.processWithdrawal(parseInt(req.params.id), action, req.user.id, payment_reference, notes);
         res.json({ success: true, message: `Withdrawal ${action}d`, ...result });
@@ -1110,10 +1120,602 @@ router.put('/withdrawals/:id', requirePermission('painters', 'points'), async (r
             }
         }
     } catch (error) {
+        if (error.code === 'WITHDRAWALS_FROZEN') return res.status(409).json({ success: false, code: error.code, message: 'Painter withdrawals are frozen for fraud review' });
         res.status(400).json({ success: false, message: error.message });
     }
 });
 
+// --- PAYOUT BATCHES (ADMIN) ---
+// Approved withdrawals paid in bulk: one NEFT / UPI file per batch, settled
+// from the bank's response. Rules live in services/painter-payouts.js.
+
+function payoutError(res, error) {
+    if (error.code === 'INVALID_PAYOUT') return res.status(400).json({ success: false, message: error.message });
+    if (error.code === 'PAYOUT_STATE') return res.status(409).json({ success: false, message: error.message });
+    return null;
+}
+
+async function notifyPayout(row, paid, detail) {
+    try {
+        const amt = parseFloat(row.amount).toFixed(2);
+        const poolLabel = row.pool === 'regular' ? 'Regular' : 'Annual';
+        await painterNotificationService.sendToPainter(row.painter_id, paid
+            ? {
+                type: 'withdrawal_approved',
+                title: 'Withdrawal Paid!',
+                body: `Your ${poolLabel} points withdrawal of ${amt} has been paid. Ref: ${detail}`,
+                data: { withdrawal_id: String(row.id), action: 'paid' }
+            }
+            : {
+                type: 'withdrawal_failed',
+                title: 'Withdrawal Payout Failed',
+                body: `The payout for your ${poolLabel} points withdrawal of ${amt} failed (${detail}). Please check your bank / UPI details — your request is pending again.`,
+                data: { withdrawal_id: String(row.id), action: 'failed' }
+            });
+    } catch (notifErr) {
+        console.error('Payout notification error (non-fatal):', notifErr.message);
+    }
+}
+
+// Approved, unbatched withdrawals and whether each has NEFT / UPI details.
+router.get('/payout-batches/candidates', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const rows = await payouts.loadApprovedUnbatched(pool, { pool: req.query.pool || null });
+        res.json({
+            success: true,
+            withdrawals: rows.map(r => ({
+                id: r.id, painter_id: r.painter_id, full_name: r.full_name, phone: r.phone,
+                pool: r.pool, amount: parseFloat(r.amount), requested_at: r.requested_at,
+                neft_issue: payouts.payoutIssue(r, 'neft'), upi_issue: payouts.payoutIssue(r, 'upi')
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to load payout candidates' });
+    }
+});
+
+router.get('/payout-batches', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const { status } = req.query;
+        const params = [];
+        let query = 'SELECT * FROM painter_payout_batches WHERE 1=1';
+        if (status) { query += ' AND status = ?'; params.push(status); }
+        query += ' ORDER BY id DESC LIMIT 100';
+        const [batches] = await pool.query(query, params);
+        res.json({ success: true, batches });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to get payout batches' });
+    }
+});
+
+router.get('/payout-batches/:batchId', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const batch = await payouts.loadBatch(pool, parseInt(req.params.batchId));
+        if (!batch) return res.status(404).json({ success: false, message: 'Payout batch not found' });
+        const rows = await payouts.loadWithdrawalRows(pool, { batchId: batch.id });
+        // Rows failed at settlement left the batch (batch_id cleared) — nothing to show for them here.
+        res.json({ success: true, batch, withdrawals: rows });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to get payout batch' });
+    }
+});
+
+// Body: { mode: 'neft'|'upi', pool?, withdrawal_ids?, notes? } — without ids,
+// every approved withdrawal not yet batched. Rows missing payout details are
+// skipped and listed.
+router.post('/payout-batches', requirePermission('painters', 'points'), async (req, res) => {
+    const { mode, pool: pointPool, withdrawal_ids, notes } = req.body || {};
+    if (!payouts.MODES.includes(mode)) return res.status(400).json({ success: false, message: 'Mode must be neft or upi' });
+    const ids = Array.isArray(withdrawal_ids) ? withdrawal_ids.map(Number).filter(n => n > 0) : null;
+    if (ids && !ids.length) return res.status(400).json({ success: false, message: 'Pick at least one withdrawal' });
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const candidates = ids
+            ? await payouts.loadWithdrawalRows(conn, { ids, forUpdate: true })
+            : await payouts.loadApprovedUnbatched(conn, { pool: pointPool || null, forUpdate: true });
+        const plan = payouts.planBatch(candidates, mode);
+        const batchNumber = await nextDocNumber(conn, 'PB', 'painter_payout_batches', 'batch_number');
+        const [result] = await conn.query(
+            `INSERT INTO painter_payout_batches (batch_number, mode, row_count, total_amount, notes, created_by)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [batchNumber, mode, plan.rowCount, plan.totalAmount, notes ? String(notes).slice(0, 500) : null, req.user.id]
+        );
+        // Pay to the details checked above, not whatever the profile says at download time.
+        for (const row of plan.rows) {
+            const payee = payouts.payeeSnapshot(row, mode);
+            await conn.query(
+                `UPDATE painter_withdrawals SET batch_id = ?, failure_reason = NULL, payee_name = ?,
+                        payee_account_number = ?, payee_ifsc_code = ?, payee_upi_id = ?
+                 WHERE id = ? AND status = 'approved' AND batch_id IS NULL`,
+                [result.insertId, payee.payee_name, payee.payee_account_number, payee.payee_ifsc_code, payee.payee_upi_id, row.id]
+            );
+        }
+        await conn.commit();
+
+        audit.record(req, {
+            action: 'painter.payout_batch.create', entity_type: 'painter_payout_batch', entity_id: result.insertId,
+            after: { batch_number: batchNumber, mode, row_count: plan.rowCount, total_amount: plan.totalAmount, skipped: plan.skipped.length }
+        });
+        res.json({
+            success: true,
+            batch: { id: result.insertId, batch_number: batchNumber, mode, row_count: plan.rowCount, total_amount: plan.totalAmount },
+            skipped: plan.skipped
+        });
+    } catch (error) {
+        await conn.rollback();
+        if (payoutError(res, error)) return;
+        console.error('Payout batch create error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create payout batch' });
+    } finally {
+        conn.release();
+    }
+});
+
+// The bulk-payout CSV to upload on the bank portal. A painter frozen for fraud
+// review since batching leaves the batch here, before the bank sees the row.
+router.get('/payout-batches/:batchId/file', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const batch = await payouts.loadBatch(pool, parseInt(req.params.batchId));
+        if (!batch) return res.status(404).json({ success: false, message: 'Payout batch not found' });
+        if (batch.status === 'cancelled') return res.status(409).json({ success: false, message: 'Batch is cancelled' });
+        let rows = await payouts.loadWithdrawalRows(pool, { batchId: batch.id });
+        const frozen = rows.filter(r => Number(r.withdrawals_frozen) === 1);
+        if (frozen.length && batch.status === 'generated') {
+            await pool.query(
+                `UPDATE painter_withdrawals SET batch_id = NULL, failure_reason = ?,
+                        payee_name = NULL, payee_account_number = NULL, payee_ifsc_code = NULL, payee_upi_id = NULL
+                 WHERE id IN (?) AND batch_id = ? AND status = 'approved'`,
+                ['Withdrawals frozen for fraud review', frozen.map(r => r.id), batch.id]
+            );
+            rows = rows.filter(r => Number(r.withdrawals_frozen) !== 1);
+            const total = rows.reduce((s, r) => s + parseFloat(r.amount), 0);
+            await pool.query(
+                'UPDATE painter_payout_batches SET row_count = ?, total_amount = ? WHERE id = ?',
+                [rows.length, Math.round(total * 100) / 100, batch.id]
+            );
+        }
+        const csv = payouts.buildPayoutFile(batch, rows);
+        await pool.query('UPDATE painter_payout_batches SET file_downloaded_at = COALESCE(file_downloaded_at, NOW()) WHERE id = ?', [batch.id]);
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="${batch.batch_number}_${batch.mode}.csv"`);
+        res.send(csv);
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to build payout file' });
+    }
+});
+
+// Body: { rows: [{ withdrawal_id, utr } | { withdrawal_id, failed: true, reason }] }
+// — every row of the batch once: the bank's record. A UTR row is paid — its
+// points are deducted, any shortfall since approval is booked as a clawback,
+// and a row that can't be recorded stays in the batch flagged for review.
+// Failed rows go back to pending (they were never paid).
+router.post('/payout-batches/:batchId/settle', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const batch = await payouts.loadBatch(pool, parseInt(req.params.batchId));
+        if (!batch) return res.status(404).json({ success: false, message: 'Payout batch not found' });
+        payouts.assertTransition(batch.status, 'settle');
+        const rows = await payouts.loadWithdrawalRows(pool, { batchId: batch.id });
+        const plan = payouts.planSettlement(rows, (req.body || {}).rows);
+
+        // Claim the batch first so a second settle can't pay the rows twice.
+        const [claim] = await pool.query(
+            "UPDATE painter_payout_batches SET status = 'paid', settled_by = ?, settled_at = NOW() WHERE id = ? AND status = 'generated'",
+            [req.user.id, batch.id]
+        );
+        if (!claim.affectedRows) return res.status(409).json({ success: false, message: 'Batch was settled or cancelled meanwhile' });
+
+        const paid = [];
+        const review = [];
+        const failed = plan.failed.map(f => ({ row: f.row, reason: f.reason }));
+        for (const { row, utr } of plan.paid) {
+            // A freeze after the file went to the bank can't stop the money: the UTR stands.
+            try {
+                const { clawback } = await pointsEngine.recordBankPayout(row.id, req.user.id, utr, `Paid in ${batch.batch_number}`);
+                paid.push({ row, utr, clawback });
+            } catch (err) {
+                // The money has left — never back to pending. Leave it in the batch for review.
+                await pool.query(
+                    'UPDATE painter_withdrawals SET failure_reason = ? WHERE id = ?',
+                    [`Paid by bank (UTR ${utr}) but not recorded: ${err.message}`.slice(0, 255), row.id]
+                );
+                review.push({ row, utr, reason: err.message });
+            }
+        }
+        for (const { row, reason } of failed) {
+            await pool.query(
+                `UPDATE painter_withdrawals SET status = 'pending', batch_id = NULL, failure_reason = ?,
+                        payee_name = NULL, payee_account_number = NULL, payee_ifsc_code = NULL, payee_upi_id = NULL,
+                        processed_by = ?, processed_at = NOW() WHERE id = ? AND status = 'approved'`,
+                [reason.slice(0, 255), req.user.id, row.id]
+            );
+        }
+        const bankPaid = [...paid, ...review];
+        const paidAmount = bankPaid.reduce((s, p) => s + parseFloat(p.row.amount), 0);
+        await pool.query(
+            'UPDATE painter_payout_batches SET paid_count = ?, paid_amount = ?, failed_count = ? WHERE id = ?',
+            [bankPaid.length, Math.round(paidAmount * 100) / 100, failed.length, batch.id]
+        );
+        res.json({
+            success: true,
+            paid: paid.length,
+            failed: failed.map(f => ({ withdrawal_id: f.row.id, reason: f.reason })),
+            clawbacks: paid.filter(p => p.clawback > 0).map(p => ({ withdrawal_id: p.row.id, points: p.clawback })),
+            needs_review: review.map(r => ({ withdrawal_id: r.row.id, utr: r.utr, reason: r.reason }))
+        });
+
+        await audit.record(req, {
+            action: 'painter.payout_batch.settle', entity_type: 'painter_payout_batch', entity_id: batch.id,
+            before: { status: batch.status },
+            after: {
+                status: 'paid', paid: paid.map(p => ({ id: p.row.id, utr: p.utr, clawback: p.clawback || undefined })),
+                failed: failed.map(f => f.row.id), needs_review: review.map(r => ({ id: r.row.id, utr: r.utr }))
+            }
+        });
+        for (const p of bankPaid) await notifyPayout(p.row, true, p.utr);
+        for (const f of failed) await notifyPayout(f.row, false, f.reason);
+    } catch (error) {
+        if (payoutError(res, error)) return;
+        console.error('Payout batch settle error:', error);
+        res.status(500).json({ success: false, message: 'Failed to settle payout batch' });
+    }
+});
+
+// Body: { rows: [{ withdrawal_id, reason }] } — paid rows the bank returned
+// after settlement: points go back and the request is pending again.
+router.post('/payout-batches/:batchId/reconcile', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const batch = await payouts.loadBatch(pool, parseInt(req.params.batchId));
+        if (!batch) return res.status(404).json({ success: false, message: 'Payout batch not found' });
+        payouts.assertTransition(batch.status, 'reconcile');
+        const rows = await payouts.loadWithdrawalRows(pool, { batchId: batch.id });
+        const plan = payouts.planReconcile(rows, (req.body || {}).rows);
+
+        const returned = [];
+        const errors = [];
+        for (const { row, reason } of plan) {
+            try {
+                const { refunded } = await pointsEngine.refundWithdrawal(row.id, req.user.id, reason);
+                returned.push({ row, reason, refunded });
+            } catch (err) {
+                errors.push({ withdrawal_id: row.id, message: err.message });
+            }
+        }
+        const amount = returned.reduce((s, r) => s + parseFloat(r.row.amount), 0);
+        await pool.query(
+            `UPDATE painter_payout_batches SET paid_count = GREATEST(0, paid_count - ?),
+                    paid_amount = GREATEST(0, paid_amount - ?), failed_count = failed_count + ? WHERE id = ?`,
+            [returned.length, Math.round(amount * 100) / 100, returned.length, batch.id]
+        );
+        res.json({
+            success: true,
+            returned: returned.map(r => ({ withdrawal_id: r.row.id, refunded: r.refunded })),
+            errors
+        });
+
+        await audit.record(req, {
+            action: 'painter.payout_batch.reconcile', entity_type: 'painter_payout_batch', entity_id: batch.id,
+            after: { returned: returned.map(r => ({ id: r.row.id, reason: r.reason, refunded: r.refunded })) }
+        });
+        for (const r of returned) await notifyPayout(r.row, false, r.reason);
+    } catch (error) {
+        if (payoutError(res, error)) return;
+        console.error('Payout batch reconcile error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reconcile payout batch' });
+    }
+});
+
+// A generated batch that won't be paid: its withdrawals stay approved and
+// can go into another batch.
+router.post('/payout-batches/:batchId/cancel', requirePermission('painters', 'points'), async (req, res) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const batch = await payouts.loadBatch(conn, parseInt(req.params.batchId), true);
+        if (!batch) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Payout batch not found' });
+        }
+        payouts.assertTransition(batch.status, 'cancel');
+        const [released] = await conn.query(
+            `UPDATE painter_withdrawals SET batch_id = NULL, payee_name = NULL, payee_account_number = NULL,
+                    payee_ifsc_code = NULL, payee_upi_id = NULL
+             WHERE batch_id = ? AND status = 'approved'`,
+            [batch.id]
+        );
+        await conn.query(
+            "UPDATE painter_payout_batches SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW() WHERE id = ?",
+            [req.user.id, batch.id]
+        );
+        await conn.commit();
+        audit.record(req, {
+            action: 'painter.payout_batch.cancel', entity_type: 'painter_payout_batch', entity_id: batch.id,
+            before: { status: batch.status }, after: { status: 'cancelled', released: released.affectedRows }
+        });
+        res.json({ success: true, released: released.affectedRows });
+    } catch (error) {
+        await conn.rollback();
+        if (payoutError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to cancel payout batch' });
+    } finally {
+        conn.release();
+    }
+});
+
+// --- REWARDS CATALOGUE + FULFILMENT (ADMIN) ---
+// Catalogue is managed with painters.points; the pickup / dispatch queue and
+// the OTP handover need painters.reward_fulfil. Rules live in
+// services/painter-rewards.js.
+
+const fulfilPerm = requirePermission('painters', 'reward_fulfil');
+
+function rewardError(res, error) {
+    if (error.code === 'INVALID_REWARD' || error.code === 'OTP_INVALID') return res.status(400).json({ success: false, message: error.message });
+    if (error.code === 'REDEMPTION_STATE') return res.status(409).json({ success: false, message: error.message });
+    return null;
+}
+
+/** Staff and managers hand over pickups at their own branch only; admins anywhere. */
+function atPickupBranch(req, redemption) {
+    if (redemption.fulfilment !== 'pickup') return true;
+    if (isFullAdmin(req.user.role)) return true;
+    return Number(req.user.branch_id) === Number(redemption.branch_id);
+}
+
+/** Issue a fresh handover OTP on the row and send it to the painter. */
+async function sendHandoverOtp(redemption) {
+    const { otp, hash } = painterRewards.newHandoverOtp();
+    await pool.query(
+        'UPDATE painter_reward_redemptions SET handover_otp_hash = ?, handover_otp_attempts = 0, handover_otp_sent_at = NOW() WHERE id = ?',
+        [hash, redemption.id]
+    );
+    return otp;
+}
+
+async function notifyRedemption(redemption, title, body) {
+    try {
+        await painterNotificationService.sendToPainter(redemption.painter_id, {
+            type: 'reward_redemption',
+            title,
+            body,
+            data: { redemption_id: String(redemption.id), redemption_number: redemption.redemption_number }
+        });
+    } catch (notifErr) {
+        console.error('Reward notification error (non-fatal):', notifErr.message);
+    }
+}
+
+router.get('/rewards', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const [rewards] = await pool.query(
+            `SELECT pr.*,
+                    (SELECT COALESCE(SUM(quantity), 0) FROM painter_reward_redemptions r
+                     WHERE r.reward_id = pr.id AND r.status <> 'cancelled') AS redeemed_qty
+             FROM painter_rewards pr ORDER BY pr.is_active DESC, pr.sort_order, pr.points_cost`
+        );
+        res.json({ success: true, rewards, levels: painterRewards.LEVELS });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to get rewards' });
+    }
+});
+
+router.post('/rewards', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const reward = painterRewards.normaliseReward(req.body || {});
+        const [result] = await pool.query(
+            `INSERT INTO painter_rewards (name, description, category, points_cost, voucher_value, stock, min_level,
+                fulfilment, image_url, max_per_painter, is_active, sort_order, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [reward.name, reward.description, reward.category, reward.points_cost, reward.voucher_value, reward.stock,
+                reward.min_level, reward.fulfilment, reward.image_url, reward.max_per_painter, reward.is_active,
+                reward.sort_order, req.user.id]
+        );
+        audit.record(req, { action: 'painter.reward.create', entity_type: 'painter_reward', entity_id: result.insertId, after: reward });
+        res.json({ success: true, id: result.insertId });
+    } catch (error) {
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to create reward' });
+    }
+});
+
+router.put('/rewards/:rewardId', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const before = await painterRewards.loadReward(pool, parseInt(req.params.rewardId));
+        if (!before) return res.status(404).json({ success: false, message: 'Reward not found' });
+        const reward = painterRewards.normaliseReward({ ...before, ...req.body });
+        await pool.query(
+            `UPDATE painter_rewards SET name = ?, description = ?, category = ?, points_cost = ?, voucher_value = ?,
+                stock = ?, min_level = ?, fulfilment = ?, image_url = ?, max_per_painter = ?, is_active = ?, sort_order = ?
+             WHERE id = ?`,
+            [reward.name, reward.description, reward.category, reward.points_cost, reward.voucher_value, reward.stock,
+                reward.min_level, reward.fulfilment, reward.image_url, reward.max_per_painter, reward.is_active,
+                reward.sort_order, before.id]
+        );
+        audit.record(req, { action: 'painter.reward.update', entity_type: 'painter_reward', entity_id: before.id, before, after: reward });
+        res.json({ success: true });
+    } catch (error) {
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to update reward' });
+    }
+});
+
+// The fulfilment queue. Staff and managers see their branch's pickups plus
+// every dispatch; admins see every branch.
+router.get('/rewards/redemptions', fulfilPerm, async (req, res) => {
+    try {
+        const { status, fulfilment, branch_id } = req.query;
+        const params = [];
+        let query = `SELECT r.*, p.full_name, p.phone, b.name AS branch_name
+                     FROM painter_reward_redemptions r
+                     JOIN painters p ON p.id = r.painter_id
+                     LEFT JOIN branches b ON b.id = r.branch_id WHERE 1=1`;
+        if (status) { query += ' AND r.status = ?'; params.push(status); }
+        else { query += " AND r.status IN ('requested', 'ready', 'dispatched')"; }
+        if (fulfilment) { query += ' AND r.fulfilment = ?'; params.push(fulfilment); }
+        if (branch_id) { query += ' AND r.branch_id = ?'; params.push(parseInt(branch_id)); }
+        if (!isFullAdmin(req.user.role)) {
+            query += " AND (r.fulfilment = 'dispatch' OR r.branch_id = ?)";
+            params.push(req.user.branch_id || 0);
+        }
+        query += ' ORDER BY r.requested_at LIMIT 200';
+        const [rows] = await pool.query(query, params);
+        res.json({ success: true, redemptions: rows.map(({ handover_otp_hash, ...r }) => ({ ...r, otp_sent: !!handover_otp_hash })) });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to get redemptions' });
+    }
+});
+
+// Pickup: the reward is set aside at the branch — the painter gets the OTP.
+router.post('/rewards/redemptions/:id/ready', fulfilPerm, async (req, res) => {
+    try {
+        const redemption = await painterRewards.loadRedemption(pool, parseInt(req.params.id));
+        if (!redemption) return res.status(404).json({ success: false, message: 'Redemption not found' });
+        if (redemption.fulfilment !== 'pickup') return res.status(400).json({ success: false, message: 'This redemption is delivered — dispatch it instead' });
+        if (!atPickupBranch(req, redemption)) return res.status(403).json({ success: false, message: 'Pickup is at another branch' });
+        painterRewards.assertTransition(redemption.status, 'ready');
+        const [claim] = await pool.query(
+            "UPDATE painter_reward_redemptions SET status = 'ready', ready_at = NOW() WHERE id = ? AND status = 'requested'",
+            [redemption.id]
+        );
+        if (!claim.affectedRows) return res.status(409).json({ success: false, message: 'Redemption changed meanwhile' });
+        const otp = await sendHandoverOtp(redemption);
+        res.json({ success: true });
+        audit.record(req, { action: 'painter.reward.ready', entity_type: 'painter_reward_redemption', entity_id: redemption.id });
+        await notifyRedemption(redemption, 'Your reward is ready!',
+            `${redemption.reward_name} (${redemption.redemption_number}) is ready to collect. Show OTP ${otp} at the counter.`);
+    } catch (error) {
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to mark ready' });
+    }
+});
+
+// Dispatch: on its way — the painter gives the OTP to the delivery person.
+router.post('/rewards/redemptions/:id/dispatch', fulfilPerm, async (req, res) => {
+    try {
+        const { courier_name, tracking_number } = req.body || {};
+        const redemption = await painterRewards.loadRedemption(pool, parseInt(req.params.id));
+        if (!redemption) return res.status(404).json({ success: false, message: 'Redemption not found' });
+        if (redemption.fulfilment !== 'dispatch') return res.status(400).json({ success: false, message: 'This redemption is a branch pickup' });
+        painterRewards.assertTransition(redemption.status, 'dispatch');
+        const [claim] = await pool.query(
+            `UPDATE painter_reward_redemptions SET status = 'dispatched', dispatched_at = NOW(), courier_name = ?, tracking_number = ?
+             WHERE id = ? AND status = 'requested'`,
+            [courier_name ? String(courier_name).slice(0, 100) : null, tracking_number ? String(tracking_number).slice(0, 100) : null, redemption.id]
+        );
+        if (!claim.affectedRows) return res.status(409).json({ success: false, message: 'Redemption changed meanwhile' });
+        const otp = await sendHandoverOtp(redemption);
+        res.json({ success: true });
+        audit.record(req, { action: 'painter.reward.dispatch', entity_type: 'painter_reward_redemption', entity_id: redemption.id, after: { courier_name, tracking_number } });
+        await notifyRedemption(redemption, 'Your reward is on its way!',
+            `${redemption.reward_name} (${redemption.redemption_number}) has been dispatched${tracking_number ? ` — tracking ${tracking_number}` : ''}. Give OTP ${otp} on delivery.`);
+    } catch (error) {
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to dispatch' });
+    }
+});
+
+// Body: { otp } — closes the redemption once the painter's OTP matches.
+// Vouchers get their store-credit code here.
+router.post('/rewards/redemptions/:id/handover', fulfilPerm, async (req, res) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const redemption = await painterRewards.loadRedemption(conn, parseInt(req.params.id), true);
+        if (!redemption) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Redemption not found' });
+        }
+        if (!atPickupBranch(req, redemption)) {
+            await conn.rollback();
+            return res.status(403).json({ success: false, message: 'Pickup is at another branch' });
+        }
+        painterRewards.assertTransition(redemption.status, 'handover');
+        const check = painterRewards.checkHandoverOtp(redemption, (req.body || {}).otp);
+        if (!check.ok) {
+            if (!check.exhausted) {
+                await conn.query('UPDATE painter_reward_redemptions SET handover_otp_attempts = handover_otp_attempts + 1 WHERE id = ?', [redemption.id]);
+            }
+            await conn.commit();
+            return res.status(400).json({
+                success: false,
+                message: check.exhausted ? 'OTP used up — send the painter a new one' : 'Wrong OTP. Ask the painter for the code we sent.'
+            });
+        }
+        const voucherCode = redemption.category === 'voucher' ? painterRewards.newVoucherCode() : null;
+        await conn.query(
+            `UPDATE painter_reward_redemptions SET status = 'delivered', delivered_at = NOW(), handed_over_by = ?,
+                    handover_otp_hash = NULL, voucher_code = COALESCE(?, voucher_code) WHERE id = ?`,
+            [req.user.id, voucherCode, redemption.id]
+        );
+        await conn.commit();
+        res.json({ success: true, voucher_code: voucherCode });
+        audit.record(req, { action: 'painter.reward.handover', entity_type: 'painter_reward_redemption', entity_id: redemption.id, after: { voucher_code: voucherCode } });
+        await notifyRedemption(redemption, 'Reward delivered',
+            voucherCode
+                ? `Your store-credit voucher ${voucherCode} worth ₹${parseFloat(redemption.voucher_value).toFixed(2)} is ready to use.`
+                : `${redemption.reward_name} (${redemption.redemption_number}) has been handed over. Enjoy!`);
+    } catch (error) {
+        await conn.rollback();
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to confirm handover' });
+    } finally {
+        conn.release();
+    }
+});
+
+router.post('/rewards/redemptions/:id/otp', fulfilPerm, async (req, res) => {
+    try {
+        const redemption = await painterRewards.loadRedemption(pool, parseInt(req.params.id));
+        if (!redemption) return res.status(404).json({ success: false, message: 'Redemption not found' });
+        painterRewards.assertTransition(redemption.status, 'resend_otp');
+        const otp = await sendHandoverOtp(redemption);
+        res.json({ success: true });
+        await notifyRedemption(redemption, 'Your reward handover code', `Your new OTP for ${redemption.redemption_number} is ${otp}.`);
+    } catch (error) {
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to send OTP' });
+    }
+});
+
+// Body: { reason } — points and stock go back.
+router.post('/rewards/redemptions/:id/cancel', fulfilPerm, async (req, res) => {
+    const reason = String((req.body || {}).reason || '').trim();
+    if (reason.length < 3) return res.status(400).json({ success: false, message: 'A cancellation reason is required' });
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const redemption = await painterRewards.loadRedemption(conn, parseInt(req.params.id), true);
+        if (!redemption) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Redemption not found' });
+        }
+        painterRewards.assertTransition(redemption.status, 'cancel');
+        await pointsEngine.returnPoints(redemption.painter_id, 'regular', parseFloat(redemption.total_points), 'reward',
+            String(redemption.id), 'reward_cancel', `Cancelled ${redemption.redemption_number} — points returned`, req.user.id, { conn });
+        await conn.query(
+            'UPDATE painter_rewards SET stock = stock + ? WHERE id = ? AND stock IS NOT NULL',
+            [redemption.quantity, redemption.reward_id]
+        );
+        await conn.query(
+            `UPDATE painter_reward_redemptions SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = ?,
+                    cancel_reason = ?, handover_otp_hash = NULL WHERE id = ?`,
+            [req.user.id, reason.slice(0, 255), redemption.id]
+        );
+        await conn.commit();
+        res.json({ success: true });
+        audit.record(req, { action: 'painter.reward.cancel', entity_type: 'painter_reward_redemption', entity_id: redemption.id, before: { status: redemption.status }, after: { status: 'cancelled', reason } });
+        await notifyRedemption(redemption, 'Reward redemption cancelled',
+            `${redemption.redemption_number} was cancelled (${reason}). ${parseFloat(redemption.total_points).toFixed(0)} points are back in your balance.`);
+    } catch (error) {
+        await conn.rollback();
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to cancel redemption' });
+    } finally {
+        conn.release();
+    }
+});
+
 // --- ATTENDANCE (ADMIN) ---
 
 router.get('/attendance', requireAuth, async (req, res) => {
@@ -1306,6 +1908,21 @@ router.get('/reports/top-earners', requireAuth, async (req, res) => {
     }
 });
 
+// Outstanding regular-points liability by the month it expires
+// (services/painter-points-expiry.js — FIFO over each painter's earn rows).
+router.get('/reports/points-expiry', requireAuth, async (req, res) => {
+    try {
+        const [policy, liability] = await Promise.all([
+            painterPointsExpiry.loadPolicy(pool),
+            painterPointsExpiry.liabilityByMonth(pool)
+        ]);
+        res.json({ success: true, policy, ...liability });
+    } catch (error) {
+        console.error('Points expiry report error:', error);
+        res.status(500).json({ success: false, message: 'Failed to get points expiry report' });
+    }
+});
+
 // --- ESTIMATES (ADMIN) ---
 
 // List all estimates
@@ -1736,7 +2353,24 @@ router.post('/estimates/:estimateId/discount', requirePermission('painters', 'es
 
         const estimate = estimates[0];
         const baseTotal = parseFloat(estimate.markup_grand_total) || parseFloat(estimate.grand_total);
-        const pct = parseFloat(discount_percentage);
+
+        // Multi-stage chain keyed on the discount % (e.g. > 8% ⇒ branch manager then admin)
+        let approval;
+        try {
+            approval = await approvals.decide(req.user, {
+                entityType: 'painter_estimate_discount', entityId: estimate.id, decision: 'approve',
+                amount: parseFloat(discount_percentage),
+                start: { title: `Discount on estimate #${estimate.estimate_number || estimate.id}` }
+            });
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+        }
+        if (!approval.final) {
+            return res.json({ success: true, pending: true, message: approval.message, approval });
+        }
+
+        const pct = approval.amount != null ? approval.amount : parseFloat(discount_percentage);
         const discountAmount = Math.round(baseTotal * (pct / 100) * 100) / 100;
         const finalTotal = Math.round((baseTotal - discountAmount) * 100) / 100;
 
@@ -1772,6 +2406,10 @@ router.post('/estimates/:estimateId/approve-final', requirePermission('painters'
             [finalTotal, req.user.id, estimate.id]
         );
         await logEstimateStatusChange(estimate.id, estimate.status, 'final_approved', req.user.id, 'Final approved (no discount)');
+        if (estimate.status === 'discount_requested') {
+            await approvals.cancel('painter_estimate_discount', estimate.id, 'Approved without discount')
+                .catch(err => console.error('Cancel discount approval error:', err.message));
+        }
 
         res.json({ success: true, message: 'Estimate final approved' });
     } catch (error) {
@@ -2407,6 +3045,203 @@ router.put('/admin/challenges/:id', requireAuth, requirePermission('painters', '
     }
 });
 
+// --- CAMPAIGNS (rule-based challenges, services/painter-campaigns.js) ---
+
+function campaignView(c) {
+    const rules = painterCampaigns.campaignRules(c) || [];
+    return {
+        ...c,
+        start_date: painterCampaigns.dateKey(c.start_date),
+        end_date: painterCampaigns.dateKey(c.end_date),
+        rules: rules.map(r => ({ ...r, label: painterCampaigns.describeCondition(r) })),
+        branch_ids: painterCampaigns.parseJson(c.branch_ids)
+    };
+}
+
+async function loadCampaign(id) {
+    const [rows] = await pool.query('SELECT * FROM painter_challenges WHERE id = ? AND rules IS NOT NULL', [id]);
+    return rows[0] || null;
+}
+
+router.get('/admin/campaigns', requireAuth, requirePermission('painters', 'view'), async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT c.*,
+                    (SELECT COUNT(*) FROM painter_challenge_progress cp WHERE cp.challenge_id = c.id AND cp.current_value > 0) AS participants,
+                    (SELECT COUNT(*) FROM painter_challenge_progress cp WHERE cp.challenge_id = c.id AND cp.completed = 1) AS completed
+             FROM painter_challenges c
+             WHERE c.rules IS NOT NULL
+             ORDER BY c.is_active DESC, c.end_date DESC, c.id DESC`
+        );
+        res.json({ success: true, campaigns: rows.map(campaignView), metrics: painterCampaigns.METRICS });
+    } catch (error) {
+        console.error('List campaigns error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load campaigns' });
+    }
+});
+
+router.post('/admin/campaigns', requireAuth, requirePermission('painters', 'manage'), async (req, res) => {
+    try {
+        const c = painterCampaigns.normaliseCampaign(req.body);
+        const [result] = await pool.query(
+            `INSERT INTO painter_challenges (title, description, challenge_type, target_value, reward_points,
+             start_date, end_date, icon, rules, match_mode, branch_ids, auto_award, is_active, created_by, created_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 1, ?, NOW())`,
+            [c.title, c.description, c.challenge_type, c.target_value, c.reward_points, c.start_date, c.end_date,
+             c.icon, c.rules, c.match_mode, c.branch_ids, c.auto_award, req.user.id]
+        );
+        audit.record(req, { action: 'painter.campaign.create', entity_type: 'painter_challenge', entity_id: result.insertId, after: c });
+        res.json({ success: true, message: 'Campaign created', id: result.insertId });
+    } catch (error) {
+        if (error.code === 'INVALID_CAMPAIGN') return res.status(400).json({ success: false, message: error.message });
+        console.error('Create campaign error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create campaign' });
+    }
+});
+
+router.put('/admin/campaigns/:campaignId', requireAuth, requirePermission('painters', 'manage'), async (req, res) => {
+    try {
+        const before = await loadCampaign(parseInt(req.params.campaignId));
+        if (!before) return res.status(404).json({ success: false, message: 'Campaign not found' });
+        const c = painterCampaigns.normaliseCampaign({ ...campaignView(before), ...req.body });
+        const isActive = req.body.is_active === undefined ? before.is_active : (req.body.is_active ? 1 : 0);
+        await pool.query(
+            `UPDATE painter_challenges SET title = ?, description = ?, reward_points = ?, start_date = ?, end_date = ?,
+                icon = ?, rules = ?, match_mode = ?, branch_ids = ?, auto_award = ?, is_active = ?
+             WHERE id = ?`,
+            [c.title, c.description, c.reward_points, c.start_date, c.end_date, c.icon, c.rules, c.match_mode,
+             c.branch_ids, c.auto_award, isActive, before.id]
+        );
+        audit.record(req, { action: 'painter.campaign.update', entity_type: 'painter_challenge', entity_id: before.id, before: campaignView(before), after: { ...c, is_active: isActive } });
+        res.json({ success: true, message: 'Campaign updated' });
+    } catch (error) {
+        if (error.code === 'INVALID_CAMPAIGN') return res.status(400).json({ success: false, message: error.message });
+        console.error('Update campaign error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update campaign' });
+    }
+});
+
+// Recompute progress now (and pay auto-award completions) instead of waiting
+// for the hourly job.
+router.post('/admin/campaigns/:campaignId/evaluate', requireAuth, requirePermission('painters', 'manage'), async (req, res) => {
+    try {
+        const campaign = await loadCampaign(parseInt(req.params.campaignId));
+        if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+        const results = await painterCampaigns.syncCampaign(pool, campaign);
+        let awarded = 0;
+        if (campaign.auto_award && campaign.is_active) {
+            for (const r of results.filter(x => x.completed)) {
+                if (await painterCampaigns.awardCompletion(pool, pointsEngine, campaign, r.painter_id)) awarded++;
+            }
+        }
+        res.json({ success: true, message: `${results.length} painter(s) updated, ${awarded} reward(s) paid`, evaluated: results.length, awarded });
+    } catch (error) {
+        console.error('Evaluate campaign error:', error);
+        res.status(500).json({ success: false, message: 'Failed to evaluate campaign' });
+    }
+});
+
+// Results dashboard: participation, completion and points cost per painter.
+router.get('/admin/campaigns/:campaignId/results', requireAuth, requirePermission('painters', 'view'), async (req, res) => {
+    try {
+        const campaign = await loadCampaign(parseInt(req.params.campaignId));
+        if (!campaign) return res.status(404).json({ success: false, message: 'Campaign not found' });
+        const results = await painterCampaigns.campaignResults(pool, campaign);
+        res.json({ success: true, campaign: campaignView(campaign), ...results });
+    } catch (error) {
+        console.error('Campaign results error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load campaign results' });
+    }
+});
+
+// ─── Fraud review (services/painter-fraud.js) ───────────────
+
+// The review queue. ?status=open|cleared|confirmed|all (default open).
+router.get('/fraud-cases', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const cases = await painterFraud.listCases(pool, { status: req.query.status || 'open' });
+        res.json({ success: true, cases, signals: painterFraud.SIGNALS });
+    } catch (error) {
+        console.error('Fraud cases error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load fraud cases' });
+    }
+});
+
+// Run the scan now (same as the nightly job, without the day claim).
+router.post('/fraud-cases/run', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const result = await painterFraud.runScan(pool, toISTDateString(new Date()));
+        audit.record(req, { action: 'painter.fraud_scan.run', entity_type: 'painter_fraud_case', entity_id: null, after: result });
+        res.json({ success: true, ...result });
+    } catch (error) {
+        console.error('Fraud scan error:', error);
+        res.status(500).json({ success: false, message: 'Fraud scan failed' });
+    }
+});
+
+router.get('/fraud-cases/:caseId', requirePermission('painters', 'points'), async (req, res) => {
+    try {
+        const fraudCase = await painterFraud.loadCase(pool, parseInt(req.params.caseId));
+        if (!fraudCase) return res.status(404).json({ success: false, message: 'Case not found' });
+        res.json({ success: true, case: fraudCase, signals: painterFraud.SIGNALS });
+    } catch (error) {
+        console.error('Fraud case error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load fraud case' });
+    }
+});
+
+// freeze / unfreeze the painter's withdrawals; clear (not fraud — lifts the
+// freeze, its evidence never counts again) or confirm (stays frozen).
+router.post('/fraud-cases/:caseId/:action', requirePermission('painters', 'points'), async (req, res) => {
+    const action = req.params.action;
+    const notes = req.body && req.body.notes ? String(req.body.notes).trim().slice(0, 500) : null;
+    if ((action === 'clear' || action === 'confirm') && !notes) {
+        return res.status(400).json({ success: false, message: 'Review notes are required' });
+    }
+
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query('SELECT * FROM painter_fraud_cases WHERE id = ? FOR UPDATE', [parseInt(req.params.caseId)]);
+        if (!rows.length) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Case not found' });
+        }
+        const before = rows[0];
+        painterFraud.assertTransition(before, action);
+
+        const frozen = { freeze: 1, confirm: 1, unfreeze: 0, clear: 0 }[action];
+        const status = action === 'clear' ? 'cleared' : (action === 'confirm' ? 'confirmed' : before.status);
+        await painterFraud.setFrozen(conn, before.painter_id, frozen === 1, `Fraud review case #${before.id}`);
+        if (action === 'clear' || action === 'confirm') {
+            await conn.query(
+                'UPDATE painter_fraud_cases SET status = ?, withdrawals_frozen = ?, reviewed_by = ?, reviewed_at = NOW(), review_notes = ? WHERE id = ?',
+                [status, frozen, req.user.id, notes, before.id]
+            );
+        } else {
+            await conn.query(
+                'UPDATE painter_fraud_cases SET withdrawals_frozen = ?, review_notes = COALESCE(?, review_notes) WHERE id = ?',
+                [frozen, notes, before.id]
+            );
+        }
+        await conn.commit();
+
+        audit.record(req, {
+            action: `painter.fraud_case.${action}`, entity_type: 'painter_fraud_case', entity_id: before.id,
+            before: { status: before.status, withdrawals_frozen: before.withdrawals_frozen },
+            after: { painter_id: before.painter_id, status, withdrawals_frozen: frozen, notes }
+        });
+        res.json({ success: true, case: { id: before.id, status, withdrawals_frozen: frozen } });
+    } catch (error) {
+        await conn.rollback();
+        if (error.code === 'FRAUD_CASE_STATE') return res.status(409).json({ success: false, message: error.message });
+        console.error('Fraud case action error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update fraud case' });
+    } finally {
+        conn.release();
+    }
+});
+
 // ═══════════════════════════════════════════════════════════════
 // ADMIN PARAMETERIZED ROUTES (/:id) — MUST be AFTER named routes
 // ═══════════════════════════════════════════════════════════════
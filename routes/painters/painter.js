@@ -7,6 +7,10 @@
 const express = require('express');
 const router = express.Router();
 const pointsEngine = require('../../services/painter-points-engine');
+const payouts = require('../../services/painter-payouts');
+const painterRewards = require('../../services/painter-rewards');
+const painterPointsExpiry = require('../../services/painter-points-expiry');
+const painterCampaigns = require('../../services/painter-campaigns');
 const { uploadPainterAttendance, uploadProfile, uploadPainterVisualization } = require('../../config/uploads');
 const sharp = require('sharp');
 const cardGenerator = require('../../services/painter-card-generator');
@@ -16,7 +20,9 @@ const { generatePainterEstimatePDF } = require('../painter-estimate-pdf-generato
 const attendanceService = require('../../services/painter-attendance-service');
 const { idempotent } = require('../../middleware/idempotency');
 const { requirePainterAuth, requirePainterSession } = require('./middleware');
-const { logEstimateStatusChange, buildCatalogVisibility } = require('./shared');
+const { logEstimateStatusChange, buildCatalogVisibility, nextDocNumber } = require('./shared');
+const approvals = require('../../services/approval-workflow');
+const audit = require('../../services/audit-log');
 
 let pool;
 let io;
@@ -109,14 +115,42 @@ router.get('/me', requirePainterAuth, async (req, res) => {
 
 router.put('/me', requirePainterAuth, async (req, res) => {
     try {
-        const { email, address, city, district, pincode, experience_years, specialization } = req.body;
+        const { email, address, city, district, pincode, experience_years, specialization,
+            bank_account_name, bank_name, bank_account_number, bank_ifsc_code, upi_id } = req.body;
+        // Payout details (withdrawal payout batches): checked the way the batch will check them.
+        const ifsc = bank_ifsc_code ? String(bank_ifsc_code).trim().toUpperCase() : null;
+        const account = bank_account_number ? String(bank_account_number).replace(/\s/g, '') : null;
+        const vpa = upi_id ? String(upi_id).trim() : null;
+        const issue = payouts.detailsIssue({ bank_account_number: account, bank_ifsc_code: ifsc, upi_id: vpa });
+        if (issue) return res.status(400).json({ success: false, message: issue });
+        const [current] = await pool.query(
+            'SELECT bank_account_name, bank_name, bank_account_number, bank_ifsc_code, upi_id FROM painters WHERE id = ?',
+            [req.painter.id]
+        );
         await pool.query(
             `UPDATE painters SET email = COALESCE(?, email), address = COALESCE(?, address), city = COALESCE(?, city),
              district = COALESCE(?, district), pincode = COALESCE(?, pincode), experience_years = COALESCE(?, experience_years),
-             specialization = COALESCE(?, specialization), card_generated_at = NULL, id_card_generated_at = NULL WHERE id = ?`,
-            [email, address, city, district, pincode, experience_years, specialization, req.painter.id]
+             specialization = COALESCE(?, specialization), bank_account_name = COALESCE(?, bank_account_name),
+             bank_name = COALESCE(?, bank_name), bank_account_number = COALESCE(?, bank_account_number),
+             bank_ifsc_code = COALESCE(?, bank_ifsc_code), upi_id = COALESCE(?, upi_id),
+             card_generated_at = NULL, id_card_generated_at = NULL WHERE id = ?`,
+            [email, address, city, district, pincode, experience_years, specialization,
+                bank_account_name || null, bank_name || null, account, ifsc, vpa, req.painter.id]
         );
         res.json({ success: true, message: 'Profile updated' });
+
+        // Where withdrawals get paid: keep a trail of every change.
+        const before = current[0] || {};
+        const sent = { bank_account_name: bank_account_name || null, bank_name: bank_name || null,
+            bank_account_number: account, bank_ifsc_code: ifsc, upi_id: vpa };
+        const changed = Object.keys(sent).filter(k => sent[k] !== null && sent[k] !== (before[k] == null ? null : before[k]));
+        if (changed.length) {
+            await audit.record(req, {
+                action: 'painter.payout_details.update', entity_type: 'painter', entity_id: req.painter.id,
+                before: Object.fromEntries(changed.map(k => [k, before[k] == null ? null : before[k]])),
+                after: Object.fromEntries(changed.map(k => [k, sent[k]]))
+            });
+        }
     } catch (error) {
         res.status(500).json({ success: false, message: 'Failed to update profile' });
     }
@@ -452,6 +486,12 @@ router.post('/me/withdraw', requirePainterAuth, idempotent('painter.withdraw.cre
         const result = await pointsEngine.requestWithdrawal(req.painter.id, pointPool, parseFloat(amount));
         res.json({ success: true, message: 'Withdrawal requested', ...result });
     } catch (error) {
+        if (error.code === 'WITHDRAWAL_WINDOW_CLOSED') {
+            return res.status(403).json({ success: false, code: error.code, message: error.message, window: error.window });
+        }
+        if (error.code === 'WITHDRAWALS_FROZEN') {
+            return res.status(403).json({ success: false, code: error.code, message: error.message });
+        }
         res.status(400).json({ success: false, message: error.message });
     }
 });
@@ -465,6 +505,171 @@ router.get('/me/withdrawals', requirePainterAuth, async (req, res) => {
     }
 });
 
+// ═══════════════════════════════════════════
+// REWARDS CATALOGUE (redeem points — services/painter-rewards.js)
+// ═══════════════════════════════════════════
+
+function rewardError(res, error) {
+    if (error.code === 'NOT_ELIGIBLE') return res.status(400).json({ success: false, message: error.message });
+    if (error.code === 'REDEMPTION_STATE') return res.status(409).json({ success: false, message: error.message });
+    if (/^Insufficient/.test(error.message)) return res.status(400).json({ success: false, message: 'Not enough points' });
+    return null;
+}
+
+// Active rewards with whether this painter can redeem each, plus the pickup branches.
+router.get('/me/rewards', requirePainterAuth, async (req, res) => {
+    try {
+        const [[painterRows], [rewards], [counts], [branches]] = await Promise.all([
+            pool.query('SELECT current_level, regular_points FROM painters WHERE id = ?', [req.painter.id]),
+            pool.query('SELECT * FROM painter_rewards WHERE is_active = 1 ORDER BY sort_order, points_cost'),
+            pool.query(
+                `SELECT reward_id, SUM(quantity) AS qty FROM painter_reward_redemptions
+                 WHERE painter_id = ? AND status <> 'cancelled' GROUP BY reward_id`,
+                [req.painter.id]
+            ),
+            pool.query("SELECT id, name, city FROM branches WHERE status = 'active' ORDER BY name")
+        ]);
+        const level = painterRows[0]?.current_level || 'bronze';
+        const balance = parseFloat(painterRows[0]?.regular_points) || 0;
+        const redeemed = new Map(counts.map(c => [c.reward_id, Number(c.qty)]));
+        res.json({
+            success: true,
+            level,
+            balance,
+            rewards: rewards.map(r => {
+                const issue = painterRewards.eligibilityIssue(r, { level, balance, redeemedCount: redeemed.get(r.id) || 0 });
+                return { ...r, can_redeem: !issue, reason: issue };
+            }),
+            branches
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to load rewards' });
+    }
+});
+
+router.get('/me/rewards/redemptions', requirePainterAuth, async (req, res) => {
+    try {
+        const [redemptions] = await pool.query(
+            `SELECT r.id, r.redemption_number, r.reward_id, r.reward_name, r.category, r.quantity, r.total_points,
+                    r.voucher_value, r.voucher_code, r.fulfilment, r.branch_id, b.name AS branch_name, r.delivery_address,
+                    r.status, r.courier_name, r.tracking_number, r.requested_at, r.ready_at, r.dispatched_at,
+                    r.delivered_at, r.cancelled_at, r.cancel_reason
+             FROM painter_reward_redemptions r LEFT JOIN branches b ON b.id = r.branch_id
+             WHERE r.painter_id = ? ORDER BY r.id DESC LIMIT 100`,
+            [req.painter.id]
+        );
+        res.json({ success: true, redemptions });
+    } catch (error) {
+        res.status(500).json({ success: false, message: 'Failed to get redemptions' });
+    }
+});
+
+// Body: { quantity?, fulfilment: 'pickup'|'dispatch', branch_id?, delivery_address? }
+router.post('/me/rewards/:rewardId/redeem', requirePainterAuth, idempotent('painter.reward.redeem'), async (req, res) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const reward = await painterRewards.loadReward(conn, parseInt(req.params.rewardId), true);
+        if (!reward) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Reward not found' });
+        }
+        const [painterRows] = await conn.query('SELECT current_level FROM painters WHERE id = ?', [req.painter.id]);
+        const plan = painterRewards.planRedemption(reward, {
+            level: painterRows[0]?.current_level,
+            redeemedCount: await painterRewards.redeemedCount(conn, req.painter.id, reward.id)
+        }, req.body || {});
+        if (plan.branch_id) {
+            const [branch] = await conn.query("SELECT id FROM branches WHERE id = ? AND status = 'active'", [plan.branch_id]);
+            if (!branch.length) throw Object.assign(new Error('Choose an active branch for pickup'), { code: 'NOT_ELIGIBLE' });
+        }
+
+        const number = await nextDocNumber(conn, 'RW', 'painter_reward_redemptions', 'redemption_number');
+        const [result] = await conn.query(
+            `INSERT INTO painter_reward_redemptions
+             (redemption_number, painter_id, reward_id, reward_name, category, quantity, points_each, total_points,
+              voucher_value, fulfilment, branch_id, delivery_address)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [number, req.painter.id, reward.id, reward.name, reward.category, plan.quantity, plan.points_each,
+                plan.total_points, plan.voucher_value, plan.fulfilment, plan.branch_id, plan.delivery_address]
+        );
+        if (reward.stock !== null) {
+            await conn.query('UPDATE painter_rewards SET stock = stock - ? WHERE id = ?', [plan.quantity, reward.id]);
+        }
+        const balance = await pointsEngine.deductPoints(req.painter.id, 'regular', plan.total_points, 'reward',
+            String(result.insertId), 'reward_redemption', `Redeemed ${plan.quantity} × ${reward.name} (${number})`, null,
+            { type: 'redeem', conn });
+        await conn.commit();
+
+        res.json({
+            success: true,
+            message: plan.fulfilment === 'pickup'
+                ? 'Redeemed! We will tell you when it is ready to collect.'
+                : 'Redeemed! We will tell you when it is on its way.',
+            redemption: { id: result.insertId, redemption_number: number, ...plan, status: 'requested' },
+            balance
+        });
+    } catch (error) {
+        await conn.rollback();
+        if (rewardError(res, error)) return;
+        console.error('Reward redeem error:', error);
+        res.status(500).json({ success: false, message: 'Failed to redeem reward' });
+    } finally {
+        conn.release();
+    }
+});
+
+// New handover OTP for a ready / dispatched redemption (the old one expired
+// after too many wrong tries, or the notification was lost).
+router.post('/me/rewards/redemptions/:id/otp', requirePainterAuth, async (req, res) => {
+    try {
+        const redemption = await painterRewards.loadRedemption(pool, parseInt(req.params.id));
+        if (!redemption || redemption.painter_id !== req.painter.id) return res.status(404).json({ success: false, message: 'Redemption not found' });
+        painterRewards.assertTransition(redemption.status, 'resend_otp');
+        const { otp, hash } = painterRewards.newHandoverOtp();
+        await pool.query(
+            'UPDATE painter_reward_redemptions SET handover_otp_hash = ?, handover_otp_attempts = 0, handover_otp_sent_at = NOW() WHERE id = ?',
+            [hash, redemption.id]
+        );
+        res.json({ success: true, otp });
+    } catch (error) {
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to send OTP' });
+    }
+});
+
+// A painter may take back a redemption nobody has started on yet.
+router.post('/me/rewards/redemptions/:id/cancel', requirePainterAuth, async (req, res) => {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const redemption = await painterRewards.loadRedemption(conn, parseInt(req.params.id), true);
+        if (!redemption || redemption.painter_id !== req.painter.id) {
+            await conn.rollback();
+            return res.status(404).json({ success: false, message: 'Redemption not found' });
+        }
+        painterRewards.assertTransition(redemption.status, 'painter_cancel');
+        await pointsEngine.returnPoints(req.painter.id, 'regular', parseFloat(redemption.total_points), 'reward',
+            String(redemption.id), 'reward_cancel', `Cancelled ${redemption.redemption_number} — points returned`, null, { conn });
+        await conn.query(
+            'UPDATE painter_rewards SET stock = stock + ? WHERE id = ? AND stock IS NOT NULL',
+            [redemption.quantity, redemption.reward_id]
+        );
+        await conn.query(
+            "UPDATE painter_reward_redemptions SET status = 'cancelled', cancelled_at = NOW(), cancel_reason = 'Cancelled by painter' WHERE id = ?",
+            [redemption.id]
+        );
+        await conn.commit();
+        res.json({ success: true, message: 'Redemption cancelled — points returned' });
+    } catch (error) {
+        await conn.rollback();
+        if (rewardError(res, error)) return;
+        res.status(500).json({ success: false, message: 'Failed to cancel redemption' });
+    } finally {
+        conn.release();
+    }
+});
+
 router.get('/me/invoices', requirePainterAuth, async (req, res) => {
     try {
         const [invoices] = await pool.query('SELECT * FROM painter_invoices_processed WHERE painter_id = ? ORDER BY processed_at DESC', [req.painter.id]);
@@ -500,18 +705,22 @@ router.get('/me/dashboard', requirePainterAuth, async (req, res) => {
             ? (logoVal.startsWith('/') ? logoVal : `/uploads/logos/${logoVal}`)
             : null;
 
-        // Annual withdrawal window info
+        // Annual withdrawal window: open now, or the countdown to the next one
         let annualWithdrawalInfo = null;
         try {
-            const [awConfig] = await pool.query("SELECT config_key, config_value FROM ai_config WHERE config_key IN ('painter_annual_withdrawal_month', 'painter_annual_withdrawal_day')");
-            const cfgMap = {};
-            awConfig.forEach(c => { cfgMap[c.config_key] = c.config_value; });
-            const awMonth = parseInt(cfgMap.painter_annual_withdrawal_month) || 1;
-            const awDay = parseInt(cfgMap.painter_annual_withdrawal_day) || 1;
-            const monthNames = ['', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
-            annualWithdrawalInfo = { month: awMonth, day: awDay, label: `Withdrawal opens on ${monthNames[awMonth]} ${awDay}` };
+            annualWithdrawalInfo = await pointsEngine.getAnnualWithdrawalWindow();
         } catch (e) { /* optional config fetch; skip if table absent */ }
 
+        // Next regular-points expiry, once the expiry policy is switched on
+        let pointsExpiry = null;
+        try {
+            const policy = await painterPointsExpiry.loadPolicy(pool);
+            if (policy.enabled && balance && balance.regular > 0) {
+                const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+                pointsExpiry = await painterPointsExpiry.nextExpiry(pool, req.painter.id, balance.regular, today);
+            }
+        } catch (e) { /* columns absent before the expiry migration */ }
+
         res.json({
             success: true,
             dashboard: {
@@ -525,6 +734,7 @@ router.get('/me/dashboard', requirePainterAuth, async (req, res) => {
                 pendingWithdrawals: { count: pendingWithdrawals[0].count, total: parseFloat(pendingWithdrawals[0].total) },
                 businessLogo,
                 annualWithdrawalInfo,
+                pointsExpiry,
                 level: painterLevel[0]?.current_level || 'bronze',
                 streak: painterLevel[0]?.current_streak || 0,
                 longestStreak: painterLevel[0]?.longest_streak || 0
@@ -1336,6 +1546,11 @@ router.post('/me/estimates/:estimateId/request-discount', requirePainterAuth, as
             [notes || null, estimate.id]
         );
         await logEstimateStatusChange(estimate.id, estimate.status, 'discount_requested', req.painter.id, notes || 'Discount requested by painter');
+        // The % is set by the approver, so the chain is re-planned on the first decision
+        await approvals.submitQuietly({
+            entityType: 'painter_estimate_discount', entityId: estimate.id,
+            title: `Discount on estimate #${estimate.estimate_number || estimate.id}`
+        });
 
         res.json({ success: true, message: 'Discount request sent to admin' });
     } catch (error) {
@@ -2898,8 +3113,9 @@ router.get('/me/product-requests', requirePainterAuth, async (req, res) => {
 router.get('/me/gamification', requirePainterAuth, async (req, res) => {
     try {
         // Get painter's lifetime points for level calculation
-        const [painter] = await pool.query('SELECT total_lifetime_points FROM painters WHERE id = ?', [req.painter.id]);
+        const [painter] = await pool.query('SELECT total_lifetime_points, branch_id FROM painters WHERE id = ?', [req.painter.id]);
         const lifetimePoints = painter.length ? (painter[0].total_lifetime_points || 0) : 0;
+        const branchId = painter.length ? painter[0].branch_id : null;
 
         let level = 'bronze';
         if (lifetimePoints >= 10000) level = 'diamond';
@@ -2918,9 +3134,24 @@ router.get('/me/gamification', requirePainterAuth, async (req, res) => {
             [req.painter.id]
         );
 
+        // Rule-based campaigns: bring this painter's progress up to date (and
+        // pay an auto-award completion) before reading it back. Best-effort —
+        // the hourly job catches up if this fails.
+        try {
+            const today = new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+            for (const campaign of await painterCampaigns.activeCampaigns(pool, today)) {
+                const [mine] = await painterCampaigns.syncCampaign(pool, campaign, { painterId: req.painter.id, branchId });
+                if (mine && mine.completed && campaign.auto_award) {
+                    await painterCampaigns.awardCompletion(pool, pointsEngine, campaign, req.painter.id);
+                }
+            }
+        } catch (e) {
+            console.error('Campaign progress refresh error:', e.message);
+        }
+
         // Get active challenges with progress
         const [challenges] = await pool.query(
-            `SELECT c.*, cp.current_value, cp.completed, cp.claimed, cp.claimed_at
+            `SELECT c.*, cp.current_value, cp.rule_progress, cp.completed, cp.claimed, cp.claimed_at, cp.awarded_points
              FROM painter_challenges c
              LEFT JOIN painter_challenge_progress cp ON cp.challenge_id = c.id AND cp.painter_id = ?
              WHERE c.is_active = 1 AND c.end_date >= CURDATE()
@@ -2935,12 +3166,18 @@ router.get('/me/gamification', requirePainterAuth, async (req, res) => {
             next_level: nextLevel,
             next_threshold: nextThreshold,
             badges,
-            challenges: challenges.map(c => ({
+            challenges: challenges.filter(c => painterCampaigns.isEligible(c, branchId)).map(c => ({
                 ...c,
+                rules: undefined,
+                branch_ids: undefined,
                 current_value: c.current_value || 0,
                 completed: c.completed || 0,
                 claimed: c.claimed || 0,
-                progress_pct: c.target_value > 0 ? Math.min(100, Math.round(((c.current_value || 0) / c.target_value) * 100)) : 0
+                progress_pct: c.target_value > 0 ? Math.min(100, Math.round(((c.current_value || 0) / c.target_value) * 100)) : 0,
+                // campaigns: one entry per condition ({ label, value, target, met, pct })
+                conditions: painterCampaigns.parseJson(c.rule_progress)
+                    || (painterCampaigns.campaignRules(c) || []).map(r => ({ label: painterCampaigns.describeCondition(r), value: 0, target: r.target, met: false, pct: 0 })),
+                rule_progress: undefined
             }))
         });
     } catch (error) {
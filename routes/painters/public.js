@@ -320,7 +320,14 @@ router.post('/verify-otp', otpLimiter, async (req, res) => {
             return res.status(400).json({ success: false, message: 'Invalid or expired OTP' });
         }
 
-        await pool.query('UPDATE painter_sessions SET otp = NULL, otp_expires_at = NULL WHERE id = ?', [session.id]);
+        // Device / network of the sign-in, for the nightly fraud scan
+        // (services/painter-fraud.js: several painters on one handset).
+        const rawDevice = req.body.device_id || req.get('x-device-id') || '';
+        const deviceId = String(rawDevice).replace(/[^A-Za-z0-9._:-]/g, '').slice(0, 64) || null;
+        await pool.query(
+            'UPDATE painter_sessions SET otp = NULL, otp_expires_at = NULL, device_id = ?, ip_address = ?, user_agent = ? WHERE id = ?',
+            [deviceId, String(req.ip || '').slice(0, 45) || null, String(req.get('user-agent') || '').slice(0, 255) || null, session.id]
+        );
 
         // S4: audit successful painter login
         audit.record(req, {
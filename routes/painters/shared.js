@@ -81,6 +81,19 @@ function toISTDateString(date) {
     return `${ist.getFullYear()}-${String(ist.getMonth() + 1).padStart(2, '0')}-${String(ist.getDate()).padStart(2, '0')}`;
 }
 
+// ─── Document numbers (PREFIX-YYYYMMDD-###, IST date) ─────────
+// Payout batches (PB) and reward redemptions (RW). Pass the transaction
+// connection when the number is taken inside one.
+async function nextDocNumber(db, prefix, table, column) {
+    const dateStr = toISTDateString(new Date()).replace(/-/g, '');
+    const [rows] = await db.query(
+        `SELECT ${column} FROM ${table} WHERE ${column} LIKE ? ORDER BY id DESC LIMIT 1`,
+        [`${prefix}-${dateStr}-%`]
+    );
+    const lastSeq = rows.length ? parseInt(rows[0][column].split('-').pop(), 10) : 0;
+    return `${prefix}-${dateStr}-${String((lastSeq || 0) + 1).padStart(3, '0')}`;
+}
+
 // ─── Catalog curation visibility (admin hidden flags) ────────
 // Pure SQL-fragment builder. Mirrors the inline block in GET /me/catalog.
 // Fixed aliases gb/bo/gc/co/gp/ppo — callers must not reuse them.
@@ -112,5 +125,6 @@ module.exports = {
     getSessionManager: () => sessionManager,
     logEstimateStatusChange,
     toISTDateString,
+    nextDocNumber,
     buildCatalogVisibility,
 };
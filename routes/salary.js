@@ -19,6 +19,9 @@ try { sessionManager = require('../services/whatsapp-session-manager'); } catch
 // Database connection (imported from main app)
 const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
 const audit = require('../services/audit-log');
+const approvals = require('../services/approval-workflow');
+const leaveService = require('../services/leave');
+const shiftsService = require('../services/shifts');
 
 let pool;
 
@@ -536,27 +539,32 @@ async function calculateSalaryForUser(userId, month, calculatedBy) {
 
     // Get attendance data for the month
     // NOTE: status IN ('present','half_day') ensures half-day worked hours are counted for salary
-    // Sunday: 1 actual hr = 2 equivalent hrs, 5 actual hrs (300 min) = 1 day, then OT rule
+    // Sunday: 1 actual hr = 2 equivalent hrs, 5 actual hrs (300 min) = 1 day, then OT rule.
+    // "Sunday" is the staff member's day off — their weekly-off day or a
+    // rostered day off (services/shifts.js); Sunday for staff with no roster.
+    const offDay = shiftsService.offDaySql('sa.date');
     const [attendanceRows] = await pool.query(
         `SELECT
             COUNT(*) as total_days,
-            SUM(CASE WHEN status = 'present' THEN 1 ELSE 0 END) as present_days,
-            SUM(CASE WHEN status = 'absent' THEN 1 ELSE 0 END) as absent_days,
-            SUM(CASE WHEN status = 'half_day' THEN 1 ELSE 0 END) as half_days,
-            SUM(CASE WHEN status = 'on_leave' THEN 1 ELSE 0 END) as leaves,
-            SUM(CASE WHEN DAYOFWEEK(date) = 1 AND status IN ('present','half_day') THEN 1 ELSE 0 END) as sundays_worked,
-            COALESCE(SUM(CASE WHEN DAYOFWEEK(date) != 1 AND status IN ('present','half_day')
-                THEN LEAST(total_working_minutes, 600) ELSE 0 END) / 60, 0) as standard_hours,
-            COALESCE(SUM(CASE WHEN DAYOFWEEK(date) = 1 AND status IN ('present','half_day')
-                THEN LEAST(total_working_minutes, 300) ELSE 0 END) / 60, 0) as sunday_hours,
-            COALESCE(SUM(CASE WHEN DAYOFWEEK(date) != 1 AND status IN ('present','half_day') AND total_working_minutes > 600
-                THEN (total_working_minutes - 600) ELSE 0 END) / 60, 0) as overtime_hours,
-            COALESCE(SUM(CASE WHEN DAYOFWEEK(date) = 1 AND status IN ('present','half_day') AND total_working_minutes > 300
-                THEN (total_working_minutes - 300) * 2 ELSE 0 END) / 60, 0) as sunday_overtime_hours,
-            COALESCE(SUM(CASE WHEN status IN ('present','half_day') THEN ot_approved_minutes ELSE 0 END) / 60, 0) as approved_overtime_hours,
-            COALESCE(SUM(CASE WHEN is_late = 1 THEN 1 ELSE 0 END), 0) as late_days
-         FROM staff_attendance
-         WHERE user_id = ? AND date BETWEEN ? AND ?`,
+            SUM(CASE WHEN sa.status = 'present' THEN 1 ELSE 0 END) as present_days,
+            SUM(CASE WHEN sa.status = 'absent' THEN 1 ELSE 0 END) as absent_days,
+            SUM(CASE WHEN sa.status = 'half_day' THEN 1 ELSE 0 END) as half_days,
+            SUM(CASE WHEN sa.status = 'on_leave' THEN 1 ELSE 0 END) as leaves,
+            SUM(CASE WHEN ${offDay} AND sa.status IN ('present','half_day') THEN 1 ELSE 0 END) as sundays_worked,
+            COALESCE(SUM(CASE WHEN NOT ${offDay} AND sa.status IN ('present','half_day')
+                THEN LEAST(sa.total_working_minutes, 600) ELSE 0 END) / 60, 0) as standard_hours,
+            COALESCE(SUM(CASE WHEN ${offDay} AND sa.status IN ('present','half_day')
+                THEN LEAST(sa.total_working_minutes, 300) ELSE 0 END) / 60, 0) as sunday_hours,
+            COALESCE(SUM(CASE WHEN NOT ${offDay} AND sa.status IN ('present','half_day') AND sa.total_working_minutes > 600
+                THEN (sa.total_working_minutes - 600) ELSE 0 END) / 60, 0) as overtime_hours,
+            COALESCE(SUM(CASE WHEN ${offDay} AND sa.status IN ('present','half_day') AND sa.total_working_minutes > 300
+                THEN (sa.total_working_minutes - 300) * 2 ELSE 0 END) / 60, 0) as sunday_overtime_hours,
+            COALESCE(SUM(CASE WHEN sa.status IN ('present','half_day') THEN sa.ot_approved_minutes ELSE 0 END) / 60, 0) as approved_overtime_hours,
+            COALESCE(SUM(CASE WHEN sa.is_late = 1 THEN 1 ELSE 0 END), 0) as late_days
+         FROM staff_attendance sa
+         LEFT JOIN staff_rosters sr ON sr.user_id = sa.user_id AND sr.roster_date = sa.date
+         LEFT JOIN staff_shift_defaults ssd ON ssd.user_id = sa.user_id
+         WHERE sa.user_id = ? AND sa.date BETWEEN ? AND ?`,
         [userId, fromDate, toDate]
     );
 
@@ -578,11 +586,19 @@ async function calculateSalaryForUser(userId, month, calculatedBy) {
     const weekdayLeaves = parseInt(leaveData.weekday_leaves) || 0;
 
     // Leave policy: 1 paid Sunday leave + 1 paid weekday leave per month
+    // (single-day leave raised as an attendance permission)
     const FREE_SUNDAY_LEAVES = 1;
     const FREE_WEEKDAY_LEAVES = 1;
-    const paidSundayLeaves = Math.min(sundayLeaves, FREE_SUNDAY_LEAVES);
-    const paidWeekdayLeaves = Math.min(weekdayLeaves, FREE_WEEKDAY_LEAVES);
-    const excessLeaves = Math.max(0, sundayLeaves - FREE_SUNDAY_LEAVES) + Math.max(0, weekdayLeaves - FREE_WEEKDAY_LEAVES);
+
+    // Leave module (routes/leave.js): each approved leave day already says
+    // whether it was paid (off a balance) or unpaid (loss of pay), so it is
+    // taken as booked — unpaid days are deducted like excess leave.
+    const moduleLeave = await leaveService.salaryLeave(pool, userId, fromDate, toDate);
+
+    const paidSundayLeaves = Math.min(sundayLeaves, FREE_SUNDAY_LEAVES) + moduleLeave.paid_sunday;
+    const paidWeekdayLeaves = Math.min(weekdayLeaves, FREE_WEEKDAY_LEAVES) + moduleLeave.paid_weekday;
+    const excessLeaves = Math.max(0, sundayLeaves - FREE_SUNDAY_LEAVES) + Math.max(0, weekdayLeaves - FREE_WEEKDAY_LEAVES)
+        + moduleLeave.unpaid;
 
     // Calculate pay components (Sunday: 1hr=2hrs equiv, 5 actual hrs=1 day, Weekday: 10 hrs=1 day)
     const WEEKDAY_HOURS_PER_DAY = 10;
@@ -627,7 +643,7 @@ async function calculateSalaryForUser(userId, month, calculatedBy) {
         absenceDeduction = parseInt(att.absent_days) * hourlyRate * WEEKDAY_HOURS_PER_DAY;
     }
 
-    // Leave deduction: excess leaves beyond free quota
+    // Leave deduction: excess leaves beyond free quota + unpaid leave-module days
     const leaveDeduction = excessLeaves * hourlyRate * WEEKDAY_HOURS_PER_DAY;
 
     // Incentive: sum of approved incentives for this staff+month
@@ -1724,6 +1740,12 @@ router.post('/advances', requireAuth, requirePermission('salary', 'manage'), asy
             [user_id, branch_id, amount, reason || null, notes || null, req.user.id]
         );
 
+        await approvals.submitQuietly({
+            entityType: 'salary_advance', entityId: result.insertId, amount: parseFloat(amount),
+            branchId: branch_id, requestedBy: req.user.id,
+            title: `Salary advance ₹${parseFloat(amount).toLocaleString('en-IN')} for user #${user_id}`
+        });
+
         res.status(201).json({
             success: true,
             message: 'Advance request created',
@@ -1751,6 +1773,21 @@ router.put('/advances/:id/approve', requireAuth, requirePermission('salary', 'ap
             return res.status(400).json({ success: false, message: 'Only pending advances can be approved' });
         }
 
+        // Multi-stage chain (services/approval-workflow.js): only the final step approves the advance
+        let approval;
+        try {
+            approval = await approvals.decide(req.user, {
+                entityType: 'salary_advance', entityId: id, decision: 'approve', note: notes || null,
+                start: { amount: parseFloat(advance[0].amount), branchId: advance[0].branch_id, requestedBy: advance[0].requested_by }
+            });
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+        }
+        if (!approval.final) {
+            return res.json({ success: true, pending: true, message: approval.message, approval });
+        }
+
         await pool.query(
             `UPDATE salary_advances SET status = 'approved', approved_by = ?, approved_at = NOW(), notes = COALESCE(?, notes) WHERE id = ?`,
             [req.user.id, notes || null, id]
@@ -1792,6 +1829,16 @@ router.put('/advances/:id/reject', requireAuth, requirePermission('salary', 'app
             return res.status(400).json({ success: false, message: 'Only pending advances can be rejected' });
         }
 
+        try {
+            await approvals.decide(req.user, {
+                entityType: 'salary_advance', entityId: id, decision: 'reject', note: rejection_reason,
+                start: { amount: parseFloat(advance[0].amount), branchId: advance[0].branch_id, requestedBy: advance[0].requested_by }
+            });
+        } catch (err) {
+            if (!approvals.DECISION_ERROR_STATUS[err.code]) throw err;
+            return res.status(approvals.DECISION_ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+        }
+
         await pool.query(
             `UPDATE salary_advances SET status = 'rejected', rejected_by = ?, rejected_at = NOW(), rejection_reason = ? WHERE id = ?`,
             [req.user.id, rejection_reason, id]
@@ -4,12 +4,44 @@ const crypto = require('crypto');
 const PDFDocument = require('pdfkit');
 const path = require('path');
 const fs = require('fs');
-const { requireAuth } = require('../middleware/permissionMiddleware');
+const { requireAuth, requirePermission } = require('../middleware/permissionMiddleware');
+const { otpLimiter } = require('../middleware/rateLimiter');
 const { getBranding } = require('../services/branding');
+const acceptance = require('../services/estimate-acceptance');
+const paintCalculator = require('../services/paint-calculator');
+const smsService = require('../services/sms-service');
+const notificationService = require('../services/notification-service');
+const audit = require('../services/audit-log');
 
 let pool;
 function setPool(dbPool) { pool = dbPool; }
 
+// estimate-acceptance error codes → HTTP status
+const ERROR_STATUS = {
+    NOT_RESPONDABLE: 409,
+    NO_PHONE: 409,
+    OTP_LIMIT: 429,
+    OTP_INVALID: 400,
+    INVALID_RESPONSE: 400
+};
+
+function sendError(res, err, fallback) {
+    const status = ERROR_STATUS[err.code];
+    if (status) return res.status(status).json({ success: false, code: err.code, message: err.message });
+    console.error(fallback, err);
+    return res.status(500).json({ success: false, message: fallback });
+}
+
+/** Active, unexpired estimate share token, or null. */
+async function findEstimateShare(db, token) {
+    const [tokens] = await db.query(
+        `SELECT * FROM share_tokens WHERE token = ? AND is_active = 1 AND (expires_at IS NULL OR expires_at > NOW())`,
+        [token]
+    );
+    if (!tokens.length || tokens[0].resource_type !== 'estimate') return null;
+    return tokens[0];
+}
+
 // Helper: format currency Indian style
 function formatINR(num) {
     const n = parseFloat(num) || 0;
@@ -35,10 +67,12 @@ router.post('/generate', requireAuth, async (req, res) => {
         else if (resource_type === 'design-request') tableName = 'estimate_requests';
         else return res.status(400).json({ success: false, message: 'Invalid resource_type. Use: estimate, design-request' });
 
-        const [rows] = await pool.query(`SELECT id FROM ${tableName} WHERE id = ?`, [resource_id]);
+        const [rows] = await pool.query(`SELECT * FROM ${tableName} WHERE id = ?`, [resource_id]);
         if (rows.length === 0) {
             return res.status(404).json({ success: false, message: 'Resource not found' });
         }
+        // Remember which estimate revision the customer was sent
+        const revisionNo = resource_type === 'estimate' ? (rows[0].current_revision || null) : null;
 
         // Generate unique token
         const token = crypto.randomBytes(32).toString('hex');
@@ -47,8 +81,8 @@ router.post('/generate', requireAuth, async (req, res) => {
             : new Date(Date.now() + 30 * 24 * 60 * 60 * 1000); // Default 30 days
 
         await pool.query(
-            `INSERT INTO share_tokens (token, resource_type, resource_id, created_by, expires_at) VALUES (?, ?, ?, ?, ?)`,
-            [token, resource_type, resource_id, req.user.id, expiresAt]
+            `INSERT INTO share_tokens (token, resource_type, resource_id, created_by, expires_at, revision_no) VALUES (?, ?, ?, ?, ?, ?)`,
+            [token, resource_type, resource_id, req.user.id, expiresAt, revisionNo]
         );
 
         const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
@@ -76,11 +110,13 @@ router.post('/whatsapp', requireAuth, async (req, res) => {
         // Validate resource and get details
         let customerName = 'Customer';
         let resourceLabel = '';
+        let revisionNo = null;
         if (resource_type === 'estimate') {
-            const [rows] = await pool.query('SELECT id, estimate_number, customer_name, customer_phone FROM estimates WHERE id = ?', [resource_id]);
+            const [rows] = await pool.query('SELECT id, estimate_number, customer_name, customer_phone, current_revision FROM estimates WHERE id = ?', [resource_id]);
             if (rows.length === 0) return res.status(404).json({ success: false, message: 'Estimate not found' });
             customerName = rows[0].customer_name || 'Customer';
             resourceLabel = rows[0].estimate_number;
+            revisionNo = rows[0].current_revision || null;
         } else if (resource_type === 'design-request') {
             const [rows] = await pool.query('SELECT id, customer_name, customer_phone FROM estimate_requests WHERE id = ?', [resource_id]);
             if (rows.length === 0) return res.status(404).json({ success: false, message: 'Design request not found' });
@@ -95,8 +131,8 @@ router.post('/whatsapp', requireAuth, async (req, res) => {
         const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000);
 
         await pool.query(
-            `INSERT INTO share_tokens (token, resource_type, resource_id, created_by, expires_at) VALUES (?, ?, ?, ?, ?)`,
-            [token, resource_type, resource_id, req.user.id, expiresAt]
+            `INSERT INTO share_tokens (token, resource_type, resource_id, created_by, expires_at, revision_no) VALUES (?, ?, ?, ?, ?, ?)`,
+            [token, resource_type, resource_id, req.user.id, expiresAt, revisionNo]
         );
 
         const baseUrl = process.env.BASE_URL || `${req.protocol}://${req.get('host')}`;
@@ -141,6 +177,29 @@ router.post('/whatsapp', requireAuth, async (req, res) => {
     }
 });
 
+// GET /api/share/estimate/:id/responses - Customer answers + change requests for an estimate
+router.get('/estimate/:id/responses', requirePermission('estimates', 'view'), async (req, res) => {
+    try {
+        const [responses] = await pool.query(
+            `SELECT id, share_token_id, decision, signer_name, signature_type, signature_text,
+                    signer_phone, otp_verified_at, ip_address, user_agent, comment, created_at
+             FROM estimate_acceptances WHERE estimate_id = ? ORDER BY id DESC`,
+            [req.params.id]
+        );
+        const [changes] = await pool.query(
+            `SELECT cr.*, ei.item_description
+             FROM estimate_change_requests cr
+             LEFT JOIN estimate_items ei ON cr.estimate_item_id = ei.id
+             WHERE cr.estimate_id = ? ORDER BY cr.id`,
+            [req.params.id]
+        );
+        res.json({ success: true, data: { responses, change_requests: changes } });
+    } catch (error) {
+        console.error('Estimate responses error:', error);
+        res.status(500).json({ success: false, message: error.message });
+    }
+});
+
 // ========================================
 // PUBLIC ENDPOINTS (No Auth)
 // ========================================
@@ -176,6 +235,21 @@ router.get('/public/:token', async (req, res) => {
                 [shareToken.resource_id]
             );
             data.items = items;
+
+            // Which version the customer is looking at, and whether it moved
+            // on since the link was sent
+            data.revision = {
+                current: data.current_revision || null,
+                shared: shareToken.revision_no || null
+            };
+
+            const state = await acceptance.responseState(pool, data);
+            const phone = acceptance.customerPhone(data);
+            data.acceptance = {
+                can_respond: acceptance.canRespond(data, state.final),
+                last_response: state.last,
+                otp_phone: acceptance.maskPhone(phone)
+            };
         } else if (shareToken.resource_type === 'design-request') {
             const [requests] = await pool.query('SELECT * FROM estimate_requests WHERE id = ?', [shareToken.resource_id]);
             if (requests.length === 0) return res.status(404).json({ success: false, message: 'Design request not found' });
@@ -267,9 +341,14 @@ router.get('/public/:token/pdf', async (req, res) => {
             try { colVis = { ...colVis, ...JSON.parse(estimate.column_visibility) }; } catch {}
         }
 
+        // Stamp the customer's online acceptance, if any, and the measurements
+        // a calculator-built estimate came from
+        const accepted = await acceptance.acceptanceForPdf(pool, estimate);
+        const calculation = await paintCalculator.calculationForEstimate(pool, estimate.id);
+
         // Reuse PDF generation logic from estimate-pdf.js
         const { generateEstimatePDF } = require('./estimate-pdf-generator');
-        generateEstimatePDF(res, estimate, items, branding, colVis);
+        generateEstimatePDF(res, estimate, items, branding, colVis, { accepted, calculation });
 
     } catch (error) {
         console.error('Public PDF error:', error);
@@ -279,4 +358,128 @@ router.get('/public/:token/pdf', async (req, res) => {
     }
 });
 
+// POST /api/share/public/:token/otp - SMS an OTP to the estimate's customer phone
+router.post('/public/:token/otp', otpLimiter, async (req, res) => {
+    try {
+        const shareToken = await findEstimateShare(pool, req.params.token);
+        if (!shareToken) return res.status(404).json({ success: false, message: 'Link expired or invalid' });
+
+        const [estimates] = await pool.query('SELECT * FROM estimates WHERE id = ?', [shareToken.resource_id]);
+        if (!estimates.length) return res.status(404).json({ success: false, message: 'Estimate not found' });
+        const estimate = estimates[0];
+
+        const state = await acceptance.responseState(pool, estimate);
+        if (!acceptance.canRespond(estimate, state.final)) {
+            return res.status(409).json({ success: false, code: 'NOT_RESPONDABLE', message: 'This estimate can no longer be accepted online' });
+        }
+        const phone = acceptance.customerPhone(estimate);
+        if (!phone) {
+            return res.status(409).json({ success: false, code: 'NO_PHONE', message: 'No mobile number on this estimate. Please contact the shop.' });
+        }
+
+        const otp = await acceptance.issueOtp(pool, phone);
+        const message = `Your OTP to confirm estimate ${estimate.estimate_number} from Quality Colours is ${otp}. Valid for 5 minutes. - QUALITY COLOURS.`;
+        smsService.sendSms({ number: '91' + phone, text: message, label: 'Estimate acceptance OTP' });
+
+        res.json({ success: true, message: 'OTP sent', data: { phone: acceptance.maskPhone(phone) } });
+    } catch (error) {
+        sendError(res, error, 'Failed to send OTP');
+    }
+});
+
+// POST /api/share/public/:token/respond - Accept / reject / request changes
+// Body: { decision: accept|reject|request_changes, signer_name, signature_type: typed|drawn,
+//         signature_text, signature_image (PNG data URL), otp, comment, line_comments: [{ item_id, comment }] }
+router.post('/public/:token/respond', async (req, res) => {
+    const body = req.body || {};
+    const rule = acceptance.ACTIONS[body.decision];
+    if (!rule) return res.status(400).json({ success: false, message: 'decision must be accept, reject or request_changes' });
+
+    const signerName = String(body.signer_name || '').trim().slice(0, 150);
+    if (!signerName) return res.status(400).json({ success: false, message: 'Please enter your name' });
+    if (body.line_comments != null && !Array.isArray(body.line_comments)) {
+        return res.status(400).json({ success: false, message: 'line_comments must be a list' });
+    }
+
+    let conn;
+    try {
+        const shareToken = await findEstimateShare(pool, req.params.token);
+        if (!shareToken) return res.status(404).json({ success: false, message: 'Link expired or invalid' });
+
+        const signature = rule.needsSignature
+            ? acceptance.normalizeSignature({ ...body, signer_name: signerName })
+            : null;
+
+        const [preview] = await pool.query('SELECT * FROM estimates WHERE id = ?', [shareToken.resource_id]);
+        if (!preview.length) return res.status(404).json({ success: false, message: 'Estimate not found' });
+        const before = await acceptance.responseState(pool, preview[0]);
+        if (!acceptance.canRespond(preview[0], before.final)) {
+            return res.status(409).json({ success: false, code: 'NOT_RESPONDABLE', message: 'This estimate has already been answered or can no longer be accepted online' });
+        }
+        const phone = acceptance.customerPhone(preview[0]);
+        if (rule.needsOtp) {
+            if (!phone) {
+                return res.status(409).json({ success: false, code: 'NO_PHONE', message: 'No mobile number on this estimate. Please contact the shop.' });
+            }
+            await acceptance.verifyOtp(pool, phone, body.otp);
+        }
+
+        conn = await pool.getConnection();
+        await conn.beginTransaction();
+
+        const [locked] = await conn.query('SELECT * FROM estimates WHERE id = ? FOR UPDATE', [shareToken.resource_id]);
+        const estimate = locked[0];
+        // Re-check under the row lock: two tabs may answer at once
+        const state = await acceptance.responseState(conn, estimate);
+        if (!acceptance.canRespond(estimate, state.final)) {
+            await conn.rollback();
+            return res.status(409).json({ success: false, code: 'NOT_RESPONDABLE', message: 'This estimate has already been answered or can no longer be accepted online' });
+        }
+
+        const result = await acceptance.recordResponse(conn, {
+            estimate,
+            shareTokenId: shareToken.id,
+            action: body.decision,
+            signerName,
+            signature,
+            comment: body.comment ? String(body.comment).slice(0, 2000) : null,
+            lineComments: body.line_comments || [],
+            phone: rule.needsOtp ? phone : null,
+            otpVerified: rule.needsOtp,
+            ip: req.ip,
+            userAgent: req.get('User-Agent')
+        });
+        await conn.commit();
+
+        await audit.record(req, {
+            action: 'estimate.customer.response',
+            entity_type: 'estimate',
+            entity_id: estimate.id,
+            before: { status: estimate.status },
+            after: { status: result.status, decision: result.decision, signer_name: signerName, share_token_id: shareToken.id }
+        });
+
+        // Tell the salesperson (and whoever shared the link) right away
+        const recipients = [...new Set([estimate.created_by_user_id, estimate.created_by, shareToken.created_by].filter(Boolean))];
+        const titles = {
+            accepted: `Estimate ${estimate.estimate_number} accepted`,
+            rejected: `Estimate ${estimate.estimate_number} rejected`,
+            changes_requested: `Changes requested on ${estimate.estimate_number}`
+        };
+        notificationService.sendToMany(recipients, {
+            type: 'estimate_response',
+            title: titles[result.decision],
+            body: `${signerName} (${estimate.customer_name || 'customer'}) responded on the share link`,
+            data: { type: 'estimate_response', estimate_id: estimate.id, decision: result.decision, acceptance_id: result.acceptance_id }
+        }).catch(() => {});
+
+        res.json({ success: true, data: result });
+    } catch (error) {
+        if (conn) await conn.rollback().catch(() => {});
+        sendError(res, error, 'Failed to record your response');
+    } finally {
+        if (conn) conn.release();
+    }
+});
+
 module.exports = { router, setPool };
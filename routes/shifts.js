@@ -0,0 +1,609 @@
+/**
+ * Shift Roster Routes
+ * Shift definitions, per-staff defaults / weekly offs, the roster grid and
+ * shift swaps. Mounted at /api/shifts. Rules live in services/shifts.js;
+ * attendance clock-in / clock-out, auto clock-out and salary read the
+ * resolved day from there.
+ *
+ *   GET    /                         — shifts (?branch_id, ?include_inactive)
+ *   POST   /, PUT /:id               — add / edit a shift (attendance.manage)
+ *   GET    /defaults                 — staff defaults (attendance.approve)
+ *   PUT    /defaults/:userId         — default shift + weekly-off day (attendance.manage)
+ *   GET    /roster                   — grid of staff × dates (?from, ?to, ?branch_id; attendance.approve)
+ *   GET    /my-roster                — own days (?from, ?to)
+ *   POST   /roster/assign            — set individual cells (attendance.manage)
+ *   POST   /roster/fill              — drag a shift / day off across staff × dates (attendance.manage)
+ *   POST   /roster/copy-week         — copy a week's roster to another week (attendance.manage)
+ *   POST   /swaps                    — ask to swap days with a colleague
+ *   GET    /my-swaps                 — swaps asked by or of me
+ *   GET    /swaps                    — swaps to review (attendance.approve)
+ *   PUT    /swaps/:id/approve        — approve (through the approval workflow)
+ *   PUT    /swaps/:id/reject
+ *   PUT    /swaps/:id/cancel         — requester, while pending
+ *
+ * Staff (non full-admin) managers see and edit their own branch only.
+ *
+ * Exports: { router, setPool } + shiftSchema, fillSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, requireAuth, isFullAdmin } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const approvals = require('../services/approval-workflow');
+const notificationService = require('../services/notification-service');
+const shifts = require('../services/shifts');
+const { dateOnly } = require('../services/leave');
+const { istDateString } = require('../services/zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+const canApprove = requirePermission('attendance', 'approve');
+const canManage = requirePermission('attendance', 'manage');
+
+// services/shifts.js error codes → HTTP status
+const ERROR_STATUS = {
+    INVALID_SHIFT: 400, INVALID_DATES: 400, INVALID_ASSIGNMENT: 400, SHIFT_NOT_FOUND: 400,
+    INVALID_SWAP: 400, SWAP_EXISTS: 409
+};
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+function getBranchFilter(req) {
+    if (isFullAdmin(req.user.role)) {
+        return req.query.branch_id ? parseInt(req.query.branch_id) : null;
+    }
+    return req.user.branch_id || null;
+}
+
+function sendError(res, err, fallback) {
+    if (ERROR_STATUS[err.code]) {
+        return res.status(ERROR_STATUS[err.code]).json({ success: false, code: err.code, message: err.message });
+    }
+    console.error(`[Shifts] ${fallback}:`, err);
+    return res.status(500).json({ success: false, message: fallback });
+}
+
+/** Non full-admins only act on their own branch. */
+function outsideBranch(req, branchId) {
+    return !isFullAdmin(req.user.role) && req.user.branch_id && branchId && Number(branchId) !== Number(req.user.branch_id);
+}
+
+/**
+ * The staff a roster write touches, keyed by id. Throws INVALID_ASSIGNMENT
+ * for unknown staff or (non full-admin) staff of another branch.
+ */
+async function loadStaff(req, userIds) {
+    const ids = [...new Set(userIds.map(Number))];
+    const [rows] = await pool.query(
+        `SELECT id, full_name, branch_id, status FROM users WHERE id IN (${ids.map(() => '?').join(', ')})`,
+        ids
+    );
+    const byId = new Map(rows.map(u => [Number(u.id), u]));
+    for (const id of ids) {
+        const u = byId.get(id);
+        if (!u || outsideBranch(req, u.branch_id)) {
+            const e = new Error(`Staff #${id} not found`);
+            e.code = 'INVALID_ASSIGNMENT';
+            throw e;
+        }
+    }
+    return byId;
+}
+
+async function saveAssignments(req, assignments, staff) {
+    await shifts.checkAssignments(pool, assignments, staff);
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const written = await shifts.writeAssignments(conn, assignments, req.user.id);
+        await conn.commit();
+        return written;
+    } catch (error) {
+        await conn.rollback();
+        throw error;
+    } finally {
+        conn.release();
+    }
+}
+
+async function loadSwap(db, id, lock = false) {
+    const [rows] = await db.query(
+        `SELECT sw.*, ru.full_name AS requester_name, tu.full_name AS target_name
+         FROM shift_swap_requests sw
+         JOIN users ru ON ru.id = sw.requester_id
+         JOIN users tu ON tu.id = sw.target_user_id
+         WHERE sw.id = ?${lock ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+function notifySwap(swap, title, body) {
+    for (const userId of [swap.requester_id, swap.target_user_id]) {
+        notificationService.send(userId, {
+            type: 'shift_swap', title, body,
+            data: { type: 'shift_swap', swap_id: swap.id }
+        }).catch(() => {});
+    }
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const dateStr = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be yyyy-mm-dd');
+const timeStr = z.string().regex(/^\d{1,2}:\d{2}(:\d{2})?$/, 'Time must be HH:MM');
+const weekday = z.enum(shifts.WEEKDAYS);
+
+const shiftSchema = z.object({
+    branch_id: z.coerce.number().int().positive().optional().nullable(),
+    name: z.string().trim().min(1).max(100),
+    start_time: timeStr,
+    end_time: timeStr,
+    break_minutes: z.coerce.number().int().min(0).max(240).optional().default(0),
+    expected_hours: z.coerce.number().min(0.5).max(16).optional().nullable(),
+    late_threshold_minutes: z.coerce.number().int().min(0).max(120).optional().default(15),
+    is_active: z.boolean().optional().default(true)
+});
+
+const shiftsQuerySchema = z.object({
+    branch_id: z.string().optional(),
+    include_inactive: z.enum(['0', '1', 'true', 'false']).optional()
+});
+
+const defaultsSchema = z.object({
+    shift_id: z.coerce.number().int().positive().optional().nullable(),
+    weekly_off_day: weekday.optional().default('sunday')
+});
+
+const rangeQuerySchema = z.object({
+    from: dateStr,
+    to: dateStr,
+    branch_id: z.string().optional()
+});
+
+const cellSchema = z.object({
+    user_id: z.coerce.number().int().positive(),
+    date: dateStr,
+    shift_id: z.coerce.number().int().positive().optional().nullable(),
+    is_off: z.boolean().optional().default(false),
+    clear: z.boolean().optional().default(false)
+});
+
+const assignSchema = z.object({
+    assignments: z.array(cellSchema).min(1).max(500)
+});
+
+const fillSchema = z.object({
+    user_ids: z.array(z.coerce.number().int().positive()).min(1).max(100),
+    from: dateStr,
+    to: dateStr,
+    shift_id: z.coerce.number().int().positive().optional().nullable(),
+    is_off: z.boolean().optional().default(false),
+    clear: z.boolean().optional().default(false),
+    weekdays: z.array(weekday).optional().nullable()
+}).refine(f => f.clear || f.is_off || f.shift_id, 'Pick a shift, a day off or clear');
+
+const copyWeekSchema = z.object({
+    user_ids: z.array(z.coerce.number().int().positive()).min(1).max(100),
+    from_week: dateStr,
+    to_week: dateStr
+});
+
+const swapSchema = z.object({
+    target_user_id: z.coerce.number().int().positive(),
+    requester_date: dateStr,
+    target_date: dateStr,
+    reason: z.string().trim().max(500).optional().nullable()
+});
+
+const swapsQuerySchema = z.object({
+    status: z.enum(['pending', 'approved', 'rejected', 'cancelled']).optional(),
+    branch_id: z.string().optional(),
+    limit: z.coerce.number().int().min(1).max(500).optional().default(100)
+});
+
+const reviewSchema = z.object({
+    review_notes: z.string().trim().max(500).optional().nullable()
+});
+
+const idParamSchema = z.object({
+    id: z.coerce.number().int().positive()
+});
+
+const userParamSchema = z.object({
+    userId: z.coerce.number().int().positive()
+});
+
+// ═══════════════════════════════════════════
+// SHIFTS
+// ═══════════════════════════════════════════
+
+router.get('/', requireAuth, validateQuery(shiftsQuerySchema), async (req, res) => {
+    try {
+        const where = [];
+        const params = [];
+        const branchId = getBranchFilter(req);
+        if (branchId) { where.push('(s.branch_id IS NULL OR s.branch_id = ?)'); params.push(branchId); }
+        if (!['1', 'true'].includes(req.query.include_inactive)) where.push('s.is_active = 1');
+        const [rows] = await pool.query(
+            `SELECT s.*, b.name AS branch_name FROM shifts s
+             LEFT JOIN branches b ON b.id = s.branch_id
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY s.start_time, s.name`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load shifts');
+    }
+});
+
+router.post('/', canManage, validate(shiftSchema), async (req, res) => {
+    try {
+        const timing = shifts.validateShift(req.body);
+        const branchId = isFullAdmin(req.user.role) ? (req.body.branch_id || null) : (req.user.branch_id || null);
+        const [ins] = await pool.query(
+            `INSERT INTO shifts (branch_id, name, start_time, end_time, break_minutes, expected_hours,
+                late_threshold_minutes, is_active, created_by)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [branchId, req.body.name, timing.start_time, timing.end_time, timing.break_minutes, timing.expected_hours,
+                req.body.late_threshold_minutes, req.body.is_active ? 1 : 0, req.user.id]
+        );
+        auditLog.record(req, {
+            action: 'shift.create', entity_type: 'shift', entity_id: ins.insertId,
+            after: { name: req.body.name, branch_id: branchId, ...timing }
+        });
+        res.json({ success: true, id: ins.insertId, expected_hours: timing.expected_hours, message: 'Shift added' });
+    } catch (error) {
+        sendError(res, error, 'Failed to add shift');
+    }
+});
+
+router.put('/:id', canManage, validateParams(idParamSchema), validate(shiftSchema), async (req, res) => {
+    try {
+        const id = Number(req.params.id);
+        const [rows] = await pool.query('SELECT * FROM shifts WHERE id = ?', [id]);
+        if (!rows.length || outsideBranch(req, rows[0].branch_id)) {
+            return res.status(404).json({ success: false, message: 'Shift not found' });
+        }
+        const timing = shifts.validateShift(req.body);
+        const branchId = isFullAdmin(req.user.role) ? (req.body.branch_id || null) : rows[0].branch_id;
+        await pool.query(
+            `UPDATE shifts SET branch_id = ?, name = ?, start_time = ?, end_time = ?, break_minutes = ?,
+                expected_hours = ?, late_threshold_minutes = ?, is_active = ?
+             WHERE id = ?`,
+            [branchId, req.body.name, timing.start_time, timing.end_time, timing.break_minutes, timing.expected_hours,
+                req.body.late_threshold_minutes, req.body.is_active ? 1 : 0, id]
+        );
+        auditLog.record(req, {
+            action: 'shift.update', entity_type: 'shift', entity_id: id,
+            before: rows[0], after: { name: req.body.name, branch_id: branchId, is_active: req.body.is_active, ...timing }
+        });
+        res.json({ success: true, expected_hours: timing.expected_hours, message: 'Shift updated' });
+    } catch (error) {
+        sendError(res, error, 'Failed to update shift');
+    }
+});
+
+// ═══════════════════════════════════════════
+// STAFF DEFAULTS
+// ═══════════════════════════════════════════
+
+router.get('/defaults', canApprove, async (req, res) => {
+    try {
+        const branchId = getBranchFilter(req);
+        const params = [];
+        let where = "WHERE u.status = 'active'";
+        if (branchId) { where += ' AND u.branch_id = ?'; params.push(branchId); }
+        const [rows] = await pool.query(
+            `SELECT u.id AS user_id, u.full_name, u.role, u.branch_id,
+                    d.shift_id, s.name AS shift_name, COALESCE(d.weekly_off_day, 'sunday') AS weekly_off_day,
+                    d.user_id IS NOT NULL AS has_schedule
+             FROM users u
+             LEFT JOIN staff_shift_defaults d ON d.user_id = u.id
+             LEFT JOIN shifts s ON s.id = d.shift_id
+             ${where}
+             ORDER BY u.full_name`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load staff schedules');
+    }
+});
+
+router.put('/defaults/:userId', canManage, validateParams(userParamSchema), validate(defaultsSchema), async (req, res) => {
+    try {
+        const userId = Number(req.params.userId);
+        const staff = await loadStaff(req, [userId]);
+        const { shift_id, weekly_off_day } = req.body;
+        if (shift_id) await shifts.checkAssignments(pool, [{ user_id: userId, shift_id }], staff);
+        const [before] = await pool.query('SELECT * FROM staff_shift_defaults WHERE user_id = ?', [userId]);
+        await pool.query(
+            `INSERT INTO staff_shift_defaults (user_id, shift_id, weekly_off_day, updated_by) VALUES (?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE shift_id = VALUES(shift_id), weekly_off_day = VALUES(weekly_off_day),
+                updated_by = VALUES(updated_by)`,
+            [userId, shift_id || null, weekly_off_day, req.user.id]
+        );
+        auditLog.record(req, {
+            action: 'shift.defaults.update', entity_type: 'user', entity_id: userId,
+            before: before[0] || null, after: { shift_id: shift_id || null, weekly_off_day }
+        });
+        res.json({ success: true, message: 'Schedule saved' });
+    } catch (error) {
+        sendError(res, error, 'Failed to save schedule');
+    }
+});
+
+// ═══════════════════════════════════════════
+// ROSTER
+// ═══════════════════════════════════════════
+
+router.get('/roster', canApprove, validateQuery(rangeQuerySchema), async (req, res) => {
+    try {
+        const branchId = getBranchFilter(req);
+        const params = [];
+        let where = "WHERE status = 'active'";
+        if (branchId) { where += ' AND branch_id = ?'; params.push(branchId); }
+        const [users] = await pool.query(`SELECT id, full_name, branch_id FROM users ${where} ORDER BY full_name`, params);
+        const grid = await shifts.rosterGrid(pool, users, req.query.from, req.query.to);
+        res.json({ success: true, from: req.query.from, to: req.query.to, data: grid });
+    } catch (error) {
+        sendError(res, error, 'Failed to load roster');
+    }
+});
+
+router.get('/my-roster', requireAuth, validateQuery(rangeQuerySchema), async (req, res) => {
+    try {
+        const grid = await shifts.rosterGrid(pool, [{ id: req.user.id, full_name: req.user.full_name, branch_id: req.user.branch_id }],
+            req.query.from, req.query.to);
+        res.json({ success: true, from: req.query.from, to: req.query.to, data: grid[0] || null });
+    } catch (error) {
+        sendError(res, error, 'Failed to load roster');
+    }
+});
+
+router.post('/roster/assign', canManage, validate(assignSchema), async (req, res) => {
+    try {
+        const { assignments } = req.body;
+        const staff = await loadStaff(req, assignments.map(a => a.user_id));
+        const written = await saveAssignments(req, assignments, staff);
+        auditLog.record(req, {
+            action: 'shift.roster.assign', entity_type: 'staff_roster', entity_id: null,
+            after: { cells: assignments.length, written }
+        });
+        res.json({ success: true, written, message: `${written} roster cell(s) saved` });
+    } catch (error) {
+        sendError(res, error, 'Failed to save roster');
+    }
+});
+
+router.post('/roster/fill', canManage, validate(fillSchema), async (req, res) => {
+    try {
+        const assignments = shifts.expandFill(req.body);
+        const staff = await loadStaff(req, req.body.user_ids);
+        const written = await saveAssignments(req, assignments, staff);
+        auditLog.record(req, {
+            action: 'shift.roster.fill', entity_type: 'staff_roster', entity_id: null,
+            after: { ...req.body, written }
+        });
+        res.json({ success: true, written, message: `${written} roster cell(s) saved` });
+    } catch (error) {
+        sendError(res, error, 'Failed to fill roster');
+    }
+});
+
+router.post('/roster/copy-week', canManage, validate(copyWeekSchema), async (req, res) => {
+    try {
+        const { user_ids, from_week, to_week } = req.body;
+        const staff = await loadStaff(req, user_ids);
+        const assignments = await shifts.copyWeekAssignments(pool, user_ids, from_week, to_week);
+        const written = assignments.length ? await saveAssignments(req, assignments, staff) : 0;
+        auditLog.record(req, {
+            action: 'shift.roster.copy_week', entity_type: 'staff_roster', entity_id: null,
+            after: { user_ids, from_week, to_week, written }
+        });
+        res.json({ success: true, written, message: `${written} roster cell(s) copied` });
+    } catch (error) {
+        sendError(res, error, 'Failed to copy roster week');
+    }
+});
+
+// ═══════════════════════════════════════════
+// SWAPS
+// ═══════════════════════════════════════════
+
+router.post('/swaps', requireAuth, validate(swapSchema), async (req, res) => {
+    try {
+        const [users] = await pool.query(
+            'SELECT id, full_name, branch_id, status FROM users WHERE id IN (?, ?)',
+            [req.user.id, req.body.target_user_id]
+        );
+        const requester = users.find(u => Number(u.id) === Number(req.user.id)) || req.user;
+        const target = users.find(u => Number(u.id) === Number(req.body.target_user_id)) || null;
+        await shifts.checkSwap(pool, requester, target, req.body, istDateString(new Date()));
+
+        const { target_user_id, requester_date, target_date, reason } = req.body;
+        const [ins] = await pool.query(
+            `INSERT INTO shift_swap_requests (requester_id, requester_date, target_user_id, target_date, branch_id, reason)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [requester.id, requester_date, target_user_id, target_date, requester.branch_id || null, reason || null]
+        );
+        await approvals.submitQuietly({
+            entityType: 'shift_swap', entityId: ins.insertId, amount: 0,
+            branchId: requester.branch_id || null, requestedBy: requester.id,
+            title: `Shift swap ${requester_date}${target_date !== requester_date ? ' ↔ ' + target_date : ''} — ${requester.full_name || 'Staff'} / ${target.full_name}`
+        });
+        res.json({ success: true, id: ins.insertId, message: 'Swap request submitted' });
+    } catch (error) {
+        sendError(res, error, 'Failed to submit swap request');
+    }
+});
+
+router.get('/my-swaps', requireAuth, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT sw.*, ru.full_name AS requester_name, tu.full_name AS target_name
+             FROM shift_swap_requests sw
+             JOIN users ru ON ru.id = sw.requester_id
+             JOIN users tu ON tu.id = sw.target_user_id
+             WHERE sw.requester_id = ? OR sw.target_user_id = ?
+             ORDER BY sw.created_at DESC LIMIT 100`,
+            [req.user.id, req.user.id]
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load swap requests');
+    }
+});
+
+router.get('/swaps', canApprove, validateQuery(swapsQuerySchema), async (req, res) => {
+    try {
+        const where = [];
+        const params = [];
+        if (req.query.status) { where.push('sw.status = ?'); params.push(req.query.status); }
+        const branchId = getBranchFilter(req);
+        if (branchId) { where.push('sw.branch_id = ?'); params.push(branchId); }
+        params.push(req.query.limit);
+        const [rows] = await pool.query(
+            `SELECT sw.*, ru.full_name AS requester_name, tu.full_name AS target_name, rv.full_name AS reviewed_by_name
+             FROM shift_swap_requests sw
+             JOIN users ru ON ru.id = sw.requester_id
+             JOIN users tu ON tu.id = sw.target_user_id
+             LEFT JOIN users rv ON rv.id = sw.reviewed_by
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY sw.status = 'pending' DESC, sw.requester_date DESC
+             LIMIT ?`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        sendError(res, error, 'Failed to load swap requests');
+    }
+});
+
+router.put('/swaps/:id/approve', canApprove, validateParams(idParamSchema), validate(reviewSchema), async (req, res) => {
+    const id = Number(req.params.id);
+    const notes = req.body.review_notes || null;
+    let swap;
+    try {
+        swap = await loadSwap(pool, id);
+        if (!swap || outsideBranch(req, swap.branch_id)) return res.status(404).json({ success: false, message: 'Swap request not found' });
+        if (swap.status !== 'pending') {
+            return res.status(409).json({ success: false, code: 'NOT_PENDING', message: `Request is already ${swap.status}` });
+        }
+        if ([swap.requester_id, swap.target_user_id].includes(req.user.id) && !isFullAdmin(req.user.role)) {
+            return res.status(403).json({ success: false, message: 'You cannot approve your own swap' });
+        }
+        const approval = await approvals.decide(req.user, {
+            entityType: 'shift_swap', entityId: id, decision: 'approve', note: notes,
+            start: { amount: 0, requestedBy: swap.requester_id, branchId: swap.branch_id }
+        });
+        if (!approval.final) return res.json({ success: true, pending: true, message: approval.message, approval });
+    } catch (error) {
+        if (approvals.DECISION_ERROR_STATUS[error.code]) {
+            return res.status(approvals.DECISION_ERROR_STATUS[error.code]).json({ success: false, code: error.code, message: error.message });
+        }
+        return sendError(res, error, 'Failed to approve swap');
+    }
+
+    const conn = await pool.getConnection();
+    let changes;
+    try {
+        await conn.beginTransaction();
+        const locked = await loadSwap(conn, id, true);
+        if (!locked || locked.status !== 'pending') {
+            await conn.rollback();
+            return res.status(409).json({ success: false, code: 'NOT_PENDING', message: 'Request is no longer pending' });
+        }
+        const today = istDateString(new Date());
+        const firstDay = [dateOnly(locked.requester_date), dateOnly(locked.target_date)].sort()[0];
+        if (firstDay <= today) {
+            await conn.rollback();
+            return res.status(409).json({ success: false, code: 'SWAP_EXPIRED', message: 'A swap day has already come — reject it instead' });
+        }
+        // Entries are read at approval time, so roster edits made while the
+        // request waited are what gets swapped.
+        changes = await shifts.swapAssignments(conn, locked);
+        await shifts.writeAssignments(conn, changes, req.user.id, 'swap');
+        await conn.query(
+            `UPDATE shift_swap_requests SET status = 'approved', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+             WHERE id = ?`,
+            [req.user.id, notes, id]
+        );
+        await conn.commit();
+    } catch (error) {
+        await conn.rollback();
+        return sendError(res, error, 'Failed to approve swap');
+    } finally {
+        conn.release();
+    }
+
+    auditLog.record(req, {
+        action: 'shift.swap.approve', entity_type: 'shift_swap', entity_id: id,
+        before: { status: 'pending' }, after: { status: 'approved', cells: changes }
+    });
+    notifySwap(swap, 'Shift Swap Approved', `${swap.requester_name} and ${swap.target_name}: your shift swap has been approved.`);
+    res.json({ success: true, message: 'Swap approved' });
+});
+
+router.put('/swaps/:id/reject', canApprove, validateParams(idParamSchema), validate(reviewSchema), async (req, res) => {
+    const id = Number(req.params.id);
+    const notes = req.body.review_notes || null;
+    try {
+        const swap = await loadSwap(pool, id);
+        if (!swap || outsideBranch(req, swap.branch_id)) return res.status(404).json({ success: false, message: 'Swap request not found' });
+        if (swap.status !== 'pending') {
+            return res.status(409).json({ success: false, code: 'NOT_PENDING', message: `Request is already ${swap.status}` });
+        }
+        await approvals.decide(req.user, {
+            entityType: 'shift_swap', entityId: id, decision: 'reject', note: notes,
+            start: { amount: 0, requestedBy: swap.requester_id, branchId: swap.branch_id }
+        });
+        await pool.query(
+            `UPDATE shift_swap_requests SET status = 'rejected', reviewed_by = ?, reviewed_at = NOW(), review_notes = ?
+             WHERE id = ? AND status = 'pending'`,
+            [req.user.id, notes, id]
+        );
+        auditLog.record(req, {
+            action: 'shift.swap.reject', entity_type: 'shift_swap', entity_id: id,
+            before: { status: 'pending' }, after: { status: 'rejected', review_notes: notes }
+        });
+        notifySwap(swap, 'Shift Swap Rejected', `The shift swap was rejected${notes ? ': ' + notes : '.'}`);
+        res.json({ success: true, message: 'Swap rejected' });
+    } catch (error) {
+        if (approvals.DECISION_ERROR_STATUS[error.code]) {
+            return res.status(approvals.DECISION_ERROR_STATUS[error.code]).json({ success: false, code: error.code, message: error.message });
+        }
+        sendError(res, error, 'Failed to reject swap');
+    }
+});
+
+router.put('/swaps/:id/cancel', requireAuth, validateParams(idParamSchema), async (req, res) => {
+    const id = Number(req.params.id);
+    try {
+        const swap = await loadSwap(pool, id);
+        if (!swap || swap.requester_id !== req.user.id) return res.status(404).json({ success: false, message: 'Swap request not found' });
+        if (swap.status !== 'pending') {
+            return res.status(409).json({ success: false, code: 'NOT_CANCELLABLE', message: `Request is already ${swap.status}` });
+        }
+        await pool.query("UPDATE shift_swap_requests SET status = 'cancelled' WHERE id = ? AND status = 'pending'", [id]);
+        await approvals.cancel('shift_swap', id, 'Cancelled').catch(() => {});
+        auditLog.record(req, {
+            action: 'shift.swap.cancel', entity_type: 'shift_swap', entity_id: id,
+            before: { status: 'pending' }, after: { status: 'cancelled' }
+        });
+        res.json({ success: true, message: 'Swap request cancelled' });
+    } catch (error) {
+        sendError(res, error, 'Failed to cancel swap request');
+    }
+});
+
+module.exports = { router, setPool, shiftSchema, fillSchema };
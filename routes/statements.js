@@ -0,0 +1,251 @@
+/**
+ * Statement of Account Routes
+ * Customer ledger (opening → invoices / payments / credit notes → closing,
+ * with ageing) from synced Zoho data, as JSON, a branded PDF, or a WhatsApp
+ * document; plus bulk runs for every customer with dues.
+ *
+ *   GET  /customer/:customerId?from=&to=       — the statement (JSON)
+ *   GET  /customer/:customerId/pdf?from=&to=   — the statement PDF
+ *   POST /customer/:customerId/send            — send the PDF over WhatsApp
+ *   GET  /log?customer_id=                     — statements sent / failed / skipped
+ *   GET  /runs                                 — bulk run history
+ *   POST /runs                                 — start a bulk run now (runs in
+ *                                                the background; poll /runs)
+ *
+ * The monthly bulk run (1st, 9 AM IST, previous month) is
+ * services/statement-scheduler.js. Access: zoho.collections, staff locked to
+ * their branch's customers (and unassigned ones) as on the collections page.
+ *
+ * Exports: { router, setPool } + periodQuerySchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, isFullAdmin } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const statements = require('../services/statement-of-account');
+const { generateStatementPDF } = require('../services/statement-pdf-generator');
+const sessionManager = require('../services/whatsapp-session-manager');
+const { getBranding } = require('../services/branding');
+const { istDateString } = require('../services/zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+const perm = requirePermission('zoho', 'collections');
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+function getBranchFilter(req) {
+    if (isFullAdmin(req.user.role)) {
+        return req.query.branch_id ? parseInt(req.query.branch_id) : null;
+    }
+    return req.user.branch_id || null;
+}
+
+/** Staff see their branch's customers and unassigned ones (collections rule). */
+function canSeeCustomer(req, customer) {
+    if (isFullAdmin(req.user.role)) return true;
+    if (customer.branch_id === null || customer.branch_id === undefined) return true;
+    return Number(customer.branch_id) === Number(req.user.branch_id);
+}
+
+/** Default period: the previous calendar month. */
+function periodOf(query) {
+    const fallback = statements.previousMonth(istDateString(new Date()));
+    return { from: query.from || fallback.from, to: query.to || fallback.to };
+}
+
+function sendStatementError(res, err) {
+    if (err.code === 'INVALID_PERIOD') {
+        return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+    if (err.code === 'CUSTOMER_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: err.code, message: err.message });
+    }
+    return false;
+}
+
+async function loadStatement(req, res, period) {
+    const statement = await statements.buildStatement(pool, { customerId: req.params.customerId, ...period });
+    if (!canSeeCustomer(req, statement.customer)) {
+        res.status(404).json({ success: false, code: 'CUSTOMER_NOT_FOUND', message: 'Customer not found' });
+        return null;
+    }
+    return statement;
+}
+
+function deps(branding) {
+    return { db: pool, sessionManager, generatePDF: generateStatementPDF, branding };
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const isoDate = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Use YYYY-MM-DD');
+
+const periodQuerySchema = z.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    branch_id: z.string().optional()
+});
+
+const customerParamSchema = z.object({
+    customerId: z.string().min(1).max(50)
+});
+
+const sendSchema = z.object({
+    from: isoDate.optional(),
+    to: isoDate.optional(),
+    phone: z.string().max(20).optional().nullable()
+});
+
+const runSchema = z.object({
+    from: isoDate.optional(),
+    to: isoDate.optional()
+});
+
+const logQuerySchema = z.object({
+    customer_id: z.string().max(50).optional(),
+    run_id: z.coerce.number().int().positive().optional(),
+    limit: z.coerce.number().int().min(1).max(500).optional().default(100)
+});
+
+// ═══════════════════════════════════════════
+// ONE CUSTOMER
+// ═══════════════════════════════════════════
+
+router.get('/customer/:customerId', perm, validateParams(customerParamSchema), validateQuery(periodQuerySchema), async (req, res) => {
+    try {
+        const statement = await loadStatement(req, res, periodOf(req.query));
+        if (!statement) return;
+        res.json({ success: true, statement });
+    } catch (error) {
+        if (sendStatementError(res, error)) return;
+        console.error('[Statements] Build error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build statement' });
+    }
+});
+
+router.get('/customer/:customerId/pdf', perm, validateParams(customerParamSchema), validateQuery(periodQuerySchema), async (req, res) => {
+    try {
+        const statement = await loadStatement(req, res, periodOf(req.query));
+        if (!statement) return;
+        const branding = await getBranding(pool);
+        const name = (statement.customer.zoho_contact_name || req.params.customerId).replace(/[^A-Za-z0-9_-]+/g, '');
+        res.setHeader('Content-Type', 'application/pdf');
+        res.setHeader('Content-Disposition', `attachment; filename="Statement-${name}-${statement.from}-to-${statement.to}.pdf"`);
+        generateStatementPDF({ statement, branding }, res);
+    } catch (error) {
+        if (!res.headersSent && sendStatementError(res, error)) return;
+        console.error('[Statements] PDF error:', error);
+        if (!res.headersSent) {
+            res.status(500).json({ success: false, message: 'Failed to generate PDF' });
+        }
+    }
+});
+
+router.post('/customer/:customerId/send', perm, validateParams(customerParamSchema), validate(sendSchema), async (req, res) => {
+    try {
+        const period = periodOf(req.body);
+        // Visibility check before anything is sent
+        if (!(await loadStatement(req, res, period))) return;
+
+        const branding = await getBranding(pool);
+        const result = await statements.deliver(deps(branding), {
+            customerId: req.params.customerId, ...period, phone: req.body.phone || null, sentBy: req.user.id
+        });
+        auditLog.record(req, {
+            action: 'collections.statement.send', entity_type: 'customer', entity_id: req.params.customerId,
+            after: { ...period, status: result.status, closing: result.statement.closing }
+        });
+        if (result.status !== 'sent') {
+            return res.status(result.status === 'skipped' ? 400 : 502).json({
+                success: false, code: result.status === 'skipped' ? 'NO_PHONE' : 'SEND_FAILED', message: result.reason
+            });
+        }
+        res.json({ success: true, message: 'Statement sent on WhatsApp', closing: result.statement.closing });
+    } catch (error) {
+        if (sendStatementError(res, error)) return;
+        console.error('[Statements] Send error:', error);
+        res.status(500).json({ success: false, message: 'Failed to send statement' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// LOG + BULK RUNS
+// ═══════════════════════════════════════════
+
+router.get('/log', perm, validateQuery(logQuerySchema), async (req, res) => {
+    try {
+        const where = [];
+        const params = [];
+        if (req.query.customer_id) { where.push('cs.zoho_customer_id = ?'); params.push(req.query.customer_id); }
+        if (req.query.run_id) { where.push('cs.run_id = ?'); params.push(req.query.run_id); }
+        const branchId = getBranchFilter(req);
+        if (branchId) { where.push('(zcm.branch_id = ? OR zcm.branch_id IS NULL)'); params.push(branchId); }
+        params.push(req.query.limit);
+        const [rows] = await pool.query(
+            `SELECT cs.*, u.full_name AS sent_by_name
+             FROM customer_statements cs
+             LEFT JOIN zoho_customers_map zcm ON zcm.zoho_contact_id = cs.zoho_customer_id
+             LEFT JOIN users u ON u.id = cs.sent_by
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY cs.created_at DESC, cs.id DESC
+             LIMIT ?`,
+            params
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        console.error('[Statements] Log error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load statement log' });
+    }
+});
+
+router.get('/runs', perm, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT sr.*, u.full_name AS started_by_name
+             FROM statement_runs sr LEFT JOIN users u ON u.id = sr.started_by
+             ORDER BY sr.started_at DESC, sr.id DESC LIMIT 24`
+        );
+        res.json({ success: true, data: rows });
+    } catch (error) {
+        console.error('[Statements] Runs error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load runs' });
+    }
+});
+
+router.post('/runs', perm, validate(runSchema), async (req, res) => {
+    try {
+        const period = periodOf(req.body);
+        if (period.from > period.to) {
+            return res.status(400).json({ success: false, code: 'INVALID_PERIOD', message: 'From date is after the to date' });
+        }
+        const [running] = await pool.query("SELECT id FROM statement_runs WHERE status = 'running' LIMIT 1");
+        if (running.length) {
+            return res.status(409).json({ success: false, code: 'RUN_IN_PROGRESS', message: 'A statement run is already in progress' });
+        }
+        const branchId = getBranchFilter(req);
+        const branding = await getBranding(pool);
+        auditLog.record(req, {
+            action: 'collections.statement.bulk_run', entity_type: 'statement_run', entity_id: null,
+            after: { ...period, branch_id: branchId }
+        });
+        res.status(202).json({ success: true, message: 'Statement run started — progress shows under runs', ...period });
+
+        statements.runBulk(deps(branding), { ...period, trigger: 'manual', startedBy: req.user.id, branchId })
+            .then(r => console.log(`[Statements] Manual run #${r.runId}: ${r.sent} sent, ${r.failed} failed, ${r.skipped} skipped`))
+            .catch(err => console.error('[Statements] Manual run error:', err.message));
+    } catch (error) {
+        console.error('[Statements] Start run error:', error);
+        if (!res.headersSent) res.status(500).json({ success: false, message: 'Failed to start run' });
+    }
+});
+
+module.exports = { router, setPool, periodQuerySchema };
@@ -13,6 +13,9 @@ const fs = require('fs');
 const { requirePermission, requireAuth, isFullAdmin } = require('../middleware/permissionMiddleware');
 const notificationService = require('../services/notification-service');
 const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
+const barcodes = require('../services/barcodes');
+const cycleCount = require('../services/cycle-count');
+const { todayIST } = require('../services/dpl-impact');
 
 let pool;
 function setPool(dbPool) { pool = dbPool; setIdempotencyPool(dbPool); }
@@ -134,13 +137,14 @@ router.post('/assign', requirePermission('zoho', 'stock_check'), async (req, res
 /** GET /api/stock-check/assignments — List assignments with filters */
 router.get('/assignments', requirePermission('zoho', 'stock_check'), async (req, res) => {
     try {
-        const { branch_id, staff_id, status, from_date, to_date, page = 1, limit = 25, sort_by, sort_dir } = req.query;
+        const { branch_id, staff_id, status, request_type, from_date, to_date, page = 1, limit = 25, sort_by, sort_dir } = req.query;
         let where = 'WHERE 1=1';
         const params = [];
 
         if (branch_id) { where += ' AND a.branch_id = ?'; params.push(branch_id); }
         if (staff_id) { where += ' AND a.staff_id = ?'; params.push(staff_id); }
         if (status) { where += ' AND a.status = ?'; params.push(status); }
+        if (request_type) { where += ' AND a.request_type = ?'; params.push(request_type); }
         if (from_date) { where += ' AND a.check_date >= ?'; params.push(from_date); }
         if (to_date) { where += ' AND a.check_date <= ?'; params.push(to_date); }
 
@@ -348,6 +352,53 @@ router.get('/my-submissions', requireAuth, async (req, res) => {
     }
 });
 
+// ========================================
+// STAFF: SCAN TO COUNT
+// ========================================
+
+/**
+ * GET /api/stock-check/scan/:id?code= — Resolve a scanned barcode to an item
+ * of this assignment. The screen adds `quantity` (units per scan — >1 for a
+ * mapped carton code) to the item's count and saves via save-progress.
+ */
+router.get('/scan/:id', requireAuth, async (req, res) => {
+    try {
+        const [assignments] = await pool.query(
+            'SELECT id, status FROM stock_check_assignments WHERE id = ? AND staff_id = ?',
+            [req.params.id, req.user.id]
+        );
+        if (!assignments.length) return res.status(404).json({ success: false, message: 'Assignment not found' });
+        if (assignments[0].status !== 'pending') {
+            return res.status(400).json({ success: false, message: 'Assignment already submitted' });
+        }
+
+        let item;
+        try {
+            item = await barcodes.resolveCode(pool, req.query.code);
+        } catch (err) {
+            if (err.code === 'INVALID_CODE') return res.status(400).json({ success: false, code: err.code, message: err.message });
+            if (err.code === 'AMBIGUOUS_CODE') return res.status(409).json({ success: false, code: err.code, message: err.message, candidates: err.candidates });
+            throw err;
+        }
+        if (!item) return res.status(404).json({ success: false, code: 'NOT_FOUND', message: 'No item for this code' });
+
+        const [rows] = await pool.query(
+            'SELECT id, item_status FROM stock_check_items WHERE assignment_id = ? AND zoho_item_id = ?',
+            [req.params.id, item.zoho_item_id]
+        );
+        if (!rows.length) {
+            return res.status(404).json({ success: false, code: 'NOT_IN_CHECK', message: `${item.item_name} is not part of this stock check`, item });
+        }
+        if (['submitted', 'adjusted'].includes(rows[0].item_status)) {
+            return res.status(409).json({ success: false, code: 'ITEM_LOCKED', message: `${item.item_name} is already submitted`, item });
+        }
+        res.json({ success: true, item });
+    } catch (error) {
+        console.error('Stock check scan error:', error);
+        res.status(500).json({ success: false, message: 'Failed to resolve code' });
+    }
+});
+
 // ========================================
 // STAFF: SAVE PROGRESS (PARTIAL SUBMISSION)
 // ========================================
@@ -1797,6 +1848,116 @@ router.get('/admin/reconciliation/discrepancies', requirePermission('zoho', 'sto
     }
 });
 
+// ========================================
+// ADMIN: CYCLE COUNTS (ABC)
+// ========================================
+
+/** GET /api/stock-check/cycle-counts/classes — A/B/C items for a branch with last counted + next due */
+router.get('/cycle-counts/classes', requirePermission('zoho', 'stock_check'), async (req, res) => {
+    try {
+        const { branch_id, abc_class } = req.query;
+        if (!branch_id) return res.status(400).json({ success: false, message: 'branch_id is required' });
+        if (abc_class && !cycleCount.CLASSES.includes(abc_class)) {
+            return res.status(400).json({ success: false, message: 'abc_class must be A, B or C' });
+        }
+
+        const locations = await cycleCount.branchLocations(pool, branch_id);
+        if (!locations.length) return res.status(400).json({ success: false, message: 'No active location for branch' });
+
+        let rows = await cycleCount.loadCandidates(pool, locations[0]);
+        if (abc_class) rows = rows.filter(r => r.abc_class === abc_class);
+        const [stamp] = await pool.query('SELECT MAX(classified_at) AS classified_at FROM item_abc_classes WHERE branch_id = ?', [branch_id]);
+
+        const summary = { A: 0, B: 0, C: 0, due: 0 };
+        const today = todayIST();
+        const data = rows.map(r => {
+            const next_due = cycleCount.nextDueDate(r.abc_class, r.last_counted);
+            const due = !Number(r.on_open_count) && (next_due === null || next_due <= today);
+            summary[r.abc_class]++;
+            if (due) summary.due++;
+            return { ...r, on_open_count: !!Number(r.on_open_count), next_due, due };
+        }).sort((a, b) => cycleCount.CLASSES.indexOf(a.abc_class) - cycleCount.CLASSES.indexOf(b.abc_class)
+            || parseFloat(b.sales_value) - parseFloat(a.sales_value));
+
+        res.json({
+            success: true,
+            data,
+            summary: { ...summary, cycle_days: cycleCount.CLASS_CYCLE_DAYS, classified_at: stamp[0] ? stamp[0].classified_at : null }
+        });
+    } catch (error) {
+        console.error('Cycle count classes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load ABC classes' });
+    }
+});
+
+/** POST /api/stock-check/cycle-counts/classify — Reclassify a branch (or all) A/B/C now */
+router.post('/cycle-counts/classify', requirePermission('zoho', 'stock_check'), async (req, res) => {
+    try {
+        const config = await cycleCount.getConfig(pool);
+        const branches = await cycleCount.branchLocations(pool, req.body.branch_id || null);
+        if (!branches.length) return res.status(400).json({ success: false, message: 'No branch with an active location' });
+
+        const today = todayIST();
+        const data = [];
+        for (const branch of branches) {
+            const counts = await cycleCount.classifyBranch(pool, branch, { today, lookbackDays: config.lookbackDays });
+            data.push({ branch_id: branch.branch_id, branch_name: branch.branch_name, ...counts });
+        }
+        res.json({ success: true, message: `Classified ${data.length} branch${data.length === 1 ? '' : 'es'}`, data });
+    } catch (error) {
+        console.error('Cycle count classify error:', error);
+        res.status(500).json({ success: false, message: 'Failed to classify items' });
+    }
+});
+
+/** POST /api/stock-check/cycle-counts/run — Create today's cycle counts now (same as the 08:30 job) */
+router.post('/cycle-counts/run', requirePermission('zoho', 'stock_check'), idempotent('stockcheck.cycle_run'), async (req, res) => {
+    try {
+        const config = await cycleCount.getConfig(pool);
+        const data = await cycleCount.runCycleCounts(
+            { db: pool, notify: notificationService.send },
+            {
+                today: todayIST(),
+                branchId: req.body.branch_id || null,
+                userId: req.user.id,
+                lookbackDays: config.lookbackDays,
+                maxItemsPerStaff: config.maxItemsPerStaff
+            }
+        );
+        const created = data.reduce((n, r) => n + r.assignment_ids.length, 0);
+        res.json({ success: true, message: `${created} cycle count assignment${created === 1 ? '' : 's'} created`, data });
+    } catch (error) {
+        console.error('Cycle count run error:', error);
+        res.status(500).json({ success: false, message: 'Failed to create cycle counts' });
+    }
+});
+
+/** GET /api/stock-check/cycle-counts/variance — Variance trends per item and per counter
+ *  Filters: branch_id, staff_id, months (default 6, max 24). */
+router.get('/cycle-counts/variance', requirePermission('zoho', 'stock_check'), async (req, res) => {
+    try {
+        const months = Math.min(Math.max(parseInt(req.query.months) || 6, 1), 24);
+        const rows = await cycleCount.loadVarianceRows(pool, {
+            branchId: req.query.branch_id ? parseInt(req.query.branch_id) : null,
+            staffId: req.query.staff_id ? parseInt(req.query.staff_id) : null,
+            months
+        });
+        const { items, counters } = cycleCount.summariseVariance(rows);
+        res.json({
+            success: true,
+            data: { months, items, counters },
+            summary: {
+                lines: rows.length,
+                hotspots: items.filter(i => i.hotspot).length,
+                repeat_offenders: counters.filter(c => c.repeat_offender).length
+            }
+        });
+    } catch (error) {
+        console.error('Cycle count variance error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load variance trends' });
+    }
+});
+
 // ========================================
 // BRANCH INVENTORY (ALL ITEMS + PRICE + LAST CHECKED)
 // ========================================
@@ -0,0 +1,898 @@
+/**
+ * Inter-branch Stock Transfer Routes
+ * A branch short of stock requests it from a sister branch; the source
+ * branch approves and dispatches, the destination receives and counts.
+ *
+ *   GET  /locations          — active Zoho locations with their branch (request form)
+ *   GET  /source-stock       — what a source location has on hand (item picker)
+ *   GET  /                   — list (status / direction filters); staff see
+ *                              transfers in or out of their own branch
+ *   GET  /:id                — one transfer with its lines
+ *   POST /                   — request stock (destination = your branch)
+ *   POST /from-suggestions   — raise requests from 'transfer' purchase
+ *                              suggestions, one per source → destination pair
+ *   POST /:id/approve        — source branch approves (≤ requested per line)
+ *   POST /:id/reject         — source branch refuses, with a reason
+ *   POST /:id/dispatch       — source branch sends it ⇒ in_transit;
+ *                              Zoho OUT adjustment at the source
+ *   POST /:id/receive        — destination counts what arrived (≤ dispatched,
+ *                              shortfalls need a note) ⇒ received;
+ *                              Zoho IN adjustment at the destination
+ *   POST /:id/cancel         — before dispatch only
+ *   POST /:id/push-zoho      — retry a failed Zoho adjustment
+ *
+ * Zoho Transfer Orders need an Inventory OAuth scope we don't have (see
+ * routes/stock-migration.js), so each leg is an inventory adjustment. The
+ * status change commits first; the Zoho push, the local stock cache and the
+ * audit follow best-effort — a failed push is stamped on the row for retry.
+ * Workflow rules live in services/stock-transfers.js.
+ *
+ * Exports: { router, setPool } + createTransferSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission, isFullAdmin } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
+const zohoAPI = require('../services/zoho-api');
+const audit = require('../services/audit-log');
+const transfers = require('../services/stock-transfers');
+const { istDateString } = require('../services/zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; setIdempotencyPool(p); }
+
+const transferPerm = requirePermission('zoho', 'stock_transfer');
+const approvePerm = requirePermission('zoho', 'stock_transfer_approve');
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+// Admins act for every branch; managers and staff only for their own.
+function actsForAllBranches(req) {
+    return !!req.user && isFullAdmin(req.user.role);
+}
+
+/** Caller works at this branch (or is an admin, who acts for any branch). */
+function atBranch(req, branchId) {
+    return actsForAllBranches(req) || (!!branchId && Number(req.user && req.user.branch_id) === Number(branchId));
+}
+
+async function generateNumber(prefix, table, column) {
+    const now = new Date();
+    const yyyy = now.getFullYear();
+    const mm = String(now.getMonth() + 1).padStart(2, '0');
+    const dd = String(now.getDate()).padStart(2, '0');
+    const dateStr = `${yyyy}${mm}${dd}`;
+    const pattern = `${prefix}-${dateStr}-%`;
+
+    const [rows] = await pool.query(
+        `SELECT ${column} FROM ${table} WHERE ${column} LIKE ? ORDER BY id DESC LIMIT 1`,
+        [pattern]
+    );
+
+    let seq = 1;
+    if (rows.length) {
+        const last = rows[0][column];
+        const parts = last.split('-');
+        const lastSeq = parseInt(parts[parts.length - 1], 10);
+        if (!isNaN(lastSeq)) seq = lastSeq + 1;
+    }
+
+    return `${prefix}-${dateStr}-${String(seq).padStart(3, '0')}`;
+}
+
+async function loadLocation(db, locationId) {
+    const [rows] = await db.query(
+        `SELECT zoho_location_id, zoho_location_name, local_branch_id
+         FROM zoho_locations_map WHERE zoho_location_id = ? AND is_active = 1 LIMIT 1`,
+        [locationId]
+    );
+    return rows[0] || null;
+}
+
+async function branchLocation(db, branchId) {
+    const [rows] = await db.query(
+        'SELECT zoho_location_id FROM zoho_locations_map WHERE local_branch_id = ? AND is_active = 1 LIMIT 1',
+        [branchId]
+    );
+    return rows.length ? rows[0].zoho_location_id : null;
+}
+
+async function loadTransfer(db, id, forUpdate = false) {
+    const [rows] = await db.query(
+        `SELECT * FROM stock_transfers WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function loadItems(db, transferId) {
+    const [rows] = await db.query('SELECT * FROM stock_transfer_items WHERE transfer_id = ? ORDER BY id', [transferId]);
+    return rows;
+}
+
+/**
+ * Create one transfer + its lines on an open transaction connection.
+ * Item names/SKUs come from the Zoho catalogue; an unknown item is refused.
+ * @returns {Promise<number>} the new transfer id
+ */
+async function insertTransfer(connection, { number, from, to, lines, source, notes, userId }) {
+    const ids = lines.map(l => l.zoho_item_id);
+    const [catalog] = await connection.query(
+        'SELECT zoho_item_id, zoho_item_name, zoho_sku FROM zoho_items_map WHERE zoho_item_id IN (?)',
+        [ids]
+    );
+    const byId = new Map(catalog.map(r => [String(r.zoho_item_id), r]));
+    for (const id of ids) {
+        if (!byId.has(id)) {
+            const e = new Error(`Item ${id} is not in the Zoho catalogue`);
+            e.code = 'INVALID_TRANSFER';
+            throw e;
+        }
+    }
+
+    const [result] = await connection.query(
+        `INSERT INTO stock_transfers
+         (transfer_number, from_branch_id, from_location_id, from_location_name,
+          to_branch_id, to_location_id, to_location_name, status, source, notes, requested_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'requested', ?, ?, ?)`,
+        [number, from.local_branch_id, from.zoho_location_id, from.zoho_location_name,
+         to.local_branch_id, to.zoho_location_id, to.zoho_location_name, source, notes || null, userId]
+    );
+    for (const line of lines) {
+        const item = byId.get(line.zoho_item_id);
+        await connection.query(
+            `INSERT INTO stock_transfer_items (transfer_id, zoho_item_id, item_name, sku, requested_qty)
+             VALUES (?, ?, ?, ?, ?)`,
+            [result.insertId, line.zoho_item_id, item.zoho_item_name, item.zoho_sku || null, line.requested_qty]
+        );
+    }
+    return result.insertId;
+}
+
+/**
+ * Move the local stock cache by a signed quantity per line (dispatch takes
+ * off the source, receipt adds at the destination) until the next Zoho sync.
+ */
+async function adjustLocationStock(locationId, lines, label) {
+    try {
+        for (const line of lines) {
+            if (!line.zoho_item_id || !line.quantity) continue;
+            await pool.query(
+                `INSERT INTO zoho_location_stock
+                 (zoho_item_id, zoho_location_id, item_name, sku, stock_on_hand, available_stock)
+                 VALUES (?, ?, ?, ?, ?, ?)
+                 ON DUPLICATE KEY UPDATE stock_on_hand = stock_on_hand + VALUES(stock_on_hand),
+                    available_stock = available_stock + VALUES(available_stock), last_synced_at = NOW()`,
+                [line.zoho_item_id, locationId, line.item_name || null, line.sku || null, line.quantity, line.quantity]
+            );
+        }
+        console.log(`[StockTransfer] ${label} applied to local stock cache`);
+    } catch (stockErr) {
+        console.error(`[StockTransfer] ${label} stock update error:`, stockErr.message);
+    }
+}
+
+/**
+ * Post whichever Zoho adjustments this transfer is due and doesn't have yet:
+ * OUT once dispatched, IN once received. Stamps ids / the error on the row.
+ * @returns {Promise<{out:string|null, in:string|null, error:string|null}>}
+ */
+async function pushTransferToZoho(transfer, items) {
+    const date = istDateString(new Date());
+    const result = { out: transfer.zoho_out_adjustment_id || null, in: transfer.zoho_in_adjustment_id || null, error: null };
+    try {
+        if (!result.out && ['in_transit', 'received'].includes(transfer.status)) {
+            const payload = transfers.adjustmentPayload(transfer, items, 'out', date);
+            if (payload) {
+                const resp = await zohoAPI.createInventoryAdjustment(payload);
+                result.out = resp?.inventory_adjustment?.inventory_adjustment_id || null;
+            }
+        }
+        if (!result.in && transfer.status === 'received') {
+            const payload = transfers.adjustmentPayload(transfer, items, 'in', date);
+            if (payload) {
+                const resp = await zohoAPI.createInventoryAdjustment(payload);
+                result.in = resp?.inventory_adjustment?.inventory_adjustment_id || null;
+            }
+        }
+    } catch (err) {
+        result.error = String(err.message || err).slice(0, 255);
+        console.error(`[StockTransfer] Zoho push failed for ${transfer.transfer_number}:`, result.error);
+    }
+    try {
+        await pool.query(
+            `UPDATE stock_transfers SET zoho_out_adjustment_id = ?, zoho_in_adjustment_id = ?,
+                zoho_push_error = ?, zoho_push_attempted_at = NOW()
+             WHERE id = ?`,
+            [result.out, result.in, result.error, transfer.id]
+        );
+    } catch (stampErr) {
+        console.error('[StockTransfer] Zoho push stamp error:', stampErr.message);
+    }
+    return result;
+}
+
+function zohoNote(push) {
+    return push.error ? ` — Zoho push failed (${push.error}); retry from the transfer` : '';
+}
+
+// Run one workflow step on a transfer in ONE transaction: lock the row,
+// check the status + branch, let `apply` plan and write, commit. Known
+// failures come back as { status, body } for the handler to send.
+async function runStep(req, id, { action, branchField, apply }) {
+    const connection = await pool.getConnection();
+    try {
+        await connection.beginTransaction();
+        const transfer = await loadTransfer(connection, id, true);
+        if (!transfer) {
+            await connection.rollback();
+            return { error: { status: 404, body: { success: false, message: 'Transfer not found' } } };
+        }
+        if (!atBranch(req, transfer[branchField])) {
+            await connection.rollback();
+            return {
+                error: {
+                    status: 403,
+                    body: {
+                        success: false, code: 'WRONG_BRANCH',
+                        message: branchField === 'from_branch_id'
+                            ? 'Only the branch sending the stock can do this'
+                            : 'Only the branch receiving the stock can do this'
+                    }
+                }
+            };
+        }
+        transfers.assertTransition(transfer.status, action);
+        const items = await loadItems(connection, id);
+        const outcome = await apply(connection, transfer, items);
+        await connection.commit();
+        return { transfer, items, outcome };
+    } catch (error) {
+        try { await connection.rollback(); } catch { /* already rolled back */ }
+        if (error.code === 'INVALID_TRANSFER' || error.code === 'TRANSFER_STATE') {
+            return { error: { status: 400, body: { success: false, code: error.code, message: error.message } } };
+        }
+        throw error;
+    } finally {
+        connection.release();
+    }
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const idParamSchema = z.object({
+    id: z.coerce.number().positive()
+});
+
+const listQuerySchema = z.object({
+    status: z.enum(['requested', 'approved', 'rejected', 'in_transit', 'received', 'cancelled']).optional(),
+    direction: z.enum(['inbound', 'outbound']).optional(),
+    branch_id: z.coerce.number().positive().optional(),
+    limit: z.coerce.number().int().min(1).max(200).optional().default(50)
+});
+
+const sourceStockQuerySchema = z.object({
+    location_id: z.string().trim().min(1).max(50),
+    search: z.string().trim().max(100).optional()
+});
+
+const createTransferSchema = z.object({
+    from_location_id: z.string().trim().min(1).max(50),
+    to_location_id: z.string().trim().min(1).max(50).optional(),
+    notes: z.string().max(1000).optional().default(''),
+    items: z.array(z.object({
+        zoho_item_id: z.string().trim().min(1).max(50),
+        quantity: z.number().positive()
+    })).min(1, 'Request at least one item').max(200)
+});
+
+const fromSuggestionsSchema = z.object({
+    suggestion_ids: z.array(z.number().int().positive()).min(1).max(500)
+});
+
+const approveSchema = z.object({
+    items: z.array(z.object({
+        item_id: z.number().int().positive(),
+        approved_qty: z.number().min(0)
+    })).optional().default([]),
+    note: z.string().max(500).optional()
+});
+
+const rejectSchema = z.object({
+    reason: z.string().trim().min(3, 'A rejection reason is required').max(500)
+});
+
+const dispatchSchema = z.object({
+    items: z.array(z.object({
+        item_id: z.number().int().positive(),
+        dispatched_qty: z.number().min(0)
+    })).optional().default([])
+});
+
+const receiveSchema = z.object({
+    items: z.array(z.object({
+        item_id: z.number().int().positive(),
+        received_qty: z.number().min(0),
+        note: z.string().max(255).optional()
+    })).optional().default([])
+});
+
+// ═══════════════════════════════════════════
+// LOOKUPS
+// ═══════════════════════════════════════════
+
+router.get('/locations', transferPerm, async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT m.zoho_location_id, m.zoho_location_name, m.local_branch_id, b.name AS branch_name
+             FROM zoho_locations_map m
+             LEFT JOIN branches b ON b.id = m.local_branch_id
+             WHERE m.is_active = 1 AND m.local_branch_id IS NOT NULL
+             ORDER BY b.name, m.zoho_location_name`
+        );
+        const own = req.user && req.user.branch_id ? Number(req.user.branch_id) : null;
+        res.json({ success: true, locations: rows, own_branch_id: own });
+    } catch (error) {
+        console.error('Stock transfer locations error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load locations' });
+    }
+});
+
+router.get('/source-stock', transferPerm, validateQuery(sourceStockQuerySchema), async (req, res) => {
+    try {
+        const { location_id, search } = req.query;
+        const params = [location_id];
+        let filter = '';
+        if (search) {
+            filter = ' AND (item_name LIKE ? OR sku LIKE ?)';
+            params.push(`%${search}%`, `%${search}%`);
+        }
+        const [rows] = await pool.query(
+            `SELECT zoho_item_id, item_name, sku, CAST(stock_on_hand AS DECIMAL(10,2)) AS stock_on_hand
+             FROM zoho_location_stock
+             WHERE zoho_location_id = ? AND stock_on_hand > 0${filter}
+             ORDER BY item_name
+             LIMIT 30`,
+            params
+        );
+        const { reserved } = await transfers.loadOpenTransfers(pool);
+        res.json({
+            success: true,
+            items: rows.map(r => ({ ...r, reserved_qty: reserved[`${r.zoho_item_id}_${location_id}`] || 0 }))
+        });
+    } catch (error) {
+        console.error('Stock transfer source stock error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load the source branch stock' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// LIST / DETAIL
+// ═══════════════════════════════════════════
+
+router.get('/', transferPerm, validateQuery(listQuerySchema), async (req, res) => {
+    try {
+        const { status, direction, branch_id, limit } = req.query;
+        const branchId = actsForAllBranches(req) ? (branch_id || null) : (req.user.branch_id || null);
+        if (!actsForAllBranches(req) && !branchId) {
+            return res.status(400).json({ success: false, message: 'Your account has no branch assigned.' });
+        }
+
+        const where = [];
+        const params = [];
+        if (status) { where.push('t.status = ?'); params.push(status); }
+        if (branchId) {
+            if (direction === 'inbound') { where.push('t.to_branch_id = ?'); params.push(branchId); }
+            else if (direction === 'outbound') { where.push('t.from_branch_id = ?'); params.push(branchId); }
+            else { where.push('(t.from_branch_id = ? OR t.to_branch_id = ?)'); params.push(branchId, branchId); }
+        }
+
+        const [rows] = await pool.query(
+            `SELECT t.*, bf.name AS from_branch_name, bt.name AS to_branch_name,
+                    ur.full_name AS requested_by_name,
+                    (SELECT COUNT(*) FROM stock_transfer_items i WHERE i.transfer_id = t.id) AS item_count,
+                    (SELECT COALESCE(SUM(COALESCE(i.dispatched_qty, i.approved_qty, i.requested_qty)), 0)
+                     FROM stock_transfer_items i WHERE i.transfer_id = t.id) AS total_qty
+             FROM stock_transfers t
+             LEFT JOIN branches bf ON bf.id = t.from_branch_id
+             LEFT JOIN branches bt ON bt.id = t.to_branch_id
+             LEFT JOIN users ur ON ur.id = t.requested_by
+             ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+             ORDER BY FIELD(t.status, 'in_transit', 'approved', 'requested') DESC, t.created_at DESC
+             LIMIT ?`,
+            [...params, limit]
+        );
+        res.json({ success: true, transfers: rows });
+    } catch (error) {
+        console.error('List stock transfers error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load stock transfers' });
+    }
+});
+
+router.get('/:id', transferPerm, validateParams(idParamSchema), async (req, res) => {
+    try {
+        const [rows] = await pool.query(
+            `SELECT t.*, bf.name AS from_branch_name, bt.name AS to_branch_name,
+                    ur.full_name AS requested_by_name, ua.full_name AS approved_by_name,
+                    ud.full_name AS dispatched_by_name, uv.full_name AS received_by_name
+             FROM stock_transfers t
+             LEFT JOIN branches bf ON bf.id = t.from_branch_id
+             LEFT JOIN branches bt ON bt.id = t.to_branch_id
+             LEFT JOIN users ur ON ur.id = t.requested_by
+             LEFT JOIN users ua ON ua.id = t.approved_by
+             LEFT JOIN users ud ON ud.id = t.dispatched_by
+             LEFT JOIN users uv ON uv.id = t.received_by
+             WHERE t.id = ?`,
+            [req.params.id]
+        );
+        const transfer = rows[0];
+        if (!transfer) return res.status(404).json({ success: false, message: 'Transfer not found' });
+        if (!atBranch(req, transfer.from_branch_id) && !atBranch(req, transfer.to_branch_id)) {
+            return res.status(403).json({ success: false, code: 'WRONG_BRANCH', message: 'This transfer is not for your branch' });
+        }
+        const items = await loadItems(pool, transfer.id);
+        res.json({ success: true, transfer: { ...transfer, items } });
+    } catch (error) {
+        console.error('Get stock transfer error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load the transfer' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// REQUEST
+// ═══════════════════════════════════════════
+
+router.post('/',
+    transferPerm,
+    idempotent('stock_transfer.request'),
+    validate(createTransferSchema),
+    async (req, res) => {
+        const data = req.body;
+        let lines;
+        try {
+            lines = transfers.planRequest(data.items);
+        } catch (err) {
+            return res.status(400).json({ success: false, code: err.code, message: err.message });
+        }
+
+        let transferId, number, from, to;
+        const connection = await pool.getConnection();
+        try {
+            const toLocationId = data.to_location_id || (req.user.branch_id ? await branchLocation(connection, req.user.branch_id) : null);
+            if (!toLocationId) {
+                return res.status(400).json({ success: false, message: 'Your branch has no Zoho location mapped' });
+            }
+            [from, to] = await Promise.all([loadLocation(connection, data.from_location_id), loadLocation(connection, toLocationId)]);
+            if (!from || !to) {
+                return res.status(400).json({ success: false, code: 'INVALID_TRANSFER', message: 'Unknown or inactive location' });
+            }
+            if (!atBranch(req, to.local_branch_id)) {
+                return res.status(403).json({ success: false, code: 'WRONG_BRANCH', message: 'You can only request stock into your own branch' });
+            }
+            if (Number(from.local_branch_id) === Number(to.local_branch_id)) {
+                return res.status(400).json({
+                    success: false, code: 'INVALID_TRANSFER',
+                    message: 'Source and destination are the same branch — use Stock Migration for moves within a branch'
+                });
+            }
+
+            number = await generateNumber('ST', 'stock_transfers', 'transfer_number');
+            await connection.beginTransaction();
+            transferId = await insertTransfer(connection, {
+                number, from, to, lines, source: 'manual', notes: data.notes, userId: req.user.id
+            });
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'INVALID_TRANSFER') {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+            console.error('Create stock transfer error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to create the transfer request' });
+        } finally {
+            connection.release();
+        }
+
+        await audit.record(req, {
+            action: 'stock_transfer.request',
+            entity_type: 'stock_transfer', entity_id: transferId,
+            after: {
+                transfer_number: number, from_location_id: from.zoho_location_id, to_location_id: to.zoho_location_id,
+                lines: lines.map(l => ({ zoho_item_id: l.zoho_item_id, qty: l.requested_qty }))
+            }
+        });
+
+        res.json({
+            success: true,
+            transfer: { id: transferId, transfer_number: number, status: 'requested' },
+            message: `Transfer ${number} requested from ${from.zoho_location_name || from.zoho_location_id}`
+        });
+    }
+);
+
+// One request per (source, destination) pair; the suggestions are marked
+// 'ordered' and linked to the request they went into.
+router.post('/from-suggestions',
+    transferPerm,
+    idempotent('stock_transfer.fromSuggestions'),
+    validate(fromSuggestionsSchema),
+    async (req, res) => {
+        const created = [];
+        const connection = await pool.getConnection();
+        try {
+            const [suggestions] = await connection.query(
+                `SELECT * FROM zoho_purchase_suggestions
+                 WHERE id IN (?) AND suggestion_type = 'transfer' AND status = 'pending'`,
+                [req.body.suggestion_ids]
+            );
+            if (!suggestions.length) {
+                return res.status(400).json({ success: false, message: 'No pending transfer suggestions in the selection' });
+            }
+
+            const groups = new Map();
+            for (const s of suggestions) {
+                const key = `${s.transfer_from_location_id}→${s.zoho_location_id}`;
+                if (!groups.has(key)) groups.set(key, []);
+                groups.get(key).push(s);
+            }
+
+            await connection.beginTransaction();
+            for (const rows of groups.values()) {
+                const [from, to] = await Promise.all([
+                    loadLocation(connection, rows[0].transfer_from_location_id),
+                    loadLocation(connection, rows[0].zoho_location_id)
+                ]);
+                if (!from || !to) {
+                    const e = new Error(`No active branch location for ${rows[0].transfer_from_branch || rows[0].transfer_from_location_id} → ${rows[0].branch_name}`);
+                    e.code = 'INVALID_TRANSFER';
+                    throw e;
+                }
+                if (!atBranch(req, to.local_branch_id)) {
+                    const e = new Error(`You can only request stock into your own branch (${rows[0].branch_name})`);
+                    e.code = 'INVALID_TRANSFER';
+                    throw e;
+                }
+                // Same item suggested twice for one pair (two batches) ⇒ one line
+                const byItem = new Map();
+                for (const s of rows) {
+                    byItem.set(s.zoho_item_id, (byItem.get(s.zoho_item_id) || 0) + (parseFloat(s.suggested_qty) || 0));
+                }
+                const lines = transfers.planRequest([...byItem].map(([zoho_item_id, quantity]) => ({ zoho_item_id, quantity })));
+
+                const number = await generateNumber('ST', 'stock_transfers', 'transfer_number');
+                const id = await insertTransfer(connection, {
+                    number, from, to, lines, source: 'suggestion',
+                    notes: `From purchase suggestion batch ${rows[0].batch_id}`, userId: req.user.id
+                });
+                await connection.query(
+                    `UPDATE zoho_purchase_suggestions SET status = 'ordered', transfer_id = ?
+                     WHERE id IN (?) AND status = 'pending'`,
+                    [id, rows.map(s => s.id)]
+                );
+                created.push({ id, transfer_number: number, suggestion_ids: rows.map(s => s.id), lines: lines.length });
+            }
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'INVALID_TRANSFER') {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+            console.error('Transfer from suggestions error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to raise transfer requests' });
+        } finally {
+            connection.release();
+        }
+
+        for (const t of created) {
+            await audit.record(req, {
+                action: 'stock_transfer.request',
+                entity_type: 'stock_transfer', entity_id: t.id,
+                after: { transfer_number: t.transfer_number, source: 'suggestion', suggestion_ids: t.suggestion_ids }
+            });
+        }
+
+        res.json({
+            success: true,
+            transfers: created,
+            message: `${created.length} transfer request(s) raised: ${created.map(t => t.transfer_number).join(', ')}`
+        });
+    }
+);
+
+// ═══════════════════════════════════════════
+// APPROVE / REJECT (source branch)
+// ═══════════════════════════════════════════
+
+router.post('/:id/approve',
+    approvePerm,
+    validateParams(idParamSchema),
+    validate(approveSchema),
+    async (req, res) => {
+        let step;
+        try {
+            step = await runStep(req, req.params.id, {
+                action: 'approve',
+                branchField: 'from_branch_id',
+                apply: async (connection, transfer, items) => {
+                    const lines = transfers.planApproval(items, req.body.items);
+                    for (const line of lines) {
+                        await connection.query('UPDATE stock_transfer_items SET approved_qty = ? WHERE id = ?', [line.approved_qty, line.id]);
+                    }
+                    await connection.query(
+                        `UPDATE stock_transfers SET status = 'approved', approved_by = ?, approved_at = NOW(),
+                            notes = CONCAT_WS('\\n', notes, ?)
+                         WHERE id = ?`,
+                        [req.user.id, req.body.note || null, transfer.id]
+                    );
+                    return lines;
+                }
+            });
+        } catch (error) {
+            console.error('Approve stock transfer error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to approve the transfer' });
+        }
+        if (step.error) return res.status(step.error.status).json(step.error.body);
+
+        const lines = step.outcome;
+        await audit.record(req, {
+            action: 'stock_transfer.approve',
+            entity_type: 'stock_transfer', entity_id: step.transfer.id,
+            before: { status: step.transfer.status },
+            after: { status: 'approved', lines: lines.map(l => ({ item_id: l.id, approved_qty: l.approved_qty })) }
+        });
+
+        const trimmed = lines.filter(l => {
+            const item = step.items.find(it => Number(it.id) === l.id);
+            return l.approved_qty < (parseFloat(item.requested_qty) || 0);
+        }).length;
+        res.json({
+            success: true,
+            status: 'approved',
+            message: `Transfer ${step.transfer.transfer_number} approved` + (trimmed ? ` — ${trimmed} line(s) reduced` : '')
+        });
+    }
+);
+
+router.post('/:id/reject',
+    approvePerm,
+    validateParams(idParamSchema),
+    validate(rejectSchema),
+    async (req, res) => {
+        let step;
+        try {
+            step = await runStep(req, req.params.id, {
+                action: 'reject',
+                branchField: 'from_branch_id',
+                apply: async (connection, transfer) => {
+                    await connection.query(
+                        `UPDATE stock_transfers SET status = 'rejected', rejected_by = ?, rejected_at = NOW(), rejection_reason = ?
+                         WHERE id = ?`,
+                        [req.user.id, req.body.reason, transfer.id]
+                    );
+                }
+            });
+        } catch (error) {
+            console.error('Reject stock transfer error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to reject the transfer' });
+        }
+        if (step.error) return res.status(step.error.status).json(step.error.body);
+
+        await audit.record(req, {
+            action: 'stock_transfer.reject',
+            entity_type: 'stock_transfer', entity_id: step.transfer.id,
+            before: { status: step.transfer.status },
+            after: { status: 'rejected', reason: req.body.reason }
+        });
+        res.json({ success: true, status: 'rejected', message: `Transfer ${step.transfer.transfer_number} rejected` });
+    }
+);
+
+// ═══════════════════════════════════════════
+// DISPATCH (source branch) ⇒ in transit
+// ═══════════════════════════════════════════
+
+router.post('/:id/dispatch',
+    transferPerm,
+    idempotent('stock_transfer.dispatch'),
+    validateParams(idParamSchema),
+    validate(dispatchSchema),
+    async (req, res) => {
+        let step;
+        try {
+            step = await runStep(req, req.params.id, {
+                action: 'dispatch',
+                branchField: 'from_branch_id',
+                apply: async (connection, transfer, items) => {
+                    const lines = transfers.planDispatch(items, req.body.items);
+                    for (const line of lines) {
+                        await connection.query('UPDATE stock_transfer_items SET dispatched_qty = ? WHERE id = ?', [line.dispatched_qty, line.id]);
+                    }
+                    await connection.query(
+                        "UPDATE stock_transfers SET status = 'in_transit', dispatched_by = ?, dispatched_at = NOW() WHERE id = ?",
+                        [req.user.id, transfer.id]
+                    );
+                    return lines;
+                }
+            });
+        } catch (error) {
+            console.error('Dispatch stock transfer error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to dispatch the transfer' });
+        }
+        if (step.error) return res.status(step.error.status).json(step.error.body);
+
+        // ── After commit — best-effort, NEVER changes the 200 ──
+        const transfer = { ...step.transfer, status: 'in_transit' };
+        const lines = step.outcome;
+        const items = step.items.map(it => ({ ...it, dispatched_qty: lines.find(l => l.id === Number(it.id)).dispatched_qty }));
+        const push = await pushTransferToZoho(transfer, items);
+        await adjustLocationStock(
+            transfer.from_location_id,
+            items.map(it => ({ zoho_item_id: it.zoho_item_id, item_name: it.item_name, sku: it.sku, quantity: -(parseFloat(it.dispatched_qty) || 0) })),
+            `Transfer ${transfer.transfer_number} OUT`
+        );
+        await audit.record(req, {
+            action: 'stock_transfer.dispatch',
+            entity_type: 'stock_transfer', entity_id: transfer.id,
+            before: { status: step.transfer.status },
+            after: {
+                status: 'in_transit', zoho_out_adjustment_id: push.out,
+                lines: lines.map(l => ({ item_id: l.id, dispatched_qty: l.dispatched_qty }))
+            }
+        });
+
+        res.json({
+            success: true,
+            status: 'in_transit',
+            zoho: push,
+            message: `Transfer ${transfer.transfer_number} dispatched — in transit to ${transfer.to_location_name || transfer.to_location_id}` + zohoNote(push)
+        });
+    }
+);
+
+// ═══════════════════════════════════════════
+// RECEIVE (destination branch)
+// ═══════════════════════════════════════════
+
+router.post('/:id/receive',
+    transferPerm,
+    idempotent('stock_transfer.receive'),
+    validateParams(idParamSchema),
+    validate(receiveSchema),
+    async (req, res) => {
+        let step;
+        try {
+            step = await runStep(req, req.params.id, {
+                action: 'receive',
+                branchField: 'to_branch_id',
+                apply: async (connection, transfer, items) => {
+                    const plan = transfers.planReceipt(items, req.body.items);
+                    for (const line of plan.lines) {
+                        await connection.query(
+                            'UPDATE stock_transfer_items SET received_qty = ?, discrepancy_note = ? WHERE id = ?',
+                            [line.received_qty, line.discrepancy_note, line.id]
+                        );
+                    }
+                    await connection.query(
+                        `UPDATE stock_transfers SET status = 'received', received_by = ?, received_at = NOW(), has_discrepancy = ?
+                         WHERE id = ?`,
+                        [req.user.id, plan.hasDiscrepancy ? 1 : 0, transfer.id]
+                    );
+                    return plan;
+                }
+            });
+        } catch (error) {
+            console.error('Receive stock transfer error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to receive the transfer' });
+        }
+        if (step.error) return res.status(step.error.status).json(step.error.body);
+
+        // ── After commit — best-effort, NEVER changes the 200 ──
+        const transfer = { ...step.transfer, status: 'received' };
+        const plan = step.outcome;
+        const items = step.items.map(it => ({ ...it, received_qty: plan.lines.find(l => l.id === Number(it.id)).received_qty }));
+        const push = await pushTransferToZoho(transfer, items);
+        await adjustLocationStock(
+            transfer.to_location_id,
+            items.map(it => ({ zoho_item_id: it.zoho_item_id, item_name: it.item_name, sku: it.sku, quantity: parseFloat(it.received_qty) || 0 })),
+            `Transfer ${transfer.transfer_number} IN`
+        );
+        await audit.record(req, {
+            action: 'stock_transfer.receive',
+            entity_type: 'stock_transfer', entity_id: transfer.id,
+            before: { status: step.transfer.status },
+            after: {
+                status: 'received', has_discrepancy: plan.hasDiscrepancy, zoho_in_adjustment_id: push.in,
+                lines: plan.lines.map(l => ({ item_id: l.id, received_qty: l.received_qty, shortfall: l.shortfall }))
+            }
+        });
+
+        const short = plan.lines.filter(l => l.shortfall > 0).length;
+        res.json({
+            success: true,
+            status: 'received',
+            has_discrepancy: plan.hasDiscrepancy,
+            lines: plan.lines,
+            zoho: push,
+            message: `Transfer ${transfer.transfer_number} received` +
+                (short ? ` — ${short} line(s) short, flagged as a discrepancy` : '') + zohoNote(push)
+        });
+    }
+);
+
+// ═══════════════════════════════════════════
+// CANCEL (requesting branch, before dispatch)
+// ═══════════════════════════════════════════
+
+router.post('/:id/cancel',
+    transferPerm,
+    validateParams(idParamSchema),
+    async (req, res) => {
+        let step;
+        try {
+            step = await runStep(req, req.params.id, {
+                action: 'cancel',
+                branchField: 'to_branch_id',
+                apply: async (connection, transfer) => {
+                    await connection.query(
+                        "UPDATE stock_transfers SET status = 'cancelled', cancelled_by = ?, cancelled_at = NOW() WHERE id = ?",
+                        [req.user.id, transfer.id]
+                    );
+                }
+            });
+        } catch (error) {
+            console.error('Cancel stock transfer error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to cancel the transfer' });
+        }
+        if (step.error) return res.status(step.error.status).json(step.error.body);
+
+        await audit.record(req, {
+            action: 'stock_transfer.cancel',
+            entity_type: 'stock_transfer', entity_id: step.transfer.id,
+            before: { status: step.transfer.status },
+            after: { status: 'cancelled' }
+        });
+        res.json({ success: true, status: 'cancelled', message: `Transfer ${step.transfer.transfer_number} cancelled` });
+    }
+);
+
+// ═══════════════════════════════════════════
+// ZOHO RETRY
+// ═══════════════════════════════════════════
+
+router.post('/:id/push-zoho',
+    requirePermission('zoho', 'manage'),
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const transfer = await loadTransfer(pool, req.params.id);
+            if (!transfer) return res.status(404).json({ success: false, message: 'Transfer not found' });
+            if (!['in_transit', 'received'].includes(transfer.status)) {
+                return res.status(400).json({ success: false, code: 'TRANSFER_STATE', message: 'Nothing to push before the transfer is dispatched' });
+            }
+            const items = await loadItems(pool, transfer.id);
+            const push = await pushTransferToZoho(transfer, items);
+            await audit.record(req, {
+                action: 'stock_transfer.push_zoho',
+                entity_type: 'stock_transfer', entity_id: transfer.id,
+                before: { zoho_out_adjustment_id: transfer.zoho_out_adjustment_id, zoho_in_adjustment_id: transfer.zoho_in_adjustment_id },
+                after: { zoho_out_adjustment_id: push.out, zoho_in_adjustment_id: push.in, error: push.error }
+            });
+            if (push.error) {
+                return res.status(502).json({ success: false, message: `Zoho push failed: ${push.error}`, zoho: push });
+            }
+            res.json({ success: true, zoho: push, message: `Transfer ${transfer.transfer_number} pushed to Zoho` });
+        } catch (error) {
+            console.error('Stock transfer Zoho push error:', error);
+            res.status(500).json({ success: false, message: 'Failed to push the transfer to Zoho' });
+        }
+    }
+);
+
+module.exports = { router, setPool, createTransferSchema };
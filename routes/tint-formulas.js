@@ -0,0 +1,235 @@
+/**
+ * Tint Formula Routes
+ * Colorant recipes per shade, linked to estimate / invoice lines, so a repeat
+ * order can be re-tinted exactly.
+ *
+ *   GET    /?phone=&shade=&q=       — search (phone matches the last 10 digits)
+ *   GET    /invoice/:invoiceId      — formulas on an invoice (print text included)
+ *   GET    /estimate/:estimateId    — formulas on an estimate
+ *   GET    /:id                     — one formula
+ *   POST   /                        — record a formula
+ *   PUT    /:id                     — edit a formula
+ *   DELETE /:id                     — retire a formula (soft)
+ *
+ * The invoice print picks formulas up through GET /api/billing/invoices/:id
+ * (tint_formulas), so reprints carry the recipe under its line.
+ *
+ * Exports: { router, setPool } + formulaSchema (for unit testing).
+ */
+
+const express = require('express');
+const router = express.Router();
+const { z } = require('zod');
+const { requirePermission } = require('../middleware/permissionMiddleware');
+const { validate, validateQuery, validateParams } = require('../middleware/validate');
+const auditLog = require('../services/audit-log');
+const tintFormulas = require('../services/tint-formulas');
+const { findShade } = require('./paint-colors');
+
+let pool;
+function setPool(p) { pool = p; auditLog.setPool(p); }
+
+const FORMULA_COLUMNS = [
+    'shade_code', 'shade_name', 'brand_code', 'shade_hex', 'base_zoho_item_id', 'base_item_name', 'base_key',
+    'pack_size', 'machine_name', 'colorants', 'customer_name', 'customer_phone',
+    'estimate_id', 'estimate_item_id', 'invoice_id', 'invoice_item_id', 'branch_id', 'notes'
+];
+
+// ═══════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════
+
+/** Map a service error to a response; returns false for unexpected errors. */
+function sendFormulaError(res, err) {
+    if (err.code === 'INVALID_FORMULA') {
+        return res.status(400).json({ success: false, code: err.code, message: err.message });
+    }
+    if (err.code === 'LINE_NOT_FOUND') {
+        return res.status(404).json({ success: false, code: err.code, message: err.message });
+    }
+    return false;
+}
+
+/** Fill shade name/hex from the paint-colors catalog when the brand is known. */
+function withCatalogShade(data) {
+    const shade = data.brand_code ? findShade(data.brand_code, data.shade_code) : null;
+    if (!shade) return data;
+    return {
+        ...data,
+        shade_code: shade.code,
+        shade_name: data.shade_name || shade.name,
+        shade_hex: shade.hex
+    };
+}
+
+function rowValues(formula) {
+    return FORMULA_COLUMNS.map(c => (c === 'colorants' ? JSON.stringify(formula.colorants) : formula[c]));
+}
+
+async function loadFormula(id) {
+    const [rows] = await pool.query('SELECT * FROM tint_formulas WHERE id = ? AND is_active = 1', [id]);
+    return rows.length ? { ...rows[0], colorants: tintFormulas.parseColorants(rows[0].colorants) } : null;
+}
+
+// ═══════════════════════════════════════════
+// VALIDATION SCHEMAS
+// ═══════════════════════════════════════════
+
+const colorantSchema = z.object({
+    code: z.string().trim().min(1).max(20),
+    shots_per_litre: z.coerce.number().positive().max(tintFormulas.MAX_SHOTS_PER_LITRE)
+});
+
+const formulaSchema = z.object({
+    shade_code: z.string().trim().min(1).max(30),
+    shade_name: z.string().max(100).optional().nullable(),
+    brand_code: z.string().max(50).optional().nullable(),
+    base_zoho_item_id: z.string().max(50).optional().nullable(),
+    base_item_name: z.string().max(255).optional().nullable(),
+    base_key: z.string().max(20).optional().nullable(),
+    pack_size: z.string().max(50).optional().nullable(),
+    machine_name: z.string().max(100).optional().nullable(),
+    colorants: z.array(colorantSchema).min(1).max(tintFormulas.MAX_COLORANTS),
+    customer_name: z.string().max(255).optional().nullable(),
+    customer_phone: z.string().max(20).optional().nullable(),
+    estimate_item_id: z.coerce.number().int().positive().optional().nullable(),
+    invoice_item_id: z.coerce.number().int().positive().optional().nullable(),
+    notes: z.string().max(500).optional().nullable()
+});
+
+const searchQuerySchema = z.object({
+    phone: z.string().max(20).optional(),
+    shade: z.string().max(30).optional(),
+    q: z.string().trim().max(100).optional(),
+    limit: z.coerce.number().int().min(1).max(200).optional().default(50)
+}).refine(q => q.phone || q.shade || q.q, { message: 'Search by phone, shade or text' });
+
+const idParamSchema = z.object({
+    id: z.coerce.number().positive()
+});
+
+const invoiceParamSchema = z.object({
+    invoiceId: z.coerce.number().positive()
+});
+
+const estimateParamSchema = z.object({
+    estimateId: z.coerce.number().positive()
+});
+
+// ═══════════════════════════════════════════
+// READ
+// ═══════════════════════════════════════════
+
+router.get('/', requirePermission('billing', 'invoice'), validateQuery(searchQuerySchema), async (req, res) => {
+    try {
+        const formulas = await tintFormulas.search(pool, req.query);
+        res.json({ success: true, formulas });
+    } catch (error) {
+        if (sendFormulaError(res, error)) return;
+        console.error('Tint formula search error:', error);
+        res.status(500).json({ success: false, message: 'Failed to search formulas' });
+    }
+});
+
+router.get('/invoice/:invoiceId',
+    requirePermission('billing', 'invoice'),
+    validateParams(invoiceParamSchema),
+    async (req, res) => {
+        try {
+            const formulas = await tintFormulas.forInvoice(pool, req.params.invoiceId);
+            res.json({ success: true, formulas });
+        } catch (error) {
+            console.error('Invoice tint formulas error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load formulas' });
+        }
+    }
+);
+
+router.get('/estimate/:estimateId',
+    requirePermission('estimates', 'view'),
+    validateParams(estimateParamSchema),
+    async (req, res) => {
+        try {
+            const formulas = await tintFormulas.forEstimate(pool, req.params.estimateId);
+            res.json({ success: true, formulas });
+        } catch (error) {
+            console.error('Estimate tint formulas error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load formulas' });
+        }
+    }
+);
+
+router.get('/:id', requirePermission('billing', 'invoice'), validateParams(idParamSchema), async (req, res) => {
+    try {
+        const formula = await loadFormula(req.params.id);
+        if (!formula) return res.status(404).json({ success: false, message: 'Formula not found' });
+        res.json({ success: true, formula: { ...formula, print: tintFormulas.formatFormula(formula) } });
+    } catch (error) {
+        console.error('Get tint formula error:', error);
+        res.status(500).json({ success: false, message: 'Failed to load formula' });
+    }
+});
+
+// ═══════════════════════════════════════════
+// WRITE
+// ═══════════════════════════════════════════
+
+router.post('/', requirePermission('billing', 'tint'), validate(formulaSchema), async (req, res) => {
+    try {
+        const formula = await tintFormulas.buildFormula(pool, withCatalogShade(req.body));
+        const [ins] = await pool.query(
+            `INSERT INTO tint_formulas (${FORMULA_COLUMNS.join(', ')}, created_by)
+             VALUES (${FORMULA_COLUMNS.map(() => '?').join(', ')}, ?)`,
+            [...rowValues(formula), req.user.id]
+        );
+        auditLog.record(req, {
+            action: 'billing.tint.create', entity_type: 'tint_formula', entity_id: ins.insertId,
+            after: formula
+        });
+        res.json({ success: true, id: ins.insertId, formula: { id: ins.insertId, ...formula }, message: 'Formula saved' });
+    } catch (error) {
+        if (sendFormulaError(res, error)) return;
+        console.error('Create tint formula error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save formula' });
+    }
+});
+
+router.put('/:id', requirePermission('billing', 'tint'), validateParams(idParamSchema), validate(formulaSchema), async (req, res) => {
+    try {
+        const before = await loadFormula(req.params.id);
+        if (!before) return res.status(404).json({ success: false, message: 'Formula not found' });
+
+        const formula = await tintFormulas.buildFormula(pool, withCatalogShade(req.body));
+        await pool.query(
+            `UPDATE tint_formulas SET ${FORMULA_COLUMNS.map(c => `${c} = ?`).join(', ')} WHERE id = ?`,
+            [...rowValues(formula), before.id]
+        );
+        auditLog.record(req, {
+            action: 'billing.tint.update', entity_type: 'tint_formula', entity_id: before.id,
+            before, after: formula
+        });
+        res.json({ success: true, formula: { id: before.id, ...formula }, message: 'Formula updated' });
+    } catch (error) {
+        if (sendFormulaError(res, error)) return;
+        console.error('Update tint formula error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update formula' });
+    }
+});
+
+router.delete('/:id', requirePermission('billing', 'tint'), validateParams(idParamSchema), async (req, res) => {
+    try {
+        const before = await loadFormula(req.params.id);
+        if (!before) return res.status(404).json({ success: false, message: 'Formula not found' });
+        await pool.query('UPDATE tint_formulas SET is_active = 0 WHERE id = ?', [before.id]);
+        auditLog.record(req, {
+            action: 'billing.tint.delete', entity_type: 'tint_formula', entity_id: before.id,
+            before, after: { is_active: 0 }
+        });
+        res.json({ success: true, message: 'Formula removed' });
+    } catch (error) {
+        console.error('Delete tint formula error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove formula' });
+    }
+});
+
+module.exports = { router, setPool, formulaSchema };
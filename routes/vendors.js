@@ -1,6 +1,7 @@
 /**
  * Vendor Routes
- * CRUD vendors, bills (with AI scan/verify), purchase orders, payments, Zoho push.
+ * CRUD vendors, bills (with AI scan/verify), purchase orders, goods receipts
+ * (GRN) + PO / GRN / bill three-way match, payments, Zoho push.
  *
  * Exports: { router, setPool }
  */
@@ -14,6 +15,7 @@ const { uploadVendorBill } = require('../config/uploads');
 const vendorBillAI = require('../services/vendor-bill-ai-service');
 const zohoAPI = require('../services/zoho-api');
 const vendorZohoService = require('../services/vendor-zoho-service');
+const { planGoodsReceipt, matchThreeWay } = require('../services/vendor-three-way-match');
 const { classifyPaymentReversal } = require('../services/zoho-payment-mapper');
 const audit = require('../services/audit-log');
 const { idempotent, setPool: setIdempotencyPool } = require('../middleware/idempotency');
@@ -43,7 +45,7 @@ const GST_RATE = 0.18; // paints/putty: CGST 9 + SGST 9
 
 /**
  * Re-SUM a bill's live (non-soft-deleted) payments and rewrite its header money
- * columns. Shared by the record-payment path and the reversal path so the
+ * columns. Shared by the record-payment, reversal and purchase-return paths so the
  * settlement math + SUM filter live in ONE tested place. `db` is a pool OR a
  * transaction connection (both expose .query). The SUM excludes soft-deleted
  * rows (deleted_at IS NULL). Faithful copy of the pre-SP1 inline logic:
@@ -58,10 +60,13 @@ async function recalcBillPaymentTotals(db, billId) {
     );
     const totalPaid = parseFloat(sumRows[0].total_paid) || 0;
 
-    const [bills] = await db.query('SELECT grand_total FROM vendor_bills WHERE id = ?', [billId]);
+    const [bills] = await db.query('SELECT grand_total, returned_amount FROM vendor_bills WHERE id = ?', [billId]);
     if (!bills.length) return null;
 
-    const grandTotal = parseFloat(bills[0].grand_total) || 0;
+    // Tins sent back on a purchase return are no longer owed: settle against
+    // grand_total − returned_amount (the bill document keeps its original
+    // total; the Zoho vendor credit carries the difference).
+    const grandTotal = Math.max(0, (parseFloat(bills[0].grand_total) || 0) - (parseFloat(bills[0].returned_amount) || 0));
     const balanceDue = grandTotal - totalPaid;
     const paymentStatus = balanceDue <= 0 ? 'paid' : (totalPaid > 0 ? 'partial' : 'unpaid');
     await db.query(
@@ -179,6 +184,96 @@ function computeBillTotals(items, discountAmount = 0, taxAmount = null) {
     return { subtotal, discount, taxable, tax, grand };
 }
 
+/**
+ * Plan a purchase return against a bill's lines — pure money math, exported
+ * for direct testing. Each requested line must exist on the bill and fit in
+ * what is still un-returned (billed − `returnedByItem[id]`). The bill-level
+ * discount and GST are shared out pro-rata (same money model as
+ * computeBillTotals), and the total is capped at what the bill still carries
+ * (grand_total − returned_amount).
+ *
+ * `adjusted` is the part of the return that simply cancels the bill's unpaid
+ * balance; `creditDue` is the rest — money already paid that the vendor now
+ * owes back (the open-returns view chases it).
+ * Throws an Error with code 'INVALID_RETURN' on any bad line.
+ * @returns {{lines:Object[], subtotal:number, discountShare:number, taxAmount:number, total:number, adjusted:number, creditDue:number}}
+ */
+function planPurchaseReturn(bill, billItems, returnedByItem, requested) {
+    const invalid = (message) => { const e = new Error(message); e.code = 'INVALID_RETURN'; return e; };
+    const byId = new Map(billItems.map(it => [Number(it.id), it]));
+    const seen = new Set();
+    const lines = [];
+    for (const want of requested) {
+        const id = Number(want.bill_item_id);
+        const item = byId.get(id);
+        if (!item) throw invalid(`Line ${id} is not on this bill`);
+        if (seen.has(id)) throw invalid(`Line ${id} is listed twice`);
+        seen.add(id);
+        const billed = parseFloat(item.quantity) || 0;
+        const already = parseFloat((returnedByItem || {})[id]) || 0;
+        const open = r2(billed - already);
+        const qty = Number(want.quantity);
+        if (!(qty > 0)) throw invalid(`Return quantity for ${item.item_name} must be positive`);
+        if (qty > open + 0.001) {
+            throw invalid(`Only ${open} of ${item.item_name} can still be returned (billed ${billed}, returned ${already})`);
+        }
+        const unitPrice = parseFloat(item.unit_price) || 0;
+        lines.push({
+            bill_item_id: id,
+            zoho_item_id: item.zoho_item_id || null,
+            item_name: item.item_name,
+            quantity: qty,
+            unit_price: unitPrice,
+            line_total: r2(qty * unitPrice),
+            reason_code: want.reason_code
+        });
+    }
+    if (!lines.length) throw invalid('Pick at least one line to return');
+
+    const billSubtotal = parseFloat(bill.subtotal) || 0;
+    const billDiscount = parseFloat(bill.discount_amount) || 0;
+    const billTaxable = billSubtotal - billDiscount;
+    const grandTotal = parseFloat(bill.grand_total) || 0;
+    const returnedBefore = parseFloat(bill.returned_amount) || 0;
+    const amountPaid = parseFloat(bill.amount_paid) || 0;
+
+    const subtotal = r2(lines.reduce((sum, l) => sum + l.line_total, 0));
+    const discountShare = billSubtotal > 0 ? r2(subtotal * billDiscount / billSubtotal) : 0;
+    const taxAmount = billTaxable > 0 ? r2((subtotal - discountShare) * (parseFloat(bill.tax_amount) || 0) / billTaxable) : 0;
+    const total = r2(Math.min(subtotal - discountShare + taxAmount, Math.max(0, grandTotal - returnedBefore)));
+    const adjusted = r2(Math.min(total, Math.max(0, grandTotal - returnedBefore - amountPaid)));
+    return { lines, subtotal, discountShare, taxAmount, total, adjusted, creditDue: r2(total - adjusted) };
+}
+
+/**
+ * Three-way match (services/vendor-three-way-match.js) of a bill against its
+ * PO and the goods received on it. `db` is a pool OR a transaction connection.
+ * A bill without a PO is 'not_applicable' and costs no query.
+ * @returns {Promise<{status:string, lines:Object[], differences:Object[]}>}
+ */
+async function loadThreeWay(db, bill) {
+    if (!bill.po_id) return { status: 'not_applicable', lines: [], differences: [] };
+    const [poItems] = await db.query('SELECT * FROM vendor_po_items WHERE po_id = ? ORDER BY id', [bill.po_id]);
+    const [billItems] = await db.query('SELECT * FROM vendor_bill_items WHERE bill_id = ? ORDER BY id', [bill.id]);
+    return matchThreeWay({ poItems, billItems });
+}
+
+/**
+ * Re-run the three-way match and store the verdict on the bill. Pass
+ * `clearOverride` when the billed lines just changed — a manager's earlier
+ * acceptance covered the old lines, not these.
+ */
+async function refreshThreeWay(db, bill, { clearOverride = false } = {}) {
+    const result = await loadThreeWay(db, bill);
+    await db.query(
+        `UPDATE vendor_bills SET three_way_status = ?, three_way_result = ?${clearOverride
+            ? ', three_way_overridden_by = NULL, three_way_overridden_at = NULL, three_way_override_note = NULL' : ''}
+         WHERE id = ?`,
+        [result.status, JSON.stringify(result), bill.id]
+    );
+    return result;
+}
+
 // ═══════════════════════════════════════════
 // HELPERS
 // ═══════════════════════════════════════════
@@ -289,6 +384,49 @@ const recordPaymentSchema = z.object({
     notes: z.string().optional().default('')
 });
 
+const PURCHASE_RETURN_REASON_CODES = [
+    'damaged', 'wrong_shade', 'wrong_item', 'excess_quantity', 'expired', 'quality_issue', 'other'
+];
+
+const purchaseReturnSchema = z.object({
+    items: z.array(z.object({
+        bill_item_id: z.number().int().positive(),
+        quantity: z.number().positive(),
+        reason_code: z.enum(PURCHASE_RETURN_REASON_CODES)
+    })).min(1),
+    notes: z.string().optional().default(''),
+    zoho_location_id: z.string().optional().nullable()   // where the tins leave from; default the bill's
+}).refine(d => !d.items.some(i => i.reason_code === 'other') || d.notes.trim().length > 0, {
+    message: 'Describe the reason when a line is returned as "other"', path: ['notes']
+});
+
+const returnListQuerySchema = z.object({
+    page: z.coerce.number().int().positive().default(1),
+    limit: z.coerce.number().int().min(1).max(100, { message: 'Limit max 100' }).default(20),
+    vendor_id: z.coerce.number().optional(),
+    credit_status: z.enum(['open', 'settled']).optional(),
+    zoho_status: z.enum(['pending', 'pushed', 'failed']).optional()
+});
+
+const returnCreditSchema = z.object({
+    amount: z.number().positive(),
+    reference: z.string().max(100).optional().default('')
+});
+
+const goodsReceiptSchema = z.object({
+    items: z.array(z.object({
+        po_item_id: z.number().int().positive(),
+        received_qty: z.number().positive(),
+        notes: z.string().max(255).optional().nullable()   // e.g. "2 tins dented"
+    })).min(1),
+    notes: z.string().optional().default(''),
+    zoho_location_id: z.string().optional().nullable()   // branch it arrived at; default the PO's
+});
+
+const threeWayOverrideSchema = z.object({
+    note: z.string().trim().min(3, { message: 'Say why the differences are accepted' }).max(500)
+});
+
 // ═══════════════════════════════════════════
 // PERMISSIONS
 // ═══════════════════════════════════════════
@@ -634,6 +772,11 @@ router.get('/bills/:id',
                 [id]
             );
 
+            const [returns] = await pool.query(
+                'SELECT * FROM vendor_purchase_returns WHERE bill_id = ? ORDER BY created_at DESC',
+                [id]
+            );
+
             // Parse the stored AI scan + verdict, and compute the line-by-line
             // reconciliation the UI renders (what differs, what needs fixing).
             const bill = bills[0];
@@ -658,7 +801,13 @@ router.get('/bills/:id',
                 }
             }
 
-            res.json({ success: true, bill, items, payments, ai_extracted_data: aiData, verification, reconciliation });
+            // Live, so a receipt recorded after the last verify shows up.
+            const threeWay = await loadThreeWay(pool, bill);
+            threeWay.override = bill.three_way_overridden_at
+                ? { by: bill.three_way_overridden_by, at: bill.three_way_overridden_at, note: bill.three_way_override_note }
+                : null;
+
+            res.json({ success: true, bill, items, payments, returns, ai_extracted_data: aiData, verification, reconciliation, three_way: threeWay });
         } catch (error) {
             console.error('Get bill detail error:', error);
             res.status(500).json({ success: false, message: 'Failed to get bill details' });
@@ -845,8 +994,9 @@ router.put('/bills/:id/items',
                 `UPDATE vendor_bills SET subtotal = ?, tax_amount = ?, discount_amount = ?, grand_total = ?, balance_due = ? WHERE id = ?`,
                 [t.subtotal, t.tax, t.discount, t.grand, t.grand - amount_paid, id]
             );
+            const threeWay = await refreshThreeWay(pool, bills[0], { clearOverride: true });
 
-            res.json({ success: true, message: 'Bill items updated', totals: t, balance_due: t.grand - amount_paid });
+            res.json({ success: true, message: 'Bill items updated', totals: t, balance_due: t.grand - amount_paid, three_way: threeWay });
         } catch (error) {
             console.error('Replace bill items error:', error);
             res.status(500).json({ success: false, message: 'Failed to update bill items' });
@@ -922,8 +1072,11 @@ router.post('/bills/:id/verify',
                 `UPDATE vendor_bills SET ai_verification_status = ?, ai_verification_result = ? WHERE id = ?`,
                 [result.status, JSON.stringify(result), id]
             );
+            // The photo checks the bill against itself; the three-way match
+            // checks it against what was ordered and what actually arrived.
+            const threeWay = await refreshThreeWay(pool, bill);
 
-            res.json({ success: true, verification: result });
+            res.json({ success: true, verification: result, three_way: threeWay });
         } catch (error) {
             console.error('Verify bill error:', error);
             res.status(500).json({ success: false, message: 'Failed to verify bill' });
@@ -986,11 +1139,12 @@ router.post('/bills/:id/reconcile',
                 `UPDATE vendor_bills SET ai_verification_status = ?, ai_verification_result = ? WHERE id = ?`,
                 [newStatus, JSON.stringify(result), id]
             );
+            const threeWay = await refreshThreeWay(conn, bill, { clearOverride: true });
 
             await conn.commit();
 
             const reconciliation = aiData ? vendorBillAI.buildReconciliation(savedItems, aiData) : null;
-            res.json({ success: true, status: newStatus, verification: result, totals: t, reconciliation });
+            res.json({ success: true, status: newStatus, verification: result, totals: t, reconciliation, three_way: threeWay });
         } catch (error) {
             await conn.rollback();
             console.error('Reconcile bill error:', error);
@@ -1050,6 +1204,50 @@ router.post('/bills/:id/override-verify',
     }
 );
 
+// Accept a three-way mismatch (e.g. the vendor billed a short delivery at
+// the full PO quantity and a credit note is agreed) so the bill can be pushed.
+// Manager-only, note required, audited. The acceptance is dropped again when
+// the billed lines or the PO's receipts change.
+router.post('/bills/:id/override-three-way',
+    managePerm,
+    validateParams(idParamSchema),
+    validate(threeWayOverrideSchema),
+    async (req, res) => {
+        try {
+            const { id } = req.params;
+            const [bills] = await pool.query('SELECT * FROM vendor_bills WHERE id = ? AND deleted_at IS NULL', [id]);
+            if (!bills.length) {
+                return res.status(404).json({ success: false, message: 'Bill not found' });
+            }
+            const bill = bills[0];
+            if (bill.zoho_status === 'pushed') {
+                return res.status(400).json({ success: false, message: 'Bill is already pushed to Zoho' });
+            }
+
+            const threeWay = await refreshThreeWay(pool, bill);
+            if (threeWay.status !== 'mismatch') {
+                return res.json({ success: true, message: 'Nothing to accept — the bill matches its PO and goods receipt', three_way: threeWay });
+            }
+
+            await pool.query(
+                `UPDATE vendor_bills SET three_way_overridden_by = ?, three_way_overridden_at = NOW(), three_way_override_note = ? WHERE id = ?`,
+                [req.user.id, req.body.note, id]
+            );
+            await audit.record(req, {
+                action: 'vendor.bill.three_way_override',
+                entity_type: 'vendor_bill', entity_id: id,
+                before: { three_way_status: threeWay.status },
+                after: { note: req.body.note, differences: threeWay.differences.map(d => d.message) }
+            });
+
+            res.json({ success: true, message: 'Differences accepted — the bill can now be pushed to Zoho.', three_way: threeWay });
+        } catch (error) {
+            console.error('Override three-way error:', error);
+            res.status(500).json({ success: false, message: 'Failed to accept the three-way differences' });
+        }
+    }
+);
+
 // Submit bill (mark as verified)
 router.post('/bills/:id/submit',
     managePerm,
@@ -1140,6 +1338,18 @@ router.post('/bills/:id/push-zoho',
                     items: gateItems.map(i => i.item_name),
                 });
             }
+            // Three-way gate: a PO-linked bill must agree with the PO rates and
+            // the goods actually received, unless a manager accepted the
+            // differences (POST /bills/:id/override-three-way).
+            const threeWay = await refreshThreeWay(pool, bill);
+            if (threeWay.status === 'mismatch' && !bill.three_way_overridden_at) {
+                return res.status(400).json({
+                    success: false,
+                    code: 'THREE_WAY_MISMATCH',
+                    message: `Cannot push: the bill does not match its PO / goods receipt (${threeWay.differences.length} difference(s)) — correct it or have a manager accept the differences`,
+                    differences: threeWay.differences,
+                });
+            }
 
             // Resolve Zoho contact — create if missing
             let zohoContactId = bill.zoho_contact_id;
@@ -1299,6 +1509,10 @@ router.delete('/bills/:id',
             if (amountPaid > 0.01 || bill.payment_status !== 'unpaid' || liveCount > 0) {
                 return res.status(400).json({ success: false, code: 'BILL_HAS_PAYMENTS', message: 'This bill has a payment recorded — reverse it first (or handle it in Zoho).' });
             }
+            // A Zoho vendor credit is applied against it — Zoho won't void that.
+            if ((parseFloat(bill.returned_amount) || 0) > 0) {
+                return res.status(400).json({ success: false, code: 'BILL_HAS_RETURNS', message: 'This bill has a purchase return recorded — handle it in Zoho.' });
+            }
 
             const pushed = bill.zoho_status === 'pushed';
             if (pushed && !isFullAdmin(req.user && req.user.role)) {
@@ -1325,6 +1539,386 @@ router.delete('/bills/:id',
     }
 );
 
+// ═══════════════════════════════════════════
+// PURCHASE RETURNS (debit notes)
+// ═══════════════════════════════════════════
+
+// Take the returned tins out of the local stock cache at the return's location
+// (the mirror of the convert-to-bill receipt). Zoho itself decrements via the
+// vendor credit's line locations. Best-effort, never fails the return: the
+// next Zoho stock sync corrects any drift.
+async function decrementLocationStock(zohoLocationId, lines) {
+    if (!zohoLocationId) return;
+    try {
+        for (const line of lines) {
+            if (!line.zoho_item_id) continue;
+            await pool.query(
+                `UPDATE zoho_location_stock
+                 SET stock_on_hand = GREATEST(stock_on_hand - ?, 0), available_stock = GREATEST(available_stock - ?, 0), last_synced_at = NOW()
+                 WHERE zoho_item_id = ? AND zoho_location_id = ?`,
+                [line.quantity, line.quantity, line.zoho_item_id, zohoLocationId]
+            );
+        }
+    } catch (stockErr) {
+        console.error('[Vendors] purchase return stock update error:', stockErr.message);
+    }
+}
+
+// Send goods back against a pushed bill. The local return, the bill's
+// returned_amount and its re-settled balance land in ONE transaction; the
+// local stock decrement and the Zoho vendor credit follow best-effort — a
+// failed debit note is stamped on the return and retried via
+// POST /returns/:id/push-zoho.
+router.post('/bills/:id/returns',
+    managePerm,
+    idempotent('vendor.bill.return'),
+    validateParams(idParamSchema),
+    validate(purchaseReturnSchema),
+    async (req, res) => {
+        const { id } = req.params;
+        const data = req.body;
+
+        // ── Phase 1: the local return record — ONE transaction ──
+        let bill, plan, returnId, returnNumber, settled, locationId, locationName;
+        const connection = await pool.getConnection();
+        try {
+            returnNumber = await generateNumber('PR', 'vendor_purchase_returns', 'return_number');
+
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query(
+                'SELECT * FROM vendor_bills WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [id]
+            );
+            if (!rows.length) {
+                await connection.rollback();
+                return res.status(404).json({ success: false, message: 'Bill not found' });
+            }
+            bill = rows[0];
+            // The stock never entered Zoho — fix or delete the bill instead.
+            if (bill.zoho_status !== 'pushed' || !bill.zoho_bill_id) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, code: 'NOT_PUSHED', message: 'This bill is not in Zoho yet — edit or delete it instead of recording a return.' });
+            }
+
+            const [items] = await connection.query('SELECT * FROM vendor_bill_items WHERE bill_id = ?', [id]);
+            const [done] = await connection.query(
+                `SELECT vpri.bill_item_id, SUM(vpri.quantity) AS qty
+                 FROM vendor_purchase_return_items vpri
+                 JOIN vendor_purchase_returns vpr ON vpr.id = vpri.return_id
+                 WHERE vpr.bill_id = ?
+                 GROUP BY vpri.bill_item_id`,
+                [id]
+            );
+            const returnedByItem = Object.fromEntries(done.map(r => [r.bill_item_id, Number(r.qty)]));
+            plan = planPurchaseReturn(bill, items, returnedByItem, data.items);
+
+            locationId = data.zoho_location_id || bill.zoho_location_id || null;
+            locationName = locationId === bill.zoho_location_id ? bill.zoho_location_name : await resolveLocationName(locationId);
+
+            const [result] = await connection.query(
+                `INSERT INTO vendor_purchase_returns
+                 (return_number, vendor_id, bill_id, notes, zoho_location_id, zoho_location_name,
+                  subtotal, discount_share, tax_amount, total, adjusted_amount, credit_due, credit_status, created_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+                [
+                    returnNumber, bill.vendor_id, id, data.notes, locationId, locationName || null,
+                    plan.subtotal, plan.discountShare, plan.taxAmount, plan.total, plan.adjusted, plan.creditDue,
+                    plan.creditDue > 0 ? 'open' : 'settled', req.user.id
+                ]
+            );
+            returnId = result.insertId;
+
+            for (const line of plan.lines) {
+                await connection.query(
+                    `INSERT INTO vendor_purchase_return_items
+                     (return_id, bill_item_id, zoho_item_id, item_name, quantity, unit_price, line_total, reason_code)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [returnId, line.bill_item_id, line.zoho_item_id, line.item_name, line.quantity, line.unit_price, line.line_total, line.reason_code]
+                );
+            }
+
+            await connection.query(
+                'UPDATE vendor_bills SET returned_amount = returned_amount + ? WHERE id = ?',
+                [plan.total, id]
+            );
+            settled = await recalcBillPaymentTotals(connection, id);
+
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'INVALID_RETURN') {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+            console.error('Purchase return error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to record the return' });
+        } finally {
+            connection.release();
+        }
+
+        // ── Phase 2: after commit — best-effort, NEVER changes the 200 ──
+        await decrementLocationStock(locationId, plan.lines);
+
+        await audit.record(req, {
+            action: 'vendor.bill.return',
+            entity_type: 'vendor_bill', entity_id: id,
+            before: { returned_amount: parseFloat(bill.returned_amount) || 0, balance_due: bill.balance_due },
+            after: {
+                return_id: returnId, return_number: returnNumber, total: plan.total, lines: plan.lines.length,
+                zoho_location_id: locationId, balance_due: settled.balanceDue, credit_due: plan.creditDue
+            }
+        });
+
+        const zoho = { pushed: false, error: null };
+        try {
+            const pushed = await vendorZohoService.pushPurchaseReturnToZoho(returnId);
+            zoho.pushed = true;
+            zoho.zoho_vendor_credit_id = pushed.zohoVendorCreditId;
+            zoho.zoho_vendor_credit_number = pushed.zohoVendorCreditNumber;
+            zoho.applied_amount = pushed.appliedAmount;
+            zoho.warnings = pushed.warnings;
+        } catch (err) {
+            zoho.error = String(err.message || err).slice(0, 255);
+            if (err.code) zoho.code = err.code;
+            try {
+                await pool.query(
+                    "UPDATE vendor_purchase_returns SET zoho_status = 'failed', zoho_push_error = ?, zoho_push_attempted_at = NOW() WHERE id = ?",
+                    [zoho.error, returnId]
+                );
+            } catch { /* stamp is best-effort */ }
+        }
+
+        res.json({
+            success: true,
+            return: {
+                id: returnId,
+                return_number: returnNumber,
+                zoho_location_id: locationId,
+                subtotal: plan.subtotal,
+                discount_share: plan.discountShare,
+                tax_amount: plan.taxAmount,
+                total: plan.total,
+                adjusted_amount: plan.adjusted,
+                credit_due: plan.creditDue,
+                items: plan.lines
+            },
+            bill: {
+                id: Number(id),
+                returned_amount: r2((parseFloat(bill.returned_amount) || 0) + plan.total),
+                amount_paid: settled.totalPaid,
+                balance_due: settled.balanceDue,
+                payment_status: settled.paymentStatus
+            },
+            zoho
+        });
+    }
+);
+
+// Returns recorded against one bill, with their lines.
+router.get('/bills/:id/returns',
+    viewPerm,
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const [returns] = await pool.query(
+                `SELECT vpr.*, u.full_name AS created_by_name
+                 FROM vendor_purchase_returns vpr
+                 LEFT JOIN users u ON vpr.created_by = u.id
+                 WHERE vpr.bill_id = ?
+                 ORDER BY vpr.created_at DESC`,
+                [req.params.id]
+            );
+            let items = [];
+            if (returns.length) {
+                [items] = await pool.query(
+                    'SELECT * FROM vendor_purchase_return_items WHERE return_id IN (?) ORDER BY id',
+                    [returns.map(r => r.id)]
+                );
+            }
+            res.json({
+                success: true,
+                returns: returns.map(r => ({ ...r, items: items.filter(i => i.return_id === r.id) }))
+            });
+        } catch (error) {
+            console.error('List bill returns error:', error);
+            res.status(500).json({ success: false, message: 'Failed to load returns' });
+        }
+    }
+);
+
+// All returns. credit_status=open is the open-returns view: credit the vendor
+// still owes back, oldest first, with a per-vendor total to chase.
+router.get('/returns',
+    viewPerm,
+    validateQuery(returnListQuerySchema),
+    async (req, res) => {
+        try {
+            const page = Number(req.query.page) || 1;
+            const limit = Number(req.query.limit) || 20;
+            const offset = (page - 1) * limit;
+            const openView = req.query.credit_status === 'open';
+
+            let where = 'WHERE 1=1';
+            const params = [];
+            if (req.query.vendor_id) { where += ' AND vpr.vendor_id = ?'; params.push(req.query.vendor_id); }
+            if (req.query.credit_status) { where += ' AND vpr.credit_status = ?'; params.push(req.query.credit_status); }
+            if (req.query.zoho_status) { where += ' AND vpr.zoho_status = ?'; params.push(req.query.zoho_status); }
+
+            const [countRows] = await pool.query(
+                `SELECT COUNT(*) AS total FROM vendor_purchase_returns vpr ${where}`,
+                [...params]
+            );
+            const total = countRows[0].total;
+
+            const [rows] = await pool.query(
+                `SELECT vpr.*, v.vendor_name, vb.bill_number, u.full_name AS created_by_name,
+                        vpr.credit_due - vpr.credit_received AS credit_outstanding,
+                        DATEDIFF(CURDATE(), vpr.created_at) AS age_days
+                 FROM vendor_purchase_returns vpr
+                 JOIN vendors v ON v.id = vpr.vendor_id
+                 JOIN vendor_bills vb ON vb.id = vpr.bill_id
+                 LEFT JOIN users u ON vpr.created_by = u.id
+                 ${where}
+                 ORDER BY vpr.created_at ${openView ? 'ASC' : 'DESC'}
+                 LIMIT ? OFFSET ?`,
+                [...params, limit, offset]
+            );
+
+            let byVendor;
+            if (openView) {
+                [byVendor] = await pool.query(
+                    `SELECT vpr.vendor_id, v.vendor_name, COUNT(*) AS returns,
+                            SUM(vpr.credit_due - vpr.credit_received) AS credit_outstanding,
+                            MIN(vpr.created_at) AS oldest_return_at
+                     FROM vendor_purchase_returns vpr
+                     JOIN vendors v ON v.id = vpr.vendor_id
+                     ${where}
+                     GROUP BY vpr.vendor_id, v.vendor_name
+                     ORDER BY credit_outstanding DESC`,
+                    params
+                );
+            }
+
+            res.json({
+                success: true,
+                returns: rows,
+                ...(byVendor ? { by_vendor: byVendor } : {}),
+                pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+            });
+        } catch (error) {
+            console.error('List purchase returns error:', error);
+            res.status(500).json({ success: false, message: 'Failed to list returns' });
+        }
+    }
+);
+
+// Retry a return's Zoho vendor credit after a failed push.
+router.post('/returns/:id/push-zoho',
+    managePerm,
+    idempotent('vendor.return.zohoPush'),
+    validateParams(idParamSchema),
+    async (req, res) => {
+        try {
+            const result = await vendorZohoService.pushPurchaseReturnToZoho(req.params.id);
+            if (result.skipped) {
+                return res.json({ success: true, message: 'Debit note is already in Zoho', skipped: result.skipped });
+            }
+            await audit.record(req, {
+                action: 'vendor.return.zohoPush',
+                entity_type: 'vendor_purchase_return', entity_id: req.params.id,
+                before: null,
+                after: { zoho_vendor_credit_id: result.zohoVendorCreditId, applied_amount: result.appliedAmount }
+            });
+            res.json({
+                success: true,
+                message: result.zohoVendorCreditNumber ? `Debit note ${result.zohoVendorCreditNumber} created in Zoho` : 'Debit note created in Zoho',
+                zoho_vendor_credit_id: result.zohoVendorCreditId,
+                zoho_vendor_credit_number: result.zohoVendorCreditNumber,
+                applied_amount: result.appliedAmount,
+                warnings: result.warnings
+            });
+        } catch (error) {
+            try {
+                await pool.query(
+                    "UPDATE vendor_purchase_returns SET zoho_status = 'failed', zoho_push_error = ?, zoho_push_attempted_at = NOW() WHERE id = ? AND zoho_status <> 'pushed'",
+                    [String(error.message || error).slice(0, 255), req.params.id]
+                );
+            } catch { /* stamp is best-effort */ }
+            if (error.code === 'VENDOR_NOT_IN_ZOHO' || error.code === 'BILL_NOT_PUSHED') {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+            console.error('Push purchase return to Zoho error:', error);
+            res.status(500).json({ success: false, message: error.message || 'Failed to push the return to Zoho' });
+        }
+    }
+);
+
+// Record credit received back from the vendor (refund or their credit note
+// adjusted on a later bill). Settles the return once the credit due is in.
+// The return row is locked while the credit is added, so two submissions
+// can't both pass the outstanding check.
+router.post('/returns/:id/credit',
+    managePerm,
+    idempotent('vendor.return_credit'),
+    validateParams(idParamSchema),
+    validate(returnCreditSchema),
+    async (req, res) => {
+        const { id } = req.params;
+        const { amount, reference } = req.body;
+        let ret, received, creditStatus;
+        const connection = await pool.getConnection();
+        try {
+            await connection.beginTransaction();
+            const [rows] = await connection.query('SELECT * FROM vendor_purchase_returns WHERE id = ? FOR UPDATE', [id]);
+            if (!rows.length) {
+                await connection.rollback();
+                return res.status(404).json({ success: false, message: 'Return not found' });
+            }
+            ret = rows[0];
+            const outstanding = r2((parseFloat(ret.credit_due) || 0) - (parseFloat(ret.credit_received) || 0));
+            if (ret.credit_status === 'settled' || outstanding <= 0) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, code: 'NOTHING_DUE', message: 'No credit is outstanding on this return' });
+            }
+            if (amount > outstanding + 0.01) {
+                await connection.rollback();
+                return res.status(400).json({ success: false, code: 'EXCEEDS_CREDIT_DUE', message: `Only ₹${outstanding} is still due on this return` });
+            }
+
+            received = r2((parseFloat(ret.credit_received) || 0) + amount);
+            creditStatus = received >= (parseFloat(ret.credit_due) || 0) - 0.01 ? 'settled' : 'open';
+            await connection.query(
+                `UPDATE vendor_purchase_returns
+                 SET credit_received = ?, credit_status = ?, credit_reference = COALESCE(NULLIF(?, ''), credit_reference),
+                     credit_settled_at = IF(? = 'settled', NOW(), NULL)
+                 WHERE id = ?`,
+                [received, creditStatus, reference, creditStatus, id]
+            );
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            console.error('Record return credit error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to record the credit' });
+        } finally {
+            connection.release();
+        }
+
+        await audit.record(req, {
+            action: 'vendor.return.credit',
+            entity_type: 'vendor_purchase_return', entity_id: id,
+            before: { credit_received: parseFloat(ret.credit_received) || 0, credit_status: ret.credit_status },
+            after: { credit_received: received, credit_status: creditStatus, amount, reference }
+        });
+
+        res.json({
+            success: true,
+            credit_received: received,
+            credit_outstanding: r2((parseFloat(ret.credit_due) || 0) - received),
+            credit_status: creditStatus,
+            message: creditStatus === 'settled' ? 'Return settled' : 'Credit recorded'
+        });
+    }
+);
+
 // ═══════════════════════════════════════════
 // PURCHASE ORDERS
 // ═══════════════════════════════════════════
@@ -1430,7 +2024,23 @@ router.get('/purchase-orders/:id',
                 [id]
             );
 
-            res.json({ success: true, purchase_order: pos[0], items, bill: bills[0] || null });
+            const [receipts] = await pool.query(
+                `SELECT gr.*, u.full_name AS received_by_name
+                 FROM vendor_goods_receipts gr
+                 LEFT JOIN users u ON gr.received_by = u.id
+                 WHERE gr.po_id = ?
+                 ORDER BY gr.created_at DESC, gr.id DESC`,
+                [id]
+            );
+            if (receipts.length) {
+                const [receiptItems] = await pool.query(
+                    'SELECT * FROM vendor_goods_receipt_items WHERE grn_id IN (?) ORDER BY id',
+                    [receipts.map(r => r.id)]
+                );
+                for (const r of receipts) r.items = receiptItems.filter(i => i.grn_id === r.id);
+            }
+
+            res.json({ success: true, purchase_order: pos[0], items, bill: bills[0] || null, receipts });
         } catch (error) {
             console.error('Get PO detail error:', error);
             res.status(500).json({ success: false, message: 'Failed to get purchase order details' });
@@ -1561,6 +2171,164 @@ router.post('/purchase-orders/:id/send',
     }
 );
 
+// Add received goods to the local stock cache at a location (D3 fix: a
+// receipt must show in stock IMMEDIATELY, not at the next 4-hourly Zoho stock
+// sync). Best-effort, never fails the caller; lines are
+// {zoho_item_id, item_name, quantity} and unmatched lines are skipped.
+async function incrementLocationStock(zohoLocationId, lines, label) {
+    if (!zohoLocationId) return;
+    try {
+        for (const item of lines) {
+            if (!item.zoho_item_id) continue;
+            const qty = Number(item.quantity) || 0;
+            if (qty <= 0) continue;
+            const [stockRows] = await pool.query(
+                `SELECT id, stock_on_hand, available_stock FROM zoho_location_stock
+                 WHERE zoho_item_id = ? AND zoho_location_id = ? LIMIT 1`,
+                [item.zoho_item_id, zohoLocationId]
+            );
+            if (stockRows.length) {
+                const newStock = (Number(stockRows[0].stock_on_hand) || 0) + qty;
+                const newAvail = (Number(stockRows[0].available_stock) || 0) + qty;
+                await pool.query(
+                    `UPDATE zoho_location_stock SET stock_on_hand = ?, available_stock = ?, last_synced_at = NOW()
+                     WHERE id = ?`,
+                    [newStock, newAvail, stockRows[0].id]
+                );
+            } else {
+                await pool.query(
+                    `INSERT INTO zoho_location_stock
+                     (zoho_item_id, zoho_location_id, item_name, sku, stock_on_hand, available_stock)
+                     VALUES (?, ?, ?, ?, ?, ?)
+                     ON DUPLICATE KEY UPDATE stock_on_hand = stock_on_hand + VALUES(stock_on_hand),
+                        available_stock = available_stock + VALUES(available_stock)`,
+                    [item.zoho_item_id, zohoLocationId, item.item_name || null,
+                     null, qty, qty]
+                );
+            }
+        }
+        console.log(`[Vendors] ${label} applied to local stock cache`);
+    } catch (stockErr) {
+        console.error(`[Vendors] ${label} stock update error:`, stockErr.message);
+    }
+}
+
+// Record a goods receipt (GRN): what actually arrived at the branch, per PO
+// line. A PO can be received over several deliveries; each line keeps a
+// running received_qty and the PO a receipt_status. The receipt, the running
+// totals and the status land in ONE transaction; the stock cache bump and the
+// audit follow best-effort.
+router.post('/purchase-orders/:id/receipts',
+    poPerm,
+    idempotent('vendor.po.receipt'),
+    validateParams(idParamSchema),
+    validate(goodsReceiptSchema),
+    async (req, res) => {
+        const { id } = req.params;
+        const data = req.body;
+
+        // ── Phase 1: the receipt — ONE transaction ──
+        let po, plan, grnId, grnNumber, locationId, locationName;
+        const connection = await pool.getConnection();
+        try {
+            grnNumber = await generateNumber('GRN', 'vendor_goods_receipts', 'grn_number');
+
+            await connection.beginTransaction();
+
+            const [rows] = await connection.query('SELECT * FROM vendor_purchase_orders WHERE id = ? FOR UPDATE', [id]);
+            if (!rows.length) {
+                await connection.rollback();
+                return res.status(404).json({ success: false, message: 'Purchase order not found' });
+            }
+            po = rows[0];
+            if (po.status === 'draft' || po.status === 'cancelled') {
+                await connection.rollback();
+                return res.status(400).json({
+                    success: false,
+                    code: 'PO_NOT_OPEN',
+                    message: po.status === 'draft' ? 'Send the purchase order before receiving goods against it' : 'Cancelled POs cannot be received'
+                });
+            }
+
+            const [poItems] = await connection.query('SELECT * FROM vendor_po_items WHERE po_id = ? ORDER BY id', [id]);
+            plan = planGoodsReceipt(poItems, data.items);
+
+            locationId = data.zoho_location_id || po.zoho_location_id || null;
+            locationName = locationId === po.zoho_location_id ? po.zoho_location_name : await resolveLocationName(locationId);
+
+            const [result] = await connection.query(
+                `INSERT INTO vendor_goods_receipts (grn_number, po_id, vendor_id, zoho_location_id, zoho_location_name, notes, received_by)
+                 VALUES (?, ?, ?, ?, ?, ?, ?)`,
+                [grnNumber, id, po.vendor_id, locationId, locationName || null, data.notes, req.user.id]
+            );
+            grnId = result.insertId;
+
+            for (const line of plan.lines) {
+                await connection.query(
+                    `INSERT INTO vendor_goods_receipt_items (grn_id, po_item_id, zoho_item_id, item_name, ordered_qty, received_qty, flag, notes)
+                     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+                    [grnId, line.po_item_id, line.zoho_item_id, line.item_name, line.ordered_qty, line.received_qty, line.flag, line.notes]
+                );
+                await connection.query(
+                    'UPDATE vendor_po_items SET received_qty = received_qty + ? WHERE id = ?',
+                    [line.received_qty, line.po_item_id]
+                );
+            }
+            await connection.query('UPDATE vendor_purchase_orders SET receipt_status = ? WHERE id = ?', [plan.receiptStatus, id]);
+            // What arrived changed, so an accepted three-way mismatch on the
+            // PO's (unpushed) bill is up for review again.
+            await connection.query(
+                `UPDATE vendor_bills SET three_way_overridden_by = NULL, three_way_overridden_at = NULL, three_way_override_note = NULL
+                 WHERE po_id = ? AND deleted_at IS NULL AND zoho_status <> 'pushed'`,
+                [id]
+            );
+
+            await connection.commit();
+        } catch (error) {
+            try { await connection.rollback(); } catch { /* already rolled back */ }
+            if (error.code === 'INVALID_RECEIPT') {
+                return res.status(400).json({ success: false, code: error.code, message: error.message });
+            }
+            console.error('Goods receipt error:', error);
+            return res.status(500).json({ success: false, message: 'Failed to record the goods receipt' });
+        } finally {
+            connection.release();
+        }
+
+        // ── Phase 2: after commit — best-effort, NEVER changes the 200 ──
+        // A PO converted to a bill before any GRN already put its tins in the
+        // stock cache (convert-to-bill); don't count them twice.
+        if (!Number(po.stock_applied_on_convert)) {
+            await incrementLocationStock(
+                locationId,
+                plan.lines.map(l => ({ zoho_item_id: l.zoho_item_id, item_name: l.item_name, quantity: l.received_qty })),
+                `GRN ${grnNumber}`
+            );
+        }
+
+        await audit.record(req, {
+            action: 'vendor.po.receipt',
+            entity_type: 'vendor_purchase_order', entity_id: id,
+            before: { receipt_status: po.receipt_status },
+            after: {
+                grn_id: grnId, grn_number: grnNumber, receipt_status: plan.receiptStatus, zoho_location_id: locationId,
+                lines: plan.lines.map(l => ({ po_item_id: l.po_item_id, received_qty: l.received_qty, flag: l.flag }))
+            }
+        });
+
+        const short = plan.lines.filter(l => l.flag === 'short').length;
+        const excess = plan.lines.filter(l => l.flag === 'excess').length;
+        res.json({
+            success: true,
+            receipt: { id: grnId, grn_number: grnNumber, zoho_location_id: locationId, items: plan.lines },
+            receipt_status: plan.receiptStatus,
+            message: `Goods receipt ${grnNumber} recorded` +
+                (short ? ` — ${short} line(s) still short` : '') +
+                (excess ? ` — ${excess} line(s) over the ordered quantity` : '')
+        });
+    }
+);
+
 // Convert PO → Bill (owner flow 2026-06-12): copies the PO lines into a new
 // vendor_bill (HSN pulled from zoho_items_map where matched), links it via
 // vendor_bills.po_id (migration 20260612_vendor_po_bill_link) and marks the
@@ -1634,49 +2402,20 @@ router.post('/purchase-orders/:id/convert-to-bill',
                 );
             }
 
-            await pool.query(`UPDATE vendor_purchase_orders SET status = 'received' WHERE id = ?`, [id]);
-
-            // D3 fix: receiving goods must update the local stock cache IMMEDIATELY.
-            // Before this, a PO→bill receipt changed nothing until the next
-            // 4-hourly Zoho stock sync, so the reorder chain kept running on
-            // pre-receipt stock. Only items with a location-attributable PO are
-            // updated (all legacy POs have zoho_location_id NULL — new reorder
-            // POs carry it, see reorder.js create-po).
-            if (po.zoho_location_id) {
-                try {
-                    for (const item of poItems) {
-                        if (!item.zoho_item_id) continue;
-                        const qty = Number(item.quantity) || 0;
-                        if (qty <= 0) continue;
-                        const [stockRows] = await pool.query(
-                            `SELECT id, stock_on_hand, available_stock FROM zoho_location_stock
-                             WHERE zoho_item_id = ? AND zoho_location_id = ? LIMIT 1`,
-                            [item.zoho_item_id, po.zoho_location_id]
-                        );
-                        if (stockRows.length) {
-                            const newStock = (Number(stockRows[0].stock_on_hand) || 0) + qty;
-                            const newAvail = (Number(stockRows[0].available_stock) || 0) + qty;
-                            await pool.query(
-                                `UPDATE zoho_location_stock SET stock_on_hand = ?, available_stock = ?, last_synced_at = NOW()
-                                 WHERE id = ?`,
-                                [newStock, newAvail, stockRows[0].id]
-                            );
-                        } else {
-                            await pool.query(
-                                `INSERT INTO zoho_location_stock
-                                 (zoho_item_id, zoho_location_id, item_name, sku, stock_on_hand, available_stock)
-                                 VALUES (?, ?, ?, ?, ?, ?)
-                                 ON DUPLICATE KEY UPDATE stock_on_hand = stock_on_hand + VALUES(stock_on_hand),
-                                    available_stock = available_stock + VALUES(available_stock)`,
-                                [item.zoho_item_id, po.zoho_location_id, item.item_name || null,
-                                 null, qty, qty]
-                            );
-                        }
-                    }
-                    console.log(`[Vendors] PO ${po.po_number} receipt applied to local stock cache`);
-                } catch (stockErr) {
-                    console.error('[Vendors] PO receipt stock update error:', stockErr.message);
-                }
+            // D3 fix: receiving goods must update the local stock cache
+            // IMMEDIATELY. When the branch recorded goods receipts, each GRN
+            // already did; a PO converted with no GRN is taken as fully
+            // received here and stamped so a late GRN doesn't add the tins
+            // again. Only location-attributable POs are updated (all legacy
+            // POs have zoho_location_id NULL — new reorder POs carry it, see
+            // reorder.js create-po).
+            const applyStock = !!po.zoho_location_id && !poItems.some(it => (parseFloat(it.received_qty) || 0) > 0);
+            await pool.query(
+                `UPDATE vendor_purchase_orders SET status = 'received', stock_applied_on_convert = ? WHERE id = ?`,
+                [applyStock ? 1 : 0, id]
+            );
+            if (applyStock) {
+                await incrementLocationStock(po.zoho_location_id, poItems, `PO ${po.po_number} receipt`);
             }
 
             res.json({
@@ -2034,6 +2773,9 @@ router.get('/all',
 // The page used to derive "Outstanding" by fetching the vendor list with
 // limit=999 — silently 400'd by the limit cap, so the stat always showed ₹0.
 // One aggregate query replaces the four list fetches.
+// Returns net out twice: balance_due is already settled against
+// grand_total − returned_amount, and credit the vendor still owes back on open
+// returns comes off the payable (net_outstanding).
 router.get('/stats',
     viewPerm,
     async (req, res) => {
@@ -2043,9 +2785,13 @@ router.get('/stats',
                     (SELECT COUNT(*) FROM vendors) AS total_vendors,
                     (SELECT COUNT(*) FROM vendor_bills WHERE payment_status != 'paid' AND deleted_at IS NULL) AS open_bills,
                     (SELECT COALESCE(SUM(balance_due), 0) FROM vendor_bills WHERE payment_status != 'paid' AND deleted_at IS NULL) AS outstanding,
-                    (SELECT COUNT(*) FROM vendor_purchase_orders) AS purchase_orders`
+                    (SELECT COUNT(*) FROM vendor_purchase_orders) AS purchase_orders,
+                    (SELECT COUNT(*) FROM vendor_purchase_returns WHERE credit_status = 'open') AS open_returns,
+                    (SELECT COALESCE(SUM(credit_due - credit_received), 0) FROM vendor_purchase_returns WHERE credit_status = 'open') AS return_credit_due`
             );
-            res.json({ success: true, stats: rows[0] });
+            const stats = rows[0];
+            stats.net_outstanding = r2((parseFloat(stats.outstanding) || 0) - (parseFloat(stats.return_credit_due) || 0));
+            res.json({ success: true, stats });
         } catch (error) {
             console.error('Vendor stats error:', error);
             res.status(500).json({ success: false, message: 'Failed to load vendor stats' });
@@ -2086,5 +2832,6 @@ router.get('/:id',
 // routes still use them directly via validate().
 module.exports = {
     router, setPool, createVendorSchema, createBillSchema, recordPaymentSchema, listQuerySchema, computeBillTotals,
-    recalcBillPaymentTotals, countLiveBillPayments, reverseVendorPayment
+    recalcBillPaymentTotals, countLiveBillPayments, reverseVendorPayment, planPurchaseReturn, purchaseReturnSchema,
+    goodsReceiptSchema
 };
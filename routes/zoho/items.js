@@ -14,6 +14,7 @@ const zohoAPI = require('../../services/zoho-api');
 const aiEngine = require('../../services/ai-engine');
 const brandDplService = require('../../services/brand-dpl-service');
 const dplCatalogService = require('../../services/dpl-catalog');
+const dplImpact = require('../../services/dpl-impact');
 
 const {
     BRAND_DISPLAY_NAMES,
@@ -103,6 +104,39 @@ router.post('/items/dpl-catalog/:brand/build', requirePermission('zoho', 'manage
     }
 });
 
+// ── Price-change simulations (services/dpl-impact.js) ──
+// Registered before /items/dpl-catalog/:brand so "simulations" is not read as a brand.
+
+const SIMULATION_ERROR_STATUS = { SIMULATION_NOT_FOUND: 404, NOT_PENDING: 409, NOTHING_SELECTED: 400, INVALID_EFFECTIVE_DATE: 400 };
+
+function sendSimulationError(res, err, label) {
+    const status = SIMULATION_ERROR_STATUS[err.code];
+    if (status) return res.status(status).json({ success: false, message: err.message, code: err.code });
+    console.error(`DPL simulation ${label} error:`, err);
+    res.status(500).json({ success: false, message: err.message });
+}
+
+// Recent simulation runs (newest first), optionally for one brand.
+router.get('/items/dpl-catalog/simulations', requirePermission('zoho', 'manage'), async (req, res) => {
+    try {
+        const brand = req.query.brand ? String(req.query.brand).toLowerCase() : null;
+        const data = await dplImpact.listSimulations(pool, { brand });
+        res.json({ success: true, data });
+    } catch (err) {
+        sendSimulationError(res, err, 'list');
+    }
+});
+
+// One run with its full impact report and per-item decisions.
+router.get('/items/dpl-catalog/simulations/:id', requirePermission('zoho', 'manage'), async (req, res) => {
+    try {
+        const data = await dplImpact.getSimulation(pool, req.params.id);
+        res.json({ success: true, data });
+    } catch (err) {
+        sendSimulationError(res, err, 'read');
+    }
+});
+
 // Read the brand catalog, enriched with linked Zoho values (old DPL/rate/name/sku/
 // description) + a sku_conflict flag (canonical_sku held by a DIFFERENT active item).
 router.get('/items/dpl-catalog/:brand', requirePermission('zoho', 'manage'), async (req, res) => {
@@ -297,6 +331,68 @@ router.post('/items/dpl-catalog/:brand/apply-prices', requirePermission('zoho',
     }
 });
 
+// Dry run of apply-prices: saves the impact report (price / margin / estimate /
+// engineer-rate / painter-rate changes) as a pending simulation. Nothing is applied.
+router.post('/items/dpl-catalog/:brand/simulate', requirePermission('zoho', 'manage'), async (req, res) => {
+    try {
+        const brand = String(req.params.brand || '').toLowerCase();
+        if (!assertSupportedBrand(brand, res)) return;
+
+        const parsedRows = await brandDplService.getForMatch(brand);
+        if (!parsedRows || !parsedRows.length) {
+            return res.status(404).json({ success: false, message: 'No saved DPL for this brand. Save a DPL first.' });
+        }
+        const catalog = await dplCatalogService.getCatalog(brand);
+        if (!catalog.length) {
+            return res.status(409).json({ success: false, message: 'Catalog is empty. Build the catalog first.' });
+        }
+
+        const data = await dplImpact.simulate(pool, { brand, parsedRows, catalog }, req.user ? req.user.id : null);
+        res.json({ success: true, data });
+    } catch (err) {
+        sendSimulationError(res, err, 'simulate');
+    }
+});
+
+// Approve a pending simulation. Body: { all: true } or { catalog_ids: [...] },
+// optional effective_date (YYYY-MM-DD) — a future date schedules it instead of
+// applying now.
+router.post('/items/dpl-catalog/simulations/:id/approve', requirePermission('zoho', 'manage'), async (req, res) => {
+    try {
+        const { all, catalog_ids, effective_date } = req.body || {};
+        const user = req.user ? { id: req.user.id, label: req.user.username || String(req.user.id) } : {};
+        const data = await dplImpact.approve(pool, req.params.id, {
+            all: all === true,
+            catalog_ids: Array.isArray(catalog_ids) ? catalog_ids : null,
+            effective_date: effective_date || null
+        }, user);
+
+        try {
+            const audit = require('../../services/audit-log');
+            await audit.record(req, {
+                action: data.status === 'scheduled' ? 'dpl_simulation.schedule' : 'dpl_simulation.apply',
+                entity_type: 'dpl_price_simulation',
+                entity_id: data.id,
+                after: data
+            });
+        } catch (e) { console.warn('audit-log record failed:', e.message); }
+
+        res.json({ success: true, data });
+    } catch (err) {
+        sendSimulationError(res, err, 'approve');
+    }
+});
+
+// Discard a pending or scheduled simulation.
+router.post('/items/dpl-catalog/simulations/:id/discard', requirePermission('zoho', 'manage'), async (req, res) => {
+    try {
+        await dplImpact.discard(pool, req.params.id, req.user ? req.user.id : null);
+        res.json({ success: true });
+    } catch (err) {
+        sendSimulationError(res, err, 'discard');
+    }
+});
+
 // Push selected confirmed catalog entries to Zoho via the bulk-edit job path.
 // Body: { ids: [catalogEntryId, ...] }. Only confirmed entries with a zoho_item_id
 // and a current_dpl are pushed; the rest are reported as skipped.
@@ -2215,6 +2311,16 @@ router.post('/items/bulk-jobs/:id/retry', requirePermission('zoho', 'bulk_update
     }
 });
 
+/**
+ * GET /api/zoho/items/price-list-parsers - Registered price-list parser plug-ins
+ * (for the parser override on the upload form). Declared before /items/:id.
+ */
+router.get('/items/price-list-parsers', requirePermission('zoho', 'manage'), (req, res) => {
+    const data = require('../../services/price-list-parsers').list()
+        .map(p => ({ id: p.id, label: p.label, formats: p.formats }));
+    res.json({ success: true, data });
+});
+
 /**
  * GET /api/zoho/items/:id - Single item detail (fresh from Zoho)
  * NOTE: Must be AFTER all /items/bulk-* routes to avoid catching those paths
@@ -2230,22 +2336,39 @@ router.get('/items/:id', requirePermission('zoho', 'view'), async (req, res) =>
 });
 
 
+const { uploadPriceList, uploadPriceListFile, uploadPriceCsv } = require('../../config/uploads');
+const priceListParser = require('../../services/price-list-parser');
+const http = require('http');
+
+const PRICE_LIST_INPUT_ERRORS = ['UNKNOWN_FORMAT', 'UNSUPPORTED_INPUT', 'INVALID_MAPPING'];
+
 /**
- * POST /api/zoho/items/parse-price-list - Parse a brand dealer price list PDF
+ * POST /api/zoho/items/parse-price-list - Parse a brand dealer price list (PDF, CSV or XLSX)
  * Returns extracted items with product name, pack size, and DPL
  * Optionally matches against existing Zoho items
+ * Body (multipart): pdf (the file), parser (force a plug-in id), mapping (JSON
+ * column mapping for a table with no plug-in), sheet (XLSX worksheet), match
  */
-const { uploadPriceList, uploadPriceCsv } = require('../../config/uploads');
-const priceListParser = require('../../services/price-list-parser');
-const http = require('http');
-
-router.post('/items/parse-price-list', requirePermission('zoho', 'manage'), uploadPriceList.single('pdf'), async (req, res) => {
+router.post('/items/parse-price-list', requirePermission('zoho', 'manage'), uploadPriceListFile.single('pdf'), async (req, res) => {
     try {
         if (!req.file) {
-            return res.status(400).json({ success: false, message: 'PDF file is required' });
+            return res.status(400).json({ success: false, message: 'Price list file is required' });
+        }
+
+        let mapping = null;
+        if (req.body.mapping) {
+            try {
+                mapping = typeof req.body.mapping === 'string' ? JSON.parse(req.body.mapping) : req.body.mapping;
+            } catch {
+                return res.status(400).json({ success: false, code: 'INVALID_MAPPING', message: 'mapping is not valid JSON' });
+            }
         }
 
-        const result = await priceListParser.parsePriceList(req.file.buffer, req.file.originalname);
+        const result = await priceListParser.parsePriceList(req.file.buffer, req.file.originalname, {
+            parser: req.body.parser || null,
+            mapping,
+            sheet: req.body.sheet || undefined
+        });
 
         // If requested, match against existing Zoho items
         if (req.body.match !== 'false') {
@@ -2264,6 +2387,9 @@ router.post('/items/parse-price-list', requirePermission('zoho', 'manage'), uplo
 
         res.json({ success: true, data: result });
     } catch (error) {
+        if (PRICE_LIST_INPUT_ERRORS.includes(error.code)) {
+            return res.status(400).json({ success: false, code: error.code, message: error.message });
+        }
         console.error('Price list parse error:', error);
         res.status(500).json({ success: false, message: error.message });
     }
@@ -0,0 +1,70 @@
+#!/usr/bin/env node
+/**
+ * Price-list parser regression check.
+ *
+ * Runs every golden fixture declared by the price-list plug-ins
+ * (services/price-list-parsers/brands/*) through the registry and compares the
+ * parse with its .expected.json: row count, prices, and rows that went
+ * missing or appeared. Run it after touching a parser, and after adding a
+ * brand's first fixture with --update to write its golden file.
+ *
+ * Usage:
+ *   node scripts/price-list-fixtures.js              # all plug-ins
+ *   node scripts/price-list-fixtures.js --parser nippon
+ *   node scripts/price-list-fixtures.js --parser nippon --update
+ * Exits 1 on any regression.
+ */
+const parsers = require('../services/price-list-parsers');
+
+const SHOW = 10;
+
+function argValue(name) {
+    const i = process.argv.indexOf(name);
+    return i > 0 ? process.argv[i + 1] : null;
+}
+
+function printList(title, rows) {
+    if (!rows.length) return;
+    console.log(`    ${title} (${rows.length}):`);
+    for (const r of rows.slice(0, SHOW)) console.log(`      ${r}`);
+    if (rows.length > SHOW) console.log(`      … ${rows.length - SHOW} more`);
+}
+
+async function main() {
+    const only = argValue('--parser');
+    const update = process.argv.includes('--update');
+    if (only && !parsers.get(only)) {
+        console.error(`No price-list parser "${only}". Registered: ${parsers.list().map(p => p.id).join(', ')}`);
+        process.exit(1);
+    }
+
+    const reports = await parsers.runFixtures({ only, update });
+    if (!reports.length) {
+        console.log('No fixtures declared.');
+        return;
+    }
+
+    let failed = 0;
+    for (const r of reports) {
+        if (!r.ok) failed++;
+        console.log(`${r.ok ? 'PASS' : 'FAIL'}  ${r.plugin}  ${r.input}`);
+        if (r.error) {
+            console.log(`    error: ${r.error}`);
+            continue;
+        }
+        const d = r.diff;
+        console.log(`    rows: expected ${d.expectedRows}, got ${d.actualRows}${update ? ' (golden file updated)' : ''}`);
+        if (!r.detectedAs) console.log(`    detected as ${r.parser} / ${r.brand}, not as in the golden file`);
+        printList('price changes', d.priceChanges.map(c => `${c.key}: ${c.expected} → ${c.actual}`));
+        printList('missing', d.missing);
+        printList('added', d.added);
+    }
+
+    console.log(`\n${reports.length - failed}/${reports.length} fixtures pass`);
+    if (failed) process.exit(1);
+}
+
+main().catch(err => {
+    console.error(err);
+    process.exit(1);
+});
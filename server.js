@@ -40,6 +40,7 @@ const chatRoutes = require('./routes/chat');
 const notificationRoutes = require('./routes/notifications');
 const estimatePdfRoutes = require('./routes/estimate-pdf');
 const estimateRoutes = require('./routes/estimates');
+const paintCalculatorRoutes = require('./routes/paint-calculator');
 const shareRoutes = require('./routes/share');
 const locationTrackerRoutes = require('./routes/location-tracker');
 const notificationService = require('./services/notification-service');
@@ -48,6 +49,7 @@ const websiteRoutes = require('./routes/website');
 const guidesRoutes = require('./routes/guides');
 const stockCheckRoutes = require('./routes/stock-check');
 const stockMigrationRoutes = require('./routes/stock-migration');
+const stockTransferRoutes = require('./routes/stock-transfers');
 const collectionsRoutes = require('./routes/collections');
 const whatsappSessionManager = require('./services/whatsapp-session-manager');
 const whatsappSessionsRoutes = require('./routes/whatsapp-sessions');
@@ -65,6 +67,20 @@ const painterMarketingRoutes = require('./routes/painter-marketing');
 const adminNotificationsRoutes = require('./routes/admin-notifications');
 const billingRoutes = require('./routes/billing');
 const billingPdfRoutes = require('./routes/billing-pdf');
+const dayCloseRoutes = require('./routes/day-close');
+const approvalRoutes = require('./routes/approvals');
+const barcodeRoutes = require('./routes/barcodes');
+const tintFormulaRoutes = require('./routes/tint-formulas');
+const statementRoutes = require('./routes/statements');
+const statementScheduler = require('./services/statement-scheduler');
+const dunningRoutes = require('./routes/dunning');
+const dunningScheduler = require('./services/dunning-scheduler');
+const leaveRoutes = require('./routes/leave');
+const leaveAccrualScheduler = require('./services/leave-accrual-scheduler');
+const scheduledPricesScheduler = require('./services/scheduled-prices-scheduler');
+const cycleCountScheduler = require('./services/cycle-count-scheduler');
+const shiftRoutes = require('./routes/shifts');
+const approvalWorkflow = require('./services/approval-workflow');
 const vendorRoutes = require('./routes/vendors');
 const painterScheduler = require('./services/painter-scheduler');
 const dataRetentionService = require('./services/data-retention-service');
@@ -351,6 +367,7 @@ chatRoutes.setPool(pool);
 notificationRoutes.setPool(pool);
 estimatePdfRoutes.setPool(pool);
 estimateRoutes.setPool(pool);
+paintCalculatorRoutes.setPool(pool);
 shareRoutes.setPool(pool);
 locationTrackerRoutes.setPool(pool);
 notificationService.setPool(pool);
@@ -360,6 +377,7 @@ websiteRoutes.setPool(pool);
 guidesRoutes.setPool(pool);
 stockCheckRoutes.setPool(pool);
 stockMigrationRoutes.setPool(pool);
+stockTransferRoutes.setPool(pool);
 collectionsRoutes.setPool(pool);
 whatsappSessionManager.setPool(pool);
 whatsappSessionsRoutes.setPool(pool);
@@ -392,6 +410,15 @@ adminNotificationsRoutes.setPool(pool);
 billingRoutes.setPool(pool);
 billingRoutes.setPointsEngine(require('./services/painter-points-engine'));
 billingPdfRoutes.setPool(pool);
+dayCloseRoutes.setPool(pool);
+approvalRoutes.setPool(pool);
+barcodeRoutes.setPool(pool);
+tintFormulaRoutes.setPool(pool);
+statementRoutes.setPool(pool);
+dunningRoutes.setPool(pool);
+leaveRoutes.setPool(pool);
+shiftRoutes.setPool(pool);
+approvalWorkflow.setPool(pool);
 vendorRoutes.setPool(pool);
 require('./services/vendor-zoho-service').setPool(pool); // SP-1 C5: AP payment → Zoho
 painterScheduler.setPool(pool);
@@ -399,6 +426,7 @@ dataRetentionService.setPool(pool);
 require('./services/audit-log').setPool(pool);
 leadAutoAssignScheduler.setPool(pool);
 leadReminderScheduler.init(pool, notificationService);
+leaveAccrualScheduler.init(pool);
 aiScheduler.setSessionManager(whatsappSessionManager);
 systemRoutes.setPool(pool);
 creditLimitRoutes.setPool(pool);
@@ -462,6 +490,8 @@ ensureUploadDirs();
 
 app.use('/api/attendance', attendanceRoutes.router);
 app.use('/api/salary', salaryRoutes.router);
+app.use('/api/leave', leaveRoutes.router);
+app.use('/api/shifts', shiftRoutes.router);
 app.use('/api/estimate-requests', estimateRequestRoutes.router);
 app.use('/api/roles', rolesRoutes.router);
 app.use('/api/leads', leadsRoutes.router);
@@ -476,12 +506,15 @@ app.use('/api/chat', chatRoutes.router);
 app.use('/api/notifications', notificationRoutes.router);
 app.use('/api/estimates', estimatePdfRoutes.router);
 app.use('/api/estimates', requireAuth, estimateRoutes.router);
+app.use('/api/paint-calculator', requireAuth, paintCalculatorRoutes.router);
 app.use('/api/share', shareRoutes.router);
 app.use('/api/location-track', locationTrackerRoutes.router);
 app.use('/api/website', websiteRoutes.router);
 app.use('/api/guides', guidesRoutes.router);
 app.use('/api/stock-check', stockCheckRoutes.router);
 app.use('/api/zoho/migration', stockMigrationRoutes.router);
+app.use('/api/stock-transfers', stockTransferRoutes.router);
+app.use('/api/zoho/collections/dunning', dunningRoutes.router);
 app.use('/api/zoho/collections', collectionsRoutes.router);
 app.use('/api/zoho/whatsapp-sessions', whatsappSessionsRoutes.router);
 app.use('/api/wa-marketing', waMarketingRoutes.router);
@@ -495,6 +528,11 @@ app.use('/api/painter-marketing', painterMarketingRoutes.router);
 app.use('/api/admin-notifications', adminNotificationsRoutes.router);
 app.use('/api/billing', billingPdfRoutes.router); // PDF endpoints (own ?token= auth) — mount before billingRoutes (precedent: /api/estimates)
 app.use('/api/billing', billingRoutes.router);
+app.use('/api/day-close', dayCloseRoutes.router);
+app.use('/api/approvals', approvalRoutes.router);
+app.use('/api/barcodes', barcodeRoutes.router);
+app.use('/api/tint-formulas', tintFormulaRoutes.router);
+app.use('/api/statements', statementRoutes.router);
 app.use('/api/vendors', vendorRoutes.router);
 app.use('/api/system', systemRoutes.router);
 app.use('/api/credit-limits', creditLimitRoutes.router);
@@ -2027,10 +2065,14 @@ server.listen(PORT, () => {
     autoClockout.setAutomationRegistry(automationRegistry);
     attendanceReport.setAutomationRegistry(automationRegistry);
     whatsappProcessor.setAutomationRegistry(automationRegistry);
+    scheduledPricesScheduler.setAutomationRegistry(automationRegistry);
+    cycleCountScheduler.setAutomationRegistry(automationRegistry);
 
     // Start background services after server is ready
     autoClockout.start();
     attendanceReport.start();
+    scheduledPricesScheduler.init(pool); // effective-dated price changes at 00:00 IST
+    cycleCountScheduler.init(pool); // ABC cycle counts for staff on shift at 08:30 IST
 
     // Geofence enforcement — every 60 seconds
     // Checks: (1) location turned off >2 min, (2) geo warning >5 min
@@ -2179,6 +2221,12 @@ server.listen(PORT, () => {
             if (result.inserted > 0) console.log(`[Anomaly] Scheduled scan: ${result.inserted} new anomalies`);
         } catch (err) { console.error('[Anomaly] Scheduled scan error:', err.message); }
     }, 6 * 60 * 60 * 1000);
+    // Approval steps past their escalation timeout → escalate-to approver, every 15 min
+    setInterval(async () => {
+        try {
+            await approvalWorkflow.escalateOverdue();
+        } catch (err) { console.error('[Approvals] Escalation sweep error:', err.message); }
+    }, 15 * 60 * 1000);
     console.log('Non-Zoho schedulers started: ai-scheduler, painter-scheduler, data-retention, lead-auto-assign, system-health, production-monitor, photo-cleanup; [Anomaly] scan every 6h');
 
     // Zoho-dependent services — only when ZOHO_ORGANIZATION_ID is configured.
@@ -2189,10 +2237,12 @@ server.listen(PORT, () => {
         whatsappProcessor.start();
         whatsappSessionManager.initializeSessions();
         waCampaignEngine.start();
-        console.log('Zoho services started: sync-scheduler, whatsapp-processor, whatsapp-sessions, wa-campaign-engine');
+        statementScheduler.init(pool); // monthly statements on WhatsApp (synced Zoho data + sessions)
+        dunningScheduler.init(pool); // daily dunning ladder off synced Zoho receivables
+        console.log('Zoho services started: sync-scheduler, whatsapp-processor, whatsapp-sessions, wa-campaign-engine, statement-scheduler, dunning-scheduler');
     } else {
         // KN-P1-5: make the skip LOUD and name exactly which schedulers did not start.
-        console.warn('[startup] ZOHO_ORGANIZATION_ID not set — SKIPPING Zoho schedulers: sync-scheduler, whatsapp-processor, whatsapp-sessions, wa-campaign-engine. Non-Zoho schedulers started normally.');
+        console.warn('[startup] ZOHO_ORGANIZATION_ID not set — SKIPPING Zoho schedulers: sync-scheduler, whatsapp-processor, whatsapp-sessions, wa-campaign-engine, statement-scheduler, dunning-scheduler. Non-Zoho schedulers started normally.');
     }
 });
 
@@ -0,0 +1,603 @@
+/**
+ * Approval workflow engine — configurable multi-stage approval chains.
+ *
+ * One engine behind the hand-built approve/reject endpoints (credit-limit
+ * requests, salary advances, painter estimate discounts, item-master product
+ * requests, attendance permissions, leave requests, shift swaps). Those endpoints keep
+ * their own domain logic and tables; they ask the engine first:
+ *
+ *   const step = await approvals.decide(req.user, { entityType, entityId, decision: 'approve', ... });
+ *   if (!step.final) → respond "approved at step N, waiting for <next>" and stop
+ *   else             → run the existing approve/reject logic unchanged
+ *
+ * Chains (approval_chains + approval_chain_steps, admin-configured):
+ *   - matched per entity type on `amount` — a chain applies when
+ *     amount > min_amount (exclusive) and amount <= max_amount (inclusive);
+ *     NULL bounds are open. Highest priority wins, then the higher min_amount.
+ *     e.g. painter_estimate_discount, min 8 → [branch_manager, role:admin]
+ *   - no matching chain ⇒ ONE step gated by the entity's existing module
+ *     permission — exactly the pre-engine behaviour.
+ * Step approver types: role | user | branch_manager (branches.manager_user_id
+ * of the request's branch; no branch/manager ⇒ role 'manager') | permission
+ * ('module.action'). Acting on a step also needs the entity's module
+ * permission; full admins may act on any step. Consecutive steps the same
+ * user qualifies for are approved together.
+ *
+ * Escalation: a step with escalate_after_hours gets a due_at; escalateOverdue()
+ * (server.js, every 15 min) hands an overdue step to its escalate_to approver.
+ * Delegation: approval_delegations lets a user (e.g. on leave) hand their
+ * approvals to a delegate for a date range; the delegate acts on their behalf
+ * and the step records both.
+ *
+ * Helpers throw Error with e.code (NOT_APPROVER, AMOUNT_CHANGED, NOT_FOUND,
+ * INVALID_CHAIN); routes map them to HTTP statuses.
+ */
+
+const { isFullAdmin, hasRolePermission } = require('../middleware/permissionMiddleware');
+const notificationService = require('./notification-service');
+const { istDateString } = require('./zoho-payment-mapper');
+
+let pool;
+function setPool(p) { pool = p; }
+
+const APPROVER_TYPES = ['role', 'user', 'branch_manager', 'permission'];
+
+// Entity types routed through the engine: the module permission that gates
+// the original endpoint, and where the inbox sends the approver to act.
+const ENTITY_TYPES = {
+    credit_limit_request: {
+        label: 'Credit limit request',
+        permission: ['credit_limits', 'manage'],
+        approve: id => ({ method: 'PUT', path: `/api/credit-limits/requests/${id}/approve` }),
+        reject: id => ({ method: 'PUT', path: `/api/credit-limits/requests/${id}/reject` })
+    },
+    salary_advance: {
+        label: 'Salary advance',
+        permission: ['salary', 'approve'],
+        approve: id => ({ method: 'PUT', path: `/api/salary/advances/${id}/approve` }),
+        reject: id => ({ method: 'PUT', path: `/api/salary/advances/${id}/reject` })
+    },
+    painter_estimate_discount: {
+        label: 'Painter estimate discount',
+        permission: ['painters', 'estimates'],
+        approve: id => ({ method: 'POST', path: `/api/painters/estimates/${id}/discount` }),
+        reject: id => ({ method: 'POST', path: `/api/painters/estimates/${id}/approve-final` })
+    },
+    item_request: {
+        label: 'New product request',
+        permission: ['products', 'manage'],
+        approve: id => ({ method: 'POST', path: `/api/item-master/pending-requests/${id}/approve` }),
+        reject: id => ({ method: 'POST', path: `/api/item-master/pending-requests/${id}/reject` })
+    },
+    attendance_permission: {
+        label: 'Attendance permission',
+        permission: ['attendance', 'approve'],
+        approve: id => ({ method: 'PUT', path: `/api/attendance/permission/${id}/approve` }),
+        reject: id => ({ method: 'PUT', path: `/api/attendance/permission/${id}/reject` })
+    },
+    leave_request: {
+        label: 'Leave request',
+        permission: ['attendance', 'approve'],
+        approve: id => ({ method: 'PUT', path: `/api/leave/requests/${id}/approve` }),
+        reject: id => ({ method: 'PUT', path: `/api/leave/requests/${id}/reject` })
+    },
+    shift_swap: {
+        label: 'Shift swap',
+        permission: ['attendance', 'approve'],
+        approve: id => ({ method: 'PUT', path: `/api/shifts/swaps/${id}/approve` }),
+        reject: id => ({ method: 'PUT', path: `/api/shifts/swaps/${id}/reject` })
+    }
+};
+
+// decide() error codes → HTTP status for the module endpoints.
+const DECISION_ERROR_STATUS = { NOT_APPROVER: 403, AMOUNT_CHANGED: 409, NOT_FOUND: 409 };
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+function entityConfig(entityType) {
+    const cfg = ENTITY_TYPES[entityType];
+    if (!cfg) throw fail('INVALID_CHAIN', `Unknown approval entity type: ${entityType}`);
+    return cfg;
+}
+
+// ═══════════════════════════════════════════
+// CHAIN RESOLUTION (pure)
+// ═══════════════════════════════════════════
+
+/** Does a chain's amount band cover `amount`? (min exclusive, max inclusive, NULL = open) */
+function chainMatches(chain, amount) {
+    const hasMin = chain.min_amount !== null && chain.min_amount !== undefined;
+    const hasMax = chain.max_amount !== null && chain.max_amount !== undefined;
+    if (amount === null || amount === undefined) return !hasMin;
+    const n = Number(amount);
+    if (hasMin && !(n > Number(chain.min_amount))) return false;
+    if (hasMax && !(n <= Number(chain.max_amount))) return false;
+    return true;
+}
+
+/** Pick the chain for an amount from the entity's active chains (or null). */
+function selectChain(chains, amount) {
+    const candidates = (chains || []).filter(c => c.is_active !== 0 && chainMatches(c, amount));
+    candidates.sort((a, b) =>
+        (Number(b.priority) || 0) - (Number(a.priority) || 0)
+        || (Number(b.min_amount) || 0) - (Number(a.min_amount) || 0)
+        || a.id - b.id);
+    return candidates[0] || null;
+}
+
+/** The single permission-gated step used when no chain matches. */
+function defaultSteps(entityType) {
+    const [module, action] = entityConfig(entityType).permission;
+    return [{ step_order: 1, approver_type: 'permission', approver_value: `${module}.${action}` }];
+}
+
+/** Validate chain steps from the admin UI; throws INVALID_CHAIN. */
+function validateSteps(steps) {
+    if (!Array.isArray(steps) || !steps.length) throw fail('INVALID_CHAIN', 'A chain needs at least one step');
+    steps.forEach((s, i) => {
+        const where = `Step ${i + 1}`;
+        if (!APPROVER_TYPES.includes(s.approver_type)) throw fail('INVALID_CHAIN', `${where}: unknown approver type`);
+        if (s.approver_type !== 'branch_manager' && !s.approver_value) throw fail('INVALID_CHAIN', `${where}: approver is required`);
+        if (s.approver_type === 'permission' && !/^[a-z_]+\.[a-z_]+$/.test(s.approver_value)) {
+            throw fail('INVALID_CHAIN', `${where}: permission must look like module.action`);
+        }
+        if (s.escalate_after_hours && !s.escalate_to_type) throw fail('INVALID_CHAIN', `${where}: escalation needs an escalate-to approver`);
+        if (s.escalate_to_type && !APPROVER_TYPES.includes(s.escalate_to_type)) throw fail('INVALID_CHAIN', `${where}: unknown escalate-to type`);
+    });
+}
+
+/** Human label for a step's approver (inbox / trail). */
+function approverLabel(type, value) {
+    if (type === 'role') return `Role: ${value}`;
+    if (type === 'user') return `User #${value}`;
+    if (type === 'branch_manager') return 'Branch manager';
+    if (type === 'permission') return `Permission: ${value}`;
+    return type;
+}
+
+// ═══════════════════════════════════════════
+// WHO MAY ACT
+// ═══════════════════════════════════════════
+
+/** Users who have delegated their approvals to `userId` today (optionally for one entity type). */
+async function activeDelegators(userId, db = pool) {
+    const today = istDateString(new Date());
+    const [rows] = await db.query(
+        `SELECT d.user_id AS id, d.entity_type, u.role, u.branch_id
+         FROM approval_delegations d
+         JOIN users u ON u.id = d.user_id
+         WHERE d.delegate_user_id = ? AND d.is_active = 1
+           AND d.starts_on <= ? AND d.ends_on >= ?`,
+        [userId, today, today]
+    );
+    return rows || [];
+}
+
+async function branchManagerId(branchId, db = pool) {
+    if (!branchId) return null;
+    const [rows] = await db.query('SELECT manager_user_id FROM branches WHERE id = ?', [branchId]);
+    return (rows && rows[0] && rows[0].manager_user_id) || null;
+}
+
+/** Does `actor` ({ id, role }) match the step's approver? (no admin bypass here) */
+async function matchesApprover(actor, step, request, db = pool) {
+    const type = step.approver_type;
+    const value = step.approver_value;
+    if (type === 'user') return Number(value) === Number(actor.id);
+    if (type === 'role') return String(actor.role || '').toLowerCase() === String(value).toLowerCase();
+    if (type === 'branch_manager') {
+        const managerId = await branchManagerId(request.branch_id, db);
+        if (managerId) return Number(managerId) === Number(actor.id);
+        return String(actor.role || '').toLowerCase() === 'manager';
+    }
+    if (type === 'permission') {
+        const [module, action] = String(value).split('.');
+        try { return await hasRolePermission(actor.role, module, action); } catch { return false; }
+    }
+    return false;
+}
+
+/**
+ * Can `user` act on `step` of `request`? Returns { ok, onBehalfOf }.
+ * Needs the entity's module permission, then a direct approver match or an
+ * active delegation from someone who matches. Full admins always may.
+ */
+async function canAct(user, step, request, delegators = null, db = pool) {
+    if (!user) return { ok: false, onBehalfOf: null };
+    if (isFullAdmin(user.role)) return { ok: true, onBehalfOf: null };
+
+    const [module, action] = entityConfig(request.entity_type).permission;
+    let hasModulePerm = false;
+    try { hasModulePerm = await hasRolePermission(user.role, module, action); } catch { hasModulePerm = false; }
+    if (!hasModulePerm) return { ok: false, onBehalfOf: null };
+
+    if (await matchesApprover(user, step, request, db)) return { ok: true, onBehalfOf: null };
+
+    const list = delegators || await activeDelegators(user.id, db);
+    for (const d of list) {
+        if (d.entity_type && d.entity_type !== request.entity_type) continue;
+        if (await matchesApprover(d, step, request, db)) return { ok: true, onBehalfOf: d.id };
+    }
+    return { ok: false, onBehalfOf: null };
+}
+
+// ═══════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════
+
+async function loadSteps(requestId, db = pool) {
+    const [rows] = await db.query(
+        'SELECT * FROM approval_request_steps WHERE request_id = ? ORDER BY step_order',
+        [requestId]
+    );
+    return rows || [];
+}
+
+async function latestRequest(entityType, entityId, db = pool) {
+    const [rows] = await db.query(
+        `SELECT * FROM approval_requests WHERE entity_type = ? AND entity_id = ?
+         ORDER BY id DESC LIMIT 1`,
+        [entityType, String(entityId)]
+    );
+    return (rows && rows[0]) || null;
+}
+
+async function planSteps(entityType, amount, db = pool) {
+    const [chains] = await db.query(
+        'SELECT * FROM approval_chains WHERE entity_type = ? AND is_active = 1',
+        [entityType]
+    );
+    const chain = selectChain(chains, amount);
+    if (!chain) return { chainId: null, steps: defaultSteps(entityType) };
+    const [steps] = await db.query(
+        'SELECT * FROM approval_chain_steps WHERE chain_id = ? ORDER BY step_order',
+        [chain.id]
+    );
+    return { chainId: chain.id, steps: steps.length ? steps : defaultSteps(entityType) };
+}
+
+async function insertSteps(requestId, steps, db = pool) {
+    for (let i = 0; i < steps.length; i++) {
+        const s = steps[i];
+        const first = i === 0;
+        const hours = first && s.escalate_after_hours ? Number(s.escalate_after_hours) : null;
+        await db.query(
+            `INSERT INTO approval_request_steps
+             (request_id, step_order, approver_type, approver_value, status,
+              escalate_after_hours, escalate_to_type, escalate_to_value, due_at)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ${hours ? 'DATE_ADD(NOW(), INTERVAL ? HOUR)' : 'NULL'})`,
+            [requestId, i + 1, s.approver_type, s.approver_value || null, first ? 'pending' : 'waiting',
+                s.escalate_after_hours || null, s.escalate_to_type || null, s.escalate_to_value || null,
+                ...(hours ? [hours] : [])]
+        );
+    }
+}
+
+/**
+ * Open an approval request for an entity (idempotent: an open one is returned).
+ * Call right after the module creates its own pending row.
+ * @returns {Promise<Object>} the approval_requests row
+ */
+async function submit({ entityType, entityId, amount = null, branchId = null, requestedBy = null, title = null }, db = pool) {
+    entityConfig(entityType);
+    const existing = await latestRequest(entityType, entityId, db);
+    if (existing && existing.status === 'pending') return existing;
+
+    const { chainId, steps } = await planSteps(entityType, amount, db);
+    const [ins] = await db.query(
+        `INSERT INTO approval_requests
+         (entity_type, entity_id, chain_id, title, amount, branch_id, requested_by, status, current_step)
+         VALUES (?, ?, ?, ?, ?, ?, ?, 'pending', 1)`,
+        [entityType, String(entityId), chainId, title, amount, branchId, requestedBy]
+    );
+    await insertSteps(ins.insertId, steps, db);
+    const request = {
+        id: ins.insertId, entity_type: entityType, entity_id: String(entityId), chain_id: chainId,
+        title, amount, branch_id: branchId, requested_by: requestedBy, status: 'pending', current_step: 1
+    };
+    await notifyStep(request, steps[0], false, db);
+    return request;
+}
+
+/** Best-effort submit for module create paths — never fails the caller. */
+async function submitQuietly(args) {
+    try {
+        return await submit(args);
+    } catch (err) {
+        console.error(`[Approvals] submit ${args.entityType}#${args.entityId} failed:`, err.message);
+        return null;
+    }
+}
+
+/** Re-plan an untouched request for a new amount (chain may change). */
+async function replan(request, amount, db = pool) {
+    const { chainId, steps } = await planSteps(request.entity_type, amount, db);
+    await db.query('DELETE FROM approval_request_steps WHERE request_id = ?', [request.id]);
+    await db.query(
+        'UPDATE approval_requests SET chain_id = ?, amount = ?, current_step = 1 WHERE id = ?',
+        [chainId, amount, request.id]
+    );
+    await insertSteps(request.id, steps, db);
+    Object.assign(request, { chain_id: chainId, amount, current_step: 1 });
+}
+
+/**
+ * Record an approve/reject decision on the entity's current step.
+ * @param {Object} user  - req.user ({ id, role })
+ * @param {Object} opts  - { entityType, entityId, decision: 'approve'|'reject', note,
+ *                           amount (the value being approved, re-plans an untouched
+ *                           request when it differs), start: submit() args used
+ *                           when no request exists yet (rows created pre-engine) }
+ * @returns {Promise<{final:boolean, status:string, requestId:number, amount:?number, step?:number, next?:Object, message:string}>}
+ *   final=true ⇒ the caller runs its own approve/reject logic now; `amount` is
+ *   the amount the chain approved (a later step may omit it).
+ */
+async function decide(user, { entityType, entityId, decision, note = null, amount, start = {} }, db = pool) {
+    entityConfig(entityType);
+    let request = await latestRequest(entityType, entityId, db);
+
+    // A chain that already finished approving stays final (the module's own
+    // update may have failed after it — retrying must not restart the chain).
+    if (request && request.status === 'approved' && decision === 'approve') {
+        return { final: true, status: 'approved', requestId: request.id, amount: amountOf(request), message: 'Approved' };
+    }
+    if (!request || request.status !== 'pending') {
+        request = await submit({
+            entityType, entityId,
+            amount: amount !== undefined ? amount : (start.amount ?? null),
+            branchId: start.branchId ?? null, requestedBy: start.requestedBy ?? null, title: start.title ?? null
+        }, db);
+    }
+
+    let steps = await loadSteps(request.id, db);
+    if (amount !== undefined && amount !== null && Number(request.amount) !== Number(amount)) {
+        if (steps.some(s => s.status === 'approved')) {
+            throw fail('AMOUNT_CHANGED', `Step 1 approved ${Number(request.amount)} — reject and resubmit to change it`);
+        }
+        await replan(request, amount, db);
+        steps = await loadSteps(request.id, db);
+    }
+
+    const current = steps.find(s => s.status === 'pending');
+    if (!current) throw fail('NOT_FOUND', 'No pending approval step');
+    const delegators = await activeDelegators(user.id, db);
+    const who = await canAct(user, current, request, delegators, db);
+    if (!who.ok) {
+        throw fail('NOT_APPROVER', `Waiting for step ${current.step_order} — ${approverLabel(current.approver_type, current.approver_value)}`);
+    }
+
+    if (decision === 'reject') {
+        await markStep(current.id, 'rejected', user.id, who.onBehalfOf, note, db);
+        await db.query(
+            "UPDATE approval_request_steps SET status = 'skipped' WHERE request_id = ? AND status = 'waiting'",
+            [request.id]
+        );
+        await db.query(
+            "UPDATE approval_requests SET status = 'rejected', resolved_at = NOW() WHERE id = ?",
+            [request.id]
+        );
+        return { final: true, status: 'rejected', requestId: request.id, amount: amountOf(request), step: current.step_order, message: 'Rejected' };
+    }
+
+    // Approve the current step, then every following step this user also qualifies for.
+    await markStep(current.id, 'approved', user.id, who.onBehalfOf, note, db);
+    let lastApproved = current.step_order;
+    for (const next of steps.filter(s => s.step_order > current.step_order)) {
+        const nextWho = await canAct(user, next, request, delegators, db);
+        if (!nextWho.ok) {
+            await activateStep(next, db);
+            await db.query('UPDATE approval_requests SET current_step = ? WHERE id = ?', [next.step_order, request.id]);
+            await notifyStep(request, next, false, db);
+            return {
+                final: false, status: 'pending', requestId: request.id, amount: amountOf(request), step: lastApproved,
+                next: { step: next.step_order, approver: approverLabel(next.approver_type, next.approver_value) },
+                message: `Approved at step ${lastApproved} of ${steps.length} — waiting for ${approverLabel(next.approver_type, next.approver_value)}`
+            };
+        }
+        await markStep(next.id, 'approved', user.id, nextWho.onBehalfOf, note, db);
+        lastApproved = next.step_order;
+    }
+
+    await db.query(
+        "UPDATE approval_requests SET status = 'approved', current_step = ?, resolved_at = NOW() WHERE id = ?",
+        [lastApproved, request.id]
+    );
+    return { final: true, status: 'approved', requestId: request.id, amount: amountOf(request), step: lastApproved, message: 'Approved' };
+}
+
+function amountOf(request) {
+    return request.amount === null || request.amount === undefined ? null : Number(request.amount);
+}
+
+async function markStep(stepId, status, actedBy, onBehalfOf, note, db = pool) {
+    await db.query(
+        `UPDATE approval_request_steps
+         SET status = ?, acted_by = ?, on_behalf_of = ?, acted_at = NOW(), note = ?
+         WHERE id = ?`,
+        [status, actedBy, onBehalfOf, note, stepId]
+    );
+}
+
+async function activateStep(step, db = pool) {
+    const hours = step.escalate_after_hours ? Number(step.escalate_after_hours) : null;
+    await db.query(
+        `UPDATE approval_request_steps
+         SET status = 'pending', due_at = ${hours ? 'DATE_ADD(NOW(), INTERVAL ? HOUR)' : 'NULL'}
+         WHERE id = ?`,
+        hours ? [hours, step.id] : [step.id]
+    );
+}
+
+/** Close an entity's open request without a decision (e.g. the module withdrew it). */
+async function cancel(entityType, entityId, reason = null, db = pool) {
+    const request = await latestRequest(entityType, entityId, db);
+    if (!request || request.status !== 'pending') return false;
+    await db.query(
+        "UPDATE approval_request_steps SET status = 'skipped', note = COALESCE(note, ?) WHERE request_id = ? AND status IN ('pending', 'waiting')",
+        [reason, request.id]
+    );
+    await db.query(
+        "UPDATE approval_requests SET status = 'cancelled', resolved_at = NOW() WHERE id = ?",
+        [request.id]
+    );
+    return true;
+}
+
+// ═══════════════════════════════════════════
+// INBOX / TRAIL
+// ═══════════════════════════════════════════
+
+/** Every pending step `user` may act on now (directly or as a delegate). */
+async function inbox(user, db = pool) {
+    const [rows] = await db.query(
+        `SELECT r.*, s.id AS step_id, s.step_order, s.approver_type, s.approver_value,
+                s.due_at, s.escalated_at, s.escalated_from,
+                (SELECT COUNT(*) FROM approval_request_steps x WHERE x.request_id = r.id) AS total_steps,
+                u.full_name AS requested_by_name, b.name AS branch_name
+         FROM approval_requests r
+         JOIN approval_request_steps s ON s.request_id = r.id AND s.status = 'pending'
+         LEFT JOIN users u ON u.id = r.requested_by
+         LEFT JOIN branches b ON b.id = r.branch_id
+         WHERE r.status = 'pending'
+         ORDER BY COALESCE(s.due_at, '9999-12-31'), r.created_at`
+    );
+    const delegators = await activeDelegators(user.id, db);
+    const items = [];
+    for (const row of rows || []) {
+        const step = { approver_type: row.approver_type, approver_value: row.approver_value };
+        const who = await canAct(user, step, row, delegators, db);
+        if (!who.ok) continue;
+        const cfg = ENTITY_TYPES[row.entity_type];
+        items.push({
+            id: row.id,
+            entity_type: row.entity_type,
+            entity_label: cfg.label,
+            entity_id: row.entity_id,
+            title: row.title,
+            amount: row.amount,
+            branch_id: row.branch_id,
+            branch_name: row.branch_name,
+            requested_by: row.requested_by,
+            requested_by_name: row.requested_by_name,
+            created_at: row.created_at,
+            step: row.step_order,
+            total_steps: Number(row.total_steps),
+            approver: approverLabel(row.approver_type, row.approver_value),
+            due_at: row.due_at,
+            overdue: !!row.due_at && new Date(row.due_at) < new Date(),
+            escalated: !!row.escalated_at,
+            on_behalf_of: who.onBehalfOf,
+            actions: { approve: cfg.approve(row.entity_id), reject: cfg.reject(row.entity_id) }
+        });
+    }
+    return items;
+}
+
+/** The request + step trail for one entity (latest request), or null. */
+async function trail(entityType, entityId, db = pool) {
+    const request = await latestRequest(entityType, entityId, db);
+    if (!request) return null;
+    const [steps] = await db.query(
+        `SELECT s.*, a.full_name AS acted_by_name, o.full_name AS on_behalf_of_name
+         FROM approval_request_steps s
+         LEFT JOIN users a ON a.id = s.acted_by
+         LEFT JOIN users o ON o.id = s.on_behalf_of
+         WHERE s.request_id = ? ORDER BY s.step_order`,
+        [request.id]
+    );
+    return {
+        ...request,
+        steps: (steps || []).map(s => ({ ...s, approver: approverLabel(s.approver_type, s.approver_value) }))
+    };
+}
+
+// ═══════════════════════════════════════════
+// ESCALATION
+// ═══════════════════════════════════════════
+
+/**
+ * Hand every overdue pending step to its escalate-to approver (once per step).
+ * @returns {Promise<number>} steps escalated
+ */
+async function escalateOverdue(db = pool) {
+    const [rows] = await db.query(
+        `SELECT s.*, r.entity_type, r.entity_id, r.title, r.branch_id
+         FROM approval_request_steps s
+         JOIN approval_requests r ON r.id = s.request_id AND r.status = 'pending'
+         WHERE s.status = 'pending' AND s.due_at IS NOT NULL AND s.due_at < NOW()
+           AND s.escalated_at IS NULL AND s.escalate_to_type IS NOT NULL`
+    );
+    let escalated = 0;
+    for (const s of rows || []) {
+        const [res] = await db.query(
+            `UPDATE approval_request_steps
+             SET escalated_from = ?, approver_type = ?, approver_value = ?, escalated_at = NOW()
+             WHERE id = ? AND status = 'pending' AND escalated_at IS NULL`,
+            [approverLabel(s.approver_type, s.approver_value), s.escalate_to_type, s.escalate_to_value, s.id]
+        );
+        if (!res.affectedRows) continue;
+        escalated++;
+        await notifyStep(
+            { id: s.request_id, entity_type: s.entity_type, entity_id: s.entity_id, title: s.title, branch_id: s.branch_id },
+            { approver_type: s.escalate_to_type, approver_value: s.escalate_to_value },
+            true,
+            db
+        );
+    }
+    if (escalated) console.log(`[Approvals] Escalated ${escalated} overdue step(s)`);
+    return escalated;
+}
+
+// ═══════════════════════════════════════════
+// NOTIFY (best-effort)
+// ═══════════════════════════════════════════
+
+/** Tell a step's named approvers (user / branch manager / role holders) it is their turn. */
+async function notifyStep(request, step, isEscalation = false, db = pool) {
+    try {
+        let userIds = [];
+        if (step.approver_type === 'user') userIds = [Number(step.approver_value)];
+        else if (step.approver_type === 'branch_manager') {
+            const managerId = await branchManagerId(request.branch_id, db);
+            if (managerId) userIds = [managerId];
+        } else if (step.approver_type === 'role') {
+            const [users] = await db.query("SELECT id FROM users WHERE role = ? AND status = 'active'", [step.approver_value]);
+            userIds = users.map(u => u.id);
+        }
+        // permission steps: the module's own "new request" notification already reaches them
+        const label = ENTITY_TYPES[request.entity_type] ? ENTITY_TYPES[request.entity_type].label : request.entity_type;
+        for (const id of userIds) {
+            await notificationService.send(id, {
+                type: 'approval_pending',
+                title: isEscalation ? `Escalated: ${label}` : `Approval needed: ${label}`,
+                body: request.title || `${label} #${request.entity_id} is waiting for your approval`,
+                data: { type: 'approval_pending', approval_request_id: request.id, entity_type: request.entity_type, entity_id: request.entity_id }
+            });
+        }
+    } catch (err) {
+        console.error('[Approvals] notify error:', err.message);
+    }
+}
+
+module.exports = {
+    setPool,
+    APPROVER_TYPES,
+    ENTITY_TYPES,
+    DECISION_ERROR_STATUS,
+    chainMatches,
+    selectChain,
+    validateSteps,
+    approverLabel,
+    canAct,
+    submit,
+    submitQuietly,
+    decide,
+    cancel,
+    inbox,
+    trail,
+    escalateOverdue
+};
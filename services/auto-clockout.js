@@ -5,8 +5,10 @@
  *    - First time: emit overtime_prompt ONCE + set ot_prompt_shown_at
  *    - If prompt shown and timeout elapsed: auto-clock-out (ot_timeout)
  *    - If OT already requested: skip
- * 2. 10 PM IST cron: force clock-out ALL remaining staff (end of day)
- * 3. Geo-auto-clockout is handled separately in routes/attendance.js
+ * 2. 10 PM IST cron: force clock-out ALL remaining staff (end of day),
+ *    except staff on a rostered shift ending after 10 PM (services/shifts.js)
+ * 3. 11:59 PM IST cron: force clock-out those late-shift staff
+ * 4. Geo-auto-clockout is handled separately in routes/attendance.js
  */
 
 const cron = require('node-cron');
@@ -23,6 +25,9 @@ function setIO(socketIO) { io = socketIO; }
 function setAutomationRegistry(r) { registry = r; }
 function setActivityTrackerService(svc) { activityTrackerService = svc; }
 
+// The 10 PM force clock-out leaves shifts that end later to the 11:59 PM run
+const END_OF_DAY_TIME = '22:00:00';
+
 /**
  * End active activity session for a user (called during auto-clockout)
  */
@@ -317,9 +322,10 @@ async function cleanupStaleAttendance() {
         const [staleRecords] = await pool.query(
             `SELECT a.id, a.user_id, a.date, a.clock_in_time, a.branch_id,
                     a.break_duration_minutes, a.expected_hours,
-                    u.full_name
+                    u.full_name, s.end_time AS shift_end_time
              FROM staff_attendance a
              JOIN users u ON a.user_id = u.id
+             LEFT JOIN shifts s ON s.id = a.shift_id
              WHERE a.date < ? AND a.clock_out_time IS NULL`,
             [today]
         );
@@ -327,10 +333,13 @@ async function cleanupStaleAttendance() {
         for (const record of staleRecords) {
             try {
                 const clockIn = new Date(record.clock_in_time);
-                // Clock out at the end of that day (10 PM IST = 16:30 UTC).
+                // Clock out at the end of that day (10 PM IST = 16:30 UTC), or at
+                // the end of a rostered shift that runs later.
                 // record.date is a DATE string (e.g. "2026-05-06"). Appending 'T16:30:00.000Z'
                 // gives midnight UTC + 16.5h = 10 PM IST, regardless of server timezone.
-                const clockOutTime = new Date(record.date + 'T16:30:00.000Z');
+                const clockOutTime = record.shift_end_time && record.shift_end_time > END_OF_DAY_TIME
+                    ? new Date(`${record.date}T${record.shift_end_time}+05:30`)
+                    : new Date(record.date + 'T16:30:00.000Z');
                 // If clock-in was after 10 PM IST, just add 10 hours
                 const finalClockOut = clockOutTime > clockIn ? clockOutTime : new Date(clockIn.getTime() + 10 * 60 * 60 * 1000);
 
@@ -478,10 +487,13 @@ async function checkOvertimePrompts() {
 
 /**
  * Force clock-out ALL staff still clocked in (end of day at 10 PM IST).
+ * Staff on a shift ending after 10 PM are left to the 11:59 PM run
+ * (lateShifts = true), which clocks out everyone still in.
  */
-async function forceClockoutAll() {
+async function forceClockoutAll({ lateShifts = false } = {}) {
     if (!pool) return;
 
+    const label = lateShifts ? '11:59 PM' : '10 PM';
     try {
         const now = new Date();
         const today = getTodayIST();
@@ -494,16 +506,18 @@ async function forceClockoutAll() {
                     u.full_name, u.phone
              FROM staff_attendance a
              JOIN users u ON a.user_id = u.id
-             WHERE a.date = ? AND a.clock_out_time IS NULL`,
-            [today]
+             LEFT JOIN shifts s ON s.id = a.shift_id
+             WHERE a.date = ? AND a.clock_out_time IS NULL
+               AND (? = 1 OR s.end_time IS NULL OR s.end_time <= ?)`,
+            [today, lateShifts ? 1 : 0, END_OF_DAY_TIME]
         );
 
         if (openRecords.length === 0) {
-            console.log('[Auto-clockout] No staff to clock out at 10 PM');
+            console.log(`[Auto-clockout] No staff to clock out at ${label}`);
             return;
         }
 
-        console.log(`[Auto-clockout] 10 PM force clock-out: ${openRecords.length} staff`);
+        console.log(`[Auto-clockout] ${label} force clock-out: ${openRecords.length} staff`);
 
         for (const record of openRecords) {
             try {
@@ -536,8 +550,8 @@ async function forceClockoutAll() {
                     // Expire pending requests
                     if (otReq.length > 0 && otReq[0].status === 'pending') {
                         await pool.query(
-                            "UPDATE overtime_requests SET status = 'expired', review_notes = '10 PM end-of-day expiry' WHERE id = ?",
-                            [record.ot_request_id]
+                            "UPDATE overtime_requests SET status = 'expired', review_notes = ? WHERE id = ?",
+                            [`${label} end-of-day expiry`, record.ot_request_id]
                         );
                     }
                 }
@@ -549,15 +563,15 @@ async function forceClockoutAll() {
                          overtime_minutes = ?, ot_approved_minutes = ?,
                          auto_clockout_type = 'end_of_day',
                          is_early_checkout = 0,
-                         notes = CONCAT(COALESCE(notes, ''), '\n[Auto clock-out: 10 PM end of day]')
+                         notes = CONCAT(COALESCE(notes, ''), ?)
                      WHERE id = ?`,
-                    [now, workingMinutes, overtimeMinutes, otApprovedMinutes, record.id]
+                    [now, workingMinutes, overtimeMinutes, otApprovedMinutes, `\n[Auto clock-out: ${label} end of day]`, record.id]
                 );
 
                 // Notify staff via Socket.io
                 if (io) {
                     io.to(`user_${record.user_id}`).emit('force_clockout', {
-                        message: 'You have been automatically clocked out at 10 PM (end of day).',
+                        message: `You have been automatically clocked out at ${label} (end of day).`,
                         attendance_id: record.id,
                         total_working_minutes: workingMinutes,
                         overtime_minutes: overtimeMinutes
@@ -568,7 +582,7 @@ async function forceClockoutAll() {
                 try {
                     await notificationService.send(record.user_id, {
                         type: 'force_clockout',
-                        title: 'Auto Clock-Out (10 PM)',
+                        title: `Auto Clock-Out (${label})`,
                         body: `You have been automatically clocked out. Worked: ${Math.floor(workingMinutes / 60)}h ${workingMinutes % 60}m` + (overtimeMinutes > 0 ? `, OT: ${overtimeMinutes}m` : ''),
                         data: { type: 'force_clockout', attendance_id: String(record.id) }
                     });
@@ -576,13 +590,13 @@ async function forceClockoutAll() {
                     console.error(`[Auto-clockout] FCM error for ${record.full_name}:`, notifErr.message);
                 }
 
-                console.log(`[Auto-clockout] 10PM: ${record.full_name} - ${workingMinutes}min worked, ${overtimeMinutes}min OT, ${otApprovedMinutes}min approved`);
+                console.log(`[Auto-clockout] ${label}: ${record.full_name} - ${workingMinutes}min worked, ${overtimeMinutes}min OT, ${otApprovedMinutes}min approved`);
             } catch (err) {
                 console.error(`[Auto-clockout] Error clocking out ${record.full_name}:`, err.message);
             }
         }
 
-        console.log(`[Auto-clockout] 10 PM force clock-out completed`);
+        console.log(`[Auto-clockout] ${label} force clock-out completed`);
     } catch (error) {
         console.error('[Auto-clockout] Force clockout error:', error.message);
     }
@@ -605,6 +619,7 @@ function start() {
         registry.register('auto-clockout-ot-check', { name: 'OT Prompt Check', service: 'auto-clockout', schedule: 'Every 5 min', description: 'Check for overtime prompts' });
         registry.register('auto-clockout-geo-enforce', { name: 'Geo-Fence Enforce', service: 'auto-clockout', schedule: 'Every 5 min', description: 'Server-side geo-fence auto clock-out' });
         registry.register('auto-clockout-force', { name: 'Force Clock-out', service: 'auto-clockout', schedule: '59 21 * * *', description: '10 PM force clock-out all staff' });
+        registry.register('auto-clockout-force-late', { name: 'Force Clock-out (late shifts)', service: 'auto-clockout', schedule: '59 23 * * *', description: '11:59 PM force clock-out of shifts ending after 10 PM' });
     }
 
     // Wrap each periodic task so the interval can't re-enter on top of a
@@ -649,6 +664,17 @@ function start() {
         }
     }, { timezone: 'Asia/Kolkata' });
     console.log('[Auto-clockout] 10 PM IST force clock-out cron scheduled');
+
+    // Shifts rostered past 10 PM are clocked out just before midnight
+    cron.schedule('59 23 * * *', async () => {
+        if (registry) registry.markRunning('auto-clockout-force-late');
+        try {
+            await forceClockoutAll({ lateShifts: true });
+            if (registry) registry.markCompleted('auto-clockout-force-late', { details: 'Late-shift clock-out done' });
+        } catch (e) {
+            if (registry) registry.markFailed('auto-clockout-force-late', { error: e.message });
+        }
+    }, { timezone: 'Asia/Kolkata' });
 }
 
 module.exports = { setPool, setIO, setAutomationRegistry, setActivityTrackerService, start, checkOvertimePrompts, checkGeoWarnings, forceClockoutAll, endActivePeriods, cleanupStaleAttendance };
@@ -0,0 +1,113 @@
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const { code128Modules } = require('./barcodes');
+
+const COLORS = {
+    text: '#111111',
+    mute: '#555555',
+    guide: '#dddddd'
+};
+
+// A4 sheet of 3 × 8 labels (70 × 37 mm — the common 24-up stock).
+const MM = 72 / 25.4;
+const LAYOUT = {
+    cols: 3,
+    rows: 8,
+    labelW: 70 * MM,
+    labelH: 37 * MM,
+    top: (297 - 8 * 37) / 2 * MM,
+    left: 0,
+    pad: 3 * MM
+};
+
+function fmtINR(num) {
+    const n = parseFloat(num) || 0;
+    return n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/** Draw Code128 bars for `text` into the box (x, y, w, h), quiet zone included. */
+function drawCode128(doc, text, x, y, w, h) {
+    const modules = code128Modules(text);
+    const quiet = 10;
+    const total = modules.reduce((a, b) => a + b, 0) + quiet * 2;
+    const unit = w / total;
+    let cx = x + quiet * unit;
+    modules.forEach((m, i) => {
+        if (i % 2 === 0) doc.rect(cx, y, m * unit, h).fill(COLORS.text);
+        cx += m * unit;
+    });
+}
+
+/**
+ * Generate an A4 label sheet.
+ * @param {Object} options - { labels, format, showPrice, outline }
+ *   labels    — [{ code, item_name, rate }] one entry per printed label; a
+ *               null entry leaves its slot blank (partly used sheets)
+ *   format    — 'code128' | 'qr'
+ *   showPrice — print the rate (MRP/selling price) under the name
+ *   outline   — faint label borders for plain-paper test prints
+ * @param {WritableStream} stream - Response or file write stream
+ */
+async function generateLabelSheetPDF(options, stream) {
+    const { labels, format = 'code128', showPrice = false, outline = false } = options;
+
+    // QR images are rendered up front (qrcode is async); one per distinct code.
+    const qrImages = {};
+    if (format === 'qr') {
+        for (const l of labels) {
+            if (l && !qrImages[l.code]) {
+                qrImages[l.code] = await QRCode.toBuffer(l.code, { margin: 0, width: 240, errorCorrectionLevel: 'M' });
+            }
+        }
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 0 });
+    doc.pipe(stream);
+
+    const perPage = LAYOUT.cols * LAYOUT.rows;
+    labels.forEach((l, idx) => {
+        if (idx > 0 && idx % perPage === 0) doc.addPage({ size: 'A4', margin: 0 });
+        if (!l) return;
+        const slot = idx % perPage;
+        const x = LAYOUT.left + (slot % LAYOUT.cols) * LAYOUT.labelW;
+        const y = LAYOUT.top + Math.floor(slot / LAYOUT.cols) * LAYOUT.labelH;
+        const innerX = x + LAYOUT.pad;
+        const innerW = LAYOUT.labelW - LAYOUT.pad * 2;
+
+        if (outline) doc.rect(x, y, LAYOUT.labelW, LAYOUT.labelH).lineWidth(0.3).stroke(COLORS.guide);
+
+        if (format === 'qr') {
+            const size = LAYOUT.labelH - LAYOUT.pad * 2;
+            doc.image(qrImages[l.code], innerX, y + LAYOUT.pad, { width: size, height: size });
+            const textX = innerX + size + LAYOUT.pad;
+            const textW = innerW - size - LAYOUT.pad;
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.text)
+                .text(l.item_name || '', textX, y + LAYOUT.pad, { width: textW, height: 30, ellipsis: true });
+            let ty = y + LAYOUT.pad + 32;
+            if (showPrice && l.rate != null) {
+                doc.font('Helvetica-Bold').fontSize(10).text(`Rs. ${fmtINR(l.rate)}`, textX, ty, { width: textW });
+                ty += 14;
+            }
+            doc.font('Helvetica').fontSize(7).fillColor(COLORS.mute).text(l.code, textX, ty, { width: textW, ellipsis: true });
+        } else {
+            doc.font('Helvetica-Bold').fontSize(8).fillColor(COLORS.text)
+                .text(l.item_name || '', innerX, y + LAYOUT.pad, { width: innerW, height: 20, ellipsis: true });
+            const nameBottom = y + LAYOUT.pad + 21;
+            if (showPrice && l.rate != null) {
+                doc.font('Helvetica-Bold').fontSize(9).text(`Rs. ${fmtINR(l.rate)}`, innerX, nameBottom, { width: innerW, align: 'right' });
+            }
+            const barTop = nameBottom + (showPrice ? 12 : 2);
+            const barH = y + LAYOUT.labelH - LAYOUT.pad - 10 - barTop;
+            drawCode128(doc, l.code, innerX, barTop, innerW, barH);
+            doc.font('Helvetica').fontSize(7).fillColor(COLORS.text)
+                .text(l.code, innerX, y + LAYOUT.labelH - LAYOUT.pad - 8, { width: innerW, align: 'center' });
+        }
+    });
+
+    if (!labels.some(Boolean)) {
+        doc.font('Helvetica').fontSize(10).fillColor(COLORS.mute).text('No labels', 40, 40);
+    }
+    doc.end();
+}
+
+module.exports = { generateLabelSheetPDF, LAYOUT };
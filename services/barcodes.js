@@ -0,0 +1,197 @@
+/**
+ * Barcodes — scan-to-item resolution and Code128 encoding for shelf labels.
+ *
+ * A scanned code resolves to a Zoho item in this order:
+ *   1. item_barcodes      — codes mapped by hand (manufacturer EAN on a tin,
+ *                           a carton code with pack_qty > 1, …)
+ *   2. zoho_items_map     — zoho_ean / zoho_upc synced from Zoho, then our own
+ *                           label content (zoho_sku, else zoho_item_id)
+ * UPC-A (12 digits) and its EAN-13 form (leading 0) are treated as one code.
+ *
+ * Labels encode labelCode(item): the SKU when set, else the Zoho item id, so
+ * every label we print resolves through step 2 without a mapping row.
+ *
+ * Helpers throw Error with e.code (INVALID_CODE, AMBIGUOUS_CODE); routes map
+ * them to 400/409.
+ */
+
+// Code128 bar/space module widths by symbol value (0–105), then STOP (106).
+const CODE128_PATTERNS = [
+    '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+    '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+    '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+    '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+    '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+    '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+    '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+    '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+    '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+    '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+    '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const START_B = 104;
+const START_C = 105;
+const STOP = 106;
+
+const MAX_CODE_LENGTH = 64;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/** Strip what keyboard-wedge scanners add (CR/LF, tabs, padding) and validate. */
+function normalizeCode(raw) {
+    const code = String(raw == null ? '' : raw).replace(/[\s\u0000-\u001f\u007f]+/g, '');
+    if (!code) throw fail('INVALID_CODE', 'Barcode is empty');
+    if (code.length > MAX_CODE_LENGTH) throw fail('INVALID_CODE', 'Barcode is too long');
+    if (!/^[\x20-\x7e]+$/.test(code)) throw fail('INVALID_CODE', 'Barcode has unsupported characters');
+    return code;
+}
+
+/** GS1 check digit for the digits preceding it (GTIN-8/12/13/14). */
+function gtinCheckDigit(body) {
+    let sum = 0;
+    for (let i = body.length - 1, w = 3; i >= 0; i--, w = w === 3 ? 1 : 3) {
+        sum += Number(body[i]) * w;
+    }
+    return (10 - (sum % 10)) % 10;
+}
+
+function isValidGtin(code) {
+    if (!/^\d{8}$|^\d{12,14}$/.test(code)) return false;
+    return gtinCheckDigit(code.slice(0, -1)) === Number(code[code.length - 1]);
+}
+
+/** ean13 | ean8 | upc | code128 — what a code looks like (for item_barcodes.symbology). */
+function classifyCode(code) {
+    if (isValidGtin(code)) {
+        if (code.length === 13) return 'ean13';
+        if (code.length === 8) return 'ean8';
+        if (code.length === 12) return 'upc';
+    }
+    return 'code128';
+}
+
+/** The code forms a lookup should try (UPC-A ⇄ EAN-13 with a leading 0). */
+function codeVariants(code) {
+    const variants = [code];
+    if (/^\d{12}$/.test(code)) variants.push('0' + code);
+    if (/^0\d{12}$/.test(code)) variants.push(code.slice(1));
+    return variants;
+}
+
+/** What our own labels encode for an item. */
+function labelCode(item) {
+    return String(item.zoho_sku || item.sku || item.zoho_item_id).trim();
+}
+
+/**
+ * Encode text as Code128 symbol values (start, data, checksum, stop).
+ * All-digit text of even length uses set C (two digits per symbol), anything
+ * else set B (ASCII 32–126).
+ */
+function encodeCode128(text) {
+    const value = String(text);
+    if (!value) throw fail('INVALID_CODE', 'Nothing to encode');
+    const symbols = [];
+    if (/^\d+$/.test(value) && value.length % 2 === 0 && value.length >= 4) {
+        symbols.push(START_C);
+        for (let i = 0; i < value.length; i += 2) symbols.push(Number(value.slice(i, i + 2)));
+    } else {
+        symbols.push(START_B);
+        for (const ch of value) {
+            const c = ch.charCodeAt(0);
+            if (c < 32 || c > 126) throw fail('INVALID_CODE', 'Code128 labels support printable ASCII only');
+            symbols.push(c - 32);
+        }
+    }
+    const checksum = symbols.reduce((sum, v, i) => sum + v * (i === 0 ? 1 : i), 0) % 103;
+    symbols.push(checksum, STOP);
+    return symbols;
+}
+
+/** Bar/space module widths for text, alternating bar first (for drawing). */
+function code128Modules(text) {
+    return encodeCode128(text)
+        .map(v => CODE128_PATTERNS[v])
+        .join('')
+        .split('')
+        .map(Number);
+}
+
+/**
+ * Resolve a scanned code to an active Zoho item.
+ * @returns {Promise<Object|null>} { zoho_item_id, item_name, sku, rate, unit,
+ *   quantity (units per scan), match: 'mapped'|'ean'|'upc'|'sku'|'item_id', code }
+ */
+async function resolveCode(db, raw) {
+    const code = normalizeCode(raw);
+    const variants = codeVariants(code);
+
+    const [mapped] = await db.query(
+        `SELECT ib.code, ib.pack_qty, zim.zoho_item_id, zim.zoho_item_name, zim.zoho_sku,
+                zim.zoho_rate, zim.zoho_unit
+         FROM item_barcodes ib
+         JOIN zoho_items_map zim ON zim.zoho_item_id = ib.zoho_item_id
+         WHERE ib.code IN (?) AND ib.is_active = 1
+           AND COALESCE(zim.zoho_status, 'active') = 'active'
+         LIMIT 1`,
+        [variants]
+    );
+    if (mapped.length) return toResult(mapped[0], 'mapped', code, Number(mapped[0].pack_qty) || 1);
+
+    const [rows] = await db.query(
+        `SELECT zoho_item_id, zoho_item_name, zoho_sku, zoho_rate, zoho_unit,
+                zoho_ean, zoho_upc, zoho_status
+         FROM zoho_items_map
+         WHERE zoho_ean IN (?) OR zoho_upc IN (?) OR zoho_sku = ? OR zoho_item_id = ?
+         LIMIT 10`,
+        [variants, variants, code, code]
+    );
+    const active = rows.filter(r => (r.zoho_status || 'active') === 'active');
+    if (!active.length) return null;
+
+    const rank = r => {
+        if (variants.includes(r.zoho_ean)) return 'ean';
+        if (variants.includes(r.zoho_upc)) return 'upc';
+        if (r.zoho_sku && r.zoho_sku.toLowerCase() === code.toLowerCase()) return 'sku';
+        return 'item_id';
+    };
+    const order = ['ean', 'upc', 'sku', 'item_id'];
+    const best = order.find(m => active.some(r => rank(r) === m));
+    const hits = active.filter(r => rank(r) === best);
+    if (hits.length > 1) {
+        const err = fail('AMBIGUOUS_CODE', `Code ${code} matches ${hits.length} items — map it to one item`);
+        err.candidates = hits.map(r => ({ zoho_item_id: r.zoho_item_id, item_name: r.zoho_item_name }));
+        throw err;
+    }
+    return toResult(hits[0], best, code, 1);
+}
+
+function toResult(row, match, code, quantity) {
+    return {
+        zoho_item_id: row.zoho_item_id,
+        item_name: row.zoho_item_name,
+        sku: row.zoho_sku || null,
+        rate: row.zoho_rate != null ? Number(row.zoho_rate) : null,
+        unit: row.zoho_unit || null,
+        quantity,
+        match,
+        code
+    };
+}
+
+module.exports = {
+    MAX_CODE_LENGTH,
+    normalizeCode,
+    gtinCheckDigit,
+    isValidGtin,
+    classifyCode,
+    codeVariants,
+    labelCode,
+    encodeCode128,
+    code128Modules,
+    resolveCode
+};
@@ -4,7 +4,7 @@
  *
  * Exports: { setPool, setPointsEngine, resolveZohoContact, pushInvoiceToZoho,
  *   syncInvoiceApprovalState, forwardInvoicePayments, syncInvoicePaymentsToZoho,
- *   readConfigValue, flagOn, retryUnpushedInvoices }
+ *   readConfigValue, flagOn, retryUnpushedInvoices, pushSalesReturnToZoho }
  */
 
 const zohoAPI = require('./zoho-api');
@@ -427,6 +427,26 @@ const GOOD_INVOICE_STATUSES = new Set([
 function round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
 function truncate255(s) { return String(s == null ? '' : s).slice(0, 255); }
 
+// Pull a contact's receivable from Zoho into zoho_customers_map.zoho_outstanding
+// (the credit-limit "used" figure). Best-effort — never throws.
+async function refreshCustomerOutstanding(zohoContactId) {
+    try {
+        const contactResp = await zohoAPI.getContact(zohoContactId);
+        const contact = contactResp && (contactResp.contact || contactResp.data);
+        const outstanding = contact && Number(contact.outstanding_receivable_amount);
+        if (outstanding !== null && outstanding !== undefined && !isNaN(outstanding)) {
+            await pool.query(
+                `UPDATE zoho_customers_map
+                 SET zoho_outstanding = ?, last_synced_at = NOW()
+                 WHERE zoho_contact_id = ?`,
+                [outstanding, zohoContactId]
+            );
+        }
+    } catch (refreshErr) {
+        console.warn('[billing-zoho] outstanding refresh skipped:', refreshErr.message);
+    }
+}
+
 /**
  * Forward an invoice's unsynced local payments to Zoho Books as individual
  * customerpayments. Idempotent + duplicate-proof by construction:
@@ -623,21 +643,7 @@ async function forwardInvoicePayments({ invoiceId, zohoInvoiceId }) {
     // Otherwise a customer who paid minutes ago still reads as fully outstanding
     // and credit "used" stays stale (billing and credit views disagree).
     if (summary.synced > 0 && zohoInvoice && zohoInvoice.customer_id) {
-        try {
-            const contactResp = await zohoAPI.getContact(zohoInvoice.customer_id);
-            const contact = contactResp && (contactResp.contact || contactResp.data);
-            const outstanding = contact && Number(contact.outstanding_receivable_amount);
-            if (outstanding !== null && outstanding !== undefined && !isNaN(outstanding)) {
-                await pool.query(
-                    `UPDATE zoho_customers_map
-                     SET zoho_outstanding = ?, last_synced_at = NOW()
-                     WHERE zoho_contact_id = ?`,
-                    [outstanding, zohoInvoice.customer_id]
-                );
-            }
-        } catch (refreshErr) {
-            console.warn('[billing-zoho] outstanding refresh skipped:', refreshErr.message);
-        }
+        await refreshCustomerOutstanding(zohoInvoice.customer_id);
     }
 
     return summary;
@@ -746,8 +752,139 @@ async function syncInvoiceApprovalState(invoiceId) {
     return state;
 }
 
+/**
+ * Push a local sales return (billing_returns) to Zoho Books as a credit note.
+ *
+ * The credit note's lines carry the restock location, so returned stock lands
+ * back there; a return marked restock=0 (damaged/expired goods) is followed by
+ * a write-off inventory adjustment at the same location. The credit is then
+ * applied to the original Zoho invoice up to that invoice's open balance, and
+ * the customer's credit-limit usage (zoho_customers_map.zoho_outstanding) is
+ * refreshed straight away instead of waiting for the next receivables sync.
+ * Any credit left over stays open on the Zoho contact as a refund due.
+ * Apply/write-off failures are returned as warnings and never undo the
+ * created credit note.
+ * @param {number} returnId - billing_returns.id
+ * @param {number} userId - user performing the push
+ * @returns {Promise<{ zohoCreditNoteId, zohoCreditNoteNumber, appliedAmount, writeOff, warnings }>}
+ */
+async function pushSalesReturnToZoho(returnId, userId) {
+    // 1. Load return + invoice
+    const [returns] = await pool.query('SELECT * FROM billing_returns WHERE id = ?', [returnId]);
+    if (!returns.length) throw new Error(`Return ${returnId} not found`);
+    const ret = returns[0];
+    if (ret.zoho_status === 'pushed') throw new Error(`Return ${ret.return_number} already pushed to Zoho`);
+
+    const [invoices] = await pool.query('SELECT * FROM billing_invoices WHERE id = ?', [ret.invoice_id]);
+    if (!invoices.length) throw new Error(`Invoice ${ret.invoice_id} not found`);
+    const invoice = invoices[0];
+    if (!invoice.zoho_invoice_id) {
+        throw new Error(`Invoice ${invoice.invoice_number} is not in Zoho yet — push it before its return`);
+    }
+
+    const [items] = await pool.query('SELECT * FROM billing_return_items WHERE return_id = ?', [returnId]);
+    if (!items.length) throw new Error(`Return ${ret.return_number} has no items`);
+
+    // 2. Contact + location (the restock location, else where the invoice was posted)
+    const zohoContactId = await resolveZohoContact(invoice.customer_type, {
+        customerId: invoice.customer_id,
+        painterId: invoice.painter_id,
+        customerName: invoice.customer_name,
+        customerPhone: invoice.customer_phone
+    });
+    const locationId = ret.restock_location_id || invoice.zoho_location_id || null;
+
+    // 3. Create the credit note — same rate + discount model as the invoice push.
+    const now = new Date();
+    const noteDate = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const discountShare = parseFloat(ret.discount_share) || 0;
+    const discountPushEnabled = await isInvoiceDiscountPushEnabled();
+    const zohoResult = await zohoAPI.createCreditNote({
+        customer_id: zohoContactId,
+        date: noteDate,
+        reference_number: ret.return_number,
+        invoice_id: invoice.zoho_invoice_id,
+        line_items: items.map(item => ({
+            item_id: item.zoho_item_id,
+            quantity: parseFloat(item.quantity),
+            rate: parseFloat(item.unit_price),
+            ...(locationId ? { location_id: locationId } : {})
+        })),
+        ...(locationId ? { location_id: locationId } : {}),
+        ...(invoice.zoho_salesperson_id ? { salesperson_id: invoice.zoho_salesperson_id } : {}),
+        ...(discountPushEnabled && discountShare > 0 ? {
+            discount: discountShare,
+            is_discount_before_tax: true,
+            discount_type: 'entity_level'
+        } : {}),
+        notes: `Sales return ${ret.return_number} against ${invoice.invoice_number} (${ret.reason_code})`
+    });
+    const note = zohoResult && zohoResult.creditnote;
+    if (!note || !note.creditnote_id) throw new Error('Failed to create Zoho credit note');
+
+    const warnings = [];
+
+    // 4. Apply the credit to the original invoice, capped at its Zoho balance.
+    let appliedAmount = 0;
+    try {
+        const zInv = await zohoAPI.getInvoice(invoice.zoho_invoice_id);
+        const openBalance = round2(zInv && zInv.invoice && zInv.invoice.balance);
+        const applyAmount = round2(Math.min(openBalance, parseFloat(note.total) || parseFloat(ret.total) || 0));
+        if (applyAmount > 0) {
+            await zohoAPI.applyCreditNoteToInvoices(note.creditnote_id, [
+                { invoice_id: invoice.zoho_invoice_id, amount_applied: applyAmount }
+            ]);
+            appliedAmount = applyAmount;
+        }
+    } catch (err) {
+        warnings.push('Credit not applied to the invoice: ' + err.message);
+    }
+
+    // 5. No restock → write the returned quantity back off at that location.
+    let writeOff = null;
+    if (!Number(ret.restock) && locationId) {
+        try {
+            const adj = await zohoAPI.createInventoryAdjustment({
+                date: noteDate,
+                reason: `Sales return write-off ${ret.return_number}`.substring(0, 50),
+                description: `Returned goods not restocked (${ret.reason_code})`,
+                adjustment_type: 'quantity',
+                location_id: locationId,
+                line_items: items.map(item => ({
+                    item_id: item.zoho_item_id,
+                    location_id: locationId,
+                    quantity_adjusted: -Math.abs(parseFloat(item.quantity))
+                }))
+            });
+            writeOff = (adj && adj.inventory_adjustment && adj.inventory_adjustment.inventory_adjustment_id) || null;
+        } catch (err) {
+            warnings.push('Stock write-off failed: ' + err.message);
+        }
+    }
+
+    // 6. Credit-limit usage: the applied credit is receivable that no longer
+    // exists — refresh it now (same D5 refresh as a payment sync).
+    if (appliedAmount > 0) await refreshCustomerOutstanding(zohoContactId);
+
+    // 7. Stamp the return
+    await pool.query(
+        `UPDATE billing_returns
+         SET zoho_status = 'pushed', zoho_creditnote_id = ?, zoho_creditnote_number = ?,
+             zoho_applied_amount = ?, zoho_push_error = NULL, zoho_push_attempted_at = NOW()
+         WHERE id = ?`,
+        [note.creditnote_id, note.creditnote_number || null, appliedAmount, returnId]
+    );
+    if (warnings.length) console.error(`[billing-zoho] return ${ret.return_number} (user ${userId}):`, warnings.join('; '));
+
+    return {
+        zohoCreditNoteId: note.creditnote_id,
+        zohoCreditNoteNumber: note.creditnote_number || null,
+        appliedAmount, writeOff, warnings
+    };
+}
+
 module.exports = {
     setPool, setPointsEngine, resolveZohoContact, pushInvoiceToZoho,
     syncInvoiceApprovalState, forwardInvoicePayments, syncInvoicePaymentsToZoho,
-    readConfigValue, flagOn, retryUnpushedInvoices,
+    readConfigValue, flagOn, retryUnpushedInvoices, pushSalesReturnToZoho,
 };
@@ -0,0 +1,78 @@
+/**
+ * CYCLE COUNT SCHEDULER
+ * Creates the day's stock-check cycle counts (services/cycle-count.js):
+ * reclassifies stale branches A/B/C, picks the due items and assigns them to
+ * the staff on shift.
+ * Cron: 08:30 IST daily (30 8 * * * Asia/Kolkata), before the shops open, so
+ * counts are waiting when staff log in. A branch already planned for today is
+ * skipped, so running it again by hand the same day does nothing there.
+ * Off with zoho_config cycle_count_enabled = 'false'.
+ */
+
+const cron = require('node-cron');
+const { isClusterPrimary } = require('./cluster-guard');
+const cycleCount = require('./cycle-count');
+const notificationService = require('./notification-service');
+const { todayIST } = require('./dpl-impact');
+
+const JOB_ID = 'stock-cycle-counts';
+
+let pool;
+let registry = null;
+
+function setAutomationRegistry(r) { registry = r; }
+
+/**
+ * Initialize the scheduler
+ * @param {object} dbPool - MySQL connection pool
+ */
+function init(dbPool) {
+    pool = dbPool;
+
+    // Only the PM2 cluster-primary worker registers the cron (lead-reminder-scheduler pattern).
+    if (!isClusterPrimary()) {
+        console.log('[CycleCount] skipping cron registration — not PM2 cluster primary');
+        return;
+    }
+    if (registry) {
+        registry.register(JOB_ID, {
+            name: 'Stock Cycle Counts',
+            service: 'cycle-count-scheduler',
+            schedule: '30 8 * * *',
+            description: 'Classifies items A/B/C by sales value and assigns the due cycle counts to staff on shift at 08:30 IST'
+        });
+    }
+    cron.schedule('30 8 * * *', () => runDaily().catch(() => {}), { timezone: 'Asia/Kolkata' });
+    console.log('[CycleCount] Scheduler initialized — runs at 08:30 IST daily');
+}
+
+/**
+ * Plan today's cycle counts
+ * @param {object} [opts] - { userId, branchId } when run by hand (runs even if disabled)
+ */
+async function runDaily({ userId = null, branchId = null } = {}) {
+    if (registry) registry.markRunning(JOB_ID);
+    try {
+        const config = await cycleCount.getConfig(pool);
+        if (!config.enabled && !userId) {
+            if (registry) registry.markCompleted(JOB_ID, { details: 'disabled (cycle_count_enabled = false)', recordsProcessed: 0 });
+            return [];
+        }
+        const results = await cycleCount.runCycleCounts(
+            { db: pool, notify: notificationService.send },
+            { today: todayIST(), branchId, userId, lookbackDays: config.lookbackDays, maxItemsPerStaff: config.maxItemsPerStaff }
+        );
+        const assignments = results.reduce((n, r) => n + r.assignment_ids.length, 0);
+        const deferred = results.reduce((n, r) => n + r.deferred, 0);
+        const details = `${results.length} branches, ${assignments} assignments created, ${deferred} due items deferred`;
+        if (registry) registry.markCompleted(JOB_ID, { details, recordsProcessed: assignments });
+        if (assignments) console.log(`[CycleCount] Done — ${details}`);
+        return results;
+    } catch (err) {
+        if (registry) registry.markFailed(JOB_ID, { error: err.message });
+        console.error('[CycleCount] Scheduler error:', err.message);
+        throw err;
+    }
+}
+
+module.exports = { init, runDaily, setAutomationRegistry };
@@ -0,0 +1,461 @@
+/**
+ * Cycle counts — ABC classification and the counting calendar for stock
+ * check, so nobody has to hand-pick items for POST /api/stock-check/assign.
+ *
+ * Per branch, items at the branch's active Zoho location are ranked by sales
+ * value (branch_item_sales.revenue over the lookback window) and split by
+ * cumulative share:
+ *
+ *   A — the items making up the first 80% of the value   → counted weekly
+ *   B — the next 15%                                      → monthly
+ *   C — the rest, and anything that didn't sell           → quarterly
+ *
+ * An item is due once its cycle has passed since it was last counted at the
+ * branch (any stock check, not only cycle counts), or straight away if it
+ * never was. Items already waiting on an open assignment are left alone.
+ *
+ * runCycleCounts() — the daily job in cycle-count-scheduler.js, also run on
+ * demand — reclassifies a branch when its classes are a week old, then
+ * spreads the due items (A first, most overdue first) across the staff on
+ * shift that day, at most maxItemsPerStaff each; what doesn't fit waits for
+ * the next day. "On shift" is the roster (services/shifts.js) less anyone on
+ * approved leave. A branch that already has today's cycle counts is skipped,
+ * so a second run the same day does nothing.
+ *
+ * summariseVariance() turns submitted count lines into per-item and
+ * per-counter trends: items that keep coming up short are shrinkage
+ * hotspots, counters whose counts keep missing are repeat offenders.
+ *
+ * DB helpers take the db handle (pool or a transaction connection).
+ */
+
+const { rosterGrid } = require('./shifts');
+const { dateOnly } = require('./leave');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QTY_TOLERANCE = 0.001;
+
+// Same roles POST /api/stock-check/assign accepts.
+const ASSIGNABLE_ROLES = ['staff', 'sales_staff', 'branch_manager'];
+const CLASSES = ['A', 'B', 'C'];
+const CLASS_CYCLE_DAYS = { A: 7, B: 30, C: 91 };
+
+const DEFAULTS = {
+    lookbackDays: 90,
+    aCutoffPct: 80,
+    bCutoffPct: 95,
+    maxItemsPerStaff: 25,
+    reclassifyDays: 7
+};
+
+// Variance flags: enough counts to mean something, then the share that missed.
+const VARIANCE_MIN_COUNTS = 3;
+const OFFENDER_MISS_RATE = 0.3;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+function addDays(date, n) {
+    return new Date(Date.parse(date + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / DAY_MS);
+}
+
+/**
+ * Config from zoho_config (cycle_count_* keys), defaults when unset.
+ * @returns {Promise<{enabled:boolean, lookbackDays:number, maxItemsPerStaff:number}>}
+ */
+async function getConfig(db) {
+    const [rows] = await db.query(
+        "SELECT config_key, config_value FROM zoho_config WHERE config_key LIKE 'cycle_count_%'"
+    );
+    const config = {};
+    for (const row of rows) config[row.config_key] = row.config_value;
+    return {
+        enabled: config.cycle_count_enabled !== 'false',
+        lookbackDays: parseInt(config.cycle_count_lookback_days) || DEFAULTS.lookbackDays,
+        maxItemsPerStaff: parseInt(config.cycle_count_max_items_per_staff) || DEFAULTS.maxItemsPerStaff
+    };
+}
+
+/**
+ * Rank items by sales value and split them A / B / C. The item that crosses
+ * a cutoff still belongs to the upper class (the top seller alone can be A
+ * even when it is 90% of the value). Unsold items are always C.
+ * @param {Array<{zoho_item_id:string, sales_value:number, qty_sold?:number}>} rows
+ * @returns {Array<{zoho_item_id, sales_value, qty_sold, cumulative_pct, abc_class}>} highest value first
+ */
+function classifyItems(rows, { aCutoffPct = DEFAULTS.aCutoffPct, bCutoffPct = DEFAULTS.bCutoffPct } = {}) {
+    const sorted = (rows || [])
+        .map(r => ({ zoho_item_id: String(r.zoho_item_id), sales_value: Math.max(0, r2(r.sales_value)), qty_sold: r2(r.qty_sold) }))
+        .sort((a, b) => b.sales_value - a.sales_value || a.zoho_item_id.localeCompare(b.zoho_item_id));
+    const total = sorted.reduce((s, r) => s + r.sales_value, 0);
+    let running = 0;
+    return sorted.map(r => {
+        const before = total > 0 ? (running / total) * 100 : 100;
+        running += r.sales_value;
+        let abcClass = 'C';
+        if (r.sales_value > 0) abcClass = before < aCutoffPct ? 'A' : (before < bCutoffPct ? 'B' : 'C');
+        return { ...r, cumulative_pct: total > 0 ? r2((running / total) * 100) : null, abc_class: abcClass };
+    });
+}
+
+/**
+ * When an item is next due for counting; null = never counted, due now.
+ * @param {'A'|'B'|'C'} abcClass
+ * @param {Date|string|null} lastCounted
+ */
+function nextDueDate(abcClass, lastCounted) {
+    const last = dateOnly(lastCounted);
+    if (!last) return null;
+    return addDays(last, CLASS_CYCLE_DAYS[abcClass] || CLASS_CYCLE_DAYS.C);
+}
+
+/**
+ * Split the due items across the staff on shift.
+ * @param {Object[]} candidates - { zoho_item_id, abc_class, last_counted, on_open_count, ... }
+ * @param {Array<{id:number}>} staff - on shift, in the order they should be filled
+ * @param {Object} opts - { today: 'YYYY-MM-DD', maxItemsPerStaff }
+ * @returns {{due:number, deferred:number, assignments:Array<{staff_id:number, items:Object[]}>}}
+ */
+function planCycleCounts(candidates, staff, { today, maxItemsPerStaff = DEFAULTS.maxItemsPerStaff } = {}) {
+    const rank = c => CLASSES.indexOf(c.abc_class);
+    const due = (candidates || [])
+        .filter(c => !Number(c.on_open_count))
+        .map(c => {
+            const next = nextDueDate(c.abc_class, c.last_counted);
+            return { ...c, next_due: next, days_overdue: next ? daysBetween(next, today) : null };
+        })
+        .filter(c => c.next_due === null || c.next_due <= today)
+        .sort((a, b) => rank(a) - rank(b)
+            || (a.next_due === null ? -1 : 0) - (b.next_due === null ? -1 : 0)
+            || (b.days_overdue || 0) - (a.days_overdue || 0)
+            || String(a.item_name || a.zoho_item_id).localeCompare(String(b.item_name || b.zoho_item_id)));
+
+    const people = staff || [];
+    const take = due.slice(0, people.length * Math.max(0, maxItemsPerStaff));
+    // Round-robin so every counter gets a share of the A items.
+    const assignments = people.map(s => ({ staff_id: Number(s.id), items: [] }));
+    take.forEach((item, i) => assignments[i % assignments.length].items.push(item));
+    return {
+        due: due.length,
+        deferred: due.length - take.length,
+        assignments: assignments.filter(a => a.items.length)
+    };
+}
+
+function trendBucket(map, month) {
+    if (!map.has(month)) map.set(month, { month, counts: 0, variance_counts: 0, net_difference: 0 });
+    return map.get(month);
+}
+
+function tally(acc, row, diff) {
+    const missed = Math.abs(diff) > QTY_TOLERANCE;
+    acc.counts++;
+    if (missed) acc.variance_counts++;
+    acc.net_difference = r2(acc.net_difference + diff);
+    acc.abs_difference = r2((acc.abs_difference || 0) + Math.abs(diff));
+    if (diff < 0) {
+        acc.shrinkage_qty = r2((acc.shrinkage_qty || 0) - diff);
+        acc.shrinkage_value = r2((acc.shrinkage_value || 0) - diff * (parseFloat(row.rate) || 0));
+    }
+    const b = trendBucket(acc.trend, String(row.month || dateOnly(row.check_date).slice(0, 7)));
+    b.counts++;
+    if (missed) b.variance_counts++;
+    b.net_difference = r2(b.net_difference + diff);
+}
+
+function finish(acc) {
+    const { trend, ...rest } = acc;
+    return {
+        ...rest,
+        shrinkage_qty: rest.shrinkage_qty || 0,
+        shrinkage_value: rest.shrinkage_value || 0,
+        variance_rate: rest.counts ? r2(rest.variance_counts / rest.counts) : 0,
+        trend: [...trend.values()].sort((a, b) => a.month.localeCompare(b.month))
+    };
+}
+
+/**
+ * Variance trends from submitted count lines.
+ * @param {Object[]} rows - { branch_id, branch_name, zoho_item_id, item_name, abc_class, staff_id, staff_name,
+ *                            check_date, difference, rate }
+ * @returns {{items:Object[], counters:Object[]}}
+ *   items    — per branch + item, biggest shrinkage value first; hotspot when it
+ *              came up short in VARIANCE_MIN_COUNTS or more counts
+ *   counters — per staff member, highest miss rate first; repeat_offender when
+ *              at least VARIANCE_MIN_COUNTS counts and OFFENDER_MISS_RATE of them missed
+ */
+function summariseVariance(rows) {
+    const items = new Map();
+    const counters = new Map();
+    for (const row of rows || []) {
+        const diff = r2(row.difference);
+        const itemKey = `${row.branch_id}|${row.zoho_item_id}`;
+        if (!items.has(itemKey)) {
+            items.set(itemKey, {
+                branch_id: row.branch_id, branch_name: row.branch_name || null,
+                zoho_item_id: row.zoho_item_id, item_name: row.item_name || null, abc_class: row.abc_class || null,
+                counts: 0, variance_counts: 0, short_counts: 0, net_difference: 0, trend: new Map()
+            });
+        }
+        const item = items.get(itemKey);
+        tally(item, row, diff);
+        if (diff < -QTY_TOLERANCE) item.short_counts++;
+
+        const staffKey = Number(row.staff_id);
+        if (!counters.has(staffKey)) {
+            counters.set(staffKey, {
+                staff_id: staffKey, staff_name: row.staff_name || null,
+                counts: 0, variance_counts: 0, net_difference: 0, trend: new Map()
+            });
+        }
+        tally(counters.get(staffKey), row, diff);
+    }
+
+    return {
+        items: [...items.values()].map(finish)
+            .map(i => ({ ...i, hotspot: i.short_counts >= VARIANCE_MIN_COUNTS }))
+            .sort((a, b) => b.shrinkage_value - a.shrinkage_value || b.variance_counts - a.variance_counts),
+        counters: [...counters.values()].map(finish)
+            .map(c => ({ ...c, repeat_offender: c.counts >= VARIANCE_MIN_COUNTS && c.variance_rate >= OFFENDER_MISS_RATE }))
+            .sort((a, b) => b.variance_rate - a.variance_rate || b.variance_counts - a.variance_counts)
+    };
+}
+
+// ═══════════════════════════════════════════
+// DB
+// ═══════════════════════════════════════════
+
+/**
+ * Active branches with their active Zoho location (the first, if several).
+ * @param {number|null} branchId - one branch, or all
+ */
+async function branchLocations(db, branchId = null) {
+    const [rows] = await db.query(
+        `SELECT b.id AS branch_id, b.name AS branch_name, MIN(zlm.zoho_location_id) AS zoho_location_id
+         FROM branches b
+         JOIN zoho_locations_map zlm ON zlm.local_branch_id = b.id AND zlm.is_active = 1
+         WHERE b.is_active = 1${branchId ? ' AND b.id = ?' : ''}
+         GROUP BY b.id, b.name
+         ORDER BY b.name`,
+        branchId ? [branchId] : []
+    );
+    return rows;
+}
+
+/**
+ * Reclassify one branch: items in stock at its location or sold there in
+ * the lookback window. Replaces the branch's item_abc_classes rows.
+ * @returns {Promise<{A:number, B:number, C:number}>}
+ */
+async function classifyBranch(db, { branch_id, zoho_location_id }, { today, lookbackDays = DEFAULTS.lookbackDays } = {}) {
+    const [rows] = await db.query(
+        `SELECT ls.zoho_item_id, COALESCE(s.sales_value, 0) AS sales_value, COALESCE(s.qty_sold, 0) AS qty_sold
+         FROM zoho_location_stock ls
+         LEFT JOIN (
+             SELECT zoho_item_id, SUM(revenue) AS sales_value, SUM(qty_sold) AS qty_sold
+             FROM branch_item_sales
+             WHERE local_branch_id = ? AND sale_date > DATE_SUB(?, INTERVAL ? DAY) AND sale_date <= ?
+             GROUP BY zoho_item_id
+         ) s ON s.zoho_item_id = ls.zoho_item_id COLLATE utf8mb4_unicode_ci
+         WHERE ls.zoho_location_id = ? AND (ls.stock_on_hand > 0 OR s.sales_value > 0)`,
+        [branch_id, today, lookbackDays, today, zoho_location_id]
+    );
+    const classes = classifyItems(rows);
+    const counts = { A: 0, B: 0, C: 0 };
+    classes.forEach(c => { counts[c.abc_class]++; });
+
+    const conn = db.getConnection ? await db.getConnection() : db;
+    try {
+        if (conn !== db) await conn.beginTransaction();
+        await conn.query('DELETE FROM item_abc_classes WHERE branch_id = ?', [branch_id]);
+        if (classes.length) {
+            await conn.query(
+                `INSERT INTO item_abc_classes (branch_id, zoho_item_id, abc_class, sales_value, qty_sold, cumulative_pct, classified_at)
+                 VALUES ?`,
+                [classes.map(c => [branch_id, c.zoho_item_id, c.abc_class, c.sales_value, c.qty_sold, c.cumulative_pct, new Date()])]
+            );
+        }
+        if (conn !== db) await conn.commit();
+    } catch (err) {
+        if (conn !== db) await conn.rollback();
+        throw err;
+    } finally {
+        if (conn !== db) conn.release();
+    }
+    return counts;
+}
+
+/**
+ * A branch's classified items still at its location, with when each was
+ * last counted there and whether it is already on an open count.
+ */
+async function loadCandidates(db, { branch_id, zoho_location_id }) {
+    const [rows] = await db.query(
+        `SELECT c.zoho_item_id, c.abc_class, c.sales_value, ls.item_name, ls.sku, ls.stock_on_hand,
+                (SELECT MAX(sci.submitted_at) FROM stock_check_items sci
+                 JOIN stock_check_assignments a ON a.id = sci.assignment_id
+                 WHERE a.branch_id = c.branch_id AND sci.zoho_item_id = c.zoho_item_id COLLATE utf8mb4_unicode_ci
+                   AND sci.submitted_at IS NOT NULL) AS last_counted,
+                EXISTS (SELECT 1 FROM stock_check_items sci
+                        JOIN stock_check_assignments a ON a.id = sci.assignment_id
+                        WHERE a.branch_id = c.branch_id AND a.status = 'pending' AND sci.item_status = 'pending'
+                          AND sci.zoho_item_id = c.zoho_item_id COLLATE utf8mb4_unicode_ci) AS on_open_count
+         FROM item_abc_classes c
+         JOIN zoho_location_stock ls
+           ON ls.zoho_item_id = c.zoho_item_id COLLATE utf8mb4_unicode_ci AND ls.zoho_location_id = ?
+         WHERE c.branch_id = ?`,
+        [zoho_location_id, branch_id]
+    );
+    return rows;
+}
+
+/**
+ * Staff at the branch who are working on the date: rostered (or on their
+ * default / branch hours) and not off, and not on approved leave.
+ * @returns {Promise<Array<{id, full_name, branch_id}>>}
+ */
+async function loadOnShiftStaff(db, branchId, date) {
+    const [users] = await db.query(
+        `SELECT id, full_name, branch_id FROM users
+         WHERE branch_id = ? AND status = 'active' AND role IN (?)
+         ORDER BY id`,
+        [branchId, ASSIGNABLE_ROLES]
+    );
+    if (!users.length) return [];
+    const grid = await rosterGrid(db, users, date, date);
+    const working = new Set(grid.filter(g => !g.days[0].is_off).map(g => Number(g.user_id)));
+
+    let onLeave = [];
+    try {
+        [onLeave] = await db.query(
+            `SELECT DISTINCT user_id FROM leave_requests
+             WHERE status = 'approved' AND ? BETWEEN from_date AND to_date AND user_id IN (?)`,
+            [date, users.map(u => u.id)]
+        );
+    } catch (err) {
+        if (!(err && err.code === 'ER_NO_SUCH_TABLE')) throw err;
+    }
+    const away = new Set(onLeave.map(l => Number(l.user_id)));
+    return users.filter(u => working.has(Number(u.id)) && !away.has(Number(u.id)));
+}
+
+/**
+ * Plan and create today's cycle counts.
+ * @param {Object} deps - { db, notify(userId, payload) }
+ * @param {Object} opts - { today: 'YYYY-MM-DD' (IST), branchId: one branch or all, userId: who ran it by hand,
+ *                          lookbackDays, maxItemsPerStaff }
+ * @returns {Promise<Array<{branch_id, branch_name, classified, due, deferred, staff, assignment_ids, skipped?}>>}
+ */
+async function runCycleCounts({ db, notify }, {
+    today, branchId = null, userId = null,
+    lookbackDays = DEFAULTS.lookbackDays, maxItemsPerStaff = DEFAULTS.maxItemsPerStaff
+} = {}) {
+    const results = [];
+    for (const branch of await branchLocations(db, branchId)) {
+        const result = {
+            branch_id: branch.branch_id, branch_name: branch.branch_name,
+            classified: null, due: 0, deferred: 0, staff: 0, assignment_ids: []
+        };
+        results.push(result);
+
+        const [planned] = await db.query(
+            `SELECT COUNT(*) AS n FROM stock_check_assignments
+             WHERE branch_id = ? AND check_date = ? AND request_type = 'cycle_count' AND status != 'cancelled'`,
+            [branch.branch_id, today]
+        );
+        if (Number(planned[0].n) > 0) { result.skipped = 'already planned today'; continue; }
+
+        const [stamp] = await db.query(
+            'SELECT MAX(classified_at) AS at FROM item_abc_classes WHERE branch_id = ?',
+            [branch.branch_id]
+        );
+        const classifiedOn = dateOnly(stamp[0] && stamp[0].at);
+        if (!classifiedOn || daysBetween(classifiedOn, today) >= DEFAULTS.reclassifyDays) {
+            result.classified = await classifyBranch(db, branch, { today, lookbackDays });
+        }
+
+        const staff = await loadOnShiftStaff(db, branch.branch_id, today);
+        const plan = planCycleCounts(await loadCandidates(db, branch), staff, { today, maxItemsPerStaff });
+        result.due = plan.due;
+        result.deferred = plan.deferred;
+        result.staff = staff.length;
+        if (!staff.length) { result.skipped = 'no staff on shift'; continue; }
+
+        for (const a of plan.assignments) {
+            const mix = CLASSES.map(c => `${a.items.filter(i => i.abc_class === c).length} ${c}`).join(' / ');
+            const [ins] = await db.query(
+                `INSERT INTO stock_check_assignments (branch_id, zoho_location_id, staff_id, check_date, request_type, show_system_qty, notes, created_by)
+                 VALUES (?, ?, ?, ?, 'cycle_count', 0, ?, ?)`,
+                [branch.branch_id, branch.zoho_location_id, a.staff_id, today, `Cycle count — ${mix}`, userId]
+            );
+            await db.query(
+                `INSERT INTO stock_check_items (assignment_id, zoho_item_id, item_name, item_sku, abc_class, system_qty)
+                 VALUES ?`,
+                [a.items.map(i => [ins.insertId, i.zoho_item_id, i.item_name || 'Unknown', i.sku || '', i.abc_class, i.stock_on_hand || 0])]
+            );
+            result.assignment_ids.push(ins.insertId);
+
+            if (notify) {
+                try {
+                    await notify(a.staff_id, {
+                        type: 'stock_check_assigned',
+                        title: 'Cycle Count Assigned',
+                        body: `Cycle count for ${branch.branch_name} today (${a.items.length} items: ${mix})`,
+                        data: { assignment_id: ins.insertId }
+                    });
+                } catch (e) { console.error('[CycleCount] notify error:', e.message); }
+            }
+        }
+    }
+    return results;
+}
+
+/**
+ * Submitted count lines for summariseVariance().
+ * @param {Object} filters - { branchId, staffId, months (default 6) }
+ */
+async function loadVarianceRows(db, { branchId = null, staffId = null, months = 6 } = {}) {
+    const where = ['sci.submitted_at IS NOT NULL', 'sci.reported_qty IS NOT NULL',
+        'a.check_date >= DATE_SUB(CURDATE(), INTERVAL ? MONTH)'];
+    const params = [months];
+    if (branchId) { where.push('a.branch_id = ?'); params.push(branchId); }
+    if (staffId) { where.push('a.staff_id = ?'); params.push(staffId); }
+    const [rows] = await db.query(
+        `SELECT a.branch_id, b.name AS branch_name, a.staff_id, u.full_name AS staff_name,
+                DATE_FORMAT(a.check_date, '%Y-%m') AS month,
+                sci.zoho_item_id, sci.item_name, COALESCE(sci.abc_class, c.abc_class) AS abc_class,
+                sci.difference, COALESCE(zim.zoho_rate, 0) AS rate
+         FROM stock_check_items sci
+         JOIN stock_check_assignments a ON a.id = sci.assignment_id
+         LEFT JOIN branches b ON b.id = a.branch_id
+         LEFT JOIN users u ON u.id = a.staff_id
+         LEFT JOIN item_abc_classes c ON c.branch_id = a.branch_id AND c.zoho_item_id = sci.zoho_item_id COLLATE utf8mb4_unicode_ci
+         LEFT JOIN zoho_items_map zim ON zim.zoho_item_id = sci.zoho_item_id COLLATE utf8mb4_unicode_ci
+         WHERE ${where.join(' AND ')}`,
+        params
+    );
+    return rows;
+}
+
+module.exports = {
+    ASSIGNABLE_ROLES,
+    CLASSES,
+    CLASS_CYCLE_DAYS,
+    DEFAULTS,
+    VARIANCE_MIN_COUNTS,
+    OFFENDER_MISS_RATE,
+    getConfig,
+    classifyItems,
+    nextDueDate,
+    planCycleCounts,
+    summariseVariance,
+    branchLocations,
+    classifyBranch,
+    loadCandidates,
+    loadOnShiftStaff,
+    runCycleCounts,
+    loadVarianceRows
+};
@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+const path = require('path');
+const fs = require('fs');
+
+const COLORS = {
+    primary: '#1B5E3B',
+    text: '#333333',
+    mute: '#666666',
+    band: '#f5f5f5',
+    head: '#eef7f1',
+    danger: '#DC2626',
+    excess: '#B45309'
+};
+
+function fmtINR(num) {
+    const n = parseFloat(num) || 0;
+    return n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function fmtDateTime(v) {
+    if (!v) return '';
+    return new Date(v).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+function varianceLabel(v) {
+    const n = Number(v) || 0;
+    if (n < 0) return '-Rs.' + fmtINR(-n);
+    if (n > 0) return '+Rs.' + fmtINR(n);
+    return 'Rs.0.00';
+}
+
+/**
+ * Generate the locked day-close PDF.
+ * @param {Object} options - { close, snapshot, branchName, people: { submitted, signedOff }, branding }
+ *   close    — the branch_day_closes row
+ *   snapshot — its parsed `snapshot` ({ denominations: {lines,total}, reconcile, takings })
+ * @param {WritableStream} stream - Response or file write stream
+ */
+function generateDayClosePDF(options, stream) {
+    const { close: c, snapshot, branchName, people = {}, branding = {} } = options;
+    const rec = snapshot.reconcile;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+    doc.pipe(stream);
+
+    // ===== HEADER =====
+    const headerTop = 40;
+    const logoPaths = [
+        branding.business_logo ? path.join(__dirname, '..', 'public', 'uploads', 'logos', branding.business_logo) : null,
+        path.join(__dirname, '..', 'public', 'logo.png')
+    ].filter(Boolean);
+
+    let logoLoaded = false;
+    for (const logoPath of logoPaths) {
+        if (fs.existsSync(logoPath)) {
+            try {
+                doc.image(logoPath, 40, headerTop, { height: 45 });
+                logoLoaded = true;
+                break;
+            } catch {}
+        }
+    }
+    const textStartX = logoLoaded ? 95 : 40;
+
+    doc.fontSize(16).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text(branding.business_name || 'Quality Colours', textStartX, headerTop);
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+        .text(branding.business_address || 'Ramanathapuram', textStartX, headerTop + 20);
+
+    doc.fontSize(20).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text('DAY CLOSE', 350, headerTop, { width: 205, align: 'right' });
+    doc.fontSize(10).fillColor(COLORS.text).font('Helvetica')
+        .text(`${branchName || 'Branch #' + c.branch_id} | ${snapshot.business_date}`, 300, headerTop + 26, { width: 255, align: 'right' });
+
+    doc.moveTo(40, headerTop + 55).lineTo(555, headerTop + 55)
+        .strokeColor(COLORS.primary).lineWidth(2).stroke();
+
+    // ===== STATUS =====
+    let y = headerTop + 68;
+    const statusText = c.status === 'closed' ? 'CLOSED & LOCKED' : 'AWAITING MANAGER SIGN-OFF';
+    doc.fontSize(10).font('Helvetica-Bold')
+        .fillColor(c.status === 'closed' ? COLORS.primary : COLORS.excess)
+        .text(statusText, 40, y);
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+        .text(`Revision ${c.revision}`, 350, y + 1, { width: 205, align: 'right' });
+    y += 22;
+
+    // ===== CASH COUNT =====
+    doc.rect(40, y - 2, 515, 16).fill(COLORS.head);
+    doc.fontSize(9).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text('CASH COUNT', 50, y + 1)
+        .text('Count', 300, y + 1, { width: 80, align: 'right' })
+        .text('Amount', 450, y + 1, { width: 100, align: 'right' });
+    y += 18;
+    const lines = (snapshot.denominations && snapshot.denominations.lines) || [];
+    lines.forEach((l, i) => {
+        if (i % 2 === 1) doc.rect(40, y - 2, 515, 15).fill(COLORS.band);
+        doc.fontSize(9).fillColor(COLORS.text).font('Helvetica')
+            .text('Rs.' + l.denomination, 50, y)
+            .text(String(l.count), 300, y, { width: 80, align: 'right' })
+            .text('Rs.' + fmtINR(l.amount), 450, y, { width: 100, align: 'right' });
+        y += 15;
+    });
+    if (!lines.length) {
+        doc.fontSize(9).fillColor(COLORS.mute).font('Helvetica').text('No cash counted', 50, y);
+        y += 15;
+    }
+    doc.fontSize(9).fillColor(COLORS.text).font('Helvetica-Bold')
+        .text('Counted cash', 50, y + 2)
+        .text('Rs.' + fmtINR(snapshot.denominations ? snapshot.denominations.total : 0), 450, y + 2, { width: 100, align: 'right' });
+    y += 26;
+
+    // ===== RECONCILIATION =====
+    doc.rect(40, y - 2, 515, 16).fill(COLORS.head);
+    doc.fontSize(9).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text('RECONCILIATION', 50, y + 1)
+        .text('Declared', 230, y + 1, { width: 100, align: 'right' })
+        .text('Expected', 340, y + 1, { width: 100, align: 'right' })
+        .text('Variance', 450, y + 1, { width: 100, align: 'right' });
+    y += 18;
+    const tenders = [['Cash', 'cash'], ['UPI', 'upi'], ['Card / pay-links', 'card']];
+    tenders.forEach(([label, k], i) => {
+        if (i % 2 === 1) doc.rect(40, y - 2, 515, 15).fill(COLORS.band);
+        const v = rec.variance[k];
+        doc.fontSize(9).fillColor(COLORS.text).font('Helvetica')
+            .text(label, 50, y)
+            .text('Rs.' + fmtINR(rec.declared[k]), 230, y, { width: 100, align: 'right' })
+            .text('Rs.' + fmtINR(rec.expected[k]), 340, y, { width: 100, align: 'right' });
+        doc.font('Helvetica-Bold').fillColor(v < 0 ? COLORS.danger : v > 0 ? COLORS.excess : COLORS.text)
+            .text(varianceLabel(v), 450, y, { width: 100, align: 'right' });
+        y += 15;
+    });
+    y += 6;
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+        .text(`Not in the drawer: bank transfer Rs.${fmtINR(rec.other.bank_transfer)}, cheque Rs.${fmtINR(rec.other.cheque)}`, 50, y);
+    y += 14;
+    const takings = snapshot.takings || {};
+    doc.text(`${(takings.payments || []).length} billing payment(s), ${(takings.payLinks || []).length} paid pay-link(s)`, 50, y);
+    y += 20;
+
+    // ===== FLAGS =====
+    if (rec.flags.length) {
+        doc.rect(40, y - 2, 515, 16).fill('#fff5f5');
+        doc.fontSize(9).fillColor(COLORS.danger).font('Helvetica-Bold').text('SHORTAGE / EXCESS', 50, y + 1);
+        y += 18;
+        for (const f of rec.flags) {
+            doc.fontSize(9).fillColor(COLORS.text).font('Helvetica')
+                .text(`${f.tender.toUpperCase()} ${f.type}: Rs.${fmtINR(f.amount)}`, 50, y);
+            y += 15;
+        }
+        y += 6;
+    }
+
+    // ===== NOTES + SIGN-OFF =====
+    if (c.notes) {
+        doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica-Bold').text('CASHIER NOTES', 40, y);
+        doc.fontSize(9).fillColor(COLORS.text).font('Helvetica').text(c.notes, 40, y + 11, { width: 515 });
+        y = doc.y + 10;
+    }
+
+    doc.moveTo(40, y).lineTo(555, y).strokeColor('#dddddd').lineWidth(1).stroke();
+    y += 10;
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica-Bold')
+        .text('COUNTED & SUBMITTED BY', 40, y)
+        .text('SIGNED OFF BY', 300, y);
+    doc.fontSize(10).fillColor(COLORS.text).font('Helvetica-Bold')
+        .text(people.submitted || '-', 40, y + 12, { width: 250 })
+        .text(people.signedOff || (c.status === 'closed' ? 'Auto-closed (balanced)' : 'Pending'), 300, y + 12, { width: 255 });
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+        .text(fmtDateTime(c.submitted_at), 40, y + 26, { width: 250 })
+        .text(fmtDateTime(c.signed_off_at), 300, y + 26, { width: 255 });
+    y += 40;
+    if (c.signoff_note) {
+        doc.fontSize(9).fillColor(COLORS.text).font('Helvetica').text(c.signoff_note, 300, y, { width: 255 });
+        y = doc.y + 10;
+    }
+
+    // ===== FOOTER =====
+    y += 20;
+    doc.fontSize(7).fillColor('#999').font('Helvetica')
+        .text('System-generated day-close report. Payments for this date are locked; changes need a manager re-open (recorded in the audit log).', 40, y, { align: 'center', width: 515 });
+    doc.text(`Generated on ${fmtDateTime(new Date())}`, 40, y + 12, { align: 'center', width: 515 });
+
+    doc.end();
+}
+
+module.exports = { generateDayClosePDF };
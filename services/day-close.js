@@ -0,0 +1,175 @@
+/**
+ * Branch day-end close — reconciliation + the payment lock.
+ *
+ * The cashier counts the drawer by denomination and declares the UPI and card
+ * totals; those are reconciled against what the system recorded for the
+ * branch on that IST business date:
+ *   cash — billing_payments (method 'cash')
+ *   upi  — billing_payments (method 'upi'), EXCLUDING the rows pay-verify
+ *          records for a paid pay-link (reference 'paylink-…'); those are the
+ *          card line below, not counter UPI
+ *   card — collections pay-history: payment_links paid that day whose invoice
+ *          belongs to the branch (billing_invoices.branch_id, else
+ *          zoho_invoices.local_branch_id). The counter has no card tender of
+ *          its own in billing_payments.
+ * bank_transfer / cheque are listed for information only (they never pass
+ * through the drawer); 'credit' is not money received and is left out.
+ *
+ * A day whose close is 'pending_signoff' or 'closed' is locked:
+ * assertDayOpen() throws code DAY_CLOSED and the billing payment create /
+ * quick-sale / reversal paths refuse with 409 until a manager re-opens it.
+ *
+ * Functions take the db handle (pool or an open transaction connection).
+ */
+
+const { istDateString, toDateString } = require('./zoho-payment-mapper');
+
+const DENOMINATIONS = [2000, 500, 200, 100, 50, 20, 10, 5, 2, 1];
+// Rupee slack before a difference counts as a shortage/excess.
+const VARIANCE_TOLERANCE = 1;
+const LOCKED_STATUSES = ['pending_signoff', 'closed'];
+
+function round2(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function invalid(message) {
+    const e = new Error(message);
+    e.code = 'INVALID_COUNT';
+    return e;
+}
+
+/**
+ * Total a denomination count ({ "500": 3, "10": 7 }). Unknown notes/coins and
+ * non-integer or negative counts throw code INVALID_COUNT.
+ * Returns { total, lines: [{ denomination, count, amount }] } (largest first,
+ * zero counts dropped).
+ */
+function countCash(denominations) {
+    const input = denominations || {};
+    for (const key of Object.keys(input)) {
+        if (!DENOMINATIONS.includes(Number(key))) throw invalid(`Unknown denomination ₹${key}`);
+    }
+    const lines = [];
+    let total = 0;
+    for (const d of DENOMINATIONS) {
+        const raw = input[d] ?? input[String(d)];
+        if (raw === undefined || raw === null || raw === '') continue;
+        const count = Number(raw);
+        if (!Number.isInteger(count) || count < 0) throw invalid(`Count for ₹${d} must be a whole number`);
+        if (count === 0) continue;
+        lines.push({ denomination: d, count, amount: d * count });
+        total += d * count;
+    }
+    return { total, lines };
+}
+
+/**
+ * Reconcile the declared figures against the day's takings.
+ * @param {Object} takings  - { payments: [{ payment_method, amount, payment_reference }], payLinks: [{ amount }] }
+ * @param {Object} declared - { cash, upi, card }
+ * Variance is declared − expected: negative = shortage, positive = excess.
+ */
+function reconcileDay(takings, declared) {
+    const expected = { cash: 0, upi: 0, card: 0 };
+    const other = { bank_transfer: 0, cheque: 0 };
+    for (const p of (takings && takings.payments) || []) {
+        const amount = Number(p.amount) || 0;
+        if (p.payment_method === 'cash') expected.cash += amount;
+        else if (p.payment_method === 'upi') {
+            if (!String(p.payment_reference || '').startsWith('paylink-')) expected.upi += amount;
+        } else if (p.payment_method in other) other[p.payment_method] += amount;
+    }
+    for (const l of (takings && takings.payLinks) || []) expected.card += Number(l.amount) || 0;
+
+    const decl = {
+        cash: round2(declared && declared.cash),
+        upi: round2(declared && declared.upi),
+        card: round2(declared && declared.card)
+    };
+    const variance = {};
+    const flags = [];
+    for (const k of ['cash', 'upi', 'card']) {
+        expected[k] = round2(expected[k]);
+        variance[k] = round2(decl[k] - expected[k]);
+        if (Math.abs(variance[k]) > VARIANCE_TOLERANCE) {
+            flags.push({ tender: k, type: variance[k] < 0 ? 'shortage' : 'excess', amount: Math.abs(variance[k]) });
+        }
+    }
+    other.bank_transfer = round2(other.bank_transfer);
+    other.cheque = round2(other.cheque);
+
+    return { expected, declared: decl, variance, other, flags, has_variance: flags.length > 0 };
+}
+
+/** The day's billing payments + paid pay-links for one branch (IST business date). */
+async function loadDayTakings(db, branchId, businessDate) {
+    const [payments] = await db.query(
+        `SELECT bp.id, bp.amount, bp.payment_method, bp.payment_reference,
+                bi.invoice_number, bi.customer_name
+         FROM billing_payments bp
+         JOIN billing_invoices bi ON bi.id = bp.invoice_id
+         WHERE bi.branch_id = ? AND bp.payment_date = ?
+           AND bp.deleted_at IS NULL AND bi.deleted_at IS NULL
+         ORDER BY bp.id`,
+        [branchId, businessDate]
+    );
+    const [payLinks] = await db.query(
+        `SELECT pl.id, pl.amount, pl.zoho_invoice_number, pl.customer_name, pl.paid_at
+         FROM payment_links pl
+         LEFT JOIN billing_invoices bi ON bi.zoho_invoice_id = pl.invoice_id AND bi.deleted_at IS NULL
+         LEFT JOIN zoho_invoices zi ON zi.zoho_invoice_id = pl.invoice_id
+         WHERE pl.status = 'paid'
+           AND DATE(CONVERT_TZ(pl.paid_at, '+00:00', '+05:30')) = ?
+           AND COALESCE(bi.branch_id, zi.local_branch_id) = ?
+         ORDER BY pl.id`,
+        [businessDate, branchId]
+    );
+    return { payments, payLinks };
+}
+
+/** The close row for (branch, date), or null. `forUpdate` locks it in a transaction. */
+async function findDayClose(db, branchId, businessDate, forUpdate = false) {
+    const [rows] = await db.query(
+        `SELECT * FROM branch_day_closes WHERE branch_id = ? AND business_date = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [branchId, businessDate]
+    );
+    return (rows && rows[0]) || null;
+}
+
+/**
+ * Throw code DAY_CLOSED when the branch's day is locked (submitted or closed).
+ * A missing branch/date is never locked.
+ */
+async function assertDayOpen(db, branchId, businessDate) {
+    const date = toDateString(businessDate);
+    if (!branchId || !date) return;
+    const [rows] = await db.query(
+        'SELECT status FROM branch_day_closes WHERE branch_id = ? AND business_date = ?',
+        [branchId, date]
+    );
+    const row = rows && rows[0];
+    if (row && LOCKED_STATUSES.includes(row.status)) {
+        const e = new Error(`The day close for ${date} is ${row.status === 'closed' ? 'locked' : 'awaiting sign-off'} — ask a manager to re-open it first.`);
+        e.code = 'DAY_CLOSED';
+        e.businessDate = date;
+        throw e;
+    }
+}
+
+/** Today's IST business date (yyyy-mm-dd). */
+function todayBusinessDate() {
+    return istDateString(new Date());
+}
+
+module.exports = {
+    DENOMINATIONS,
+    VARIANCE_TOLERANCE,
+    LOCKED_STATUSES,
+    countCash,
+    reconcileDay,
+    loadDayTakings,
+    findDayClose,
+    assertDayOpen,
+    todayBusinessDate
+};
@@ -0,0 +1,528 @@
+/**
+ * DPL price-change impact simulator — a dry run of apply-prices.
+ *
+ * simulate() re-keys a brand's saved DPL onto dpl_catalog exactly as
+ * POST /items/dpl-catalog/:brand/apply-prices does (dpl-catalog
+ * applyDplPrices) but changes no price. For every catalog row whose price
+ * would move it reports:
+ *
+ *   - old → new DPL and selling rate (ceil(dpl × 1.18 × 1.10)) and the % change,
+ *     per item and rolled up per category;
+ *   - margin on the last purchase rate: what stock already bought at the old
+ *     price earns at the old and at the new selling rate (ex-GST);
+ *   - open estimates (staff and painter) quoting a changing item, valued at
+ *     their quoted and at the new rates;
+ *   - engineer custom rates (a discount % per item / brand / category) that
+ *     resolve to a changing item, with the engineer's net price before / after;
+ *   - painter product point rates on changing items — annual points follow the
+ *     price, fixed regular points become a smaller or larger share of it.
+ *
+ * The run is saved so an admin can approve all of it or part of it now, or
+ * schedule it for an effective date (status 'scheduled'). Applying now writes
+ * the approved rows' current_dpl / current_rate into dpl_catalog — the same
+ * local-only update apply-prices makes; the Zoho push stays a separate step.
+ * A scheduled run is applied and pushed on its day by
+ * services/scheduled-prices.js (00:00 IST job).
+ * A row whose catalog price moved since the run is marked 'stale' and left.
+ *
+ * Helpers throw Error with e.code (SIMULATION_NOT_FOUND, NOT_PENDING,
+ * NOTHING_SELECTED, INVALID_EFFECTIVE_DATE); routes/zoho/items.js maps them.
+ */
+
+const { applyDplPrices } = require('./dpl-catalog');
+
+const GST = 1.18;
+
+// Open = still quotable; mirrors services/estimate-status.js and the
+// painter_estimates workflow up to payment.
+const OPEN_ESTIMATE_STATUSES = ['draft', 'sent', 'pending_approval', 'approved'];
+const OPEN_PAINTER_ESTIMATE_STATUSES = ['draft', 'pending_admin', 'admin_review', 'approved', 'sent_to_customer', 'discount_requested', 'final_approved'];
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+const num = v => {
+    const n = parseFloat(v);
+    return Number.isFinite(n) ? n : null;
+};
+
+function pctChange(from, to) {
+    if (!(from > 0) || to == null) return null;
+    return round2(((to - from) / from) * 100);
+}
+
+/** Margin % of a GST-inclusive selling rate over an ex-GST cost; null without both. */
+function marginPct(rate, cost) {
+    if (!(rate > 0) || !(cost > 0)) return null;
+    const ex = rate / GST;
+    return round2(((ex - cost) / ex) * 100);
+}
+
+/** Net price after an engineer discount — routes/engineers.js applyDiscount. */
+function netOfDiscount(rate, pct) {
+    if (!rate || !pct) return rate;
+    return Math.round(rate * (100 - pct)) / 100;
+}
+
+/** Today in IST as YYYY-MM-DD. */
+function todayIST(now = new Date()) {
+    return now.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+}
+
+function entryName(e) {
+    return e.canonical_name || [e.product_name, e.base_name, e.size_tier].filter(Boolean).join(' ');
+}
+
+// ── Pure report builders ─────────────────────────────────────────
+
+/**
+ * Changing catalog rows with their % change and margin.
+ * @param {Array} updated - applyDplPrices().updated
+ * @param {Map} zohoById - zoho_item_id → zoho_items_map row
+ */
+function buildItems(updated, zohoById) {
+    const items = [];
+    let unchanged = 0;
+    for (const u of updated) {
+        if (!(u.new_dpl > 0)) continue;
+        if (u.old_dpl === u.new_dpl && u.old_rate === u.new_rate) { unchanged++; continue; }
+        const z = (u.zoho_item_id && zohoById.get(String(u.zoho_item_id))) || {};
+        const cost = num(z.last_purchase_rate) || num(z.zoho_purchase_rate);
+        const oldMargin = marginPct(u.old_rate, cost);
+        const newMargin = marginPct(u.new_rate, cost);
+        items.push({
+            catalog_id: u.id,
+            zoho_item_id: u.zoho_item_id || null,
+            name: z.zoho_item_name || entryName(u),
+            brand: z.zoho_brand || null,
+            category: z.zoho_category_name || u.category || 'Uncategorised',
+            size_tier: u.size_tier,
+            old_dpl: u.old_dpl,
+            new_dpl: u.new_dpl,
+            dpl_change_pct: pctChange(u.old_dpl, u.new_dpl),
+            old_rate: u.old_rate,
+            new_rate: u.new_rate,
+            rate_change_pct: pctChange(u.old_rate, u.new_rate),
+            purchase_rate: cost,
+            old_margin_pct: oldMargin,
+            new_margin_pct: newMargin,
+            margin_change_pts: oldMargin != null && newMargin != null ? round2(newMargin - oldMargin) : null
+        });
+    }
+    return { items, unchanged };
+}
+
+/** Per-category roll-up: counts and the rate change weighted by rate. */
+function summarizeCategories(items) {
+    const byCat = new Map();
+    for (const it of items) {
+        if (!byCat.has(it.category)) {
+            byCat.set(it.category, { category: it.category, items: 0, increased: 0, decreased: 0, old_rate_total: 0, new_rate_total: 0 });
+        }
+        const c = byCat.get(it.category);
+        c.items++;
+        if (it.old_rate != null && it.new_rate > it.old_rate) c.increased++;
+        if (it.old_rate != null && it.new_rate < it.old_rate) c.decreased++;
+        if (it.old_rate > 0) {
+            c.old_rate_total += it.old_rate;
+            c.new_rate_total += it.new_rate;
+        }
+    }
+    return [...byCat.values()]
+        .map(c => ({
+            ...c,
+            old_rate_total: round2(c.old_rate_total),
+            new_rate_total: round2(c.new_rate_total),
+            rate_change_pct: pctChange(c.old_rate_total, c.new_rate_total)
+        }))
+        .sort((a, b) => a.category.localeCompare(b.category));
+}
+
+/**
+ * Open estimates quoting a changing item.
+ * @param {Array} lines - { source, estimate_id, estimate_number, customer_name, status, zoho_item_id, quantity, unit_price }
+ */
+function estimateImpact(lines, items) {
+    const newRate = new Map(items.filter(i => i.zoho_item_id).map(i => [String(i.zoho_item_id), i.new_rate]));
+    const byEstimate = new Map();
+    for (const l of lines) {
+        const rate = newRate.get(String(l.zoho_item_id));
+        if (rate == null) continue;
+        const key = `${l.source}:${l.estimate_id}`;
+        if (!byEstimate.has(key)) {
+            byEstimate.set(key, {
+                source: l.source, estimate_id: l.estimate_id, estimate_number: l.estimate_number,
+                customer_name: l.customer_name, status: l.status, lines: 0, quoted_value: 0, value_at_new_rates: 0
+            });
+        }
+        const e = byEstimate.get(key);
+        const qty = num(l.quantity) || 0;
+        e.lines++;
+        e.quoted_value += qty * (num(l.unit_price) || 0);
+        e.value_at_new_rates += qty * rate;
+    }
+    return [...byEstimate.values()]
+        .map(e => ({
+            ...e,
+            quoted_value: round2(e.quoted_value),
+            value_at_new_rates: round2(e.value_at_new_rates),
+            change: round2(e.value_at_new_rates - e.quoted_value)
+        }))
+        .sort((a, b) => Math.abs(b.change) - Math.abs(a.change));
+}
+
+/**
+ * Engineer custom rates that resolve to a changing item. Per engineer the
+ * most specific rule wins (item > brand > category), as in the engineer
+ * rate resolver, so each item is reported under one rule only.
+ * @param {Array} rules - engineer_custom_rates rows + engineer_name
+ */
+function engineerImpact(rules, items) {
+    const byEngineer = new Map();
+    for (const r of rules) {
+        if (!byEngineer.has(r.engineer_id)) byEngineer.set(r.engineer_id, []);
+        byEngineer.get(r.engineer_id).push(r);
+    }
+    const out = [];
+    for (const engineerRules of byEngineer.values()) {
+        const hits = new Map();
+        for (const it of items) {
+            const rule = engineerRules.find(r => r.scope === 'item' && it.zoho_item_id && String(r.zoho_item_id) === String(it.zoho_item_id))
+                || engineerRules.find(r => r.scope === 'brand' && it.brand && r.target_id === it.brand)
+                || engineerRules.find(r => r.scope === 'category' && r.target_id === it.category);
+            if (!rule) continue;
+            if (!hits.has(rule.id)) hits.set(rule.id, { rule, items: [] });
+            const pct = num(rule.discount_pct) || 0;
+            hits.get(rule.id).items.push({
+                zoho_item_id: it.zoho_item_id,
+                name: it.name,
+                old_net: it.old_rate != null ? netOfDiscount(it.old_rate, pct) : null,
+                new_net: netOfDiscount(it.new_rate, pct)
+            });
+        }
+        for (const { rule, items: hit } of hits.values()) {
+            out.push({
+                rule_id: rule.id,
+                engineer_id: rule.engineer_id,
+                engineer_name: rule.engineer_name,
+                scope: rule.scope,
+                target_id: rule.target_id,
+                discount_pct: num(rule.discount_pct) || 0,
+                items: hit
+            });
+        }
+    }
+    return out;
+}
+
+/** Painter point rates on changing items, before and after. */
+function painterRateImpact(pointRates, items) {
+    const byZoho = new Map(items.filter(i => i.zoho_item_id).map(i => [String(i.zoho_item_id), i]));
+    const out = [];
+    for (const r of pointRates) {
+        const it = byZoho.get(String(r.item_id));
+        if (!it) continue;
+        const regular = num(r.regular_points_per_unit) || 0;
+        const annualPct = r.annual_eligible ? (num(r.annual_pct) || 0) : 0;
+        const share = rate => (rate > 0 && regular ? round2((regular / rate) * 100) : null);
+        out.push({
+            zoho_item_id: it.zoho_item_id,
+            name: r.item_name || it.name,
+            regular_points_per_unit: regular,
+            regular_share_old_pct: share(it.old_rate),
+            regular_share_new_pct: share(it.new_rate),
+            annual_pct: annualPct,
+            annual_points_old: it.old_rate != null && annualPct ? round2(it.old_rate * annualPct / 100) : null,
+            annual_points_new: annualPct ? round2(it.new_rate * annualPct / 100) : null
+        });
+    }
+    return out;
+}
+
+function summarize(items, unchanged, extra) {
+    const rated = items.filter(i => i.old_rate > 0);
+    const oldTotal = rated.reduce((s, i) => s + i.old_rate, 0);
+    const newTotal = rated.reduce((s, i) => s + i.new_rate, 0);
+    return {
+        items_changed: items.length,
+        items_unchanged: unchanged,
+        increased: rated.filter(i => i.new_rate > i.old_rate).length,
+        decreased: rated.filter(i => i.new_rate < i.old_rate).length,
+        first_priced: items.length - rated.length,
+        rate_change_pct: pctChange(oldTotal, newTotal),
+        margin_drops: items.filter(i => i.margin_change_pts != null && i.margin_change_pts < 0).length,
+        ...extra
+    };
+}
+
+// ── DB layer ────────────────────────────────────────────────────
+
+// Engineer / painter tables ship with their own modules; a missing table
+// means nothing to report, not a failed simulation.
+async function optionalRows(db, sql, params) {
+    try {
+        const [rows] = await db.query(sql, params);
+        return rows;
+    } catch (err) {
+        if (err && err.code === 'ER_NO_SUCH_TABLE') return [];
+        throw err;
+    }
+}
+
+/**
+ * Build and save the impact report for a brand.
+ * @param {Object} db
+ * @param {Object} input - { brand, parsedRows: saved DPL rows, catalog: dplCatalog.getCatalog(brand) }
+ * @returns {Promise<Object>} { id, brand, status, summary, categories, items, estimates, engineer_rates, painter_rates, new_needs_linking }
+ */
+async function simulate(db, { brand, parsedRows, catalog }, userId = null) {
+    const diff = applyDplPrices(brand, parsedRows, catalog);
+    const categoryById = new Map((catalog || []).map(e => [e.id, e.category]));
+    const updated = diff.updated.map(u => ({ ...u, category: categoryById.get(u.id) || null }));
+    const zohoIds = [...new Set(updated.filter(u => u.zoho_item_id).map(u => String(u.zoho_item_id)))];
+    const zohoById = new Map();
+    if (zohoIds.length) {
+        const [zrows] = await db.query(
+            `SELECT zoho_item_id, zoho_item_name, zoho_brand, zoho_category_name,
+                    zoho_purchase_rate, last_purchase_rate
+             FROM zoho_items_map WHERE zoho_item_id IN (?)`,
+            [zohoIds]
+        );
+        for (const z of zrows) zohoById.set(String(z.zoho_item_id), z);
+    }
+
+    const { items, unchanged } = buildItems(updated, zohoById);
+    const changedIds = [...new Set(items.filter(i => i.zoho_item_id).map(i => String(i.zoho_item_id)))];
+
+    let lines = [];
+    let rules = [];
+    let pointRates = [];
+    if (changedIds.length) {
+        const staff = await optionalRows(db,
+            `SELECT 'estimate' AS source, e.id AS estimate_id, e.estimate_number, e.customer_name, e.status,
+                    ei.zoho_item_id, ei.quantity, ei.base_price AS unit_price
+             FROM estimate_items ei
+             JOIN estimates e ON e.id = ei.estimate_id
+             WHERE ei.zoho_item_id IN (?) AND e.status IN (?) AND e.billing_invoice_id IS NULL`,
+            [changedIds, OPEN_ESTIMATE_STATUSES]);
+        const painter = await optionalRows(db,
+            `SELECT 'painter_estimate' AS source, pe.id AS estimate_id, pe.estimate_number, pe.customer_name, pe.status,
+                    pei.zoho_item_id, pei.quantity, pei.unit_price
+             FROM painter_estimate_items pei
+             JOIN painter_estimates pe ON pe.id = pei.estimate_id
+             WHERE pei.zoho_item_id IN (?) AND pe.status IN (?)`,
+            [changedIds, OPEN_PAINTER_ESTIMATE_STATUSES]);
+        lines = [...staff, ...painter];
+        rules = await optionalRows(db,
+            `SELECT r.id, r.engineer_id, en.full_name AS engineer_name, r.scope, r.target_id, r.zoho_item_id, r.discount_pct
+             FROM engineer_custom_rates r
+             JOIN engineers en ON en.id = r.engineer_id
+             ORDER BY r.engineer_id, r.id`,
+            []);
+        pointRates = await optionalRows(db,
+            `SELECT item_id, item_name, regular_points_per_unit, annual_eligible, annual_pct
+             FROM painter_product_point_rates WHERE is_active = 1 AND item_id IN (?)`,
+            [changedIds]);
+    }
+
+    const estimates = estimateImpact(lines, items);
+    const engineerRates = engineerImpact(rules, items);
+    const painterRates = painterRateImpact(pointRates, items);
+    const report = {
+        brand,
+        summary: summarize(items, unchanged, {
+            new_needs_linking: diff.newNeedsLinking.length,
+            open_estimates: estimates.length,
+            engineer_rates: engineerRates.length,
+            painter_rates: painterRates.length
+        }),
+        categories: summarizeCategories(items),
+        items,
+        estimates,
+        engineer_rates: engineerRates,
+        painter_rates: painterRates,
+        new_needs_linking: diff.newNeedsLinking
+    };
+
+    const [r] = await db.query(
+        `INSERT INTO dpl_price_simulations (brand, status, items_changed, summary_json, report_json, created_by)
+         VALUES (?, 'pending', ?, ?, ?, ?)`,
+        [brand, items.length, JSON.stringify(report.summary), JSON.stringify(report), userId]
+    );
+    if (items.length) {
+        await db.query(
+            `INSERT INTO dpl_price_simulation_items
+                (simulation_id, catalog_id, zoho_item_id, old_dpl, new_dpl, old_rate, new_rate)
+             VALUES ?`,
+            [items.map(i => [r.insertId, i.catalog_id, i.zoho_item_id, i.old_dpl, i.new_dpl, i.old_rate, i.new_rate])]
+        );
+    }
+    return { id: r.insertId, status: 'pending', ...report };
+}
+
+function simulationRow(row) {
+    return {
+        id: row.id,
+        brand: row.brand,
+        status: row.status,
+        effective_date: row.effective_date,
+        items_changed: row.items_changed,
+        summary: JSON.parse(row.summary_json),
+        created_by: row.created_by,
+        created_at: row.created_at,
+        decided_by: row.decided_by,
+        decided_at: row.decided_at,
+        applied_at: row.applied_at
+    };
+}
+
+async function listSimulations(db, { brand = null, limit = 20 } = {}) {
+    const [rows] = await db.query(
+        `SELECT id, brand, status, effective_date, items_changed, summary_json, created_by, created_at,
+                decided_by, decided_at, applied_at
+         FROM dpl_price_simulations ${brand ? 'WHERE brand = ?' : ''}
+         ORDER BY id DESC LIMIT ?`,
+        brand ? [brand, limit] : [limit]
+    );
+    return rows.map(simulationRow);
+}
+
+/** One run with its full report; each item carries its decision. */
+async function getSimulation(db, id) {
+    const [rows] = await db.query('SELECT * FROM dpl_price_simulations WHERE id = ?', [id]);
+    if (!rows.length) throw fail('SIMULATION_NOT_FOUND', 'Simulation not found');
+    const [decisions] = await db.query(
+        'SELECT catalog_id, decision FROM dpl_price_simulation_items WHERE simulation_id = ?',
+        [id]
+    );
+    const byCatalog = new Map(decisions.map(d => [d.catalog_id, d.decision]));
+    const report = JSON.parse(rows[0].report_json);
+    report.items = report.items.map(i => ({ ...i, decision: byCatalog.get(i.catalog_id) || 'pending' }));
+    return { ...simulationRow(rows[0]), ...report };
+}
+
+/**
+ * Write a run's approved rows into dpl_catalog, inside the caller's
+ * transaction. A row whose current_dpl is no longer the simulated old DPL
+ * (another apply ran since) is marked 'stale' and skipped.
+ * @returns {Promise<{ applied: Array, stale: Array }>} the item rows
+ */
+async function applyApproved(conn, simulationId, updatedBy) {
+    const [approved] = await conn.query(
+        `SELECT * FROM dpl_price_simulation_items WHERE simulation_id = ? AND decision = 'approved'`,
+        [simulationId]
+    );
+    const applied = [];
+    const stale = [];
+    for (const it of approved) {
+        const [r] = await conn.query(
+            `UPDATE dpl_catalog SET current_dpl = ?, current_rate = ?, updated_by = ?
+             WHERE id = ? AND current_dpl <=> ?`,
+            [it.new_dpl, it.new_rate, updatedBy || null, it.catalog_id, it.old_dpl]
+        );
+        if (r.affectedRows) {
+            applied.push(it);
+        } else {
+            stale.push(it);
+            await conn.query(`UPDATE dpl_price_simulation_items SET decision = 'stale' WHERE id = ?`, [it.id]);
+        }
+    }
+    await conn.query(
+        `UPDATE dpl_price_simulations SET status = 'applied', applied_at = NOW() WHERE id = ?`,
+        [simulationId]
+    );
+    return { applied, stale };
+}
+
+/**
+ * Approve a pending run — all of it or the chosen catalog rows — and apply
+ * it now, or schedule it when effective_date is after today (IST).
+ * @param {Object} opts - { catalog_ids?: number[], all?: boolean, effective_date?: 'YYYY-MM-DD' }
+ * @param {Object} user - { id, label: the dpl_catalog.updated_by value }
+ */
+async function approve(db, id, { catalog_ids = null, all = false, effective_date = null } = {}, user = {}) {
+    if (effective_date != null && effective_date !== '') {
+        const d = new Date(`${effective_date}T00:00:00Z`);
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(effective_date) || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== effective_date) {
+            throw fail('INVALID_EFFECTIVE_DATE', 'effective_date must be a date (YYYY-MM-DD)');
+        }
+    }
+    const scheduled = effective_date && effective_date > todayIST();
+
+    const conn = await db.getConnection();
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query('SELECT id, status FROM dpl_price_simulations WHERE id = ? FOR UPDATE', [id]);
+        if (!rows.length) throw fail('SIMULATION_NOT_FOUND', 'Simulation not found');
+        if (rows[0].status !== 'pending') throw fail('NOT_PENDING', `This simulation is already ${rows[0].status}`);
+
+        const [items] = await conn.query('SELECT id, catalog_id FROM dpl_price_simulation_items WHERE simulation_id = ?', [id]);
+        const wanted = new Set((catalog_ids || []).map(Number));
+        const chosen = items.filter(i => all || wanted.has(Number(i.catalog_id)));
+        if (!chosen.length) throw fail('NOTHING_SELECTED', 'Select at least one price change to approve');
+
+        await conn.query(`UPDATE dpl_price_simulation_items SET decision = 'skipped' WHERE simulation_id = ?`, [id]);
+        await conn.query(
+            `UPDATE dpl_price_simulation_items SET decision = 'approved' WHERE id IN (?)`,
+            [chosen.map(i => i.id)]
+        );
+        await conn.query(
+            `UPDATE dpl_price_simulations SET status = ?, effective_date = ?, decided_by = ?, decided_at = NOW() WHERE id = ?`,
+            [scheduled ? 'scheduled' : 'pending', effective_date || todayIST(), user.id || null, id]
+        );
+
+        let result = { applied: [], stale: [] };
+        if (!scheduled) result = await applyApproved(conn, id, user.label);
+        await conn.commit();
+        return {
+            id: Number(id),
+            status: scheduled ? 'scheduled' : 'applied',
+            effective_date: effective_date || todayIST(),
+            approved: chosen.length,
+            skipped: items.length - chosen.length,
+            applied: result.applied.length,
+            stale: result.stale.map(i => i.catalog_id)
+        };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
+/** Drop a pending or scheduled run; nothing is applied. */
+async function discard(db, id, userId = null) {
+    const [r] = await db.query(
+        `UPDATE dpl_price_simulations SET status = 'discarded', decided_by = ?, decided_at = NOW()
+         WHERE id = ? AND status IN ('pending','scheduled')`,
+        [userId, id]
+    );
+    if (!r.affectedRows) {
+        const [rows] = await db.query('SELECT status FROM dpl_price_simulations WHERE id = ?', [id]);
+        if (!rows.length) throw fail('SIMULATION_NOT_FOUND', 'Simulation not found');
+        throw fail('NOT_PENDING', `This simulation is already ${rows[0].status}`);
+    }
+}
+
+module.exports = {
+    OPEN_ESTIMATE_STATUSES,
+    OPEN_PAINTER_ESTIMATE_STATUSES,
+    marginPct,
+    todayIST,
+    buildItems,
+    summarizeCategories,
+    estimateImpact,
+    engineerImpact,
+    painterRateImpact,
+    simulate,
+    listSimulations,
+    getSimulation,
+    approve,
+    applyApproved,
+    discard
+};
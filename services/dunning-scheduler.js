@@ -0,0 +1,52 @@
+/**
+ * DUNNING LADDER SCHEDULER
+ * Walks every overdue customer up their dunning ladder once a day.
+ * Cron: 10:30 AM IST daily (30 10 * * * Asia/Kolkata) — after the morning
+ * Zoho sync, so balances and payments are fresh.
+ *
+ * Each step fires once per overdue cycle (services/dunning.js), so a restart
+ * or a manual run the same day does not repeat it.
+ */
+
+const cron = require('node-cron');
+const { isClusterPrimary } = require('./cluster-guard');
+const dunning = require('./dunning');
+const smsService = require('./sms-service');
+const notificationService = require('./notification-service');
+const { istDateString } = require('./zoho-payment-mapper');
+
+let pool;
+
+/**
+ * Initialize the scheduler
+ * @param {object} dbPool - MySQL connection pool
+ */
+function init(dbPool) {
+    pool = dbPool;
+
+    // Only the PM2 cluster-primary worker registers the cron (lead-reminder-scheduler pattern).
+    if (!isClusterPrimary()) {
+        console.log('[Dunning] skipping cron registration — not PM2 cluster primary');
+        return;
+    }
+    cron.schedule('30 10 * * *', runDaily, { timezone: 'Asia/Kolkata' });
+    console.log('[Dunning] Scheduler initialized — runs at 10:30 AM IST daily');
+}
+
+/**
+ * Run today's ladder steps
+ */
+async function runDaily() {
+    try {
+        const result = await dunning.runLadder(
+            { db: pool, sendSms: smsService.sendSms, notify: notificationService.send },
+            { today: istDateString(new Date()) }
+        );
+        console.log(`[Dunning] Done — ${result.done} steps taken, ${result.failed} failed, ${result.skipped} skipped, ` +
+            `${result.paused} paused on promises; ${result.outcomes_settled} outcomes settled, ${result.holds_released} holds released`);
+    } catch (err) {
+        console.error('[Dunning] Scheduler error:', err.message);
+    }
+}
+
+module.exports = { init, runDaily };
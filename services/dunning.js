@@ -0,0 +1,450 @@
+/**
+ * Dunning ladder — escalating collection steps for overdue customers.
+ *
+ * A ladder (per customer type, with a default for the rest) is a list of
+ * steps keyed on days overdue, each one action:
+ *
+ *   whatsapp    — queue a message in whatsapp_followups (sent by the queue
+ *                 processor) and log a collection_reminders row
+ *   sms         — send through services/sms-service.js, logged the same way
+ *   call_task   — a staff_tasks call task for the step's collector (or the
+ *                 branch manager when the step names nobody)
+ *   credit_hold — set zoho_customers_map.credit_hold; credit-limits'
+ *                 checkCreditBeforeInvoice refuses credit while it is set
+ *
+ * A customer's days overdue is that of their oldest overdue invoice; the
+ * overdue cycle is keyed on that invoice's due date, and each step fires at
+ * most once per cycle. When a customer first qualifies late (ladder just
+ * turned on, or a long promise lapsed) only the highest step reached fires —
+ * a 50-days-overdue customer is not sent four messages in one morning.
+ *
+ * A pending promise-to-pay dated today or later pauses the ladder for that
+ * customer; a broken one (past date, still pending) resumes it. Holds placed
+ * by the ladder are lifted once the customer is back under the hold step.
+ *
+ * Every action row gets an outcome within OUTCOME_WINDOW_DAYS: paid (any
+ * payment since the action, amount credited to the stage), promised (a
+ * promise recorded since), else no_response — stageStats() turns that into
+ * the per-stage effectiveness on the collections summary.
+ */
+
+const { toDateString } = require('./zoho-payment-mapper');
+
+const ACTIONS = ['whatsapp', 'sms', 'call_task', 'credit_hold'];
+
+const AGEING_BANDS = [
+    { key: 'd0_30', label: '0-30', min: 0, max: 30 },
+    { key: 'd31_60', label: '31-60', min: 31, max: 60 },
+    { key: 'd61_90', label: '61-90', min: 61, max: 90 },
+    { key: 'd90_plus', label: '90+', min: 91, max: Infinity }
+];
+
+const OUTCOME_WINDOW_DAYS = 14;
+
+const DEFAULT_TEMPLATES = {
+    whatsapp: 'Dear {customer_name},\n\nThis is a gentle reminder that Rs.{amount} across {invoice_count} invoice(s) ' +
+        'is overdue by {days} days.\n\nKindly arrange the payment at the earliest.\n\nThank you,\nQuality Colours',
+    sms: 'Dear {customer_name}, Rs.{amount} is overdue by {days} days with Quality Colours. Please pay at the earliest.',
+    call_task: 'Call {customer_name} ({phone}) — Rs.{amount} overdue by {days} days across {invoice_count} invoice(s).',
+    credit_hold: 'Overdue {days} days (Rs.{amount})'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One run at a time per process — the daily cron and the "run now" button
+// share runLadder(); the unique (customer, step, cycle) key covers the rest.
+let running = false;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+function round2(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function daysBetween(a, b) {
+    return Math.round((Date.parse(b + 'T00:00:00Z') - Date.parse(a + 'T00:00:00Z')) / DAY_MS);
+}
+
+/** The 0-30 / 31-60 / 61-90 / 90+ band for a days-overdue count. */
+function ageingBand(days) {
+    return AGEING_BANDS.find(b => days >= b.min && days <= b.max) || AGEING_BANDS[0];
+}
+
+/**
+ * Validate and order a ladder's steps. Days must be positive and distinct,
+ * and a hold can only be the last rung (nothing after it would be heard).
+ * A step's id is kept so an edit does not re-fire steps already taken.
+ */
+function normalizeSteps(steps) {
+    if (!Array.isArray(steps) || !steps.length) throw fail('INVALID_LADDER', 'A ladder needs at least one step');
+    const sorted = steps
+        .map(s => ({
+            id: s.id ? Number(s.id) : null,
+            days_overdue: parseInt(s.days_overdue, 10),
+            action: s.action,
+            message_template: s.message_template ? String(s.message_template).trim() || null : null,
+            assign_to: s.assign_to ? Number(s.assign_to) : null
+        }))
+        .sort((a, b) => a.days_overdue - b.days_overdue);
+    sorted.forEach((s, i) => {
+        if (!Number.isInteger(s.days_overdue) || s.days_overdue < 1) {
+            throw fail('INVALID_LADDER', 'Days overdue must be a whole number of at least 1');
+        }
+        if (!ACTIONS.includes(s.action)) throw fail('INVALID_LADDER', `Unknown action "${s.action}"`);
+        if (i > 0 && s.days_overdue === sorted[i - 1].days_overdue) {
+            throw fail('INVALID_LADDER', `Two steps at ${s.days_overdue} days`);
+        }
+        if (s.action === 'credit_hold' && i !== sorted.length - 1) {
+            throw fail('INVALID_LADDER', 'Credit hold must be the last step');
+        }
+    });
+    return sorted.map((s, i) => ({ ...s, step_order: i + 1 }));
+}
+
+/** Fill {placeholders} in a step template. Unknown ones are left alone. */
+function renderTemplate(template, data) {
+    return String(template).replace(/\{(\w+)\}/g, (m, key) => (data[key] !== undefined && data[key] !== null ? String(data[key]) : m));
+}
+
+/**
+ * The step to fire for a customer today: the highest step reached, unless it
+ * already fired this cycle. Lower unfired steps are passed over.
+ */
+function pickStep(steps, daysOverdue, firedStepIds) {
+    const reached = steps.filter(s => s.days_overdue <= daysOverdue);
+    if (!reached.length) return null;
+    const top = reached[reached.length - 1];
+    return firedStepIds.includes(top.id) ? null : top;
+}
+
+/** Active ladders with their steps, as { byType: Map, fallback }. */
+async function loadLadders(db) {
+    const [ladders] = await db.query('SELECT * FROM dunning_ladders WHERE is_active = 1 ORDER BY id');
+    if (!ladders.length) return { byType: new Map(), fallback: null };
+    const [steps] = await db.query(
+        `SELECT * FROM dunning_ladder_steps WHERE ladder_id IN (${ladders.map(() => '?').join(', ')})
+         ORDER BY ladder_id, days_overdue`,
+        ladders.map(l => l.id)
+    );
+    const byType = new Map();
+    let fallback = null;
+    for (const ladder of ladders) {
+        const full = { ...ladder, steps: steps.filter(s => s.ladder_id === ladder.id) };
+        if (ladder.customer_type_id === null || ladder.customer_type_id === undefined) {
+            fallback = fallback || full;
+        } else if (!byType.has(Number(ladder.customer_type_id))) {
+            byType.set(Number(ladder.customer_type_id), full);
+        }
+    }
+    return { byType, fallback };
+}
+
+function ladderFor(ladders, customerTypeId) {
+    return (customerTypeId && ladders.byType.get(Number(customerTypeId))) || ladders.fallback;
+}
+
+/** Customers with invoices past due at `today`, one row each. */
+async function overdueCustomers(db, today) {
+    const [rows] = await db.query(
+        `SELECT zi.zoho_customer_id, zcm.zoho_contact_name AS customer_name, zcm.zoho_phone AS phone,
+                zcm.branch_id, c.customer_type_id, zcm.credit_hold, zcm.credit_hold_source,
+                MIN(zi.due_date) AS oldest_due_date, SUM(zi.balance) AS overdue_amount, COUNT(*) AS invoice_count
+         FROM zoho_invoices zi
+         JOIN zoho_customers_map zcm ON zcm.zoho_contact_id = zi.zoho_customer_id
+         LEFT JOIN customers c ON c.id = zcm.local_customer_id
+         WHERE zi.balance > 0 AND zi.status NOT IN ('void', 'draft') AND zi.due_date < ?
+         GROUP BY zi.zoho_customer_id, zcm.zoho_contact_name, zcm.zoho_phone, zcm.branch_id,
+                  c.customer_type_id, zcm.credit_hold, zcm.credit_hold_source`,
+        [today]
+    );
+    return rows.map(r => {
+        const cycle = toDateString(r.oldest_due_date);
+        return { ...r, cycle_due_date: cycle, days_overdue: daysBetween(cycle, today), overdue_amount: round2(r.overdue_amount) };
+    });
+}
+
+async function collectorFor(db, step, branchId) {
+    if (step.assign_to) return step.assign_to;
+    if (!branchId) return null;
+    const [rows] = await db.query(
+        "SELECT id FROM users WHERE branch_id = ? AND role = 'branch_manager' AND status = 'active' ORDER BY id LIMIT 1",
+        [branchId]
+    );
+    return rows.length ? rows[0].id : null;
+}
+
+/**
+ * Carry out one step. Returns { status, note, reference_id }.
+ * @param {Object} deps - { db, sendSms, notify }
+ * @param {string} today - yyyy-mm-dd (IST), the call task's due date
+ */
+async function executeStep(deps, ladder, step, customer, today) {
+    const { db, sendSms, notify } = deps;
+    const text = renderTemplate(step.message_template || DEFAULT_TEMPLATES[step.action], {
+        customer_name: customer.customer_name || 'Customer',
+        amount: customer.overdue_amount.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 }),
+        days: customer.days_overdue,
+        invoice_count: customer.invoice_count,
+        phone: customer.phone || '-'
+    });
+
+    if (step.action === 'whatsapp' || step.action === 'sms') {
+        if (!customer.phone) return { status: 'skipped', note: 'No phone number' };
+        let referenceId = null;
+        if (step.action === 'whatsapp') {
+            const [q] = await db.query(
+                `INSERT INTO whatsapp_followups (
+                    zoho_customer_id, customer_name, phone, message_type, message_body, amount, status, branch_id
+                ) VALUES (?, ?, ?, 'custom', ?, ?, 'pending', ?)`,
+                [customer.zoho_customer_id, customer.customer_name, customer.phone, text,
+                    customer.overdue_amount, customer.branch_id || null]
+            );
+            referenceId = q.insertId;
+        } else {
+            const digits = String(customer.phone).replace(/\D/g, '');
+            const gateway = await sendSms({ number: digits.length === 10 ? '91' + digits : digits, text, label: 'Dunning SMS' });
+            if (gateway === null) return { status: 'failed', note: 'SMS gateway not configured' };
+        }
+        await db.query(
+            `INSERT INTO collection_reminders (
+                zoho_invoice_id, zoho_customer_id, customer_name, phone, reminder_type,
+                message_content, whatsapp_queue_id, status, sent_at, notes, branch_id
+            ) VALUES ('', ?, ?, ?, ?, ?, ?, ?, NOW(), ?, ?)`,
+            [customer.zoho_customer_id, customer.customer_name, customer.phone, step.action, text, referenceId,
+                step.action === 'whatsapp' ? 'pending' : 'sent', `Dunning step ${step.step_order}`, customer.branch_id || null]
+        );
+        return { status: 'done', note: null, reference_id: referenceId };
+    }
+
+    if (step.action === 'call_task') {
+        const assignee = await collectorFor(db, step, customer.branch_id);
+        if (!assignee) return { status: 'skipped', note: 'No collector for this step or branch manager' };
+        const [task] = await db.query(
+            `INSERT INTO staff_tasks (
+                task_number, title, description, task_type, priority, category,
+                assigned_to, assigned_by, branch_id, due_date, status, completion_percentage, created_at, updated_at
+            ) VALUES (?, ?, ?, 'one_time', 'high', 'collections', ?, ?, ?, ?, 'pending', 0, NOW(), NOW())`,
+            [`DUN-${today.replace(/-/g, '')}-${String(customer.zoho_customer_id).slice(-8)}-${step.step_order}`,
+                `Collection call: ${customer.customer_name || customer.zoho_customer_id}`, text,
+                assignee, ladder.created_by || assignee, customer.branch_id || null, today]
+        );
+        if (notify) {
+            notify(assignee, {
+                type: 'task_assigned', title: 'Collection call',
+                body: text,
+                data: { type: 'task_assigned', task_id: task.insertId }
+            }).catch(() => {});
+        }
+        return { status: 'done', note: null, reference_id: task.insertId };
+    }
+
+    // credit_hold
+    if (Number(customer.credit_hold) === 1) return { status: 'skipped', note: 'Already on credit hold' };
+    await db.query(
+        `UPDATE zoho_customers_map
+         SET credit_hold = 1, credit_hold_reason = ?, credit_hold_source = 'dunning', credit_hold_at = NOW()
+         WHERE zoho_contact_id = ?`,
+        [text.slice(0, 255), customer.zoho_customer_id]
+    );
+    return { status: 'done', note: null, reference_id: null };
+}
+
+/**
+ * Settle outcomes for actions still open: paid beats promised; an action
+ * with neither after the window is no_response.
+ */
+async function updateOutcomes(db, today) {
+    const [open] = await db.query(
+        `SELECT id, zoho_customer_id, overdue_amount, DATE(created_at) AS action_date, outcome
+         FROM dunning_actions
+         WHERE status = 'done' AND outcome IN ('pending', 'promised')
+           AND created_at >= DATE_SUB(?, INTERVAL ? DAY)`,
+        [today, OUTCOME_WINDOW_DAYS + 1]
+    );
+    let settled = 0;
+    for (const a of open) {
+        const since = toDateString(a.action_date);
+        const windowEnd = new Date(Date.parse(since + 'T00:00:00Z') + OUTCOME_WINDOW_DAYS * DAY_MS).toISOString().slice(0, 10);
+        const [[paid]] = await db.query(
+            `SELECT COALESCE(SUM(amount), 0) AS total FROM zoho_payments
+             WHERE zoho_customer_id = ? AND payment_date BETWEEN ? AND ?`,
+            [a.zoho_customer_id, since, windowEnd]
+        );
+        let outcome = null;
+        let collected = 0;
+        if (Number(paid.total) > 0) {
+            outcome = 'paid';
+            collected = Math.min(round2(paid.total), round2(a.overdue_amount));
+        } else if (a.outcome === 'pending') {
+            const [promises] = await db.query(
+                'SELECT id FROM payment_promises WHERE zoho_customer_id = ? AND DATE(created_at) BETWEEN ? AND ? LIMIT 1',
+                [a.zoho_customer_id, since, windowEnd]
+            );
+            if (promises.length) outcome = 'promised';
+            else if (daysBetween(since, today) >= OUTCOME_WINDOW_DAYS) outcome = 'no_response';
+        }
+        if (outcome && outcome !== a.outcome) {
+            await db.query(
+                'UPDATE dunning_actions SET outcome = ?, collected_amount = ?, outcome_at = NOW() WHERE id = ?',
+                [outcome, collected, a.id]
+            );
+            settled++;
+        }
+    }
+    return settled;
+}
+
+/** Lift ladder-placed holds for customers now below their ladder's hold step. */
+async function releaseHolds(db, ladders, overdueById) {
+    const [held] = await db.query(
+        `SELECT zcm.zoho_contact_id, c.customer_type_id
+         FROM zoho_customers_map zcm LEFT JOIN customers c ON c.id = zcm.local_customer_id
+         WHERE zcm.credit_hold = 1 AND zcm.credit_hold_source = 'dunning'`
+    );
+    let released = 0;
+    for (const h of held) {
+        const ladder = ladderFor(ladders, h.customer_type_id);
+        const holdStep = ladder && ladder.steps.find(s => s.action === 'credit_hold');
+        const current = overdueById.get(h.zoho_contact_id);
+        if (current && holdStep && current.days_overdue >= holdStep.days_overdue) continue;
+        await db.query(
+            `UPDATE zoho_customers_map
+             SET credit_hold = 0, credit_hold_reason = NULL, credit_hold_source = NULL, credit_hold_at = NULL
+             WHERE zoho_contact_id = ? AND credit_hold_source = 'dunning'`,
+            [h.zoho_contact_id]
+        );
+        released++;
+    }
+    return released;
+}
+
+/**
+ * Daily run: fire due steps, settle outcomes, lift cleared holds. Throws
+ * RUN_IN_PROGRESS when a run is already going in this process.
+ * @param {Object} deps - { db, sendSms, notify }
+ * @param {Object} opts - { today (yyyy-mm-dd) }
+ */
+async function runLadder(deps, { today }) {
+    if (running) throw fail('RUN_IN_PROGRESS', 'The dunning ladder is already running');
+    running = true;
+    try {
+        return await runSteps(deps, today);
+    } finally {
+        running = false;
+    }
+}
+
+async function runSteps(deps, today) {
+    const { db } = deps;
+    const counts = { done: 0, failed: 0, skipped: 0, paused: 0 };
+    const ladders = await loadLadders(db);
+    const customers = await overdueCustomers(db, today);
+    const overdueById = new Map(customers.map(c => [c.zoho_customer_id, c]));
+
+    const [promised] = await db.query(
+        "SELECT DISTINCT zoho_customer_id FROM payment_promises WHERE status = 'pending' AND promise_date >= ?",
+        [today]
+    );
+    const promisedIds = new Set(promised.map(p => p.zoho_customer_id));
+
+    for (const customer of customers) {
+        const ladder = ladderFor(ladders, customer.customer_type_id);
+        if (!ladder || !ladder.steps.length) continue;
+        if (promisedIds.has(customer.zoho_customer_id)) {
+            counts.paused++;
+            continue;
+        }
+        const [fired] = await db.query(
+            'SELECT step_id FROM dunning_actions WHERE zoho_customer_id = ? AND cycle_due_date = ?',
+            [customer.zoho_customer_id, customer.cycle_due_date]
+        );
+        const step = pickStep(ladder.steps, customer.days_overdue, fired.map(f => f.step_id));
+        if (!step) continue;
+
+        let result;
+        try {
+            result = await executeStep(deps, ladder, step, customer, today);
+        } catch (err) {
+            result = { status: 'failed', note: err.message };
+        }
+        await db.query(
+            `INSERT IGNORE INTO dunning_actions (
+                ladder_id, step_id, step_order, action, zoho_customer_id, customer_name, phone, branch_id,
+                cycle_due_date, days_overdue, ageing_band, overdue_amount, status, note, reference_id
+            ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [ladder.id, step.id, step.step_order, step.action, customer.zoho_customer_id, customer.customer_name,
+                customer.phone || null, customer.branch_id || null, customer.cycle_due_date, customer.days_overdue,
+                ageingBand(customer.days_overdue).label, customer.overdue_amount, result.status,
+                result.note ? String(result.note).slice(0, 500) : null, result.reference_id || null]
+        );
+        counts[result.status]++;
+    }
+
+    counts.outcomes_settled = await updateOutcomes(db, today);
+    counts.holds_released = await releaseHolds(db, ladders, overdueById);
+    counts.customers = customers.length;
+    return counts;
+}
+
+/**
+ * Per-stage effectiveness over the last `days`: how many actions each step
+ * took, how they ended, and what was collected after them.
+ */
+async function stageStats(db, { branchId = null, days = 90 } = {}) {
+    const params = [days];
+    let where = "da.status = 'done' AND da.created_at >= DATE_SUB(CURDATE(), INTERVAL ? DAY)";
+    if (branchId) {
+        where += ' AND (da.branch_id = ? OR da.branch_id IS NULL)';
+        params.push(branchId);
+    }
+    const [rows] = await db.query(
+        `SELECT da.step_order, da.action,
+                COUNT(*) AS actions,
+                SUM(da.outcome = 'paid') AS paid,
+                SUM(da.outcome = 'promised') AS promised,
+                SUM(da.outcome = 'no_response') AS no_response,
+                SUM(da.outcome = 'pending') AS pending,
+                COALESCE(SUM(da.collected_amount), 0) AS collected
+         FROM dunning_actions da
+         WHERE ${where}
+         GROUP BY da.step_order, da.action
+         ORDER BY da.step_order, da.action`,
+        params
+    );
+    return rows.map(r => {
+        const settled = Number(r.paid) + Number(r.promised) + Number(r.no_response);
+        return {
+            step_order: r.step_order,
+            action: r.action,
+            actions: Number(r.actions),
+            paid: Number(r.paid),
+            promised: Number(r.promised),
+            no_response: Number(r.no_response),
+            pending: Number(r.pending),
+            collected: round2(r.collected),
+            success_rate: settled ? round2(((Number(r.paid) + Number(r.promised)) / settled) * 100) : null
+        };
+    });
+}
+
+module.exports = {
+    ACTIONS,
+    AGEING_BANDS,
+    OUTCOME_WINDOW_DAYS,
+    DEFAULT_TEMPLATES,
+    ageingBand,
+    normalizeSteps,
+    renderTemplate,
+    pickStep,
+    loadLadders,
+    overdueCustomers,
+    executeStep,
+    updateOutcomes,
+    releaseHolds,
+    runLadder,
+    stageStats
+};
@@ -0,0 +1,270 @@
+/**
+ * Online estimate acceptance — the customer's answer on the public share link
+ * (/share/estimate/:token, routes/share.js).
+ *
+ * Three answers:
+ *   accept           → status 'approved' (services/estimate-status.js, the
+ *                      same transition as PATCH /api/estimates/:id/status);
+ *                      needs a typed or drawn signature and an OTP sent to
+ *                      the estimate's customer_phone
+ *   reject           → status 'rejected'; needs the OTP
+ *   request_changes  → no status change; per-line comments land in
+ *                      estimate_change_requests for the salesperson
+ *
+ * Every answer is an estimate_acceptances row stamped with IP, user agent and
+ * time. Accept / reject are final for the revision answered; after a change
+ * request — or once the salesperson revises an accepted estimate — the
+ * customer answers the current revision afresh.
+ *
+ * OTPs reuse otp_verifications (purpose 'estimate_acceptance') with the same
+ * hashing, expiry and wrong-guess cap as the customer portal login.
+ *
+ * Helpers throw Error with e.code (NOT_RESPONDABLE, NO_PHONE, OTP_LIMIT,
+ * OTP_INVALID, INVALID_RESPONSE); the route maps them to HTTP statuses.
+ */
+
+const crypto = require('crypto');
+const { hashOtp, otpMatches, MAX_OTP_ATTEMPTS } = require('./otp-utils');
+const { applyStatus } = require('./estimate-status');
+
+const OTP_PURPOSE = 'estimate_acceptance';
+const OTP_TTL_MINUTES = 5;
+const OTP_PER_HOUR = 5;
+const MAX_SIGNATURE_BYTES = 200 * 1024;
+const MAX_LINE_COMMENTS = 100;
+
+// Statuses a customer may answer from. Drafts are not sent yet; converted /
+// expired estimates are past the point of acceptance.
+const RESPONDABLE_STATUSES = ['sent', 'approved'];
+
+const ACTIONS = {
+    accept: { decision: 'accepted', status: 'approved', needsOtp: true, needsSignature: true },
+    reject: { decision: 'rejected', status: 'rejected', needsOtp: true, needsSignature: false },
+    request_changes: { decision: 'changes_requested', status: null, needsOtp: false, needsSignature: false }
+};
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/** The estimate's customer phone as 10 digits, or null when unusable for SMS. */
+function customerPhone(estimate) {
+    const digits = String(estimate.customer_phone || '').replace(/\D/g, '').slice(-10);
+    return /^[6-9]\d{9}$/.test(digits) ? digits : null;
+}
+
+/** "******3210" — enough for the customer to recognise their number. */
+function maskPhone(phone) {
+    return phone ? '******' + phone.slice(-4) : null;
+}
+
+/**
+ * Check the signature fields for an acceptance. Typed signatures fall back to
+ * the signer's name; drawn ones must be a PNG data URL under the size cap.
+ * @returns {{signature_type: string, signature_text: string|null, signature_image: string|null}}
+ */
+function normalizeSignature({ signature_type, signature_text, signature_image, signer_name }) {
+    if (signature_type === 'drawn') {
+        const image = String(signature_image || '');
+        if (!/^data:image\/png;base64,[A-Za-z0-9+/=]+$/.test(image)) {
+            throw fail('INVALID_RESPONSE', 'Please draw your signature');
+        }
+        if (image.length > MAX_SIGNATURE_BYTES) {
+            throw fail('INVALID_RESPONSE', 'Signature image is too large');
+        }
+        return { signature_type: 'drawn', signature_text: null, signature_image: image };
+    }
+    if (signature_type === 'typed') {
+        const text = String(signature_text || signer_name || '').trim().slice(0, 150);
+        if (!text) throw fail('INVALID_RESPONSE', 'Please type your name as signature');
+        return { signature_type: 'typed', signature_text: text, signature_image: null };
+    }
+    throw fail('INVALID_RESPONSE', 'Signature must be typed or drawn');
+}
+
+/** True when an acceptance row answered the estimate's current revision. */
+function isCurrentRevision(row, estimate) {
+    return Number(row.revision_no || 0) === Number(estimate.current_revision || 0);
+}
+
+/**
+ * Latest responses for an estimate: `last` is the newest answer of any kind
+ * (shown on the share page), `final` the accept / reject of the current
+ * revision that closes the link. The signature image is left out — only the
+ * PDF needs it.
+ */
+async function responseState(db, estimate) {
+    const [rows] = await db.query(
+        `SELECT id, decision, revision_no, signer_name, signature_type, signature_text, signer_phone,
+                otp_verified_at, ip_address, comment, created_at
+         FROM estimate_acceptances WHERE estimate_id = ? ORDER BY id DESC LIMIT 20`,
+        [estimate.id]
+    );
+    return {
+        last: rows[0] || null,
+        final: rows.find(r => r.decision !== 'changes_requested' && isCurrentRevision(r, estimate)) || null
+    };
+}
+
+/** True when the share page should offer accept / reject / request changes. */
+function canRespond(estimate, final) {
+    return !final && RESPONDABLE_STATUSES.includes(estimate.status);
+}
+
+/**
+ * The accepted row with its signature, for the PDF stamp; null when not
+ * accepted, or when the acceptance was for an earlier revision than the one
+ * being printed.
+ */
+async function acceptanceForPdf(db, estimate) {
+    const [rows] = await db.query(
+        `SELECT decision, revision_no, signer_name, signature_type, signature_text, signature_image,
+                signer_phone, otp_verified_at, ip_address, created_at
+         FROM estimate_acceptances WHERE estimate_id = ? AND decision <> 'changes_requested'
+         ORDER BY id DESC LIMIT 1`,
+        [estimate.id]
+    );
+    const row = rows[0];
+    return row && row.decision === 'accepted' && isCurrentRevision(row, estimate) ? row : null;
+}
+
+/**
+ * Issue a 6-digit OTP for an estimate decision. Returns the plain code for the
+ * caller to SMS; only its hash is stored.
+ */
+async function issueOtp(db, phone) {
+    const [rateCheck] = await db.query(
+        'SELECT COUNT(*) as count FROM otp_verifications WHERE phone = ? AND purpose = ? AND created_at > DATE_SUB(NOW(), INTERVAL 1 HOUR)',
+        [phone, OTP_PURPOSE]
+    );
+    if (rateCheck[0].count >= OTP_PER_HOUR) {
+        throw fail('OTP_LIMIT', 'Too many OTP requests. Try again after some time.');
+    }
+
+    await db.query(
+        'UPDATE otp_verifications SET verified = 1 WHERE phone = ? AND purpose = ? AND verified = 0',
+        [phone, OTP_PURPOSE]
+    );
+
+    const otp = String(crypto.randomInt(100000, 1000000));
+    const expiresAt = new Date(Date.now() + OTP_TTL_MINUTES * 60 * 1000);
+    await db.query(
+        'INSERT INTO otp_verifications (phone, otp, purpose, expires_at) VALUES (?, ?, ?, ?)',
+        [phone, hashOtp(otp), OTP_PURPOSE, expiresAt]
+    );
+    return otp;
+}
+
+/** Check and consume the latest OTP for the phone; throws OTP_INVALID on any miss. */
+async function verifyOtp(db, phone, otp) {
+    if (!otp) throw fail('OTP_INVALID', 'Enter the OTP sent to your phone');
+    const [otpRows] = await db.query(
+        'SELECT id, otp, attempts, expires_at FROM otp_verifications WHERE phone = ? AND purpose = ? AND verified = 0 ORDER BY id DESC LIMIT 1',
+        [phone, OTP_PURPOSE]
+    );
+    if (!otpRows.length) throw fail('OTP_INVALID', 'OTP expired. Please request a new one.');
+
+    const stored = otpRows[0];
+    if (new Date() > new Date(stored.expires_at)) {
+        await db.query('UPDATE otp_verifications SET verified = 1 WHERE id = ?', [stored.id]);
+        throw fail('OTP_INVALID', 'OTP expired. Please request a new one.');
+    }
+    if (stored.attempts >= MAX_OTP_ATTEMPTS) {
+        await db.query('UPDATE otp_verifications SET verified = 1 WHERE id = ?', [stored.id]);
+        throw fail('OTP_INVALID', 'Too many wrong attempts. Request a new OTP.');
+    }
+    if (!otpMatches(stored.otp, otp)) {
+        await db.query('UPDATE otp_verifications SET attempts = attempts + 1 WHERE id = ?', [stored.id]);
+        throw fail('OTP_INVALID', 'Invalid OTP. Please try again.');
+    }
+    await db.query('UPDATE otp_verifications SET verified = 1 WHERE id = ?', [stored.id]);
+}
+
+/**
+ * Record a customer response inside the caller's transaction. The caller has
+ * locked the estimate row (FOR UPDATE), checked canRespond() and verified the
+ * OTP where the action needs one.
+ * @param {Object} conn - transaction connection
+ * @param {Object} input - { estimate, shareTokenId, action, signerName, signature,
+ *                           comment, lineComments, phone, otpVerified, ip, userAgent }
+ * @returns {Promise<{acceptance_id: number, decision: string, status: string}>}
+ */
+async function recordResponse(conn, input) {
+    const { estimate, action } = input;
+    const rule = ACTIONS[action];
+    const signature = input.signature || {};
+
+    const lineComments = (input.lineComments || []).filter(c => String(c.comment || '').trim());
+    if (action === 'request_changes' && !lineComments.length && !String(input.comment || '').trim()) {
+        throw fail('INVALID_RESPONSE', 'Tell us what you would like changed');
+    }
+    if (lineComments.length > MAX_LINE_COMMENTS) {
+        throw fail('INVALID_RESPONSE', 'Too many line comments');
+    }
+    if (lineComments.some(c => c.item_id != null)) {
+        const [items] = await conn.query(
+            'SELECT id FROM estimate_items WHERE estimate_id = ? AND deleted_at IS NULL',
+            [estimate.id]
+        );
+        const known = new Set(items.map(i => i.id));
+        if (lineComments.some(c => c.item_id != null && !known.has(Number(c.item_id)))) {
+            throw fail('INVALID_RESPONSE', 'A comment refers to a line that is not on this estimate');
+        }
+    }
+
+    const [result] = await conn.query(
+        `INSERT INTO estimate_acceptances
+            (estimate_id, share_token_id, revision_no, decision, signer_name, signature_type, signature_text,
+             signature_image, signer_phone, otp_verified_at, ip_address, user_agent, comment)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            estimate.id, input.shareTokenId || null, estimate.current_revision || null, rule.decision, input.signerName,
+            signature.signature_type || null, signature.signature_text || null, signature.signature_image || null,
+            input.phone || null, input.otpVerified ? new Date() : null,
+            input.ip || null, input.userAgent ? String(input.userAgent).slice(0, 255) : null,
+            input.comment ? String(input.comment).trim() : null
+        ]
+    );
+    const acceptanceId = result.insertId;
+
+    for (const c of lineComments) {
+        await conn.query(
+            'INSERT INTO estimate_change_requests (acceptance_id, estimate_id, estimate_item_id, comment) VALUES (?, ?, ?, ?)',
+            [acceptanceId, estimate.id, c.item_id != null ? Number(c.item_id) : null, String(c.comment).trim()]
+        );
+    }
+
+    let status = estimate.status;
+    if (rule.status && rule.status !== estimate.status) {
+        const verb = rule.decision === 'accepted' ? 'Accepted' : 'Rejected';
+        await applyStatus(conn, {
+            estimateId: estimate.id,
+            oldStatus: estimate.status,
+            status: rule.status,
+            userId: null,
+            reason: `${verb} online by ${input.signerName}`,
+            notes: input.comment || null
+        });
+        status = rule.status;
+    }
+
+    return { acceptance_id: acceptanceId, decision: rule.decision, status };
+}
+
+module.exports = {
+    ACTIONS,
+    RESPONDABLE_STATUSES,
+    OTP_PURPOSE,
+    MAX_SIGNATURE_BYTES,
+    customerPhone,
+    maskPhone,
+    normalizeSignature,
+    responseState,
+    canRespond,
+    acceptanceForPdf,
+    issueOtp,
+    verifyOtp,
+    recordResponse
+};
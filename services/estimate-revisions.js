@@ -0,0 +1,226 @@
+/**
+ * Estimate revisions — a numbered snapshot of an estimate on every save, so
+ * "the first quote was cheaper" can be answered line by line.
+ *
+ * PUT /api/estimates/:id replaces the item rows wholesale (old rows are
+ * soft-deleted), so rows carry no identity from one save to the next. A
+ * revision therefore stores the header fields and the full item rows as JSON,
+ * and the diff pairs lines by what they are (type, product, name, pack size)
+ * rather than by row id.
+ *
+ *   snapshot()       — write the next revision from the live rows; the caller
+ *                      runs it inside the save's transaction
+ *   ensureBaseline() — estimates saved before revisions existed get their
+ *                      pre-edit state recorded as revision 1 first
+ *   diffRevisions()  — pure: per-line qty / markup / discount / price changes
+ *                      plus header total deltas
+ *
+ * Helpers throw Error with e.code (REVISION_NOT_FOUND); the route maps it to 404.
+ */
+
+const HEADER_FIELDS = [
+    'customer_name', 'customer_phone', 'customer_address', 'estimate_date', 'valid_until',
+    'subtotal', 'gst_amount', 'grand_total', 'total_markup', 'total_discount', 'total_labor',
+    'show_gst_breakdown', 'column_visibility', 'show_description_only', 'notes', 'admin_notes'
+];
+
+// Every estimate_items column the INSERT in routes/estimates.js writes, so a
+// revert can re-insert a revision's lines exactly as they were priced.
+const ITEM_FIELDS = [
+    'item_type', 'product_id', 'zoho_item_id', 'item_name', 'brand', 'category', 'image_url',
+    'pack_size', 'product_type', 'custom_description', 'show_description_only', 'item_description',
+    'quantity', 'area', 'mix_info', 'num_coats', 'base_price', 'markup_type', 'markup_value',
+    'markup_amount', 'price_after_markup', 'discount_type', 'discount_value', 'discount_amount',
+    'final_price', 'unit_price', 'breakdown_cost', 'color_cost', 'line_total', 'display_order',
+    'labor_description', 'labor_taxable', 'hide_price'
+];
+
+// What the line diff compares. Type fields are compared as text, the rest as numbers.
+const DIFF_FIELDS = [
+    'quantity', 'area', 'markup_type', 'markup_value', 'discount_type', 'discount_value',
+    'final_price', 'line_total'
+];
+const TEXT_DIFF_FIELDS = new Set(['markup_type', 'discount_type']);
+const TOTAL_FIELDS = ['subtotal', 'total_markup', 'total_discount', 'total_labor', 'grand_total'];
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/** DATE columns come back as local-midnight Dates; keep them as yyyy-mm-dd. */
+function dateString(v) {
+    if (!v) return null;
+    if (v instanceof Date) {
+        return `${v.getFullYear()}-${String(v.getMonth() + 1).padStart(2, '0')}-${String(v.getDate()).padStart(2, '0')}`;
+    }
+    return String(v).slice(0, 10);
+}
+
+function pick(row, fields) {
+    const out = {};
+    for (const f of fields) out[f] = row[f] === undefined ? null : row[f];
+    return out;
+}
+
+/**
+ * Write the next revision of an estimate from its live header and items.
+ * @param {Object} db - transaction connection (the save's)
+ * @param {number} estimateId
+ * @param {Object} opts - { source: baseline|create|update|revert, userId, revertedFrom }
+ * @returns {Promise<number>} the new revision number
+ */
+async function snapshot(db, estimateId, { source, userId = null, revertedFrom = null }) {
+    const [rows] = await db.query('SELECT * FROM estimates WHERE id = ? FOR UPDATE', [estimateId]);
+    if (!rows.length) throw fail('REVISION_NOT_FOUND', 'Estimate not found');
+    const [items] = await db.query(
+        'SELECT * FROM estimate_items WHERE estimate_id = ? AND deleted_at IS NULL ORDER BY display_order, id',
+        [estimateId]
+    );
+
+    const header = pick(rows[0], HEADER_FIELDS);
+    header.estimate_date = dateString(header.estimate_date);
+    header.valid_until = dateString(header.valid_until);
+    const revisionNo = (Number(rows[0].current_revision) || 0) + 1;
+
+    await db.query(
+        `INSERT INTO estimate_revisions
+            (estimate_id, revision_no, source, reverted_from, header_json, items_json, item_count, grand_total, created_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+            estimateId, revisionNo, source, revertedFrom, JSON.stringify(header),
+            JSON.stringify(items.map(i => pick(i, ITEM_FIELDS))), items.length,
+            parseFloat(header.grand_total) || 0, userId
+        ]
+    );
+    await db.query('UPDATE estimates SET current_revision = ? WHERE id = ?', [revisionNo, estimateId]);
+    return revisionNo;
+}
+
+/**
+ * Estimates created before revisions existed: record their current state as
+ * revision 1 before the first edit overwrites it. No-op once snapshotted.
+ */
+async function ensureBaseline(db, estimateId, userId = null) {
+    const [rows] = await db.query('SELECT current_revision FROM estimates WHERE id = ? FOR UPDATE', [estimateId]);
+    if (rows.length && !(Number(rows[0].current_revision) > 0)) {
+        await snapshot(db, estimateId, { source: 'baseline', userId });
+    }
+}
+
+/** Revision list for an estimate, newest first (no item payloads). */
+async function listRevisions(db, estimateId) {
+    const [rows] = await db.query(
+        `SELECT r.revision_no, r.source, r.reverted_from, r.item_count, r.grand_total,
+                r.created_by, u.full_name AS created_by_name, r.created_at
+         FROM estimate_revisions r
+         LEFT JOIN users u ON r.created_by = u.id
+         WHERE r.estimate_id = ?
+         ORDER BY r.revision_no DESC`,
+        [estimateId]
+    );
+    return rows;
+}
+
+/** One revision with its header and items parsed. */
+async function getRevision(db, estimateId, revisionNo) {
+    const [rows] = await db.query(
+        'SELECT * FROM estimate_revisions WHERE estimate_id = ? AND revision_no = ?',
+        [estimateId, revisionNo]
+    );
+    if (!rows.length) throw fail('REVISION_NOT_FOUND', `Revision ${revisionNo} not found`);
+    const r = rows[0];
+    return {
+        revision_no: r.revision_no,
+        source: r.source,
+        reverted_from: r.reverted_from,
+        created_by: r.created_by,
+        created_at: r.created_at,
+        header: JSON.parse(r.header_json),
+        items: JSON.parse(r.items_json)
+    };
+}
+
+/** What a line is, independent of its row id: type, product, name and pack. */
+function lineKey(item) {
+    return [
+        item.item_type || 'product',
+        item.product_id || '',
+        item.zoho_item_id || '',
+        String(item.item_name || item.item_description || item.labor_description || '').trim().toLowerCase(),
+        item.pack_size || ''
+    ].join('|');
+}
+
+function lineLabel(item) {
+    const name = item.item_name || item.item_description || item.labor_description || 'Item';
+    return item.pack_size ? `${name} (${item.pack_size})` : name;
+}
+
+function sameValue(field, a, b) {
+    if (TEXT_DIFF_FIELDS.has(field)) return (a || null) === (b || null);
+    return Math.abs((parseFloat(a) || 0) - (parseFloat(b) || 0)) < 0.005;
+}
+
+/**
+ * Diff two revisions line by line. Lines pair up by lineKey(); repeats of the
+ * same line pair in order. Each line is added, removed, changed (with the
+ * fields that moved) or unchanged.
+ * @param {{revision_no: number, header: Object, items: Array}} from
+ * @param {{revision_no: number, header: Object, items: Array}} to
+ */
+function diffRevisions(from, to) {
+    const unmatched = new Map();
+    for (const item of from.items) {
+        const k = lineKey(item);
+        if (!unmatched.has(k)) unmatched.set(k, []);
+        unmatched.get(k).push(item);
+    }
+
+    const lines = [];
+    for (const item of to.items) {
+        const before = (unmatched.get(lineKey(item)) || []).shift();
+        if (!before) {
+            lines.push({ change: 'added', label: lineLabel(item), from: null, to: pick(item, DIFF_FIELDS), fields: [] });
+            continue;
+        }
+        const fields = DIFF_FIELDS.filter(f => !sameValue(f, before[f], item[f]));
+        lines.push({
+            change: fields.length ? 'changed' : 'unchanged',
+            label: lineLabel(item),
+            from: pick(before, DIFF_FIELDS),
+            to: pick(item, DIFF_FIELDS),
+            fields
+        });
+    }
+    for (const rest of unmatched.values()) {
+        for (const item of rest) {
+            lines.push({ change: 'removed', label: lineLabel(item), from: pick(item, DIFF_FIELDS), to: null, fields: [] });
+        }
+    }
+
+    const totals = {};
+    for (const f of TOTAL_FIELDS) {
+        const a = parseFloat(from.header[f]) || 0;
+        const b = parseFloat(to.header[f]) || 0;
+        totals[f] = { from: a, to: b, delta: Math.round((b - a) * 100) / 100 };
+    }
+
+    const summary = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+    for (const l of lines) summary[l.change]++;
+
+    return { from: from.revision_no, to: to.revision_no, summary, totals, lines };
+}
+
+module.exports = {
+    HEADER_FIELDS,
+    ITEM_FIELDS,
+    DIFF_FIELDS,
+    snapshot,
+    ensureBaseline,
+    listRevisions,
+    getRevision,
+    lineKey,
+    diffRevisions
+};
@@ -0,0 +1,43 @@
+/**
+ * Estimate status transitions — the one place that moves estimates.status.
+ *
+ * Shared by PATCH /api/estimates/:id/status (staff) and the public share-link
+ * acceptance (routes/share.js, customer). Both write the same estimate row
+ * update and the same estimate_status_history line, so the history tab shows
+ * staff and customer decisions side by side.
+ *
+ * userId is null when the customer decided online: the history row then has
+ * no changed_by_user_id (nullable since migrations/20261019_estimate_esign.js)
+ * and approved_by_admin_id is left alone — the reason text names the signer.
+ */
+
+const ALLOWED_STATUSES = ['draft', 'sent', 'pending_approval', 'approved', 'rejected', 'converted', 'expired'];
+
+/**
+ * Apply a status change and log it. Caller has already validated the status
+ * and the caller's right to change it.
+ * @param {Object} db - pool or transaction connection
+ * @param {Object} change - { estimateId, oldStatus, status, userId, reason, notes }
+ */
+async function applyStatus(db, { estimateId, oldStatus, status, userId = null, reason = null, notes = null }) {
+    const setClauses = ['status = ?', 'last_updated_at = NOW()'];
+    const params = [status];
+
+    if (status === 'approved') {
+        if (userId) {
+            setClauses.push('approved_by_admin_id = ?');
+            params.push(userId);
+        }
+        setClauses.push('approved_at = NOW()');
+    }
+
+    params.push(estimateId);
+    await db.query(`UPDATE estimates SET ${setClauses.join(', ')} WHERE id = ?`, params);
+
+    await db.query(
+        'INSERT INTO estimate_status_history (estimate_id, old_status, new_status, changed_by_user_id, reason, notes) VALUES (?, ?, ?, ?, ?, ?)',
+        [estimateId, oldStatus, status, userId, reason || null, notes || null]
+    );
+}
+
+module.exports = { ALLOWED_STATUSES, applyStatus };
@@ -0,0 +1,350 @@
+/**
+ * GSTR-1 export — builds the GSTN offline-tool JSON (b2b, b2cs, hsn,
+ * doc_issue, cdnr) for one return period, plus a validation report the
+ * accountant reviews before uploading.
+ *
+ * Pure: routes/gst-reports.js gathers the month's rows (with the
+ * carry-forward adjustments already applied) and hands them here. Rows that
+ * the portal would reject (bad GSTIN, missing HSN) are left OUT of the JSON
+ * and reported as errors — never silently re-classified into another section.
+ *
+ * Tax split: intra-state supplies report CGST + SGST (half each), inter-state
+ * supplies (customer GSTIN state ≠ our GSTIN state) report IGST.
+ */
+
+const SCHEMA_VERSION = 'GST3.0.4';
+
+const r2 = n => Math.round(n * 100) / 100;
+
+/** GST state codes by state/UT name (lower-cased) — for branches.state. */
+const STATE_CODES = {
+    'jammu and kashmir': '01', 'himachal pradesh': '02', 'punjab': '03', 'chandigarh': '04',
+    'uttarakhand': '05', 'haryana': '06', 'delhi': '07', 'rajasthan': '08', 'uttar pradesh': '09',
+    'bihar': '10', 'sikkim': '11', 'arunachal pradesh': '12', 'nagaland': '13', 'manipur': '14',
+    'mizoram': '15', 'tripura': '16', 'meghalaya': '17', 'assam': '18', 'west bengal': '19',
+    'jharkhand': '20', 'odisha': '21', 'chhattisgarh': '22', 'madhya pradesh': '23', 'gujarat': '24',
+    'dadra and nagar haveli and daman and diu': '26', 'maharashtra': '27', 'karnataka': '29',
+    'goa': '30', 'lakshadweep': '31', 'kerala': '32', 'tamil nadu': '33', 'puducherry': '34',
+    'andaman and nicobar islands': '35', 'telangana': '36', 'andhra pradesh': '37', 'ladakh': '38',
+};
+
+/** State/UT name → 2-digit GST state code, or null when unknown. */
+function stateCodeForName(name) {
+    if (!name) return null;
+    return STATE_CODES[String(name).trim().toLowerCase().replace(/\s*&\s*/g, ' and ').replace(/\s+/g, ' ')] || null;
+}
+
+const GSTIN_RE = /^(\d{2})[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+const GSTIN_CHARSET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZ';
+
+/** GSTN check digit (mod-36, alternating ×1/×2 weights) over the first 14 chars. */
+function gstinCheckDigit(first14) {
+    let sum = 0;
+    for (let i = 0; i < 14; i++) {
+        const v = GSTIN_CHARSET.indexOf(first14[i]) * (i % 2 === 0 ? 1 : 2);
+        sum += Math.floor(v / 36) + (v % 36);
+    }
+    return GSTIN_CHARSET[(36 - (sum % 36)) % 36];
+}
+
+/**
+ * Why a GSTIN would be rejected by the portal, or null when it is valid.
+ * Returns 'blank' | 'format' | 'state_code' | 'checksum' | null.
+ */
+function gstinProblem(gstin) {
+    const g = String(gstin || '').trim().toUpperCase();
+    if (!g) return 'blank';
+    const m = GSTIN_RE.exec(g);
+    if (!m) return 'format';
+    const state = parseInt(m[1], 10);
+    if (!((state >= 1 && state <= 38) || state === 97)) return 'state_code';
+    if (gstinCheckDigit(g.slice(0, 14)) !== g[14]) return 'checksum';
+    return null;
+}
+
+/** 'YYYY-MM' → GSTN return period 'MMYYYY'. */
+function returnPeriod(month) {
+    const m = /^(\d{4})-(\d{2})$/.exec(String(month || ''));
+    if (!m) throw new Error('month must be YYYY-MM');
+    return m[2] + m[1];
+}
+
+/** Date (or 'YYYY-MM-DD…' string) → GSTN 'dd-mm-yyyy'. */
+function gstDate(d) {
+    const iso = d instanceof Date ? d.toISOString().slice(0, 10) : String(d || '').slice(0, 10);
+    const [y, mo, da] = iso.split('-');
+    return `${da}-${mo}-${y}`;
+}
+
+/** Tax amounts for a taxable value at `ratePct`, split by supply type. */
+function taxAmounts(txval, ratePct, interState) {
+    const tax = r2(txval * ratePct / 100);
+    if (interState) return { iamt: tax, camt: 0, samt: 0, csamt: 0 };
+    const half = r2(tax / 2);
+    return { iamt: 0, camt: half, samt: r2(tax - half), csamt: 0 };
+}
+
+/** Zoho unit text → GSTN Unit Quantity Code. */
+function uqcFor(unit) {
+    const u = String(unit || '').trim().toLowerCase();
+    if (['l', 'ltr', 'ltrs', 'litre', 'litres', 'liter', 'liters'].includes(u)) return 'LTR';
+    if (['kg', 'kgs', 'kilogram', 'kilograms'].includes(u)) return 'KGS';
+    if (['ml'].includes(u)) return 'MLT';
+    if (['g', 'gm', 'gms', 'gram', 'grams'].includes(u)) return 'GMS';
+    if (['nos', 'no', 'pcs', 'pc', 'piece', 'pieces', 'unit', 'units', 'tin', 'tins', 'box'].includes(u)) return 'NOS';
+    return 'OTH';
+}
+
+/**
+ * Move carried-forward invoice lines in/out of the month's HSN summary.
+ * hsnRows:  [{ hsn, tax_pct, qty, taxable_value, unit?, description? }] (natural month)
+ * outLines: lines of invoices dated in the month but filed in another month
+ * inLines:  lines of invoices from other months filed in this month
+ * Lines are { hsn, quantity, item_total, tax_pct? }. Returns a new array.
+ */
+function applyCarryToHsn(hsnRows, outLines, inLines) {
+    const byHsn = new Map();
+    for (const row of hsnRows || []) {
+        byHsn.set(row.hsn, { ...row, qty: parseFloat(row.qty) || 0, taxable_value: parseFloat(row.taxable_value) || 0 });
+    }
+    const add = (li, sign) => {
+        const hsn = li.hsn || '(no HSN)';
+        if (!byHsn.has(hsn)) byHsn.set(hsn, { hsn, tax_pct: li.tax_pct != null ? li.tax_pct : null, qty: 0, taxable_value: 0 });
+        const row = byHsn.get(hsn);
+        row.qty += sign * (parseFloat(li.quantity) || 0);
+        row.taxable_value += sign * (parseFloat(li.item_total) || 0);
+    };
+    for (const li of outLines || []) add(li, -1);
+    for (const li of inLines || []) add(li, +1);
+    return [...byHsn.values()]
+        .map(r => ({ ...r, qty: r2(r.qty), taxable_value: r2(r.taxable_value) }))
+        .filter(r => Math.abs(r.qty) > 0.001 || Math.abs(r.taxable_value) > 0.009);
+}
+
+/**
+ * Document-issue ranges per number series. docs: [{ number, void }] for every
+ * invoice NUMBER issued in the month (void ones count as cancelled).
+ */
+function docIssueSeries(docs) {
+    const bySeries = new Map();
+    for (const d of docs || []) {
+        const s = String(d.number || '').trim();
+        if (!s) continue;
+        const m = s.match(/^(.*?)(\d+)\s*$/);
+        const prefix = m ? m[1] : s;
+        const key = m ? parseInt(m[2], 10) : null;
+        if (!bySeries.has(prefix)) bySeries.set(prefix, []);
+        bySeries.get(prefix).push({ n: s, key, void: !!d.void });
+    }
+    const out = [];
+    for (const entries of bySeries.values()) {
+        if (entries.every(e => e.key != null)) entries.sort((a, b) => a.key - b.key);
+        else entries.sort((a, b) => a.n.localeCompare(b.n));
+        const cancel = entries.filter(e => e.void).length;
+        out.push({
+            from: entries[0].n, to: entries[entries.length - 1].n,
+            totnum: entries.length, cancel, net_issue: entries.length - cancel,
+        });
+    }
+    out.sort((a, b) => b.totnum - a.totnum);
+    return out.map((s, i) => ({ num: i + 1, ...s }));
+}
+
+/**
+ * Build the GSTR-1 JSON + validation issues for a month.
+ *
+ * input = {
+ *   month: 'YYYY-MM', supplierGstin,
+ *   invoices:    [{ invoice_number, invoice_date, total, taxable, rate_pct, gstin,
+ *                   branch_state?, tax_names?: string[], carried_from? }]
+ *   creditNotes: [{ creditnote_number, date, total, gstin }]
+ *   hsn:         [{ hsn, tax_pct, qty, taxable_value, unit?, description? }]
+ *   docs:        [{ number, void }]
+ *   issues?:     issues the caller already found (e.g. carried lines unavailable)
+ * }
+ * Returns { gstr1, issues: [{ severity, code, section, ref, message }], summary }.
+ */
+function buildGstr1(input) {
+    const issues = [...(input.issues || [])];
+    const issue = (severity, code, section, ref, message) => issues.push({ severity, code, section, ref: ref || '', message });
+
+    const supplierGstin = String(input.supplierGstin || '').trim().toUpperCase();
+    const supplierProblem = gstinProblem(supplierGstin);
+    if (supplierProblem) {
+        issue('error', 'supplier_gstin', 'header', supplierGstin,
+            supplierProblem === 'blank'
+                ? 'Business GSTIN is not configured (settings.business_gst)'
+                : `Business GSTIN is invalid (${supplierProblem})`);
+    }
+    const homeState = supplierProblem ? null : supplierGstin.slice(0, 2);
+
+    // ── B2B ──────────────────────────────────────────────────────────────
+    const b2bByCtin = new Map();
+    const b2cs = new Map();
+    let b2bCount = 0, b2cCount = 0;
+    for (const inv of input.invoices || []) {
+        const txval = r2(parseFloat(inv.taxable) || 0);
+        const rt = parseFloat(inv.rate_pct) || 0;
+        const ref = inv.invoice_number;
+
+        const branchState = stateCodeForName(inv.branch_state);
+        if (homeState && inv.branch_state && branchState && branchState !== homeState) {
+            issue('warning', 'pos_branch_state', 'b2b', ref,
+                `Billed from a branch in ${inv.branch_state} (${branchState}) but the return GSTIN is registered in state ${homeState}`);
+        }
+
+        const ctin = String(inv.gstin || '').trim().toUpperCase();
+        if (ctin) {
+            const problem = gstinProblem(ctin);
+            if (problem) {
+                issue('error', 'gstin_invalid', 'b2b', ref,
+                    `Customer GSTIN "${ctin}" is invalid (${problem}) — excluded from b2b; correct it in Zoho and re-export`);
+                continue;
+            }
+            const pos = ctin.slice(0, 2);
+            const inter = homeState ? pos !== homeState : false;
+            const names = (inv.tax_names || []).map(n => String(n || '').toUpperCase()).filter(Boolean);
+            if (names.length) {
+                const chargedIgst = names.some(n => n.includes('IGST'));
+                if (chargedIgst !== inter) {
+                    issue('error', 'pos_mismatch', 'b2b', ref,
+                        `Place of supply ${pos} is ${inter ? 'inter' : 'intra'}-state but the invoice charged ${chargedIgst ? 'IGST' : 'CGST/SGST'}`);
+                }
+            } else if (inter) {
+                issue('warning', 'pos_inter_state', 'b2b', ref,
+                    `Inter-state supply to state ${pos} — reported as IGST; confirm the Zoho invoice charged IGST`);
+            }
+            if (inv.carried_from) {
+                issue('info', 'carried_forward', 'b2b', ref, `Carried forward from ${inv.carried_from}`);
+            }
+            if (!b2bByCtin.has(ctin)) b2bByCtin.set(ctin, []);
+            b2bByCtin.get(ctin).push({
+                inum: String(inv.invoice_number || ''),
+                idt: gstDate(inv.invoice_date),
+                val: r2(parseFloat(inv.total) || 0),
+                pos,
+                rchrg: 'N',
+                inv_typ: 'R',
+                itms: [{ num: 1, itm_det: { txval, rt, ...taxAmounts(txval, rt, inter) } }],
+            });
+            b2bCount++;
+        } else {
+            const pos = homeState || '';
+            const key = `${pos}|${rt}`;
+            if (!b2cs.has(key)) b2cs.set(key, { sply_ty: 'INTRA', pos, typ: 'OE', rt, txval: 0 });
+            b2cs.get(key).txval += txval;
+            b2cCount++;
+        }
+    }
+
+    // ── CDNR (registered) / unregistered notes net into b2cs ─────────────
+    const cdnrByCtin = new Map();
+    for (const cn of input.creditNotes || []) {
+        const val = r2(parseFloat(cn.total) || 0);
+        const rt = parseFloat(cn.rate_pct) || 0;
+        const txval = r2(val / (1 + rt / 100));
+        const ctin = String(cn.gstin || '').trim().toUpperCase();
+        const ref = cn.creditnote_number;
+        if (!ctin) {
+            const key = `${homeState || ''}|${rt}`;
+            if (!b2cs.has(key)) b2cs.set(key, { sply_ty: 'INTRA', pos: homeState || '', typ: 'OE', rt, txval: 0 });
+            b2cs.get(key).txval -= txval;
+            issue('info', 'cdn_unregistered', 'b2cs', ref, 'Credit note to an unregistered customer — netted against B2C (small)');
+            continue;
+        }
+        const problem = gstinProblem(ctin);
+        if (problem) {
+            issue('error', 'gstin_invalid', 'cdnr', ref, `Customer GSTIN "${ctin}" is invalid (${problem}) — excluded from cdnr`);
+            continue;
+        }
+        const pos = ctin.slice(0, 2);
+        const inter = homeState ? pos !== homeState : false;
+        if (!cdnrByCtin.has(ctin)) cdnrByCtin.set(ctin, []);
+        cdnrByCtin.get(ctin).push({
+            ntty: 'C',
+            nt_num: String(cn.creditnote_number || ''),
+            nt_dt: gstDate(cn.date),
+            val,
+            pos,
+            rchrg: 'N',
+            inv_typ: 'R',
+            itms: [{ num: 1, itm_det: { txval, rt, ...taxAmounts(txval, rt, inter) } }],
+        });
+    }
+
+    // ── HSN summary ──────────────────────────────────────────────────────
+    const hsnData = [];
+    for (const row of input.hsn || []) {
+        const code = String(row.hsn || '').trim();
+        const txval = r2(parseFloat(row.taxable_value) || 0);
+        if (!code || code === '(no HSN)') {
+            issue('error', 'hsn_missing', 'hsn', code || '(blank)',
+                `Taxable value ${txval.toFixed(2)} sold under items with no HSN code — set HSN on those Zoho items`);
+            continue;
+        }
+        if (!/^\d{4,8}$/.test(code)) {
+            issue('warning', 'hsn_format', 'hsn', code, 'HSN should be 4–8 digits');
+        }
+        const rt = row.tax_pct != null ? parseFloat(row.tax_pct) : 0;
+        hsnData.push({
+            num: hsnData.length + 1,
+            hsn_sc: code,
+            desc: String(row.description || '').slice(0, 30),
+            uqc: uqcFor(row.unit),
+            qty: r2(parseFloat(row.qty) || 0),
+            txval,
+            rt,
+            ...taxAmounts(txval, rt, false),
+        });
+    }
+    if (hsnData.length && [...b2bByCtin.values()].some(list => list.some(i => homeState && i.pos !== homeState))) {
+        issue('warning', 'hsn_inter_state', 'hsn', '',
+            'HSN summary reports all tax as CGST/SGST — move the inter-state invoices’ tax to IGST before filing');
+    }
+
+    const b2csOut = [...b2cs.values()].map(b => {
+        const txval = r2(b.txval);
+        return { ...b, txval, ...taxAmounts(txval, b.rt, false) };
+    });
+
+    const docs = docIssueSeries(input.docs);
+    const gstr1 = {
+        gstin: supplierGstin,
+        fp: returnPeriod(input.month),
+        version: SCHEMA_VERSION,
+        hash: 'hash',
+        b2b: [...b2bByCtin.entries()].map(([ctin, inv]) => ({ ctin, inv })),
+        b2cs: b2csOut,
+        hsn: { data: hsnData },
+        doc_issue: { doc_det: docs.length ? [{ doc_num: 1, doc_typ: 'Invoices for outward supply', docs }] : [] },
+        cdnr: [...cdnrByCtin.entries()].map(([ctin, nt]) => ({ ctin, nt })),
+    };
+
+    const count = sev => issues.filter(i => i.severity === sev).length;
+    return {
+        gstr1,
+        issues,
+        summary: {
+            b2b_invoices: b2bCount,
+            b2c_invoices: b2cCount,
+            cdnr_notes: gstr1.cdnr.reduce((s, c) => s + c.nt.length, 0),
+            hsn_rows: hsnData.length,
+            errors: count('error'), warnings: count('warning'), info: count('info'),
+        },
+    };
+}
+
+/** Validation issues → CSV text (header row + one row per issue, errors first). */
+function validationCsv(issues) {
+    const order = { error: 0, warning: 1, info: 2 };
+    const esc = v => { const s = String(v == null ? '' : v); return /[",\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s; };
+    const rows = [...(issues || [])].sort((a, b) => (order[a.severity] ?? 3) - (order[b.severity] ?? 3));
+    return [['severity', 'code', 'section', 'reference', 'message'], ...rows.map(i => [i.severity, i.code, i.section, i.ref, i.message])]
+        .map(r => r.map(esc).join(','))
+        .join('\n');
+}
+
+module.exports = {
+    SCHEMA_VERSION, buildGstr1, validationCsv, gstinProblem, gstinCheckDigit,
+    stateCodeForName, returnPeriod, gstDate, taxAmounts, uqcFor, applyCarryToHsn, docIssueSeries,
+};
@@ -0,0 +1,45 @@
+/**
+ * LEAVE ACCRUAL SCHEDULER
+ * Credits each active user's monthly leave accrual (services/leave.js).
+ * Cron: 00:30 IST daily (30 0 * * * Asia/Kolkata). Accrual is once per
+ * month per balance (last_accrued_month), so the daily run only credits on
+ * the first run of a month — and catches up if the server was down on the 1st.
+ */
+
+const cron = require('node-cron');
+const { isClusterPrimary } = require('./cluster-guard');
+const leave = require('./leave');
+const { istDateString } = require('./zoho-payment-mapper');
+
+let pool;
+
+/**
+ * Initialize the scheduler
+ * @param {object} dbPool - MySQL connection pool
+ */
+function init(dbPool) {
+    pool = dbPool;
+
+    // Only the PM2 cluster-primary worker registers the cron (lead-reminder-scheduler pattern).
+    if (!isClusterPrimary()) {
+        console.log('[LeaveAccrual] skipping cron registration — not PM2 cluster primary');
+        return;
+    }
+    cron.schedule('30 0 * * *', runDaily, { timezone: 'Asia/Kolkata' });
+    console.log('[LeaveAccrual] Scheduler initialized — runs at 00:30 IST daily');
+}
+
+/**
+ * Credit this month's accrual (no-op once done for the month)
+ */
+async function runDaily() {
+    try {
+        const month = istDateString(new Date()).slice(0, 7);
+        const result = await leave.accrueMonth(pool, month);
+        if (result.credited) console.log(`[LeaveAccrual] ${month}: ${result.credited} balances credited for ${result.users} users`);
+    } catch (err) {
+        console.error('[LeaveAccrual] Scheduler error:', err.message);
+    }
+}
+
+module.exports = { init, runDaily };
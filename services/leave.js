@@ -0,0 +1,374 @@
+/**
+ * Leave management — leave types, per-role accrual policies, per-branch
+ * holidays, yearly balances and multi-day requests.
+ *
+ * Balances are kept per user, leave type and calendar year:
+ *
+ *   available = opening + accrued + adjusted − used − pending requests
+ *
+ * - accrual: accrueMonth() credits each active user the monthly_accrual of
+ *   the policy for their role (a role's own row beats the role-NULL default),
+ *   once per month — last_accrued_month makes re-runs no-ops, so the daily
+ *   scheduler catches up after downtime;
+ * - carry-forward: a year's balance row opens with last year's closing,
+ *   capped at the policy's carry_forward_cap (NULL = no cap, 0 = lapses);
+ * - unpaid types (loss of pay) have no balance and are never refused.
+ *
+ * A request counts its days between from_date and to_date, skipping the
+ * user's branch holidays; half_day_start / half_day_end make the first /
+ * last day a half (a one-day request with either flag is half a day). A
+ * request cannot cross the year end — its balance lives in one year.
+ *
+ * On approval every leave date becomes a leave_days row (portion, paid flag)
+ * and full days are marked 'on_leave' in staff_attendance, as approved
+ * attendance-permission leaves are. routes/salary.js reads leave_days:
+ * paid days come off the balance, unpaid days are deducted at a day's pay.
+ *
+ * Helpers throw Error with e.code (INVALID_DATES, NO_WORKING_DAYS,
+ * INVALID_TYPE, LEAVE_OVERLAP, INSUFFICIENT_BALANCE); routes map them.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_SPAN_DAYS = 60;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+function round1(n) {
+    return Math.round((Number(n) || 0) * 10) / 10;
+}
+
+function round2(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function addDays(date, n) {
+    return new Date(Date.parse(date + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function dateOnly(v) {
+    if (!v) return null;
+    if (v instanceof Date) {
+        return `${v.getFullYear()}-${String(v.getMonth() + 1).padStart(2, '0')}-${String(v.getDate()).padStart(2, '0')}`;
+    }
+    return String(v).slice(0, 10);
+}
+
+// ═══════════════════════════════════════════
+// PURE RULES
+// ═══════════════════════════════════════════
+
+/**
+ * The leave dates a request covers, holidays skipped.
+ * @param {Set<string>} holidays - yyyy-mm-dd dates off for the user's branch
+ * @returns {Array<{date:string, portion:number}>}
+ */
+function expandLeaveDays(from, to, { halfDayStart = false, halfDayEnd = false } = {}, holidays = new Set()) {
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(from || '') || !/^\d{4}-\d{2}-\d{2}$/.test(to || '') || to < from) {
+        throw fail('INVALID_DATES', 'The leave must end on or after the day it starts');
+    }
+    if (from.slice(0, 4) !== to.slice(0, 4)) {
+        throw fail('INVALID_DATES', 'A leave cannot cross the year end — split it into two requests');
+    }
+    const span = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+    if (span > MAX_SPAN_DAYS) throw fail('INVALID_DATES', `A leave can cover at most ${MAX_SPAN_DAYS} days`);
+
+    const days = [];
+    for (let i = 0; i < span; i++) {
+        const date = addDays(from, i);
+        if (holidays.has(date)) continue;
+        let portion = 1;
+        if (span === 1) portion = (halfDayStart || halfDayEnd) ? 0.5 : 1;
+        else if ((i === 0 && halfDayStart) || (i === span - 1 && halfDayEnd)) portion = 0.5;
+        days.push({ date, portion });
+    }
+    if (!days.length) throw fail('NO_WORKING_DAYS', 'Every day in that range is a holiday');
+    return days;
+}
+
+function totalDays(days) {
+    return round1(days.reduce((s, d) => s + d.portion, 0));
+}
+
+/** The policy for a role and leave type: the role's own row, else the default. */
+function policyFor(policies, role, leaveTypeId) {
+    const forType = policies.filter(p => Number(p.leave_type_id) === Number(leaveTypeId));
+    return forType.find(p => p.role && p.role === role) || forType.find(p => !p.role) || null;
+}
+
+/** What last year's closing balance brings into the new year. */
+function carryForward(closing, cap) {
+    const left = Math.max(0, Number(closing) || 0);
+    if (cap === null || cap === undefined) return round1(left);
+    return round1(Math.min(left, Number(cap)));
+}
+
+function closingOf(balance) {
+    return round2(Number(balance.opening) + Number(balance.accrued) + Number(balance.adjusted) - Number(balance.used));
+}
+
+// ═══════════════════════════════════════════
+// CALENDAR
+// ═══════════════════════════════════════════
+
+/** Holiday dates for a branch (its own plus the all-branch ones) in a range. */
+async function holidaySet(db, branchId, from, to) {
+    const [rows] = await db.query(
+        `SELECT holiday_date FROM holidays
+         WHERE holiday_date BETWEEN ? AND ? AND (branch_id IS NULL OR branch_id = ?)`,
+        [from, to, branchId || 0]
+    );
+    return new Set(rows.map(r => dateOnly(r.holiday_date)));
+}
+
+// ═══════════════════════════════════════════
+// BALANCES
+// ═══════════════════════════════════════════
+
+async function loadPolicies(db) {
+    const [rows] = await db.query(
+        `SELECT lp.*, lt.code, lt.is_paid FROM leave_policies lp
+         JOIN leave_types lt ON lt.id = lp.leave_type_id WHERE lt.is_active = 1`
+    );
+    return rows;
+}
+
+/**
+ * The balance row for a user, type and year — created on first use with
+ * last year's closing carried forward under the policy's cap.
+ */
+async function ensureBalance(db, userId, leaveTypeId, year, policy) {
+    const select = () => db.query(
+        'SELECT * FROM leave_balances WHERE user_id = ? AND leave_type_id = ? AND year = ?',
+        [userId, leaveTypeId, year]
+    );
+    const [rows] = await select();
+    if (rows.length) return rows[0];
+
+    const [prev] = await db.query(
+        'SELECT * FROM leave_balances WHERE user_id = ? AND leave_type_id = ? AND year = ?',
+        [userId, leaveTypeId, year - 1]
+    );
+    const opening = prev.length ? carryForward(closingOf(prev[0]), policy ? policy.carry_forward_cap : 0) : 0;
+    await db.query(
+        'INSERT IGNORE INTO leave_balances (user_id, leave_type_id, year, opening) VALUES (?, ?, ?, ?)',
+        [userId, leaveTypeId, year, opening]
+    );
+    const [created] = await select();
+    return created[0];
+}
+
+/**
+ * Credit a month's accrual to every active user with a policy. Safe to run
+ * any number of times for the same month.
+ * @param {string} month - yyyy-mm
+ */
+async function accrueMonth(db, month) {
+    const year = parseInt(month.slice(0, 4), 10);
+    const policies = (await loadPolicies(db)).filter(p => Number(p.is_paid) === 1);
+    if (!policies.length) return { users: 0, credited: 0 };
+    const [users] = await db.query("SELECT id, role FROM users WHERE status = 'active'");
+    const typeIds = [...new Set(policies.map(p => Number(p.leave_type_id)))];
+
+    let credited = 0;
+    for (const user of users) {
+        for (const typeId of typeIds) {
+            // A role's own 0-accrual row switches the type off for that role
+            const policy = policyFor(policies, user.role, typeId);
+            if (!policy || !(Number(policy.monthly_accrual) > 0)) continue;
+            const balance = await ensureBalance(db, user.id, typeId, year, policy);
+            const [upd] = await db.query(
+                `UPDATE leave_balances SET accrued = accrued + ?, last_accrued_month = ?
+                 WHERE id = ? AND (last_accrued_month IS NULL OR last_accrued_month < ?)`,
+                [policy.monthly_accrual, month, balance.id, month]
+            );
+            if (upd.affectedRows) credited++;
+        }
+    }
+    return { users: users.length, credited };
+}
+
+/** Days already asked for and still pending, per leave type, in a year. */
+async function pendingDays(db, userId, year, excludeRequestId = null) {
+    const [rows] = await db.query(
+        `SELECT leave_type_id, COALESCE(SUM(days), 0) AS days FROM leave_requests
+         WHERE user_id = ? AND status = 'pending' AND YEAR(from_date) = ? AND id <> ?
+         GROUP BY leave_type_id`,
+        [userId, year, excludeRequestId || 0]
+    );
+    return new Map(rows.map(r => [Number(r.leave_type_id), Number(r.days)]));
+}
+
+/**
+ * A user's balance for every active leave type in a year.
+ * @param {Object} user - { id, role }
+ */
+async function balancesFor(db, user, year) {
+    const [types] = await db.query('SELECT * FROM leave_types WHERE is_active = 1 ORDER BY is_paid DESC, id');
+    const policies = await loadPolicies(db);
+    const pending = await pendingDays(db, user.id, year);
+    const out = [];
+    for (const t of types) {
+        const row = { leave_type_id: t.id, code: t.code, name: t.name, is_paid: Number(t.is_paid) === 1, pending: pending.get(t.id) || 0 };
+        if (!row.is_paid) {
+            out.push({ ...row, available: null });
+            continue;
+        }
+        const policy = policyFor(policies, user.role, t.id);
+        const b = await ensureBalance(db, user.id, t.id, year, policy);
+        out.push({
+            ...row,
+            opening: Number(b.opening), accrued: Number(b.accrued), adjusted: Number(b.adjusted), used: Number(b.used),
+            closing: closingOf(b),
+            available: round2(closingOf(b) - row.pending),
+            monthly_accrual: policy ? Number(policy.monthly_accrual) : 0,
+            carry_forward_cap: policy && policy.carry_forward_cap !== null ? Number(policy.carry_forward_cap) : null
+        });
+    }
+    return out;
+}
+
+// ═══════════════════════════════════════════
+// REQUESTS
+// ═══════════════════════════════════════════
+
+/**
+ * Work out a request's days and check it against the calendar, the user's
+ * other leaves and their balance.
+ * @param {Object} user - { id, role, branch_id }
+ * @param {Object} data - { leave_type_id, from_date, to_date, half_day_start, half_day_end }
+ * @param {number} [excludeRequestId] - the request itself, when re-checking at approval
+ * @returns {Promise<{type:Object, days:Array, total:number}>}
+ */
+async function checkRequest(db, user, data, excludeRequestId = null) {
+    const [types] = await db.query('SELECT * FROM leave_types WHERE id = ? AND is_active = 1', [data.leave_type_id]);
+    if (!types.length) throw fail('INVALID_TYPE', 'Unknown or inactive leave type');
+    const type = types[0];
+
+    const holidays = await holidaySet(db, user.branch_id, data.from_date, data.to_date);
+    const days = expandLeaveDays(data.from_date, data.to_date, {
+        halfDayStart: !!data.half_day_start, halfDayEnd: !!data.half_day_end
+    }, holidays);
+    const total = totalDays(days);
+
+    const [overlap] = await db.query(
+        `SELECT id FROM leave_requests
+         WHERE user_id = ? AND status IN ('pending', 'approved') AND from_date <= ? AND to_date >= ? AND id <> ?
+         LIMIT 1`,
+        [user.id, data.to_date, data.from_date, excludeRequestId || 0]
+    );
+    if (overlap.length) throw fail('LEAVE_OVERLAP', 'You already have leave on some of these days');
+
+    if (Number(type.is_paid) === 1) {
+        const year = parseInt(data.from_date.slice(0, 4), 10);
+        const policy = policyFor(await loadPolicies(db), user.role, type.id);
+        const balance = await ensureBalance(db, user.id, type.id, year, policy);
+        const pending = (await pendingDays(db, user.id, year, excludeRequestId)).get(Number(type.id)) || 0;
+        const available = round2(closingOf(balance) - pending);
+        if (total > available) {
+            throw fail('INSUFFICIENT_BALANCE',
+                `${type.name}: ${total} day(s) requested, ${Math.max(0, available)} available — apply the rest as loss of pay`);
+        }
+    }
+    return { type, days, total };
+}
+
+/**
+ * Book an approved request: leave_days rows, balance used, attendance
+ * marked on_leave for full days (an admin-marked absence is overridden).
+ * Runs on the caller's transaction connection.
+ */
+async function applyApproval(conn, request, type, days) {
+    const paid = Number(type.is_paid) === 1 ? 1 : 0;
+    for (const d of days) {
+        await conn.query(
+            `INSERT INTO leave_days (request_id, user_id, leave_type_id, leave_date, portion, is_paid)
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [request.id, request.user_id, request.leave_type_id, d.date, d.portion, paid]
+        );
+        if (d.portion === 1 && request.branch_id) {
+            const [att] = await conn.query(
+                'SELECT id, status FROM staff_attendance WHERE user_id = ? AND date = ?',
+                [request.user_id, d.date]
+            );
+            if (!att.length) {
+                await conn.query(
+                    "INSERT INTO staff_attendance (user_id, branch_id, date, status) VALUES (?, ?, ?, 'on_leave')",
+                    [request.user_id, request.branch_id, d.date]
+                );
+            } else if (att[0].status === 'absent') {
+                await conn.query("UPDATE staff_attendance SET status = 'on_leave' WHERE id = ?", [att[0].id]);
+            }
+        }
+    }
+    if (paid) {
+        await conn.query(
+            'UPDATE leave_balances SET used = used + ? WHERE user_id = ? AND leave_type_id = ? AND year = ?',
+            [totalDays(days), request.user_id, request.leave_type_id, parseInt(dateOnly(request.from_date).slice(0, 4), 10)]
+        );
+    }
+}
+
+/**
+ * Undo a booked request (cancellation): give the days back and clear the
+ * on_leave attendance rows nobody clocked in on.
+ */
+async function revertApproval(conn, request) {
+    const [days] = await conn.query('SELECT leave_date, portion, is_paid FROM leave_days WHERE request_id = ?', [request.id]);
+    const paidTotal = round1(days.filter(d => Number(d.is_paid) === 1).reduce((s, d) => s + Number(d.portion), 0));
+    if (paidTotal > 0) {
+        await conn.query(
+            'UPDATE leave_balances SET used = GREATEST(used - ?, 0) WHERE user_id = ? AND leave_type_id = ? AND year = ?',
+            [paidTotal, request.user_id, request.leave_type_id, parseInt(dateOnly(request.from_date).slice(0, 4), 10)]
+        );
+    }
+    const fullDates = days.filter(d => Number(d.portion) === 1).map(d => dateOnly(d.leave_date));
+    if (fullDates.length) {
+        await conn.query(
+            `DELETE FROM staff_attendance
+             WHERE user_id = ? AND status = 'on_leave' AND clock_in_time IS NULL
+               AND date IN (${fullDates.map(() => '?').join(', ')})`,
+            [request.user_id, ...fullDates]
+        );
+    }
+    await conn.query('DELETE FROM leave_days WHERE request_id = ?', [request.id]);
+}
+
+/**
+ * Leave taken in a salary period, from leave_days.
+ * @returns {Promise<{paid_sunday:number, paid_weekday:number, unpaid:number}>}
+ */
+async function salaryLeave(db, userId, fromDate, toDate) {
+    const [rows] = await db.query(
+        `SELECT
+            COALESCE(SUM(CASE WHEN is_paid = 1 AND DAYOFWEEK(leave_date) = 1 THEN portion ELSE 0 END), 0) AS paid_sunday,
+            COALESCE(SUM(CASE WHEN is_paid = 1 AND DAYOFWEEK(leave_date) != 1 THEN portion ELSE 0 END), 0) AS paid_weekday,
+            COALESCE(SUM(CASE WHEN is_paid = 0 THEN portion ELSE 0 END), 0) AS unpaid
+         FROM leave_days
+         WHERE user_id = ? AND leave_date BETWEEN ? AND ?`,
+        [userId, fromDate, toDate]
+    );
+    const r = rows[0] || {};
+    return { paid_sunday: round1(r.paid_sunday), paid_weekday: round1(r.paid_weekday), unpaid: round1(r.unpaid) };
+}
+
+module.exports = {
+    MAX_SPAN_DAYS,
+    expandLeaveDays,
+    totalDays,
+    policyFor,
+    carryForward,
+    closingOf,
+    holidaySet,
+    ensureBalance,
+    accrueMonth,
+    balancesFor,
+    checkRequest,
+    applyApproval,
+    revertApproval,
+    salaryLeave,
+    dateOnly
+};
@@ -0,0 +1,421 @@
+/**
+ * Room-by-room paint calculator — measurements in, litres and the cheapest
+ * pack mix out, ready to become a draft estimate (routes/paint-calculator.js).
+ *
+ * Per room: walls are the perimeter × height (plus any extra wall area),
+ * less doors / windows; the ceiling is length × width when included. The
+ * surface condition decides the prep coats:
+ *
+ *   new              — fresh plaster: 2 coats putty + 1 coat primer
+ *   repaint_damaged  — cracks / peeling: 1 coat putty + 1 coat primer
+ *   repaint_good     — sound old paint: no putty, no primer
+ *
+ * Quantity = area × coats ÷ the product's area_coverage (sqft per litre, or
+ * per kg for putty; 120 when unset — the routes/products.js default), plus
+ * optional wastage. bestPackMix() then covers that quantity with the
+ * product's active pack sizes at the lowest cost (20 L + 4 L + 1 L rather than
+ * 25 × 1 L), preferring less overage and fewer packs on a price tie.
+ *
+ * Helpers throw Error with e.code (INVALID_CALCULATION, PRODUCT_NOT_FOUND,
+ * NO_PACKS); the route maps them to 400/404/409.
+ */
+
+const DEFAULT_COVERAGE = 120;
+const MAX_ROOMS = 50;
+const MAX_OPENINGS = 20;
+const MAX_DIMENSION_FT = 500;
+const MAX_DP_STEPS = 200000;
+
+const CONDITIONS = {
+    new: { putty_coats: 2, primer_coats: 1 },
+    repaint_damaged: { putty_coats: 1, primer_coats: 1 },
+    repaint_good: { putty_coats: 0, primer_coats: 0 }
+};
+
+const ROLES = ['paint', 'ceiling', 'primer', 'putty'];
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+const round2 = n => Math.round(n * 100) / 100;
+
+function dimension(value, label) {
+    if (value == null || value === '') return 0;
+    const n = Number(value);
+    if (!Number.isFinite(n) || n < 0 || n > MAX_DIMENSION_FT) {
+        throw fail('INVALID_CALCULATION', `${label} must be between 0 and ${MAX_DIMENSION_FT} ft`);
+    }
+    return n;
+}
+
+/**
+ * Pack size as an amount of the product's unit: { amount, unit: 'L'|'KG' },
+ * or null when the size is not a volume / weight (e.g. "1 Nos").
+ */
+function packAmount(size, unit) {
+    const text = `${size == null ? '' : size} ${unit || ''}`.trim();
+    const m = text.match(/(\d+(?:\.\d+)?)\s*(ml|ltrs?|lt|litres?|liters?|l|kgs?|gms?|g)?\b/i);
+    if (!m) return null;
+    const n = parseFloat(m[1]);
+    if (!(n > 0)) return null;
+    const u = (m[2] || unit || 'L').toLowerCase();
+    if (u === 'ml') return { amount: n / 1000, unit: 'L' };
+    if (/^(g|gm|gms)$/.test(u)) return { amount: n / 1000, unit: 'KG' };
+    if (/^kgs?$/.test(u)) return { amount: n, unit: 'KG' };
+    if (/^(l|lt|ltr|ltrs|litres?|liters?)$/.test(u)) return { amount: n, unit: 'L' };
+    return null;
+}
+
+/**
+ * Areas for one room (sqft, 2 decimals).
+ * @param {Object} room - { name, length_ft, width_ft, height_ft, walls, ceiling,
+ *                          extra_wall_sqft, openings: [{ label, width_ft, height_ft, count }] }
+ */
+function roomAreas(room) {
+    const name = String(room.name || '').trim() || 'Room';
+    const length = dimension(room.length_ft, `${name}: length`);
+    const width = dimension(room.width_ft, `${name}: width`);
+    const height = dimension(room.height_ft, `${name}: height`);
+    const extra = Number(room.extra_wall_sqft) || 0;
+    if (extra < 0) throw fail('INVALID_CALCULATION', `${name}: extra wall area cannot be negative`);
+
+    const openings = Array.isArray(room.openings) ? room.openings : [];
+    if (openings.length > MAX_OPENINGS) throw fail('INVALID_CALCULATION', `${name}: at most ${MAX_OPENINGS} doors / windows`);
+
+    const includeWalls = room.walls !== false;
+    const wall = includeWalls ? 2 * (length + width) * height + extra : 0;
+    const opening = includeWalls
+        ? openings.reduce((sum, o) => {
+            const count = Math.max(0, Math.floor(Number(o.count) || 1));
+            return sum + dimension(o.width_ft, `${name}: opening width`) * dimension(o.height_ft, `${name}: opening height`) * count;
+        }, 0)
+        : 0;
+    const ceiling = room.ceiling ? length * width : 0;
+
+    return {
+        name,
+        wall_sqft: round2(wall),
+        opening_sqft: round2(Math.min(opening, wall)),
+        net_wall_sqft: round2(Math.max(0, wall - opening)),
+        ceiling_sqft: round2(ceiling)
+    };
+}
+
+/**
+ * Cheapest mix of packs whose total is at least `needed`.
+ * Unbounded covering knapsack over a grid of the packs' common step (200 ml
+ * for 0.2 / 1 / 4 / 10 / 20 L); ties go to less overage, then fewer packs.
+ * Falls back to largest-first when the grid would be too fine.
+ * @param {number} needed - quantity in the packs' unit
+ * @param {Array<{amount: number, price: number}>} packs
+ * @returns {{ packs: Array<Object>, supplied: number, cost: number }}
+ */
+function bestPackMix(needed, packs) {
+    const usable = packs.filter(p => p.amount > 0);
+    if (!usable.length) throw fail('NO_PACKS', 'No pack sizes to choose from');
+    if (!(needed > 0)) return { packs: [], supplied: 0, cost: 0 };
+
+    const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+    const milli = usable.map(p => Math.max(1, Math.round(p.amount * 1000)));
+    const step = milli.reduce((g, m) => gcd(g, m));
+    const sizes = milli.map(m => m / step);
+    const target = Math.ceil(Math.round(needed * 1000) / step);
+    const paise = usable.map(p => Math.round((Number(p.price) || 0) * 100));
+
+    const counts = new Array(usable.length).fill(0);
+    if (target > MAX_DP_STEPS) {
+        // Largest-first, then the cheapest single pack that covers the rest
+        const order = usable.map((_, i) => i).sort((a, b) => sizes[b] - sizes[a]);
+        let left = target;
+        for (const i of order) {
+            const n = Math.floor(left / sizes[i]);
+            counts[i] += n;
+            left -= n * sizes[i];
+        }
+        if (left > 0) {
+            const covering = order.filter(i => sizes[i] >= left).sort((a, b) => paise[a] - paise[b]);
+            counts[covering.length ? covering[0] : order[order.length - 1]] += 1;
+        }
+    } else {
+        // best[t] = cheapest way to cover at least t steps
+        const cost = new Float64Array(target + 1);
+        const units = new Float64Array(target + 1);
+        const packsUsed = new Int32Array(target + 1);
+        const choice = new Int32Array(target + 1).fill(-1);
+        for (let t = 1; t <= target; t++) {
+            let bc = Infinity, bu = Infinity, bp = Infinity, bi = -1;
+            for (let i = 0; i < sizes.length; i++) {
+                const prev = Math.max(0, t - sizes[i]);
+                const c = paise[i] + cost[prev];
+                const u = sizes[i] + units[prev];
+                const n = 1 + packsUsed[prev];
+                if (c < bc || (c === bc && (u < bu || (u === bu && n < bp)))) {
+                    bc = c; bu = u; bp = n; bi = i;
+                }
+            }
+            cost[t] = bc; units[t] = bu; packsUsed[t] = bp; choice[t] = bi;
+        }
+        for (let t = target; t > 0;) {
+            const i = choice[t];
+            counts[i] += 1;
+            t = Math.max(0, t - sizes[i]);
+        }
+    }
+
+    const chosen = usable
+        .map((p, i) => ({ ...p, qty: counts[i], line_total: round2(counts[i] * (Number(p.price) || 0)) }))
+        .filter(p => p.qty > 0)
+        .sort((a, b) => b.amount - a.amount);
+    return {
+        packs: chosen,
+        supplied: round2(chosen.reduce((s, p) => s + p.qty * p.amount, 0)),
+        cost: round2(chosen.reduce((s, p) => s + p.line_total, 0))
+    };
+}
+
+/**
+ * Check the calculator input and fill defaults. Products are referenced by
+ * local products.id: paint (required), ceiling (defaults to paint), primer, putty.
+ */
+function normalizeInput(input) {
+    const rooms = Array.isArray(input.rooms) ? input.rooms : [];
+    if (!rooms.length) throw fail('INVALID_CALCULATION', 'Add at least one room');
+    if (rooms.length > MAX_ROOMS) throw fail('INVALID_CALCULATION', `At most ${MAX_ROOMS} rooms`);
+
+    const coats = Number(input.coats || 2);
+    if (!Number.isInteger(coats) || coats < 1 || coats > 5) throw fail('INVALID_CALCULATION', 'Coats must be 1 to 5');
+    const wastage = Number(input.wastage_pct || 0);
+    if (!(wastage >= 0 && wastage <= 25)) throw fail('INVALID_CALCULATION', 'Wastage must be 0–25%');
+
+    const products = {};
+    for (const role of ROLES) {
+        const id = input[`${role}_product_id`];
+        products[role] = id ? Number(id) : null;
+    }
+    if (!products.paint) throw fail('INVALID_CALCULATION', 'Choose the paint');
+    if (!products.ceiling) products.ceiling = products.paint;
+
+    for (const room of rooms) {
+        if (room.condition && !CONDITIONS[room.condition]) {
+            throw fail('INVALID_CALCULATION', `Unknown surface condition "${room.condition}"`);
+        }
+        if (room.coats != null && room.coats !== '') {
+            const c = Number(room.coats);
+            if (!Number.isInteger(c) || c < 1 || c > 5) throw fail('INVALID_CALCULATION', 'Coats must be 1 to 5');
+        }
+    }
+    return { rooms, coats, wastage_pct: wastage, products };
+}
+
+/**
+ * Run the calculation against a catalog of the chosen products.
+ * @param {Object} input - raw request body (see normalizeInput)
+ * @param {Map<number, {id, name, area_coverage, packs: Array}>} catalog
+ * @returns {{ rooms, requirements, totals, warnings, input }}
+ */
+function calculate(input, catalog) {
+    const norm = normalizeInput(input);
+    const warnings = [];
+    const coatArea = { paint: 0, ceiling: 0, primer: 0, putty: 0 };
+    const surfaceArea = { paint: 0, ceiling: 0, primer: 0, putty: 0 };
+
+    const rooms = norm.rooms.map(raw => {
+        const areas = roomAreas(raw);
+        const condition = raw.condition || 'repaint_good';
+        const prep = CONDITIONS[condition];
+        const coats = raw.coats ? Number(raw.coats) : norm.coats;
+        const surface = areas.net_wall_sqft + areas.ceiling_sqft;
+
+        coatArea.paint += areas.net_wall_sqft * coats;
+        surfaceArea.paint += areas.net_wall_sqft;
+        coatArea.ceiling += areas.ceiling_sqft * coats;
+        surfaceArea.ceiling += areas.ceiling_sqft;
+        coatArea.primer += surface * prep.primer_coats;
+        surfaceArea.primer += prep.primer_coats ? surface : 0;
+        coatArea.putty += surface * prep.putty_coats;
+        surfaceArea.putty += prep.putty_coats ? surface : 0;
+
+        return { ...areas, condition, coats, putty_coats: prep.putty_coats, primer_coats: prep.primer_coats };
+    });
+
+    // One requirement per product — a ceiling in the wall paint folds into it
+    const byProduct = new Map();
+    for (const role of ROLES) {
+        if (!(coatArea[role] > 0)) continue;
+        const productId = norm.products[role];
+        if (!productId) {
+            warnings.push(`${role === 'primer' ? 'Primer' : 'Putty'} is needed for some rooms but none was chosen`);
+            continue;
+        }
+        if (!byProduct.has(productId)) {
+            byProduct.set(productId, { product_id: productId, roles: [], area_sqft: 0, coat_area_sqft: 0 });
+        }
+        const req = byProduct.get(productId);
+        req.roles.push(role);
+        req.area_sqft += surfaceArea[role];
+        req.coat_area_sqft += coatArea[role];
+    }
+
+    const requirements = [];
+    for (const req of byProduct.values()) {
+        const product = catalog.get(req.product_id);
+        if (!product) throw fail('PRODUCT_NOT_FOUND', `Product ${req.product_id} not found`);
+        const coverage = Number(product.area_coverage) > 0 ? Number(product.area_coverage) : DEFAULT_COVERAGE;
+        const quantity = round2(req.coat_area_sqft / coverage * (1 + norm.wastage_pct / 100));
+        const packs = (product.packs || []).filter(p => p.amount > 0);
+        if (!packs.length) throw fail('NO_PACKS', `${product.name} has no active pack sizes`);
+        const mix = bestPackMix(quantity, packs);
+        requirements.push({
+            product_id: product.id,
+            product_name: product.name,
+            roles: req.roles,
+            unit: packs[0].unit,
+            coverage,
+            area_sqft: round2(req.area_sqft),
+            coat_area_sqft: round2(req.coat_area_sqft),
+            quantity,
+            supplied: mix.supplied,
+            cost: mix.cost,
+            packs: mix.packs
+        });
+    }
+
+    return {
+        input: { coats: norm.coats, wastage_pct: norm.wastage_pct, products: norm.products },
+        rooms,
+        requirements,
+        totals: {
+            wall_sqft: round2(rooms.reduce((s, r) => s + r.net_wall_sqft, 0)),
+            ceiling_sqft: round2(rooms.reduce((s, r) => s + r.ceiling_sqft, 0)),
+            paint_litres: round2(requirements.filter(r => r.unit === 'L').reduce((s, r) => s + r.quantity, 0)),
+            cost: round2(requirements.reduce((s, r) => s + r.cost, 0))
+        },
+        warnings
+    };
+}
+
+/**
+ * Chosen products with their active pack sizes, priced at the Zoho rate when
+ * mapped (what billing charges) and pack_sizes.base_price otherwise.
+ * @returns {Promise<Map<number, Object>>}
+ */
+async function loadCatalog(db, productIds) {
+    const ids = [...new Set(productIds.filter(Boolean).map(Number))];
+    const catalog = new Map();
+    if (!ids.length) return catalog;
+    const [products] = await db.query(
+        `SELECT p.id, p.name, p.area_coverage, b.name AS brand, c.name AS category
+         FROM products p
+         LEFT JOIN brands b ON p.brand_id = b.id
+         LEFT JOIN categories c ON p.category_id = c.id
+         WHERE p.id IN (?) AND p.status = 'active'`,
+        [ids]
+    );
+    const [packs] = await db.query(
+        `SELECT ps.id, ps.product_id, ps.size, ps.unit, ps.base_price, ps.zoho_item_id,
+                zim.zoho_item_name, zim.zoho_rate
+         FROM pack_sizes ps
+         LEFT JOIN zoho_items_map zim ON zim.zoho_item_id = ps.zoho_item_id
+         WHERE ps.product_id IN (?) AND ps.is_active = 1`,
+        [ids]
+    );
+    for (const p of products) catalog.set(p.id, { ...p, packs: [] });
+    for (const ps of packs) {
+        const product = catalog.get(ps.product_id);
+        const size = packAmount(ps.size, ps.unit);
+        if (!product || !size) continue;
+        product.packs.push({
+            pack_size_id: ps.id,
+            zoho_item_id: ps.zoho_item_id || null,
+            name: ps.zoho_item_name || `${product.name} ${ps.size}${ps.unit || 'L'}`,
+            label: `${size.amount} ${size.unit}`,
+            amount: size.amount,
+            unit: size.unit,
+            price: parseFloat(ps.zoho_rate) || parseFloat(ps.base_price) || 0
+        });
+    }
+    return catalog;
+}
+
+/**
+ * Estimate lines for a calculation result: one line per pack, the first line
+ * of each product carrying the area, coats and pack mix (the same shape the
+ * estimate builder's area mode produces).
+ */
+function estimateItems(result, catalog) {
+    const items = [];
+    for (const req of result.requirements) {
+        const product = catalog.get(req.product_id) || {};
+        const mixText = req.packs.map(p => `${p.qty}×${p.label}`).join(' + ');
+        const meta = `${req.roles.join(' + ')}: ${req.coat_area_sqft} sqft·coat → ${req.quantity} ${req.unit} → ${mixText}`;
+        req.packs.forEach((p, idx) => {
+            items.push({
+                item_type: 'product',
+                product_id: req.product_id,
+                zoho_item_id: p.zoho_item_id,
+                item_name: p.name,
+                item_description: p.name,
+                brand: product.brand || null,
+                category: product.category || null,
+                pack_size: p.label,
+                product_type: 'area_wise',
+                quantity: p.qty,
+                area: idx === 0 ? req.area_sqft : null,
+                num_coats: idx === 0 ? result.input.coats : 1,
+                mix_info: idx === 0 ? meta : null,
+                base_price: p.price,
+                display_order: items.length
+            });
+        });
+    }
+    return items;
+}
+
+/** Attach a calculation to the estimate it produced (caller's transaction). */
+async function saveCalculation(db, estimateId, input, result, userId = null) {
+    const [r] = await db.query(
+        `INSERT INTO estimate_calculations
+            (estimate_id, input_json, result_json, total_area_sqft, total_litres, created_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [
+            estimateId, JSON.stringify(input), JSON.stringify(result),
+            round2(result.totals.wall_sqft + result.totals.ceiling_sqft), result.totals.paint_litres, userId
+        ]
+    );
+    return r.insertId;
+}
+
+/** The latest calculation behind an estimate, parsed; null for hand-built estimates. */
+async function calculationForEstimate(db, estimateId) {
+    const [rows] = await db.query(
+        `SELECT id, input_json, result_json, created_by, created_at
+         FROM estimate_calculations WHERE estimate_id = ? ORDER BY id DESC LIMIT 1`,
+        [estimateId]
+    );
+    if (!rows.length) return null;
+    const row = rows[0];
+    return {
+        id: row.id,
+        created_by: row.created_by,
+        created_at: row.created_at,
+        ...JSON.parse(row.result_json),
+        request: JSON.parse(row.input_json)
+    };
+}
+
+module.exports = {
+    DEFAULT_COVERAGE,
+    CONDITIONS,
+    packAmount,
+    roomAreas,
+    bestPackMix,
+    normalizeInput,
+    calculate,
+    loadCatalog,
+    estimateItems,
+    saveCalculation,
+    calculationForEstimate
+};
@@ -0,0 +1,444 @@
+/**
+ * Painter campaigns — rule-based challenges on painter_challenges. No Express.
+ *
+ * A campaign is a painter_challenges row with `rules`: one to five conditions
+ * over what the painter did inside [start_date, end_date] (IST calendar days):
+ *
+ *   invoice_qty          units bought     ─┐ painter_invoice_lines (written by
+ *   invoice_value        ₹ bought          │ processInvoice), optionally
+ *   invoice_count        invoices          ┘ filtered by brand / category /
+ *                                            item name / Zoho item ids
+ *   referrals            painters referred in the window who are approved
+ *   attendance_checkins  days checked in (selfie check-ins + legacy visits)
+ *
+ * e.g. "buy 3 Birla Opus emulsion 20L in November":
+ *   { metric: 'invoice_qty', target: 3, brand: 'Birla Opus',
+ *     category: 'Emulsion', item_name: '20L' }
+ *
+ * match_mode 'all' needs every condition met, 'any' just one. branch_ids
+ * limits the campaign to painters of those branches (NULL = everyone).
+ * Legacy challenges (rules NULL) keep their fixed target_value behaviour.
+ *
+ * Progress is recomputed from source data every time (syncCampaign), so a
+ * voided invoice simply drops out. It lands in painter_challenge_progress:
+ * rule_progress holds each condition's value, current_value the overall
+ * percentage (target_value is 100 for campaigns, so the existing
+ * /me/gamification progress bar still reads right). Once the reward is
+ * claimed the row is frozen.
+ *
+ * With auto_award the reward goes out as soon as progress completes
+ * (awardCompletion): the same atomic claimed = 0 → 1 flip the painter's claim
+ * button uses, so the job, the painter's refresh and a manual claim can race
+ * without paying twice. The ledger row (source 'challenge_reward', reference
+ * `challenge-<id>`) is what the results dashboard counts as cost.
+ *
+ * Planners throw Error with e.code:
+ *   INVALID_CAMPAIGN — bad campaign definition from the admin form
+ *
+ * DB helpers take the db handle.
+ */
+
+const METRICS = {
+    invoice_qty: { label: 'Units bought', source: 'invoice' },
+    invoice_value: { label: 'Purchase value (₹)', source: 'invoice' },
+    invoice_count: { label: 'Invoices', source: 'invoice' },
+    referrals: { label: 'Approved referrals', source: 'referral' },
+    attendance_checkins: { label: 'Attendance check-ins', source: 'attendance' }
+};
+const MATCH_MODES = ['all', 'any'];
+const MAX_CONDITIONS = 5;
+const MAX_ITEM_IDS = 50;
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+// JSON columns come back parsed (MySQL) or as text (MariaDB).
+function parseJson(value) {
+    if (value == null || value === '') return null;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return null; }
+}
+
+function text(value, max) {
+    const s = value == null ? '' : String(value).trim();
+    return s ? s.slice(0, max) : null;
+}
+
+/**
+ * Validate one condition from the admin form.
+ * @returns {object} the stored condition (only the filters its metric uses)
+ */
+function normaliseCondition(raw, index) {
+    const n = index + 1;
+    const c = raw || {};
+    if (!METRICS[c.metric]) throw fail('INVALID_CAMPAIGN', `Condition ${n}: unknown metric`);
+    const target = r2(c.target);
+    if (!(target > 0)) throw fail('INVALID_CAMPAIGN', `Condition ${n}: target must be greater than 0`);
+
+    const rule = { metric: c.metric, target };
+    if (METRICS[c.metric].source === 'invoice') {
+        const brand = text(c.brand, 100);
+        const category = text(c.category, 100);
+        const itemName = text(c.item_name, 100);
+        const itemIds = (Array.isArray(c.item_ids) ? c.item_ids : String(c.item_ids || '').split(','))
+            .map(id => String(id).trim()).filter(Boolean);
+        if (itemIds.length > MAX_ITEM_IDS) throw fail('INVALID_CAMPAIGN', `Condition ${n}: at most ${MAX_ITEM_IDS} items`);
+        if (brand) rule.brand = brand;
+        if (category) rule.category = category;
+        if (itemName) rule.item_name = itemName;
+        if (itemIds.length) rule.item_ids = [...new Set(itemIds)];
+    }
+    return rule;
+}
+
+/**
+ * Validate and normalise a campaign from the admin form.
+ * @returns {object} columns for painter_challenges (rules / branch_ids as JSON text)
+ */
+function normaliseCampaign(body) {
+    const b = body || {};
+    const title = text(b.title, 200);
+    if (!title) throw fail('INVALID_CAMPAIGN', 'Title is required');
+    const reward = r2(b.reward_points);
+    if (!(reward > 0)) throw fail('INVALID_CAMPAIGN', 'Reward points must be greater than 0');
+    if (!DATE_RE.test(b.start_date || '') || !DATE_RE.test(b.end_date || '')) {
+        throw fail('INVALID_CAMPAIGN', 'Start and end dates are required (YYYY-MM-DD)');
+    }
+    if (b.end_date < b.start_date) throw fail('INVALID_CAMPAIGN', 'End date is before the start date');
+
+    const rawRules = Array.isArray(b.rules) ? b.rules : [];
+    if (!rawRules.length) throw fail('INVALID_CAMPAIGN', 'Add at least one condition');
+    if (rawRules.length > MAX_CONDITIONS) throw fail('INVALID_CAMPAIGN', `At most ${MAX_CONDITIONS} conditions`);
+    const rules = rawRules.map(normaliseCondition);
+
+    const matchMode = b.match_mode || 'all';
+    if (!MATCH_MODES.includes(matchMode)) throw fail('INVALID_CAMPAIGN', 'Match mode must be all or any');
+
+    const branchIds = [...new Set((Array.isArray(b.branch_ids) ? b.branch_ids : [])
+        .map(id => parseInt(id, 10)).filter(id => id > 0))];
+
+    return {
+        title,
+        description: text(b.description, 2000),
+        challenge_type: 'campaign',
+        target_value: 100,
+        reward_points: reward,
+        start_date: b.start_date,
+        end_date: b.end_date,
+        icon: text(b.icon, 50),
+        rules: JSON.stringify(rules),
+        match_mode: matchMode,
+        branch_ids: branchIds.length ? JSON.stringify(branchIds) : null,
+        auto_award: b.auto_award === false || b.auto_award === 0 || b.auto_award === '0' ? 0 : 1
+    };
+}
+
+/**
+ * The campaign's conditions, or null for a legacy fixed challenge.
+ */
+function campaignRules(campaign) {
+    const rules = parseJson(campaign && campaign.rules);
+    return Array.isArray(rules) && rules.length ? rules : null;
+}
+
+/**
+ * Whether a painter of `branchId` is targeted by the campaign.
+ */
+function isEligible(campaign, branchId) {
+    const ids = parseJson(campaign.branch_ids);
+    if (!Array.isArray(ids) || !ids.length) return true;
+    return ids.map(Number).includes(Number(branchId));
+}
+
+/**
+ * Human wording of a condition, for the painter's card and the admin list.
+ */
+function describeCondition(rule) {
+    const filters = [rule.brand, rule.category, rule.item_name && `"${rule.item_name}"`].filter(Boolean).join(' ');
+    const items = rule.item_ids ? `${rule.item_ids.length} selected item${rule.item_ids.length === 1 ? '' : 's'}` : '';
+    const of = [filters, items].filter(Boolean).join(', ');
+    const t = rule.target;
+    switch (rule.metric) {
+        case 'invoice_qty': return `Buy ${t} unit${t === 1 ? '' : 's'}${of ? ` of ${of}` : ''}`;
+        case 'invoice_value': return `Buy ₹${t.toLocaleString('en-IN')} worth${of ? ` of ${of}` : ''}`;
+        case 'invoice_count': return `${t} invoice${t === 1 ? '' : 's'}${of ? ` with ${of}` : ''}`;
+        case 'referrals': return `Refer ${t} approved painter${t === 1 ? '' : 's'}`;
+        case 'attendance_checkins': return `${t} attendance check-in${t === 1 ? '' : 's'}`;
+        default: return rule.metric;
+    }
+}
+
+/**
+ * Combine per-condition values into progress.
+ * @param {object[]} rules
+ * @param {number[]} values - one per rule, same order
+ * @param {'all'|'any'} matchMode
+ * @returns {{conditions: object[], completed: boolean, pct: number}}
+ */
+function evaluateProgress(rules, values, matchMode = 'all') {
+    const conditions = rules.map((rule, i) => {
+        const value = r2(values[i]);
+        return {
+            metric: rule.metric,
+            label: describeCondition(rule),
+            target: rule.target,
+            value,
+            met: value >= rule.target,
+            pct: Math.min(100, Math.floor((value / rule.target) * 100))
+        };
+    });
+    const completed = matchMode === 'any' ? conditions.some(c => c.met) : conditions.every(c => c.met);
+    let pct = 100;
+    if (!completed) {
+        const pcts = conditions.map(c => c.pct);
+        pct = matchMode === 'any'
+            ? Math.max(0, ...pcts)
+            : Math.floor(pcts.reduce((a, b) => a + b, 0) / pcts.length);
+    }
+    return { conditions, completed, pct };
+}
+
+// ─── DB helpers ─────────────────────────────────────────────
+
+// DATE columns come back as local-midnight Date objects.
+function dateKey(d) {
+    if (d instanceof Date) {
+        return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+    }
+    return String(d).slice(0, 10);
+}
+
+function escapeLike(s) {
+    return s.replace(/[\\%_]/g, ch => `\\${ch}`);
+}
+
+/**
+ * Each painter's value for one condition over the window.
+ * @param {number|null} painterId - just this painter, or everyone with activity
+ * @returns {Promise<Map<number, number>>} painter id → value (absent = 0)
+ */
+async function conditionValues(db, rule, startDate, endDate, painterId = null) {
+    const source = METRICS[rule.metric] && METRICS[rule.metric].source;
+    let sql;
+    let params;
+    if (source === 'invoice') {
+        const agg = { invoice_qty: 'SUM(l.quantity)', invoice_value: 'SUM(l.item_total)', invoice_count: 'COUNT(DISTINCT l.invoice_id)' }[rule.metric];
+        const where = ['l.invoice_date BETWEEN ? AND ?'];
+        params = [startDate, endDate];
+        if (rule.brand) { where.push('zim.zoho_brand = ?'); params.push(rule.brand); }
+        if (rule.category) { where.push('zim.zoho_category_name = ?'); params.push(rule.category); }
+        if (rule.item_name) { where.push('COALESCE(zim.zoho_item_name, l.item_name) LIKE ?'); params.push(`%${escapeLike(rule.item_name)}%`); }
+        if (rule.item_ids && rule.item_ids.length) { where.push('l.item_id IN (?)'); params.push(rule.item_ids); }
+        if (painterId) { where.push('l.painter_id = ?'); params.push(painterId); }
+        sql = `SELECT l.painter_id, ${agg} AS value
+               FROM painter_invoice_lines l
+               LEFT JOIN zoho_items_map zim ON zim.zoho_item_id = l.item_id
+               WHERE ${where.join(' AND ')}
+               GROUP BY l.painter_id`;
+    } else if (source === 'referral') {
+        sql = `SELECT r.referrer_id AS painter_id, COUNT(*) AS value
+               FROM painter_referrals r
+               JOIN painters p ON p.id = r.referred_id
+               WHERE p.status = 'approved'
+                 AND DATE(CONVERT_TZ(r.created_at, '+00:00', '+05:30')) BETWEEN ? AND ?${painterId ? ' AND r.referrer_id = ?' : ''}
+               GROUP BY r.referrer_id`;
+        params = painterId ? [startDate, endDate, painterId] : [startDate, endDate];
+    } else if (source === 'attendance') {
+        const only = painterId ? ' AND painter_id = ?' : '';
+        sql = `SELECT painter_id, COUNT(DISTINCT day) AS value FROM (
+                   SELECT painter_id, checkin_date AS day FROM painter_attendance_checkins
+                   WHERE status = 'approved' AND checkin_date BETWEEN ? AND ?${only}
+                   UNION ALL
+                   SELECT painter_id, DATE(check_in_at) AS day FROM painter_attendance
+                   WHERE DATE(check_in_at) BETWEEN ? AND ?${only}
+               ) days
+               GROUP BY painter_id`;
+        params = painterId
+            ? [startDate, endDate, painterId, startDate, endDate, painterId]
+            : [startDate, endDate, startDate, endDate];
+    } else {
+        return new Map();
+    }
+    const [rows] = await db.query(sql, params);
+    return new Map(rows.map(r => [Number(r.painter_id), r2(r.value)]));
+}
+
+/**
+ * Campaigns the nightly/hourly job should evaluate on `today`: active, rule
+ * based, started, and not ended before yesterday (one run after the last day
+ * picks up its late invoices).
+ */
+async function activeCampaigns(db, today) {
+    const [rows] = await db.query(
+        `SELECT * FROM painter_challenges
+         WHERE is_active = 1 AND rules IS NOT NULL
+           AND start_date <= ? AND end_date >= DATE_SUB(?, INTERVAL 1 DAY)
+         ORDER BY id`,
+        [today, today]
+    );
+    return rows.filter(c => campaignRules(c));
+}
+
+/**
+ * Recompute progress for a campaign — for one painter, or for every targeted
+ * painter with any activity. Claimed rows are left as they are.
+ * @returns {Promise<{painter_id:number, pct:number, completed:boolean}[]>}
+ */
+async function syncCampaign(db, campaign, { painterId = null, branchId = null } = {}) {
+    const rules = campaignRules(campaign);
+    if (!rules) return [];
+    const start = dateKey(campaign.start_date);
+    const end = dateKey(campaign.end_date);
+    if (painterId && !isEligible(campaign, branchId)) return [];
+
+    const perRule = [];
+    for (const rule of rules) perRule.push(await conditionValues(db, rule, start, end, painterId));
+    const painterIds = new Set(painterId ? [Number(painterId)] : perRule.flatMap(m => [...m.keys()]));
+
+    let targeted = null;
+    if (!painterId && painterIds.size && parseJson(campaign.branch_ids)) {
+        const [painters] = await db.query('SELECT id, branch_id FROM painters WHERE id IN (?)', [[...painterIds]]);
+        targeted = new Set(painters.filter(p => isEligible(campaign, p.branch_id)).map(p => Number(p.id)));
+    }
+
+    const results = [];
+    for (const id of painterIds) {
+        if (targeted && !targeted.has(id)) continue;
+        const progress = evaluateProgress(rules, perRule.map(m => m.get(id) || 0), campaign.match_mode);
+        await db.query(
+            `INSERT INTO painter_challenge_progress
+               (painter_id, challenge_id, current_value, rule_progress, completed, completed_at)
+             VALUES (?, ?, ?, ?, ?, IF(? = 1, NOW(), NULL))
+             ON DUPLICATE KEY UPDATE
+               completed_at = IF(claimed = 1, completed_at, IF(VALUES(completed) = 1, COALESCE(completed_at, NOW()), NULL)),
+               current_value = IF(claimed = 1, current_value, VALUES(current_value)),
+               rule_progress = IF(claimed = 1, rule_progress, VALUES(rule_progress)),
+               completed = IF(claimed = 1, completed, VALUES(completed))`,
+            [id, campaign.id, progress.pct, JSON.stringify(progress.conditions),
+             progress.completed ? 1 : 0, progress.completed ? 1 : 0]
+        );
+        results.push({ painter_id: id, pct: progress.pct, completed: progress.completed });
+    }
+    if (!painterId) await db.query('UPDATE painter_challenges SET evaluated_at = NOW() WHERE id = ?', [campaign.id]);
+    return results;
+}
+
+/**
+ * Pay a completed campaign's reward once. The claimed 0 → 1 flip is the
+ * guard; if the award fails the flip is undone so a later run retries.
+ * awarded_points records what the ledger credited (level multiplier included).
+ * @param {object} engine - services/painter-points-engine
+ * @returns {Promise<boolean>} whether this call paid the reward
+ */
+async function awardCompletion(db, engine, campaign, painterId) {
+    const [claim] = await db.query(
+        `UPDATE painter_challenge_progress SET claimed = 1, claimed_at = NOW()
+         WHERE challenge_id = ? AND painter_id = ? AND completed = 1 AND claimed = 0`,
+        [campaign.id, painterId]
+    );
+    if (!claim.affectedRows) return false;
+    const reference = `challenge-${campaign.id}`;
+    try {
+        await engine.addPointsWithMultiplier(
+            painterId, 'regular', parseFloat(campaign.reward_points), 'challenge_reward',
+            reference, 'challenge', `Campaign reward: ${campaign.title}`, null
+        );
+    } catch (err) {
+        await db.query(
+            'UPDATE painter_challenge_progress SET claimed = 0, claimed_at = NULL WHERE challenge_id = ? AND painter_id = ?',
+            [campaign.id, painterId]
+        );
+        throw err;
+    }
+    await db.query(
+        `UPDATE painter_challenge_progress
+         SET awarded_points = (
+             SELECT COALESCE(SUM(amount), 0) FROM painter_point_transactions
+             WHERE painter_id = ? AND source = 'challenge_reward' AND reference_id = ? AND type = 'earn'
+         )
+         WHERE challenge_id = ? AND painter_id = ?`,
+        [painterId, reference, campaign.id, painterId]
+    );
+    return true;
+}
+
+/**
+ * Results dashboard for one campaign: who took part, who finished, what it
+ * cost (ledger credits incl. level multipliers) and cost per participant.
+ */
+async function campaignResults(db, campaign) {
+    const [[totals]] = await db.query(
+        `SELECT COUNT(*) AS participants,
+                COALESCE(SUM(cp.completed), 0) AS completed,
+                COALESCE(SUM(cp.claimed), 0) AS rewarded
+         FROM painter_challenge_progress cp
+         WHERE cp.challenge_id = ? AND cp.current_value > 0`,
+        [campaign.id]
+    );
+    const [[cost]] = await db.query(
+        `SELECT COALESCE(SUM(amount), 0) AS points
+         FROM painter_point_transactions
+         WHERE source = 'challenge_reward' AND reference_id = ? AND type = 'earn'`,
+        [`challenge-${campaign.id}`]
+    );
+    const [byBranch] = await db.query(
+        `SELECT p.branch_id, b.name AS branch_name,
+                COUNT(*) AS participants, COALESCE(SUM(cp.completed), 0) AS completed
+         FROM painter_challenge_progress cp
+         JOIN painters p ON p.id = cp.painter_id
+         LEFT JOIN branches b ON b.id = p.branch_id
+         WHERE cp.challenge_id = ? AND cp.current_value > 0
+         GROUP BY p.branch_id, b.name
+         ORDER BY participants DESC`,
+        [campaign.id]
+    );
+    const [leaders] = await db.query(
+        `SELECT cp.painter_id, p.full_name, p.phone, cp.current_value, cp.completed, cp.claimed, cp.awarded_points
+         FROM painter_challenge_progress cp
+         JOIN painters p ON p.id = cp.painter_id
+         WHERE cp.challenge_id = ? AND cp.current_value > 0
+         ORDER BY cp.completed DESC, cp.current_value DESC
+         LIMIT 50`,
+        [campaign.id]
+    );
+
+    const participants = Number(totals.participants) || 0;
+    const completed = Number(totals.completed) || 0;
+    const points = r2(cost.points);
+    return {
+        participants,
+        completed,
+        rewarded: Number(totals.rewarded) || 0,
+        completion_pct: participants ? Math.round((completed / participants) * 100) : 0,
+        points_cost: points,
+        cost_per_participant: participants ? r2(points / participants) : 0,
+        cost_per_completion: completed ? r2(points / completed) : 0,
+        by_branch: byBranch.map(b => ({ ...b, participants: Number(b.participants), completed: Number(b.completed) })),
+        painters: leaders
+    };
+}
+
+module.exports = {
+    METRICS,
+    MATCH_MODES,
+    MAX_CONDITIONS,
+    parseJson,
+    dateKey,
+    normaliseCondition,
+    normaliseCampaign,
+    campaignRules,
+    isEligible,
+    describeCondition,
+    evaluateProgress,
+    conditionValues,
+    activeCampaigns,
+    syncCampaign,
+    awardCompletion,
+    campaignResults
+};
@@ -0,0 +1,505 @@
+/**
+ * Painter fraud / collusion scoring — the nightly scan and the review queue
+ * it feeds. No Express.
+ *
+ * checkPointsDrift only proves the ledger adds up; this looks for abuse that
+ * adds up perfectly. Over the last `lookbackDays` each detector turns source
+ * data into findings — { signal, key, summary, painter_ids, detail }:
+ *
+ *   invoice_shared     one Zoho invoice credited to more than one painter
+ *                      (painter_invoices_processed)
+ *   customer_rotation  one customer's bills credited to `customerPainters`+
+ *                      painters — the same buyer rotated between accounts
+ *   shared_device      `paintersPerDevice`+ painters signing in from one
+ *                      handset (painter_sessions.device_id, set at OTP login)
+ *   phone_prefix       `paintersPerPrefix`+ registrations whose numbers share
+ *                      the first 8 of 10 digits — a block of SIMs
+ *   gps_identical      selfie check-ins at the exact same coordinates for two
+ *                      painters, or for one painter on `gpsRepeatDays`+ days
+ *                      (real GPS jitters; a spoofer's fixed point doesn't)
+ *   referral_ring      referral cycles (A→B→A, A→B→C→A), and a referrer and
+ *                      referred painter signing in on the same device
+ *
+ * A painter's score is the sum of the weights of the distinct signals they
+ * appear in (capped at 100). At `caseScore` they get a case in
+ * painter_fraud_cases — one open case per painter, re-scored each night with
+ * its evidence merged by key. A cleared case is the reviewer saying "this is
+ * fine": its evidence keys never count against that painter again, so only
+ * new evidence reopens them. A confirmed case is left alone.
+ *
+ * A case can freeze the painter's withdrawals (painters.withdrawals_frozen):
+ * pointsEngine.requestWithdrawal and approval refuse, and payout batches skip
+ * them. Reviewers freeze from the queue; the scan itself only freezes when
+ * painter_fraud_auto_freeze is '1' and the score reaches `freezeScore`.
+ * Clearing a case lifts the freeze.
+ *
+ * Policy (ai_config):
+ *   painter_fraud_enabled              '1' to run the nightly scan (on)
+ *   painter_fraud_lookback_days        window the detectors read (90)
+ *   painter_fraud_case_score           score that opens a case (40)
+ *   painter_fraud_auto_freeze          '1' to freeze from the scan (off)
+ *   painter_fraud_freeze_score         score the scan freezes at (70)
+ *   painter_fraud_painters_per_device  shared_device threshold (3)
+ *   painter_fraud_painters_per_prefix  phone_prefix threshold (4)
+ *   painter_fraud_customer_painters    customer_rotation threshold (3)
+ *   painter_fraud_gps_repeat_days      gps_identical single-painter days (5)
+ *   painter_fraud_ignore_customers     comma list of Zoho customer ids
+ *                                      (walk-in / cash accounts) to skip
+ *
+ * Planners throw Error with e.code:
+ *   FRAUD_CASE_STATE — the review action isn't allowed from the case status
+ *
+ * DB helpers take the db handle.
+ */
+
+const SIGNALS = {
+    invoice_shared: { weight: 40, label: 'Invoice credited to several painters' },
+    customer_rotation: { weight: 25, label: 'Customer rotated across painters' },
+    shared_device: { weight: 30, label: 'Painters sharing a device' },
+    phone_prefix: { weight: 15, label: 'Sequential phone numbers' },
+    gps_identical: { weight: 30, label: 'Identical check-in GPS' },
+    referral_ring: { weight: 35, label: 'Referral ring' }
+};
+const STATUSES = ['open', 'cleared', 'confirmed'];
+const MAX_SCORE = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const CONFIG_KEYS = [
+    'painter_fraud_enabled', 'painter_fraud_lookback_days', 'painter_fraud_case_score',
+    'painter_fraud_auto_freeze', 'painter_fraud_freeze_score', 'painter_fraud_painters_per_device',
+    'painter_fraud_painters_per_prefix', 'painter_fraud_customer_painters',
+    'painter_fraud_gps_repeat_days', 'painter_fraud_ignore_customers'
+];
+
+// action → case statuses it may run from
+const TRANSITIONS = {
+    freeze: ['open', 'confirmed'],
+    unfreeze: ['open', 'cleared', 'confirmed'],
+    clear: ['open'],
+    confirm: ['open']
+};
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+function bounded(value, fallback, min, max) {
+    const n = parseInt(value, 10);
+    return n >= min && n <= max ? n : fallback;
+}
+
+// JSON columns come back parsed (MySQL) or as text (MariaDB).
+function parseJson(value) {
+    if (value == null || value === '') return null;
+    if (typeof value !== 'string') return value;
+    try { return JSON.parse(value); } catch { return null; }
+}
+
+/** GROUP_CONCAT '12,7,12' → [7, 12] */
+function idList(value) {
+    const ids = String(value == null ? '' : value).split(',').map(Number).filter(n => n > 0);
+    return [...new Set(ids)].sort((a, b) => a - b);
+}
+
+function addDays(iso, n) {
+    return new Date(Date.parse(iso + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Normalise the ai_config rows into a policy.
+ * @param {Object<string,string>} cfg - config_key → config_value
+ */
+function parsePolicy(cfg) {
+    const caseScore = bounded(cfg.painter_fraud_case_score, 40, 1, MAX_SCORE);
+    return {
+        enabled: cfg.painter_fraud_enabled !== '0',
+        lookbackDays: bounded(cfg.painter_fraud_lookback_days, 90, 1, 730),
+        caseScore,
+        autoFreeze: cfg.painter_fraud_auto_freeze === '1',
+        freezeScore: Math.max(caseScore, bounded(cfg.painter_fraud_freeze_score, 70, 1, MAX_SCORE)),
+        paintersPerDevice: bounded(cfg.painter_fraud_painters_per_device, 3, 2, 100),
+        paintersPerPrefix: bounded(cfg.painter_fraud_painters_per_prefix, 4, 2, 100),
+        customerPainters: bounded(cfg.painter_fraud_customer_painters, 3, 2, 100),
+        gpsRepeatDays: bounded(cfg.painter_fraud_gps_repeat_days, 5, 2, 365),
+        ignoreCustomers: String(cfg.painter_fraud_ignore_customers || '')
+            .split(',').map(s => s.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Referral cycles of length 2 and 3 in the referrer → referred graph.
+ * @param {Array<{referrer_id:number, referred_id:number}>} edges
+ * @returns {number[][]} each ring's painter ids, smallest first, once
+ */
+function referralRings(edges) {
+    const out = new Map();
+    (edges || []).forEach(e => {
+        const from = Number(e.referrer_id), to = Number(e.referred_id);
+        if (!from || !to || from === to) return;
+        if (!out.has(from)) out.set(from, new Set());
+        out.get(from).add(to);
+    });
+    const rings = new Map();
+    const add = ids => {
+        const sorted = [...ids].sort((a, b) => a - b);
+        rings.set(sorted.join('-'), sorted);
+    };
+    for (const [a, next] of out) {
+        for (const b of next) {
+            const fromB = out.get(b);
+            if (!fromB) continue;
+            if (fromB.has(a)) add([a, b]);
+            for (const c of fromB) {
+                if (c !== a && out.get(c) && out.get(c).has(a)) add([a, b, c]);
+            }
+        }
+    }
+    return [...rings.values()];
+}
+
+/**
+ * Score each painter from the findings.
+ * @param {Array<object>} findings
+ * @param {Map<number,Set<string>>} [cleared] - painter → evidence keys a
+ *        reviewer already cleared for them; those findings don't count
+ * @returns {Map<number,{score:number, signals:string[], evidence:Array<object>}>}
+ */
+function scorePainters(findings, cleared = new Map()) {
+    const byPainter = new Map();
+    for (const f of findings || []) {
+        for (const painterId of f.painter_ids) {
+            const dismissed = cleared.get(painterId);
+            if (dismissed && dismissed.has(f.key)) continue;
+            if (!byPainter.has(painterId)) byPainter.set(painterId, { score: 0, signals: [], evidence: [] });
+            const p = byPainter.get(painterId);
+            p.evidence.push(f);
+            if (!p.signals.includes(f.signal)) p.signals.push(f.signal);
+        }
+    }
+    for (const p of byPainter.values()) {
+        p.score = Math.min(MAX_SCORE, p.signals.reduce((s, sig) => s + SIGNALS[sig].weight, 0));
+    }
+    return byPainter;
+}
+
+/** A case's stored evidence with this run's findings laid over it (by key). */
+function mergeEvidence(existing, findings) {
+    const byKey = new Map();
+    (existing || []).forEach(f => byKey.set(f.key, f));
+    (findings || []).forEach(f => byKey.set(f.key, f));
+    return [...byKey.values()];
+}
+
+/** @throws FRAUD_CASE_STATE */
+function assertTransition(fraudCase, action) {
+    const allowed = TRANSITIONS[action];
+    if (!allowed) throw fail('FRAUD_CASE_STATE', `Unknown action: ${action}`);
+    if (!allowed.includes(fraudCase.status)) {
+        throw fail('FRAUD_CASE_STATE', `Cannot ${action} a case that is ${fraudCase.status}`);
+    }
+}
+
+async function loadPolicy(db) {
+    const [rows] = await db.query('SELECT config_key, config_value FROM ai_config WHERE config_key IN (?)', [CONFIG_KEYS]);
+    const cfg = {};
+    rows.forEach(r => { cfg[r.config_key] = r.config_value; });
+    return parsePolicy(cfg);
+}
+
+// ─── Detectors ───────────────────────────────────────────────
+
+// One claimed Zoho invoice, whichever row it came in on: direct / salesperson
+// rows and estimate claims (invoice_id 'EST-<id>') all carry zoho_invoice_id.
+const INVOICE_KEY = "COALESCE(NULLIF(zoho_invoice_id, ''), invoice_id)";
+
+async function detectSharedInvoices(db, since) {
+    const [rows] = await db.query(
+        `SELECT ${INVOICE_KEY} AS invoice_key, MAX(invoice_number) AS invoice_number, MAX(invoice_total) AS invoice_total,
+                GROUP_CONCAT(DISTINCT painter_id) AS painter_ids
+         FROM painter_invoices_processed
+         WHERE ${INVOICE_KEY} IN (SELECT ${INVOICE_KEY} FROM painter_invoices_processed WHERE processed_at >= ?)
+         GROUP BY invoice_key HAVING COUNT(DISTINCT painter_id) > 1`,
+        [since]
+    );
+    return rows.map(r => {
+        const ids = idList(r.painter_ids);
+        return {
+            signal: 'invoice_shared',
+            key: `invoice:${r.invoice_key}`,
+            summary: `Invoice ${r.invoice_number || r.invoice_key} credited to ${ids.length} painters`,
+            painter_ids: ids,
+            detail: { invoice_id: r.invoice_key, invoice_number: r.invoice_number || null, invoice_total: parseFloat(r.invoice_total) || 0 }
+        };
+    });
+}
+
+async function detectCustomerRotation(db, since, policy) {
+    const [rows] = await db.query(
+        `SELECT zi.zoho_customer_id, MAX(zi.customer_name) AS customer_name, COUNT(DISTINCT zi.zoho_invoice_id) AS invoices,
+                GROUP_CONCAT(DISTINCT pip.painter_id) AS painter_ids
+         FROM painter_invoices_processed pip
+         JOIN zoho_invoices zi ON zi.zoho_invoice_id = COALESCE(NULLIF(pip.zoho_invoice_id, ''), pip.invoice_id)
+         WHERE pip.billing_type = 'customer' AND pip.processed_at >= ? AND zi.zoho_customer_id IS NOT NULL
+         GROUP BY zi.zoho_customer_id HAVING COUNT(DISTINCT pip.painter_id) >= ?`,
+        [since, policy.customerPainters]
+    );
+    return rows.filter(r => !policy.ignoreCustomers.includes(String(r.zoho_customer_id))).map(r => {
+        const ids = idList(r.painter_ids);
+        return {
+            signal: 'customer_rotation',
+            key: `customer:${r.zoho_customer_id}`,
+            summary: `${r.customer_name || 'Customer ' + r.zoho_customer_id}: ${Number(r.invoices)} bills across ${ids.length} painters`,
+            painter_ids: ids,
+            detail: { zoho_customer_id: r.zoho_customer_id, customer_name: r.customer_name || null, invoices: Number(r.invoices) }
+        };
+    });
+}
+
+async function detectSharedDevices(db, since, policy) {
+    const [rows] = await db.query(
+        `SELECT device_id, GROUP_CONCAT(DISTINCT painter_id) AS painter_ids, MAX(created_at) AS last_seen
+         FROM painter_sessions
+         WHERE device_id IS NOT NULL AND created_at >= ?
+         GROUP BY device_id HAVING COUNT(DISTINCT painter_id) >= ?`,
+        [since, policy.paintersPerDevice]
+    );
+    return rows.map(r => {
+        const ids = idList(r.painter_ids);
+        return {
+            signal: 'shared_device',
+            key: `device:${r.device_id}`,
+            summary: `${ids.length} painters signed in from one device`,
+            painter_ids: ids,
+            detail: { device_id: r.device_id, last_seen: r.last_seen }
+        };
+    });
+}
+
+async function detectPhonePrefixes(db, since, policy) {
+    const [rows] = await db.query(
+        `SELECT LEFT(RIGHT(phone, 10), 8) AS prefix, GROUP_CONCAT(id) AS painter_ids,
+                MIN(created_at) AS first_registered, MAX(created_at) AS last_registered
+         FROM painters
+         WHERE created_at >= ? AND phone IS NOT NULL AND LENGTH(phone) >= 10
+         GROUP BY prefix HAVING COUNT(*) >= ?`,
+        [since, policy.paintersPerPrefix]
+    );
+    return rows.map(r => {
+        const ids = idList(r.painter_ids);
+        return {
+            signal: 'phone_prefix',
+            key: `prefix:${r.prefix}`,
+            summary: `${ids.length} painters registered on ${r.prefix}xx numbers`,
+            painter_ids: ids,
+            detail: { prefix: r.prefix, first_registered: r.first_registered, last_registered: r.last_registered }
+        };
+    });
+}
+
+async function detectIdenticalGps(db, since, policy) {
+    const [rows] = await db.query(
+        `SELECT latitude, longitude, COUNT(*) AS checkins, COUNT(DISTINCT checkin_date) AS days,
+                GROUP_CONCAT(DISTINCT painter_id) AS painter_ids
+         FROM painter_attendance_checkins
+         WHERE checkin_date >= ? AND status = 'approved'
+         GROUP BY latitude, longitude
+         HAVING COUNT(DISTINCT painter_id) >= 2 OR COUNT(DISTINCT checkin_date) >= ?`,
+        [since, policy.gpsRepeatDays]
+    );
+    return rows.map(r => {
+        const ids = idList(r.painter_ids);
+        const spot = `${r.latitude},${r.longitude}`;
+        return {
+            signal: 'gps_identical',
+            key: `gps:${spot}`,
+            summary: ids.length > 1
+                ? `${ids.length} painters checked in at exactly ${spot}`
+                : `Checked in at exactly ${spot} on ${Number(r.days)} days`,
+            painter_ids: ids,
+            detail: { latitude: String(r.latitude), longitude: String(r.longitude), checkins: Number(r.checkins), days: Number(r.days) }
+        };
+    });
+}
+
+async function detectReferralRings(db, since) {
+    const [edges] = await db.query('SELECT referrer_id, referred_id FROM painter_referrals');
+    const findings = referralRings(edges).map(ids => ({
+        signal: 'referral_ring',
+        key: `ring:${ids.join('-')}`,
+        summary: `Referral cycle between ${ids.length} painters`,
+        painter_ids: ids,
+        detail: { ring: ids }
+    }));
+
+    const [pairs] = await db.query(
+        `SELECT DISTINCT r.referrer_id, r.referred_id, s1.device_id
+         FROM painter_referrals r
+         JOIN painter_sessions s1 ON s1.painter_id = r.referrer_id AND s1.device_id IS NOT NULL
+         JOIN painter_sessions s2 ON s2.painter_id = r.referred_id AND s2.device_id = s1.device_id
+         WHERE r.created_at >= ?`,
+        [since]
+    );
+    const seen = new Set();
+    for (const p of pairs) {
+        const key = `referral-device:${p.referrer_id}-${p.referred_id}`;
+        if (seen.has(key)) continue;
+        seen.add(key);
+        findings.push({
+            signal: 'referral_ring',
+            key,
+            summary: 'Referrer and referred painter signed in on the same device',
+            painter_ids: idList(`${p.referrer_id},${p.referred_id}`),
+            detail: { referrer_id: Number(p.referrer_id), referred_id: Number(p.referred_id), device_id: p.device_id }
+        });
+    }
+    return findings;
+}
+
+/** Every detector's findings over the policy window ending `today`. */
+async function collectFindings(db, policy, today) {
+    const since = addDays(today, -policy.lookbackDays);
+    return [
+        ...await detectSharedInvoices(db, since),
+        ...await detectCustomerRotation(db, since, policy),
+        ...await detectSharedDevices(db, since, policy),
+        ...await detectPhonePrefixes(db, since, policy),
+        ...await detectIdenticalGps(db, since, policy),
+        ...await detectReferralRings(db, since)
+    ];
+}
+
+// ─── Cases ───────────────────────────────────────────────────
+
+async function clearedKeys(db, painterIds) {
+    const cleared = new Map();
+    if (!painterIds.length) return cleared;
+    const [rows] = await db.query(
+        "SELECT painter_id, evidence FROM painter_fraud_cases WHERE status = 'cleared' AND painter_id IN (?)",
+        [painterIds]
+    );
+    rows.forEach(r => {
+        if (!cleared.has(r.painter_id)) cleared.set(r.painter_id, new Set());
+        (parseJson(r.evidence) || []).forEach(f => cleared.get(r.painter_id).add(f.key));
+    });
+    return cleared;
+}
+
+async function setFrozen(db, painterId, frozen, reason = null) {
+    await db.query(
+        'UPDATE painters SET withdrawals_frozen = ?, withdrawals_frozen_reason = ? WHERE id = ?',
+        [frozen ? 1 : 0, frozen ? String(reason || 'Fraud review').slice(0, 255) : null, painterId]
+    );
+}
+
+/**
+ * One scan: detect, score, open / refresh cases, auto-freeze.
+ * @returns {Promise<{findings:number, flagged:number, opened:number, updated:number, frozen:number}>}
+ */
+async function runScan(db, today, policy = null) {
+    policy = policy || await loadPolicy(db);
+    const findings = await collectFindings(db, policy, today);
+    const involved = [...new Set(findings.flatMap(f => f.painter_ids))];
+    const scored = scorePainters(findings, await clearedKeys(db, involved));
+    const flagged = [...scored.entries()].filter(([, p]) => p.score >= policy.caseScore);
+    const result = { findings: findings.length, flagged: flagged.length, opened: 0, updated: 0, frozen: 0 };
+    if (!flagged.length) return result;
+
+    const [existing] = await db.query(
+        "SELECT id, painter_id, status, evidence, withdrawals_frozen FROM painter_fraud_cases WHERE status IN ('open', 'confirmed') AND painter_id IN (?)",
+        [flagged.map(([id]) => id)]
+    );
+    const current = new Map(existing.map(c => [c.painter_id, c]));
+
+    for (const [painterId, p] of flagged) {
+        const c = current.get(painterId);
+        if (c && c.status === 'confirmed') continue;
+        let caseId, frozen;
+        if (c) {
+            const evidence = mergeEvidence(parseJson(c.evidence), p.evidence);
+            const signals = [...new Set(evidence.map(f => f.signal))];
+            const score = Math.min(MAX_SCORE, signals.reduce((s, sig) => s + SIGNALS[sig].weight, 0));
+            await db.query(
+                'UPDATE painter_fraud_cases SET score = ?, signals = ?, evidence = ?, last_detected_on = ? WHERE id = ?',
+                [score, signals.join(','), JSON.stringify(evidence), today, c.id]
+            );
+            caseId = c.id;
+            frozen = Number(c.withdrawals_frozen) === 1;
+            p.score = score;
+            result.updated++;
+        } else {
+            const [ins] = await db.query(
+                `INSERT INTO painter_fraud_cases (painter_id, score, signals, evidence, first_detected_on, last_detected_on)
+                 VALUES (?, ?, ?, ?, ?, ?)`,
+                [painterId, p.score, p.signals.join(','), JSON.stringify(p.evidence), today, today]
+            );
+            caseId = ins.insertId;
+            frozen = false;
+            result.opened++;
+        }
+        if (policy.autoFreeze && !frozen && p.score >= policy.freezeScore) {
+            await setFrozen(db, painterId, true, `Fraud review case #${caseId}`);
+            await db.query('UPDATE painter_fraud_cases SET withdrawals_frozen = 1 WHERE id = ?', [caseId]);
+            result.frozen++;
+        }
+    }
+    return result;
+}
+
+/** The review queue, highest score first. */
+async function listCases(db, { status = 'open' } = {}) {
+    const params = [];
+    let where = '1 = 1';
+    if (STATUSES.includes(status)) { where = 'c.status = ?'; params.push(status); }
+    const [rows] = await db.query(
+        `SELECT c.id, c.painter_id, c.status, c.score, c.signals, c.withdrawals_frozen,
+                c.first_detected_on, c.last_detected_on, c.reviewed_at, c.review_notes,
+                p.full_name, p.phone, p.status AS painter_status, p.branch_id
+         FROM painter_fraud_cases c JOIN painters p ON p.id = c.painter_id
+         WHERE ${where}
+         ORDER BY c.score DESC, c.last_detected_on DESC, c.id DESC
+         LIMIT 200`,
+        params
+    );
+    return rows.map(r => ({ ...r, signals: r.signals ? r.signals.split(',') : [] }));
+}
+
+/** One case with its evidence and the painters the evidence names. */
+async function loadCase(db, id) {
+    const [rows] = await db.query(
+        `SELECT c.*, p.full_name, p.phone, p.status AS painter_status, p.branch_id,
+                p.regular_points, p.annual_points, p.created_at AS registered_at
+         FROM painter_fraud_cases c JOIN painters p ON p.id = c.painter_id
+         WHERE c.id = ?`,
+        [id]
+    );
+    if (!rows.length) return null;
+    const c = rows[0];
+    const evidence = parseJson(c.evidence) || [];
+    const ids = [...new Set(evidence.flatMap(f => f.painter_ids || []))];
+    let related = [];
+    if (ids.length) {
+        [related] = await db.query(
+            'SELECT id, full_name, phone, status, branch_id, withdrawals_frozen FROM painters WHERE id IN (?) ORDER BY id',
+            [ids]
+        );
+    }
+    return { ...c, signals: c.signals ? c.signals.split(',') : [], evidence, related };
+}
+
+module.exports = {
+    SIGNALS,
+    STATUSES,
+    parsePolicy,
+    referralRings,
+    scorePainters,
+    mergeEvidence,
+    assertTransition,
+    loadPolicy,
+    collectFindings,
+    setFrozen,
+    runScan,
+    listCases,
+    loadCase
+};
@@ -241,6 +241,24 @@ async function markRead(painterId, notificationId) {
     }
 }
 
+/**
+ * Send a WhatsApp text to a painter's registered phone (General session).
+ * Best-effort alongside sendToPainter — returns false when the painter has no
+ * phone or no WhatsApp session is connected.
+ *
+ * @param {number} painterId
+ * @param {string} message
+ * @param {string} [source] - chat-recording source tag
+ * @returns {boolean}
+ */
+async function sendWhatsApp(painterId, message, source = 'painter_notification') {
+    const [rows] = await pool.query('SELECT phone FROM painters WHERE id = ?', [painterId]);
+    if (!rows.length || !rows[0].phone) return false;
+    // Lazy: the session manager pulls in the WhatsApp client.
+    const sessionManager = require('./whatsapp-session-manager');
+    return sessionManager.sendMessage(0, rows[0].phone, message, { source });
+}
+
 // ═══════════════════════════════════════════
 // RETENTION NOTIFICATION HELPERS
 // ═══════════════════════════════════════════
@@ -296,6 +314,7 @@ module.exports = {
     setDependencies,
     sendToPainter,
     sendToAll,
+    sendWhatsApp,
     getNotifications,
     markRead,
     getRetentionNotification
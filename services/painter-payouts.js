@@ -0,0 +1,282 @@
+/**
+ * Painter withdrawal payout batches — the batching rules, no Express.
+ *
+ * Instead of paying approved withdrawals one by one, finance picks a set of
+ * them, downloads one bulk-payout file for the bank portal and settles the
+ * whole batch from the bank's response:
+ *
+ *   approved withdrawals ──create──▶ batch 'generated' (file downloadable)
+ *       batch ──settle──▶ 'paid'       each row paid with its UTR, or failed
+ *       batch ──cancel──▶ 'cancelled'  rows released, still approved
+ *   paid row ──reconcile──▶ back to pending (points returned)
+ *
+ * A batch is NEFT or UPI. NEFT rows need the painter's account name, number
+ * and IFSC; UPI rows need a VPA. Withdrawals missing them are skipped at
+ * creation and reported, not batched, as are withdrawals of a painter whose
+ * payouts are frozen for fraud review (painters.withdrawals_frozen). A row
+ * failed at settlement was never paid, so it only goes back to pending; a row
+ * the bank returns after it was marked paid also gets its points back
+ * (pointsEngine.refundWithdrawal).
+ *
+ * Each file row carries the withdrawal as its reference (W<id>) so the bank's
+ * return file maps back to our rows.
+ *
+ * The payout details a row was checked against are copied onto the
+ * withdrawal when it is batched (payee_*, payeeSnapshot) and the file is built
+ * from that copy — a painter editing their profile afterwards can't redirect
+ * a payout that is already in a generated batch. The copy is dropped when the
+ * row leaves the batch unpaid (cancel / failed) and kept once it is paid.
+ *
+ * Planners throw Error with e.code:
+ *   INVALID_PAYOUT — bad mode / rows / UTRs
+ *   PAYOUT_STATE   — the action isn't allowed from the batch's status
+ *
+ * DB helpers take the db handle (pool or a transaction connection).
+ */
+
+const MODES = ['neft', 'upi'];
+
+const IFSC_RE = /^[A-Z]{4}0[A-Z0-9]{6}$/;
+const UPI_RE = /^[a-zA-Z0-9._-]{2,256}@[a-zA-Z][a-zA-Z0-9]{1,64}$/;
+const ACCOUNT_RE = /^\d{6,20}$/;
+const UTR_RE = /^[A-Za-z0-9]{6,30}$/;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// action → batch statuses it may run from
+const TRANSITIONS = {
+    settle: ['generated'],
+    cancel: ['generated'],
+    reconcile: ['paid']
+};
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/**
+ * Throw PAYOUT_STATE unless `action` may run on a batch in `status`.
+ */
+function assertTransition(status, action) {
+    const from = TRANSITIONS[action];
+    if (!from) throw new Error(`Unknown payout action: ${action}`);
+    if (!from.includes(status)) throw fail('PAYOUT_STATE', `Cannot ${action} a batch that is ${status}`);
+}
+
+/**
+ * Why a withdrawal can't go into a `mode` batch, or null if it can.
+ * @param {object} row - painter_withdrawals row joined with the painter's payout details
+ */
+function payoutIssue(row, mode) {
+    if (mode === 'upi') {
+        if (!row.upi_id) return 'No UPI ID';
+        if (!UPI_RE.test(String(row.upi_id).trim())) return `Invalid UPI ID ${row.upi_id}`;
+        return null;
+    }
+    const name = String(row.bank_account_name || row.full_name || '').trim();
+    if (!name) return 'No account holder name';
+    if (!row.bank_account_number) return 'No bank account number';
+    if (!ACCOUNT_RE.test(String(row.bank_account_number).replace(/\s/g, ''))) return 'Invalid bank account number';
+    if (!row.bank_ifsc_code) return 'No IFSC code';
+    if (!IFSC_RE.test(String(row.bank_ifsc_code).trim().toUpperCase())) return `Invalid IFSC ${row.bank_ifsc_code}`;
+    return null;
+}
+
+/**
+ * Check payout details a painter enters on their profile; blank fields are
+ * left alone.
+ * @returns {string|null} what is wrong, or null
+ */
+function detailsIssue({ bank_account_number, bank_ifsc_code, upi_id } = {}) {
+    if (bank_account_number && !ACCOUNT_RE.test(String(bank_account_number).replace(/\s/g, ''))) return 'Invalid bank account number';
+    if (bank_ifsc_code && !IFSC_RE.test(String(bank_ifsc_code).trim().toUpperCase())) return `Invalid IFSC ${bank_ifsc_code}`;
+    if (upi_id && !UPI_RE.test(String(upi_id).trim())) return `Invalid UPI ID ${upi_id}`;
+    return null;
+}
+
+/**
+ * The payout details a batched withdrawal is paid to, normalised the way the
+ * bank file writes them.
+ * @param {object} row - withdrawal joined with the painter's payout details
+ * @returns {{payee_name, payee_account_number, payee_ifsc_code, payee_upi_id}}
+ */
+function payeeSnapshot(row, mode) {
+    const upi = mode === 'upi';
+    return {
+        payee_name: String(row.bank_account_name || row.full_name || '').trim().slice(0, 150) || null,
+        payee_account_number: upi ? null : String(row.bank_account_number).replace(/\s/g, ''),
+        payee_ifsc_code: upi ? null : String(row.bank_ifsc_code).trim().toUpperCase(),
+        payee_upi_id: upi ? String(row.upi_id).trim() : null
+    };
+}
+
+/**
+ * Split approved, unbatched withdrawals into what goes into the batch and
+ * what is skipped (and why).
+ * @param {Array<object>} rows - candidate withdrawals with payout details
+ * @param {'neft'|'upi'} mode
+ * @returns {{rows:Array<object>, skipped:Array<{withdrawal_id, painter, reason}>, rowCount:number, totalAmount:number}}
+ */
+function planBatch(rows, mode) {
+    if (!MODES.includes(mode)) throw fail('INVALID_PAYOUT', `Unknown payout mode: ${mode}`);
+    const batched = [];
+    const skipped = [];
+    for (const row of rows || []) {
+        let reason = null;
+        if (row.status !== 'approved') reason = `Withdrawal is ${row.status}`;
+        else if (row.batch_id) reason = 'Already in a payout batch';
+        else if (Number(row.withdrawals_frozen) === 1) reason = 'Withdrawals frozen for fraud review';
+        else reason = payoutIssue(row, mode);
+        if (reason) skipped.push({ withdrawal_id: row.id, painter: row.full_name || null, reason });
+        else batched.push(row);
+    }
+    if (!batched.length) throw fail('INVALID_PAYOUT', 'No approved withdrawal has the payout details this batch needs');
+    const totalAmount = r2(batched.reduce((s, r) => s + r2(r.amount), 0));
+    return { rows: batched, skipped, rowCount: batched.length, totalAmount };
+}
+
+function csvCell(value) {
+    const s = value === null || value === undefined ? '' : String(value);
+    return /[",\n\r]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/**
+ * The bulk-payout CSV for the bank portal.
+ *   NEFT: Sr No, Beneficiary Name, Account Number, IFSC, Amount, Payment Mode, Narration, Reference
+ *   UPI:  Sr No, Beneficiary Name, UPI ID, Amount, Narration, Reference
+ * @param {{batch_number:string, mode:string}} batch
+ * @param {Array<object>} rows - the batch's withdrawals with their payee snapshot
+ * @returns {string}
+ */
+function buildPayoutFile(batch, rows) {
+    const narration = `Painter payout ${batch.batch_number}`;
+    const lines = batch.mode === 'upi'
+        ? [['Sr No', 'Beneficiary Name', 'UPI ID', 'Amount', 'Narration', 'Reference']]
+        : [['Sr No', 'Beneficiary Name', 'Account Number', 'IFSC', 'Amount', 'Payment Mode', 'Narration', 'Reference']];
+    rows.forEach((row, i) => {
+        const amount = r2(row.amount).toFixed(2);
+        const ref = `W${row.id}`;
+        lines.push(batch.mode === 'upi'
+            ? [i + 1, row.payee_name, row.payee_upi_id, amount, narration, ref]
+            : [i + 1, row.payee_name, row.payee_account_number, row.payee_ifsc_code, amount, 'NEFT', narration, ref]);
+    });
+    return lines.map(l => l.map(csvCell).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Settle a generated batch from the bank's response: every row of the batch
+ * exactly once, either paid with its UTR or failed with a reason.
+ * @param {Array<object>} batchRows - the withdrawals in the batch
+ * @param {Array<{withdrawal_id:number, utr?:string, failed?:boolean, reason?:string}>} results
+ * @returns {{paid:Array<{row, utr}>, failed:Array<{row, reason}>, paidAmount:number}}
+ */
+function planSettlement(batchRows, results) {
+    const byId = new Map(batchRows.map(r => [Number(r.id), r]));
+    const seen = new Set();
+    const seenUtr = new Set();
+    const paid = [];
+    const failed = [];
+    for (const result of results || []) {
+        const id = Number(result.withdrawal_id);
+        const row = byId.get(id);
+        if (!row) throw fail('INVALID_PAYOUT', `Withdrawal #${id} is not in this batch`);
+        if (seen.has(id)) throw fail('INVALID_PAYOUT', `Withdrawal #${id} is listed twice`);
+        seen.add(id);
+        if (result.failed) {
+            failed.push({ row, reason: String(result.reason || '').trim() || 'Payout failed' });
+            continue;
+        }
+        const utr = String(result.utr || '').trim().toUpperCase();
+        if (!UTR_RE.test(utr)) throw fail('INVALID_PAYOUT', `Withdrawal #${id} needs a valid UTR reference`);
+        if (seenUtr.has(utr)) throw fail('INVALID_PAYOUT', `UTR ${utr} is used twice`);
+        seenUtr.add(utr);
+        paid.push({ row, utr });
+    }
+    const missing = batchRows.filter(r => !seen.has(Number(r.id)));
+    if (missing.length) {
+        throw fail('INVALID_PAYOUT', `Give an outcome for every row — missing ${missing.map(r => `#${r.id}`).join(', ')}`);
+    }
+    return { paid, failed, paidAmount: r2(paid.reduce((s, p) => s + r2(p.row.amount), 0)) };
+}
+
+/**
+ * Rows of a settled batch that the bank returned after all: only rows that
+ * are still paid in this batch qualify.
+ * @param {Array<object>} batchRows
+ * @param {Array<{withdrawal_id:number, reason?:string}>} returns
+ * @returns {Array<{row, reason}>}
+ */
+function planReconcile(batchRows, returns) {
+    const byId = new Map(batchRows.map(r => [Number(r.id), r]));
+    const seen = new Set();
+    const out = [];
+    for (const ret of returns || []) {
+        const id = Number(ret.withdrawal_id);
+        const row = byId.get(id);
+        if (!row) throw fail('INVALID_PAYOUT', `Withdrawal #${id} is not in this batch`);
+        if (seen.has(id)) throw fail('INVALID_PAYOUT', `Withdrawal #${id} is listed twice`);
+        seen.add(id);
+        if (row.status !== 'paid') throw fail('INVALID_PAYOUT', `Withdrawal #${id} is ${row.status}, not paid`);
+        out.push({ row, reason: String(ret.reason || '').trim() || 'Payout returned by bank' });
+    }
+    if (!out.length) throw fail('INVALID_PAYOUT', 'Pick at least one failed row');
+    return out;
+}
+
+// ─── DB helpers ──────────────────────────────────────────────
+
+// pw.* carries the payee snapshot of a batched row (what the file pays);
+// p.* is the painter's current details (what a new batch is checked against).
+const ROW_COLUMNS = `pw.*, p.full_name, p.phone, p.bank_account_name, p.bank_name,
+    p.bank_account_number, p.bank_ifsc_code, p.upi_id, p.withdrawals_frozen`;
+
+async function loadBatch(db, id, forUpdate = false) {
+    const [rows] = await db.query(
+        `SELECT * FROM painter_payout_batches WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/** The withdrawals in a batch (or the given ids), with the painter's payout details. */
+async function loadWithdrawalRows(db, { batchId = null, ids = null, forUpdate = false } = {}) {
+    const where = batchId ? 'pw.batch_id = ?' : 'pw.id IN (?)';
+    const [rows] = await db.query(
+        `SELECT ${ROW_COLUMNS} FROM painter_withdrawals pw
+         JOIN painters p ON p.id = pw.painter_id
+         WHERE ${where} ORDER BY pw.id${forUpdate ? ' FOR UPDATE' : ''}`,
+        [batchId || ids]
+    );
+    return rows;
+}
+
+/** Approved withdrawals not yet in a batch — the candidates for a new one. */
+async function loadApprovedUnbatched(db, { pool: pointPool = null, forUpdate = false } = {}) {
+    const params = [];
+    let where = "pw.status = 'approved' AND pw.batch_id IS NULL";
+    if (pointPool) { where += ' AND pw.pool = ?'; params.push(pointPool); }
+    const [rows] = await db.query(
+        `SELECT ${ROW_COLUMNS} FROM painter_withdrawals pw
+         JOIN painters p ON p.id = pw.painter_id
+         WHERE ${where} ORDER BY pw.requested_at, pw.id${forUpdate ? ' FOR UPDATE' : ''}`,
+        params
+    );
+    return rows;
+}
+
+module.exports = {
+    MODES,
+    assertTransition,
+    payoutIssue,
+    detailsIssue,
+    payeeSnapshot,
+    planBatch,
+    buildPayoutFile,
+    planSettlement,
+    planReconcile,
+    loadBatch,
+    loadWithdrawalRows,
+    loadApprovedUnbatched
+};
@@ -3,6 +3,8 @@
  * Handles all points calculation, slab evaluation, invoice processing, and credit management
  */
 
+const pointsExpiry = require('./painter-points-expiry');
+
 let pool;
 
 function setPool(p) { pool = p; }
@@ -131,11 +133,17 @@ async function addPoints(painterId, pointPool, amount, source, refId, refType, d
     }
 }
 
-async function deductPoints(painterId, pointPool, amount, source, refId, refType, description, createdBy) {
+/**
+ * Take points out of a pool. `type` is the ledger row type ('debit' for
+ * withdrawals and adjustments, 'redeem' for reward redemptions). Pass `conn`
+ * to run inside the caller's transaction (it then neither commits nor rolls
+ * back); otherwise it runs in its own.
+ */
+async function deductPoints(painterId, pointPool, amount, source, refId, refType, description, createdBy, { type = 'debit', conn: outerConn = null } = {}) {
     if (amount <= 0) return;
-    const conn = await pool.getConnection();
+    const conn = outerConn || await pool.getConnection();
     try {
-        await conn.beginTransaction();
+        if (!outerConn) await conn.beginTransaction();
 
         const [painter] = await conn.query('SELECT regular_points, annual_points FROM painters WHERE id = ? FOR UPDATE', [painterId]);
         if (!painter.length) throw new Error('Painter not found');
@@ -146,9 +154,9 @@ async function deductPoints(painterId, pointPool, amount, source, refId, refType
         const newBalance = currentBalance - amount;
 
         await conn.query(
-            `INSERT INTO painter_point_transactions (painter_id, pool, type, amount, balance_after, source, reference_id, reference_type, description, created_by)
-             VALUES (?, ?, 'debit', ?, ?, ?, ?, ?, ?, ?)`,
-            [painterId, pointPool, -amount, newBalance, source, refId || null, refType || null, description || null, createdBy || null]
+            `INSERT INTO painter_point_transactions (painter_id, pool, amount, balance_after, source, reference_id, reference_type, description, created_by, type)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [painterId, pointPool, -amount, newBalance, source, refId || null, refType || null, description || null, createdBy || null, type]
         );
 
         const poolCol = `${pointPool}_points`;
@@ -158,8 +166,94 @@ async function deductPoints(painterId, pointPool, amount, source, refId, refType
             [newBalance, amount, painterId]
         );
 
-        await conn.commit();
+        if (!outerConn) await conn.commit();
         return newBalance;
+    } catch (err) {
+        if (!outerConn) await conn.rollback();
+        throw err;
+    } finally {
+        if (!outerConn) conn.release();
+    }
+}
+
+/**
+ * Give back points a deductPoints() took (a cancelled redemption): an
+ * 'adjustment' credit on the same source / reference, and the redeemed total
+ * goes down — it is not a new earn. Same `conn` option as deductPoints.
+ */
+async function returnPoints(painterId, pointPool, amount, source, refId, refType, description, createdBy, { conn: outerConn = null } = {}) {
+    if (amount <= 0) return;
+    const conn = outerConn || await pool.getConnection();
+    try {
+        if (!outerConn) await conn.beginTransaction();
+
+        const [painter] = await conn.query('SELECT regular_points, annual_points FROM painters WHERE id = ? FOR UPDATE', [painterId]);
+        if (!painter.length) throw new Error('Painter not found');
+
+        const newBalance = parseFloat(painter[0][`${pointPool}_points`]) + amount;
+        await conn.query(
+            `INSERT INTO painter_point_transactions (painter_id, pool, type, amount, balance_after, source, reference_id, reference_type, description, created_by)
+             VALUES (?, ?, 'adjustment', ?, ?, ?, ?, ?, ?, ?)`,
+            [painterId, pointPool, amount, newBalance, source, refId || null, refType || null, description || null, createdBy || null]
+        );
+        const totalCol = `total_redeemed_${pointPool}`;
+        await conn.query(
+            `UPDATE painters SET ${pointPool}_points = ?, ${totalCol} = GREATEST(0, ${totalCol} - ?) WHERE id = ?`,
+            [newBalance, amount, painterId]
+        );
+
+        if (!outerConn) await conn.commit();
+        return newBalance;
+    } catch (err) {
+        if (!outerConn) await conn.rollback();
+        throw err;
+    } finally {
+        if (!outerConn) conn.release();
+    }
+}
+
+// ═══════════════════════════════════════════
+// POINTS EXPIRY (FIFO — services/painter-points-expiry.js)
+// ═══════════════════════════════════════════
+
+/**
+ * Expire whatever part of the painter's regular balance sits on earn rows past
+ * their expires_at (as of `todayISO`, IST). One 'expired' ledger row per run;
+ * each earn row it came from gets its expired_points bumped. Safe to repeat —
+ * a second run the same day finds nothing left to expire.
+ * @returns {{expired:number, balance:number, lots:Array}} lots — the FIFO allocation, for warnings
+ */
+async function expireRegularPoints(painterId, todayISO) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+
+        const [painter] = await conn.query('SELECT regular_points FROM painters WHERE id = ? FOR UPDATE', [painterId]);
+        if (!painter.length) throw new Error('Painter not found');
+        const balance = parseFloat(painter[0].regular_points);
+
+        const plan = pointsExpiry.planExpiry(await pointsExpiry.loadLots(conn, painterId), balance, todayISO);
+        if (plan.expiring <= 0) {
+            await conn.commit();
+            return { expired: 0, balance, lots: plan.lots };
+        }
+
+        const newBalance = Math.round((balance - plan.expiring) * 100) / 100;
+        await conn.query(
+            `INSERT INTO painter_point_transactions (painter_id, pool, type, amount, balance_after, source, reference_type, description)
+             VALUES (?, 'regular', 'expired', ?, ?, 'expiry', 'points_expiry', ?)`,
+            [painterId, -plan.expiring, newBalance, `${plan.expiring} unused points past their expiry date`]
+        );
+        for (const row of plan.rows) {
+            await conn.query(
+                'UPDATE painter_point_transactions SET expired_points = COALESCE(expired_points, 0) + ? WHERE id = ?',
+                [row.points, row.id]
+            );
+        }
+        await conn.query('UPDATE painters SET regular_points = ? WHERE id = ?', [newBalance, painterId]);
+
+        await conn.commit();
+        return { expired: plan.expiring, balance: newBalance, lots: plan.lots };
     } catch (err) {
         await conn.rollback();
         throw err;
@@ -383,6 +477,8 @@ async function _awardInvoicePoints(painterId, invoice, billingType, createdBy, c
         }
     }
 
+    await _recordInvoiceLines(painterId, invoice, claimedRowId);
+
     // Update the claim row with the computed point totals. The row was
     // INSERTed at the top of this function with zeros as a placeholder.
     await pool.query(
@@ -400,6 +496,29 @@ async function _awardInvoicePoints(painterId, invoice, billingType, createdBy, c
     };
 }
 
+// Keep the invoice's line items against its claim row so campaign conditions
+// (services/painter-campaigns.js) can count product quantity / value. The
+// lines cascade with the claim row, so a released claim or a voided invoice
+// takes them along. Best-effort: campaigns must never block a points award.
+async function _recordInvoiceLines(painterId, invoice, claimedRowId) {
+    const lines = (invoice.line_items || []).filter(item => item && item.item_id);
+    if (!lines.length || !claimedRowId) return;
+    try {
+        await pool.query(
+            `INSERT IGNORE INTO painter_invoice_lines
+               (processed_id, line_no, painter_id, invoice_id, invoice_date, item_id, item_name, quantity, item_total)
+             VALUES ?`,
+            [lines.map((item, i) => [
+                claimedRowId, i + 1, painterId, String(invoice.invoice_id), invoice.date || null,
+                String(item.item_id), item.name || null,
+                parseFloat(item.quantity) || 0, parseFloat(item.item_total) || 0
+            ])]
+        );
+    } catch (e) {
+        console.error(`[Points] Invoice line capture failed for ${invoice.invoice_id}:`, e.message);
+    }
+}
+
 // ═══════════════════════════════════════════
 // SLAB EVALUATION
 // ═══════════════════════════════════════════
@@ -629,19 +748,106 @@ async function checkPointsDrift() {
 // WITHDRAWALS
 // ═══════════════════════════════════════════
 
+const MONTH_NAMES = ['', 'January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function _isoDay(y, m, d) {
+    // Clamp to the month's last day (a Feb 29 window opens on Feb 28 in other years).
+    const last = new Date(Date.UTC(y, m, 0)).getUTCDate();
+    return new Date(Date.UTC(y, m - 1, Math.min(d, last))).toISOString().slice(0, 10);
+}
+
+function _addDays(iso, n) {
+    return new Date(Date.parse(iso + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function _daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / DAY_MS);
+}
+
+function _dayLabel(iso) {
+    const [, m, d] = iso.split('-').map(Number);
+    return `${MONTH_NAMES[m]} ${d}`;
+}
+
+/**
+ * The annual-pool withdrawal window: opens every year on month/day and stays
+ * open for `days` days (inclusive). A window that opens late in December runs
+ * into the next year.
+ * @param {{month:number, day:number, days:number}} cfg
+ * @param {string} today - YYYY-MM-DD (IST)
+ * @returns {{month, day, days, open:boolean, opensOn:string, closesOn:string,
+ *            daysUntilOpen:number, daysLeft:number, label:string}}
+ *   opensOn/closesOn are the current window when open, else the next one.
+ */
+function annualWithdrawalWindow({ month, day, days }, today) {
+    const year = Number(today.slice(0, 4));
+    let opensOn = null;
+    for (const y of [year - 1, year, year + 1]) {
+        const start = _isoDay(y, month, day);
+        if (_addDays(start, days - 1) >= today) { opensOn = start; break; }
+    }
+    const closesOn = _addDays(opensOn, days - 1);
+    const open = opensOn <= today;
+    const daysUntilOpen = open ? 0 : _daysBetween(today, opensOn);
+    const daysLeft = open ? _daysBetween(today, closesOn) + 1 : 0;
+    const label = open
+        ? `Withdrawal window open until ${_dayLabel(closesOn)} (${daysLeft} day${daysLeft === 1 ? '' : 's'} left)`
+        : `Withdrawal opens on ${_dayLabel(opensOn)} (in ${daysUntilOpen} day${daysUntilOpen === 1 ? '' : 's'})`;
+    return { month, day, days, open, opensOn, closesOn, daysUntilOpen, daysLeft, label };
+}
+
+/**
+ * annualWithdrawalWindow() from ai_config (painter_annual_withdrawal_month /
+ * _day / _window_days; default January 1 for 30 days) as of today in IST.
+ */
+async function getAnnualWithdrawalWindow(now = new Date()) {
+    const [rows] = await pool.query(
+        "SELECT config_key, config_value FROM ai_config WHERE config_key IN ('painter_annual_withdrawal_month', 'painter_annual_withdrawal_day', 'painter_annual_withdrawal_window_days')"
+    );
+    const cfg = {};
+    rows.forEach(r => { cfg[r.config_key] = r.config_value; });
+    const month = Math.min(Math.max(parseInt(cfg.painter_annual_withdrawal_month) || 1, 1), 12);
+    const day = Math.min(Math.max(parseInt(cfg.painter_annual_withdrawal_day) || 1, 1), 31);
+    const days = Math.min(Math.max(parseInt(cfg.painter_annual_withdrawal_window_days) || 30, 1), 365);
+    return annualWithdrawalWindow({ month, day, days }, now.toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' }));
+}
+
+/**
+ * Fraud review hold (painters.withdrawals_frozen, set by the nightly fraud
+ * scan or a reviewer). Blocks new requests, approvals and payments until the
+ * case is cleared; a withdrawal already paid out is left alone, and so is a
+ * payout the bank reports made (recordBankPayout) — the money has moved.
+ */
+async function _assertWithdrawalsOpen(painterId) {
+    const [rows] = await pool.query('SELECT withdrawals_frozen FROM painters WHERE id = ?', [painterId]);
+    if (rows.length && Number(rows[0].withdrawals_frozen) === 1) {
+        const err = new Error('Withdrawals are on hold while your account is under review. Please contact your branch.');
+        err.code = 'WITHDRAWALS_FROZEN';
+        throw err;
+    }
+}
+
 async function requestWithdrawal(painterId, pointPool, amount) {
     const balance = await getBalance(painterId);
     if (!balance) throw new Error('Painter not found');
+    await _assertWithdrawalsOpen(painterId);
 
     const available = pointPool === 'regular' ? balance.regular : balance.annual;
     if (amount > available) throw new Error(`Insufficient ${pointPool} points. Available: ${available}`);
 
-    // For annual withdrawals, check if withdrawal window is open
+    // Annual points can only be cashed out while the yearly window is open.
     if (pointPool === 'annual') {
-        const [config] = await pool.query(
-            "SELECT config_value FROM ai_config WHERE config_key IN ('painter_annual_withdrawal_month', 'painter_annual_withdrawal_day') ORDER BY config_key"
-        );
-        // Simple check - can be enhanced later
+        const window = await getAnnualWithdrawalWindow();
+        if (!window.open) {
+            const err = new Error(
+                `Annual points can only be withdrawn from ${_dayLabel(window.opensOn)} to ${_dayLabel(window.closesOn)}. ` +
+                `The next window opens in ${window.daysUntilOpen} day${window.daysUntilOpen === 1 ? '' : 's'}.`
+            );
+            err.code = 'WITHDRAWAL_WINDOW_CLOSED';
+            err.window = window;
+            throw err;
+        }
     }
 
     const [result] = await pool.query(
@@ -664,20 +870,24 @@ async function processWithdrawal(withdrawalId, action, adminId, paymentRef, note
         // painters out of points when a payout never happened, and made the
         // approved → paid transition impossible.
         if (w.status !== 'pending') throw new Error(`Withdrawal already ${w.status}`);
+        await _assertWithdrawalsOpen(w.painter_id);
         await pool.query(
             'UPDATE painter_withdrawals SET status = ?, processed_by = ?, processed_at = NOW(), notes = ? WHERE id = ?',
             ['approved', adminId, notes || null, withdrawalId]
         );
     } else if (action === 'paid') {
         if (w.status !== 'pending' && w.status !== 'approved') throw new Error(`Withdrawal already ${w.status}`);
+        await _assertWithdrawalsOpen(w.painter_id);
         // Deduct points ONLY on paid. Idempotency guard: withdrawals approved under
         // the OLD logic (points deducted at approval) must not be deducted twice.
+        // Netted, so a payout that bounced and was refunded (refundWithdrawal)
+        // is deducted again when it is finally paid.
         const [tx] = await pool.query(
-            `SELECT id FROM painter_point_transactions
-             WHERE painter_id = ? AND source = 'withdrawal' AND reference_id = ? LIMIT 1`,
+            `SELECT COALESCE(SUM(amount), 0) AS net FROM painter_point_transactions
+             WHERE painter_id = ? AND source = 'withdrawal' AND reference_id = ?`,
             [w.painter_id, String(w.id)]
         );
-        if (tx.length === 0) {
+        if (!(parseFloat(tx[0].net) < 0)) {
             await deductPoints(w.painter_id, w.pool, parseFloat(w.amount), 'withdrawal',
                 String(w.id), 'withdrawal', `Withdrawal #${w.id} paid`, adminId);
         }
@@ -696,6 +906,106 @@ async function processWithdrawal(withdrawalId, action, adminId, paymentRef, note
     return { success: true };
 }
 
+/**
+ * A payout the bank reports made (batch settlement with a UTR). The money has
+ * left, so the withdrawal is recorded paid whatever changed since approval —
+ * points redeemed or expired in between. Deducts what the pool still holds
+ * (netted like processWithdrawal) and queues a clawback for the shortfall, so
+ * it nets against the painter's future earns instead of failing the row.
+ * @returns {Promise<{clawback: number}>}
+ */
+async function recordBankPayout(withdrawalId, adminId, paymentRef, notes) {
+    const [withdrawal] = await pool.query('SELECT * FROM painter_withdrawals WHERE id = ?', [withdrawalId]);
+    if (!withdrawal.length) throw new Error('Withdrawal not found');
+    const w = withdrawal[0];
+    if (w.status !== 'approved') throw new Error(`Withdrawal already ${w.status}`);
+
+    let clawback = 0;
+    const [tx] = await pool.query(
+        `SELECT COALESCE(SUM(amount), 0) AS net FROM painter_point_transactions
+         WHERE painter_id = ? AND source = 'withdrawal' AND reference_id = ?`,
+        [w.painter_id, String(w.id)]
+    );
+    if (!(parseFloat(tx[0].net) < 0)) {
+        const amount = parseFloat(w.amount);
+        const [painter] = await pool.query('SELECT regular_points, annual_points FROM painters WHERE id = ?', [w.painter_id]);
+        const balance = painter.length ? Math.max(0, parseFloat(painter[0][`${w.pool}_points`]) || 0) : 0;
+        const deductNow = Math.min(balance, amount);
+        if (deductNow > 0) {
+            await deductPoints(w.painter_id, w.pool, deductNow, 'withdrawal',
+                String(w.id), 'withdrawal', `Withdrawal #${w.id} paid`, adminId);
+        }
+        clawback = _round2(amount - deductNow);
+        if (clawback > 0) {
+            await queueClawback(w.painter_id, clawback, `Withdrawal #${w.id} paid with ${clawback} ${w.pool} points short`, 'withdrawal');
+        }
+    }
+    await pool.query(
+        'UPDATE painter_withdrawals SET status = ?, processed_by = ?, processed_at = NOW(), payment_reference = ?, notes = ? WHERE id = ?',
+        ['paid', adminId, paymentRef || null, notes || null, withdrawalId]
+    );
+    return { clawback };
+}
+
+/**
+ * A paid withdrawal whose bank / UPI transfer failed (returned by the bank):
+ * put the points back and send the request back to 'pending' so it can be
+ * re-approved once the payout details are fixed. The refund is an
+ * 'adjustment' row on the withdrawal's own reference, so processWithdrawal's
+ * netted guard deducts again on the next payout.
+ */
+async function refundWithdrawal(withdrawalId, adminId, reason) {
+    const conn = await pool.getConnection();
+    try {
+        await conn.beginTransaction();
+        const [rows] = await conn.query('SELECT * FROM painter_withdrawals WHERE id = ? FOR UPDATE', [withdrawalId]);
+        if (!rows.length) throw new Error('Withdrawal not found');
+        const w = rows[0];
+        if (w.status !== 'paid') throw new Error(`Withdrawal #${w.id} is ${w.status}, not paid`);
+
+        const [net] = await conn.query(
+            `SELECT COALESCE(SUM(amount), 0) AS net FROM painter_point_transactions
+             WHERE painter_id = ? AND source = 'withdrawal' AND reference_id = ?`,
+            [w.painter_id, String(w.id)]
+        );
+        const refund = Math.round(-parseFloat(net[0].net) * 100) / 100;
+        if (refund > 0) {
+            const [painter] = await conn.query('SELECT regular_points, annual_points FROM painters WHERE id = ? FOR UPDATE', [w.painter_id]);
+            if (!painter.length) throw new Error('Painter not found');
+            const newBalance = parseFloat(painter[0][`${w.pool}_points`]) + refund;
+            await conn.query(
+                `INSERT INTO painter_point_transactions (painter_id, pool, type, amount, balance_after, source, reference_id, reference_type, description, created_by)
+                 VALUES (?, ?, 'adjustment', ?, ?, 'withdrawal', ?, 'withdrawal_refund', ?, ?)`,
+                [w.painter_id, w.pool, refund, newBalance, String(w.id), `Withdrawal #${w.id} payout failed — points returned`, adminId || null]
+            );
+            const totalCol = `total_redeemed_${w.pool}`;
+            await conn.query(
+                `UPDATE painters SET ${w.pool}_points = ?, ${totalCol} = GREATEST(0, ${totalCol} - ?) WHERE id = ?`,
+                [newBalance, refund, w.painter_id]
+            );
+        }
+        // A shortfall booked at payout (recordBankPayout) is void with the payout.
+        await conn.query(
+            `DELETE FROM painter_clawback_pending
+             WHERE painter_id = ? AND source = 'withdrawal' AND settled_at IS NULL AND reason LIKE ?`,
+            [w.painter_id, `Withdrawal #${w.id} paid %`]
+        );
+        await conn.query(
+            `UPDATE painter_withdrawals SET status = 'pending', batch_id = NULL, payment_reference = NULL,
+                    payee_name = NULL, payee_account_number = NULL, payee_ifsc_code = NULL, payee_upi_id = NULL,
+                    failure_reason = ?, processed_by = ?, processed_at = NOW() WHERE id = ?`,
+            [(reason || 'Payout failed').slice(0, 255), adminId || null, w.id]
+        );
+        await conn.commit();
+        return { refunded: refund > 0 ? refund : 0 };
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+}
+
 // ═══════════════════════════════════════════
 // ATTENDANCE POINTS
 // ═══════════════════════════════════════════
@@ -803,26 +1113,60 @@ async function queueClawback(painterId, amount, reason, source = 'attendance') {
 // queue a pending clawback for any shortfall (regular pool) so it nets against
 // future earns instead of throwing. `invoiceId` is the reference_id used at
 // award time (the Zoho invoice id the billing module passes as invoice_id).
-async function _reversePool(painterId, poolName, amount, invoiceId, createdBy) {
+// `entry` overrides the ledger source/reference_type/description (sales returns).
+async function _reversePool(painterId, poolName, amount, invoiceId, createdBy, entry = null) {
     if (!(amount > 0)) return { deducted: 0, clawback: 0 };
+    const e = entry || {
+        source: 'void', refType: 'invoice_void',
+        description: `Reversal: voided invoice ${invoiceId}`, reason: `Voided invoice ${invoiceId}`
+    };
     const [rows] = await pool.query('SELECT regular_points, annual_points FROM painters WHERE id = ?', [painterId]);
     if (!rows.length) return { deducted: 0, clawback: 0 };
     const bal = parseFloat(rows[0][`${poolName}_points`]) || 0;
     const deductNow = Math.min(bal, amount);
     if (deductNow > 0) {
-        await deductPoints(painterId, poolName, deductNow, 'void', String(invoiceId), 'invoice_void',
-            `Reversal: voided invoice ${invoiceId}`, createdBy);
+        await deductPoints(painterId, poolName, deductNow, e.source, String(invoiceId), e.refType, e.description, createdBy);
     }
     const shortfall = Math.round((amount - deductNow) * 100) / 100;
     if (shortfall > 0 && poolName === 'regular') {
-        await queueClawback(painterId, shortfall, `Voided invoice ${invoiceId}`, 'void');
+        await queueClawback(painterId, shortfall, e.reason, e.source);
     }
     return { deducted: deductNow, clawback: shortfall };
 }
 
-async function reverseInvoicePoints(invoiceId, createdBy = null) {
+function _round2(n) { return Math.round((Number(n) || 0) * 100) / 100; }
+
+/**
+ * Reverse an invoice's points — fully (void/delete) or, for a sales return, in
+ * proportion to the value returned.
+ *
+ * Partial mode is selected by `options.fraction`: the share of the ORIGINAL
+ * invoice value returned now (return total / grand total), with
+ * `options.returnedBefore` the share already returned by earlier returns. The
+ * claim rows hold whatever is still unreversed, so they are scaled by
+ * fraction / (1 − returnedBefore) and reduced in place (deleted once nothing is
+ * left); referral earns live only in the ledger and are reversed at
+ * fraction × the original earn.
+ * @param {string|number} invoiceId - award reference (Zoho invoice id)
+ * @param {number|null} createdBy
+ * @param {{fraction?:number, returnedBefore?:number, label?:string}} [options] - label
+ *   names the return in the ledger description / clawback reason
+ */
+async function reverseInvoicePoints(invoiceId, createdBy = null, options = {}) {
     if (!pool) throw new Error('Database pool not initialized');
     const ref = String(invoiceId);
+    const partial = options.fraction != null;
+    let claimShare = 1;
+    let referralShare = 1;
+    let entry = null;
+    if (partial) {
+        const before = Math.min(Math.max(Number(options.returnedBefore) || 0, 0), 1);
+        const fraction = Math.min(Math.max(Number(options.fraction) || 0, 0), 1 - before);
+        claimShare = before < 1 ? Math.min(1, fraction / (1 - before)) : 0;
+        referralShare = fraction;
+        const label = options.label || `Goods returned on invoice ${ref}`;
+        entry = { source: 'sales_return', refType: 'invoice_return', description: `Reversal: ${label}`, reason: label };
+    }
     // The award claim rows (direct + salesperson attribution) carry the painter's
     // regular/annual points; referral points to the referrer live only in the
     // ledger (source='referral').
@@ -832,9 +1176,19 @@ async function reverseInvoicePoints(invoiceId, createdBy = null) {
     );
     const reversed = [];
     for (const c of claims) {
-        const reg = await _reversePool(c.painter_id, 'regular', parseFloat(c.regular_points) || 0, ref, createdBy);
-        const ann = await _reversePool(c.painter_id, 'annual', parseFloat(c.annual_points) || 0, ref, createdBy);
+        const regAmt = _round2((parseFloat(c.regular_points) || 0) * claimShare);
+        const annAmt = _round2((parseFloat(c.annual_points) || 0) * claimShare);
+        const reg = await _reversePool(c.painter_id, 'regular', regAmt, ref, createdBy, entry);
+        const ann = await _reversePool(c.painter_id, 'annual', annAmt, ref, createdBy, entry);
         reversed.push({ painter_id: c.painter_id, regular: reg, annual: ann });
+        if (partial && claimShare < 1 && (regAmt > 0 || annAmt > 0)) {
+            await pool.query(
+                `UPDATE painter_invoices_processed
+                 SET regular_points = GREATEST(0, regular_points - ?), annual_points = GREATEST(0, annual_points - ?)
+                 WHERE painter_id = ? AND (invoice_id = ? OR zoho_invoice_id = ?)`,
+                [regAmt, annAmt, c.painter_id, ref, ref]
+            );
+        }
     }
     // Referral earns awarded to OTHER painters for this invoice.
     const [refTxns] = await pool.query(
@@ -842,11 +1196,12 @@ async function reverseInvoicePoints(invoiceId, createdBy = null) {
         [ref]
     );
     for (const t of refTxns) {
-        const r = await _reversePool(t.painter_id, t.pool, parseFloat(t.amt) || 0, ref, createdBy);
+        const r = await _reversePool(t.painter_id, t.pool, _round2((parseFloat(t.amt) || 0) * referralShare), ref, createdBy, entry);
         reversed.push({ painter_id: t.painter_id, referral_pool: t.pool, ...r });
     }
-    // Drop the claim rows so the (now-void) invoice no longer counts as awarded.
-    if (claims.length) {
+    // Drop the claim rows so the (now-void / fully returned) invoice no longer
+    // counts as awarded.
+    if (claims.length && claimShare >= 1) {
         await pool.query('DELETE FROM painter_invoices_processed WHERE invoice_id = ? OR zoho_invoice_id = ?', [ref, ref]);
     }
     return { invoiceId: ref, claims: claims.length, reversed };
@@ -858,14 +1213,20 @@ module.exports = {
     getBalance,
     addPoints,
     deductPoints,
+    returnPoints,
+    expireRegularPoints,
     getLedger,
     processInvoice,
     evaluateMonthlySlabs,
     evaluateQuarterlySlabs,
     checkOverdueCredits,
     checkPointsDrift,
+    annualWithdrawalWindow,
+    getAnnualWithdrawalWindow,
     requestWithdrawal,
     processWithdrawal,
+    recordBankPayout,
+    refundWithdrawal,
     awardAttendancePoints,
     generateReferralCode,
     getLevelMultiplier,
@@ -0,0 +1,300 @@
+/**
+ * Regular-pool points expiry — FIFO, tracked per earn transaction. No Express.
+ *
+ * Every regular 'earn' row in painter_point_transactions carries expires_at
+ * (its IST earn date + painter_points_expiry_months, but never sooner than the
+ * longest warning from the night it was stamped). Spending is FIFO, so the
+ * balance a painter holds is always made of their NEWEST earns: walking the
+ * earn rows newest first and handing out the current balance tells how much of
+ * each row is still unspent. Whatever lands on a row past its expires_at
+ * expires (pointsEngine.expireRegularPoints writes the 'expired' ledger row).
+ *
+ * The balance is the only input, so the spend paths (withdrawals, redemptions,
+ * clawbacks, invoice reversals) need no lot bookkeeping, and a second run the
+ * same day expires nothing — the first 'expired' row already took the balance
+ * down to what the unexpired rows cover. Positive non-earn rows (refunds,
+ * returned redemptions) just undo an earlier spend; any balance the earn rows
+ * can't cover never expires.
+ *
+ * Warnings go out `warnDays` before a row expires (app push + WhatsApp). Each
+ * (painter, expiry date, threshold) is sent once — the primary key of
+ * painter_points_expiry_warnings is the claim. A row first seen inside the
+ * 7-day threshold gets only the 7-day warning, not a late 30-day one too.
+ *
+ * Policy (ai_config):
+ *   painter_points_expiry_enabled    '1' to run the nightly job (default off)
+ *   painter_points_expiry_months     months from earn to expiry (18)
+ *   painter_points_expiry_warn_days  comma list of warning thresholds ('30,7')
+ *   painter_points_expiry_whatsapp   '1' to also warn on WhatsApp (on)
+ *
+ * DB helpers take the db handle (pool or a transaction connection).
+ */
+
+const DEFAULT_MONTHS = 18;
+const DEFAULT_WARN_DAYS = [30, 7];
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTH_NAMES = ['', 'Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+function addDays(iso, n) {
+    return new Date(Date.parse(iso + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / DAY_MS);
+}
+
+/** '2027-04-18' → '18 Apr 2027' */
+function dateLabel(iso) {
+    const [y, m, d] = iso.split('-').map(Number);
+    return `${d} ${MONTH_NAMES[m]} ${y}`;
+}
+
+/**
+ * DATE columns come back as strings or as local-midnight Date objects,
+ * depending on the driver's dateStrings option.
+ */
+function isoDate(value) {
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${String(value.getMonth() + 1).padStart(2, '0')}-${String(value.getDate()).padStart(2, '0')}`;
+    }
+    return String(value).slice(0, 10);
+}
+
+/**
+ * Normalise the ai_config rows into a policy.
+ * @param {Object<string,string>} cfg - config_key → config_value
+ * @returns {{enabled:boolean, months:number, warnDays:number[], whatsapp:boolean}}
+ */
+function parsePolicy(cfg) {
+    const months = parseInt(cfg.painter_points_expiry_months, 10);
+    const warnDays = String(cfg.painter_points_expiry_warn_days || '')
+        .split(',')
+        .map(s => parseInt(s, 10))
+        .filter(n => n > 0 && n <= 365);
+    return {
+        enabled: cfg.painter_points_expiry_enabled === '1',
+        months: months >= 1 && months <= 120 ? months : DEFAULT_MONTHS,
+        warnDays: [...new Set(warnDays.length ? warnDays : DEFAULT_WARN_DAYS)].sort((a, b) => b - a),
+        whatsapp: cfg.painter_points_expiry_whatsapp !== '0'
+    };
+}
+
+/**
+ * Hand the balance out over the earn rows, newest first.
+ * @param {Array<{id, amount, expires_on}>} lots - earn rows, NEWEST first
+ * @param {number} balance - current regular balance
+ * @returns {Array<{id, amount, expires_on, unspent}>}
+ */
+function allocateLots(lots, balance) {
+    let left = Math.max(0, r2(balance));
+    return lots.map(lot => {
+        const unspent = r2(Math.min(left, r2(lot.amount)));
+        left = r2(left - unspent);
+        return { ...lot, expires_on: lot.expires_on ? isoDate(lot.expires_on) : null, unspent };
+    });
+}
+
+/**
+ * What expires today.
+ * @returns {{expiring:number, rows:Array<{id, points}>, lots:Array}} lots — the allocation, for warnings
+ */
+function planExpiry(lots, balance, todayISO) {
+    const allocated = allocateLots(lots, balance);
+    const rows = allocated
+        .filter(l => l.unspent > 0 && l.expires_on && l.expires_on <= todayISO)
+        .map(l => ({ id: l.id, points: l.unspent }));
+    return { expiring: r2(rows.reduce((s, r) => s + r.points, 0)), rows, lots: allocated };
+}
+
+/**
+ * Warnings the painter is due, one per expiry date: the smallest threshold
+ * the date is already inside.
+ * @param {Array} lots - allocateLots() output
+ * @returns {Array<{expires_on, days_before, days_left, points}>} soonest first
+ */
+function warningsDue(lots, todayISO, warnDays) {
+    const byDate = new Map();
+    for (const l of lots) {
+        if (!(l.unspent > 0) || !l.expires_on || l.expires_on <= todayISO) continue;
+        byDate.set(l.expires_on, r2((byDate.get(l.expires_on) || 0) + l.unspent));
+    }
+    const out = [];
+    for (const [expiresOn, points] of byDate) {
+        const daysLeft = daysBetween(todayISO, expiresOn);
+        const inside = warnDays.filter(d => daysLeft <= d);
+        if (!inside.length) continue;
+        out.push({ expires_on: expiresOn, days_before: Math.min(...inside), days_left: daysLeft, points });
+    }
+    return out.sort((a, b) => a.expires_on.localeCompare(b.expires_on));
+}
+
+/** App notification for the warnings sent to a painter in one run. */
+function warningNotification(warnings) {
+    const points = r2(warnings.reduce((s, w) => s + w.points, 0));
+    const first = warnings[0];
+    const when = first.days_left === 1 ? 'tomorrow' : `in ${first.days_left} days`;
+    return {
+        type: 'points_expiry_warning',
+        title: `${points} points expire ${when}`,
+        title_ta: `${points} புள்ளிகள் ${first.days_left} நாட்களில் காலாவதியாகும்`,
+        body: `Use them before ${dateLabel(first.expires_on)} — redeem a reward or withdraw.`,
+        body_ta: `${dateLabel(first.expires_on)} க்கு முன் பயன்படுத்துங்கள் — பரிசு பெறுங்கள் அல்லது பணமாக்குங்கள்.`,
+        data: { screen: 'points', expires_on: first.expires_on, points: String(points) }
+    };
+}
+
+function warningWhatsApp(name, warnings) {
+    const points = r2(warnings.reduce((s, w) => s + w.points, 0));
+    return `Hi ${name || 'there'},\n\n${points} of your Quality Colours points expire on ${dateLabel(warnings[0].expires_on)}. ` +
+        'Open the painter app to redeem a reward or withdraw them before then.';
+}
+
+function expiredNotification(points) {
+    return {
+        type: 'points_expired',
+        title: `${points} points expired`,
+        title_ta: `${points} புள்ளிகள் காலாவதியானது`,
+        body: 'Points expire when they are not used within the expiry period. Keep earning!',
+        body_ta: 'காலக்கெடுவுக்குள் பயன்படுத்தாத புள்ளிகள் காலாவதியாகும். தொடர்ந்து சம்பாதியுங்கள்!',
+        data: { screen: 'points', points: String(points) }
+    };
+}
+
+// ─── DB helpers ──────────────────────────────────────────────
+
+async function loadPolicy(db) {
+    const [rows] = await db.query(
+        `SELECT config_key, config_value FROM ai_config WHERE config_key IN
+         ('painter_points_expiry_enabled', 'painter_points_expiry_months', 'painter_points_expiry_warn_days', 'painter_points_expiry_whatsapp')`
+    );
+    const cfg = {};
+    rows.forEach(r => { cfg[r.config_key] = r.config_value; });
+    return parsePolicy(cfg);
+}
+
+/**
+ * Give new regular earn rows their expiry date under the current policy.
+ * Rows keep the date they got — a later policy change isn't retroactive.
+ * No row is stamped earlier than `notBefore` (today + the longest warning),
+ * so the history stamped on the first run after enabling expiry gets every
+ * warning before it goes.
+ */
+async function stampExpiry(db, months, notBefore) {
+    const [r] = await db.query(
+        `UPDATE painter_point_transactions
+         SET expires_at = GREATEST(DATE(CONVERT_TZ(created_at, '+00:00', '+05:30')) + INTERVAL ? MONTH, ?)
+         WHERE pool = 'regular' AND type = 'earn' AND amount > 0 AND expires_at IS NULL`,
+        [months, notBefore]
+    );
+    return r.affectedRows || 0;
+}
+
+/** Regular earn rows, newest first — the order allocateLots() walks. */
+async function loadLots(db, painterId) {
+    const [rows] = await db.query(
+        `SELECT id, amount, expires_at AS expires_on FROM painter_point_transactions
+         WHERE painter_id = ? AND pool = 'regular' AND type = 'earn' AND amount > 0
+         ORDER BY created_at DESC, id DESC`,
+        [painterId]
+    );
+    return rows;
+}
+
+/**
+ * The painter's next expiry: the soonest date with unspent points on it, or
+ * null. For the dashboard — the nightly job does the expiring.
+ * @returns {{expires_on:string, points:number, days_left:number}|null}
+ */
+async function nextExpiry(db, painterId, balance, todayISO) {
+    const lots = allocateLots(await loadLots(db, painterId), balance);
+    const dated = lots.filter(l => l.unspent > 0 && l.expires_on && l.expires_on > todayISO);
+    if (!dated.length) return null;
+    const soonest = dated.reduce((min, l) => (l.expires_on < min ? l.expires_on : min), dated[0].expires_on);
+    const points = r2(dated.filter(l => l.expires_on === soonest).reduce((s, l) => s + l.unspent, 0));
+    return { expires_on: soonest, points, days_left: daysBetween(todayISO, soonest) };
+}
+
+/** Painters holding regular points with an earn row expiring on or before `horizonISO`. */
+async function candidatePainters(db, horizonISO) {
+    const [rows] = await db.query(
+        `SELECT p.id, p.full_name, p.phone, p.status FROM painters p
+         WHERE p.regular_points > 0
+           AND EXISTS (SELECT 1 FROM painter_point_transactions t
+                       WHERE t.painter_id = p.id AND t.pool = 'regular' AND t.type = 'earn'
+                         AND t.expires_at IS NOT NULL AND t.expires_at <= ?)
+         ORDER BY p.id`,
+        [horizonISO]
+    );
+    return rows;
+}
+
+/** Claim one warning; false when it was already sent. */
+async function claimWarning(db, painterId, warning) {
+    const [r] = await db.query(
+        `INSERT IGNORE INTO painter_points_expiry_warnings (painter_id, expires_on, days_before, points)
+         VALUES (?, ?, ?, ?)`,
+        [painterId, warning.expires_on, warning.days_before, warning.points]
+    );
+    return r.affectedRows > 0;
+}
+
+/**
+ * Outstanding regular-pool liability by expiry month — the same newest-first
+ * walk as allocateLots(), done in SQL across every painter. Balance the earn
+ * rows don't cover is reported as `never`.
+ * @returns {{months:Array<{month, points, painters}>, never:number, total:number}}
+ */
+async function liabilityByMonth(db) {
+    const [rows] = await db.query(
+        `SELECT DATE_FORMAT(x.expires_at, '%Y-%m') AS month,
+                ROUND(SUM(x.unspent), 2) AS points,
+                COUNT(DISTINCT x.painter_id) AS painters
+         FROM (
+             SELECT t.painter_id, t.expires_at,
+                    GREATEST(0, LEAST(t.amount, p.regular_points - (
+                        SUM(t.amount) OVER (PARTITION BY t.painter_id ORDER BY t.created_at DESC, t.id DESC
+                                            ROWS UNBOUNDED PRECEDING) - t.amount
+                    ))) AS unspent
+             FROM painter_point_transactions t
+             JOIN painters p ON p.id = t.painter_id
+             WHERE t.pool = 'regular' AND t.type = 'earn' AND t.amount > 0 AND p.regular_points > 0
+         ) x
+         WHERE x.unspent > 0
+         GROUP BY month
+         ORDER BY month IS NULL, month`
+    );
+    const [[totals]] = await db.query(
+        "SELECT COALESCE(SUM(regular_points), 0) AS total FROM painters WHERE regular_points > 0"
+    );
+    const months = [];
+    let covered = 0;
+    for (const r of rows) {
+        const points = r2(r.points);
+        covered += points;
+        months.push({ month: r.month || 'unscheduled', points, painters: Number(r.painters) });
+    }
+    const total = r2(totals.total);
+    return { months, never: r2(Math.max(0, total - covered)), total };
+}
+
+module.exports = {
+    DEFAULT_MONTHS,
+    DEFAULT_WARN_DAYS,
+    addDays,
+    parsePolicy,
+    allocateLots,
+    planExpiry,
+    warningsDue,
+    warningNotification,
+    warningWhatsApp,
+    expiredNotification,
+    loadPolicy,
+    stampExpiry,
+    loadLots,
+    nextExpiry,
+    candidatePainters,
+    claimWarning,
+    liabilityByMonth
+};
@@ -0,0 +1,237 @@
+/**
+ * Painter rewards catalogue — redeeming points for gifts, tools and
+ * store-credit vouchers, and the fulfilment queue behind it. No Express.
+ *
+ * A painter redeems from the regular pool (annual points only leave through
+ * the yearly withdrawal window). The points come off through
+ * pointsEngine.deductPoints as a 'redeem' row, in the same transaction that
+ * takes the stock, so a redemption either happens whole or not at all.
+ *
+ *   requested ──ready──▶ ready ──────handover (OTP)──▶ delivered   (pickup)
+ *   requested ──dispatch──▶ dispatched ──handover (OTP)──▶ delivered (dispatch)
+ *   requested / ready / dispatched ──cancel──▶ cancelled (points + stock back)
+ *
+ * Marking a redemption ready or dispatched sends the painter a 6-digit
+ * handover OTP; staff (or the courier's delivery confirmation) enter it to
+ * close the redemption, so the reward only counts as delivered when the
+ * painter actually had it in hand. Only the hash is stored; wrong guesses are
+ * capped like every other OTP (services/otp-utils.js) and a new code can be
+ * sent. A voucher gets its code at handover.
+ *
+ * Eligibility: the painter's level (painters.current_level) must be at least
+ * the reward's min_level in LEVELS order, stock must cover the quantity, and
+ * max_per_painter caps the painter's non-cancelled redemptions of the reward.
+ *
+ * Planners throw Error with e.code:
+ *   INVALID_REWARD    — bad catalogue entry
+ *   NOT_ELIGIBLE      — level / stock / limit / fulfilment refuse the redemption
+ *   REDEMPTION_STATE  — the action isn't allowed from the current status
+ *   OTP_INVALID       — wrong / exhausted handover OTP
+ *
+ * DB helpers take the db handle (pool or a transaction connection).
+ */
+
+const crypto = require('crypto');
+const { hashOtp, otpMatches, MAX_OTP_ATTEMPTS } = require('./otp-utils');
+
+// painter_levels seed order (migrations/migrate-painter-retention.js).
+const LEVELS = ['bronze', 'silver', 'gold', 'diamond'];
+const CATEGORIES = ['gift', 'tool', 'voucher'];
+const FULFILMENTS = ['pickup', 'dispatch', 'either'];
+const MAX_QUANTITY = 10;
+
+// action → statuses it may start from
+const TRANSITIONS = {
+    ready: ['requested'],
+    dispatch: ['requested'],
+    handover: ['ready', 'dispatched'],
+    resend_otp: ['ready', 'dispatched'],
+    cancel: ['requested', 'ready', 'dispatched'],
+    painter_cancel: ['requested']
+};
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+function levelRank(level) {
+    const i = LEVELS.indexOf(String(level || 'bronze').toLowerCase());
+    return i < 0 ? 0 : i;
+}
+
+/**
+ * Throw REDEMPTION_STATE unless `action` may run on a redemption in `status`.
+ */
+function assertTransition(status, action) {
+    const from = TRANSITIONS[action];
+    if (!from) throw new Error(`Unknown redemption action: ${action}`);
+    if (!from.includes(status)) {
+        throw fail('REDEMPTION_STATE', `Cannot ${action.replace('painter_', '').replace('_', ' ')} a redemption that is ${status}`);
+    }
+}
+
+/**
+ * Validate and normalise a catalogue entry from the admin form.
+ * @returns {object} columns for painter_rewards
+ */
+function normaliseReward(input) {
+    const name = String(input.name || '').trim();
+    if (!name) throw fail('INVALID_REWARD', 'Reward name is required');
+    const category = CATEGORIES.includes(input.category) ? input.category : null;
+    if (!category) throw fail('INVALID_REWARD', 'Category must be gift, tool or voucher');
+    const pointsCost = r2(input.points_cost);
+    if (!(pointsCost > 0)) throw fail('INVALID_REWARD', 'Point price must be positive');
+    const voucherValue = category === 'voucher' ? r2(input.voucher_value) : null;
+    if (category === 'voucher' && !(voucherValue > 0)) throw fail('INVALID_REWARD', 'A voucher needs its store-credit value');
+    const stock = input.stock === null || input.stock === undefined || input.stock === '' ? null : parseInt(input.stock, 10);
+    if (stock !== null && !(stock >= 0)) throw fail('INVALID_REWARD', 'Stock must be 0 or more (blank for unlimited)');
+    const minLevel = String(input.min_level || 'bronze').toLowerCase();
+    if (!LEVELS.includes(minLevel)) throw fail('INVALID_REWARD', `Level must be one of ${LEVELS.join(', ')}`);
+    const fulfilment = input.fulfilment || 'either';
+    if (!FULFILMENTS.includes(fulfilment)) throw fail('INVALID_REWARD', 'Fulfilment must be pickup, dispatch or either');
+    const maxPer = input.max_per_painter ? parseInt(input.max_per_painter, 10) : null;
+    if (maxPer !== null && !(maxPer > 0)) throw fail('INVALID_REWARD', 'Per-painter limit must be positive');
+    return {
+        name: name.slice(0, 150),
+        description: input.description ? String(input.description) : null,
+        category,
+        points_cost: pointsCost,
+        voucher_value: voucherValue,
+        stock,
+        min_level: minLevel,
+        fulfilment,
+        image_url: input.image_url ? String(input.image_url).slice(0, 500) : null,
+        max_per_painter: maxPer,
+        is_active: input.is_active === undefined ? 1 : (input.is_active ? 1 : 0),
+        sort_order: parseInt(input.sort_order, 10) || 0
+    };
+}
+
+/**
+ * Why `painter` can't redeem `quantity` of `reward`, or null if they can.
+ * Balance is left to deductPoints (it locks the painter row).
+ * @param {object} reward - painter_rewards row
+ * @param {{level:string, balance?:number, redeemedCount?:number}} painter
+ */
+function eligibilityIssue(reward, { level, balance = null, redeemedCount = 0 }, quantity = 1) {
+    if (!reward.is_active) return 'This reward is no longer available';
+    if (levelRank(level) < levelRank(reward.min_level)) {
+        return `Reach ${reward.min_level.charAt(0).toUpperCase() + reward.min_level.slice(1)} level to redeem this reward`;
+    }
+    if (reward.stock !== null && reward.stock !== undefined && Number(reward.stock) < quantity) {
+        return Number(reward.stock) > 0 ? `Only ${reward.stock} left` : 'Out of stock';
+    }
+    if (reward.max_per_painter && redeemedCount + quantity > Number(reward.max_per_painter)) {
+        return `Limit ${reward.max_per_painter} per painter`;
+    }
+    if (balance !== null && balance < r2(reward.points_cost) * quantity) return 'Not enough points';
+    return null;
+}
+
+/**
+ * Check a redemption request and work out its totals.
+ * @param {object} reward - painter_rewards row (locked)
+ * @param {{level, redeemedCount}} painter
+ * @param {{quantity?, fulfilment, branch_id?, delivery_address?}} input
+ * @returns {{quantity, fulfilment, branch_id, delivery_address, points_each, total_points, voucher_value}}
+ */
+function planRedemption(reward, painter, input) {
+    const quantity = input.quantity === undefined ? 1 : parseInt(input.quantity, 10);
+    if (!(quantity >= 1 && quantity <= MAX_QUANTITY)) throw fail('NOT_ELIGIBLE', `Quantity must be 1 to ${MAX_QUANTITY}`);
+    const issue = eligibilityIssue(reward, painter, quantity);
+    if (issue) throw fail('NOT_ELIGIBLE', issue);
+
+    const fulfilment = input.fulfilment || (reward.fulfilment === 'dispatch' ? 'dispatch' : 'pickup');
+    if (!['pickup', 'dispatch'].includes(fulfilment)) throw fail('NOT_ELIGIBLE', 'Choose branch pickup or delivery');
+    if (reward.fulfilment !== 'either' && reward.fulfilment !== fulfilment) {
+        throw fail('NOT_ELIGIBLE', reward.fulfilment === 'pickup' ? 'This reward is collected at a branch' : 'This reward is delivered, not collected');
+    }
+    const branchId = fulfilment === 'pickup' ? parseInt(input.branch_id, 10) || null : null;
+    if (fulfilment === 'pickup' && !branchId) throw fail('NOT_ELIGIBLE', 'Choose the branch you will collect from');
+    const address = fulfilment === 'dispatch' ? String(input.delivery_address || '').trim() : null;
+    if (fulfilment === 'dispatch' && address.length < 10) throw fail('NOT_ELIGIBLE', 'Enter the full delivery address');
+
+    const pointsEach = r2(reward.points_cost);
+    return {
+        quantity,
+        fulfilment,
+        branch_id: branchId,
+        delivery_address: address ? address.slice(0, 500) : null,
+        points_each: pointsEach,
+        total_points: r2(pointsEach * quantity),
+        voucher_value: reward.category === 'voucher' ? r2(r2(reward.voucher_value) * quantity) : null
+    };
+}
+
+/** A new 6-digit handover OTP: the plain code for the painter, its hash for the row. */
+function newHandoverOtp() {
+    const otp = String(crypto.randomInt(100000, 1000000));
+    return { otp, hash: hashOtp(otp) };
+}
+
+/**
+ * Check a handover OTP against the redemption row.
+ * @returns {{ok:boolean, exhausted:boolean}} exhausted — the code is used up; send a new one
+ */
+function checkHandoverOtp(redemption, otp) {
+    if (!redemption.handover_otp_hash) return { ok: false, exhausted: true };
+    if (Number(redemption.handover_otp_attempts) >= MAX_OTP_ATTEMPTS) return { ok: false, exhausted: true };
+    return { ok: otpMatches(redemption.handover_otp_hash, String(otp || '').trim()), exhausted: false };
+}
+
+/** Store-credit voucher code, e.g. QCV-7K2M9XQ4 (no 0/O/1/I). */
+function newVoucherCode() {
+    const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+    let code = '';
+    for (let i = 0; i < 8; i++) code += alphabet[crypto.randomInt(alphabet.length)];
+    return `QCV-${code}`;
+}
+
+// ─── DB helpers ──────────────────────────────────────────────
+
+async function loadReward(db, id, forUpdate = false) {
+    const [rows] = await db.query(
+        `SELECT * FROM painter_rewards WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+async function loadRedemption(db, id, forUpdate = false) {
+    const [rows] = await db.query(
+        `SELECT * FROM painter_reward_redemptions WHERE id = ?${forUpdate ? ' FOR UPDATE' : ''}`,
+        [id]
+    );
+    return rows[0] || null;
+}
+
+/** How many of a reward the painter has redeemed (cancelled ones don't count). */
+async function redeemedCount(db, painterId, rewardId) {
+    const [rows] = await db.query(
+        `SELECT COALESCE(SUM(quantity), 0) AS qty FROM painter_reward_redemptions
+         WHERE painter_id = ? AND reward_id = ? AND status <> 'cancelled'`,
+        [painterId, rewardId]
+    );
+    return Number(rows[0].qty) || 0;
+}
+
+module.exports = {
+    LEVELS,
+    CATEGORIES,
+    MAX_QUANTITY,
+    levelRank,
+    assertTransition,
+    normaliseReward,
+    eligibilityIssue,
+    planRedemption,
+    newHandoverOtp,
+    checkHandoverOtp,
+    newVoucherCode,
+    loadReward,
+    loadRedemption,
+    redeemedCount
+};
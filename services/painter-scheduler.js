@@ -7,6 +7,9 @@
  * - Daily bonus product rotation (00:05 IST)
  * - Daily bonus push notification (7 AM IST)
  * - Streak-at-risk reminder (8 PM IST)
+ * - Regular points expiry + 30/7-day warnings (1:15 AM IST)
+ * - Campaign progress + auto-award (hourly at :20)
+ * - Fraud / collusion scan into the review queue (2:45 AM IST)
  */
 
 const cron = require('node-cron');
@@ -17,6 +20,9 @@ const painterZohoSyncService = require('./painter-zoho-sync-service');
 const painterMarketingScheduler = require('./painter-marketing-scheduler');
 const painterBackfillService = require('./painter-points-backfill-service');
 const attendanceService = require('./painter-attendance-service');
+const pointsExpiry = require('./painter-points-expiry');
+const campaigns = require('./painter-campaigns');
+const fraud = require('./painter-fraud');
 const zohoApi = require('./zoho-api');
 
 const { isClusterPrimary } = require('./cluster-guard');
@@ -355,6 +361,141 @@ async function runStreakReminder() {
     }
 }
 
+// ─── Points Expiry ───────────────────────────────────────────
+
+// Nightly, claimed per IST day. Not in the startup catch-up: a missed night
+// is picked up by the next one (the FIFO walk expires everything overdue, and
+// a warning still goes out while its date is inside the threshold).
+async function runPointsExpiry(dayOverride = null) {
+    // String-guarded: node-cron passes a context arg to callbacks.
+    const today = typeof dayOverride === 'string' ? dayOverride : new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    let claim = null;
+    try {
+        const enabled = await getConfig('painter_system_enabled');
+        if (enabled !== '1') return;
+        const policy = await pointsExpiry.loadPolicy(pool);
+        if (!policy.enabled) return;
+
+        claim = await claimJobRun('painter-points-expiry', today);
+        if (!claim.claimed) { console.log(`[Painter Scheduler] Points expiry already ran for ${today} — skipping`); return; }
+
+        console.log('[Painter Scheduler] Running points expiry...');
+        if (registry) registry.markRunning('painter-points-expiry');
+        const horizon = pointsExpiry.addDays(today, Math.max(0, ...policy.warnDays));
+        await pointsExpiry.stampExpiry(pool, policy.months, horizon);
+
+        const painters = await pointsExpiry.candidatePainters(pool, horizon);
+        let expiredPainters = 0, expiredPoints = 0, warned = 0;
+        for (const painter of painters) {
+            try {
+                const result = await pointsEngine.expireRegularPoints(painter.id, today);
+                if (result.expired > 0) {
+                    expiredPainters++;
+                    expiredPoints += result.expired;
+                    await painterNotificationService.sendToPainter(painter.id, pointsExpiry.expiredNotification(result.expired));
+                }
+                if (painter.status !== 'approved') continue;
+                const fresh = [];
+                for (const w of pointsExpiry.warningsDue(result.lots, today, policy.warnDays)) {
+                    if (await pointsExpiry.claimWarning(pool, painter.id, w)) fresh.push(w);
+                }
+                if (!fresh.length) continue;
+                await painterNotificationService.sendToPainter(painter.id, pointsExpiry.warningNotification(fresh));
+                if (policy.whatsapp) {
+                    await painterNotificationService.sendWhatsApp(painter.id, pointsExpiry.warningWhatsApp(painter.full_name, fresh), 'painter_points_expiry')
+                        .catch(e => console.error(`[Painter Scheduler] Expiry WhatsApp failed for painter ${painter.id}:`, e.message));
+                }
+                warned++;
+            } catch (e) {
+                console.error(`[Painter Scheduler] Points expiry failed for painter ${painter.id}:`, e.message);
+            }
+        }
+
+        console.log(`[Painter Scheduler] Points expiry: ${Math.round(expiredPoints * 100) / 100} points expired for ${expiredPainters} painter(s), ${warned} warned`);
+        if (registry) registry.markCompleted('painter-points-expiry', { recordsProcessed: painters.length, expiredPainters, expiredPoints, warned });
+    } catch (error) {
+        if (claim && claim.claimed && claim.tracked) await releaseJobRun('painter-points-expiry', today);
+        console.error('[Painter Scheduler] Points expiry failed:', error.message);
+        if (registry) registry.markFailed('painter-points-expiry', { error: error.message });
+    }
+}
+
+// ─── Campaign Progress ───────────────────────────────────────
+
+// Hourly and unclaimed: progress is recomputed from source data, and the
+// award is guarded by the claimed flag, so overlapping runs are harmless.
+async function runCampaignProgress(dayOverride = null) {
+    const today = typeof dayOverride === 'string' ? dayOverride : new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    try {
+        const enabled = await getConfig('painter_system_enabled');
+        if (enabled !== '1') return;
+
+        const active = await campaigns.activeCampaigns(pool, today);
+        if (!active.length) return;
+        if (registry) registry.markRunning('painter-campaign-progress');
+
+        let evaluated = 0, awarded = 0;
+        for (const campaign of active) {
+            try {
+                const results = await campaigns.syncCampaign(pool, campaign);
+                evaluated += results.length;
+                if (!campaign.auto_award) continue;
+                for (const r of results.filter(x => x.completed)) {
+                    try {
+                        if (!(await campaigns.awardCompletion(pool, pointsEngine, campaign, r.painter_id))) continue;
+                        awarded++;
+                        await painterNotificationService.sendToPainter(r.painter_id, {
+                            title: 'Campaign complete!',
+                            body: `${campaign.title}: ${parseFloat(campaign.reward_points)} bonus points added`,
+                            type: 'challenge_reward',
+                            data: { page: 'gamification', challenge_id: String(campaign.id) }
+                        }).catch(e => console.error(`[Painter Scheduler] Campaign notification failed for painter ${r.painter_id}:`, e.message));
+                    } catch (e) {
+                        console.error(`[Painter Scheduler] Campaign ${campaign.id} award failed for painter ${r.painter_id}:`, e.message);
+                    }
+                }
+            } catch (e) {
+                console.error(`[Painter Scheduler] Campaign ${campaign.id} progress failed:`, e.message);
+            }
+        }
+
+        console.log(`[Painter Scheduler] Campaigns: ${active.length} evaluated, ${evaluated} painter(s) updated, ${awarded} reward(s) paid`);
+        if (registry) registry.markCompleted('painter-campaign-progress', { recordsProcessed: evaluated, campaigns: active.length, awarded });
+    } catch (error) {
+        console.error('[Painter Scheduler] Campaign progress failed:', error.message);
+        if (registry) registry.markFailed('painter-campaign-progress', { error: error.message });
+    }
+}
+
+// ─── Fraud Scan ──────────────────────────────────────────────
+
+// Nightly, claimed per IST day. Not in the startup catch-up: every scan reads
+// the whole lookback window, so the next night covers a missed one.
+async function runFraudScan(dayOverride = null) {
+    const today = typeof dayOverride === 'string' ? dayOverride : new Date().toLocaleDateString('en-CA', { timeZone: 'Asia/Kolkata' });
+    let claim = null;
+    try {
+        const enabled = await getConfig('painter_system_enabled');
+        if (enabled !== '1') return;
+        const policy = await fraud.loadPolicy(pool);
+        if (!policy.enabled) return;
+
+        claim = await claimJobRun('painter-fraud-scan', today);
+        if (!claim.claimed) { console.log(`[Painter Scheduler] Fraud scan already ran for ${today} — skipping`); return; }
+
+        console.log('[Painter Scheduler] Running fraud scan...');
+        if (registry) registry.markRunning('painter-fraud-scan');
+        const result = await fraud.runScan(pool, today, policy);
+
+        console.log(`[Painter Scheduler] Fraud scan: ${result.findings} finding(s), ${result.flagged} painter(s) flagged, ${result.opened} case(s) opened, ${result.frozen} frozen`);
+        if (registry) registry.markCompleted('painter-fraud-scan', { recordsProcessed: result.findings, ...result });
+    } catch (error) {
+        if (claim && claim.claimed && claim.tracked) await releaseJobRun('painter-fraud-scan', today);
+        console.error('[Painter Scheduler] Fraud scan failed:', error.message);
+        if (registry) registry.markFailed('painter-fraud-scan', { error: error.message });
+    }
+}
+
 // ─── Attendance Job Runners ──────────────────────────────────
 
 async function runOpenAttendanceClaim(monthKeyOverride = null) {
@@ -441,6 +582,9 @@ function start() {
         registry.register('painter-attendance-remind', { name: 'Attendance Claim Reminder', service: 'painter-scheduler', schedule: '0 20 7 * *', description: '8 PM day-before reminder for unclaimed attendance AP' });
         registry.register('painter-attendance-forfeit', { name: 'Attendance Forfeit + Purge', service: 'painter-scheduler', schedule: '0 2 8 * *', description: 'Forfeit unclaimed attendance + purge old selfie images' });
         registry.register('painter-location-prune', { name: 'Location Events Prune', service: 'painter-scheduler', schedule: '30 2 * * *', description: 'Delete painter location events older than 30 days' });
+        registry.register('painter-points-expiry', { name: 'Points Expiry', service: 'painter-scheduler', schedule: '15 1 * * *', description: 'Expire regular points past their FIFO expiry date and send 30/7-day warnings' });
+        registry.register('painter-campaign-progress', { name: 'Campaign Progress', service: 'painter-scheduler', schedule: '20 * * * *', description: 'Recompute rule-based campaign progress and auto-award completed campaigns' });
+        registry.register('painter-fraud-scan', { name: 'Fraud Scan', service: 'painter-scheduler', schedule: '45 2 * * *', description: 'Score painters for invoice / device / GPS / referral collusion and raise review cases' });
         registry.register('painter-points-drift-check', { name: 'Points Drift Check', service: 'painter-scheduler', schedule: '0 3 * * *', description: 'Daily ledger-vs-balance drift check for painter points (M5)' });
     }
 
@@ -457,6 +601,9 @@ function start() {
     jobs.quarterlySlabs = cron.schedule('30 6 1 1,4,7,10 *', () => runQuarterlySlabEvaluation(), { timezone: 'Asia/Kolkata' });
     jobs.creditCheck = cron.schedule('0 8 * * *', runCreditOverdueCheck, { timezone: 'Asia/Kolkata' });
     jobs.pointsDriftCheck = cron.schedule('0 3 * * *', runPointsDriftCheck, { timezone: 'Asia/Kolkata' });
+    jobs.pointsExpiry = cron.schedule('15 1 * * *', () => runPointsExpiry(), { timezone: 'Asia/Kolkata' });
+    jobs.campaignProgress = cron.schedule('20 * * * *', () => runCampaignProgress(), { timezone: 'Asia/Kolkata' });
+    jobs.fraudScan = cron.schedule('45 2 * * *', () => runFraudScan(), { timezone: 'Asia/Kolkata' });
 
     // Retention jobs
     jobs.streakReset = cron.schedule('0 0 * * *', runStreakReset, { timezone: 'Asia/Kolkata' });
@@ -484,7 +631,7 @@ function start() {
         }
     }, { timezone: 'Asia/Kolkata' });
 
-    console.log('[Painter Scheduler] Started: monthly-slabs(1st 6AM), quarterly-slabs(Q1 6:30AM), credit-check(daily 8AM), points-drift-check(3AM), streak-reset(midnight), bonus-rotation(00:05), daily-bonus-push(7AM), streak-reminder(8PM), attendance-open-claim(1st 00:05), attendance-recompute(every 6h days 1-7), attendance-remind(7th 8PM), attendance-forfeit(8th 2AM)');
+    console.log('[Painter Scheduler] Started: monthly-slabs(1st 6AM), quarterly-slabs(Q1 6:30AM), credit-check(daily 8AM), points-expiry(1:15AM), campaign-progress(hourly :20), fraud-scan(2:45AM), points-drift-check(3AM), streak-reset(midnight), bonus-rotation(00:05), daily-bonus-push(7AM), streak-reminder(8PM), attendance-open-claim(1st 00:05), attendance-recompute(every 6h days 1-7), attendance-remind(7th 8PM), attendance-forfeit(8th 2AM)');
 
     // PNTR Painter Marketing — register 4 IST crons (02:30 incremental, 03:00 retry, 03:30 backfill, 06:00 daily list).
     // These call the Zoho API, so only register them when Zoho is configured; otherwise getAccessToken
@@ -517,6 +664,9 @@ module.exports = {
     runQuarterlySlabEvaluation,
     runCreditOverdueCheck,
     runPointsDriftCheck,
+    runPointsExpiry,
+    runCampaignProgress,
+    runFraudScan,
     runStreakReset,
     runDailyBonusRotation,
     runDailyBonusPush,
@@ -0,0 +1,96 @@
+/**
+ * Asian Paints — internal consolidated dealer price list (PDF).
+ * Product lines are "<4-digit code>ASIAN PAINTS …"; each pack is a packed
+ * code line (product, shade group, litres, pack code) with the price on the
+ * next line.
+ */
+
+const { cleanPrice } = require('../helpers');
+
+function parseAsian(text) {
+    const results = [];
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+
+    let currentProduct = '';
+    let currentShadeGroup = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Skip headers and page markers
+        if (line.includes('Internal Consolidated') || line.includes('Price List') ||
+            line.includes('Checked by') || line.includes('Approved by') ||
+            line.includes('Amit Syngle') || line.includes('NOT to be given') ||
+            line.match(/^Page\s+\d/) || line.match(/^ProdProduct/) ||
+            line.match(/^CodeCode/) || line === '___________________             .' ||
+            line.includes('This Price List is for Internal Circulation')) continue;
+
+        // Product name line: starts with 4-digit code + "ASIAN PAINTS"
+        const productMatch = line.match(/^(\d{4})(ASIAN PAINTS .+)/);
+        if (productMatch) {
+            currentProduct = productMatch[2].trim();
+            continue;
+        }
+
+        // Shade group line (text after product code)
+        const shadeMatch = line.match(/^(\d{4})\s*$/);
+        if (shadeMatch) continue; // just a code alone
+
+        // Price line: code + pack info + price
+        // Format: CODE SHADE_GROUP PACK_CODE \n PRICE
+        // Or: CODE + PACK_CODE on same/next line + PRICE
+        const packPriceMatch = line.match(/^(\d{4})(\d)(\d\.\d{3})(\d{2,3})\s*$/);
+        if (packPriceMatch && currentProduct) {
+            // e.g., "002610.050050" → prod=0026, shade_group=1, pack=0.050, pack_code=050
+            const shadeGroup = packPriceMatch[2];
+            const packLitres = parseFloat(packPriceMatch[3]);
+
+            // Next line should be price
+            if (i + 1 < lines.length) {
+                const price = cleanPrice(lines[i + 1]);
+                if (price) {
+                    let packSize;
+                    if (packLitres < 0.001) continue;
+                    if (packLitres < 1) {
+                        packSize = Math.round(packLitres * 1000) + 'ml';
+                    } else {
+                        packSize = packLitres + 'L';
+                    }
+                    results.push({
+                        brand: 'Asian Paints',
+                        product: currentProduct,
+                        packSize: packSize,
+                        dpl: price,
+                        category: 'Shade Group ' + shadeGroup
+                    });
+                    i++; // skip price line
+                }
+            }
+            continue;
+        }
+
+        // Alternative format: just price on its own (continuation)
+        const priceOnly = line.match(/^(\d+\.\d{2})$/);
+        if (priceOnly) continue; // already handled above
+
+        // Shade description lines (colors listed)
+        if (line.match(/^(Brilliant White|Blazing White|Ad\.|Imperial|Golden|Mint|Dawn|Deep|EB\s+\d)/)) {
+            currentShadeGroup = line;
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    id: 'asian',
+    label: 'Asian Paints',
+    formats: ['pdf'],
+    priority: 10,
+    detect: ({ filename, head }) => filename.includes('ASIAN') || head.includes('ASIAN PAINTS'),
+    parse: ({ text }) => parseAsian(text),
+    fixtures: [
+        { input: 'asian/dealer-price-list.txt', filename: 'Asian Paints DPL Oct 2026.pdf', expected: 'asian/dealer-price-list.expected.json' }
+    ],
+    parseAsian
+};
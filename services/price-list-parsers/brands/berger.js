@@ -0,0 +1,141 @@
+/**
+ * Berger — decorative dealer price list (PDF), XP and non-XP editions.
+ * Size headers read "Code20lt10lt4lt1lt"; price rows are concatenated
+ * numbers and the product names follow their price block. The edition comes
+ * from the filename ("… XP …" vs "… NON XP …"), which is also the brand key.
+ */
+
+const { cleanPrice } = require('../helpers');
+
+function parseBerger(text, isXP) {
+    const results = [];
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+    const brandSuffix = isXP ? ' XP' : '';
+
+    let currentSizeHeaders = [];
+    let currentProducts = []; // product names collected after price data
+    let priceRows = [];
+    let currentCategory = '';
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Skip headers
+        if (line.includes('Decorative') || line.includes('DealerPrice') ||
+            line.includes('With effect') || line.includes('28th Jun')) continue;
+
+        // Size header line: "Code20lt10lt4lt1lt500ml" or "Code200ml100ml50ml"
+        const sizeHeaderMatch = line.match(/^Code(.+)/);
+        if (sizeHeaderMatch) {
+            // Parse size columns from compressed header
+            const sizeStr = sizeHeaderMatch[1];
+            currentSizeHeaders = [];
+            const sizeRegex = /(\d+(?:\.\d+)?)\s*(lt|ltr|kg|gm|ml|L)/gi;
+            let m;
+            while ((m = sizeRegex.exec(sizeStr)) !== null) {
+                const val = parseFloat(m[1]);
+                const unit = m[2].toLowerCase();
+                if (unit === 'lt' || unit === 'ltr' || unit === 'l') {
+                    currentSizeHeaders.push(val + 'L');
+                } else if (unit === 'kg') {
+                    currentSizeHeaders.push(val + 'Kg');
+                } else if (unit === 'gm') {
+                    currentSizeHeaders.push(val + 'gm');
+                } else {
+                    currentSizeHeaders.push(val + 'ml');
+                }
+            }
+            // Reset price collection
+            if (priceRows.length > 0 && currentProducts.length > 0) {
+                assignBergerProducts(results, priceRows, currentProducts, currentSizeHeaders, brandSuffix, currentCategory);
+            }
+            priceRows = [];
+            currentProducts = [];
+            continue;
+        }
+
+        // Price data line: starts with code or comma-separated numbers
+        // "4,4002,255935241125.50" or "0034,3352,230939245127.5"
+        const priceLineMatch = line.match(/^([A-Z0-9]{2,4})?([\d,x.]+(?:[\d,x.]+)*)$/);
+        if (priceLineMatch && currentSizeHeaders.length > 0) {
+            const code = priceLineMatch[1] || '';
+            const priceStr = priceLineMatch[2] || line;
+
+            // Try to split prices - they're concatenated without spaces
+            const prices = splitBergerPrices(priceStr, currentSizeHeaders.length);
+            if (prices.length > 0) {
+                priceRows.push({ code, prices });
+            }
+            continue;
+        }
+
+        // Product name lines (come after price blocks)
+        if (line.match(/^(White|Black|Snow|Dazzling|Super|Light|Dark|Red|French|Mahogany|Group|Standard|Special|Interior|Exterior|Bison|Silk|Easy|Luxol|Butterfly|BP\s|Gold|Silver)/i) ||
+            line.match(/^[A-Z][a-z]/) || line.match(/^[A-Z][A-Z].*[a-z]/)) {
+            currentProducts.push(line);
+        }
+    }
+
+    return results;
+}
+
+function splitBergerPrices(str, expectedCount) {
+    // Berger concatenates prices without separator
+    // e.g., "4,4002,255935241125.50" → [4400, 2255, 935, 241, 125.50]
+    const prices = [];
+    let remaining = str;
+
+    // Try splitting by comma-number patterns
+    // Prices > 999 have commas: "4,400" "2,255" etc.
+    // Prices < 1000 don't: "935" "241"
+    const parts = remaining.split(/(?<=\d)(?=\d{4,})|(?<=\.\d{1,2})(?=\d)/);
+
+    // Alternative: use regex to find price patterns
+    const priceRegex = /(\d{1,2},\d{3}(?:\.\d{1,2})?|\d{1,4}(?:\.\d{1,2})?|x)/g;
+    let m;
+    while ((m = priceRegex.exec(str)) !== null) {
+        prices.push(cleanPrice(m[1]));
+    }
+
+    return prices;
+}
+
+function assignBergerProducts(results, priceRows, products, sizeHeaders, brandSuffix, category) {
+    // Berger format: price rows correspond to products listed after them
+    // Simple mapping: each price row = one product variant
+    for (let r = 0; r < priceRows.length; r++) {
+        const row = priceRows[r];
+        const productName = r < products.length ? products[r] : (products[0] || 'Unknown');
+
+        for (let s = 0; s < Math.min(row.prices.length, sizeHeaders.length); s++) {
+            if (row.prices[s]) {
+                results.push({
+                    brand: 'Berger' + brandSuffix,
+                    product: productName,
+                    packSize: sizeHeaders[s],
+                    dpl: row.prices[s],
+                    baseCode: row.code,
+                    category: category
+                });
+            }
+        }
+    }
+}
+
+module.exports = {
+    id: 'berger',
+    label: 'Berger',
+    formats: ['pdf'],
+    priority: 20,
+    detect: ({ filename }) => {
+        if (!filename.includes('BERGER')) return false;
+        if (filename.includes('NON XP') || filename.includes('NON-XP')) return 'berger-nonxp';
+        if (filename.includes(' XP') || filename.includes('-XP')) return 'berger-xp';
+        return 'berger-nonxp'; // default berger
+    },
+    parse: ({ text }, { brandKey }) => parseBerger(text, brandKey === 'berger-xp'),
+    fixtures: [
+        { input: 'berger/non-xp.txt', filename: 'Berger NON XP DPL.pdf', expected: 'berger/non-xp.expected.json' }
+    ],
+    parseBerger
+};
@@ -0,0 +1,250 @@
+/**
+ * Birla Opus — dealer price list (PDF) and the tab-separated paste-text form.
+ * The PDF loses empty cells, so rows carry all their prices in `_prices` and
+ * matchWithZohoItems assigns them to sizes from the Zoho rates.
+ */
+
+const { cleanPrice, normalizePackSize } = require('../helpers');
+
+function parseBirlaOpus(text) {
+    const results = [];
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+
+    let currentProduct = '';
+    let currentMainCategory = ''; // e.g. "Interior Emulsions", "Exterior Emulsions", "Enamel"
+    let currentSubCategory  = ''; // e.g. "PREMIUM", "LUXURY", "ECONOMY"
+    let sizeHeaders = []; // e.g., ['200 ML', '0.9L', '1L', '3.6L', '4L', '9L', '10L', '18L', '20L']
+    let expectMainCat = false;   // true right after a section-number line
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Skip headers/footers
+        if (line.includes('Grasim Industries') || line.includes('Nagda') ||
+            line.includes('REGD. OFFICE') || line.includes('Applicable from') ||
+            line.includes('Dealer') && line.includes('Price List') ||
+            line.includes('Note:') || line.includes('E.g.,') ||
+            line.includes('All samplers') || line.includes('*Available only')) continue;
+
+        // Section number: "01", "02", … signals that the next content line is the main category
+        if (line.match(/^(\d{2})\s*$/)) { expectMainCat = true; continue; }
+
+        // Sub-category tier: LUXURY, PREMIUM, ECONOMY etc.
+        if (line.match(/^(LUXURY|PREMIUM|ECONOMY|STANDARD|ULTRA\s+PREMIUM|SPECIALITY|DESIGNER|UNDERCOATS|OTHERS|SUPER\s+PREMIUM|ECONOMY\s+PLUS)\s*$/i)) {
+            currentSubCategory = line.trim().toUpperCase();
+            expectMainCat = false;
+            continue;
+        }
+
+        // Main category line (immediately after a section number)
+        if (expectMainCat) {
+            currentMainCategory = line.trim();
+            currentSubCategory  = '';
+            expectMainCat = false;
+            continue;
+        }
+
+        // Legacy "Interior/Exterior Category" header — treat as main category reset
+        if (line.match(/^(Interior|Exterior)\s+Category\s*$/i)) {
+            currentMainCategory = line.trim();
+            currentSubCategory  = '';
+            continue;
+        }
+
+        // Product name line: "One Pure Elegance (941001)" or "Opus Protek (961001)"
+        const prodMatch = line.match(/^(.+?)\s*\(\d{6}\)\s*(?:\*\s*)?$/);
+        if (prodMatch) {
+            currentProduct = prodMatch[1].trim();
+            continue;
+        }
+
+        // Size header line: "Base Code/Name Prod - Base Code 200 ML 0.9L 1L 3.6L 4L 9L 10L 18L 20L"
+        const headerMatch = line.match(/Base Code\/Name\s+Prod\s*-\s*Base Code\s+(.+)/);
+        if (headerMatch) {
+            sizeHeaders = headerMatch[1].trim().split(/\s+/).map(s => {
+                // Merge "200 ML" into "200ML"
+                return s;
+            });
+            // Re-parse: group "200" + "ML" together
+            const raw = headerMatch[1].trim();
+            sizeHeaders = [];
+            const sizeTokens = raw.split(/\s+/);
+            for (let j = 0; j < sizeTokens.length; j++) {
+                if (sizeTokens[j] === 'ML' && j > 0) {
+                    sizeHeaders[sizeHeaders.length - 1] += 'ml';
+                } else {
+                    sizeHeaders.push(sizeTokens[j]);
+                }
+            }
+            continue;
+        }
+
+        // Data line: "9900 - White PE White   490  1,930  4,783  9,478"
+        // Or: "9901 - Pastel PE 1 104  484  1,902  4,740  9,390"
+        // Or (other products): "9900 - White SDB White 490 1,930..." — allow any 2-5 uppercase code.
+        const dataMatch = line.match(/^(\d{4})\s*-\s*(.+?)\s+([A-Z]{2,5})\s+(.+)$/);
+        // Skip data rows that belong to an "Annexure" section — these contain
+        // colorant/tint prices which are not the main 1L/4L/10L/20L SKU prices.
+        const isAnnexureSection = /^ANNEXURE\b/i.test(currentProduct);
+        if (dataMatch && sizeHeaders.length > 0 && currentProduct && !isAnnexureSection) {
+            const baseName = dataMatch[2].trim();
+            const prodCode = dataMatch[3].trim();
+            const rest = dataMatch[4].trim();
+
+            // Parse the rest into base code suffix + prices
+            // e.g., "White   490  1,930  4,783  9,478"
+            // or "1 104  484  1,902  4,740  9,390"
+            const tokens = rest.split(/\s+/);
+
+            // First token is ALWAYS the base code suffix (e.g., "White", "1", "2", "99", "13")
+            // Skip it — everything after is prices
+            const priceStart = 1;
+
+            const prices = tokens.slice(priceStart).map(t => cleanPrice(t)).filter(p => p > 0);
+
+            // PDF text extraction loses column alignment — empty cells disappear.
+            // Don't guess pack size here. Emit a single group with all row prices and
+            // let the matcher use Zoho's actual SKUs/rates as ground truth to assign
+            // prices to sizes by ascending rate-ratio.
+            if (prices.length > 0) {
+                const fullCat = currentMainCategory
+                    ? (currentSubCategory ? currentMainCategory + ' - ' + currentSubCategory : currentMainCategory)
+                    : currentSubCategory;
+                results.push({
+                    brand: 'Birla Opus',
+                    product: currentProduct + ' - ' + baseName,
+                    _prices: prices,
+                    baseCode: dataMatch[1],
+                    category: fullCat
+                });
+            }
+            continue;
+        }
+    }
+
+    return results;
+}
+
+/**
+ * Parse Birla Opus DPL data in tab-separated tabular format (paste-text mode).
+ * Expected per-row columns: SNo, Category, Product (with optional "(NNNNNN)" code),
+ * Shade, PackSize, Price. Some rows are 5-column (shade missing) — inherit from
+ * the previous row for the same product.
+ *
+ * Returns flat rows compatible with `matchWithZohoItems`:
+ *   { product, packSize, dpl, category, brand, baseCode }
+ *
+ * Where `product` is "<Product> - <Shade>" (matching the existing parseBirlaOpus
+ * output convention, see line ~235), or just "<Product>" when shade is empty.
+ */
+function parseBirlaOpusTabular(text) {
+    if (!text || typeof text !== 'string') return [];
+
+    const results = [];
+    const lines = text.split('\n');
+    // Shade inheritance is scoped to the IMMEDIATELY-previous successful row.
+    // A 5-col row only inherits shade when its productName matches lastProduct.
+    let lastProduct = null;
+    let lastShade = '';
+
+    for (const rawLine of lines) {
+        const line = rawLine.replace(/\s+$/, ''); // strip trailing whitespace only
+
+        // Stop at T&C section.
+        if (/^Terms\s+and\s+Conditions/i.test(line.trim())) break;
+
+        const trimmed = line.trim();
+        if (!trimmed) continue;
+
+        // Skip column-header row.
+        if (/^S\.?\s*No\b/i.test(trimmed)) continue;
+
+        // Split on tabs first; if that yields < 5 fields, fall back to 2+ spaces.
+        let cols = trimmed.split('\t').map(c => c.trim()).filter(c => c.length > 0);
+        if (cols.length < 5) {
+            cols = trimmed.split(/\s{2,}/).map(c => c.trim()).filter(c => c.length > 0);
+        }
+        if (cols.length < 5) continue;
+
+        // First column must be a row number to be a data row.
+        if (!/^\d+$/.test(cols[0])) continue;
+
+        const category   = cols[1];
+        const productRaw = cols[2];
+
+        let shade, packSize, priceStr;
+        if (cols.length >= 6) {
+            shade    = cols[3];
+            packSize = cols[4];
+            priceStr = cols[5];
+        } else {
+            // 5-column row — shade missing.
+            shade    = null;
+            packSize = cols[3];
+            priceStr = cols[4];
+        }
+
+        // Extract baseCode from "(NNNNNN)" if present.
+        let productName = productRaw;
+        let baseCode = '';
+        const codeMatch = productRaw.match(/^(.+?)\s*\((\d{6})\)\s*\*?\s*$/);
+        if (codeMatch) {
+            productName = codeMatch[1].trim();
+            baseCode = codeMatch[2];
+        }
+
+        // Resolve shade:
+        //  - 5-col row inherits shade ONLY when the immediately-previous row
+        //    was for the same product (and had a non-empty shade).
+        //  - "No Base/Others" → empty shade.
+        if (shade === null) {
+            shade = (productName === lastProduct && lastShade) ? lastShade : '';
+        } else {
+            shade = String(shade).trim();
+            if (/^No\s+Base\s*\/\s*Others$/i.test(shade)) shade = '';
+        }
+
+        const normalizedPack = normalizePackSize(packSize);
+        if (!normalizedPack) continue;
+
+        // Strict price validation: reject "490.00.00", "490abc", negatives, etc.
+        // parseFloat is too lenient — "1.2.3" → 1.2 and "490abc" → 490 silently.
+        const priceClean = String(priceStr).replace(/,/g, '').trim();
+        if (!/^\d+(\.\d+)?$/.test(priceClean)) continue;
+        const dpl = parseFloat(priceClean);
+        if (!isFinite(dpl) || dpl <= 0) continue;
+
+        const product = shade ? `${productName} - ${shade}` : productName;
+
+        results.push({
+            product,
+            packSize: normalizedPack,
+            dpl,
+            category: category || '',
+            brand: 'Birla Opus',
+            baseCode,
+        });
+
+        // Update inheritance state AFTER a successful row — so a 5-col row
+        // only inherits from the directly-preceding successful row.
+        lastProduct = productName;
+        lastShade = shade;
+    }
+
+    return results;
+}
+
+module.exports = {
+    id: 'birlaopus',
+    label: 'Birla Opus',
+    formats: ['pdf'],
+    priority: 30,
+    detect: ({ filename, head }) => filename.includes('BIRLAOPUS') || filename.includes('BIRLA') ||
+        head.includes('BIRLA OPUS') || head.includes('BIRLAOPUS'),
+    parse: ({ text }) => parseBirlaOpus(text),
+    fixtures: [
+        { input: 'birlaopus/dealer-price-list.txt', filename: 'BirlaOpus DPL Oct 2026.pdf', expected: 'birlaopus/dealer-price-list.expected.json' }
+    ],
+    parseBirlaOpus,
+    parseBirlaOpusTabular
+};
@@ -0,0 +1,105 @@
+/**
+ * Gem (Astral) — dealer price list (PDF).
+ * The PDF concatenates each row's prices into one digit run and
+ * extractGemPrices() does not split it yet, so this parser returns no rows;
+ * its fixture pins that until the split is written.
+ */
+
+function parseGem(text) {
+    const results = [];
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+
+    let currentProduct = '';
+    let currentSizes = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Skip T&C, headers
+        if (line.includes('T & C') || line.includes('TERMS AND') || line.includes('STANDARD CARTON') ||
+            line.includes('w.e.f') || line.includes('DECORATIVE') || line.includes('Dealer\'s Price') ||
+            line.includes('Prices ruling') || line.includes('The prices quoted') ||
+            line.includes('The company') || line.includes('By placing') ||
+            line.match(/^\d+\.\s/) || line.includes('INTERIOR EMULSIONS') ||
+            line.includes('EXTERIOR EMULSIONS') || line.includes('ICE LIST') ||
+            line.includes('DEALERS')) continue;
+
+        // Product header: "20 LGem Elita Luxury" or "20 LGemlite"
+        const prodMatch = line.match(/^(\d+)\s*L(.+)/);
+        if (prodMatch) {
+            const mainSize = prodMatch[1] + 'L';
+            currentProduct = prodMatch[2].trim();
+            continue;
+        }
+
+        // Size header line: "10 L4 L1 L" or "19.5 L9.75 L3.9 L975 ml"
+        const sizeMatch = line.match(/(\d+(?:\.\d+)?)\s*(?:L|ml)/g);
+        if (sizeMatch && sizeMatch.length >= 2 && !line.match(/^\d{3,}/)) {
+            currentSizes = sizeMatch.map(s => {
+                const m = s.match(/(\d+(?:\.\d+)?)\s*(L|ml)/i);
+                return m ? m[1] + m[2] : s;
+            });
+            continue;
+        }
+
+        // Price/data line: "Super White/EL Base 039478" or "EL - Base 05919446401872475"
+        const dataMatch = line.match(/^(Super White|.+?(?:Base|White|Classic|Group)\s*\d*)\s*([\d]+)$/);
+        if (dataMatch && currentProduct) {
+            // The numbers are concatenated prices for the sizes
+            const priceStr = dataMatch[2];
+            const variant = dataMatch[1].trim();
+
+            // Try to extract prices — they're concatenated
+            // For Gem, typically: 20L(5dig) 10L(4-5dig) 4L(3-4dig) 1L(3dig)
+            const prices = extractGemPrices(priceStr);
+
+            const sizes = ['20L', '10L', '4L', '1L']; // Default sizes for main line
+            for (let j = 0; j < Math.min(prices.length, sizes.length); j++) {
+                if (prices[j]) {
+                    results.push({
+                        brand: 'Gem (Astral)',
+                        product: currentProduct,
+                        packSize: sizes[j],
+                        dpl: prices[j],
+                        category: variant
+                    });
+                }
+            }
+            continue;
+        }
+    }
+
+    return results;
+}
+
+function extractGemPrices(str) {
+    // Gem prices are concatenated: "039478" could be "0 3947 8" or "03 9478"
+    // Typically: 5-digit 4-digit 3-4digit 3digit pattern
+    const prices = [];
+
+    // Try common patterns for 20L/10L/4L/1L
+    // 20L: 3000-15000 (4-5 digits)
+    // 10L: 1500-8000 (4 digits)
+    // 4L: 600-3500 (3-4 digits)
+    // 1L: 150-1000 (3 digits)
+
+    if (str.length >= 4) {
+        // Just store raw for now — too complex to reliably split without structure
+        // Better to use the line-by-line approach
+    }
+
+    return prices;
+}
+
+module.exports = {
+    id: 'gem',
+    label: 'Gem/Astral',
+    formats: ['pdf'],
+    priority: 40,
+    detect: ({ filename, head }) => filename.includes('GEM') || head.includes('GEM ') || head.includes('ASTRAL'),
+    parse: ({ text }) => parseGem(text),
+    fixtures: [
+        { input: 'gem/dealer-price-list.txt', filename: 'Gem DPL.pdf', expected: 'gem/dealer-price-list.expected.json' }
+    ],
+    parseGem
+};
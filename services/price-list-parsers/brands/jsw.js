@@ -0,0 +1,98 @@
+/**
+ * JSW Paints — retailer price list (PDF).
+ * Category lines (MAJESTIC INTERIORS, REGAL EXTERIORS …) followed by one line
+ * per product with prices for 250 ml / 1 L / 4 L / 10 L / 20 L.
+ */
+
+const { cleanPrice } = require('../helpers');
+
+function parseJSW(text) {
+    const results = [];
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+
+    let currentCategory = '';
+
+    // JSW has a clear structure:
+    // CATEGORY\nVARIANT SIZE1 SIZE2 SIZE3 SIZE4 SIZE5
+    // The sizes are: 250ML, 1L, 4L, 10L, 20L (or 0.65L, 3.25L, 6.5L, 13L for distemper)
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Skip headers
+        if (line.includes('RETAILER PRICE LIST') || line.includes('Effective from') ||
+            line.includes('Eective') || line.includes('PRICE / PACK') ||
+            line.includes('Distemper equivalent') || line.includes('All Colours') ||
+            line.includes('available in') || line.includes('WALL FINISHES') ||
+            line.includes('White &')) continue;
+
+        // Category line
+        if (line.match(/^(MAJESTIC|REGAL|ELEGANT|LONGLASTING|CLASSIC|MEGA|GOOD BYE)/)) {
+            if (line.includes('INTERIORS')) currentCategory = line.replace(/\s+/g, ' ');
+            else if (line.includes('EXTERIORS')) currentCategory = line.replace(/\s+/g, ' ');
+            else currentCategory = line;
+            continue;
+        }
+
+        // Product line with prices: "LUXGLO –              540                2100                5200              10300"
+        const prodPriceMatch = line.match(/^([A-Z][A-Z\s]+?)\s+(\d[\d\s–\-]+)$/);
+        if (prodPriceMatch) {
+            const variant = prodPriceMatch[1].trim();
+            const priceStr = prodPriceMatch[2].trim();
+            const prices = priceStr.split(/\s+/).map(p => p === '–' || p === '-' ? null : cleanPrice(p)).filter((_, idx) => true);
+
+            // Map to standard sizes: 250ML, 1L, 4L, 10L, 20L
+            const sizes = ['250ml', '1L', '4L', '10L', '20L'];
+            let priceIdx = 0;
+            for (let s = 0; s < sizes.length && priceIdx < prices.length; s++) {
+                if (prices[priceIdx] !== null && prices[priceIdx] !== undefined) {
+                    results.push({
+                        brand: 'JSW Paints',
+                        product: (currentCategory ? currentCategory + ' ' : '') + variant,
+                        packSize: sizes[s],
+                        dpl: prices[priceIdx],
+                        category: currentCategory
+                    });
+                }
+                priceIdx++;
+            }
+            continue;
+        }
+
+        // Single variant line with inline prices
+        const simpleMatch = line.match(/^([A-Z]+)\s+([\d\s]+)$/);
+        if (simpleMatch && currentCategory) {
+            const variant = simpleMatch[1].trim();
+            const nums = simpleMatch[2].trim().split(/\s+/).map(cleanPrice);
+            const sizes = ['250ml', '1L', '4L', '10L', '20L'];
+            let pi = 0;
+            for (let s = 0; s < sizes.length && pi < nums.length; s++) {
+                if (nums[pi]) {
+                    results.push({
+                        brand: 'JSW Paints',
+                        product: (currentCategory ? currentCategory + ' ' : '') + variant,
+                        packSize: sizes[s],
+                        dpl: nums[pi],
+                        category: currentCategory
+                    });
+                }
+                pi++;
+            }
+        }
+    }
+
+    return results;
+}
+
+module.exports = {
+    id: 'jsw',
+    label: 'JSW',
+    formats: ['pdf'],
+    priority: 50,
+    detect: ({ filename, head }) => filename.includes('JSW') || head.includes('JSW PAINTS'),
+    parse: ({ text }) => parseJSW(text),
+    fixtures: [
+        { input: 'jsw/retailer-price-list.txt', filename: 'JSW Price List.pdf', expected: 'jsw/retailer-price-list.expected.json' }
+    ],
+    parseJSW
+};
@@ -0,0 +1,166 @@
+/**
+ * Nippon — all-India dealer price list (PDF).
+ * Product lines carry their pack sizes ("SATINGLO PRIME20 Ltrs.10 Ltrs.…");
+ * variant lines carry the prices as one digit run, split by expected widths.
+ */
+
+const { cleanPrice } = require('../helpers');
+
+function parseNippon(text) {
+    const results = [];
+    const lines = text.split('\n').map(l => l.trim()).filter(l => l);
+
+    let currentCategory = '';
+    let currentProduct = '';
+    let currentSizes = [];
+
+    for (let i = 0; i < lines.length; i++) {
+        const line = lines[i];
+
+        // Skip headers/footers
+        if (line.includes('Dealer Price List') || line.includes('International quality') ||
+            line.includes('with effect from') || line.includes('DNP W.E.F') ||
+            line.includes('ALL INDIA DEALER')) continue;
+
+        // Category line
+        if (line.match(/^CATEGORY\s+PRODUCT/)) continue;
+        if (line.match(/^(INTERIOR EMULSION|EXTERIOR EMULSION|DESIGNER FINISH|WOOD FINISH|METAL FINISH|UNDERCOAT|DISTEMPER|PUTTY|PRIMER|FLOOR COAT|WATERPROOFING|CONSTRUCTION)/i)) {
+            currentCategory = line.trim();
+            continue;
+        }
+
+        // Product name with sizes: "MOMENTO ELEGANT900 ml"
+        // Or: "SATINGLO PRIME20 Ltrs.10 Ltrs.4 Ltrs.1 Ltr."
+        const prodSizeMatch = line.match(/^([A-Z][A-Za-z\s\+\(\)]+?)(\d+(?:\.\d+)?\s*(?:Ltrs?\.?|ml|Kg|gm|No\.)(?:\s*\d+(?:\.\d+)?\s*(?:Ltrs?\.?|ml|Kg|gm|No\.))*)\s*$/);
+        if (prodSizeMatch) {
+            currentProduct = prodSizeMatch[1].trim();
+            const sizeStr = prodSizeMatch[2];
+            currentSizes = [];
+            const sizeRegex = /(\d+(?:\.\d+)?)\s*(Ltrs?\.?|ml|Kg|gm|No\.)/gi;
+            let m;
+            while ((m = sizeRegex.exec(sizeStr)) !== null) {
+                const val = parseFloat(m[1]);
+                const unit = m[2].toLowerCase().replace(/\./g, '');
+                if (unit.startsWith('ltr') || unit === 'l') {
+                    currentSizes.push(val + 'L');
+                } else if (unit === 'ml') {
+                    currentSizes.push(val + 'ml');
+                } else if (unit === 'kg') {
+                    currentSizes.push(val + 'Kg');
+                } else {
+                    currentSizes.push(val + unit);
+                }
+            }
+            continue;
+        }
+
+        // Size-only line: "20 Ltrs.10 Ltrs.4 Ltrs.1 Ltr."
+        const sizeOnlyMatch = line.match(/^(\d+(?:\.\d+)?\s*(?:Ltrs?\.?|ml|Kg|gm)(?:\s*\d+(?:\.\d+)?\s*(?:Ltrs?\.?|ml|Kg|gm))*)\s*$/);
+        if (sizeOnlyMatch && !line.match(/^\d+$/)) {
+            const sizeStr = sizeOnlyMatch[1];
+            currentSizes = [];
+            const sizeRegex = /(\d+(?:\.\d+)?)\s*(Ltrs?\.?|ml|Kg|gm)/gi;
+            let m;
+            while ((m = sizeRegex.exec(sizeStr)) !== null) {
+                const val = parseFloat(m[1]);
+                const unit = m[2].toLowerCase().replace(/\./g, '');
+                if (unit.startsWith('ltr') || unit === 'l') {
+                    currentSizes.push(val + 'L');
+                } else if (unit === 'ml') {
+                    currentSizes.push(val + 'ml');
+                } else if (unit === 'kg') {
+                    currentSizes.push(val + 'Kg');
+                } else {
+                    currentSizes.push(val + unit);
+                }
+            }
+            continue;
+        }
+
+        // Price/variant line: "White1109057702396618134" or "B31034054632275601"
+        // variant name + concatenated prices
+        const priceMatch = line.match(/^([A-Za-z\s\/\(\)]+?)(\d{3,})$/);
+        if (priceMatch && currentProduct && currentSizes.length > 0) {
+            const variant = priceMatch[1].trim();
+            const priceStr = priceMatch[2];
+
+            // Split concatenated prices by expected count
+            const prices = splitNipponPrices(priceStr, currentSizes.length);
+
+            for (let j = 0; j < Math.min(prices.length, currentSizes.length); j++) {
+                if (prices[j]) {
+                    results.push({
+                        brand: 'Nippon',
+                        product: currentProduct + (variant && variant !== 'White' ? ' ' + variant : ''),
+                        packSize: currentSizes[j],
+                        dpl: prices[j],
+                        category: currentCategory
+                    });
+                }
+            }
+            continue;
+        }
+
+        // Garbled text lines (unicode issues in PDF) — skip
+        if (line.match(/[ĂĞŚ]/)) continue;
+    }
+
+    return results;
+}
+
+function splitNipponPrices(str, expectedCount) {
+    const prices = [];
+
+    // Nippon prices pattern: 20L(4-5 digits), 10L(4-5 digits), 4L(3-4 digits), 1L(3 digits), 200ml(2-3 digits)
+    // Example: "1109057702396618134" for sizes [20L, 10L, 4L, 1L, 200ml]
+    // = 11090, 5770, 2396, 618, 134
+
+    // Strategy: work backwards from expected size prices
+    // 200ml: 2-3 digits, 1L: 3 digits, 4L: 3-4 digits, 10L: 4 digits, 20L: 4-5 digits
+    const digitPatterns = {
+        5: [5, 4, 4, 3, 3],      // 20L,10L,4L,1L,200ml
+        4: [5, 4, 4, 3],          // 20L,10L,4L,1L
+        3: [4, 4, 3],             // 4L,1L,200ml or 10L,4L,1L
+        2: [4, 3],                // 4L,1L
+        1: [3]                    // single
+    };
+
+    const patterns = digitPatterns[expectedCount];
+    if (!patterns) return prices;
+
+    // Try to split using expected digit counts
+    let pos = 0;
+    for (let p = 0; p < patterns.length; p++) {
+        const digits = patterns[p];
+        if (pos + digits <= str.length) {
+            const chunk = str.substring(pos, pos + digits);
+            prices.push(cleanPrice(chunk));
+            pos += digits;
+        } else if (pos < str.length) {
+            // Take remaining
+            prices.push(cleanPrice(str.substring(pos)));
+            pos = str.length;
+        }
+    }
+
+    // If leftover, the split was wrong — try alternative
+    if (pos < str.length && str.length - pos <= 3) {
+        // Probably a small price at the end
+        prices.push(cleanPrice(str.substring(pos)));
+    }
+
+    return prices;
+}
+
+module.exports = {
+    id: 'nippon',
+    label: 'Nippon',
+    formats: ['pdf'],
+    priority: 60,
+    detect: ({ filename, head }) => filename.includes('NIPPON') || head.includes('NIPPON'),
+    parse: ({ text }) => parseNippon(text),
+    fixtures: [
+        { input: 'nippon/dealer-price-list.txt', filename: 'Nippon DPL.pdf', expected: 'nippon/dealer-price-list.expected.json' }
+    ],
+    parseNippon
+};
@@ -0,0 +1,54 @@
+/**
+ * Shared helpers for price-list parser plug-ins (services/price-list-parsers/).
+ * Kept free of plug-in imports so brand modules and the core parser can both
+ * require it without a cycle.
+ */
+
+function cleanPrice(s) {
+    if (!s || s === 'x' || s === '-' || s === '--' || s.trim() === '') return null;
+    const cleaned = String(s).replace(/,/g, '').replace(/[^\d.]/g, '').trim();
+    const num = parseFloat(cleaned);
+    return (num > 0 && !isNaN(num)) ? num : null;
+}
+
+/**
+ * Normalize a pack-size string to a canonical form.
+ * Examples: "1L"→"1L", "25KG"→"25kg", "200ML"→"200ml", "0.9L"→"0.9L".
+ * Non-numeric pack sizes (e.g. "Per Unit", "Sheet", '9"x11"') pass through unchanged.
+ */
+function normalizePackSize(s) {
+    if (s == null) return '';
+    const trimmed = String(s).trim();
+    if (!trimmed) return '';
+    const m = trimmed.match(/^([\d.]+)\s*(L|ml|kg|gm|g)\s*$/i);
+    if (m) {
+        const val = m[1];
+        const unit = m[2].toLowerCase();
+        if (unit === 'l') return `${val}L`;
+        return `${val}${unit}`;
+    }
+    return trimmed;
+}
+
+/** Split one CSV line, honouring double quotes ("" is a literal quote). */
+function splitCsvLine(line) {
+    const cols = [];
+    let cur = '';
+    let inQuotes = false;
+    for (let i = 0; i < line.length; i++) {
+        const ch = line[i];
+        if (ch === '"') {
+            if (inQuotes && line[i + 1] === '"') { cur += '"'; i++; }
+            else { inQuotes = !inQuotes; }
+        } else if (ch === ',' && !inQuotes) {
+            cols.push(cur);
+            cur = '';
+        } else {
+            cur += ch;
+        }
+    }
+    cols.push(cur.replace(/\r$/, ''));
+    return cols;
+}
+
+module.exports = { cleanPrice, normalizePackSize, splitCsvLine };
@@ -0,0 +1,269 @@
+/**
+ * Price-list parser plug-ins — the registry behind parsePriceList
+ * (services/price-list-parser.js).
+ *
+ * Every module in ./brands is loaded at start-up and registered, so adding a
+ * brand is one new file; the core parser does not change. A plug-in is:
+ *
+ *   {
+ *     id: 'nippon',                       // unique; also the ?parser= override
+ *     label: 'Nippon',
+ *     formats: ['pdf'],                   // input kinds it reads: pdf | csv | xlsx
+ *     priority: 60,                       // detection order, lowest first
+ *     detect({ filename, head, text, rows }) → false | true | '<brand key>',
+ *     parse({ kind, text, rows }, { filename, brandKey }) → rows[],
+ *     fixtures: [{ input, filename, expected }]
+ *   }
+ *
+ * detect() sees the upper-cased filename and the first 2,000 characters of
+ * text (upper-cased, `head`); returning a string overrides the brand key
+ * reported for the list (Berger uses it for its XP / non-XP editions).
+ * Tabular brands can skip the code entirely — see ./tabular.js definePlugin().
+ *
+ * Fixtures live under tests/unit/fixtures/price-lists/: `input` is the list
+ * (.pdf / .csv / .xlsx, or .txt holding text already extracted from a PDF),
+ * `expected` the golden JSON { parser, brand, rows, items }. runFixtures()
+ * compares a fresh parse against it — row count, prices, missing and new
+ * rows. scripts/price-list-fixtures.js is the CLI; the unit suite runs it too.
+ *
+ * Errors carry e.code: UNKNOWN_FORMAT, UNSUPPORTED_INPUT, INVALID_MAPPING,
+ * INVALID_PLUGIN.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const pdf = require('pdf-parse');
+const { splitCsvLine } = require('./helpers');
+const { readXlsx } = require('./xlsx');
+const tabular = require('./tabular');
+
+const BRANDS_DIR = path.join(__dirname, 'brands');
+const FIXTURES_DIR = path.join(__dirname, '..', '..', 'tests', 'unit', 'fixtures', 'price-lists');
+const FORMATS = ['pdf', 'csv', 'xlsx'];
+
+const plugins = new Map();
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+// ============ REGISTRY ============
+
+function register(plugin) {
+    if (!plugin || !/^[a-z0-9][a-z0-9-]*$/.test(plugin.id || '')) {
+        throw fail('INVALID_PLUGIN', 'Plug-in id must be lower-case letters, digits and dashes');
+    }
+    if (typeof plugin.detect !== 'function' || typeof plugin.parse !== 'function') {
+        throw fail('INVALID_PLUGIN', `${plugin.id}: detect and parse must be functions`);
+    }
+    const formats = plugin.formats || ['pdf'];
+    if (!formats.length || formats.some(f => !FORMATS.includes(f))) {
+        throw fail('INVALID_PLUGIN', `${plugin.id}: formats must be from ${FORMATS.join(', ')}`);
+    }
+    if (plugins.has(plugin.id)) throw fail('INVALID_PLUGIN', `${plugin.id} is already registered`);
+    plugins.set(plugin.id, {
+        ...plugin,
+        label: plugin.label || plugin.id,
+        formats,
+        priority: plugin.priority != null ? plugin.priority : 100,
+        fixtures: plugin.fixtures || []
+    });
+}
+
+function unregister(id) {
+    plugins.delete(id);
+}
+
+/** Registered plug-ins in detection order. */
+function list() {
+    return [...plugins.values()].sort((a, b) => a.priority - b.priority || a.id.localeCompare(b.id));
+}
+
+function get(id) {
+    return plugins.get(id) || null;
+}
+
+function loadBuiltins() {
+    for (const file of fs.readdirSync(BRANDS_DIR).filter(f => f.endsWith('.js')).sort()) {
+        const plugin = require(path.join(BRANDS_DIR, file));
+        if (!plugins.has(plugin.id)) register(plugin);
+    }
+}
+
+// ============ INPUT ============
+
+function parseCsv(text) {
+    return text.replace(/^\uFEFF/, '').split('\n').map(l => splitCsvLine(l.replace(/\r$/, '')));
+}
+
+/**
+ * Read an uploaded list into { kind, text, rows, pages }. PDFs give text;
+ * CSV / XLSX give rows (and their text, tab-joined, for detection).
+ */
+async function readInput(buffer, filename, opts = {}) {
+    const name = String(filename || '').toLowerCase();
+    const magic = buffer.subarray(0, 4).toString('latin1');
+    if (magic === '%PDF') {
+        const data = await pdf(buffer);
+        return { kind: 'pdf', text: data.text, rows: null, pages: data.numpages };
+    }
+    if (magic.startsWith('PK') || name.endsWith('.xlsx')) {
+        const { rows } = readXlsx(buffer, { sheet: opts.sheet });
+        return { kind: 'xlsx', text: rows.map(r => r.join('\t')).join('\n'), rows, pages: null };
+    }
+    if (name.endsWith('.csv') || name.endsWith('.txt') || !buffer.subarray(0, 512).includes(0)) {
+        const text = buffer.toString('utf8');
+        return { kind: 'csv', text, rows: parseCsv(text), pages: null };
+    }
+    throw fail('UNSUPPORTED_INPUT', 'Upload a PDF, CSV or XLSX price list');
+}
+
+// ============ DETECT / PARSE ============
+
+function detectContext(input, filename) {
+    return {
+        filename: String(filename || '').toUpperCase(),
+        head: (input.text || '').substring(0, 2000).toUpperCase(),
+        text: input.text || '',
+        rows: input.rows || null
+    };
+}
+
+/** First plug-in (by priority) that reads this kind of input and claims it. */
+function detect(input, filename) {
+    const ctx = detectContext(input, filename);
+    for (const plugin of list()) {
+        if (!plugin.formats.includes(input.kind)) continue;
+        const hit = plugin.detect(ctx);
+        if (hit) return { plugin, brandKey: typeof hit === 'string' ? hit : plugin.id };
+    }
+    return null;
+}
+
+/**
+ * Parse input already read by readInput().
+ * @param {Object} input - { kind, text, rows }
+ * @param {Object} opts - { filename, parser: plug-in id to force, mapping: ad-hoc tabular mapping }
+ * @returns {{ brand: string, parser: string, items: Array }}
+ */
+function parseInput(input, { filename, parser, mapping } = {}) {
+    if (mapping) {
+        if (!input.rows) throw fail('INVALID_MAPPING', 'A column mapping needs a CSV or XLSX file');
+        return { brand: tabular.validateMapping(mapping).brand, parser: 'mapping', items: tabular.parseRows(input.rows, mapping) };
+    }
+
+    let found;
+    if (parser) {
+        const plugin = get(parser);
+        if (!plugin) throw fail('UNKNOWN_FORMAT', `No price-list parser "${parser}"`);
+        if (!plugin.formats.includes(input.kind)) {
+            throw fail('UNKNOWN_FORMAT', `${plugin.label} parser reads ${plugin.formats.join('/')} files, not ${input.kind}`);
+        }
+        const hit = plugin.detect(detectContext(input, filename));
+        found = { plugin, brandKey: typeof hit === 'string' ? hit : plugin.id };
+    } else {
+        found = detect(input, filename);
+    }
+    if (!found) {
+        const supported = list().filter(p => p.formats.includes(input.kind)).map(p => p.label);
+        throw fail('UNKNOWN_FORMAT', `Unknown brand format. Supported: ${supported.join(', ')}`);
+    }
+
+    const items = found.plugin.parse(input, { filename, brandKey: found.brandKey });
+    return { brand: found.brandKey, parser: found.plugin.id, items };
+}
+
+// ============ FIXTURES ============
+
+const rowKey = r => [r.product, r.packSize || '', r.baseCode || ''].join('|');
+const rowPrice = r => (r.dpl != null ? r.dpl : Array.isArray(r._prices) ? r._prices.join('/') : null);
+
+/**
+ * Compare a parse against golden rows. Rows pair by product + pack + base
+ * code (repeats pair in order).
+ * @returns {{ ok, expectedRows, actualRows, priceChanges, missing, added }}
+ */
+function compareRows(expected, actual) {
+    const pending = new Map();
+    for (const r of expected) {
+        if (!pending.has(rowKey(r))) pending.set(rowKey(r), []);
+        pending.get(rowKey(r)).push(r);
+    }
+    const priceChanges = [];
+    const added = [];
+    for (const r of actual) {
+        const before = (pending.get(rowKey(r)) || []).shift();
+        if (!before) { added.push(rowKey(r)); continue; }
+        if (String(rowPrice(before)) !== String(rowPrice(r))) {
+            priceChanges.push({ key: rowKey(r), expected: rowPrice(before), actual: rowPrice(r) });
+        }
+    }
+    const missing = [...pending.values()].flat().map(rowKey);
+    return {
+        ok: expected.length === actual.length && !priceChanges.length && !missing.length && !added.length,
+        expectedRows: expected.length,
+        actualRows: actual.length,
+        priceChanges,
+        missing,
+        added
+    };
+}
+
+async function readFixture(fixture) {
+    const file = path.join(FIXTURES_DIR, fixture.input);
+    const buffer = fs.readFileSync(file);
+    if (file.endsWith('.txt')) return { kind: 'pdf', text: buffer.toString('utf8'), rows: null, pages: null };
+    return readInput(buffer, fixture.filename || path.basename(file));
+}
+
+/**
+ * Run plug-in fixtures against their golden output.
+ * @param {Object} [opts] - { only: plug-in id, update: rewrite the golden files }
+ * @returns {Promise<Array<{ plugin, input, ok, error?, parser?, brand?, diff? }>>}
+ */
+async function runFixtures({ only = null, update = false } = {}) {
+    const reports = [];
+    for (const plugin of list()) {
+        if (only && plugin.id !== only) continue;
+        for (const fixture of plugin.fixtures) {
+            const report = { plugin: plugin.id, input: fixture.input, ok: false };
+            try {
+                const input = await readFixture(fixture);
+                const result = parseInput(input, { filename: fixture.filename });
+                const expectedFile = path.join(FIXTURES_DIR, fixture.expected);
+                report.parser = result.parser;
+                report.brand = result.brand;
+                if (update) {
+                    const golden = { parser: result.parser, brand: result.brand, rows: result.items.length, items: result.items };
+                    fs.writeFileSync(expectedFile, JSON.stringify(golden, null, 2) + '\n');
+                }
+                const golden = JSON.parse(fs.readFileSync(expectedFile, 'utf8'));
+                report.diff = compareRows(golden.items, result.items);
+                report.detectedAs = result.parser === golden.parser && result.brand === golden.brand;
+                report.ok = report.diff.ok && report.detectedAs;
+            } catch (err) {
+                report.error = err.message;
+            }
+            reports.push(report);
+        }
+    }
+    return reports;
+}
+
+loadBuiltins();
+
+module.exports = {
+    FIXTURES_DIR,
+    register,
+    unregister,
+    list,
+    get,
+    readInput,
+    detect,
+    parseInput,
+    compareRows,
+    runFixtures,
+    definePlugin: tabular.definePlugin
+};
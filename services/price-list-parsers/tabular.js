@@ -0,0 +1,179 @@
+/**
+ * Generic column-mapping parser for tabular (CSV / XLSX) price lists.
+ *
+ * A new brand whose price list is a plain table needs no parser code — only a
+ * mapping from its columns to the unified row { brand, product, packSize,
+ * dpl, category, baseCode }:
+ *
+ *   {
+ *     brand: 'Indigo Paints',
+ *     header_row: 2,                 // 1-based; omit to find the row holding the product header
+ *     columns: {
+ *       product: 'Product Name',     // header text (case / spacing ignored) or 0-based index
+ *       shade: 'Base',               // optional — appended as "<product> - <shade>"
+ *       category: 'Range',           // optional
+ *       base_code: 'Code',           // optional
+ *       pack_size: 'Pack',           // long format: one row per pack…
+ *       dpl: 'DPL'
+ *     },
+ *     pack_columns: 'auto',          // …or wide format: one column per pack size
+ *                                    // ('auto' = every header that reads like a size, or a list)
+ *     skip_pattern: '^(Total|Note)'  // optional — products matching it are ignored
+ *   }
+ *
+ * definePlugin() wraps a mapping as a registry plug-in (see
+ * services/price-list-parsers/index.js); parsePriceList also accepts a mapping
+ * per upload for one-off lists.
+ *
+ * Throws Error with e.code = 'INVALID_MAPPING' when the mapping does not fit.
+ */
+
+const { normalizePackSize } = require('./helpers');
+
+const HEADER_SEARCH_ROWS = 20;
+
+function fail(message) {
+    const e = new Error(message);
+    e.code = 'INVALID_MAPPING';
+    return e;
+}
+
+const norm = s => String(s == null ? '' : s).replace(/\s+/g, ' ').trim().toLowerCase();
+
+/** "1,930.00", "₹ 490" → number; anything else (blank, "-", "N/A", "1.2.3") → null. */
+function priceCell(v) {
+    const s = String(v == null ? '' : v).replace(/[,₹\s]/g, '').replace(/^Rs\.?/i, '');
+    if (!/^\d+(\.\d+)?$/.test(s)) return null;
+    const n = parseFloat(s);
+    return n > 0 ? n : null;
+}
+
+const looksLikeSize = h => /^[\d.]+(L|ml|kg|gm|g)$/i.test(normalizePackSize(h).replace(/\s+/g, ''));
+
+/** Check a mapping and fill defaults; returns a normalised copy. */
+function validateMapping(mapping) {
+    if (!mapping || typeof mapping !== 'object') throw fail('Mapping must be an object');
+    const columns = mapping.columns || {};
+    if (!String(mapping.brand || '').trim()) throw fail('Mapping needs a brand');
+    if (columns.product == null || columns.product === '') throw fail('Mapping needs a product column');
+    const wide = mapping.pack_columns != null;
+    if (wide && mapping.pack_columns !== 'auto' && !(Array.isArray(mapping.pack_columns) && mapping.pack_columns.length)) {
+        throw fail('pack_columns must be "auto" or a list of columns');
+    }
+    if (!wide && (columns.pack_size == null || columns.dpl == null)) {
+        throw fail('Mapping needs pack_size and dpl columns, or pack_columns for a wide table');
+    }
+    if (mapping.header_row != null && !(Number.isInteger(Number(mapping.header_row)) && Number(mapping.header_row) >= 1)) {
+        throw fail('header_row must be a row number from 1');
+    }
+    let skip = null;
+    if (mapping.skip_pattern) {
+        try { skip = new RegExp(mapping.skip_pattern, 'i'); } catch { throw fail('skip_pattern is not a valid pattern'); }
+    }
+    return { ...mapping, brand: String(mapping.brand).trim(), columns, wide, skip };
+}
+
+function findHeaderRow(rows, m) {
+    if (m.header_row != null) return Number(m.header_row) - 1;
+    if (typeof m.columns.product === 'number') return 0;
+    const want = norm(m.columns.product);
+    const limit = Math.min(rows.length, HEADER_SEARCH_ROWS);
+    for (let i = 0; i < limit; i++) {
+        if ((rows[i] || []).some(c => norm(c) === want)) return i;
+    }
+    throw fail(`Column "${m.columns.product}" not found in the first ${HEADER_SEARCH_ROWS} rows`);
+}
+
+/**
+ * Parse rows (arrays of cell strings) with a column mapping.
+ * @param {string[][]} rows
+ * @param {Object} mapping - see the header
+ * @returns {Array<{brand, product, packSize, dpl, category, baseCode}>}
+ */
+function parseRows(rows, mapping) {
+    const m = validateMapping(mapping);
+    const headerIdx = findHeaderRow(rows, m);
+    const header = rows[headerIdx] || [];
+
+    const col = (ref, required) => {
+        if (ref == null || ref === '') return -1;
+        if (typeof ref === 'number') return ref;
+        const i = header.findIndex(h => norm(h) === norm(ref));
+        if (i < 0 && required) throw fail(`Column "${ref}" not found in the header row`);
+        return i;
+    };
+    const c = {
+        product: col(m.columns.product, true),
+        shade: col(m.columns.shade, true),
+        category: col(m.columns.category, true),
+        baseCode: col(m.columns.base_code, true),
+        packSize: m.wide ? -1 : col(m.columns.pack_size, true),
+        dpl: m.wide ? -1 : col(m.columns.dpl, true)
+    };
+    const packCols = !m.wide ? []
+        : m.pack_columns === 'auto'
+            ? header.map((h, i) => ({ i, size: normalizePackSize(h) })).filter(p => looksLikeSize(header[p.i]))
+            : m.pack_columns.map(ref => {
+                const i = col(ref, true);
+                return { i, size: normalizePackSize(typeof ref === 'number' ? header[i] : ref) };
+            });
+    if (m.wide && !packCols.length) throw fail('No pack-size columns found in the header row');
+
+    const cell = (row, i) => (i < 0 ? '' : String(row[i] == null ? '' : row[i]).trim());
+    const results = [];
+    for (const row of rows.slice(headerIdx + 1)) {
+        if (!row || !row.length) continue;
+        const name = cell(row, c.product);
+        if (!name || (m.skip && m.skip.test(name))) continue;
+        const shade = cell(row, c.shade);
+        const base = {
+            brand: m.brand,
+            product: shade ? `${name} - ${shade}` : name,
+            category: cell(row, c.category),
+            baseCode: cell(row, c.baseCode)
+        };
+        if (m.wide) {
+            for (const p of packCols) {
+                const dpl = priceCell(row[p.i]);
+                if (dpl && p.size) results.push({ ...base, packSize: p.size, dpl });
+            }
+        } else {
+            const packSize = normalizePackSize(cell(row, c.packSize));
+            const dpl = priceCell(row[c.dpl]);
+            if (packSize && dpl) results.push({ ...base, packSize, dpl });
+        }
+    }
+    return results;
+}
+
+/**
+ * A registry plug-in for a brand whose list is a plain table.
+ * @param {Object} config - { id, label, mapping, priority?, formats?, fixtures?,
+ *                            match: { filename?: RegExp|string, headers?: string[] } }
+ *   match.filename tests the upper-cased filename; match.headers must all
+ *   appear in one of the first rows.
+ */
+function definePlugin(config) {
+    validateMapping(config.mapping);
+    const match = config.match || {};
+    const filenameRe = match.filename ? new RegExp(match.filename, 'i') : null;
+    const headers = (match.headers || []).map(norm);
+    if (!filenameRe && !headers.length) throw fail(`${config.id}: match needs a filename pattern or headers`);
+    return {
+        id: config.id,
+        label: config.label || config.mapping.brand,
+        formats: config.formats || ['csv', 'xlsx'],
+        priority: config.priority != null ? config.priority : 50,
+        mapping: config.mapping,
+        detect: ({ filename, rows }) => {
+            if (filenameRe && !filenameRe.test(filename)) return false;
+            if (!headers.length) return true;
+            return (rows || []).slice(0, HEADER_SEARCH_ROWS)
+                .some(r => headers.every(h => r.some(cell => norm(cell) === h)));
+        },
+        parse: ({ rows }) => parseRows(rows, config.mapping),
+        fixtures: config.fixtures || []
+    };
+}
+
+module.exports = { validateMapping, parseRows, definePlugin, priceCell };
@@ -0,0 +1,139 @@
+/**
+ * Minimal XLSX reader for tabular price lists — cell values of one worksheet
+ * as rows of strings. An .xlsx is a zip of XML parts; this reads the zip's
+ * central directory, inflates the parts it needs with zlib and pulls cells out
+ * of the sheet XML. Formatting, formulas (the cached value is used) and
+ * zip64 archives are out of scope.
+ *
+ * Throws Error with e.code = 'UNSUPPORTED_INPUT' for anything it cannot read.
+ */
+
+const zlib = require('zlib');
+
+function fail(message) {
+    const e = new Error(message);
+    e.code = 'UNSUPPORTED_INPUT';
+    return e;
+}
+
+/** Zip entries by name → () => Buffer (inflated lazily). */
+function readZip(buf) {
+    let eocd = -1;
+    for (let i = buf.length - 22; i >= Math.max(0, buf.length - 65557); i--) {
+        if (buf.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd < 0) throw fail('Not a valid XLSX file');
+
+    const count = buf.readUInt16LE(eocd + 10);
+    let p = buf.readUInt32LE(eocd + 16);
+    if (p === 0xffffffff) throw fail('Zip64 XLSX files are not supported');
+
+    const entries = new Map();
+    for (let n = 0; n < count; n++) {
+        if (buf.readUInt32LE(p) !== 0x02014b50) throw fail('Corrupt XLSX file');
+        const method = buf.readUInt16LE(p + 10);
+        const compSize = buf.readUInt32LE(p + 20);
+        const nameLen = buf.readUInt16LE(p + 28);
+        const extraLen = buf.readUInt16LE(p + 30);
+        const commentLen = buf.readUInt16LE(p + 32);
+        const local = buf.readUInt32LE(p + 42);
+        const name = buf.toString('utf8', p + 46, p + 46 + nameLen);
+        entries.set(name, () => {
+            const start = local + 30 + buf.readUInt16LE(local + 26) + buf.readUInt16LE(local + 28);
+            const data = buf.subarray(start, start + compSize);
+            if (method === 0) return data;
+            if (method === 8) return zlib.inflateRawSync(data);
+            throw fail(`Unsupported zip compression (${method})`);
+        });
+        p += 46 + nameLen + extraLen + commentLen;
+    }
+    return entries;
+}
+
+function decodeXml(s) {
+    return s
+        .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+        .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(parseInt(d, 10)))
+        .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'")
+        .replace(/&amp;/g, '&');
+}
+
+/** Text of every <t> in a fragment (rich-text runs are joined). */
+function textOf(xml) {
+    let out = '';
+    const re = /<t\b[^>]*>([\s\S]*?)<\/t>/g;
+    let m;
+    while ((m = re.exec(xml)) !== null) out += m[1];
+    return decodeXml(out);
+}
+
+function attr(attrs, name) {
+    const m = attrs.match(new RegExp(`\\b${name}="([^"]*)"`));
+    return m ? m[1] : null;
+}
+
+function columnIndex(ref) {
+    const letters = ref.replace(/\d+$/, '');
+    let n = 0;
+    for (const ch of letters) n = n * 26 + (ch.charCodeAt(0) - 64);
+    return n - 1;
+}
+
+/**
+ * Read a worksheet.
+ * @param {Buffer} buf - the .xlsx file
+ * @param {Object} [opts] - { sheet: name or 0-based index; default the first sheet }
+ * @returns {{ sheets: string[], sheet: string, rows: string[][] }}
+ */
+function readXlsx(buf, opts = {}) {
+    const zip = readZip(buf);
+    const part = (name) => (zip.has(name) ? zip.get(name)().toString('utf8') : null);
+
+    const workbook = part('xl/workbook.xml');
+    if (!workbook) throw fail('Not a valid XLSX file');
+    const rels = part('xl/_rels/workbook.xml.rels') || '';
+    const targets = new Map();
+    for (const m of rels.matchAll(/<Relationship\b([^>]*)\/?>/g)) {
+        targets.set(attr(m[1], 'Id'), attr(m[1], 'Target'));
+    }
+    const sheets = [...workbook.matchAll(/<sheet\b([^>]*)\/?>/g)].map(m => ({
+        name: decodeXml(attr(m[1], 'name') || ''),
+        target: targets.get(attr(m[1], 'r:id'))
+    }));
+    if (!sheets.length) throw fail('XLSX file has no worksheets');
+
+    const wanted = opts.sheet;
+    const sheet = wanted == null ? sheets[0]
+        : typeof wanted === 'number' ? sheets[wanted]
+            : sheets.find(s => s.name.toLowerCase() === String(wanted).toLowerCase());
+    if (!sheet || !sheet.target) throw fail(`Worksheet "${wanted}" not found`);
+    const path = sheet.target.startsWith('/') ? sheet.target.slice(1) : `xl/${sheet.target}`;
+    const xml = part(path);
+    if (!xml) throw fail(`Worksheet "${sheet.name}" is missing`);
+
+    const shared = [];
+    const sst = part('xl/sharedStrings.xml');
+    if (sst) for (const m of sst.matchAll(/<si\b[^>]*>([\s\S]*?)<\/si>/g)) shared.push(textOf(m[1]));
+
+    const rows = [];
+    for (const row of xml.matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+        const r = Number(attr(row[1], 'r')) || rows.length + 1;
+        const cells = [];
+        for (const c of (row[2] || '').matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+            const ref = attr(c[1], 'r');
+            const type = attr(c[1], 't');
+            const inner = c[2] || '';
+            const v = inner.match(/<v>([\s\S]*?)<\/v>/);
+            let value = '';
+            if (type === 's') value = v ? (shared[Number(v[1])] || '') : '';
+            else if (type === 'inlineStr') value = textOf(inner);
+            else if (type === 'b') value = v && v[1] === '1' ? 'TRUE' : 'FALSE';
+            else value = v ? decodeXml(v[1]) : '';
+            cells[ref ? columnIndex(ref) : cells.length] = value;
+        }
+        rows[r - 1] = Array.from(cells, x => (x == null ? '' : x));
+    }
+    return { sheets: sheets.map(s => s.name), sheet: sheet.name, rows: Array.from(rows, x => x || []) };
+}
+
+module.exports = { readXlsx };
@@ -8,9 +8,17 @@
  *   Suggested Qty = (branchThreshold - currentStock) * multiplier
  *
  * Low-volume fallback: If monthly avg < threshold, use category default * numBranches
+ *
+ * Transfer-first (config purchase_suggestion_transfer_first, default on): a
+ * branch's deficit is covered from sister branches' surplus (stock above
+ * their own threshold, in whole units) as 'transfer' suggestions before the
+ * remainder becomes a 'purchase'. Open stock transfers count too — inbound
+ * quantity toward the destination, requested/approved quantity off the
+ * source's surplus (services/stock-transfers.js).
  */
 
 const zohoAPI = require('./zoho-api');
+const { loadOpenTransfers } = require('./stock-transfers');
 
 let pool;
 
@@ -36,7 +44,8 @@ async function getConfig() {
         days: parseInt(config.purchase_suggestion_days) || 90,
         multiplier: parseFloat(config.purchase_suggestion_multiplier) || 1.5,
         lowVolumeThreshold: parseInt(config.purchase_suggestion_low_volume_threshold) || 5,
-        branchCount: parseInt(config.purchase_suggestion_branch_count) || null
+        branchCount: parseInt(config.purchase_suggestion_branch_count) || null,
+        transferFirst: config.purchase_suggestion_transfer_first !== 'false'
     };
 }
 
@@ -188,20 +197,49 @@ function calculateBranchAllocations(globalLevels, branchAllocations) {
 
 /**
  * Generate purchase suggestions by comparing thresholds vs current stock
- * Only creates suggestions where currentStock < branchThreshold
+ * Only creates suggestions where currentStock (+ inbound transfers) < branchThreshold
  * Priority: HIGH if stock==0, MEDIUM if stock < globalReorder*0.3, LOW otherwise
+ *
+ * options.transferFirst: cover the deficit from other branches' surplus first
+ *   (largest surplus first, whole units, neediest branch served first); only
+ *   what's left is bought, times the multiplier.
+ * options.openTransfers: { inbound, reserved } from loadOpenTransfers()
  */
-function generatePurchaseSuggestions(branchThresholds, currentStockMap, multiplier) {
+function generatePurchaseSuggestions(branchThresholds, currentStockMap, multiplier, options = {}) {
+    const { transferFirst = false, openTransfers = null } = options;
+    const inbound = (openTransfers && openTransfers.inbound) || {};
+    const reserved = (openTransfers && openTransfers.reserved) || {};
+    const stockAt = key => (currentStockMap[key] ? currentStockMap[key].stock_on_hand : 0);
     const suggestions = [];
 
-    for (const item of branchThresholds) {
+    // Spare stock per item: what each branch holds above its own threshold,
+    // less what it has already promised to another branch.
+    const surplus = {};
+    if (transferFirst) {
+        for (const item of branchThresholds) {
+            const key = `${item.zoho_item_id}_${item.zoho_location_id}`;
+            const spare = Math.floor(stockAt(key) - (reserved[key] || 0) - item.branchThreshold);
+            if (spare <= 0) continue;
+            if (!surplus[item.zoho_item_id]) surplus[item.zoho_item_id] = [];
+            surplus[item.zoho_item_id].push({ location_id: item.zoho_location_id, branch_name: item.branch_name, qty: spare });
+        }
+    }
+
+    // Neediest branch first, so a scarce surplus goes where stock is lowest
+    const cover = item => {
+        const key = `${item.zoho_item_id}_${item.zoho_location_id}`;
+        return item.branchThreshold > 0 ? (stockAt(key) + (inbound[key] || 0)) / item.branchThreshold : Infinity;
+    };
+    const ordered = transferFirst ? [...branchThresholds].sort((a, b) => cover(a) - cover(b)) : branchThresholds;
+
+    for (const item of ordered) {
         const stockKey = `${item.zoho_item_id}_${item.zoho_location_id}`;
         const stockInfo = currentStockMap[stockKey];
         const currentStock = stockInfo ? stockInfo.stock_on_hand : 0;
+        const incoming = inbound[stockKey] || 0;
 
-        if (currentStock < item.branchThreshold) {
-            const deficit = item.branchThreshold - currentStock;
-            const suggestedQty = Math.round(deficit * multiplier * 100) / 100;
+        if (currentStock + incoming < item.branchThreshold) {
+            let deficit = item.branchThreshold - currentStock - incoming;
 
             let priority = 'LOW';
             if (currentStock === 0) {
@@ -210,7 +248,7 @@ function generatePurchaseSuggestions(branchThresholds, currentStockMap, multipli
                 priority = 'MEDIUM';
             }
 
-            suggestions.push({
+            const base = {
                 zoho_item_id: item.zoho_item_id,
                 item_name: item.itemName || (stockInfo ? stockInfo.item_name : ''),
                 sku: item.sku || (stockInfo ? stockInfo.sku : ''),
@@ -220,12 +258,40 @@ function generatePurchaseSuggestions(branchThresholds, currentStockMap, multipli
                 global_reorder_level: item.globalReorderLevel,
                 branch_reorder_threshold: item.branchThreshold,
                 current_stock: currentStock,
-                suggested_qty: suggestedQty,
                 priority,
                 total_sales_90d: item.totalSales,
                 daily_avg_sales: item.dailyAvg,
                 used_category_default: item.usedDefault ? 1 : 0
-            });
+            };
+
+            if (transferFirst) {
+                const sources = (surplus[item.zoho_item_id] || [])
+                    .filter(s => s.qty > 0 && s.location_id !== item.zoho_location_id)
+                    .sort((a, b) => b.qty - a.qty);
+                for (const src of sources) {
+                    if (deficit <= 0) break;
+                    const take = Math.min(src.qty, Math.ceil(deficit));
+                    src.qty -= take;
+                    deficit -= take;
+                    suggestions.push({
+                        ...base,
+                        suggestion_type: 'transfer',
+                        suggested_qty: take,
+                        transfer_from_location_id: src.location_id,
+                        transfer_from_branch: src.branch_name
+                    });
+                }
+            }
+
+            if (deficit > 0) {
+                suggestions.push({
+                    ...base,
+                    suggestion_type: 'purchase',
+                    suggested_qty: Math.round(deficit * multiplier * 100) / 100,
+                    transfer_from_location_id: null,
+                    transfer_from_branch: null
+                });
+            }
         }
     }
 
@@ -344,26 +410,37 @@ async function runFullCalculation(triggeredBy) {
     // 5. Calculate per-branch thresholds
     const branchThresholds = calculateBranchAllocations(globalLevels, branchAllocs);
 
-    // 6. Generate suggestions
-    const suggestions = generatePurchaseSuggestions(branchThresholds, currentStockMap, config.multiplier);
+    // 6. Generate suggestions (sister-branch transfers first, then purchases)
+    let openTransfers = null;
+    try {
+        openTransfers = await loadOpenTransfers(pool);
+    } catch (trErr) {
+        console.warn('[PurchaseSuggestion] Could not read open stock transfers:', trErr.message);
+    }
+    const suggestions = generatePurchaseSuggestions(branchThresholds, currentStockMap, config.multiplier, {
+        transferFirst: config.transferFirst,
+        openTransfers
+    });
 
     // 7. Save to database with unique batch ID
     const batchId = 'PS-' + Date.now() + '-' + Math.random().toString(36).substr(2, 6);
 
     if (suggestions.length > 0) {
         const values = suggestions.map(s => [
-            batchId, s.zoho_item_id, s.item_name, s.sku, s.category_name,
+            batchId, s.suggestion_type, s.zoho_item_id, s.item_name, s.sku, s.category_name,
             s.zoho_location_id, s.branch_name, s.global_reorder_level,
             s.branch_reorder_threshold, s.current_stock, s.suggested_qty,
+            s.transfer_from_location_id, s.transfer_from_branch,
             s.priority, s.total_sales_90d, s.daily_avg_sales,
             s.used_category_default
         ]);
 
         await pool.query(`
             INSERT INTO zoho_purchase_suggestions
-            (batch_id, zoho_item_id, item_name, sku, category_name,
+            (batch_id, suggestion_type, zoho_item_id, item_name, sku, category_name,
              zoho_location_id, branch_name, global_reorder_level,
              branch_reorder_threshold, current_stock, suggested_qty,
+             transfer_from_location_id, transfer_from_branch,
              priority, total_sales_90d, daily_avg_sales, used_category_default)
             VALUES ?
         `, [values]);
@@ -374,6 +451,7 @@ async function runFullCalculation(triggeredBy) {
         batchId,
         totalItems: Object.keys(globalLevels).length,
         totalSuggestions: suggestions.length,
+        transferSuggestions: suggestions.filter(s => s.suggestion_type === 'transfer').length,
         highPriority: suggestions.filter(s => s.priority === 'HIGH').length,
         mediumPriority: suggestions.filter(s => s.priority === 'MEDIUM').length,
         lowPriority: suggestions.filter(s => s.priority === 'LOW').length,
@@ -411,6 +489,10 @@ async function getSuggestionsByBatch(batchId, filters = {}) {
         where += ' AND ps.priority = ?';
         params.push(filters.priority);
     }
+    if (filters.type) {
+        where += ' AND ps.suggestion_type = ?';
+        params.push(filters.type);
+    }
     if (filters.status) {
         where += ' AND ps.status = ?';
         params.push(filters.status);
@@ -0,0 +1,78 @@
+/**
+ * SCHEDULED PRICE CHANGES SCHEDULER
+ * Switches effective-dated prices on their day (services/scheduled-prices.js):
+ * applies due DPL simulations, updates local item rates, queues the Zoho push
+ * and tells staff and engineers.
+ * Cron: 00:00 IST daily (0 0 * * * Asia/Kolkata). Everything due on or
+ * before today is taken, so a run missed while the server was down catches up
+ * on the next one; applied rows are no longer 'scheduled', so a second run the
+ * same day does nothing.
+ */
+
+const cron = require('node-cron');
+const { isClusterPrimary } = require('./cluster-guard');
+const scheduledPrices = require('./scheduled-prices');
+const notificationService = require('./notification-service');
+const sessionManager = require('./whatsapp-session-manager');
+const { istDateString } = require('./zoho-payment-mapper');
+
+const JOB_ID = 'scheduled-price-changes';
+
+let pool;
+let registry = null;
+
+function setAutomationRegistry(r) { registry = r; }
+
+/**
+ * Initialize the scheduler
+ * @param {object} dbPool - MySQL connection pool
+ */
+function init(dbPool) {
+    pool = dbPool;
+
+    // Only the PM2 cluster-primary worker registers the cron (lead-reminder-scheduler pattern).
+    if (!isClusterPrimary()) {
+        console.log('[ScheduledPrices] skipping cron registration — not PM2 cluster primary');
+        return;
+    }
+    if (registry) {
+        registry.register(JOB_ID, {
+            name: 'Scheduled Price Changes',
+            service: 'scheduled-prices-scheduler',
+            schedule: '0 0 * * *',
+            description: 'Applies effective-dated DPL / item prices at 00:00 IST, pushes them to Zoho and notifies staff + engineers'
+        });
+    }
+    cron.schedule('0 0 * * *', () => runDaily().catch(() => {}), { timezone: 'Asia/Kolkata' });
+    console.log('[ScheduledPrices] Scheduler initialized — runs at 00:00 IST daily');
+}
+
+/**
+ * Switch everything due today
+ * @param {object} [opts] - { userId } when run by hand
+ */
+async function runDaily({ userId = null } = {}) {
+    if (registry) registry.markRunning(JOB_ID);
+    try {
+        const result = await scheduledPrices.runDue(
+            {
+                db: pool,
+                notify: notificationService.send,
+                sendWhatsApp: (phone, text) => sessionManager.sendMessage(0, phone, text, { source: 'price_change' })
+            },
+            { today: istDateString(new Date()), userId }
+        );
+        const details = `${result.simulations.length} simulations, ${result.items} item prices switched` +
+            (result.job_id ? ` (Zoho job #${result.job_id})` : '') +
+            `; notified ${result.notified.staff} staff, ${result.notified.engineers} engineers`;
+        if (registry) registry.markCompleted(JOB_ID, { details, recordsProcessed: result.items });
+        if (result.items || result.simulations.length) console.log(`[ScheduledPrices] Done — ${details}`);
+        return result;
+    } catch (err) {
+        if (registry) registry.markFailed(JOB_ID, { error: err.message });
+        console.error('[ScheduledPrices] Scheduler error:', err.message);
+        throw err;
+    }
+}
+
+module.exports = { init, runDaily, setAutomationRegistry };
@@ -0,0 +1,358 @@
+/**
+ * Effective-dated price changes — price versions that wait for their day.
+ *
+ * Two sources can be scheduled ahead of a brand's "effective from the 1st":
+ *
+ *   - a DPL catalog simulation approved with a future effective date
+ *     (services/dpl-impact.js, dpl_price_simulations.status = 'scheduled');
+ *   - item-master dpl-apply with a future effective date (or a DPL version
+ *     dated ahead): each item is a dpl_price_history row with status
+ *     'scheduled' that has not touched zoho_items_map yet.
+ *
+ * runDue() — the 00:00 IST job in scheduled-prices-scheduler.js, also run on
+ * demand — takes everything due on or before today:
+ *
+ *   1. applies each due simulation to dpl_catalog (dpl-impact applyApproved,
+ *      stale rows left as is);
+ *   2. switches the local item rates (zoho_items_map cf_dpl / purchase_rate /
+ *      rate and pack_sizes.base_price) and queues one per-item bulk edit job
+ *      that the sync scheduler pushes to Zoho — the same job rows as
+ *      POST /api/zoho/items/bulk-edit, prices only;
+ *   3. records each change in dpl_price_history dated by its effective date
+ *      (a scheduled row becomes 'applied' with the item's old prices as of
+ *      the switch), so /api/item-master/price-history reads by date;
+ *   4. tells staff (in-app) and approved engineers (WhatsApp) what changed.
+ *
+ * Helpers throw Error with e.code (INVALID_EFFECTIVE_DATE, NOT_SCHEDULED).
+ */
+
+const { applyApproved, todayIST } = require('./dpl-impact');
+const { toDateString } = require('./zoho-payment-mapper');
+
+const SALES_RATE = dpl => Math.ceil(dpl * 1.18 * 1.10);
+const NOTIFY_STAFF_ROLES = ['admin', 'manager', 'staff'];
+const MESSAGE_ITEM_LINES = 8;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/** YYYY-MM-DD or throw INVALID_EFFECTIVE_DATE; '' / null → null. */
+function parseEffectiveDate(value) {
+    if (value == null || value === '') return null;
+    const s = String(value);
+    const d = new Date(`${s}T00:00:00Z`);
+    if (!/^\d{4}-\d{2}-\d{2}$/.test(s) || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) {
+        throw fail('INVALID_EFFECTIVE_DATE', 'effective_date must be a date (YYYY-MM-DD)');
+    }
+    return s;
+}
+
+/**
+ * Queue item-master DPL changes for a future day. The old prices are a
+ * snapshot for the preview; runDue() re-reads them at the switch.
+ * @param {Array} items - { zoho_item_id, dpl, version_id? }
+ * @param {Object} opts - { effective_date, version_id, userId }
+ * @returns {Promise<number>} rows scheduled
+ */
+async function scheduleItemPrices(db, items, { effective_date, version_id = null, userId = null }) {
+    let scheduled = 0;
+    for (const item of items) {
+        const [current] = await db.query(
+            'SELECT zoho_rate, zoho_purchase_rate, zoho_cf_dpl FROM zoho_items_map WHERE zoho_item_id = ?',
+            [item.zoho_item_id]
+        );
+        if (!current.length) continue;
+        const old = current[0];
+
+        // A later schedule for the same item and day replaces the earlier one.
+        await db.query(
+            `UPDATE dpl_price_history SET status = 'cancelled'
+             WHERE zoho_item_id = ? AND status = 'scheduled' AND effective_date = ?`,
+            [item.zoho_item_id, effective_date]
+        );
+        await db.query(
+            `INSERT INTO dpl_price_history (zoho_item_id, dpl_version_id, old_dpl, new_dpl, old_purchase_rate, new_purchase_rate,
+                                            old_sales_rate, new_sales_rate, changed_by, effective_date, status)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'scheduled')`,
+            [
+                item.zoho_item_id, item.version_id || version_id || null,
+                old.zoho_cf_dpl || 0, item.dpl,
+                old.zoho_purchase_rate || 0, item.dpl,
+                old.zoho_rate || 0, SALES_RATE(item.dpl),
+                userId, effective_date
+            ]
+        );
+        scheduled++;
+    }
+    return scheduled;
+}
+
+/** Withdraw one scheduled item change before its day. */
+async function cancelScheduled(db, historyId) {
+    const [r] = await db.query(
+        `UPDATE dpl_price_history SET status = 'cancelled' WHERE id = ? AND status = 'scheduled'`,
+        [historyId]
+    );
+    if (!r.affectedRows) throw fail('NOT_SCHEDULED', 'No scheduled price change with that id');
+}
+
+/**
+ * Upcoming changes from both sources, soonest first.
+ * @returns {Promise<{ simulations: Array, items: Array }>}
+ */
+async function listUpcoming(db) {
+    const [simulations] = await db.query(
+        `SELECT id, brand, effective_date, items_changed, decided_by, decided_at
+         FROM dpl_price_simulations WHERE status = 'scheduled'
+         ORDER BY effective_date, id`
+    );
+    const [items] = await db.query(
+        `SELECT dph.id, dph.zoho_item_id, zim.zoho_item_name AS item_name, zim.zoho_sku AS sku, zim.zoho_brand AS brand,
+                dph.old_dpl, dph.new_dpl, dph.old_sales_rate, dph.new_sales_rate, dph.effective_date, dph.dpl_version_id
+         FROM dpl_price_history dph
+         JOIN zoho_items_map zim ON zim.zoho_item_id = dph.zoho_item_id
+         WHERE dph.status = 'scheduled'
+         ORDER BY dph.effective_date, zim.zoho_item_name`
+    );
+    return { simulations, items };
+}
+
+// ── The daily switch ────────────────────────────────────────────
+
+/**
+ * Switch local item prices, log them by effective date and queue the Zoho
+ * push. Each change: { zoho_item_id, dpl, rate, effective_date, history_id?,
+ * simulation_id?, version_id?, catalog_id? }.
+ * @returns {Promise<{ job_id: number|null, changed: Array }>}
+ */
+async function switchItemPrices(db, changes, userId) {
+    if (!changes.length) return { job_id: null, changed: [] };
+    const ids = [...new Set(changes.map(c => String(c.zoho_item_id)))];
+    const [rows] = await db.query(
+        `SELECT zoho_item_id, zoho_item_name, zoho_brand, zoho_cf_dpl, zoho_purchase_rate, zoho_rate
+         FROM zoho_items_map WHERE zoho_item_id IN (?)`,
+        [ids]
+    );
+    const byId = new Map(rows.map(r => [String(r.zoho_item_id), r]));
+
+    const changed = [];
+    for (const c of changes) {
+        const item = byId.get(String(c.zoho_item_id));
+        if (!item) continue;
+        const oldDpl = parseFloat(item.zoho_cf_dpl) || 0;
+        const oldPurchase = parseFloat(item.zoho_purchase_rate) || 0;
+        const oldRate = parseFloat(item.zoho_rate) || 0;
+
+        if (c.history_id) {
+            await db.query(
+                `UPDATE dpl_price_history
+                 SET status = 'applied', old_dpl = ?, old_purchase_rate = ?, old_sales_rate = ?, changed_at = NOW()
+                 WHERE id = ?`,
+                [oldDpl, oldPurchase, oldRate, c.history_id]
+            );
+        } else {
+            await db.query(
+                `INSERT INTO dpl_price_history (zoho_item_id, dpl_version_id, old_dpl, new_dpl, old_purchase_rate, new_purchase_rate,
+                                                old_sales_rate, new_sales_rate, changed_by, effective_date, status, simulation_id)
+                 VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, 'applied', ?)`,
+                [c.zoho_item_id, c.version_id || null, oldDpl, c.dpl, oldPurchase, c.dpl, oldRate, c.rate, userId, c.effective_date, c.simulation_id || null]
+            );
+        }
+        await db.query(
+            `UPDATE zoho_items_map SET zoho_cf_dpl = ?, zoho_purchase_rate = ?, zoho_rate = ?, dpl_updated_at = NOW()
+             WHERE zoho_item_id = ?`,
+            [c.dpl, c.dpl, c.rate, c.zoho_item_id]
+        );
+        await db.query(
+            'UPDATE pack_sizes SET base_price = ? WHERE zoho_item_id = ? AND is_active = 1',
+            [c.rate, c.zoho_item_id]
+        );
+        changed.push({ ...c, item_name: item.zoho_item_name, brand: item.zoho_brand, old_dpl: oldDpl, old_rate: oldRate });
+    }
+    if (!changed.length) return { job_id: null, changed };
+
+    // Same rows as routes/zoho/items.js createBulkEditJob; the sync scheduler
+    // processes pending jobs.
+    const [job] = await db.query(
+        `INSERT INTO zoho_bulk_jobs (job_type, filter_criteria, update_fields, total_items, created_by)
+         VALUES ('item_update', ?, ?, ?, ?)`,
+        [
+            JSON.stringify({ mode: 'per_item_edit', item_count: changed.length, source: 'scheduled_prices' }),
+            JSON.stringify({ mode: 'per_item' }),
+            changed.length,
+            userId
+        ]
+    );
+    for (const c of changed) {
+        await db.query(
+            'INSERT INTO zoho_bulk_job_items (job_id, zoho_item_id, item_name, payload) VALUES (?, ?, ?, ?)',
+            [job.insertId, c.zoho_item_id, c.item_name || '', JSON.stringify({ cf_dpl: c.dpl, purchase_rate: c.dpl, rate: c.rate })]
+        );
+    }
+    const pushed = changed.filter(c => c.catalog_id);
+    for (const c of pushed) {
+        await db.query(
+            'UPDATE dpl_catalog SET pushed_at = NOW(), pushed_job_id = ?, pushed_dpl = ?, pushed_rate = ? WHERE id = ?',
+            [job.insertId, c.dpl, c.rate, c.catalog_id]
+        );
+    }
+    return { job_id: job.insertId, changed };
+}
+
+/**
+ * Apply due simulations to dpl_catalog inside the caller's transaction;
+ * returns their item changes.
+ */
+async function applyDueSimulations(conn, today) {
+    const [due] = await conn.query(
+        `SELECT id, brand, effective_date, decided_by FROM dpl_price_simulations
+         WHERE status = 'scheduled' AND effective_date <= ?
+         ORDER BY effective_date, id`,
+        [today]
+    );
+    const changes = [];
+    const simulations = [];
+    for (const sim of due) {
+        const [locked] = await conn.query('SELECT status FROM dpl_price_simulations WHERE id = ? FOR UPDATE', [sim.id]);
+        if (!locked.length || locked[0].status !== 'scheduled') continue;
+        const result = await applyApproved(conn, sim.id, 'scheduler');
+        simulations.push({ id: sim.id, brand: sim.brand, applied: result.applied.length, stale: result.stale.length });
+        for (const it of result.applied) {
+            if (!it.zoho_item_id) continue;
+            changes.push({
+                zoho_item_id: it.zoho_item_id,
+                dpl: parseFloat(it.new_dpl),
+                rate: parseFloat(it.new_rate),
+                effective_date: toDateString(sim.effective_date),
+                simulation_id: sim.id,
+                catalog_id: it.catalog_id,
+                user_id: sim.decided_by
+            });
+        }
+    }
+    return { simulations, changes };
+}
+
+function money(n) {
+    return '₹' + Number(n).toLocaleString('en-IN');
+}
+
+/** WhatsApp / in-app text for a day's changes. */
+function buildMessage(changed, today) {
+    const up = changed.filter(c => c.rate > c.old_rate).length;
+    const down = changed.filter(c => c.old_rate > 0 && c.rate < c.old_rate).length;
+    const brands = [...new Set(changed.map(c => c.brand).filter(Boolean))];
+    const lines = changed.slice(0, MESSAGE_ITEM_LINES)
+        .map(c => `• ${c.item_name}: ${c.old_rate ? money(c.old_rate) + ' → ' : ''}${money(c.rate)}`);
+    if (changed.length > MESSAGE_ITEM_LINES) lines.push(`…and ${changed.length - MESSAGE_ITEM_LINES} more`);
+    const summary = `${changed.length} item price${changed.length === 1 ? '' : 's'} changed from ${today}` +
+        (brands.length ? ` (${brands.join(', ')})` : '') + ` — ${up} up, ${down} down.`;
+    return { summary, text: [`*Price update — ${today}*`, summary, '', ...lines].join('\n') };
+}
+
+/** Switch due simulations and scheduled item rows on one connection. */
+async function switchDue(conn, today, userId) {
+    const { simulations, changes } = await applyDueSimulations(conn, today);
+
+    const [dueItems] = await conn.query(
+        `SELECT id, zoho_item_id, new_dpl, new_sales_rate, effective_date, dpl_version_id, changed_by
+         FROM dpl_price_history WHERE status = 'scheduled' AND effective_date <= ?
+         ORDER BY effective_date, id`,
+        [today]
+    );
+    for (const h of dueItems) {
+        changes.push({
+            zoho_item_id: h.zoho_item_id,
+            dpl: parseFloat(h.new_dpl),
+            rate: parseFloat(h.new_sales_rate),
+            effective_date: toDateString(h.effective_date),
+            history_id: h.id,
+            version_id: h.dpl_version_id,
+            user_id: h.changed_by
+        });
+    }
+
+    // The job is owned by whoever approved the change (bulk jobs need a user).
+    const owner = userId || (changes.find(c => c.user_id) || {}).user_id || null;
+    const { job_id, changed } = await switchItemPrices(conn, changes, owner);
+    return { simulations, job_id, changed };
+}
+
+/**
+ * Everything due on or before today. The simulations are marked applied in
+ * the same transaction that switches their items, so a failed switch leaves
+ * them scheduled for the next run.
+ * @param {Object} deps - { db, notify(userId, payload), sendWhatsApp(phone, text) }
+ * @param {Object} opts - { today: 'YYYY-MM-DD' (IST), userId: who ran it by hand }
+ */
+async function runDue({ db, notify, sendWhatsApp }, { today = todayIST(), userId = null } = {}) {
+    const conn = await db.getConnection();
+    let switched;
+    try {
+        await conn.beginTransaction();
+        switched = await switchDue(conn, today, userId);
+        await conn.commit();
+    } catch (err) {
+        await conn.rollback();
+        throw err;
+    } finally {
+        conn.release();
+    }
+    const { simulations, job_id, changed } = switched;
+
+    let notified = { staff: 0, engineers: 0 };
+    if (changed.length) notified = await notifyChange({ db, notify, sendWhatsApp }, changed, today);
+
+    return { simulations, items: changed.length, job_id, notified };
+}
+
+async function notifyChange({ db, notify, sendWhatsApp }, changed, today) {
+    const { summary, text } = buildMessage(changed, today);
+    let staff = 0;
+    let engineers = 0;
+    if (notify) {
+        const [users] = await db.query(
+            `SELECT id FROM users WHERE role IN (?) AND status = 'active'`,
+            [NOTIFY_STAFF_ROLES]
+        );
+        for (const u of users) {
+            try {
+                await notify(u.id, {
+                    type: 'price_change',
+                    title: 'Prices updated today',
+                    body: summary,
+                    data: { page: 'admin-item-master', tab: 'history', date: today }
+                });
+                staff++;
+            } catch (e) { console.error('[ScheduledPrices] staff notify error:', e.message); }
+        }
+    }
+    if (sendWhatsApp) {
+        let rows = [];
+        try {
+            [rows] = await db.query(`SELECT id, phone FROM engineers WHERE status = 'approved' AND phone IS NOT NULL`);
+        } catch (err) {
+            if (!(err && err.code === 'ER_NO_SUCH_TABLE')) throw err;
+        }
+        for (const en of rows) {
+            try {
+                await sendWhatsApp(en.phone, text);
+                engineers++;
+            } catch (e) { console.error('[ScheduledPrices] engineer notify error:', e.message); }
+        }
+    }
+    return { staff, engineers };
+}
+
+module.exports = {
+    parseEffectiveDate,
+    scheduleItemPrices,
+    cancelScheduled,
+    listUpcoming,
+    switchItemPrices,
+    buildMessage,
+    runDue
+};
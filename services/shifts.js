@@ -0,0 +1,374 @@
+/**
+ * Shift rosters — named shifts, per-staff defaults and weekly offs, dated
+ * roster entries and shift swaps.
+ *
+ * What a staff member is expected to work on a date resolves in order:
+ *
+ *   1. a staff_rosters row for that date — a shift, a rostered day off, or
+ *      (neither) a working day on the branch's hours;
+ *   2. staff_shift_defaults — the weekly-off day is off, any other day is
+ *      the default shift (or branch hours when none is set);
+ *   3. nothing — no schedule; the branch's shop_hours_config applies as it
+ *      always has (Sunday is the weekly off).
+ *
+ * applySchedule() lays a resolved day over the branch hours from
+ * routes/attendance.js getShopHours(): a shift brings its own open / close
+ * time, expected hours and late grace. A day off is paid like Sunday in
+ * salary (offDaySql) and expects OFF_DAY_EXPECTED_HOURS — the Sunday day —
+ * with no late marking.
+ *
+ * A swap trades two staff members' entries on the swap date(s); it is
+ * written as roster rows with source 'swap' once a manager approves it.
+ *
+ * Helpers throw Error with e.code (INVALID_SHIFT, INVALID_DATES,
+ * INVALID_ASSIGNMENT, SHIFT_NOT_FOUND, INVALID_SWAP, SWAP_EXISTS); routes
+ * map them.
+ */
+
+const { dateOnly } = require('./leave');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const OFF_DAY_EXPECTED_HOURS = 5;
+const MAX_FILL_DAYS = 62;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+function addDays(date, n) {
+    return new Date(Date.parse(date + 'T00:00:00Z') + n * DAY_MS).toISOString().slice(0, 10);
+}
+
+function weekdayOf(date) {
+    return WEEKDAYS[new Date(date + 'T00:00:00Z').getUTCDay()];
+}
+
+/** 'HH:MM' or 'HH:MM:SS' → 'HH:MM:SS' */
+function normaliseTime(t) {
+    const m = /^(\d{1,2}):(\d{2})(?::(\d{2}))?$/.exec(String(t || ''));
+    if (!m || Number(m[1]) > 23 || Number(m[2]) > 59) return null;
+    return `${m[1].padStart(2, '0')}:${m[2]}:${m[3] || '00'}`;
+}
+
+function minutesOf(time) {
+    const [h, m] = time.split(':').map(Number);
+    return h * 60 + m;
+}
+
+// ═══════════════════════════════════════════
+// PURE RULES
+// ═══════════════════════════════════════════
+
+/**
+ * Check a shift's timing. Shifts run within one day (no overnight shifts —
+ * attendance is kept per calendar date); a split shift is one shift with
+ * the gap as its break. expected_hours defaults to the span less the break.
+ * @returns {{start_time:string, end_time:string, break_minutes:number, expected_hours:number}}
+ */
+function validateShift({ start_time, end_time, break_minutes = 0, expected_hours = null }) {
+    const start = normaliseTime(start_time);
+    const end = normaliseTime(end_time);
+    if (!start || !end) throw fail('INVALID_SHIFT', 'Shift times must be HH:MM');
+    if (end <= start) throw fail('INVALID_SHIFT', 'A shift must end after it starts, on the same day');
+    const workable = minutesOf(end) - minutesOf(start) - (Number(break_minutes) || 0);
+    if (workable <= 0) throw fail('INVALID_SHIFT', 'The break is longer than the shift');
+    const hours = expected_hours === null || expected_hours === undefined
+        ? Math.round(workable / 60 * 100) / 100
+        : Number(expected_hours);
+    if (!(hours > 0) || hours * 60 > workable) {
+        throw fail('INVALID_SHIFT', `Expected hours cannot exceed the ${Math.round(workable / 60 * 100) / 100} h the shift allows`);
+    }
+    return { start_time: start, end_time: end, break_minutes: Number(break_minutes) || 0, expected_hours: hours };
+}
+
+/**
+ * A staff member's day from their roster row and defaults (either may be
+ * missing). null = no schedule at all.
+ * @param {Map<number, Object>} shiftsById
+ * @returns {{is_off:boolean, shift:Object|null, source:string}|null}
+ */
+function dayEntry(date, roster, defaults, shiftsById) {
+    if (roster) {
+        const isOff = Number(roster.is_off) === 1;
+        return {
+            is_off: isOff,
+            shift: isOff ? null : (shiftsById.get(Number(roster.shift_id)) || null),
+            source: roster.source === 'swap' ? 'swap' : 'roster'
+        };
+    }
+    if (!defaults) return null;
+    if (weekdayOf(date) === defaults.weekly_off_day) return { is_off: true, shift: null, source: 'weekly_off' };
+    return { is_off: false, shift: shiftsById.get(Number(defaults.shift_id)) || null, source: 'default' };
+}
+
+/** dayEntry() with the no-schedule case spelled out (branch hours, Sunday off). */
+function effectiveEntry(date, entry) {
+    return entry || { is_off: weekdayOf(date) === 'sunday', shift: null, source: 'branch' };
+}
+
+/**
+ * Branch hours adjusted for a staff member's resolved day.
+ * @param {Object} hours - a shop_hours_config row (or the built-in default)
+ * @param {Object|null} schedule - from resolveDay()
+ */
+function applySchedule(hours, schedule) {
+    if (!schedule) return hours;
+    if (schedule.is_off) {
+        return { ...hours, expected_hours: OFF_DAY_EXPECTED_HOURS, shift_id: null, shift_name: null, is_off_day: true };
+    }
+    if (!schedule.shift) return { ...hours, shift_id: null, shift_name: null, is_off_day: false };
+    const s = schedule.shift;
+    return {
+        ...hours,
+        open_time: s.start_time,
+        close_time: s.end_time,
+        expected_hours: Number(s.expected_hours),
+        late_threshold_minutes: Number(s.late_threshold_minutes),
+        shift_id: s.id,
+        shift_name: s.name,
+        is_off_day: false
+    };
+}
+
+/**
+ * SQL that is 1 when a staff_attendance date is the staff member's day off.
+ * Needs `LEFT JOIN staff_rosters <roster> ON user + date` and
+ * `LEFT JOIN staff_shift_defaults <defaults> ON user`; with neither row it
+ * is DAYOFWEEK(date) = 1, the old Sunday rule.
+ */
+function offDaySql(dateCol, roster = 'sr', defaults = 'ssd') {
+    return `COALESCE(${roster}.is_off, DAYOFWEEK(${dateCol}) = FIELD(COALESCE(${defaults}.weekly_off_day, 'sunday'), ${WEEKDAYS.map(d => `'${d}'`).join(', ')}))`;
+}
+
+// ═══════════════════════════════════════════
+// LOOKUPS
+// ═══════════════════════════════════════════
+
+async function shiftsMap(db, ids) {
+    const wanted = [...new Set(ids.filter(Boolean).map(Number))];
+    if (!wanted.length) return new Map();
+    const [rows] = await db.query(`SELECT * FROM shifts WHERE id IN (${wanted.map(() => '?').join(', ')})`, wanted);
+    return new Map(rows.map(r => [Number(r.id), r]));
+}
+
+/**
+ * What a staff member is rostered for on a date.
+ * @returns {Promise<{is_off:boolean, shift:Object|null, source:string}|null>}
+ */
+async function resolveDay(db, userId, date) {
+    const [rosters] = await db.query('SELECT * FROM staff_rosters WHERE user_id = ? AND roster_date = ?', [userId, date]);
+    const [defaults] = await db.query('SELECT * FROM staff_shift_defaults WHERE user_id = ?', [userId]);
+    if (!rosters.length && !defaults.length) return null;
+    const shifts = await shiftsMap(db, [rosters[0] && rosters[0].shift_id, defaults[0] && defaults[0].shift_id]);
+    return dayEntry(date, rosters[0] || null, defaults[0] || null, shifts);
+}
+
+/**
+ * The roster grid: every listed staff member × every date in [from, to].
+ * @param {Array<Object>} users - { id, full_name, branch_id }
+ */
+async function rosterGrid(db, users, from, to) {
+    if (to < from) throw fail('INVALID_DATES', 'to must be on or after from');
+    const span = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+    if (span > MAX_FILL_DAYS) throw fail('INVALID_DATES', `A roster view can cover at most ${MAX_FILL_DAYS} days`);
+    if (!users.length) return [];
+    const ids = users.map(u => u.id);
+    const marks = ids.map(() => '?').join(', ');
+    const [rosters] = await db.query(
+        `SELECT * FROM staff_rosters WHERE user_id IN (${marks}) AND roster_date BETWEEN ? AND ?`,
+        [...ids, from, to]
+    );
+    const [defaults] = await db.query(`SELECT * FROM staff_shift_defaults WHERE user_id IN (${marks})`, ids);
+    const shifts = await shiftsMap(db, [...rosters.map(r => r.shift_id), ...defaults.map(d => d.shift_id)]);
+
+    const rosterBy = new Map(rosters.map(r => [`${r.user_id}|${dateOnly(r.roster_date)}`, r]));
+    const defaultsBy = new Map(defaults.map(d => [Number(d.user_id), d]));
+    return users.map(u => {
+        const days = [];
+        for (let i = 0; i < span; i++) {
+            const date = addDays(from, i);
+            const e = effectiveEntry(date, dayEntry(date, rosterBy.get(`${u.id}|${date}`) || null, defaultsBy.get(Number(u.id)) || null, shifts));
+            days.push({
+                date, is_off: e.is_off, source: e.source,
+                shift_id: e.shift ? e.shift.id : null,
+                shift_name: e.shift ? e.shift.name : null,
+                start_time: e.shift ? e.shift.start_time : null,
+                end_time: e.shift ? e.shift.end_time : null
+            });
+        }
+        const d = defaultsBy.get(Number(u.id));
+        return {
+            user_id: u.id, full_name: u.full_name, branch_id: u.branch_id,
+            default_shift_id: d ? d.shift_id : null,
+            weekly_off_day: d ? d.weekly_off_day : 'sunday',
+            days
+        };
+    });
+}
+
+// ═══════════════════════════════════════════
+// ROSTER WRITES
+// ═══════════════════════════════════════════
+
+/**
+ * Check that every shift used in a batch exists, is active and may be used
+ * at each staff member's branch.
+ * @param {Map<number, Object>} usersById - { id, branch_id }
+ */
+async function checkAssignments(db, assignments, usersById) {
+    const shifts = await shiftsMap(db, assignments.map(a => a.shift_id));
+    for (const a of assignments) {
+        const user = usersById.get(Number(a.user_id));
+        if (!user) throw fail('INVALID_ASSIGNMENT', `Staff #${a.user_id} not found`);
+        if (!a.shift_id) continue;
+        const shift = shifts.get(Number(a.shift_id));
+        if (!shift || Number(shift.is_active) !== 1) throw fail('SHIFT_NOT_FOUND', `Shift #${a.shift_id} not found or inactive`);
+        if (shift.branch_id && user.branch_id && Number(shift.branch_id) !== Number(user.branch_id)) {
+            throw fail('INVALID_ASSIGNMENT', `${shift.name} belongs to another branch`);
+        }
+    }
+}
+
+/**
+ * Write roster cells. Each assignment is { user_id, date, shift_id?, is_off?,
+ * clear? } — clear drops the row so the staff member's defaults apply again.
+ * Runs on the caller's connection (a transaction for bulk writes).
+ */
+async function writeAssignments(conn, assignments, updatedBy, source = 'manual') {
+    let written = 0;
+    for (const a of assignments) {
+        if (a.clear) {
+            const [del] = await conn.query('DELETE FROM staff_rosters WHERE user_id = ? AND roster_date = ?', [a.user_id, a.date]);
+            written += del.affectedRows ? 1 : 0;
+            continue;
+        }
+        const isOff = a.is_off ? 1 : 0;
+        await conn.query(
+            `INSERT INTO staff_rosters (user_id, roster_date, shift_id, is_off, source, updated_by)
+             VALUES (?, ?, ?, ?, ?, ?)
+             ON DUPLICATE KEY UPDATE shift_id = VALUES(shift_id), is_off = VALUES(is_off),
+                source = VALUES(source), updated_by = VALUES(updated_by)`,
+            [a.user_id, a.date, isOff ? null : (a.shift_id || null), isOff, source, updatedBy]
+        );
+        written++;
+    }
+    return written;
+}
+
+/**
+ * Expand a drag across the grid — staff × dates, optionally only some
+ * weekdays — into assignments.
+ * @param {Object} fill - { user_ids, from, to, shift_id?, is_off?, clear?, weekdays? }
+ */
+function expandFill({ user_ids, from, to, shift_id = null, is_off = false, clear = false, weekdays = null }) {
+    if (to < from) throw fail('INVALID_DATES', 'to must be on or after from');
+    const span = Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS) + 1;
+    if (span > MAX_FILL_DAYS) throw fail('INVALID_DATES', `A fill can cover at most ${MAX_FILL_DAYS} days`);
+    const out = [];
+    for (let i = 0; i < span; i++) {
+        const date = addDays(from, i);
+        if (weekdays && weekdays.length && !weekdays.includes(weekdayOf(date))) continue;
+        for (const userId of user_ids) out.push({ user_id: userId, date, shift_id, is_off, clear });
+    }
+    return out;
+}
+
+/**
+ * Roster rows of the 7 days from fromWeek, moved to the week starting toWeek.
+ * Only explicit roster rows are copied — defaults already repeat weekly.
+ */
+async function copyWeekAssignments(db, userIds, fromWeek, toWeek) {
+    const offset = Math.round((Date.parse(toWeek) - Date.parse(fromWeek)) / DAY_MS);
+    if (offset === 0) throw fail('INVALID_DATES', 'Pick a different week to copy to');
+    if (!userIds.length) return [];
+    const [rows] = await db.query(
+        `SELECT user_id, roster_date, shift_id, is_off FROM staff_rosters
+         WHERE user_id IN (${userIds.map(() => '?').join(', ')}) AND roster_date BETWEEN ? AND ?`,
+        [...userIds, fromWeek, addDays(fromWeek, 6)]
+    );
+    return rows.map(r => ({
+        user_id: r.user_id, date: addDays(dateOnly(r.roster_date), offset),
+        shift_id: r.shift_id, is_off: Number(r.is_off) === 1
+    }));
+}
+
+// ═══════════════════════════════════════════
+// SWAPS
+// ═══════════════════════════════════════════
+
+/**
+ * The roster cells an approved swap writes: on each swap date the two staff
+ * members take each other's entry.
+ * @param {Object} swap - { requester_id, requester_date, target_user_id, target_date }
+ */
+async function swapAssignments(db, swap) {
+    const dates = [...new Set([dateOnly(swap.requester_date), dateOnly(swap.target_date)])];
+    const out = [];
+    for (const date of dates) {
+        const mine = effectiveEntry(date, await resolveDay(db, swap.requester_id, date));
+        const theirs = effectiveEntry(date, await resolveDay(db, swap.target_user_id, date));
+        out.push({ user_id: swap.requester_id, date, shift_id: theirs.shift ? theirs.shift.id : null, is_off: theirs.is_off });
+        out.push({ user_id: swap.target_user_id, date, shift_id: mine.shift ? mine.shift.id : null, is_off: mine.is_off });
+    }
+    return out;
+}
+
+/**
+ * Validate a swap request before it is saved.
+ * @param {Object} requester - { id, branch_id }
+ * @param {Object} target - { id, branch_id, status }
+ * @param {string} today - yyyy-mm-dd (IST)
+ */
+async function checkSwap(db, requester, target, data, today) {
+    if (!target || target.status !== 'active') throw fail('INVALID_SWAP', 'Pick an active colleague to swap with');
+    if (Number(target.id) === Number(requester.id)) throw fail('INVALID_SWAP', 'You cannot swap with yourself');
+    if (requester.branch_id && target.branch_id && Number(requester.branch_id) !== Number(target.branch_id)) {
+        throw fail('INVALID_SWAP', 'Swaps are between staff of the same branch');
+    }
+    if (data.requester_date <= today || data.target_date <= today) {
+        throw fail('INVALID_DATES', 'Swaps are for future days only');
+    }
+    const [open] = await db.query(
+        `SELECT id FROM shift_swap_requests
+         WHERE status = 'pending' AND (requester_id IN (?, ?) OR target_user_id IN (?, ?))
+           AND (requester_date IN (?, ?) OR target_date IN (?, ?))
+         LIMIT 1`,
+        [requester.id, target.id, requester.id, target.id,
+            data.requester_date, data.target_date, data.requester_date, data.target_date]
+    );
+    if (open.length) throw fail('SWAP_EXISTS', 'A swap touching these days is already waiting for approval');
+
+    const changes = await swapAssignments(db, {
+        requester_id: requester.id, requester_date: data.requester_date,
+        target_user_id: target.id, target_date: data.target_date
+    });
+    const same = (a, b) => a.is_off === b.is_off && (a.shift_id || null) === (b.shift_id || null);
+    if (changes.every((c, i) => i % 2 === 1 || same(c, changes[i + 1]))) {
+        throw fail('INVALID_SWAP', 'You are both rostered the same on those days — nothing to swap');
+    }
+    return changes;
+}
+
+module.exports = {
+    WEEKDAYS,
+    OFF_DAY_EXPECTED_HOURS,
+    MAX_FILL_DAYS,
+    weekdayOf,
+    normaliseTime,
+    validateShift,
+    dayEntry,
+    effectiveEntry,
+    applySchedule,
+    offDaySql,
+    resolveDay,
+    rosterGrid,
+    checkAssignments,
+    writeAssignments,
+    expandFill,
+    copyWeekAssignments,
+    swapAssignments,
+    checkSwap
+};
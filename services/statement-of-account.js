@@ -0,0 +1,356 @@
+/**
+ * Statement of account — a customer's running ledger for a period, built from
+ * synced Zoho data (zoho_invoices, zoho_payments, zoho_credit_notes).
+ *
+ *   opening  = invoices − payments − credit notes dated before `from`
+ *   entries  = the same three, dated within [from, to], oldest first, each
+ *              with the running balance after it
+ *   closing  = opening + debits − credits
+ *   ageing   = open invoice balances (as synced now) bucketed by days past due
+ *              at `to`: current, 1–30, 31–60, 61–90, 90+
+ *
+ * Void/draft invoices and void/draft credit notes never count. Amounts are
+ * rounded to paise at every step so the PDF, the JSON and the caption agree.
+ *
+ * deliver() renders the PDF to a temp file and sends it through the
+ * WhatsApp session manager (customer's branch session, General fallback),
+ * logging customer_statements + a collection_reminders row; runBulk() does
+ * that for every customer with dues (the monthly schedule and the manual
+ * "send all" button share it).
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { toDateString } = require('./zoho-payment-mapper');
+
+const AGEING_BUCKETS = [
+    { key: 'current', label: 'Current', min: -Infinity, max: 0 },
+    { key: 'd1_30', label: '1-30 days', min: 1, max: 30 },
+    { key: 'd31_60', label: '31-60 days', min: 31, max: 60 },
+    { key: 'd61_90', label: '61-90 days', min: 61, max: 90 },
+    { key: 'd90_plus', label: '90+ days', min: 91, max: Infinity }
+];
+
+// Gap between WhatsApp sends in a bulk run — a burst of documents from one
+// number is what gets a session flagged.
+const BULK_SEND_GAP_MS = 4000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function round2(n) {
+    return Math.round((Number(n) || 0) * 100) / 100;
+}
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/** Whole days from date string a to b (yyyy-mm-dd, calendar days). */
+function daysBetween(a, b) {
+    return Math.round((Date.parse(b + 'T00:00:00Z') - Date.parse(a + 'T00:00:00Z')) / DAY_MS);
+}
+
+/** The previous full calendar month for a yyyy-mm-dd "today". */
+function previousMonth(today) {
+    const [y, m] = today.split('-').map(Number);
+    const start = new Date(Date.UTC(y, m - 2, 1));
+    const end = new Date(Date.UTC(y, m - 1, 0));
+    return { from: start.toISOString().slice(0, 10), to: end.toISOString().slice(0, 10) };
+}
+
+/**
+ * Running ledger: sort entries by date (invoices before credits on the same
+ * day, then by document number) and attach the balance after each.
+ */
+function buildLedger(opening, entries) {
+    const order = { invoice: 0, credit_note: 1, payment: 2 };
+    const sorted = [...entries].sort((a, b) =>
+        a.date.localeCompare(b.date) || order[a.type] - order[b.type] || String(a.number).localeCompare(String(b.number)));
+    let balance = round2(opening);
+    let debits = 0;
+    let credits = 0;
+    const rows = sorted.map(e => {
+        debits = round2(debits + e.debit);
+        credits = round2(credits + e.credit);
+        balance = round2(balance + e.debit - e.credit);
+        return { ...e, balance };
+    });
+    return { rows, debits, credits, closing: balance };
+}
+
+/** Bucket open invoices by days past due at `asOf` (no due date ⇒ invoice date). */
+function ageingBuckets(openInvoices, asOf) {
+    const buckets = Object.fromEntries(AGEING_BUCKETS.map(b => [b.key, 0]));
+    for (const inv of openInvoices) {
+        const due = toDateString(inv.due_date) || toDateString(inv.invoice_date);
+        const days = due ? daysBetween(due, asOf) : 0;
+        const bucket = AGEING_BUCKETS.find(b => days >= b.min && days <= b.max);
+        buckets[bucket.key] = round2(buckets[bucket.key] + Number(inv.balance));
+    }
+    buckets.total = round2(AGEING_BUCKETS.reduce((s, b) => s + buckets[b.key], 0));
+    return buckets;
+}
+
+/**
+ * Build a customer's statement.
+ * @param {Object} db
+ * @param {Object} opts - { customerId (Zoho contact id), from, to } (yyyy-mm-dd)
+ * @returns {Promise<Object>} { customer, from, to, opening, rows, debits,
+ *   credits, closing, ageing, unused_credits }
+ */
+async function buildStatement(db, { customerId, from, to }) {
+    if (from > to) throw fail('INVALID_PERIOD', 'From date is after the to date');
+
+    const [customers] = await db.query(
+        `SELECT zoho_contact_id, zoho_contact_name, zoho_phone, zoho_email, zoho_gst_no,
+                zoho_unused_credits, branch_id
+         FROM zoho_customers_map WHERE zoho_contact_id = ?`,
+        [customerId]
+    );
+    if (!customers.length) throw fail('CUSTOMER_NOT_FOUND', 'Customer not found');
+    const customer = customers[0];
+
+    const [[openingRow]] = await db.query(
+        `SELECT
+            (SELECT COALESCE(SUM(total), 0) FROM zoho_invoices
+              WHERE zoho_customer_id = ? AND invoice_date < ? AND status NOT IN ('void', 'draft')) AS invoiced,
+            (SELECT COALESCE(SUM(amount), 0) FROM zoho_payments
+              WHERE zoho_customer_id = ? AND payment_date < ?) AS paid,
+            (SELECT COALESCE(SUM(total), 0) FROM zoho_credit_notes
+              WHERE customer_id = ? AND date < ? AND COALESCE(status, '') NOT IN ('void', 'draft')) AS credited`,
+        [customerId, from, customerId, from, customerId, from]
+    );
+    const opening = round2(Number(openingRow.invoiced) - Number(openingRow.paid) - Number(openingRow.credited));
+
+    const [invoices] = await db.query(
+        `SELECT invoice_number, invoice_date, due_date, total
+         FROM zoho_invoices
+         WHERE zoho_customer_id = ? AND invoice_date BETWEEN ? AND ? AND status NOT IN ('void', 'draft')`,
+        [customerId, from, to]
+    );
+    const [payments] = await db.query(
+        `SELECT payment_number, payment_date, amount, payment_mode, reference_number
+         FROM zoho_payments
+         WHERE zoho_customer_id = ? AND payment_date BETWEEN ? AND ?`,
+        [customerId, from, to]
+    );
+    const [creditNotes] = await db.query(
+        `SELECT creditnote_number, date, total
+         FROM zoho_credit_notes
+         WHERE customer_id = ? AND date BETWEEN ? AND ? AND COALESCE(status, '') NOT IN ('void', 'draft')`,
+        [customerId, from, to]
+    );
+
+    const entries = [
+        ...invoices.map(i => ({
+            type: 'invoice', date: toDateString(i.invoice_date), number: i.invoice_number,
+            description: i.due_date ? `Invoice (due ${toDateString(i.due_date)})` : 'Invoice',
+            debit: round2(i.total), credit: 0
+        })),
+        ...payments.map(p => ({
+            type: 'payment', date: toDateString(p.payment_date), number: p.payment_number,
+            description: ['Payment', p.payment_mode, p.reference_number].filter(Boolean).join(' - '),
+            debit: 0, credit: round2(p.amount)
+        })),
+        ...creditNotes.map(c => ({
+            type: 'credit_note', date: toDateString(c.date), number: c.creditnote_number,
+            description: 'Credit note', debit: 0, credit: round2(c.total)
+        }))
+    ];
+    const ledger = buildLedger(opening, entries);
+
+    const [openInvoices] = await db.query(
+        `SELECT invoice_date, due_date, balance
+         FROM zoho_invoices
+         WHERE zoho_customer_id = ? AND balance > 0 AND invoice_date <= ? AND status NOT IN ('void', 'draft')`,
+        [customerId, to]
+    );
+
+    return {
+        customer,
+        from,
+        to,
+        opening,
+        ...ledger,
+        ageing: ageingBuckets(openInvoices, to),
+        unused_credits: round2(customer.zoho_unused_credits)
+    };
+}
+
+function fmtINR(n) {
+    return round2(n).toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/** WhatsApp caption sent with the PDF. */
+function statementCaption(statement, businessName = 'Quality Colours') {
+    const name = statement.customer.zoho_contact_name || 'Customer';
+    const lines = [
+        `Dear *${name}*,`,
+        '',
+        `Please find your statement of account from *${businessName}* for ${statement.from} to ${statement.to}.`,
+        '',
+        `Opening balance: ₹${fmtINR(statement.opening)}`,
+        `Closing balance: *₹${fmtINR(statement.closing)}*`
+    ];
+    const overdue = round2(statement.ageing.total - statement.ageing.current);
+    if (overdue > 0) lines.push(`Overdue: *₹${fmtINR(overdue)}*`);
+    lines.push('', 'Kindly review and clear the dues at the earliest.', '', 'Thank you!');
+    return lines.join('\n');
+}
+
+/** Customers with an open balance (and a phone) — the bulk run's audience. */
+async function customersWithDues(db, { branchId = null } = {}) {
+    const params = [];
+    let where = "zi.balance > 0 AND zi.status NOT IN ('void', 'draft')";
+    if (branchId) {
+        where += ' AND (zcm.branch_id = ? OR zcm.branch_id IS NULL)';
+        params.push(branchId);
+    }
+    const [rows] = await db.query(
+        `SELECT zi.zoho_customer_id, zcm.zoho_contact_name AS customer_name, zcm.zoho_phone AS phone,
+                zcm.branch_id, SUM(zi.balance) AS outstanding
+         FROM zoho_invoices zi
+         JOIN zoho_customers_map zcm ON zcm.zoho_contact_id = zi.zoho_customer_id
+         WHERE ${where}
+         GROUP BY zi.zoho_customer_id, zcm.zoho_contact_name, zcm.zoho_phone, zcm.branch_id
+         ORDER BY outstanding DESC`,
+        params
+    );
+    return rows;
+}
+
+/** Render a statement PDF into a temp file; resolves with its path. */
+function renderToFile(statement, branding, generatePDF) {
+    const dir = path.join(os.tmpdir(), 'qc-statements');
+    fs.mkdirSync(dir, { recursive: true });
+    const safe = String(statement.customer.zoho_contact_id).replace(/[^A-Za-z0-9_-]+/g, '');
+    const file = path.join(dir, `SOA-${safe}-${statement.to}_${Date.now()}_${Math.random().toString(36).slice(2)}.pdf`);
+    return new Promise((resolve, reject) => {
+        const out = fs.createWriteStream(file);
+        out.on('finish', () => resolve(file));
+        out.on('error', reject);
+        generatePDF({ statement, branding }, out);
+    });
+}
+
+/**
+ * Send one statement over WhatsApp and log it.
+ * @param {Object} deps - { db, sessionManager, generatePDF, branding }
+ * @param {Object} opts - { customerId, from, to, phone?, sentBy?, runId? }
+ * @returns {Promise<{status: 'sent'|'failed'|'skipped', reason?, statement?}>}
+ */
+async function deliver(deps, { customerId, from, to, phone, sentBy = null, runId = null }) {
+    const { db, sessionManager, generatePDF, branding = {} } = deps;
+    const statement = await buildStatement(db, { customerId, from, to });
+    const target = phone || statement.customer.zoho_phone;
+
+    let status = 'sent';
+    let reason = null;
+    if (!target) {
+        status = 'skipped';
+        reason = 'No phone number';
+    } else {
+        let file;
+        try {
+            file = await renderToFile(statement, branding, generatePDF);
+            const sent = await sessionManager.sendMedia(statement.customer.branch_id || 0, target, {
+                type: 'document',
+                mediaPath: file,
+                caption: statementCaption(statement, branding.business_name || undefined),
+                filename: `Statement-${statement.from}-to-${statement.to}.pdf`
+            }, { source: 'statement', sent_by: sentBy });
+            if (!sent) {
+                status = 'failed';
+                reason = 'WhatsApp session not connected';
+            }
+        } catch (err) {
+            status = 'failed';
+            reason = err.message;
+        } finally {
+            if (file) { try { fs.unlinkSync(file); } catch {} }
+        }
+    }
+
+    await db.query(
+        `INSERT INTO customer_statements (
+            run_id, zoho_customer_id, customer_name, phone, period_from, period_to,
+            opening_balance, closing_balance, status, error_message, sent_by
+        ) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [runId, customerId, statement.customer.zoho_contact_name, target || null, from, to,
+            statement.opening, statement.closing, status, reason ? String(reason).slice(0, 500) : null, sentBy]
+    );
+    if (status === 'sent') {
+        await db.query(
+            `INSERT INTO collection_reminders (
+                zoho_invoice_id, zoho_customer_id, customer_name, phone,
+                reminder_type, message_content, status, sent_at, sent_by, branch_id
+            ) VALUES ('', ?, ?, ?, 'whatsapp', ?, 'sent', NOW(), ?, ?)`,
+            [customerId, statement.customer.zoho_contact_name, target,
+                `Statement of account ${from} to ${to} (closing ₹${fmtINR(statement.closing)})`,
+                sentBy, statement.customer.branch_id || null]
+        );
+    }
+    return { status, reason, statement };
+}
+
+/**
+ * Send statements to every customer with dues for a period.
+ * A scheduled run for a period that already has one is skipped (restarts and
+ * cluster workers must not double-send); manual runs always go.
+ */
+async function runBulk(deps, { from, to, trigger = 'manual', startedBy = null, branchId = null, gapMs = BULK_SEND_GAP_MS }) {
+    const { db } = deps;
+    if (trigger === 'schedule') {
+        const [existing] = await db.query(
+            "SELECT id FROM statement_runs WHERE period_from = ? AND period_to = ? AND run_trigger = 'schedule'",
+            [from, to]
+        );
+        if (existing.length) return { skipped: true, runId: existing[0].id };
+    }
+
+    const customers = await customersWithDues(db, { branchId });
+    const [run] = await db.query(
+        `INSERT INTO statement_runs (period_from, period_to, run_trigger, branch_id, customers_total, started_by)
+         VALUES (?, ?, ?, ?, ?, ?)`,
+        [from, to, trigger, branchId, customers.length, startedBy]
+    );
+    const runId = run.insertId;
+
+    const counts = { sent: 0, failed: 0, skipped: 0 };
+    for (let i = 0; i < customers.length; i++) {
+        const c = customers[i];
+        try {
+            const result = await deliver(deps, { customerId: c.zoho_customer_id, from, to, sentBy: startedBy, runId });
+            counts[result.status]++;
+            if (result.status === 'sent' && gapMs && i < customers.length - 1) {
+                await new Promise(r => setTimeout(r, gapMs));
+            }
+        } catch (err) {
+            counts.failed++;
+            console.error(`[Statements] ${c.zoho_customer_id} failed:`, err.message);
+        }
+    }
+
+    await db.query(
+        `UPDATE statement_runs SET sent_count = ?, failed_count = ?, skipped_count = ?, status = 'completed', finished_at = NOW()
+         WHERE id = ?`,
+        [counts.sent, counts.failed, counts.skipped, runId]
+    );
+    return { runId, customers: customers.length, ...counts };
+}
+
+module.exports = {
+    AGEING_BUCKETS,
+    BULK_SEND_GAP_MS,
+    previousMonth,
+    buildLedger,
+    ageingBuckets,
+    buildStatement,
+    statementCaption,
+    customersWithDues,
+    deliver,
+    runBulk
+};
@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+const path = require('path');
+const fs = require('fs');
+const { AGEING_BUCKETS } = require('./statement-of-account');
+
+const COLORS = {
+    primary: '#1B5E3B',
+    text: '#333333',
+    mute: '#666666',
+    band: '#f5f5f5',
+    head: '#eef7f1',
+    danger: '#DC2626'
+};
+
+const PAGE_BOTTOM = 780;
+
+function fmtINR(num) {
+    const n = parseFloat(num) || 0;
+    return n.toLocaleString('en-IN', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+function fmtDate(v) {
+    if (!v) return '';
+    const d = new Date(String(v).slice(0, 10) + 'T00:00:00Z');
+    return d.toLocaleDateString('en-IN', { timeZone: 'UTC', day: '2-digit', month: 'short', year: 'numeric' });
+}
+
+function fmtDateTime(v) {
+    return new Date(v).toLocaleString('en-IN', { timeZone: 'Asia/Kolkata', day: 'numeric', month: 'short', year: 'numeric', hour: '2-digit', minute: '2-digit' });
+}
+
+/** Balance with Dr/Cr suffix — what customers read on a ledger. */
+function drCr(n) {
+    const v = Number(n) || 0;
+    return `Rs.${fmtINR(Math.abs(v))} ${v < 0 ? 'Cr' : 'Dr'}`;
+}
+
+function ledgerHeader(doc, y) {
+    doc.rect(40, y - 2, 515, 16).fill(COLORS.head);
+    doc.fontSize(8).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text('Date', 46, y + 2)
+        .text('Particulars', 110, y + 2)
+        .text('Ref', 240, y + 2)
+        .text('Debit', 320, y + 2, { width: 70, align: 'right' })
+        .text('Credit', 395, y + 2, { width: 70, align: 'right' })
+        .text('Balance', 470, y + 2, { width: 80, align: 'right' });
+    return y + 18;
+}
+
+/**
+ * Generate a statement-of-account PDF.
+ * @param {Object} options - { statement, branding }
+ *   statement — services/statement-of-account.js buildStatement() result
+ * @param {WritableStream} stream - Response or file write stream
+ */
+function generateStatementPDF(options, stream) {
+    const { statement: s, branding = {} } = options;
+    const c = s.customer;
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40, bufferPages: true });
+    doc.pipe(stream);
+
+    // ===== HEADER =====
+    const headerTop = 40;
+    const logoPaths = [
+        branding.business_logo ? path.join(__dirname, '..', 'public', 'uploads', 'logos', branding.business_logo) : null,
+        path.join(__dirname, '..', 'public', 'logo.png')
+    ].filter(Boolean);
+
+    let logoLoaded = false;
+    for (const logoPath of logoPaths) {
+        if (fs.existsSync(logoPath)) {
+            try {
+                doc.image(logoPath, 40, headerTop, { height: 45 });
+                logoLoaded = true;
+                break;
+            } catch {}
+        }
+    }
+    const textStartX = logoLoaded ? 95 : 40;
+
+    doc.fontSize(16).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text(branding.business_name || 'Quality Colours', textStartX, headerTop);
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+        .text(branding.business_address || 'Ramanathapuram', textStartX, headerTop + 20, { width: 250 });
+    const contact = [branding.business_phone, branding.business_gst ? 'GSTIN ' + branding.business_gst : null].filter(Boolean).join(' | ');
+    if (contact) doc.text(contact, textStartX, headerTop + 32, { width: 250 });
+
+    doc.fontSize(18).fillColor(COLORS.primary).font('Helvetica-Bold')
+        .text('STATEMENT OF ACCOUNT', 300, headerTop, { width: 255, align: 'right' });
+    doc.fontSize(10).fillColor(COLORS.text).font('Helvetica')
+        .text(`${fmtDate(s.from)} to ${fmtDate(s.to)}`, 300, headerTop + 24, { width: 255, align: 'right' });
+
+    doc.moveTo(40, headerTop + 55).lineTo(555, headerTop + 55)
+        .strokeColor(COLORS.primary).lineWidth(2).stroke();
+
+    // ===== CUSTOMER + SUMMARY =====
+    let y = headerTop + 66;
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica-Bold').text('TO', 40, y);
+    doc.fontSize(11).fillColor(COLORS.text).font('Helvetica-Bold').text(c.zoho_contact_name || '-', 40, y + 11, { width: 260 });
+    doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+        .text([c.zoho_phone, c.zoho_gst_no ? 'GSTIN ' + c.zoho_gst_no : null].filter(Boolean).join(' | '), 40, y + 26, { width: 260 });
+
+    const summary = [
+        ['Opening balance', drCr(s.opening)],
+        ['Invoiced', 'Rs.' + fmtINR(s.debits)],
+        ['Payments & credits', 'Rs.' + fmtINR(s.credits)],
+        ['Closing balance', drCr(s.closing)]
+    ];
+    summary.forEach(([label, value], i) => {
+        const last = i === summary.length - 1;
+        doc.fontSize(9).fillColor(last ? COLORS.primary : COLORS.text).font(last ? 'Helvetica-Bold' : 'Helvetica')
+            .text(label, 330, y + i * 13, { width: 110 })
+            .text(value, 440, y + i * 13, { width: 115, align: 'right' });
+    });
+    y += 64;
+
+    // ===== LEDGER =====
+    y = ledgerHeader(doc, y);
+    doc.fontSize(8).fillColor(COLORS.text).font('Helvetica-Bold')
+        .text(fmtDate(s.from), 46, y)
+        .text('Opening balance', 110, y)
+        .text(drCr(s.opening), 470, y, { width: 80, align: 'right' });
+    y += 14;
+
+    s.rows.forEach((r, i) => {
+        if (y > PAGE_BOTTOM - 20) {
+            doc.addPage();
+            y = ledgerHeader(doc, 40);
+        }
+        if (i % 2 === 0) doc.rect(40, y - 2, 515, 14).fill(COLORS.band);
+        doc.fontSize(8).fillColor(COLORS.text).font('Helvetica')
+            .text(fmtDate(r.date), 46, y)
+            .text(r.description, 110, y, { width: 125, height: 10, ellipsis: true })
+            .text(r.number || '', 240, y, { width: 78, height: 10, ellipsis: true })
+            .text(r.debit ? fmtINR(r.debit) : '', 320, y, { width: 70, align: 'right' })
+            .text(r.credit ? fmtINR(r.credit) : '', 395, y, { width: 70, align: 'right' })
+            .text(drCr(r.balance), 470, y, { width: 80, align: 'right' });
+        y += 14;
+    });
+    if (!s.rows.length) {
+        doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica').text('No transactions in this period', 110, y);
+        y += 14;
+    }
+
+    doc.moveTo(40, y + 2).lineTo(555, y + 2).strokeColor('#dddddd').lineWidth(1).stroke();
+    y += 6;
+    doc.fontSize(8).fillColor(COLORS.text).font('Helvetica-Bold')
+        .text('Totals / closing balance', 110, y)
+        .text(fmtINR(s.debits), 320, y, { width: 70, align: 'right' })
+        .text(fmtINR(s.credits), 395, y, { width: 70, align: 'right' })
+        .text(drCr(s.closing), 470, y, { width: 80, align: 'right' });
+    y += 26;
+
+    // ===== AGEING =====
+    if (y > PAGE_BOTTOM - 90) {
+        doc.addPage();
+        y = 40;
+    }
+    doc.rect(40, y - 2, 515, 16).fill(COLORS.head);
+    doc.fontSize(9).fillColor(COLORS.primary).font('Helvetica-Bold').text(`AGEING OF OPEN INVOICES (as of ${fmtDate(s.to)})`, 50, y + 1);
+    y += 20;
+    const colW = 515 / (AGEING_BUCKETS.length + 1);
+    [...AGEING_BUCKETS, { key: 'total', label: 'Total due' }].forEach((b, i) => {
+        const x = 40 + i * colW;
+        const overdue = b.key !== 'current' && b.key !== 'total' && s.ageing[b.key] > 0;
+        doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica').text(b.label, x, y, { width: colW, align: 'center' });
+        doc.fontSize(10).fillColor(overdue ? COLORS.danger : COLORS.text).font('Helvetica-Bold')
+            .text('Rs.' + fmtINR(s.ageing[b.key]), x, y + 12, { width: colW, align: 'center' });
+    });
+    y += 34;
+    if (s.unused_credits > 0) {
+        doc.fontSize(8).fillColor(COLORS.mute).font('Helvetica')
+            .text(`Unapplied credits on account: Rs.${fmtINR(s.unused_credits)}`, 40, y);
+        y += 14;
+    }
+
+    // ===== FOOTER =====
+    y += 16;
+    doc.fontSize(7).fillColor('#999').font('Helvetica')
+        .text('System-generated statement from our books. Please report any discrepancy within 7 days of receipt.', 40, y, { align: 'center', width: 515 });
+    doc.text(`Generated on ${fmtDateTime(new Date())}`, 40, y + 12, { align: 'center', width: 515 });
+
+    doc.end();
+}
+
+module.exports = { generateStatementPDF };
@@ -0,0 +1,58 @@
+/**
+ * STATEMENT OF ACCOUNT SCHEDULER
+ * Sends last month's statement PDF on WhatsApp to every customer with dues.
+ * Cron: 9:00 AM IST on the 1st (0 9 1 * * Asia/Kolkata)
+ *
+ * A scheduled run is recorded per period in statement_runs, so a restart on
+ * the 1st does not send twice (services/statement-of-account.js runBulk).
+ */
+
+const cron = require('node-cron');
+const { isClusterPrimary } = require('./cluster-guard');
+const statements = require('./statement-of-account');
+const { generateStatementPDF } = require('./statement-pdf-generator');
+const sessionManager = require('./whatsapp-session-manager');
+const { getBranding } = require('./branding');
+const { istDateString } = require('./zoho-payment-mapper');
+
+let pool;
+
+/**
+ * Initialize the scheduler
+ * @param {object} dbPool - MySQL connection pool
+ */
+function init(dbPool) {
+    pool = dbPool;
+
+    // Only the PM2 cluster-primary worker registers the cron (lead-reminder-scheduler pattern).
+    if (!isClusterPrimary()) {
+        console.log('[Statements] skipping cron registration — not PM2 cluster primary');
+        return;
+    }
+    cron.schedule('0 9 1 * *', runMonthly, { timezone: 'Asia/Kolkata' });
+    console.log('[Statements] Scheduler initialized — runs at 9:00 AM IST on the 1st');
+}
+
+/**
+ * Send the previous month's statements
+ */
+async function runMonthly() {
+    const period = statements.previousMonth(istDateString(new Date()));
+    console.log(`[Statements] Monthly run for ${period.from} to ${period.to}...`);
+    try {
+        const branding = await getBranding(pool);
+        const result = await statements.runBulk(
+            { db: pool, sessionManager, generatePDF: generateStatementPDF, branding },
+            { ...period, trigger: 'schedule' }
+        );
+        if (result.skipped) {
+            console.log(`[Statements] Period already run (#${result.runId}) — skipped`);
+            return;
+        }
+        console.log(`[Statements] Done — run #${result.runId}: ${result.sent} sent, ${result.failed} failed, ${result.skipped} skipped of ${result.customers}`);
+    } catch (err) {
+        console.error('[Statements] Scheduler error:', err.message);
+    }
+}
+
+module.exports = { init, runMonthly };
@@ -0,0 +1,233 @@
+/**
+ * Inter-branch stock transfers — the workflow rules, no Express.
+ *
+ * A branch that runs short requests stock from a sister branch:
+ *
+ *   requested ──approve──▶ approved ──dispatch──▶ in_transit ──receive──▶ received
+ *       │                     │
+ *       ├──reject──▶ rejected └──cancel──▶ cancelled
+ *       └──cancel──▶ cancelled
+ *
+ * Quantities only ever narrow along the way: approved ≤ requested (the source
+ * branch may send less, or drop a line with 0), dispatched ≤ approved, and
+ * received ≤ dispatched. A short receipt needs a note per line and flags the
+ * transfer as a discrepancy — the missing tins left the source but never
+ * arrived, so they are written off, not put back.
+ *
+ * Zoho: Transfer Orders need the Inventory OAuth scope we don't have (see
+ * routes/stock-migration.js), so a transfer posts paired inventory
+ * adjustments instead — OUT at the source on dispatch, IN at the destination
+ * on receipt. adjustmentPayload() builds both.
+ *
+ * Planners throw Error with e.code:
+ *   INVALID_TRANSFER — bad lines / quantities
+ *   TRANSFER_STATE   — the action isn't allowed from the current status
+ *
+ * loadOpenTransfers() takes the db handle (pool or a transaction connection).
+ */
+
+const QTY_TOLERANCE = 0.001;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+// action → statuses it may start from
+const TRANSITIONS = {
+    approve: ['requested'],
+    reject: ['requested'],
+    dispatch: ['approved'],
+    receive: ['in_transit'],
+    cancel: ['requested', 'approved']
+};
+
+// Requests still open against the stock: counted by the purchase suggestions.
+const OPEN_STATUSES = ['requested', 'approved', 'in_transit'];
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/**
+ * Throw TRANSFER_STATE unless `action` may run on a transfer in `status`.
+ */
+function assertTransition(status, action) {
+    const from = TRANSITIONS[action];
+    if (!from) throw new Error(`Unknown transfer action: ${action}`);
+    if (!from.includes(status)) {
+        throw fail('TRANSFER_STATE', `Cannot ${action} a transfer that is ${String(status).replace('_', ' ')}`);
+    }
+}
+
+/**
+ * Validate the lines of a new request: each item once, positive quantities.
+ * @param {Array<{zoho_item_id:string, quantity:number}>} lines
+ * @returns {Array<{zoho_item_id:string, requested_qty:number}>}
+ */
+function planRequest(lines) {
+    const seen = new Set();
+    const out = [];
+    for (const line of lines || []) {
+        const itemId = String(line.zoho_item_id || '').trim();
+        if (!itemId) throw fail('INVALID_TRANSFER', 'Every line needs a Zoho item');
+        if (seen.has(itemId)) throw fail('INVALID_TRANSFER', `Item ${itemId} is listed twice`);
+        seen.add(itemId);
+        const qty = r2(line.quantity);
+        if (!(qty > 0)) throw fail('INVALID_TRANSFER', `Quantity for item ${itemId} must be positive`);
+        out.push({ zoho_item_id: itemId, requested_qty: qty });
+    }
+    if (!out.length) throw fail('INVALID_TRANSFER', 'Request at least one item');
+    return out;
+}
+
+// Shared by the approve / dispatch / receive planners: each step sets one
+// quantity per line, capped by the previous step's. Lines the caller leaves
+// out default to the cap ("as approved", "all of it arrived"); a line capped
+// at 0 (dropped earlier) stays 0.
+function planStep(items, requested, { field, capField, verb }) {
+    const byId = new Map(items.map(it => [Number(it.id), it]));
+    const given = new Map();
+    for (const want of requested || []) {
+        const id = Number(want.item_id);
+        if (!byId.has(id)) throw fail('INVALID_TRANSFER', `Line ${id} is not on this transfer`);
+        if (given.has(id)) throw fail('INVALID_TRANSFER', `Line ${id} is listed twice`);
+        given.set(id, want);
+    }
+
+    const lines = items.map(it => {
+        const cap = r2(it[capField]);
+        const want = given.get(Number(it.id));
+        const qty = want ? r2(want[field]) : cap;
+        if (qty < 0) throw fail('INVALID_TRANSFER', `${verb} quantity for ${it.item_name || it.zoho_item_id} cannot be negative`);
+        if (qty > cap + QTY_TOLERANCE) {
+            throw fail('INVALID_TRANSFER', `${verb} quantity for ${it.item_name || it.zoho_item_id} (${qty}) is more than ${cap}`);
+        }
+        return { id: Number(it.id), zoho_item_id: it.zoho_item_id, item_name: it.item_name, cap, qty, note: want && want.note ? String(want.note).trim() : '' };
+    });
+    return lines;
+}
+
+/**
+ * Source branch approves: approved_qty per line, ≤ requested; at least one
+ * line must go ahead (approving nothing is a rejection).
+ * @param {Object[]} items stock_transfer_items rows
+ * @param {Array<{item_id:number, approved_qty:number}>} [approved] omitted lines approve in full
+ * @returns {Array<{id, zoho_item_id, item_name, approved_qty}>}
+ */
+function planApproval(items, approved) {
+    const lines = planStep(items, approved, { field: 'approved_qty', capField: 'requested_qty', verb: 'Approved' });
+    if (!lines.some(l => l.qty > 0)) throw fail('INVALID_TRANSFER', 'Approve at least one line — or reject the request');
+    return lines.map(l => ({ id: l.id, zoho_item_id: l.zoho_item_id, item_name: l.item_name, approved_qty: l.qty }));
+}
+
+/**
+ * Source branch dispatches: dispatched_qty per line, ≤ approved.
+ * @returns {Array<{id, zoho_item_id, item_name, dispatched_qty}>}
+ */
+function planDispatch(items, dispatched) {
+    const lines = planStep(items, dispatched, { field: 'dispatched_qty', capField: 'approved_qty', verb: 'Dispatched' });
+    if (!lines.some(l => l.qty > 0)) throw fail('INVALID_TRANSFER', 'Dispatch at least one line — or cancel the transfer');
+    return lines.map(l => ({ id: l.id, zoho_item_id: l.zoho_item_id, item_name: l.item_name, dispatched_qty: l.qty }));
+}
+
+/**
+ * Destination branch receives: received_qty per line, ≤ dispatched. A line
+ * received short needs a note (why it didn't arrive).
+ * @param {Object[]} items stock_transfer_items rows (with dispatched_qty)
+ * @param {Array<{item_id:number, received_qty:number, note?:string}>} [received] omitted lines arrived in full
+ * @returns {{lines:Array<{id, zoho_item_id, item_name, dispatched_qty, received_qty, shortfall, discrepancy_note}>, hasDiscrepancy:boolean}}
+ */
+function planReceipt(items, received) {
+    const lines = planStep(items, received, { field: 'received_qty', capField: 'dispatched_qty', verb: 'Received' }).map(l => {
+        const shortfall = r2(l.cap - l.qty);
+        if (shortfall > QTY_TOLERANCE && !l.note) {
+            throw fail('INVALID_TRANSFER', `${l.item_name || l.zoho_item_id}: ${shortfall} short — add a note on what happened`);
+        }
+        return {
+            id: l.id,
+            zoho_item_id: l.zoho_item_id,
+            item_name: l.item_name,
+            dispatched_qty: l.cap,
+            received_qty: l.qty,
+            shortfall: shortfall > QTY_TOLERANCE ? shortfall : 0,
+            discrepancy_note: shortfall > QTY_TOLERANCE ? l.note.slice(0, 255) : null
+        };
+    });
+    return { lines, hasDiscrepancy: lines.some(l => l.shortfall > 0) };
+}
+
+/**
+ * The Zoho inventory adjustment for one leg of a transfer: 'out' takes the
+ * dispatched quantities off the source location, 'in' adds the received
+ * quantities at the destination. Zero lines are left out.
+ * @param {Object} transfer stock_transfers row
+ * @param {Object[]} items stock_transfer_items rows
+ * @param {'out'|'in'} direction
+ * @param {string} date YYYY-MM-DD
+ * @returns {Object|null} null when nothing moves on this leg
+ */
+function adjustmentPayload(transfer, items, direction, date) {
+    const out = direction === 'out';
+    const locationId = out ? transfer.from_location_id : transfer.to_location_id;
+    const other = out ? (transfer.to_location_name || transfer.to_location_id) : (transfer.from_location_name || transfer.from_location_id);
+    const lineItems = items
+        .map(it => ({ item_id: it.zoho_item_id, qty: r2(out ? it.dispatched_qty : it.received_qty) }))
+        .filter(l => l.item_id && l.qty > 0)
+        .map(l => ({ item_id: l.item_id, location_id: locationId, quantity_adjusted: out ? -l.qty : l.qty }));
+    if (!lineItems.length) return null;
+    return {
+        date,
+        reason: `Transfer ${out ? 'OUT' : 'IN'}: ${transfer.transfer_number}`.substring(0, 50),
+        description: `Stock transfer ${transfer.transfer_number} ${out ? 'to' : 'from'} ${other}`,
+        adjustment_type: 'quantity',
+        location_id: locationId,
+        line_items: lineItems
+    };
+}
+
+/**
+ * Quantities tied up in open transfers, keyed `${zoho_item_id}_${location_id}`
+ * like purchase-suggestion's current-stock map:
+ *   inbound  — on its way to the location (requested / approved: the approved
+ *              or requested qty; in transit: the dispatched qty)
+ *   reserved — promised out of the location but still on its shelf
+ *              (requested / approved; in-transit stock already left)
+ * @returns {Promise<{inbound:Object<string,number>, reserved:Object<string,number>}>}
+ */
+async function loadOpenTransfers(db) {
+    const [rows] = await db.query(
+        `SELECT t.status, t.from_location_id, t.to_location_id, i.zoho_item_id,
+                i.requested_qty, i.approved_qty, i.dispatched_qty
+         FROM stock_transfers t
+         JOIN stock_transfer_items i ON i.transfer_id = t.id
+         WHERE t.status IN (?)`,
+        [OPEN_STATUSES]
+    );
+    const inbound = {};
+    const reserved = {};
+    for (const row of rows) {
+        const qty = row.status === 'in_transit'
+            ? r2(row.dispatched_qty)
+            : r2(row.approved_qty !== null && row.approved_qty !== undefined ? row.approved_qty : row.requested_qty);
+        if (!(qty > 0)) continue;
+        const to = `${row.zoho_item_id}_${row.to_location_id}`;
+        inbound[to] = r2((inbound[to] || 0) + qty);
+        if (row.status !== 'in_transit') {
+            const from = `${row.zoho_item_id}_${row.from_location_id}`;
+            reserved[from] = r2((reserved[from] || 0) + qty);
+        }
+    }
+    return { inbound, reserved };
+}
+
+module.exports = {
+    TRANSITIONS,
+    OPEN_STATUSES,
+    assertTransition,
+    planRequest,
+    planApproval,
+    planDispatch,
+    planReceipt,
+    adjustmentPayload,
+    loadOpenTransfers
+};
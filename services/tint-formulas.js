@@ -0,0 +1,279 @@
+/**
+ * Tint formulas — the colorant recipe a shade was tinted with, so a repeat
+ * order ("same colour as last time") can be re-tinted exactly.
+ *
+ * A formula records the base item (a Zoho tint base — CS1, N2, WT, …), the
+ * colorant codes with shots per litre, the tinting machine and the shade code
+ * (paint-colors catalogs: "WW 0002"). It hangs off an estimate line
+ * (estimate_items) or a billing invoice line (billing_invoice_items); the
+ * customer is taken from that document so formulas are searchable by phone.
+ *
+ * Shots are stored per litre; shotsForPack() scales them to the pack on the
+ * line (01 L, 04 L, 10 L, 20 L) for the invoice print.
+ *
+ * Helpers throw Error with e.code (INVALID_FORMULA, LINE_NOT_FOUND); the route
+ * maps them to 400/404.
+ */
+
+const { extractSizeLabel, parseBase } = require('./catalog-base');
+
+const MAX_COLORANTS = 12;
+const MAX_SHOTS_PER_LITRE = 500;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/** Last 10 digits of a phone (painter-leads convention); null when shorter. */
+function normalizePhone(raw) {
+    if (raw == null) return null;
+    const digits = String(raw).replace(/\D/g, '');
+    if (digits.length < 10) return null;
+    return digits.slice(-10);
+}
+
+/**
+ * Validate and tidy colorant rows: codes upper-cased, shots rounded to 3
+ * decimals, duplicates refused (a code appears once per formula).
+ * @param {Array<{code: string, shots_per_litre: number}>} colorants
+ */
+function normalizeColorants(colorants) {
+    if (!Array.isArray(colorants) || !colorants.length) {
+        throw fail('INVALID_FORMULA', 'A formula needs at least one colorant');
+    }
+    if (colorants.length > MAX_COLORANTS) {
+        throw fail('INVALID_FORMULA', `At most ${MAX_COLORANTS} colorants per formula`);
+    }
+    const seen = new Set();
+    return colorants.map(c => {
+        const code = String(c.code || '').trim().toUpperCase();
+        const shots = Math.round(Number(c.shots_per_litre) * 1000) / 1000;
+        if (!code) throw fail('INVALID_FORMULA', 'Colorant code is required');
+        if (seen.has(code)) throw fail('INVALID_FORMULA', `Colorant ${code} is listed twice`);
+        if (!(shots > 0) || shots > MAX_SHOTS_PER_LITRE) {
+            throw fail('INVALID_FORMULA', `Shots per litre for ${code} must be between 0 and ${MAX_SHOTS_PER_LITRE}`);
+        }
+        seen.add(code);
+        return { code, shots_per_litre: shots };
+    });
+}
+
+/** Litres in a pack label ("01 L", "500 ML", "20LTR"); null for KG/pieces. */
+function packLitres(label) {
+    const size = extractSizeLabel(label);
+    if (!size) return null;
+    const [qty, unit] = size.split(' ');
+    const n = parseFloat(qty);
+    if (!(n > 0)) return null;
+    if (/^ML$/i.test(unit)) return n / 1000;
+    if (/^(L|LT|LTR|LITRE|LITRES|LITER|LITERS)$/i.test(unit)) return n;
+    return null;
+}
+
+/** Colorant shots for a pack of `litres` (2 decimals — what the machine takes). */
+function shotsForPack(colorants, litres) {
+    return colorants.map(c => ({
+        code: c.code,
+        shots_per_litre: c.shots_per_litre,
+        shots: litres ? Math.round(c.shots_per_litre * litres * 100) / 100 : null
+    }));
+}
+
+/** mysql2 returns JSON columns parsed, older drivers as text. */
+function parseColorants(value) {
+    if (Array.isArray(value)) return value;
+    try { return JSON.parse(value || '[]'); } catch { return []; }
+}
+
+function hydrate(row) {
+    return { ...row, colorants: parseColorants(row.colorants) };
+}
+
+/**
+ * One-line text for prints: "WW 0002 Jasmine White · Base CS1 · Machine COROB
+ * · 04 L: C1 12, Y2 3.5 shots".
+ */
+function formatFormula(formula, packLabel) {
+    const litres = packLitres(packLabel || formula.pack_size);
+    const parts = [[formula.shade_code, formula.shade_name].filter(Boolean).join(' ')];
+    if (formula.base_key) parts.push(`Base ${formula.base_key}`);
+    if (formula.machine_name) parts.push(`Machine ${formula.machine_name}`);
+    const shots = shotsForPack(parseColorants(formula.colorants), litres)
+        .map(c => `${c.code} ${litres ? c.shots : c.shots_per_litre}`)
+        .join(', ');
+    parts.push(litres ? `${extractSizeLabel(packLabel || formula.pack_size)}: ${shots} shots` : `${shots} shots/L`);
+    return parts.filter(Boolean).join(' · ');
+}
+
+/**
+ * Load the estimate or invoice line a formula links to, with its customer.
+ * Exactly one of estimate_item_id / invoice_item_id may be given; neither
+ * means an unlinked formula (walk-in shade match) and returns null.
+ */
+async function resolveLink(db, { estimate_item_id: estimateItemId, invoice_item_id: invoiceItemId }) {
+    if (estimateItemId && invoiceItemId) {
+        throw fail('INVALID_FORMULA', 'Link a formula to an estimate line or an invoice line, not both');
+    }
+    if (invoiceItemId) {
+        const [rows] = await db.query(
+            `SELECT bii.id, bii.invoice_id, bii.zoho_item_id, bii.item_name, bii.pack_size,
+                    bi.customer_name, bi.customer_phone, bi.branch_id
+             FROM billing_invoice_items bii
+             JOIN billing_invoices bi ON bi.id = bii.invoice_id
+             WHERE bii.id = ? AND bii.deleted_at IS NULL AND bi.deleted_at IS NULL`,
+            [invoiceItemId]
+        );
+        if (!rows.length) throw fail('LINE_NOT_FOUND', 'Invoice line not found');
+        const r = rows[0];
+        return {
+            invoice_id: r.invoice_id, invoice_item_id: r.id, estimate_id: null, estimate_item_id: null,
+            zoho_item_id: r.zoho_item_id, item_name: r.item_name, pack_size: r.pack_size,
+            customer_name: r.customer_name, customer_phone: r.customer_phone, branch_id: r.branch_id
+        };
+    }
+    if (estimateItemId) {
+        const [rows] = await db.query(
+            `SELECT ei.id, ei.estimate_id, ei.zoho_item_id, ei.item_name, ei.pack_size,
+                    e.customer_name, e.customer_phone, e.branch_id
+             FROM estimate_items ei
+             JOIN estimates e ON e.id = ei.estimate_id
+             WHERE ei.id = ? AND ei.deleted_at IS NULL`,
+            [estimateItemId]
+        );
+        if (!rows.length) throw fail('LINE_NOT_FOUND', 'Estimate line not found');
+        const r = rows[0];
+        return {
+            invoice_id: null, invoice_item_id: null, estimate_id: r.estimate_id, estimate_item_id: r.id,
+            zoho_item_id: r.zoho_item_id, item_name: r.item_name, pack_size: r.pack_size,
+            customer_name: r.customer_name, customer_phone: r.customer_phone, branch_id: r.branch_id
+        };
+    }
+    return null;
+}
+
+/**
+ * Build the row to store from request data and its resolved link. The linked
+ * line supplies the base item and customer unless the request overrides them.
+ */
+async function buildFormula(db, data) {
+    const link = await resolveLink(db, data);
+    const colorants = normalizeColorants(data.colorants);
+
+    const baseItemId = data.base_zoho_item_id || (link && link.zoho_item_id) || null;
+    let base = null;
+    if (baseItemId) {
+        const [items] = await db.query(
+            'SELECT zoho_item_id, zoho_item_name, zoho_sku, zoho_brand FROM zoho_items_map WHERE zoho_item_id = ?',
+            [baseItemId]
+        );
+        base = items[0] || null;
+    }
+    const baseName = (base && base.zoho_item_name) || data.base_item_name || (link && link.item_name) || null;
+    const baseKey = data.base_key
+        || (base ? parseBase(base.zoho_item_name, base.zoho_sku, base.zoho_brand).baseKey : null);
+
+    const customerPhone = data.customer_phone || (link && link.customer_phone) || null;
+    return {
+        shade_code: data.shade_code.trim().toUpperCase(),
+        shade_name: data.shade_name || null,
+        brand_code: data.brand_code || null,
+        shade_hex: data.shade_hex || null,
+        base_zoho_item_id: baseItemId,
+        base_item_name: baseName,
+        base_key: baseKey || null,
+        pack_size: data.pack_size || (link && link.pack_size) || null,
+        machine_name: data.machine_name || null,
+        colorants,
+        customer_name: data.customer_name || (link && link.customer_name) || null,
+        customer_phone: normalizePhone(customerPhone),
+        estimate_id: link ? link.estimate_id : null,
+        estimate_item_id: link ? link.estimate_item_id : null,
+        invoice_id: link ? link.invoice_id : null,
+        invoice_item_id: link ? link.invoice_item_id : null,
+        branch_id: link ? link.branch_id : null,
+        notes: data.notes || null
+    };
+}
+
+/**
+ * Search active formulas — newest first. `phone` matches on the last 10
+ * digits; `q` matches shade code/name and base item name.
+ */
+async function search(db, { phone, shade, q, limit = 50 } = {}) {
+    const where = ['tf.is_active = 1'];
+    const params = [];
+    if (phone) {
+        const key = normalizePhone(phone);
+        if (!key) throw fail('INVALID_FORMULA', 'Enter at least 10 digits of the phone number');
+        where.push('tf.customer_phone = ?');
+        params.push(key);
+    }
+    if (shade) {
+        where.push('tf.shade_code = ?');
+        params.push(String(shade).trim().toUpperCase());
+    }
+    if (q) {
+        where.push('(tf.shade_code LIKE ? OR tf.shade_name LIKE ? OR tf.base_item_name LIKE ? OR tf.customer_name LIKE ?)');
+        const like = `%${q}%`;
+        params.push(like, like, like, like);
+    }
+    params.push(limit);
+    const [rows] = await db.query(
+        `SELECT tf.*, bi.invoice_number, e.estimate_number, u.full_name AS created_by_name
+         FROM tint_formulas tf
+         LEFT JOIN billing_invoices bi ON bi.id = tf.invoice_id
+         LEFT JOIN estimates e ON e.id = tf.estimate_id
+         LEFT JOIN users u ON u.id = tf.created_by
+         WHERE ${where.join(' AND ')}
+         ORDER BY tf.created_at DESC, tf.id DESC
+         LIMIT ?`,
+        params
+    );
+    return rows.map(hydrate);
+}
+
+/** Active formulas on an invoice, each with `print` text scaled to its line's pack. */
+async function forInvoice(db, invoiceId) {
+    const [rows] = await db.query(
+        `SELECT tf.*, bii.pack_size AS line_pack_size
+         FROM tint_formulas tf
+         LEFT JOIN billing_invoice_items bii ON bii.id = tf.invoice_item_id
+         WHERE tf.invoice_id = ? AND tf.is_active = 1
+         ORDER BY tf.id`,
+        [invoiceId]
+    );
+    return rows.map(r => {
+        const f = hydrate(r);
+        return { ...f, print: formatFormula(f, r.line_pack_size || r.pack_size) };
+    });
+}
+
+/** Active formulas on an estimate's lines. */
+async function forEstimate(db, estimateId) {
+    const [rows] = await db.query(
+        'SELECT * FROM tint_formulas WHERE estimate_id = ? AND is_active = 1 ORDER BY id',
+        [estimateId]
+    );
+    return rows.map(r => {
+        const f = hydrate(r);
+        return { ...f, print: formatFormula(f) };
+    });
+}
+
+module.exports = {
+    MAX_COLORANTS,
+    MAX_SHOTS_PER_LITRE,
+    normalizePhone,
+    normalizeColorants,
+    packLitres,
+    shotsForPack,
+    parseColorants,
+    formatFormula,
+    resolveLink,
+    buildFormula,
+    search,
+    forInvoice,
+    forEstimate
+};
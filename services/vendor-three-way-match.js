@@ -0,0 +1,233 @@
+/**
+ * Goods receipts (GRN) and the PO / GRN / bill three-way match — pure, no DB.
+ *
+ * A GRN records what actually arrived per PO line; a PO can be received in
+ * several deliveries. vendor_po_items.received_qty carries the running total,
+ * and each line is flagged against the ordered quantity:
+ *
+ *   short  — received so far < ordered
+ *   ok     — received == ordered
+ *   excess — received > ordered
+ *
+ * matchThreeWay() then checks a PO-linked vendor bill line by line (lines are
+ * paired by Zoho item, falling back to the item name):
+ *
+ *   - billed qty must equal the received qty (nothing billed that didn't
+ *     arrive, nothing that arrived left off the bill);
+ *   - billed qty must not exceed the ordered qty;
+ *   - billed rate must equal the PO rate;
+ *   - every billed line must be on the PO;
+ *   - and at least one GRN must exist.
+ *
+ * Differences use the verifyBillItems() shape ({field, item_name, expected,
+ * actual, message}) so the bill UI renders both lists the same way.
+ *
+ * planGoodsReceipt throws Error with e.code 'INVALID_RECEIPT'.
+ */
+
+const QTY_TOLERANCE = 0.001;
+const RATE_TOLERANCE = 0.01;
+
+const r2 = n => Math.round((parseFloat(n) || 0) * 100) / 100;
+
+function fail(code, message) {
+    const e = new Error(message);
+    e.code = code;
+    return e;
+}
+
+/**
+ * short / ok / excess for a cumulative received quantity.
+ * @returns {'short'|'ok'|'excess'}
+ */
+function receiptFlag(ordered, received) {
+    if (received < ordered - QTY_TOLERANCE) return 'short';
+    if (received > ordered + QTY_TOLERANCE) return 'excess';
+    return 'ok';
+}
+
+/**
+ * The PO header's receipt_status from its lines' running received totals:
+ * 'none' before any receipt, 'partial' while any line is still short,
+ * 'excess' when everything arrived and something over-delivered, else
+ * 'complete'.
+ * @param {Array<{quantity, received_qty}>} poItems
+ * @returns {'none'|'partial'|'complete'|'excess'}
+ */
+function receiptStatus(poItems) {
+    const flags = poItems.map(it => receiptFlag(parseFloat(it.quantity) || 0, parseFloat(it.received_qty) || 0));
+    if (!poItems.some(it => (parseFloat(it.received_qty) || 0) > 0)) return 'none';
+    if (flags.includes('short')) return 'partial';
+    return flags.includes('excess') ? 'excess' : 'complete';
+}
+
+/**
+ * Plan one goods receipt against a PO's lines. Each requested line must be on
+ * the PO and listed once; quantities are positive (over-delivery is allowed
+ * and flagged 'excess', not refused — the bill match decides what is paid).
+ * @param {Object[]} poItems vendor_po_items rows (with received_qty)
+ * @param {Array<{po_item_id:number, received_qty:number, notes?:string}>} requested
+ * @returns {{lines:Object[], receiptStatus:string}} lines carry the new cumulative
+ *          total + flag; receiptStatus is the PO's status after this receipt
+ */
+function planGoodsReceipt(poItems, requested) {
+    const byId = new Map(poItems.map(it => [Number(it.id), it]));
+    const seen = new Set();
+    const lines = [];
+    for (const want of requested || []) {
+        const id = Number(want.po_item_id);
+        const item = byId.get(id);
+        if (!item) throw fail('INVALID_RECEIPT', `Line ${id} is not on this purchase order`);
+        if (seen.has(id)) throw fail('INVALID_RECEIPT', `Line ${id} is listed twice`);
+        seen.add(id);
+        const qty = Number(want.received_qty);
+        if (!(qty > 0)) throw fail('INVALID_RECEIPT', `Received quantity for ${item.item_name} must be positive`);
+
+        const ordered = parseFloat(item.quantity) || 0;
+        const before = parseFloat(item.received_qty) || 0;
+        const total = r2(before + qty);
+        lines.push({
+            po_item_id: id,
+            zoho_item_id: item.zoho_item_id || null,
+            item_name: item.item_name,
+            ordered_qty: ordered,
+            received_qty: qty,
+            total_received: total,
+            flag: receiptFlag(ordered, total),
+            notes: want.notes || null
+        });
+    }
+    if (!lines.length) throw fail('INVALID_RECEIPT', 'Record at least one received line');
+
+    const after = poItems.map(it => {
+        const line = lines.find(l => l.po_item_id === Number(it.id));
+        return line ? { ...it, received_qty: line.total_received } : it;
+    });
+    return { lines, receiptStatus: receiptStatus(after) };
+}
+
+const lineKey = it => (it.zoho_item_id ? `id:${it.zoho_item_id}` : `name:${String(it.item_name || '').trim().toLowerCase()}`);
+
+// Fold lines sharing a key into one: quantities add, the rate is the
+// value-weighted average (a PO listing the same item twice at one price
+// keeps that price).
+function groupLines(items) {
+    const groups = new Map();
+    for (const it of items) {
+        const key = lineKey(it);
+        const qty = parseFloat(it.quantity) || 0;
+        const g = groups.get(key) || { zoho_item_id: it.zoho_item_id || null, item_name: it.item_name, qty: 0, value: 0, received: 0 };
+        g.qty += qty;
+        g.value += qty * (parseFloat(it.unit_price) || 0);
+        g.received += parseFloat(it.received_qty) || 0;
+        groups.set(key, g);
+    }
+    for (const g of groups.values()) g.rate = g.qty > 0 ? r2(g.value / g.qty) : 0;
+    return groups;
+}
+
+/**
+ * Three-way match of a PO (ordered qty + rate), its goods receipts (received
+ * qty per PO line, vendor_po_items.received_qty) and the vendor bill (billed
+ * qty + rate). A bill with no PO is 'not_applicable'.
+ * @param {Object} args
+ * @param {Object[]} args.poItems   vendor_po_items rows (quantity, unit_price, received_qty)
+ * @param {Object[]} args.billItems vendor_bill_items rows (quantity, unit_price)
+ * @returns {{status:'not_applicable'|'matched'|'mismatch', lines:Object[], differences:Object[]}}
+ */
+function matchThreeWay({ poItems, billItems }) {
+    if (!poItems || !poItems.length) return { status: 'not_applicable', lines: [], differences: [] };
+
+    const po = groupLines(poItems);
+    const billed = groupLines(billItems || []);
+    const differences = [];
+    const lines = [];
+
+    const anyReceipt = poItems.some(it => (parseFloat(it.received_qty) || 0) > 0);
+    if (!anyReceipt) {
+        differences.push({
+            field: 'no_receipt',
+            item_name: null,
+            expected: 'goods receipt',
+            actual: null,
+            message: 'No goods receipt recorded for this purchase order — record what arrived first'
+        });
+    }
+
+    for (const [key, p] of po) {
+        const b = billed.get(key);
+        const billedQty = b ? r2(b.qty) : 0;
+        const line = {
+            zoho_item_id: p.zoho_item_id,
+            item_name: p.item_name,
+            ordered_qty: r2(p.qty),
+            received_qty: r2(p.received),
+            billed_qty: billedQty,
+            po_rate: p.rate,
+            billed_rate: b ? b.rate : null,
+            receipt_flag: receiptFlag(p.qty, p.received),
+            status: 'matched'
+        };
+        const name = p.item_name;
+
+        if (anyReceipt && Math.abs(billedQty - p.received) > QTY_TOLERANCE) {
+            differences.push({
+                field: 'billed_vs_received',
+                item_name: name,
+                expected: r2(p.received),
+                actual: billedQty,
+                message: billedQty > p.received
+                    ? `"${name}": billed ${billedQty} but only ${r2(p.received)} received`
+                    : `"${name}": received ${r2(p.received)} but billed ${billedQty}`
+            });
+            line.status = 'mismatch';
+        }
+        if (billedQty > p.qty + QTY_TOLERANCE) {
+            differences.push({
+                field: 'billed_vs_ordered',
+                item_name: name,
+                expected: r2(p.qty),
+                actual: billedQty,
+                message: `"${name}": billed ${billedQty} but the PO ordered ${r2(p.qty)}`
+            });
+            line.status = 'mismatch';
+        }
+        if (b && billedQty > 0 && Math.abs(b.rate - p.rate) > RATE_TOLERANCE) {
+            differences.push({
+                field: 'rate',
+                item_name: name,
+                expected: p.rate,
+                actual: b.rate,
+                message: `"${name}": billed at ₹${b.rate} but the PO rate is ₹${p.rate}`
+            });
+            line.status = 'mismatch';
+        }
+        lines.push(line);
+    }
+
+    for (const [key, b] of billed) {
+        if (po.has(key)) continue;
+        differences.push({
+            field: 'not_on_po',
+            item_name: b.item_name,
+            expected: null,
+            actual: r2(b.qty),
+            message: `"${b.item_name}" is billed but not on the purchase order`
+        });
+        lines.push({
+            zoho_item_id: b.zoho_item_id,
+            item_name: b.item_name,
+            ordered_qty: 0,
+            received_qty: 0,
+            billed_qty: r2(b.qty),
+            po_rate: null,
+            billed_rate: b.rate,
+            receipt_flag: null,
+            status: 'mismatch'
+        });
+    }
+
+    return { status: differences.length ? 'mismatch' : 'matched', lines, differences };
+}
+
+module.exports = { planGoodsReceipt, matchThreeWay, receiptFlag, receiptStatus };
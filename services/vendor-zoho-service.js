@@ -17,7 +17,12 @@
  * contact (VENDOR_NOT_IN_ZOHO if the vendor is not already in Zoho);
  * `paid_through_account_id` comes from ai_config and is omitted when unset.
  *
- * Exports: { setPool, resolveVendorPaidThroughAccountId, pushVendorPaymentToZoho, syncBillPayments }
+ * Purchase returns (vendor_purchase_returns) go out as Zoho vendor credits —
+ * our debit note to the distributor — with the same deterministic-reference
+ * adopt-before-create guard (`reference_number` = the PR-… return number).
+ *
+ * Exports: { setPool, resolveVendorPaidThroughAccountId, pushVendorPaymentToZoho, syncBillPayments,
+ *            pushPurchaseReturnToZoho }
  */
 
 const zohoAPI = require('./zoho-api');
@@ -245,6 +250,147 @@ async function pushVendorPaymentToZoho(paymentId) {
     throw new Error(msg);
 }
 
+// Single ai_config value, '' → null. Best-effort like resolveVendorPaidThroughAccountId.
+async function readConfigValue(key) {
+    try {
+        const [rows] = await pool.query('SELECT config_value FROM ai_config WHERE config_key = ? LIMIT 1', [key]);
+        const v = rows.length ? String(rows[0].config_value || '').trim() : '';
+        return v || null;
+    } catch { return null; }
+}
+
+/**
+ * Push a local purchase return to Zoho Books as a vendor credit (debit note).
+ *
+ * Lines carry the return's location, so Zoho takes the returned tins out of
+ * stock there, and the same GST tax + entity-level discount model as the bill
+ * push. The credit is then applied to the original Zoho bill up to its open
+ * balance; whatever is left stays open on the vendor in Zoho (the refund or
+ * adjustment the vendor still owes). An apply failure is returned as a warning
+ * and never undoes the created vendor credit.
+ *
+ * @param {number} returnId vendor_purchase_returns.id
+ * @returns {Promise<{zohoVendorCreditId:string, zohoVendorCreditNumber:(string|null), appliedAmount:number,
+ *          warnings:string[], adopted?:true}|{skipped:string}>}
+ * @throws {Error} code VENDOR_NOT_IN_ZOHO / BILL_NOT_PUSHED on a hard refusal;
+ *         a generic Error on a Zoho-side failure (the caller stamps it).
+ */
+async function pushPurchaseReturnToZoho(returnId) {
+    const [rows] = await pool.query(
+        `SELECT vpr.*, vb.bill_number, vb.zoho_status AS bill_zoho_status, vb.zoho_bill_id AS bill_zoho_bill_id,
+                v.zoho_contact_id AS vendor_zoho_contact_id
+           FROM vendor_purchase_returns vpr
+           JOIN vendor_bills vb ON vpr.bill_id = vb.id
+           JOIN vendors v ON vpr.vendor_id = v.id
+          WHERE vpr.id = ?`,
+        [returnId]
+    );
+    if (!rows.length) throw new Error(`Purchase return ${returnId} not found`);
+    const ret = rows[0];
+    if (ret.zoho_status === 'pushed' && ret.zoho_vendor_credit_id) return { skipped: 'already_synced' };
+
+    if (!ret.vendor_zoho_contact_id) {
+        const err = new Error('Vendor is not linked to a Zoho contact — add the vendor in Zoho first');
+        err.code = 'VENDOR_NOT_IN_ZOHO';
+        throw err;
+    }
+    if (ret.bill_zoho_status !== 'pushed' || !ret.bill_zoho_bill_id) {
+        const err = new Error('The bill is not pushed to Zoho yet — push the bill first');
+        err.code = 'BILL_NOT_PUSHED';
+        throw err;
+    }
+
+    const [items] = await pool.query('SELECT * FROM vendor_purchase_return_items WHERE return_id = ? ORDER BY id', [returnId]);
+    if (!items.length) throw new Error(`Return ${ret.return_number} has no items`);
+
+    const stamp = async (credit, appliedAmount) => {
+        await pool.query(
+            `UPDATE vendor_purchase_returns
+                SET zoho_status = 'pushed', zoho_vendor_credit_id = ?, zoho_vendor_credit_number = ?,
+                    zoho_applied_amount = ?, zoho_push_error = NULL, zoho_push_attempted_at = NOW()
+              WHERE id = ?`,
+            [credit.vendor_credit_id, credit.vendor_credit_number || null, appliedAmount, returnId]
+        );
+    };
+
+    // Adopt-before-create — a vendor credit carrying our return number means a
+    // prior run created it and crashed before stamping.
+    try {
+        const found = await zohoAPI.getVendorCredits({ reference_number: ret.return_number });
+        const match = ((found && found.vendor_credits) || [])
+            .find(x => x && x.reference_number === ret.return_number && x.vendor_credit_id);
+        if (match) {
+            await stamp(match, round2(ret.zoho_applied_amount));
+            return {
+                adopted: true, zohoVendorCreditId: match.vendor_credit_id,
+                zohoVendorCreditNumber: match.vendor_credit_number || null,
+                appliedAmount: round2(ret.zoho_applied_amount), warnings: []
+            };
+        }
+    } catch {
+        // adopt is best-effort — on a lookup error, fall through to create.
+    }
+
+    const locationId = ret.zoho_location_id || null;
+    const taxId = await readConfigValue('zoho_default_gst_tax_id');
+    const discountShare = round2(ret.discount_share);
+    const discountAccountId = discountShare > 0 ? await readConfigValue('zoho_purchase_discount_account_id') : null;
+    const now = new Date();
+    const creditDate = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+
+    const created = await zohoAPI.createVendorCredit({
+        vendor_id: ret.vendor_zoho_contact_id,
+        date: creditDate,
+        reference_number: ret.return_number,
+        bill_id: ret.bill_zoho_bill_id,
+        line_items: items.map(it => ({
+            item_id: it.zoho_item_id || undefined,
+            name: it.item_name,
+            quantity: parseFloat(it.quantity),
+            rate: parseFloat(it.unit_price),
+            description: it.reason_code,
+            ...(taxId ? { tax_id: taxId } : {}),
+            ...(locationId ? { location_id: locationId } : {})
+        })),
+        ...(locationId ? { location_id: locationId } : {}),
+        ...(discountShare > 0 ? {
+            discount: discountShare,
+            is_discount_before_tax: true,
+            discount_type: 'entity_level',
+            ...(discountAccountId ? { discount_account_id: discountAccountId } : {})
+        } : {}),
+        notes: truncate255(`Purchase return ${ret.return_number} against bill ${ret.bill_number || ret.bill_id}${ret.notes ? ` — ${ret.notes}` : ''}`)
+    });
+    const credit = created && created.vendor_credit;
+    if (!credit || !credit.vendor_credit_id) throw new Error('Failed to create Zoho vendor credit');
+
+    // Apply the credit to the original bill, capped at its live Zoho balance.
+    const warnings = [];
+    let appliedAmount = 0;
+    try {
+        const resp = await zohoAPI.getBill(ret.bill_zoho_bill_id);
+        const openBalance = round2(resp && resp.bill && resp.bill.balance);
+        const applyAmount = round2(Math.min(openBalance, parseFloat(credit.total) || parseFloat(ret.total) || 0));
+        if (applyAmount > 0) {
+            await zohoAPI.applyVendorCreditToBills(credit.vendor_credit_id, [
+                { bill_id: ret.bill_zoho_bill_id, amount_applied: applyAmount }
+            ]);
+            appliedAmount = applyAmount;
+        }
+    } catch (err) {
+        warnings.push('Credit not applied to the bill: ' + err.message);
+    }
+
+    await stamp(credit, appliedAmount);
+    if (warnings.length) console.error(`[vendor-zoho] return ${ret.return_number}:`, warnings.join('; '));
+
+    return {
+        zohoVendorCreditId: credit.vendor_credit_id,
+        zohoVendorCreditNumber: credit.vendor_credit_number || null,
+        appliedAmount, warnings
+    };
+}
+
 /**
  * Best-effort sync of a bill's still-unsynced, non-deleted payments to Zoho.
  * Called after a bill is pushed. Never throws — each payment is pushed
@@ -278,4 +424,5 @@ module.exports = {
     resolveVendorPaidThroughAccountId,
     pushVendorPaymentToZoho,
     syncBillPayments,
+    pushPurchaseReturnToZoho,
 };
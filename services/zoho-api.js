@@ -2558,6 +2558,38 @@ async function createBill(billData) {
     return await apiPost(`/bills?organization_id=${orgId}`, billData);
 }
 
+// ========================================
+// VENDOR CREDITS (debit notes for purchase returns)
+// ========================================
+
+/**
+ * Get vendor credits
+ * @param {Object} params - Query params (e.g. reference_number, vendor_id)
+ */
+async function getVendorCredits(params = {}) {
+    const orgId = process.env.ZOHO_ORGANIZATION_ID;
+    return await apiGet('/vendorcredits', { organization_id: orgId, ...params });
+}
+
+/**
+ * Create a vendor credit (our debit note) in Zoho Books.
+ * Zoho API: POST /vendorcredits — line items carrying a location_id take the
+ * returned stock out of that location.
+ */
+async function createVendorCredit(vendorCreditData) {
+    const orgId = process.env.ZOHO_ORGANIZATION_ID;
+    return await apiPost(`/vendorcredits?organization_id=${orgId}`, vendorCreditData);
+}
+
+/**
+ * Apply a vendor credit's balance to one or more open bills.
+ * Zoho API: POST /vendorcredits/{id}/bills — body { bills: [{ bill_id, amount_applied }] }
+ */
+async function applyVendorCreditToBills(vendorCreditId, bills) {
+    const orgId = process.env.ZOHO_ORGANIZATION_ID;
+    return await apiPost(`/vendorcredits/${vendorCreditId}/bills?organization_id=${orgId}`, { bills });
+}
+
 async function attachBillAttachment(billId, filePath) {
     const orgId = process.env.ZOHO_ORGANIZATION_ID;
     const fs = require('fs');
@@ -2726,6 +2758,25 @@ async function getCreditNotes(params = {}) {
     return await apiGet('/creditnotes', { organization_id: orgId, ...params });
 }
 
+/**
+ * Create a credit note in Zoho Books (sales returns from local billing).
+ * Zoho API: POST /creditnotes — line items carrying a location_id put the
+ * returned stock back at that location.
+ */
+async function createCreditNote(creditNoteData) {
+    const orgId = process.env.ZOHO_ORGANIZATION_ID;
+    return await apiPost(`/creditnotes?organization_id=${orgId}`, creditNoteData);
+}
+
+/**
+ * Apply a credit note's balance to one or more open invoices.
+ * Zoho API: POST /creditnotes/{id}/invoices — body { invoices: [{ invoice_id, amount_applied }] }
+ */
+async function applyCreditNoteToInvoices(creditNoteId, invoices) {
+    const orgId = process.env.ZOHO_ORGANIZATION_ID;
+    return await apiPost(`/creditnotes/${creditNoteId}/invoices?organization_id=${orgId}`, { invoices });
+}
+
 async function syncCreditNotes() {
     if (!pool) throw new Error('Database pool not initialized');
     const orgId = process.env.ZOHO_ORGANIZATION_ID;
@@ -2840,6 +2891,10 @@ module.exports = {
     getBills,
     getBill,
     createBill,
+    // Vendor Credits
+    getVendorCredits,
+    createVendorCredit,
+    applyVendorCreditToBills,
     attachBillAttachment,
     submitBill,
     approveBill,
@@ -2860,6 +2915,8 @@ module.exports = {
     syncExpenses,
     // Credit Notes
     getCreditNotes,
+    createCreditNote,
+    applyCreditNoteToInvoices,
     syncCreditNotes,
     // Sales Orders (raw Zoho API fetch)
     getRawSalesOrder
@@ -196,6 +196,7 @@ module.exports = {
     mapPaymentModeToZoho,
     loadModeOverrides,
     istDateString,
+    toDateString,
     buildCustomerPaymentPayload,
     buildVendorPaymentPayload,
     classifyPaymentReversal,
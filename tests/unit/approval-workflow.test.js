@@ -0,0 +1,274 @@
+/**
+ * Approval workflow engine — services/approval-workflow.js.
+ *
+ * Locks:
+ *   - chain matching: min exclusive / max inclusive, NULL = open, priority
+ *     then the higher min wins, no chain ⇒ the module's own permission;
+ *   - decide(): a two-step "discount > 8% ⇒ branch manager then admin" chain
+ *     holds the module action until the last step, the wrong approver gets
+ *     NOT_APPROVER, reject ends the chain, an amount change after step 1 is
+ *     AMOUNT_CHANGED, consecutive steps the same user qualifies for collapse;
+ *   - delegation: a delegate acts on the absent approver's behalf;
+ *   - escalation: an overdue step is handed to its escalate-to approver once;
+ *   - inbox: only steps the caller may act on now.
+ *
+ * The DB is an in-memory fake dispatching on SQL shape (day-close pattern).
+ */
+
+const ROLE_PERMS = {
+    manager: ['painters.estimates', 'credit_limits.manage'],
+    staff: [],
+};
+
+jest.mock('../../middleware/permissionMiddleware', () => ({
+    isFullAdmin: (role) => ['admin', 'super_admin'].includes(role),
+    hasRolePermission: async (role, module, action) =>
+        (ROLE_PERMS[role] || []).includes(`${module}.${action}`),
+}));
+jest.mock('../../services/notification-service', () => ({ send: jest.fn(async () => {}) }));
+
+const approvals = require('../../services/approval-workflow');
+const notificationService = require('../../services/notification-service');
+
+const USERS = {
+    1: { id: 1, role: 'admin', full_name: 'Admin' },
+    7: { id: 7, role: 'manager', full_name: 'Branch Manager' },
+    8: { id: 8, role: 'manager', full_name: 'Other Manager' },
+    20: { id: 20, role: 'staff', full_name: 'Cashier' },
+};
+
+function makeDb({ chains = [], chainSteps = [], delegations = [], branches = { 2: 7 } } = {}) {
+    const state = { requests: [], steps: [], chains, chainSteps, delegations };
+    const row = (list, id) => list.find(r => r.id === Number(id));
+    const query = async (sql, params = []) => {
+        const s = String(sql).replace(/\s+/g, ' ');
+        if (/FROM approval_requests WHERE entity_type = \? AND entity_id = \?/.test(s)) {
+            const rows = state.requests.filter(r => r.entity_type === params[0] && r.entity_id === params[1]);
+            return [rows.slice(-1)];
+        }
+        if (/FROM approval_chains WHERE entity_type = \?/.test(s)) {
+            return [state.chains.filter(c => c.entity_type === params[0] && c.is_active)];
+        }
+        if (/FROM approval_chain_steps WHERE chain_id = \?/.test(s)) {
+            return [state.chainSteps.filter(c => c.chain_id === params[0])];
+        }
+        if (/INSERT INTO approval_requests/.test(s)) {
+            const [entity_type, entity_id, chain_id, title, amount, branch_id, requested_by] = params;
+            const id = state.requests.length + 1;
+            state.requests.push({ id, entity_type, entity_id, chain_id, title, amount, branch_id, requested_by, status: 'pending', current_step: 1 });
+            return [{ insertId: id }];
+        }
+        if (/INSERT INTO approval_request_steps/.test(s)) {
+            const [request_id, step_order, approver_type, approver_value, status, escalate_after_hours, escalate_to_type, escalate_to_value, hours] = params;
+            state.steps.push({
+                id: state.steps.length + 1, request_id, step_order, approver_type, approver_value, status,
+                escalate_after_hours, escalate_to_type, escalate_to_value,
+                due_at: hours ? new Date(Date.now() + hours * 3600000) : null, escalated_at: null,
+            });
+            return [{ insertId: state.steps.length }];
+        }
+        if (/SELECT \* FROM approval_request_steps WHERE request_id = \?/.test(s)) {
+            return [state.steps.filter(x => x.request_id === params[0]).map(x => ({ ...x }))];
+        }
+        if (/DELETE FROM approval_request_steps WHERE request_id = \?/.test(s)) {
+            state.steps = state.steps.filter(x => x.request_id !== params[0]);
+            return [{ affectedRows: 1 }];
+        }
+        if (/FROM approval_delegations d JOIN users u/.test(s)) {
+            const [delegate, today] = params;
+            return [state.delegations
+                .filter(d => d.delegate_user_id === delegate && d.is_active && d.starts_on <= today && d.ends_on >= today)
+                .map(d => ({ id: d.user_id, entity_type: d.entity_type || null, role: USERS[d.user_id].role }))];
+        }
+        if (/SELECT manager_user_id FROM branches/.test(s)) {
+            return [branches[params[0]] ? [{ manager_user_id: branches[params[0]] }] : []];
+        }
+        if (/UPDATE approval_request_steps SET status = \?, acted_by/.test(s)) {
+            Object.assign(row(state.steps, params[4]), { status: params[0], acted_by: params[1], on_behalf_of: params[2], note: params[3] });
+            return [{ affectedRows: 1 }];
+        }
+        if (/UPDATE approval_request_steps SET status = 'skipped' WHERE request_id = \? AND status = 'waiting'/.test(s)) {
+            state.steps.filter(x => x.request_id === params[0] && x.status === 'waiting').forEach(x => { x.status = 'skipped'; });
+            return [{ affectedRows: 1 }];
+        }
+        if (/UPDATE approval_request_steps SET status = 'pending'/.test(s)) {
+            const step = row(state.steps, params[params.length - 1]);
+            step.status = 'pending';
+            step.due_at = params.length > 1 ? new Date(Date.now() + params[0] * 3600000) : null;
+            return [{ affectedRows: 1 }];
+        }
+        if (/UPDATE approval_requests SET status = '(\w+)'/.test(s)) {
+            const status = s.match(/SET status = '(\w+)'/)[1];
+            Object.assign(row(state.requests, params[params.length - 1]), { status });
+            return [{ affectedRows: 1 }];
+        }
+        if (/UPDATE approval_requests SET chain_id = \?, amount = \?/.test(s)) {
+            Object.assign(row(state.requests, params[2]), { chain_id: params[0], amount: params[1] });
+            return [{ affectedRows: 1 }];
+        }
+        if (/UPDATE approval_requests SET current_step = \?/.test(s)) {
+            row(state.requests, params[1]).current_step = params[0];
+            return [{ affectedRows: 1 }];
+        }
+        if (/FROM approval_requests r JOIN approval_request_steps s ON s.request_id = r.id AND s.status = 'pending'/.test(s)) {
+            return [state.requests.filter(r => r.status === 'pending').map(r => {
+                const st = state.steps.find(x => x.request_id === r.id && x.status === 'pending');
+                return st && {
+                    ...r, step_id: st.id, step_order: st.step_order, approver_type: st.approver_type,
+                    approver_value: st.approver_value, due_at: st.due_at,
+                    total_steps: state.steps.filter(x => x.request_id === r.id).length,
+                };
+            }).filter(Boolean)];
+        }
+        if (/WHERE s.status = 'pending' AND s.due_at IS NOT NULL AND s.due_at < NOW\(\)/.test(s)) {
+            return [state.steps
+                .filter(x => x.status === 'pending' && x.due_at && x.due_at < new Date() && !x.escalated_at && x.escalate_to_type)
+                .map(x => ({ ...x, ...state.requests.find(r => r.id === x.request_id), id: x.id }))];
+        }
+        if (/SET escalated_from = \?, approver_type = \?, approver_value = \?, escalated_at = NOW\(\)/.test(s)) {
+            const step = row(state.steps, params[3]);
+            if (step.escalated_at) return [{ affectedRows: 0 }];
+            Object.assign(step, { escalated_from: params[0], approver_type: params[1], approver_value: params[2], escalated_at: new Date() });
+            return [{ affectedRows: 1 }];
+        }
+        if (/SELECT id FROM users WHERE role = \?/.test(s)) {
+            return [Object.values(USERS).filter(u => u.role === params[0]).map(u => ({ id: u.id }))];
+        }
+        throw new Error(`Unexpected SQL: ${s}`);
+    };
+    return { state, query };
+}
+
+// "discount > 8% needs branch manager then admin"
+const DISCOUNT_CHAIN = {
+    chains: [{ id: 5, entity_type: 'painter_estimate_discount', min_amount: 8, max_amount: null, priority: 0, is_active: 1 }],
+    chainSteps: [
+        { chain_id: 5, step_order: 1, approver_type: 'branch_manager', approver_value: null },
+        { chain_id: 5, step_order: 2, approver_type: 'role', approver_value: 'admin' },
+    ],
+};
+
+const discount = (over = {}) => ({ entityType: 'painter_estimate_discount', entityId: 31, decision: 'approve', amount: 12, start: { branchId: 2 }, ...over });
+
+beforeEach(() => notificationService.send.mockClear());
+
+describe('chain matching', () => {
+    const chains = [
+        { id: 1, min_amount: null, max_amount: 8, priority: 0, is_active: 1 },
+        { id: 2, min_amount: 8, max_amount: null, priority: 0, is_active: 1 },
+        { id: 3, min_amount: 15, max_amount: null, priority: 0, is_active: 1 },
+        { id: 4, min_amount: 50, max_amount: null, priority: 0, is_active: 0 },
+    ];
+
+    it('treats min as exclusive and max as inclusive', () => {
+        expect(approvals.selectChain(chains, 8).id).toBe(1);
+        expect(approvals.selectChain(chains, 8.5).id).toBe(2);
+    });
+
+    it('prefers the tighter (higher min) band, then priority, and skips inactive chains', () => {
+        expect(approvals.selectChain(chains, 60).id).toBe(3);
+        expect(approvals.selectChain([...chains, { id: 9, min_amount: 0, max_amount: null, priority: 5, is_active: 1 }], 60).id).toBe(9);
+    });
+
+    it('only open-bottomed chains match when there is no amount', () => {
+        expect(approvals.selectChain(chains, null).id).toBe(1);
+        expect(approvals.selectChain(chains.slice(1), null)).toBeNull();
+    });
+
+    it('rejects malformed steps with INVALID_CHAIN', () => {
+        expect(() => approvals.validateSteps([])).toThrow(/at least one step/);
+        expect(() => approvals.validateSteps([{ approver_type: 'permission', approver_value: 'nope' }])).toThrow(/module.action/);
+        expect(() => approvals.validateSteps([{ approver_type: 'role', approver_value: 'admin', escalate_after_hours: 4 }]))
+            .toThrow(/escalate-to/);
+    });
+});
+
+describe('decide', () => {
+    it('without a chain, one permission-gated step decides at once', async () => {
+        const db = makeDb();
+        const r = await approvals.decide(USERS[7], discount({ amount: 5 }), db);
+        expect(r).toMatchObject({ final: true, status: 'approved', amount: 5 });
+        expect(db.state.steps).toEqual([expect.objectContaining({ approver_type: 'permission', approver_value: 'painters.estimates', status: 'approved', acted_by: 7 })]);
+    });
+
+    it('holds a large discount for the admin after the branch manager approves', async () => {
+        const db = makeDb(DISCOUNT_CHAIN);
+        const first = await approvals.decide(USERS[7], discount(), db);
+        expect(first).toMatchObject({ final: false, status: 'pending', step: 1, next: { step: 2, approver: 'Role: admin' } });
+        expect(notificationService.send).toHaveBeenCalledWith(1, expect.objectContaining({ type: 'approval_pending' }));
+
+        const second = await approvals.decide(USERS[1], discount({ amount: undefined }), db);
+        expect(second).toMatchObject({ final: true, status: 'approved', amount: 12 });
+        expect(db.state.requests[0].status).toBe('approved');
+    });
+
+    it('refuses a manager who is not the branch manager with NOT_APPROVER', async () => {
+        const db = makeDb(DISCOUNT_CHAIN);
+        await expect(approvals.decide(USERS[8], discount(), db)).rejects.toMatchObject({ code: 'NOT_APPROVER' });
+        await expect(approvals.decide(USERS[20], discount({ amount: 5 }), db)).rejects.toMatchObject({ code: 'NOT_APPROVER' });
+    });
+
+    it('lets an admin clear every step it qualifies for in one go', async () => {
+        const db = makeDb(DISCOUNT_CHAIN);
+        const r = await approvals.decide(USERS[1], discount(), db);
+        expect(r).toMatchObject({ final: true, status: 'approved', step: 2 });
+    });
+
+    it('a rejection ends the chain and skips the remaining steps', async () => {
+        const db = makeDb(DISCOUNT_CHAIN);
+        const r = await approvals.decide(USERS[7], discount({ decision: 'reject', note: 'Too deep' }), db);
+        expect(r).toMatchObject({ final: true, status: 'rejected' });
+        expect(db.state.steps.map(s => s.status)).toEqual(['rejected', 'skipped']);
+    });
+
+    it('re-plans an untouched request on a new amount but refuses once a step is approved', async () => {
+        const db = makeDb(DISCOUNT_CHAIN);
+        await approvals.submit({ entityType: 'painter_estimate_discount', entityId: 31, branchId: 2 }, db);
+        expect(db.state.steps).toHaveLength(1);                  // no % yet ⇒ default step
+        await approvals.decide(USERS[7], discount(), db);        // 12% ⇒ two-step chain
+        expect(db.state.requests[0]).toMatchObject({ chain_id: 5, amount: 12 });
+        await expect(approvals.decide(USERS[1], discount({ amount: 15 }), db)).rejects.toMatchObject({ code: 'AMOUNT_CHANGED' });
+    });
+
+    it('a delegate approves on behalf of the branch manager on leave', async () => {
+        const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'Asia/Kolkata' }).format(new Date());
+        const db = makeDb({
+            ...DISCOUNT_CHAIN,
+            delegations: [{ user_id: 7, delegate_user_id: 8, starts_on: today, ends_on: today, is_active: 1 }],
+        });
+        const r = await approvals.decide(USERS[8], discount(), db);
+        expect(r.final).toBe(false);
+        expect(db.state.steps[0]).toMatchObject({ status: 'approved', acted_by: 8, on_behalf_of: 7 });
+    });
+});
+
+describe('escalateOverdue', () => {
+    it('hands an overdue step to its escalate-to approver once', async () => {
+        const db = makeDb();
+        db.state.requests.push({ id: 1, entity_type: 'salary_advance', entity_id: '4', status: 'pending', branch_id: 2 });
+        db.state.steps.push({
+            id: 1, request_id: 1, step_order: 1, approver_type: 'branch_manager', approver_value: null, status: 'pending',
+            due_at: new Date(Date.now() - 60000), escalated_at: null, escalate_to_type: 'user', escalate_to_value: '1',
+        });
+        expect(await approvals.escalateOverdue(db)).toBe(1);
+        expect(db.state.steps[0]).toMatchObject({ approver_type: 'user', approver_value: '1', escalated_from: 'Branch manager' });
+        expect(notificationService.send).toHaveBeenCalledWith(1, expect.objectContaining({ title: 'Escalated: Salary advance' }));
+        expect(await approvals.escalateOverdue(db)).toBe(0);
+    });
+});
+
+describe('inbox', () => {
+    it('lists only the steps the caller may act on, with the module action paths', async () => {
+        const db = makeDb(DISCOUNT_CHAIN);
+        await approvals.submit({ entityType: 'painter_estimate_discount', entityId: 31, amount: 12, branchId: 2 }, db);
+        await approvals.submit({ entityType: 'salary_advance', entityId: 4, amount: 5000, branchId: 2 }, db);
+
+        const mine = await approvals.inbox(USERS[7], db);
+        expect(mine.map(i => i.entity_type)).toEqual(['painter_estimate_discount']);
+        expect(mine[0]).toMatchObject({ step: 1, total_steps: 2, approver: 'Branch manager' });
+        expect(mine[0].actions.approve).toEqual({ method: 'POST', path: '/api/painters/estimates/31/discount' });
+
+        expect(await approvals.inbox(USERS[8], db)).toEqual([]);
+        expect((await approvals.inbox(USERS[1], db)).length).toBe(2);
+    });
+});
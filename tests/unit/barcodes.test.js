@@ -0,0 +1,232 @@
+/**
+ * Barcodes — services/barcodes.js + routes/barcodes.js.
+ *
+ * Locks:
+ *   - normalizeCode strips keyboard-wedge CR/LF/tabs and rejects empty, overlong
+ *     or non-printable codes (INVALID_CODE);
+ *   - GS1 check digits (EAN-13 / UPC-A / EAN-8) and the UPC ⇄ EAN-13 variants;
+ *   - Code128: set C for even-length digit strings, set B otherwise, mod-103
+ *     checksum, STOP last;
+ *   - resolveCode order: a hand-mapped code (with its pack_qty) beats
+ *     zoho_items_map, then EAN, UPC, SKU, item id; inactive items never
+ *     resolve, hand-mapped or not; two items on the same tier are AMBIGUOUS_CODE with candidates;
+ *   - routes: /lookup 404 / 400 / 409, POST /codes refuses a code already
+ *     mapped to another item (CODE_TAKEN), labels are capped at 500.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+
+const barcodes = require('../../services/barcodes');
+const routes = require('../../routes/barcodes');
+const auditLog = require('../../services/audit-log');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const ITEMS = [
+    { zoho_item_id: '9001', zoho_item_name: 'Apex Ultima 1L', zoho_sku: 'APX-1L', zoho_rate: 540, zoho_unit: 'pcs', zoho_ean: '8901234567894', zoho_upc: null, zoho_status: 'active' },
+    { zoho_item_id: '9002', zoho_item_name: 'Apex Ultima 4L', zoho_sku: 'APX-4L', zoho_rate: 2050, zoho_unit: 'pcs', zoho_ean: null, zoho_upc: '036000291452', zoho_status: 'active' },
+    { zoho_item_id: '9003', zoho_item_name: 'Old Primer', zoho_sku: 'PRM-OLD', zoho_rate: 200, zoho_unit: 'pcs', zoho_ean: '4006381333931', zoho_upc: null, zoho_status: 'inactive' },
+];
+
+function makeDb({ items = ITEMS, mapped = [] } = {}) {
+    const calls = [];
+    return {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM item_barcodes ib JOIN zoho_items_map/.test(s)) {
+                const hit = mapped.find(m => m.is_active !== 0 && params[0].includes(m.code));
+                const item = hit && items.find(i => i.zoho_item_id === hit.zoho_item_id);
+                if (!item) return [[]];
+                if (/COALESCE\(zim\.zoho_status, 'active'\) = 'active'/.test(s) && (item.zoho_status || 'active') !== 'active') return [[]];
+                return [[{ ...item, code: hit.code, pack_qty: hit.pack_qty }]];
+            }
+            if (/FROM zoho_items_map WHERE zoho_ean IN/.test(s)) {
+                const [eans, upcs, sku, id] = params;
+                return [items.filter(i => eans.includes(i.zoho_ean) || upcs.includes(i.zoho_upc) || i.zoho_sku === sku || i.zoho_item_id === id)];
+            }
+            if (/FROM zoho_items_map WHERE zoho_item_id = \?/.test(s)) {
+                return [items.filter(i => i.zoho_item_id === params[0])];
+            }
+            if (/SELECT \* FROM item_barcodes WHERE code = \?/.test(s)) {
+                return [mapped.filter(m => m.code === params[0])];
+            }
+            if (/INSERT INTO item_barcodes/.test(s)) return [{ insertId: 77 }];
+            return [[]];
+        }
+    };
+}
+
+describe('normalizeCode', () => {
+    test('strips scanner suffixes and padding', () => {
+        expect(barcodes.normalizeCode(' 8901234567894\r\n')).toBe('8901234567894');
+        expect(barcodes.normalizeCode('APX-1L\t')).toBe('APX-1L');
+    });
+
+    test('rejects empty, overlong and non-ASCII codes', () => {
+        expect(() => barcodes.normalizeCode('\r\n')).toThrow(expect.objectContaining({ code: 'INVALID_CODE' }));
+        expect(() => barcodes.normalizeCode('9'.repeat(barcodes.MAX_CODE_LENGTH + 1))).toThrow(expect.objectContaining({ code: 'INVALID_CODE' }));
+        expect(() => barcodes.normalizeCode('APX–1L')).toThrow(expect.objectContaining({ code: 'INVALID_CODE' }));
+    });
+});
+
+describe('GTIN helpers', () => {
+    test('check digits for EAN-13, UPC-A and EAN-8', () => {
+        expect(barcodes.isValidGtin('4006381333931')).toBe(true);
+        expect(barcodes.isValidGtin('4006381333932')).toBe(false);
+        expect(barcodes.isValidGtin('036000291452')).toBe(true);
+        expect(barcodes.isValidGtin('96385074')).toBe(true);
+        expect(barcodes.isValidGtin('APX-1L')).toBe(false);
+    });
+
+    test('classifyCode and UPC ⇄ EAN-13 variants', () => {
+        expect(barcodes.classifyCode('4006381333931')).toBe('ean13');
+        expect(barcodes.classifyCode('036000291452')).toBe('upc');
+        expect(barcodes.classifyCode('96385074')).toBe('ean8');
+        expect(barcodes.classifyCode('4006381333932')).toBe('code128');
+        expect(barcodes.codeVariants('036000291452')).toEqual(['036000291452', '0036000291452']);
+        expect(barcodes.codeVariants('0036000291452')).toEqual(['0036000291452', '036000291452']);
+    });
+
+    test('labelCode prefers the SKU, else the Zoho item id', () => {
+        expect(barcodes.labelCode({ zoho_sku: 'APX-1L', zoho_item_id: '9001' })).toBe('APX-1L');
+        expect(barcodes.labelCode({ zoho_sku: null, zoho_item_id: '9001' })).toBe('9001');
+    });
+});
+
+describe('encodeCode128', () => {
+    test('even-length digits use set C', () => {
+        // START C (105) + 12, 34; checksum (105 + 12·1 + 34·2) % 103 = 82
+        expect(barcodes.encodeCode128('1234')).toEqual([105, 12, 34, 82, 106]);
+    });
+
+    test('text uses set B', () => {
+        // START B (104) + 'A' (33) + '1' (17); checksum (104 + 33 + 34) % 103 = 68
+        expect(barcodes.encodeCode128('A1')).toEqual([104, 33, 17, 68, 106]);
+        expect(barcodes.encodeCode128('123')[0]).toBe(104);
+    });
+
+    test('modules add up to 11 per symbol plus the 13-wide STOP', () => {
+        const modules = barcodes.code128Modules('APX-1L');
+        const symbols = barcodes.encodeCode128('APX-1L').length;
+        expect(modules.reduce((a, b) => a + b, 0)).toBe((symbols - 1) * 11 + 13);
+    });
+});
+
+describe('resolveCode', () => {
+    test('a hand-mapped code wins and scans its pack quantity', async () => {
+        const db = makeDb({ mapped: [{ code: '8901234567894', zoho_item_id: '9002', pack_qty: 4 }] });
+        const item = await barcodes.resolveCode(db, '8901234567894');
+        expect(item).toMatchObject({ zoho_item_id: '9002', match: 'mapped', quantity: 4, rate: 2050 });
+    });
+
+    test('EAN, UPC (via its EAN-13 form), SKU and item id fall through in order', async () => {
+        const db = makeDb();
+        expect(await barcodes.resolveCode(db, '8901234567894')).toMatchObject({ zoho_item_id: '9001', match: 'ean', quantity: 1 });
+        expect(await barcodes.resolveCode(db, '0036000291452')).toMatchObject({ zoho_item_id: '9002', match: 'upc' });
+        expect(await barcodes.resolveCode(db, 'APX-4L')).toMatchObject({ zoho_item_id: '9002', match: 'sku' });
+        expect(await barcodes.resolveCode(db, '9001')).toMatchObject({ zoho_item_id: '9001', match: 'item_id' });
+    });
+
+    test('an EAN hit beats another item whose id equals the code', async () => {
+        const items = [...ITEMS, { ...ITEMS[1], zoho_item_id: '8901234567894', zoho_upc: null }];
+        const item = await barcodes.resolveCode(makeDb({ items }), '8901234567894');
+        expect(item).toMatchObject({ zoho_item_id: '9001', match: 'ean' });
+    });
+
+    test('inactive items do not resolve', async () => {
+        expect(await barcodes.resolveCode(makeDb(), '4006381333931')).toBeNull();
+    });
+
+    test('a code hand-mapped to an inactive item does not resolve', async () => {
+        const db = makeDb({ mapped: [{ code: '5012345678900', zoho_item_id: '9003', pack_qty: 6 }] });
+        expect(await barcodes.resolveCode(db, '5012345678900')).toBeNull();
+    });
+
+    test('two items sharing an EAN are ambiguous', async () => {
+        const items = [...ITEMS, { ...ITEMS[1], zoho_item_id: '9004', zoho_ean: '8901234567894' }];
+        await expect(barcodes.resolveCode(makeDb({ items }), '8901234567894')).rejects.toMatchObject({
+            code: 'AMBIGUOUS_CODE',
+            candidates: [{ zoho_item_id: '9001', item_name: 'Apex Ultima 1L' }, { zoho_item_id: '9004', item_name: 'Apex Ultima 4L' }]
+        });
+    });
+});
+
+describe('routes/barcodes', () => {
+    const user = { id: 3, role: 'manager' };
+
+    test('GET /lookup — found, 404 and 400', async () => {
+        routes.setPool(makeDb());
+        const handler = lastHandler(findRoute('get', '/lookup'));
+
+        let res = mockRes();
+        await handler({ user, query: { code: 'APX-1L' } }, res);
+        expect(res.body).toMatchObject({ success: true, item: { zoho_item_id: '9001', match: 'sku' } });
+
+        res = mockRes();
+        await handler({ user, query: { code: 'NOPE' } }, res);
+        expect(res.statusCode).toBe(404);
+        expect(res.body.code).toBe('NOT_FOUND');
+
+        res = mockRes();
+        await handler({ user, query: { code: '\r\n' } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_CODE');
+    });
+
+    test('GET /lookup — ambiguous code is 409 with candidates', async () => {
+        routes.setPool(makeDb({ items: [...ITEMS, { ...ITEMS[1], zoho_item_id: '9004', zoho_ean: '8901234567894' }] }));
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/lookup'))({ user, query: { code: '8901234567894' } }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.candidates).toHaveLength(2);
+    });
+
+    test('POST /codes maps a new code and audits it', async () => {
+        const db = makeDb();
+        routes.setPool(db);
+        auditLog.record.mockClear();
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/codes'))({
+            user, body: { code: ' 4006381333931\n', zoho_item_id: '9001', pack_qty: 6 }
+        }, res);
+        expect(res.body).toMatchObject({ success: true, id: 77, code: '4006381333931' });
+        const insert = db.calls.find(c => /INSERT INTO item_barcodes/.test(c.sql));
+        expect(insert.params).toEqual(['4006381333931', '9001', 'ean13', 6, null, 3]);
+        expect(auditLog.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'products.barcode.map' }));
+    });
+
+    test('POST /codes refuses a code mapped to another item', async () => {
+        const db = makeDb({ mapped: [{ id: 5, code: '4006381333931', zoho_item_id: '9002', pack_qty: 1, is_active: 1 }] });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/codes'))({
+            user, body: { code: '4006381333931', zoho_item_id: '9001', pack_qty: 1 }
+        }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body).toMatchObject({ code: 'CODE_TAKEN', zoho_item_id: '9002' });
+        expect(db.calls.some(c => /INSERT INTO item_barcodes|UPDATE item_barcodes/.test(c.sql))).toBe(false);
+    });
+
+    test('POST /labels caps a run at 500 labels', async () => {
+        routes.setPool(makeDb());
+        const body = routes.labelsSchema.parse({ items: [{ zoho_item_id: '9001', copies: 300 }, { zoho_item_id: '9002', copies: 201 }] });
+        expect(body).toMatchObject({ format: 'code128', skip: 0, show_price: false });
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/labels'))({ user, body }, res);
+        expect(res.statusCode).toBe(400);
+    });
+});
@@ -119,7 +119,7 @@ function makeQuickSalePool({
             if (/SUM\(amount\)/.test(s)) {
                 return [[{ total_paid: paymentAmounts.reduce((a, b) => a + b, 0) }]];
             }
-            if (/SELECT grand_total FROM billing_invoices/.test(s)) {
+            if (/SELECT grand_total, returned_amount FROM billing_invoices/.test(s)) {
                 // grand_total as stored by the invoice INSERT (param index 9)
                 return [[{ grand_total: invoiceInsertParams ? invoiceInsertParams[9] : 0 }]];
             }
@@ -0,0 +1,225 @@
+/**
+ * Sales returns — routes/billing.js planSalesReturn + POST /invoices/:id/returns.
+ *
+ * Money path. Locks:
+ *   - planSalesReturn: per-line open quantity (sold − already returned), no
+ *     unknown/duplicate lines, pro-rata share of the invoice discount, total
+ *     capped at what the invoice still carries, and the fraction /
+ *     returnedBefore shares handed to the points engine;
+ *   - salesReturnSchema: reason code enum, 'other' needs notes, restock
+ *     defaults on;
+ *   - the handler: unpushed invoice ⇒ 400 NOT_PUSHED; an over-return rolls
+ *     back ⇒ 400 INVALID_RETURN; the happy path writes the return + lines +
+ *     returned_amount in ONE transaction, then pushes the credit note and
+ *     reverses painter points in proportion; a Zoho failure never changes
+ *     the 200 and is stamped on the return.
+ *
+ * Handler invoked directly via router stack walk (billing-quick-sale pattern).
+ */
+
+jest.mock('../../middleware/permissionMiddleware', () => ({
+    requirePermission: () => (req, res, next) => next(),
+    isFullAdmin: (role) => ['admin', 'administrator', 'super_admin'].includes(String(role || '').toLowerCase()),
+    hasRolePermission: jest.fn(async () => true),
+}));
+
+const mockPushReturn = jest.fn();
+jest.mock('../../services/billing-zoho-service', () => ({
+    setPool: jest.fn(),
+    setPointsEngine: jest.fn(),
+    pushInvoiceToZoho: jest.fn(),
+    pushSalesReturnToZoho: (...a) => mockPushReturn(...a),
+    flagOn: jest.fn(async () => false),
+    readConfigValue: jest.fn(async () => ''),
+    resolveZohoContact: jest.fn(),
+    forwardInvoicePayments: jest.fn(),
+    syncInvoicePaymentsToZoho: jest.fn(),
+    syncInvoiceApprovalState: jest.fn(),
+    retryUnpushedInvoices: jest.fn(),
+}));
+
+const billing = require('../../routes/billing');
+const { planSalesReturn, salesReturnSchema } = billing;
+
+const findRoute = (method, path) => billing.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const ITEMS = [
+    { id: 11, zoho_item_id: 'Z1', item_name: 'Emulsion 10L', quantity: 4, unit_price: 2500 },
+    { id: 12, zoho_item_id: 'Z2', item_name: 'Primer 4L', quantity: 2, unit_price: 1000 },
+];
+// subtotal 12000, discount 1200 → grand 10800
+const INVOICE = {
+    id: 5, invoice_number: 'BI-20261019-001', zoho_invoice_id: 'ZINV5', branch_id: 2,
+    customer_type: 'painter', customer_id: null, painter_id: 9, zoho_location_id: 'LOC1',
+    subtotal: 12000, discount_amount: 1200, grand_total: 10800, returned_amount: 0,
+    balance_due: 0, payment_status: 'paid',
+};
+
+describe('planSalesReturn', () => {
+    it('values a partial return net of the pro-rata discount', () => {
+        const plan = planSalesReturn(INVOICE, ITEMS, {}, [{ invoice_item_id: 11, quantity: 1 }]);
+        expect(plan.lines).toEqual([{
+            invoice_item_id: 11, zoho_item_id: 'Z1', item_name: 'Emulsion 10L',
+            quantity: 1, unit_price: 2500, line_total: 2500,
+        }]);
+        expect(plan.subtotal).toBe(2500);
+        expect(plan.discountShare).toBe(250);
+        expect(plan.total).toBe(2250);
+        expect(plan.fraction).toBeCloseTo(2250 / 10800, 6);
+        expect(plan.returnedBefore).toBe(0);
+    });
+
+    it('limits each line to what is still un-returned', () => {
+        expect(() => planSalesReturn(INVOICE, ITEMS, { 11: 3 }, [{ invoice_item_id: 11, quantity: 2 }]))
+            .toThrow(/Only 1 of Emulsion 10L/);
+        const plan = planSalesReturn({ ...INVOICE, returned_amount: 6750 }, ITEMS, { 11: 3 },
+            [{ invoice_item_id: 11, quantity: 1 }]);
+        expect(plan.returnedBefore).toBeCloseTo(6750 / 10800, 6);
+    });
+
+    it('refuses unknown and duplicate lines with INVALID_RETURN', () => {
+        let err;
+        try { planSalesReturn(INVOICE, ITEMS, {}, [{ invoice_item_id: 99, quantity: 1 }]); } catch (e) { err = e; }
+        expect(err.code).toBe('INVALID_RETURN');
+        expect(() => planSalesReturn(INVOICE, ITEMS, {}, [
+            { invoice_item_id: 12, quantity: 1 }, { invoice_item_id: 12, quantity: 1 },
+        ])).toThrow(/listed twice/);
+    });
+
+    it('caps the total at what the invoice still carries', () => {
+        const plan = planSalesReturn({ ...INVOICE, discount_amount: 0, grand_total: 12000, returned_amount: 11900 },
+            ITEMS, {}, [{ invoice_item_id: 12, quantity: 2 }]);
+        expect(plan.total).toBe(100);
+    });
+});
+
+describe('salesReturnSchema', () => {
+    it('defaults restock on and requires notes for reason "other"', () => {
+        const ok = salesReturnSchema.parse({ items: [{ invoice_item_id: 1, quantity: 1 }], reason_code: 'damaged' });
+        expect(ok.restock).toBe(true);
+        expect(salesReturnSchema.safeParse({ items: [{ invoice_item_id: 1, quantity: 1 }], reason_code: 'other' }).success).toBe(false);
+        expect(salesReturnSchema.safeParse({ items: [{ invoice_item_id: 1, quantity: 1 }], reason_code: 'bored' }).success).toBe(false);
+        expect(salesReturnSchema.safeParse({ items: [], reason_code: 'damaged' }).success).toBe(false);
+    });
+});
+
+function makeReturnPool({ invoice = INVOICE, returned = [], totalPaid = 10800 } = {}) {
+    const counters = { begins: 0, commits: 0, rollbacks: 0, releases: 0 };
+    const txCalls = [];
+    const calls = [];
+    let returnedAmount = Number(invoice ? invoice.returned_amount : 0);
+    const connection = {
+        beginTransaction: async () => { counters.begins++; },
+        commit: async () => { counters.commits++; },
+        rollback: async () => { counters.rollbacks++; },
+        release: () => { counters.releases++; },
+        execute: async (sql, params) => {
+            txCalls.push({ sql: String(sql), params });
+            if (/INSERT INTO billing_returns/.test(sql)) return [{ insertId: 77 }];
+            return [{ insertId: 1 }];
+        },
+        query: async (sql, params) => {
+            const s = String(sql);
+            txCalls.push({ sql: s, params });
+            if (/FROM billing_invoices WHERE id = \? AND deleted_at IS NULL FOR UPDATE/.test(s)) return [invoice ? [invoice] : []];
+            if (/FROM billing_invoice_items/.test(s)) return [ITEMS];
+            if (/FROM billing_return_items bri/.test(s)) return [returned];
+            if (/SET returned_amount = returned_amount \+ \?/.test(s)) { returnedAmount += params[0]; return [{ affectedRows: 1 }]; }
+            if (/SUM\(amount\)/.test(s)) return [[{ total_paid: totalPaid }]];
+            if (/SELECT grand_total, returned_amount FROM billing_invoices/.test(s)) {
+                return [[{ grand_total: invoice.grand_total, returned_amount: returnedAmount }]];
+            }
+            return [{ affectedRows: 1 }];
+        },
+    };
+    return {
+        counters, txCalls, calls,
+        getConnection: async () => connection,
+        query: async (sql, params) => { calls.push({ sql: String(sql), params }); return [[]]; },
+    };
+}
+
+describe('POST /invoices/:id/returns', () => {
+    const handler = lastHandler(findRoute('post', '/invoices/:id/returns'));
+    const reverse = jest.fn(async () => ({ claims: 1, reversed: [] }));
+    const body = (over = {}) => salesReturnSchema.parse({
+        items: [{ invoice_item_id: 11, quantity: 2 }], reason_code: 'wrong_shade', ...over,
+    });
+    const req = (over = {}) => ({
+        params: { id: '5' }, body: body(over), user: { id: 3, role: 'staff', branch_id: 2 },
+        headers: {}, ip: '127.0.0.1', get: () => '',
+    });
+
+    beforeEach(() => {
+        mockPushReturn.mockReset();
+        reverse.mockClear();
+        billing.setPointsEngine({ reverseInvoicePoints: reverse });
+    });
+
+    it('refuses an invoice that never reached Zoho', async () => {
+        const pool = makeReturnPool({ invoice: { ...INVOICE, zoho_invoice_id: null } });
+        billing.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('NOT_PUSHED');
+        expect(pool.counters.commits).toBe(0);
+        expect(pool.counters.releases).toBe(1);
+    });
+
+    it('rolls back an over-return as 400 INVALID_RETURN', async () => {
+        const pool = makeReturnPool({ returned: [{ invoice_item_id: 11, qty: 3 }] });
+        billing.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_RETURN');
+        expect(pool.counters.rollbacks).toBe(1);
+        expect(pool.txCalls.some(c => /INSERT INTO billing_returns/.test(c.sql))).toBe(false);
+        expect(mockPushReturn).not.toHaveBeenCalled();
+    });
+
+    it('records the return, pushes the credit note and reverses points in proportion', async () => {
+        mockPushReturn.mockResolvedValue({ zohoCreditNoteId: 'ZCN1', zohoCreditNoteNumber: 'CN-00001', appliedAmount: 0, warnings: [] });
+        const pool = makeReturnPool();
+        billing.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.counters).toMatchObject({ begins: 1, commits: 1, rollbacks: 0, releases: 1 });
+        expect(res.body.return).toMatchObject({ id: 77, total: 4500, discount_share: 500, reason_code: 'wrong_shade' });
+        expect(res.body.invoice).toMatchObject({ returned_amount: 4500, balance_due: 0, payment_status: 'paid' });
+        expect(res.body.refund_due).toBe(4500);
+        expect(res.body.zoho).toMatchObject({ pushed: true, zoho_creditnote_id: 'ZCN1' });
+
+        const itemInsert = pool.txCalls.find(c => /INSERT INTO billing_return_items/.test(c.sql));
+        expect(itemInsert.params).toEqual([77, 11, 'Z1', 'Emulsion 10L', 2, 2500, 5000]);
+        expect(mockPushReturn).toHaveBeenCalledWith(77, 3);
+        expect(reverse).toHaveBeenCalledWith('ZINV5', 3, expect.objectContaining({ returnedBefore: 0 }));
+        expect(reverse.mock.calls[0][2].fraction).toBeCloseTo(4500 / 10800, 6);
+    });
+
+    it('keeps the 200 and stamps the return when the credit-note push fails', async () => {
+        mockPushReturn.mockRejectedValue(new Error('Zoho down'));
+        const pool = makeReturnPool();
+        billing.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.zoho).toMatchObject({ pushed: false, error: 'Zoho down' });
+        const stamp = pool.calls.find(c => /UPDATE billing_returns SET zoho_status = 'failed'/.test(c.sql));
+        expect(stamp.params).toEqual(['Zoho down', 77]);
+        expect(reverse).toHaveBeenCalled();
+    });
+});
@@ -22,7 +22,15 @@ const mockGetInvoice = jest.fn(async () => ({ invoice: {
     invoice_id: 'ZINV1', customer_id: 'CONT1', status: 'sent', date: '2026-07-12', balance: 100000,
 } }));
 const mockGetPayments = jest.fn(async () => ({ customerpayments: [] }));
+const mockCreateCreditNote = jest.fn(async () => ({ creditnote: { creditnote_id: 'ZCN1', creditnote_number: 'CN-00001', total: 2250 } }));
+const mockApplyCreditNote = jest.fn(async () => ({}));
+const mockCreateAdjustment = jest.fn(async () => ({ inventory_adjustment: { inventory_adjustment_id: 'ADJ1' } }));
+const mockGetContact = jest.fn(async () => ({ contact: { outstanding_receivable_amount: 4000 } }));
 jest.mock('../../services/zoho-api', () => ({
+    createCreditNote: (...a) => mockCreateCreditNote(...a),
+    applyCreditNoteToInvoices: (...a) => mockApplyCreditNote(...a),
+    createInventoryAdjustment: (...a) => mockCreateAdjustment(...a),
+    getContact: (...a) => mockGetContact(...a),
     createInvoice: (...a) => mockCreateInvoice(...a),
     createContact: (...a) => mockCreateContact(...a),
     createPayment: (...a) => mockCreatePayment(...a),
@@ -520,3 +528,74 @@ describe('resolveZohoContact — painter duplicate-contact guard', () => {
         expect(pool.updates.length).toBeGreaterThan(0);
     });
 });
+
+describe('pushSalesReturnToZoho', () => {
+    const ret = {
+        id: 77, return_number: 'SR-20261019-001', invoice_id: 1, reason_code: 'damaged',
+        restock: 1, restock_location_id: 'LOC2', discount_share: 250, total: 2250, zoho_status: 'pending',
+    };
+    const invoice = { ...baseInvoice, invoice_number: 'BI-1', zoho_invoice_id: 'ZINV1', zoho_salesperson_id: 'SP1', zoho_location_id: 'LOC1' };
+
+    function returnPool(r = ret) {
+        const updates = [];
+        return {
+            updates,
+            query: async (sql, params) => {
+                const s = String(sql);
+                if (/FROM billing_returns WHERE id/.test(s)) return [[r]];
+                if (/FROM billing_invoices WHERE id/.test(s)) return [[invoice]];
+                if (/FROM billing_return_items/.test(s)) return [[{ zoho_item_id: 'Z1', quantity: 1, unit_price: 2500 }]];
+                if (/FROM zoho_customers_map/.test(s)) return [[{ zoho_contact_id: 'CONT1' }]];
+                if (/^\s*UPDATE/i.test(s)) { updates.push({ sql: s, params }); return [{ affectedRows: 1 }]; }
+                return [[]];
+            }
+        };
+    }
+
+    beforeEach(() => {
+        mockCreateCreditNote.mockClear(); mockApplyCreditNote.mockClear(); mockCreateAdjustment.mockClear();
+    });
+
+    it('creates the credit note at the restock location and applies it up to the invoice balance', async () => {
+        mockGetInvoice.mockResolvedValueOnce({ invoice: { invoice_id: 'ZINV1', balance: 1000 } });
+        const pool = returnPool();
+        svc.setPool(pool);
+        const r = await svc.pushSalesReturnToZoho(77, 3);
+
+        const payload = mockCreateCreditNote.mock.calls[0][0];
+        expect(payload).toMatchObject({
+            customer_id: 'CONT1', reference_number: 'SR-20261019-001', invoice_id: 'ZINV1',
+            location_id: 'LOC2', salesperson_id: 'SP1',
+        });
+        expect(payload.line_items).toEqual([{ item_id: 'Z1', quantity: 1, rate: 2500, location_id: 'LOC2' }]);
+        expect(payload.discount).toBeUndefined(); // discount push flag off
+        expect(mockApplyCreditNote).toHaveBeenCalledWith('ZCN1', [{ invoice_id: 'ZINV1', amount_applied: 1000 }]);
+        expect(mockCreateAdjustment).not.toHaveBeenCalled();
+        expect(r).toMatchObject({ zohoCreditNoteId: 'ZCN1', appliedAmount: 1000, warnings: [] });
+        // credit usage refreshed from the contact's Zoho receivable
+        const usage = pool.updates.find(u => /UPDATE zoho_customers_map/.test(u.sql));
+        expect(usage.params).toEqual([4000, 'CONT1']);
+        const stamp = pool.updates.find(u => /UPDATE billing_returns/.test(u.sql));
+        expect(stamp.params).toEqual(['ZCN1', 'CN-00001', 1000, 77]);
+    });
+
+    it('writes off unrestocked goods and leaves a paid invoice\'s credit open', async () => {
+        mockGetInvoice.mockResolvedValueOnce({ invoice: { invoice_id: 'ZINV1', balance: 0 } });
+        const pool = returnPool({ ...ret, restock: 0 });
+        svc.setPool(pool);
+        const r = await svc.pushSalesReturnToZoho(77, 3);
+        expect(mockApplyCreditNote).not.toHaveBeenCalled();
+        expect(mockCreateAdjustment.mock.calls[0][0]).toMatchObject({
+            location_id: 'LOC2',
+            line_items: [{ item_id: 'Z1', location_id: 'LOC2', quantity_adjusted: -1 }],
+        });
+        expect(r.writeOff).toBe('ADJ1');
+        expect(pool.updates.some(u => /zoho_customers_map/.test(u.sql))).toBe(false);
+    });
+
+    it('refuses a return already pushed', async () => {
+        svc.setPool(returnPool({ ...ret, zoho_status: 'pushed' }));
+        await expect(svc.pushSalesReturnToZoho(77, 3)).rejects.toThrow(/already pushed/);
+        expect(mockCreateCreditNote).not.toHaveBeenCalled();
+    });
+});
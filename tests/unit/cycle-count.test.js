@@ -0,0 +1,235 @@
+/**
+ * Cycle counts — services/cycle-count.js + the /api/stock-check/cycle-counts
+ * routes.
+ *
+ * Locks:
+ *   - classifyItems: A up to 80% of the sales value (the crossing item
+ *     included), B to 95%, the rest and unsold items C;
+ *   - nextDueDate: A weekly, B monthly, C quarterly from the last count;
+ *     never counted = due now;
+ *   - planCycleCounts: A first, never-counted first, most overdue first;
+ *     items on an open count are skipped; capped per staff member, the rest
+ *     deferred; round-robin across the staff on shift;
+ *   - summariseVariance: shrinkage hotspots per item, repeat offenders per
+ *     counter, monthly trend;
+ *   - runCycleCounts: skips a branch already planned today, reclassifies
+ *     stale classes, assigns only to staff on shift (not off, not on leave);
+ *   - classes route needs a branch.
+ *
+ * Handlers invoked directly via router stack walk (shifts pattern).
+ */
+
+jest.mock('../../services/notification-service', () => ({ send: jest.fn().mockResolvedValue() }));
+
+const cycle = require('../../services/cycle-count');
+const routes = require('../../routes/stock-check');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const TODAY = '2026-10-19'; // a Monday
+
+describe('classifyItems', () => {
+    test('splits by cumulative sales value; the item crossing a cutoff keeps the upper class', () => {
+        const out = cycle.classifyItems([
+            { zoho_item_id: 'c', sales_value: 10 },
+            { zoho_item_id: 'a', sales_value: 700 },
+            { zoho_item_id: 'b', sales_value: 150 },
+            { zoho_item_id: 'd', sales_value: 100 },
+            { zoho_item_id: 'e', sales_value: 40 },
+            { zoho_item_id: 'z', sales_value: 0 }
+        ]);
+        expect(out.map(r => [r.zoho_item_id, r.abc_class])).toEqual([
+            ['a', 'A'], ['b', 'A'], ['d', 'B'], ['e', 'C'], ['c', 'C'], ['z', 'C']
+        ]);
+        expect(out[1].cumulative_pct).toBe(85);
+        expect(out[5].cumulative_pct).toBe(100);
+    });
+
+    test('nothing sold: everything is C', () => {
+        const out = cycle.classifyItems([{ zoho_item_id: 'x', sales_value: 0 }, { zoho_item_id: 'y', sales_value: null }]);
+        expect(out.every(r => r.abc_class === 'C' && r.cumulative_pct === null)).toBe(true);
+    });
+});
+
+describe('nextDueDate', () => {
+    test('A weekly, B monthly, C quarterly; never counted is null', () => {
+        expect(cycle.nextDueDate('A', '2026-10-12')).toBe('2026-10-19');
+        expect(cycle.nextDueDate('B', new Date(2026, 8, 20))).toBe('2026-10-20');
+        expect(cycle.nextDueDate('C', '2026-07-20 10:15:00')).toBe('2026-10-19');
+        expect(cycle.nextDueDate('A', null)).toBeNull();
+    });
+});
+
+describe('planCycleCounts', () => {
+    const candidates = [
+        { zoho_item_id: 'c1', item_name: 'C one', abc_class: 'C', last_counted: null },
+        { zoho_item_id: 'b1', item_name: 'B one', abc_class: 'B', last_counted: '2026-09-01' },
+        { zoho_item_id: 'a1', item_name: 'A one', abc_class: 'A', last_counted: '2026-10-10' },
+        { zoho_item_id: 'a2', item_name: 'A two', abc_class: 'A', last_counted: null },
+        { zoho_item_id: 'a3', item_name: 'A three', abc_class: 'A', last_counted: '2026-10-01' },
+        { zoho_item_id: 'a4', item_name: 'A four', abc_class: 'A', last_counted: '2026-10-15' }, // not due
+        { zoho_item_id: 'a5', item_name: 'A five', abc_class: 'A', last_counted: null, on_open_count: 1 } // already out
+    ];
+
+    test('A first, never counted first, then most overdue; round-robin across staff', () => {
+        const plan = cycle.planCycleCounts(candidates, [{ id: 7 }, { id: 8 }], { today: TODAY, maxItemsPerStaff: 10 });
+        expect(plan.due).toBe(5);
+        expect(plan.deferred).toBe(0);
+        expect(plan.assignments).toEqual([
+            { staff_id: 7, items: expect.any(Array) },
+            { staff_id: 8, items: expect.any(Array) }
+        ]);
+        expect(plan.assignments[0].items.map(i => i.zoho_item_id)).toEqual(['a2', 'a1', 'c1']);
+        expect(plan.assignments[1].items.map(i => i.zoho_item_id)).toEqual(['a3', 'b1']);
+        expect(plan.assignments[1].items[0].days_overdue).toBe(11);
+    });
+
+    test('capacity caps the plan; the rest is deferred', () => {
+        const plan = cycle.planCycleCounts(candidates, [{ id: 7 }], { today: TODAY, maxItemsPerStaff: 2 });
+        expect(plan.assignments[0].items.map(i => i.zoho_item_id)).toEqual(['a2', 'a3']);
+        expect(plan.deferred).toBe(3);
+    });
+
+    test('nobody on shift: nothing assigned, everything deferred', () => {
+        const plan = cycle.planCycleCounts(candidates, [], { today: TODAY });
+        expect(plan.assignments).toEqual([]);
+        expect(plan.deferred).toBe(5);
+    });
+});
+
+describe('summariseVariance', () => {
+    const line = (over) => ({ branch_id: 1, zoho_item_id: 'i1', item_name: 'Primer', staff_id: 5, staff_name: 'Ravi', month: '2026-09', difference: 0, rate: 100, ...over });
+
+    test('flags shrinkage hotspots and repeat offenders with a monthly trend', () => {
+        const { items, counters } = cycle.summariseVariance([
+            line({ difference: -2 }),
+            line({ difference: -1, month: '2026-10' }),
+            line({ difference: -1, month: '2026-10' }),
+            line({ zoho_item_id: 'i2', item_name: 'Putty', difference: 1, staff_id: 6, staff_name: 'Anu' }),
+            line({ zoho_item_id: 'i2', item_name: 'Putty', difference: 0, staff_id: 6, staff_name: 'Anu' }),
+            line({ zoho_item_id: 'i2', item_name: 'Putty', difference: 0, staff_id: 6, staff_name: 'Anu' }),
+            line({ zoho_item_id: 'i2', item_name: 'Putty', difference: 0, staff_id: 6, staff_name: 'Anu' })
+        ]);
+
+        expect(items[0]).toMatchObject({
+            zoho_item_id: 'i1', counts: 3, variance_counts: 3, short_counts: 3,
+            net_difference: -4, shrinkage_qty: 4, shrinkage_value: 400, hotspot: true
+        });
+        expect(items[0].trend).toEqual([
+            { month: '2026-09', counts: 1, variance_counts: 1, net_difference: -2 },
+            { month: '2026-10', counts: 2, variance_counts: 2, net_difference: -2 }
+        ]);
+        expect(items[1]).toMatchObject({ zoho_item_id: 'i2', shrinkage_qty: 0, hotspot: false });
+
+        expect(counters.map(c => [c.staff_name, c.variance_rate, c.repeat_offender])).toEqual([
+            ['Ravi', 1, true],
+            ['Anu', 0.25, false]
+        ]);
+    });
+});
+
+/**
+ * One branch (1, location L1), two items classified, three staff:
+ * 10 on shift, 11 on a rostered day off, 12 on approved leave.
+ */
+function makeDb({ plannedToday = 0, classifiedAt = '2026-10-18 08:30:00' } = {}) {
+    const calls = [];
+    let insertId = 500;
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ').trim();
+            calls.push({ sql: s, params });
+            if (/FROM branches b JOIN zoho_locations_map/.test(s)) return [[{ branch_id: 1, branch_name: 'Main', zoho_location_id: 'L1' }]];
+            if (/SELECT COUNT\(\*\) AS n FROM stock_check_assignments/.test(s)) return [[{ n: plannedToday }]];
+            if (/SELECT MAX\(classified_at\) AS at FROM item_abc_classes/.test(s)) return [[{ at: classifiedAt }]];
+            if (/FROM zoho_location_stock ls LEFT JOIN \( SELECT zoho_item_id, SUM\(revenue\)/.test(s)) {
+                return [[{ zoho_item_id: 'i1', sales_value: 900, qty_sold: 9 }, { zoho_item_id: 'i2', sales_value: 100, qty_sold: 4 }]];
+            }
+            if (/FROM item_abc_classes c JOIN zoho_location_stock ls/.test(s)) {
+                return [[
+                    { zoho_item_id: 'i1', abc_class: 'A', item_name: 'Primer', sku: 'P1', stock_on_hand: 12, last_counted: null, on_open_count: 0 },
+                    { zoho_item_id: 'i2', abc_class: 'B', item_name: 'Putty', sku: 'P2', stock_on_hand: 4, last_counted: '2026-10-10', on_open_count: 0 }
+                ]];
+            }
+            if (/FROM users WHERE branch_id = \?/.test(s)) {
+                return [[{ id: 10, full_name: 'On', branch_id: 1 }, { id: 11, full_name: 'Off', branch_id: 1 }, { id: 12, full_name: 'Leave', branch_id: 1 }]];
+            }
+            if (/FROM staff_rosters WHERE user_id IN/.test(s)) return [[{ user_id: 11, roster_date: TODAY, shift_id: null, is_off: 1 }]];
+            if (/FROM staff_shift_defaults WHERE user_id IN/.test(s)) return [[]];
+            if (/FROM leave_requests/.test(s)) return [[{ user_id: 12 }]];
+            if (/^INSERT INTO stock_check_assignments/.test(s)) return [{ insertId: ++insertId }];
+            return [{ affectedRows: 1, insertId: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn()
+    });
+    return db;
+}
+
+describe('runCycleCounts', () => {
+    test('assigns due items to the one staff member actually working', async () => {
+        const db = makeDb();
+        const notify = jest.fn().mockResolvedValue();
+        const [result] = await cycle.runCycleCounts({ db, notify }, { today: TODAY, userId: 3 });
+
+        expect(result).toMatchObject({ branch_id: 1, classified: null, due: 1, deferred: 0, staff: 1, assignment_ids: [501] });
+        const ins = db.calls.find(c => /^INSERT INTO stock_check_assignments/.test(c.sql));
+        expect(ins.sql).toContain("'cycle_count'");
+        expect(ins.params).toEqual([1, 'L1', 10, TODAY, 'Cycle count — 1 A / 0 B / 0 C', 3]);
+        const items = db.calls.find(c => /^INSERT INTO stock_check_items/.test(c.sql));
+        expect(items.params[0]).toEqual([[501, 'i1', 'Primer', 'P1', 'A', 12]]);
+        expect(notify).toHaveBeenCalledWith(10, expect.objectContaining({ type: 'stock_check_assigned', data: { assignment_id: 501 } }));
+    });
+
+    test('reclassifies when the classes are a week old', async () => {
+        const db = makeDb({ classifiedAt: '2026-10-12 08:30:00' });
+        const [result] = await cycle.runCycleCounts({ db }, { today: TODAY });
+        expect(result.classified).toEqual({ A: 1, B: 1, C: 0 });
+        expect(db.calls.some(c => /^DELETE FROM item_abc_classes WHERE branch_id = \?/.test(c.sql))).toBe(true);
+        const ins = db.calls.find(c => /^INSERT INTO item_abc_classes/.test(c.sql));
+        expect(ins.params[0].map(r => [r[1], r[2]])).toEqual([['i1', 'A'], ['i2', 'B']]);
+    });
+
+    test('a branch already planned today is skipped', async () => {
+        const db = makeDb({ plannedToday: 2 });
+        const [result] = await cycle.runCycleCounts({ db }, { today: TODAY });
+        expect(result.skipped).toBe('already planned today');
+        expect(db.calls.some(c => /^INSERT INTO stock_check_assignments/.test(c.sql))).toBe(false);
+    });
+});
+
+describe('cycle-count routes', () => {
+    test('GET /cycle-counts/classes needs a branch', async () => {
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/cycle-counts/classes'))({ query: {} }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toMatch(/branch_id/);
+    });
+
+    test('GET /cycle-counts/variance summarises the window', async () => {
+        const db = {
+            query: async (sql) => (/FROM stock_check_items sci/.test(sql)
+                ? [[{ branch_id: 1, zoho_item_id: 'i1', staff_id: 5, month: '2026-10', difference: '-1.00', rate: '50' }]]
+                : [[]])
+        };
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/cycle-counts/variance'))({ query: { branch_id: '1', months: '99' } }, res);
+        expect(res.body.success).toBe(true);
+        expect(res.body.data.months).toBe(24);
+        expect(res.body.summary).toEqual({ lines: 1, hotspots: 0, repeat_offenders: 0 });
+        expect(res.body.data.items[0]).toMatchObject({ shrinkage_qty: 1, shrinkage_value: 50 });
+    });
+});
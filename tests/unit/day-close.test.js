@@ -0,0 +1,338 @@
+/**
+ * Branch day close — services/day-close.js + routes/day-close.js.
+ *
+ * Money path. Locks:
+ *   - countCash: known denominations only, whole non-negative counts;
+ *   - reconcileDay: cash/UPI from billing payments (pay-link UPI rows go to
+ *     card, not counter UPI), card from paid pay-links, ₹1 tolerance,
+ *     shortage vs excess, bank transfer/cheque informational only;
+ *   - assertDayOpen: 'pending_signoff' / 'closed' ⇒ DAY_CLOSED, 'reopened' or
+ *     no row ⇒ open;
+ *   - POST /: balanced ⇒ 'closed', a variance ⇒ 'pending_signoff', an already
+ *     locked day ⇒ 409, a re-opened day re-submits as the next revision;
+ *   - POST /:id/reopen: only a locked day, and it is audited.
+ *   - the payment writes outside billing — a kept promise, a verified pay-link
+ *     (routes/collections.js) and an estimate payment (routes/estimates.js) —
+ *     409 DAY_CLOSED on a locked day without touching the promise/link/
+ *     estimate rows.
+ *
+ * Handlers invoked directly via router stack walk (billing-quick-sale pattern).
+ */
+
+jest.mock('../../middleware/permissionMiddleware', () => ({
+    ...jest.requireActual('../../middleware/permissionMiddleware'),
+    requirePermission: () => (req, res, next) => next(),
+}));
+jest.mock('../../services/zoho-payments-service', () => ({ getPaymentLinkStatus: jest.fn() }));
+jest.mock('../../services/activity-feed', () => ({ logActivity: jest.fn().mockResolvedValue() }));
+
+const dayClose = require('../../services/day-close');
+const routes = require('../../routes/day-close');
+const auditLog = require('../../services/audit-log');
+const collections = require('../../routes/collections');
+const estimates = require('../../routes/estimates');
+const zohoPayments = require('../../services/zoho-payments-service');
+
+const findRoute = (method, path, router = routes.router) => router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const TAKINGS = {
+    payments: [
+        { payment_method: 'cash', amount: '1500.00', payment_reference: '' },
+        { payment_method: 'cash', amount: '250.50', payment_reference: '' },
+        { payment_method: 'upi', amount: '800.00', payment_reference: 'UTR123' },
+        { payment_method: 'upi', amount: '2000.00', payment_reference: 'paylink-PL1' },
+        { payment_method: 'cheque', amount: '5000.00', payment_reference: '000123' },
+        { payment_method: 'credit', amount: '999.00', payment_reference: '' },
+    ],
+    payLinks: [{ amount: '2000.00' }],
+};
+
+describe('countCash', () => {
+    it('totals the count largest note first and drops zero counts', () => {
+        const r = dayClose.countCash({ 500: 3, 10: 7, 2000: 0, 1: '4' });
+        expect(r.total).toBe(1574);
+        expect(r.lines.map(l => l.denomination)).toEqual([500, 10, 1]);
+    });
+
+    it('refuses unknown denominations and fractional counts with INVALID_COUNT', () => {
+        expect(() => dayClose.countCash({ 25: 1 })).toThrow(/Unknown denomination/);
+        let err;
+        try { dayClose.countCash({ 100: 1.5 }); } catch (e) { err = e; }
+        expect(err.code).toBe('INVALID_COUNT');
+    });
+});
+
+describe('reconcileDay', () => {
+    it('splits expected takings by tender and keeps pay-link UPI out of counter UPI', () => {
+        const r = dayClose.reconcileDay(TAKINGS, { cash: 1750.5, upi: 800, card: 2000 });
+        expect(r.expected).toEqual({ cash: 1750.5, upi: 800, card: 2000 });
+        expect(r.other).toEqual({ bank_transfer: 0, cheque: 5000 });
+        expect(r.has_variance).toBe(false);
+    });
+
+    it('flags a shortage and an excess beyond the ₹1 tolerance', () => {
+        const r = dayClose.reconcileDay(TAKINGS, { cash: 1700.5, upi: 800.75, card: 2100 });
+        expect(r.variance).toEqual({ cash: -50, upi: 0.75, card: 100 });
+        expect(r.flags).toEqual([
+            { tender: 'cash', type: 'shortage', amount: 50 },
+            { tender: 'card', type: 'excess', amount: 100 },
+        ]);
+        expect(r.has_variance).toBe(true);
+    });
+});
+
+describe('assertDayOpen', () => {
+    const db = (status) => ({ query: jest.fn(async () => [status ? [{ status }] : []]) });
+
+    it('throws DAY_CLOSED for a submitted or closed day', async () => {
+        await expect(dayClose.assertDayOpen(db('closed'), 2, '2026-10-18')).rejects.toMatchObject({ code: 'DAY_CLOSED' });
+        await expect(dayClose.assertDayOpen(db('pending_signoff'), 2, '2026-10-18')).rejects.toMatchObject({ code: 'DAY_CLOSED' });
+    });
+
+    it('lets a re-opened or never-closed day through', async () => {
+        await expect(dayClose.assertDayOpen(db('reopened'), 2, '2026-10-18')).resolves.toBeUndefined();
+        await expect(dayClose.assertDayOpen(db(null), 2, '2026-10-18')).resolves.toBeUndefined();
+    });
+
+    it('normalises a DATE value and skips when the branch is unknown', async () => {
+        const d = db(null);
+        await dayClose.assertDayOpen(d, 2, new Date('2026-10-18T00:00:00Z'));
+        expect(d.query.mock.calls[0][1]).toEqual([2, '2026-10-18']);
+        const none = db('closed');
+        await dayClose.assertDayOpen(none, null, '2026-10-18');
+        expect(none.query).not.toHaveBeenCalled();
+    });
+});
+
+function makeClosePool({ existing = null, takings = TAKINGS } = {}) {
+    const counters = { commits: 0, rollbacks: 0, releases: 0 };
+    const calls = [];
+    const dispatch = async (sql, params) => {
+        const s = String(sql);
+        calls.push({ sql: s, params });
+        if (/FROM branch_day_closes WHERE branch_id = \? AND business_date = \?/.test(s)) return [existing ? [existing] : []];
+        if (/FROM billing_payments bp/.test(s)) return [takings.payments];
+        if (/FROM payment_links pl/.test(s)) return [takings.payLinks];
+        if (/INSERT INTO branch_day_closes/.test(s)) return [{ insertId: 41 }];
+        if (/FROM branch_day_closes dc/.test(s)) return [existing ? [existing] : []];
+        return [{ affectedRows: 1 }];
+    };
+    const connection = {
+        beginTransaction: async () => {},
+        commit: async () => { counters.commits++; },
+        rollback: async () => { counters.rollbacks++; },
+        release: () => { counters.releases++; },
+        query: dispatch,
+    };
+    return { counters, calls, query: dispatch, getConnection: async () => connection };
+}
+
+describe('POST / (submit)', () => {
+    const handler = lastHandler(findRoute('post', '/'));
+    const req = (over = {}) => ({
+        body: routes.submitDayCloseSchema.parse({
+            business_date: '2026-10-18',
+            denominations: { 500: 3, 200: 1, 50: 1, 1: 0 },   // 1750
+            declared_upi: 800, declared_card: 2000, ...over,
+        }),
+        user: { id: 3, role: 'staff', branch_id: 2 },
+        headers: {}, ip: '127.0.0.1', get: () => '',
+    });
+
+    let auditSpy;
+    beforeEach(() => { auditSpy = jest.spyOn(auditLog, 'record').mockResolvedValue(); });
+    afterEach(() => auditSpy.mockRestore());
+
+    it('closes a balanced day straight away', async () => {
+        const pool = makeClosePool();
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+        expect(res.statusCode).toBe(200);
+        expect(res.body).toMatchObject({ id: 41, status: 'closed', revision: 1 });
+        const ins = pool.calls.find(c => /INSERT INTO branch_day_closes/.test(c.sql));
+        expect(ins.params[0]).toBe('closed');
+        expect(ins.params.slice(-2)).toEqual([2, '2026-10-18']);
+        expect(pool.counters).toMatchObject({ commits: 1, releases: 1 });
+    });
+
+    it('holds a short day for manager sign-off', async () => {
+        const pool = makeClosePool();
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req({ denominations: { 500: 3 } }), res);
+        expect(res.body.status).toBe('pending_signoff');
+        expect(res.body.reconcile.flags).toEqual([{ tender: 'cash', type: 'shortage', amount: 250.5 }]);
+        expect(auditSpy).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'billing.dayclose.submit' }));
+    });
+
+    it('refuses a day that is already locked', async () => {
+        const pool = makeClosePool({ existing: { id: 40, status: 'closed', revision: 1 } });
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('ALREADY_CLOSED');
+        expect(pool.counters.rollbacks).toBe(1);
+    });
+
+    it('re-submits a re-opened day as the next revision', async () => {
+        const pool = makeClosePool({ existing: { id: 40, status: 'reopened', revision: 1 } });
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req(), res);
+        expect(res.body).toMatchObject({ id: 40, status: 'closed', revision: 2 });
+        const upd = pool.calls.find(c => /UPDATE branch_day_closes SET/.test(c.sql));
+        expect(upd.params[upd.params.length - 1]).toBe(40);
+    });
+
+    it('rejects an unknown denomination before opening a transaction', async () => {
+        const pool = makeClosePool();
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req({ denominations: { 25: 2 } }), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_COUNT');
+        expect(pool.calls.length).toBe(0);
+    });
+});
+
+describe('POST /:id/reopen', () => {
+    const handler = lastHandler(findRoute('post', '/:id/reopen'));
+    const req = { params: { id: 40 }, body: { reason: 'Back-dated cheque entry' }, user: { id: 1, role: 'manager' }, headers: {}, get: () => '' };
+
+    let auditSpy;
+    beforeEach(() => { auditSpy = jest.spyOn(auditLog, 'record').mockResolvedValue(); });
+    afterEach(() => auditSpy.mockRestore());
+
+    it('re-opens a closed day and records it in the audit log', async () => {
+        const pool = makeClosePool({ existing: { id: 40, branch_id: 2, business_date: '2026-10-18', status: 'closed', revision: 1 } });
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req, res);
+        expect(res.statusCode).toBe(200);
+        expect(auditSpy).toHaveBeenCalledWith(req, expect.objectContaining({
+            action: 'billing.dayclose.reopen',
+            before: expect.objectContaining({ status: 'closed', business_date: '2026-10-18' }),
+            after: { status: 'reopened', reason: 'Back-dated cheque entry' },
+        }));
+    });
+
+    it('409s when the day is already open', async () => {
+        const pool = makeClosePool({ existing: { id: 40, status: 'reopened', revision: 1 } });
+        pool.query = async (sql) => (/UPDATE branch_day_closes/.test(sql)
+            ? [{ affectedRows: 0 }]
+            : [[{ id: 40, status: 'reopened', revision: 1 }]]);
+        routes.setPool(pool);
+        const res = mockRes();
+        await handler(req, res);
+        expect(res.statusCode).toBe(409);
+        expect(auditSpy).not.toHaveBeenCalled();
+    });
+});
+
+// 2026-10-18 and today are locked for branch 2; any other (branch, date) is open.
+function makeLockedDayPool({ status = 'closed' } = {}) {
+    const locked = ['2026-10-18', dayClose.todayBusinessDate()];
+    const calls = [];
+    const counters = { commits: 0, rollbacks: 0, releases: 0 };
+    const dispatch = async (sql, params) => {
+        const s = String(sql);
+        calls.push({ sql: s, params });
+        if (/FROM branch_day_closes WHERE branch_id = \? AND business_date = \?/.test(s)) {
+            return [params[0] === 2 && locked.includes(params[1]) ? [{ status }] : []];
+        }
+        if (/SELECT (zoho_invoice_id|\*) FROM payment_promises/.test(s)) return [[{ id: 17, zoho_invoice_id: 'ZI-1' }]];
+        if (/FROM payment_links\s+WHERE zoho_payment_link_id/.test(s)) {
+            return [[{ invoice_id: 'ZI-1', zoho_invoice_number: 'INV-1', amount: '500.00' }]];
+        }
+        if (/FROM billing_invoices WHERE zoho_invoice_id = \?/.test(s)) {
+            return [[{ id: 9, branch_id: 2, grand_total: '1000.00', returned_amount: 0 }]];
+        }
+        if (/SUM\(amount\)/.test(s)) return [[{ total_paid: '500.00' }]];
+        if (/FROM estimates WHERE id = \? FOR UPDATE/.test(s)) {
+            return [[{ id: 5, branch_id: 2, grand_total: '1000.00', payment_amount: 0, estimate_number: 'EST-5' }]];
+        }
+        return [{ affectedRows: 1 }];
+    };
+    const connection = {
+        beginTransaction: async () => {},
+        commit: async () => { counters.commits++; },
+        rollback: async () => { counters.rollbacks++; },
+        release: () => { counters.releases++; },
+        query: dispatch,
+    };
+    return { calls, counters, query: dispatch, getConnection: async () => connection };
+}
+
+const writes = (pool) => pool.calls.filter(c => /^\s*(UPDATE|INSERT)/.test(c.sql));
+
+describe('payments recorded outside billing', () => {
+    const user = { id: 3, role: 'staff', branch_id: 2, full_name: 'Cashier' };
+
+    it('refuses a kept promise dated on a closed day before updating it', async () => {
+        const pool = makeLockedDayPool();
+        collections.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/promises/:id', collections.router))({
+            params: { id: '17' },
+            body: { status: 'kept', actual_amount: 500, actual_payment_date: '2026-10-18' },
+            user,
+        }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body).toEqual(expect.objectContaining({ success: false, code: 'DAY_CLOSED' }));
+        expect(writes(pool)).toEqual([]);
+    });
+
+    it('records a kept promise dated on an open day', async () => {
+        const pool = makeLockedDayPool();
+        collections.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/promises/:id', collections.router))({
+            params: { id: '17' },
+            body: { status: 'kept', actual_amount: 500, actual_payment_date: '2026-10-17' },
+            user,
+        }, res);
+        expect(res.statusCode).toBe(200);
+        const ins = pool.calls.find(c => /INSERT INTO billing_payments/.test(c.sql));
+        expect(ins.params.slice(0, 5)).toEqual([9, 500, 'upi', 'promise-17', '2026-10-17']);
+    });
+
+    it('leaves a paid pay-link unverified while its day is locked', async () => {
+        zohoPayments.getPaymentLinkStatus.mockResolvedValue({ status: 'paid', payment_id: 'ZP-1' });
+        const pool = makeLockedDayPool({ status: 'pending_signoff' });
+        collections.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/pay-verify', collections.router))({
+            body: { link_id: 'PL1' }, user,
+        }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('DAY_CLOSED');
+        expect(writes(pool)).toEqual([]);
+    });
+
+    it('refuses an estimate payment on a closed day and rolls back', async () => {
+        const pool = makeLockedDayPool();
+        estimates.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/:id/record-payment', estimates.router))({
+            params: { id: '5' },
+            body: { amount: 400, payment_method: 'cash' },
+            user,
+        }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body).toEqual(expect.objectContaining({ success: false, code: 'DAY_CLOSED' }));
+        expect(writes(pool)).toEqual([]);
+        expect(pool.counters).toEqual({ commits: 0, rollbacks: 1, releases: 1 });
+    });
+});
@@ -0,0 +1,197 @@
+/**
+ * DPL price-change impact simulator — services/dpl-impact.js and the
+ * /items/dpl-catalog simulation routes in routes/zoho/items.js.
+ *
+ * Locks:
+ *   - only catalog rows whose DPL / rate actually move are reported, with the
+ *     % change, per-category roll-up and margin on the last purchase rate;
+ *   - open estimates, engineer custom rates (most specific rule wins) and
+ *     painter point rates on changing items are picked up;
+ *   - approve applies the chosen rows now with a stale guard, or schedules a
+ *     future effective date without touching dpl_catalog;
+ *   - the GET simulation routes are registered before /items/dpl-catalog/:brand.
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+
+const impact = require('../../services/dpl-impact');
+const { applyDplPrices } = require('../../services/dpl-catalog');
+const { router } = require('../../routes/zoho');
+
+const DPL = [
+    { product: 'Style Emulsion - White', packSize: '1L', dpl: 300 },
+    { product: 'Style Emulsion - White', packSize: '4L', dpl: 1100 },
+    { product: 'Calista Primer', packSize: '10L', dpl: 2000 }
+];
+
+// Catalog keyed like the real build: match_keys come from the same normaliser.
+function catalogFor(rows, prices) {
+    return applyDplPrices('birlaopus', rows, []).newNeedsLinking.map((n, i) => ({
+        id: i + 1,
+        match_key: n.match_key,
+        product_name: n.product_name,
+        base_name: n.base_name,
+        size_tier: n.size_tier,
+        category: i < 2 ? 'Interior Emulsion' : 'Primer',
+        zoho_item_id: `Z${i + 1}`,
+        link_status: 'confirmed',
+        current_dpl: prices[i] == null ? null : String(prices[i]),
+        current_rate: prices[i] == null ? null : String(Math.ceil(prices[i] * 1.18 * 1.10))
+    }));
+}
+
+describe('report builders', () => {
+    test('unchanged rows are left out; margin is on the last purchase rate ex-GST', () => {
+        const catalog = catalogFor(DPL, [280, 1100, null]);
+        const { updated } = applyDplPrices('birlaopus', DPL, catalog);
+        const zoho = new Map([['Z1', { zoho_item_name: 'Style White 1L', zoho_brand: 'Birla Opus', zoho_category_name: 'Interior Emulsion', last_purchase_rate: '280' }]]);
+        const { items, unchanged } = impact.buildItems(updated.map((u, i) => ({ ...u, category: catalog[i].category })), zoho);
+
+        expect(unchanged).toBe(1);
+        expect(items.map(i => [i.catalog_id, i.old_rate, i.new_rate, i.rate_change_pct])).toEqual([
+            [1, 364, 390, 7.14],
+            [3, null, 2596, null]
+        ]);
+        // 364 / 1.18 = 308.47 → 9.23 %; 390 / 1.18 = 330.51 → 15.28 %
+        expect(items[0]).toEqual(expect.objectContaining({ name: 'Style White 1L', old_margin_pct: 9.23, new_margin_pct: 15.28, margin_change_pts: 6.05 }));
+        expect(items[1]).toEqual(expect.objectContaining({ category: 'Primer', old_margin_pct: null }));
+
+        expect(impact.summarizeCategories(items)).toEqual([
+            expect.objectContaining({ category: 'Interior Emulsion', items: 1, increased: 1, rate_change_pct: 7.14 }),
+            expect.objectContaining({ category: 'Primer', items: 1, increased: 0, rate_change_pct: null })
+        ]);
+    });
+
+    const items = [
+        { catalog_id: 1, zoho_item_id: 'Z1', name: 'Style 1L', brand: 'Birla Opus', category: 'Interior Emulsion', old_rate: 364, new_rate: 390 },
+        { catalog_id: 2, zoho_item_id: 'Z2', name: 'Style 4L', brand: 'Birla Opus', category: 'Interior Emulsion', old_rate: 1428, new_rate: 1400 }
+    ];
+
+    test('estimates are valued at quoted and new rates', () => {
+        const est = impact.estimateImpact([
+            { source: 'estimate', estimate_id: 5, estimate_number: 'EST1', status: 'sent', zoho_item_id: 'Z1', quantity: '4', unit_price: '364' },
+            { source: 'estimate', estimate_id: 5, estimate_number: 'EST1', status: 'sent', zoho_item_id: 'Z2', quantity: '1', unit_price: '1428' },
+            { source: 'painter_estimate', estimate_id: 5, estimate_number: 'PE1', status: 'draft', zoho_item_id: 'Z9', quantity: '1', unit_price: '10' }
+        ], items);
+        expect(est).toEqual([expect.objectContaining({ source: 'estimate', estimate_id: 5, lines: 2, quoted_value: 2884, value_at_new_rates: 2960, change: 76 })]);
+    });
+
+    test('engineer rules: the item rule beats brand, brand beats category', () => {
+        const out = impact.engineerImpact([
+            { id: 1, engineer_id: 7, engineer_name: 'Anand', scope: 'category', target_id: 'Interior Emulsion', discount_pct: '5' },
+            { id: 2, engineer_id: 7, engineer_name: 'Anand', scope: 'item', target_id: 'Z1', zoho_item_id: 'Z1', discount_pct: '10' },
+            { id: 3, engineer_id: 8, engineer_name: 'Bala', scope: 'brand', target_id: 'Birla Opus', discount_pct: '8' }
+        ], items);
+        expect(out.map(r => [r.engineer_id, r.rule_id, r.items.map(i => [i.zoho_item_id, i.old_net, i.new_net])])).toEqual([
+            [7, 2, [['Z1', 327.6, 351]]],
+            [7, 1, [['Z2', 1356.6, 1330]]],
+            [8, 3, [['Z1', 334.88, 358.8], ['Z2', 1313.76, 1288]]]
+        ]);
+    });
+
+    test('painter rates: annual points follow the price, regular share moves', () => {
+        const out = impact.painterRateImpact([
+            { item_id: 'Z1', item_name: 'Style 1L', regular_points_per_unit: '10', annual_eligible: 1, annual_pct: '2' },
+            { item_id: 'Z2', item_name: 'Style 4L', regular_points_per_unit: '0', annual_eligible: 0, annual_pct: '1' }
+        ], items);
+        expect(out[0]).toEqual(expect.objectContaining({ regular_share_old_pct: 2.75, regular_share_new_pct: 2.56, annual_points_old: 7.28, annual_points_new: 7.8 }));
+        expect(out[1]).toEqual(expect.objectContaining({ regular_share_new_pct: null, annual_pct: 0, annual_points_new: null }));
+    });
+});
+
+function makeDb({ simulation = { id: 40, status: 'pending' }, staleIds = [] } = {}) {
+    const calls = [];
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ').trim();
+            calls.push({ sql: s, params });
+            if (/FROM zoho_items_map/.test(s)) return [[{ zoho_item_id: 'Z1', zoho_item_name: 'Style White 1L', zoho_category_name: 'Interior Emulsion', last_purchase_rate: '280' }]];
+            if (/FROM estimate_items/.test(s)) return [[{ source: 'estimate', estimate_id: 9, estimate_number: 'EST9', status: 'sent', zoho_item_id: 'Z1', quantity: '2', unit_price: '364' }]];
+            if (/FROM painter_estimate_items/.test(s)) { const e = new Error('missing'); e.code = 'ER_NO_SUCH_TABLE'; throw e; }
+            if (/FROM engineer_custom_rates/.test(s)) return [[]];
+            if (/FROM painter_product_point_rates/.test(s)) return [[]];
+            if (/^INSERT INTO dpl_price_simulations/.test(s)) return [{ insertId: 40 }];
+            if (/FROM dpl_price_simulations WHERE id = \? FOR UPDATE/.test(s)) return [simulation ? [simulation] : []];
+            if (/^SELECT id, catalog_id FROM dpl_price_simulation_items/.test(s)) return [[{ id: 1, catalog_id: 1 }, { id: 2, catalog_id: 3 }]];
+            if (/decision = 'approved'$/.test(s)) {
+                return [[{ id: 1, catalog_id: 1, old_dpl: '280.00', new_dpl: '300.00', new_rate: '390.00' }, { id: 2, catalog_id: 3, old_dpl: null, new_dpl: '2000.00', new_rate: '2596.00' }]];
+            }
+            if (/^UPDATE dpl_catalog/.test(s)) return [{ affectedRows: staleIds.includes(params[3]) ? 0 : 1 }];
+            return [{ affectedRows: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn()
+    });
+    return db;
+}
+
+describe('simulate', () => {
+    test('saves the report and one item row per change; missing tables are skipped', async () => {
+        const db = makeDb();
+        const sim = await impact.simulate(db, { brand: 'birlaopus', parsedRows: DPL, catalog: catalogFor(DPL, [280, 1100, null]) }, 3);
+
+        expect(sim).toEqual(expect.objectContaining({ id: 40, status: 'pending' }));
+        expect(sim.summary).toEqual(expect.objectContaining({ items_changed: 2, items_unchanged: 1, increased: 1, first_priced: 1, open_estimates: 1, engineer_rates: 0 }));
+        expect(sim.estimates[0]).toEqual(expect.objectContaining({ estimate_number: 'EST9', quoted_value: 728, value_at_new_rates: 780 }));
+
+        const estimates = db.calls.find(c => /FROM estimate_items/.test(c.sql));
+        expect(estimates.params).toEqual([['Z1', 'Z3'], impact.OPEN_ESTIMATE_STATUSES]);
+        const header = db.calls.find(c => /^INSERT INTO dpl_price_simulations/.test(c.sql));
+        expect(header.params.slice(0, 2)).toEqual(['birlaopus', 2]);
+        expect(header.params[4]).toBe(3);
+        const rows = db.calls.find(c => /^INSERT INTO dpl_price_simulation_items/.test(c.sql)).params[0];
+        expect(rows).toEqual([[40, 1, 'Z1', 280, 300, 364, 390], [40, 3, 'Z3', null, 2000, null, 2596]]);
+        expect(db.calls.some(c => /^UPDATE dpl_catalog/.test(c.sql))).toBe(false);
+    });
+});
+
+describe('approve', () => {
+    test('applying now writes the approved rows and marks a moved row stale', async () => {
+        const db = makeDb({ staleIds: [3] });
+        const out = await impact.approve(db, 40, { catalog_ids: [1, 3] }, { id: 3, label: 'admin' });
+
+        expect(out).toEqual(expect.objectContaining({ id: 40, status: 'applied', approved: 2, skipped: 0, applied: 1, stale: [3] }));
+        const writes = db.calls.filter(c => /^UPDATE dpl_catalog/.test(c.sql));
+        expect(writes[0].sql).toMatch(/current_dpl <=> \?/);
+        expect(writes[0].params).toEqual(['300.00', '390.00', 'admin', 1, '280.00']);
+        expect(db.calls.some(c => /SET decision = 'stale' WHERE id = \?/.test(c.sql) && c.params[0] === 2)).toBe(true);
+        expect(db.calls.some(c => /SET status = 'applied'/.test(c.sql))).toBe(true);
+    });
+
+    test('a future effective date schedules without touching the catalog', async () => {
+        const db = makeDb();
+        const out = await impact.approve(db, 40, { catalog_ids: [3], effective_date: '2099-04-01' }, { id: 3 });
+
+        expect(out).toEqual(expect.objectContaining({ status: 'scheduled', effective_date: '2099-04-01', approved: 1, skipped: 1, applied: 0 }));
+        const approved = db.calls.find(c => /SET decision = 'approved' WHERE id IN/.test(c.sql));
+        expect(approved.params).toEqual([[2]]);
+        expect(db.calls.find(c => /SET status = \?, effective_date/.test(c.sql)).params.slice(0, 2)).toEqual(['scheduled', '2099-04-01']);
+        expect(db.calls.some(c => /^UPDATE dpl_catalog/.test(c.sql))).toBe(false);
+    });
+
+    test('refusals', async () => {
+        await expect(impact.approve(makeDb(), 40, {})).rejects.toMatchObject({ code: 'NOTHING_SELECTED' });
+        await expect(impact.approve(makeDb(), 40, { all: true, effective_date: '2026-02-30' })).rejects.toMatchObject({ code: 'INVALID_EFFECTIVE_DATE' });
+        await expect(impact.approve(makeDb({ simulation: null }), 40, { all: true })).rejects.toMatchObject({ code: 'SIMULATION_NOT_FOUND' });
+        await expect(impact.approve(makeDb({ simulation: { id: 40, status: 'applied' } }), 40, { all: true }))
+            .rejects.toMatchObject({ code: 'NOT_PENDING', message: 'This simulation is already applied' });
+    });
+});
+
+describe('routes', () => {
+    const flatRoutes = (r) => r.stack.flatMap(l =>
+        l.route ? [l.route] : (l.handle && Array.isArray(l.handle.stack) ? flatRoutes(l.handle) : []));
+    const index = (method, path) => flatRoutes(router).findIndex(rt => rt.path === path && rt.methods[method]);
+
+    test('simulation routes exist and the GETs are not shadowed by /:brand', () => {
+        expect(index('post', '/items/dpl-catalog/:brand/simulate')).toBeGreaterThan(-1);
+        expect(index('post', '/items/dpl-catalog/simulations/:id/approve')).toBeGreaterThan(-1);
+        expect(index('post', '/items/dpl-catalog/simulations/:id/discard')).toBeGreaterThan(-1);
+        const brand = index('get', '/items/dpl-catalog/:brand');
+        expect(index('get', '/items/dpl-catalog/simulations')).toBeGreaterThan(-1);
+        expect(index('get', '/items/dpl-catalog/simulations')).toBeLessThan(brand);
+        expect(index('get', '/items/dpl-catalog/simulations/:id')).toBeLessThan(brand);
+    });
+});
@@ -0,0 +1,226 @@
+/**
+ * Dunning ladder — services/dunning.js + routes/dunning.js + the credit hold
+ * in routes/credit-limits.js.
+ *
+ * Locks:
+ *   - normalizeSteps: steps sorted by days, duplicate days / unknown actions /
+ *     a hold before the last rung are INVALID_LADDER, ids are kept;
+ *   - pickStep: only the highest step reached fires, and not twice a cycle;
+ *   - runLadder: a WhatsApp step is queued and logged, a live promise pauses
+ *     the customer, the credit hold step sets the hold, a ladder-placed hold
+ *     is lifted once the customer is no longer that far overdue;
+ *   - updateOutcomes: a payment in the window is paid (capped at the overdue
+ *     amount), nothing after the window is no_response;
+ *   - checkCreditBeforeInvoice: a customer on hold is refused whatever the limit;
+ *   - routes: a second active ladder for the same type is 409 LADDER_EXISTS.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+
+const dunning = require('../../services/dunning');
+const routes = require('../../routes/dunning');
+const { checkCreditBeforeInvoice } = require('../../routes/credit-limits');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const LADDER = { id: 1, name: 'Default ladder', customer_type_id: null, is_active: 1, created_by: 1 };
+const STEPS = [
+    { id: 11, ladder_id: 1, step_order: 1, days_overdue: 7, action: 'whatsapp', message_template: null, assign_to: null },
+    { id: 12, ladder_id: 1, step_order: 2, days_overdue: 15, action: 'sms', message_template: null, assign_to: null },
+    { id: 13, ladder_id: 1, step_order: 3, days_overdue: 30, action: 'call_task', message_template: null, assign_to: 5 },
+    { id: 14, ladder_id: 1, step_order: 4, days_overdue: 45, action: 'credit_hold', message_template: null, assign_to: null }
+];
+
+function overdueRow(overrides = {}) {
+    return {
+        zoho_customer_id: 'C1', customer_name: 'Ravi Traders', phone: '9876543210', branch_id: 2,
+        customer_type_id: null, credit_hold: 0, credit_hold_source: null,
+        oldest_due_date: '2026-10-09', overdue_amount: '12000', invoice_count: 2,
+        ...overrides
+    };
+}
+
+function makeDb({ overdue = [], promised = [], fired = [], held = [], open = [], paid = 0 } = {}) {
+    const calls = [];
+    return {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM dunning_ladders WHERE is_active = 1/.test(s)) return [[LADDER]];
+            if (/FROM dunning_ladder_steps WHERE ladder_id IN/.test(s)) return [STEPS];
+            if (/FROM zoho_invoices zi JOIN zoho_customers_map/.test(s)) return [overdue];
+            if (/SELECT DISTINCT zoho_customer_id FROM payment_promises/.test(s)) return [promised.map(id => ({ zoho_customer_id: id }))];
+            if (/SELECT step_id FROM dunning_actions/.test(s)) return [fired.map(id => ({ step_id: id }))];
+            if (/FROM dunning_actions WHERE status = 'done'/.test(s)) return [open];
+            if (/FROM zoho_payments WHERE zoho_customer_id/.test(s)) return [[{ total: paid }]];
+            if (/SELECT id FROM payment_promises/.test(s)) return [[]];
+            if (/WHERE zcm.credit_hold = 1/.test(s)) return [held];
+            return [{ insertId: 77, affectedRows: 1 }];
+        }
+    };
+}
+
+const deps = (db) => ({ db, sendSms: jest.fn().mockResolvedValue({}), notify: jest.fn().mockResolvedValue() });
+
+describe('ladder rules', () => {
+    test('steps are sorted and numbered, ids kept', () => {
+        const steps = dunning.normalizeSteps([
+            { id: 3, days_overdue: '30', action: 'call_task' },
+            { days_overdue: 7, action: 'whatsapp', message_template: '  ' }
+        ]);
+        expect(steps).toEqual([
+            { id: null, days_overdue: 7, action: 'whatsapp', message_template: null, assign_to: null, step_order: 1 },
+            { id: 3, days_overdue: 30, action: 'call_task', message_template: null, assign_to: null, step_order: 2 }
+        ]);
+    });
+
+    test('duplicate days, unknown actions and an early hold are refused', () => {
+        const bad = [
+            [{ days_overdue: 7, action: 'whatsapp' }, { days_overdue: 7, action: 'sms' }],
+            [{ days_overdue: 7, action: 'email' }],
+            [{ days_overdue: 30, action: 'credit_hold' }, { days_overdue: 45, action: 'sms' }],
+            []
+        ];
+        for (const steps of bad) {
+            expect(() => dunning.normalizeSteps(steps)).toThrow(expect.objectContaining({ code: 'INVALID_LADDER' }));
+        }
+    });
+
+    test('only the highest step reached fires, once', () => {
+        expect(dunning.pickStep(STEPS, 5, [])).toBeNull();
+        expect(dunning.pickStep(STEPS, 20, []).id).toBe(12);
+        expect(dunning.pickStep(STEPS, 50, []).id).toBe(14);
+        expect(dunning.pickStep(STEPS, 20, [11, 12])).toBeNull();
+    });
+
+    test('ageing bands', () => {
+        expect([0, 30, 31, 61, 90, 91].map(d => dunning.ageingBand(d).label))
+            .toEqual(['0-30', '0-30', '31-60', '61-90', '61-90', '90+']);
+    });
+});
+
+describe('runLadder', () => {
+    test('a 10-days-overdue customer gets the WhatsApp step, queued and logged', async () => {
+        const db = makeDb({ overdue: [overdueRow()] });
+        const result = await dunning.runLadder(deps(db), { today: '2026-10-19' });
+        expect(result).toMatchObject({ done: 1, failed: 0, paused: 0, customers: 1 });
+        const queued = db.calls.find(c => /INSERT INTO whatsapp_followups/.test(c.sql));
+        expect(queued.params[3]).toContain('Rs.12,000.00');
+        expect(queued.params[3]).toContain('overdue by 10 days');
+        expect(db.calls.some(c => /INSERT INTO collection_reminders/.test(c.sql))).toBe(true);
+        const action = db.calls.find(c => /INSERT IGNORE INTO dunning_actions/.test(c.sql));
+        expect(action.params.slice(0, 4)).toEqual([1, 11, 1, 'whatsapp']);
+        expect(action.params.slice(8, 13)).toEqual(['2026-10-09', 10, '0-30', 12000, 'done']);
+    });
+
+    test('a live promise-to-pay pauses the customer', async () => {
+        const db = makeDb({ overdue: [overdueRow()], promised: ['C1'] });
+        const result = await dunning.runLadder(deps(db), { today: '2026-10-19' });
+        expect(result).toMatchObject({ done: 0, paused: 1 });
+        expect(db.calls.some(c => /INSERT IGNORE INTO dunning_actions/.test(c.sql))).toBe(false);
+    });
+
+    test('a step already taken this cycle is not taken again', async () => {
+        const db = makeDb({ overdue: [overdueRow()], fired: [11] });
+        const result = await dunning.runLadder(deps(db), { today: '2026-10-19' });
+        expect(result.done).toBe(0);
+        expect(db.calls.some(c => /INSERT INTO whatsapp_followups/.test(c.sql))).toBe(false);
+    });
+
+    test('the last rung places a credit hold', async () => {
+        const db = makeDb({ overdue: [overdueRow({ oldest_due_date: '2026-08-20' })] });
+        const result = await dunning.runLadder(deps(db), { today: '2026-10-19' });
+        expect(result.done).toBe(1);
+        const hold = db.calls.find(c => /SET credit_hold = 1/.test(c.sql));
+        expect(hold.params).toEqual(['Overdue 60 days (Rs.12,000.00)', 'C1']);
+        expect(result.holds_released).toBe(0);
+    });
+
+    test('a ladder hold is lifted once the customer is back under the hold step', async () => {
+        const db = makeDb({ held: [{ zoho_contact_id: 'C9', customer_type_id: null }] });
+        const result = await dunning.runLadder(deps(db), { today: '2026-10-19' });
+        expect(result.holds_released).toBe(1);
+        const lift = db.calls.find(c => /SET credit_hold = 0/.test(c.sql));
+        expect(lift.sql).toContain("credit_hold_source = 'dunning'");
+        expect(lift.params).toEqual(['C9']);
+    });
+});
+
+describe('updateOutcomes', () => {
+    test('a payment inside the window is paid, capped at the overdue amount', async () => {
+        const db = makeDb({
+            open: [{ id: 5, zoho_customer_id: 'C1', overdue_amount: '3000', action_date: '2026-10-10', outcome: 'pending' }],
+            paid: '4500'
+        });
+        expect(await dunning.updateOutcomes(db, '2026-10-19')).toBe(1);
+        const upd = db.calls.find(c => /UPDATE dunning_actions SET outcome/.test(c.sql));
+        expect(upd.params).toEqual(['paid', 3000, 5]);
+    });
+
+    test('nothing by the end of the window is no_response; before it stays pending', async () => {
+        const open = [
+            { id: 6, zoho_customer_id: 'C1', overdue_amount: '3000', action_date: '2026-10-01', outcome: 'pending' },
+            { id: 7, zoho_customer_id: 'C2', overdue_amount: '3000', action_date: '2026-10-12', outcome: 'pending' }
+        ];
+        const db = makeDb({ open });
+        expect(await dunning.updateOutcomes(db, '2026-10-19')).toBe(1);
+        const upd = db.calls.filter(c => /UPDATE dunning_actions SET outcome/.test(c.sql));
+        expect(upd.map(c => c.params)).toEqual([['no_response', 0, 6]]);
+    });
+});
+
+describe('credit hold and routes', () => {
+    test('a customer on hold is refused credit whatever the limit', async () => {
+        const db = { query: jest.fn().mockResolvedValue([[{
+            id: 3, zoho_contact_name: 'Ravi Traders', credit_hold: 1, credit_hold_reason: 'Overdue 50 days',
+            credit_limit: '100000', zoho_outstanding: '0'
+        }]]) };
+        const result = await checkCreditBeforeInvoice(db, 'C1', 500);
+        expect(result).toMatchObject({ allowed: false, on_hold: true, available: 0 });
+        expect(result.reason).toContain('Overdue 50 days');
+        expect(db.query).toHaveBeenCalledTimes(1);
+    });
+
+    test('a second active ladder for the same customer type is 409', async () => {
+        const conn = {
+            beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn(),
+            query: jest.fn().mockResolvedValue([[{ id: 2 }]])
+        };
+        routes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/ladders'))({
+            body: { name: 'Contractors', customer_type_id: 4, is_active: true, steps: [{ days_overdue: 10, action: 'sms' }] },
+            user: { id: 1, role: 'admin' }
+        }, res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('LADDER_EXISTS');
+        expect(conn.rollback).toHaveBeenCalled();
+        expect(conn.commit).not.toHaveBeenCalled();
+    });
+
+    test('an invalid ladder is 400 before touching the database', async () => {
+        const getConnection = jest.fn();
+        routes.setPool({ getConnection });
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/ladders'))({
+            body: { name: 'Bad', is_active: true, steps: [{ days_overdue: 10, action: 'credit_hold' }, { days_overdue: 20, action: 'sms' }] },
+            user: { id: 1, role: 'admin' }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_LADDER');
+        expect(getConnection).not.toHaveBeenCalled();
+    });
+});
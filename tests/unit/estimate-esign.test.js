@@ -0,0 +1,247 @@
+/**
+ * Online estimate acceptance — services/estimate-acceptance.js,
+ * services/estimate-status.js and the public share-link routes.
+ *
+ * Locks:
+ *   - applyStatus: a customer decision (no user) approves without an
+ *     approved_by_admin_id and logs history with a null changed_by;
+ *   - accept / reject need the OTP sent to the estimate's phone; accept also
+ *     needs a typed or drawn (PNG) signature;
+ *   - accept moves the estimate to 'approved' through applyStatus, records
+ *     IP / user agent and the revision answered, and notifies the
+ *     salesperson and the link's sharer;
+ *   - request changes stores per-line comments without a status change and
+ *     refuses lines from another estimate;
+ *   - once the current revision is accepted or rejected the link takes no
+ *     further answers; revising the estimate re-opens it, and the PDF drops
+ *     an acceptance stamp that belongs to an earlier revision;
+ *   - the PDF generator stamps a drawn signature without failing.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+jest.mock('../../services/notification-service', () => ({ sendToMany: jest.fn().mockResolvedValue([]) }));
+jest.mock('../../services/sms-service', () => ({ sendSms: jest.fn() }));
+
+const { Writable } = require('stream');
+const acceptance = require('../../services/estimate-acceptance');
+const { applyStatus } = require('../../services/estimate-status');
+const { hashOtp } = require('../../services/otp-utils');
+const share = require('../../routes/share');
+const notificationService = require('../../services/notification-service');
+const smsService = require('../../services/sms-service');
+const { generateEstimatePDF } = require('../../routes/estimate-pdf-generator');
+
+const findRoute = (method, path) => share.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+function mockReq(body) {
+    return { params: { token: 'tok' }, body, ip: '203.0.113.7', get: () => 'Mozilla/5.0 test' };
+}
+
+// 1×1 transparent PNG
+const PNG = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mNkYAAAAAYAAjCB0C8AAAAASUVORK5CYII=';
+
+function makeDb({ status = 'sent', phone = '98765 43210', responses = [], otp = '123456', items = [{ id: 11 }, { id: 12 }] } = {}) {
+    const calls = [];
+    const estimate = {
+        id: 5, estimate_number: 'EST-5', status, customer_name: 'Ravi', customer_phone: phone,
+        created_by_user_id: 3, created_by: 3, current_revision: 4
+    };
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM share_tokens WHERE token = \?/.test(s)) {
+                return [[{ id: 9, token: 'tok', resource_type: 'estimate', resource_id: 5, created_by: 4 }]];
+            }
+            if (/FROM estimates WHERE id = \?/.test(s)) return [[estimate]];
+            if (/FROM estimate_acceptances WHERE estimate_id = \?/.test(s)) return [responses];
+            if (/SELECT id, otp, attempts, expires_at FROM otp_verifications/.test(s)) {
+                return [otp ? [{ id: 1, otp: hashOtp(otp), attempts: 0, expires_at: new Date(Date.now() + 60000) }] : []];
+            }
+            if (/SELECT COUNT\(\*\) as count FROM otp_verifications/.test(s)) return [[{ count: 0 }]];
+            if (/SELECT id FROM estimate_items WHERE estimate_id = \?/.test(s)) return [items];
+            return [{ insertId: 21, affectedRows: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db,
+        beginTransaction: jest.fn(),
+        commit: jest.fn(),
+        rollback: jest.fn().mockResolvedValue(),
+        release: jest.fn()
+    });
+    return db;
+}
+
+async function respond(db, body) {
+    share.setPool(db);
+    const res = mockRes();
+    await lastHandler(findRoute('post', '/public/:token/respond'))(mockReq(body), res);
+    return res;
+}
+
+beforeEach(() => jest.clearAllMocks());
+
+describe('applyStatus', () => {
+    test('customer approval leaves approved_by_admin_id alone and logs a null user', async () => {
+        const db = makeDb();
+        await applyStatus(db, { estimateId: 5, oldStatus: 'sent', status: 'approved', userId: null, reason: 'Accepted online by Ravi' });
+        const update = db.calls.find(c => /^UPDATE estimates/.test(c.sql));
+        expect(update.sql).not.toMatch(/approved_by_admin_id/);
+        expect(update.sql).toMatch(/approved_at = NOW\(\)/);
+        const history = db.calls.find(c => /INSERT INTO estimate_status_history/.test(c.sql));
+        expect(history.params).toEqual([5, 'sent', 'approved', null, 'Accepted online by Ravi', null]);
+    });
+
+    test('staff approval records the approver', async () => {
+        const db = makeDb();
+        await applyStatus(db, { estimateId: 5, oldStatus: 'sent', status: 'approved', userId: 2 });
+        const update = db.calls.find(c => /^UPDATE estimates/.test(c.sql));
+        expect(update.params).toEqual(['approved', 2, 5]);
+    });
+});
+
+describe('signatures and phones', () => {
+    test('drawn signatures must be a PNG data URL; typed fall back to the signer name', () => {
+        expect(() => acceptance.normalizeSignature({ signature_type: 'drawn', signature_image: 'data:image/svg+xml;base64,AAAA' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_RESPONSE' }));
+        expect(acceptance.normalizeSignature({ signature_type: 'typed', signer_name: 'Ravi' }))
+            .toEqual({ signature_type: 'typed', signature_text: 'Ravi', signature_image: null });
+        expect(() => acceptance.normalizeSignature({ signature_type: 'stamp' })).toThrow(/typed or drawn/);
+    });
+
+    test('customer phone is 10 digits and masked for display', () => {
+        expect(acceptance.customerPhone({ customer_phone: '+91 98765-43210' })).toBe('9876543210');
+        expect(acceptance.customerPhone({ customer_phone: '12345' })).toBeNull();
+        expect(acceptance.maskPhone('9876543210')).toBe('******3210');
+    });
+});
+
+describe('POST /public/:token/respond', () => {
+    test('accept without a valid OTP is refused and nothing is written', async () => {
+        const db = makeDb({ otp: null });
+        const res = await respond(db, { decision: 'accept', signer_name: 'Ravi', signature_type: 'typed', otp: '111111' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('OTP_INVALID');
+        expect(db.calls.some(c => /INSERT INTO estimate_acceptances/.test(c.sql))).toBe(false);
+    });
+
+    test('accept approves the estimate, stamps IP and notifies the owner and sharer', async () => {
+        const db = makeDb();
+        const res = await respond(db, { decision: 'accept', signer_name: 'Ravi', signature_type: 'drawn', signature_image: PNG, otp: '123456' });
+        expect(res.body).toEqual({ success: true, data: { acceptance_id: 21, decision: 'accepted', status: 'approved' } });
+
+        const insert = db.calls.find(c => /INSERT INTO estimate_acceptances/.test(c.sql));
+        expect(insert.params.slice(0, 9)).toEqual([5, 9, 4, 'accepted', 'Ravi', 'drawn', null, PNG, '9876543210']);
+        expect(insert.params[9]).toBeInstanceOf(Date);
+        expect(insert.params.slice(10, 12)).toEqual(['203.0.113.7', 'Mozilla/5.0 test']);
+
+        expect(db.calls.some(c => /^UPDATE estimates SET status = \?/.test(c.sql) && c.params[0] === 'approved')).toBe(true);
+        const history = db.calls.find(c => /INSERT INTO estimate_status_history/.test(c.sql));
+        expect(history.params[3]).toBeNull();
+        expect(history.params[4]).toBe('Accepted online by Ravi');
+
+        expect(notificationService.sendToMany).toHaveBeenCalledWith([3, 4], expect.objectContaining({
+            type: 'estimate_response', data: expect.objectContaining({ estimate_id: 5, decision: 'accepted' })
+        }));
+    });
+
+    test('request changes stores line comments and leaves the status alone', async () => {
+        const db = makeDb();
+        const res = await respond(db, {
+            decision: 'request_changes', signer_name: 'Ravi',
+            line_comments: [{ item_id: 11, comment: 'Make it 10 L' }, { item_id: 12, comment: '  ' }]
+        });
+        expect(res.body.data).toEqual({ acceptance_id: 21, decision: 'changes_requested', status: 'sent' });
+        const lines = db.calls.filter(c => /INSERT INTO estimate_change_requests/.test(c.sql));
+        expect(lines.map(l => l.params)).toEqual([[21, 5, 11, 'Make it 10 L']]);
+        expect(db.calls.some(c => /^UPDATE estimates/.test(c.sql))).toBe(false);
+        expect(smsService.sendSms).not.toHaveBeenCalled();
+    });
+
+    test('a comment on a line from another estimate is refused', async () => {
+        const db = makeDb();
+        const res = await respond(db, { decision: 'request_changes', signer_name: 'Ravi', line_comments: [{ item_id: 99, comment: 'x' }] });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_RESPONSE');
+    });
+
+    test('once accepted the link takes no further answers', async () => {
+        const db = makeDb({ status: 'approved', responses: [{ id: 1, decision: 'accepted', revision_no: 4, signer_name: 'Ravi' }] });
+        const res = await respond(db, { decision: 'reject', signer_name: 'Ravi', otp: '123456' });
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('NOT_RESPONDABLE');
+    });
+
+    test('an acceptance of an earlier revision does not close the revised estimate', async () => {
+        const db = makeDb({ status: 'approved', responses: [{ id: 1, decision: 'accepted', revision_no: 3, signer_name: 'Ravi' }] });
+        const res = await respond(db, { decision: 'accept', signer_name: 'Ravi', signature_type: 'typed', otp: '123456' });
+        expect(res.body.data).toEqual(expect.objectContaining({ decision: 'accepted' }));
+        const insert = db.calls.find(c => /INSERT INTO estimate_acceptances/.test(c.sql));
+        expect(insert.params[2]).toBe(4);
+    });
+});
+
+describe('acceptanceForPdf', () => {
+    const estimate = { id: 5, current_revision: 4 };
+    const dbWith = (row) => ({ query: async () => [[row]] });
+
+    test('stamps an acceptance of the revision being printed', async () => {
+        const row = { decision: 'accepted', revision_no: 4, signer_name: 'Ravi' };
+        expect(await acceptance.acceptanceForPdf(dbWith(row), estimate)).toBe(row);
+    });
+
+    test('drops the stamp once the estimate has been revised', async () => {
+        const row = { decision: 'accepted', revision_no: 3, signer_name: 'Ravi' };
+        expect(await acceptance.acceptanceForPdf(dbWith(row), estimate)).toBeNull();
+    });
+});
+
+describe('POST /public/:token/otp', () => {
+    test('sends the code to the estimate phone and returns it masked', async () => {
+        const db = makeDb();
+        share.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/public/:token/otp'))(mockReq({}), res);
+        expect(res.body.data).toEqual({ phone: '******3210' });
+        expect(smsService.sendSms).toHaveBeenCalledWith(expect.objectContaining({ number: '919876543210' }));
+        const stored = db.calls.find(c => /INSERT INTO otp_verifications/.test(c.sql));
+        expect(stored.params[2]).toBe('estimate_acceptance');
+    });
+
+    test('an estimate without a usable phone cannot be confirmed', async () => {
+        share.setPool(makeDb({ phone: '' }));
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/public/:token/otp'))(mockReq({}), res);
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('NO_PHONE');
+    });
+});
+
+test('PDF generator stamps a drawn acceptance', async () => {
+    const chunks = [];
+    const res = new Writable({ write(chunk, enc, cb) { chunks.push(chunk); cb(); } });
+    res.setHeader = jest.fn();
+    const done = new Promise(resolve => res.on('finish', resolve));
+    generateEstimatePDF(res, { estimate_number: 'EST-5', grand_total: 1000, subtotal: 1000 }, [], {}, {}, {
+        accepted: {
+            decision: 'accepted', signer_name: 'Ravi', signature_type: 'drawn', signature_image: PNG,
+            signer_phone: '9876543210', ip_address: '203.0.113.7', created_at: new Date('2026-10-19T06:30:00Z')
+        }
+    });
+    await done;
+    expect(Buffer.concat(chunks).slice(0, 5).toString()).toBe('%PDF-');
+});
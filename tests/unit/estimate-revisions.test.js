@@ -0,0 +1,193 @@
+/**
+ * Estimate revisions — services/estimate-revisions.js and the revision
+ * routes in routes/estimates.js.
+ *
+ * Locks:
+ *   - diffRevisions pairs lines by what they are, not by row id, and reports
+ *     qty / markup / discount / price changes, added and removed lines and
+ *     the header total deltas;
+ *   - snapshot numbers revisions from estimates.current_revision and keeps
+ *     DATE columns as yyyy-mm-dd;
+ *   - an estimate saved before revisions existed gets a baseline revision
+ *     before its first edit;
+ *   - PUT snapshots inside the save's transaction and returns the revision;
+ *   - revert re-inserts the revision's lines as priced and records itself as
+ *     a new revision; converted estimates and unknown revisions are refused.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+
+const revisions = require('../../services/estimate-revisions');
+const estimates = require('../../routes/estimates');
+
+const findRoute = (method, path) => estimates.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const ADMIN = { id: 1, role: 'admin', branch_id: 1 };
+
+const line = (over) => ({
+    item_type: 'product', product_id: 7, zoho_item_id: 'Z7', item_name: 'Apex Ultima', pack_size: '10 L',
+    quantity: '2.00', area: null, markup_type: null, markup_value: '0.00', discount_type: null,
+    discount_value: '0.00', final_price: '4000.00', line_total: '8000.00', display_order: 0, ...over
+});
+
+function makeDb({ estimate = {}, items = [], revisionRows = {} } = {}) {
+    const calls = [];
+    const est = {
+        id: 5, status: 'sent', branch_id: null, billing_invoice_id: null, current_revision: 2,
+        customer_name: 'Ravi', estimate_date: new Date(2026, 9, 19), valid_until: null, grand_total: '8000.00',
+        ...estimate
+    };
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/^SELECT (\*|current_revision) FROM estimates WHERE id = \?/.test(s)) return [[est]];
+            if (/^SELECT \* FROM estimate_items WHERE estimate_id = \?/.test(s)) return [items];
+            if (/FROM estimate_revisions WHERE estimate_id = \? AND revision_no = \?/.test(s)) {
+                const r = revisionRows[params[1]];
+                return [r ? [r] : []];
+            }
+            return [{ insertId: 1, affectedRows: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn()
+    });
+    return db;
+}
+
+describe('diffRevisions', () => {
+    test('reports changed fields, added and removed lines and total deltas', () => {
+        const from = {
+            revision_no: 1,
+            header: { subtotal: 9000, grand_total: 9000 },
+            items: [line(), line({ product_id: 8, item_name: 'Primer', final_price: '500.00', line_total: '1000.00' })]
+        };
+        const to = {
+            revision_no: 2,
+            header: { subtotal: 9500, grand_total: 9500 },
+            items: [
+                line({ quantity: '3.00', discount_type: 'price_pct', discount_value: '5.00', final_price: '3800.00', line_total: '11400.00' }),
+                line({ item_type: 'labor', product_id: null, zoho_item_id: null, item_name: 'Painting labour', pack_size: null })
+            ]
+        };
+        const diff = revisions.diffRevisions(from, to);
+        expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1, unchanged: 0 });
+        const changed = diff.lines.find(l => l.change === 'changed');
+        expect(changed.label).toBe('Apex Ultima (10 L)');
+        expect(changed.fields).toEqual(['quantity', 'discount_type', 'discount_value', 'final_price', 'line_total']);
+        expect(diff.lines.find(l => l.change === 'removed').label).toBe('Primer (10 L)');
+        expect(diff.totals.grand_total).toEqual({ from: 9000, to: 9500, delta: 500 });
+    });
+
+    test('numbers compare by value, and repeated lines pair in order', () => {
+        const from = { revision_no: 1, header: {}, items: [line({ quantity: '2.00' }), line({ quantity: '1.00' })] };
+        const to = { revision_no: 2, header: {}, items: [line({ quantity: 2 }), line({ quantity: '4' })] };
+        const diff = revisions.diffRevisions(from, to);
+        expect(diff.lines.map(l => l.change)).toEqual(['unchanged', 'changed']);
+        expect(diff.lines[1].from.quantity).toBe('1.00');
+    });
+});
+
+describe('snapshot / ensureBaseline', () => {
+    test('snapshot writes the next revision and moves current_revision', async () => {
+        const db = makeDb({ items: [{ id: 40, estimate_id: 5, deleted_at: null, ...line() }] });
+        const no = await revisions.snapshot(db, 5, { source: 'update', userId: 1 });
+        expect(no).toBe(3);
+        const insert = db.calls.find(c => /INSERT INTO estimate_revisions/.test(c.sql));
+        expect(insert.params.slice(0, 4)).toEqual([5, 3, 'update', null]);
+        const header = JSON.parse(insert.params[4]);
+        expect(header.estimate_date).toBe('2026-10-19');
+        const items = JSON.parse(insert.params[5]);
+        expect(items[0]).not.toHaveProperty('id');
+        expect(items[0].item_name).toBe('Apex Ultima');
+        expect(db.calls.find(c => /UPDATE estimates SET current_revision/.test(c.sql)).params).toEqual([3, 5]);
+    });
+
+    test('baseline only for estimates never snapshotted', async () => {
+        const done = makeDb();
+        await revisions.ensureBaseline(done, 5, 1);
+        expect(done.calls.some(c => /INSERT INTO estimate_revisions/.test(c.sql))).toBe(false);
+
+        const legacy = makeDb({ estimate: { current_revision: 0 } });
+        await revisions.ensureBaseline(legacy, 5, 1);
+        const insert = legacy.calls.find(c => /INSERT INTO estimate_revisions/.test(c.sql));
+        expect(insert.params.slice(1, 3)).toEqual([1, 'baseline']);
+    });
+});
+
+describe('routes', () => {
+    test('PUT snapshots the save inside its transaction', async () => {
+        const db = makeDb({ estimate: { current_revision: 0 } });
+        estimates.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/:id'))({
+            params: { id: 5 }, user: ADMIN,
+            body: { customer_name: 'Ravi', estimate_date: '2026-10-19', items: [{ base_price: 100, quantity: 2 }] }
+        }, res);
+        expect(res.body.success).toBe(true);
+        const sources = db.calls.filter(c => /INSERT INTO estimate_revisions/.test(c.sql)).map(c => c.params[2]);
+        expect(sources).toEqual(['baseline', 'update']);
+        const order = db.calls.map(c => c.sql);
+        const firstSnapshot = order.findIndex(s => /INSERT INTO estimate_revisions/.test(s));
+        expect(firstSnapshot).toBeLessThan(order.findIndex(s => /^UPDATE estimate_items SET deleted_at/.test(s)));
+    });
+
+    test('revert re-inserts the revision lines and records a new revision', async () => {
+        const stored = {
+            revision_no: 1, source: 'create', reverted_from: null,
+            header_json: JSON.stringify({ customer_name: 'Ravi', estimate_date: '2026-10-01', grand_total: 8000, show_gst_breakdown: 0 }),
+            items_json: JSON.stringify([line()])
+        };
+        const db = makeDb({ revisionRows: { 1: stored } });
+        estimates.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/:id/revisions/:rev/revert'))({ params: { id: 5, rev: '1' }, user: ADMIN }, res);
+        expect(res.body).toEqual(expect.objectContaining({ success: true, revision_no: 3 }));
+
+        const itemInsert = db.calls.find(c => /^INSERT INTO estimate_items/.test(c.sql));
+        const row = itemInsert.params[0][0];
+        expect(row[0]).toBe(5);
+        expect(row).toContain('Apex Ultima');
+        expect(row).toContain('8000.00');
+        const snap = db.calls.find(c => /INSERT INTO estimate_revisions/.test(c.sql));
+        expect(snap.params.slice(1, 4)).toEqual([3, 'revert', 1]);
+    });
+
+    test('revert is refused for converted estimates and unknown revisions', async () => {
+        estimates.setPool(makeDb({ estimate: { status: 'converted' } }));
+        let res = mockRes();
+        await lastHandler(findRoute('post', '/:id/revisions/:rev/revert'))({ params: { id: 5, rev: '1' }, user: ADMIN }, res);
+        expect(res.statusCode).toBe(409);
+
+        estimates.setPool(makeDb());
+        res = mockRes();
+        await lastHandler(findRoute('post', '/:id/revisions/:rev/revert'))({ params: { id: 5, rev: '9' }, user: ADMIN }, res);
+        expect(res.statusCode).toBe(404);
+    });
+
+    test('diff defaults to the current revision against the one before', async () => {
+        const rev = (n, qty) => ({
+            revision_no: n, header_json: JSON.stringify({ grand_total: 4000 * qty }),
+            items_json: JSON.stringify([line({ quantity: qty })])
+        });
+        estimates.setPool(makeDb({ revisionRows: { 1: rev(1, 2), 2: rev(2, 3) } }));
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/:id/revisions/diff'))({ params: { id: 5 }, query: {}, user: ADMIN }, res);
+        expect(res.body.diff).toEqual(expect.objectContaining({ from: 1, to: 2 }));
+        expect(res.body.diff.lines[0].fields).toEqual(['quantity']);
+    });
+});
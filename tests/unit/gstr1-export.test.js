@@ -0,0 +1,188 @@
+/**
+ * GSTR-1 export — services/gstr1-export.js.
+ *
+ * Locks the offline-tool JSON shape and the validation contract: rows the
+ * portal would reject (bad GSTIN, missing HSN) are left OUT of the JSON and
+ * reported as errors, never moved into another section; carried-forward
+ * invoice lines move between months' HSN summaries.
+ */
+const {
+    buildGstr1, validationCsv, gstinProblem, stateCodeForName, returnPeriod,
+    gstDate, taxAmounts, uqcFor, applyCarryToHsn, docIssueSeries,
+} = require('../../services/gstr1-export');
+
+const OWN = '33EMXPS2411G1ZT';      // Tamil Nadu
+const TRUNCATED = '33AAGCB7383J1Z'; // 14 chars
+const KA_CUSTOMER = '29AAGCB7383J1Z4'; // Karnataka, valid checksum
+const MH_CUSTOMER = '27AAPFU0939F1ZV'; // Maharashtra, valid checksum
+
+describe('gstinProblem', () => {
+    it('accepts real GSTINs (checksum verified)', () => {
+        expect(gstinProblem(OWN)).toBeNull();
+        expect(gstinProblem(KA_CUSTOMER)).toBeNull();
+        expect(gstinProblem(' 27aapfu0939f1zv ')).toBeNull();
+    });
+
+    it('names the reason for a rejection', () => {
+        expect(gstinProblem('')).toBe('blank');
+        expect(gstinProblem(TRUNCATED)).toBe('format');
+        expect(gstinProblem('99AAPFU0939F1ZV')).toBe('state_code');
+        expect(gstinProblem('33EMXPS2411G1ZA')).toBe('checksum');
+    });
+});
+
+describe('small formatters', () => {
+    it('returnPeriod / gstDate', () => {
+        expect(returnPeriod('2026-09')).toBe('092026');
+        expect(() => returnPeriod('2026-9')).toThrow();
+        expect(gstDate('2026-09-05')).toBe('05-09-2026');
+        expect(gstDate(new Date('2026-09-05T00:00:00Z'))).toBe('05-09-2026');
+    });
+
+    it('taxAmounts splits intra-state into CGST/SGST and inter-state into IGST', () => {
+        expect(taxAmounts(1000, 18, false)).toEqual({ iamt: 0, camt: 90, samt: 90, csamt: 0 });
+        expect(taxAmounts(1000, 18, true)).toEqual({ iamt: 180, camt: 0, samt: 0, csamt: 0 });
+        // odd paise stay whole: halves reconcile back to the tax
+        const t = taxAmounts(100.05, 18, false);
+        expect(t.camt + t.samt).toBeCloseTo(18.01, 2);
+    });
+
+    it('uqcFor / stateCodeForName', () => {
+        expect(uqcFor('Ltr')).toBe('LTR');
+        expect(uqcFor('pcs')).toBe('NOS');
+        expect(uqcFor('drum')).toBe('OTH');
+        expect(stateCodeForName('Tamil Nadu')).toBe('33');
+        expect(stateCodeForName(' andaman & nicobar islands ')).toBe('35');
+        expect(stateCodeForName('Atlantis')).toBeNull();
+    });
+});
+
+describe('applyCarryToHsn', () => {
+    it('removes carried-out lines and adds carried-in lines', () => {
+        const rows = [{ hsn: '3208', tax_pct: 18, qty: 10, taxable_value: 5000 }];
+        const out = applyCarryToHsn(rows,
+            [{ hsn: '3208', quantity: 2, item_total: 1000 }],
+            [{ hsn: '3214', quantity: 5, item_total: 750 }]);
+        expect(out).toEqual([
+            { hsn: '3208', tax_pct: 18, qty: 8, taxable_value: 4000 },
+            { hsn: '3214', tax_pct: null, qty: 5, taxable_value: 750 },
+        ]);
+    });
+
+    it('drops an HSN row that nets to zero', () => {
+        const out = applyCarryToHsn([{ hsn: '3208', qty: 2, taxable_value: 1000 }],
+            [{ hsn: '3208', quantity: 2, item_total: 1000 }], []);
+        expect(out).toEqual([]);
+    });
+});
+
+describe('docIssueSeries', () => {
+    it('reports each series with cancelled (void) counts', () => {
+        const docs = docIssueSeries([
+            { number: 'QCIN-000101' }, { number: 'QCIN-000103', void: true },
+            { number: 'QCIN-000102' }, { number: 'INV-9' },
+        ]);
+        expect(docs).toEqual([
+            { num: 1, from: 'QCIN-000101', to: 'QCIN-000103', totnum: 3, cancel: 1, net_issue: 2 },
+            { num: 2, from: 'INV-9', to: 'INV-9', totnum: 1, cancel: 0, net_issue: 1 },
+        ]);
+    });
+});
+
+describe('buildGstr1', () => {
+    const base = {
+        month: '2026-09',
+        supplierGstin: OWN,
+        invoices: [
+            { invoice_number: 'QCIN-1', invoice_date: '2026-09-02', total: 1180, taxable: 1000, rate_pct: 18, gstin: KA_CUSTOMER },
+            { invoice_number: 'QCIN-2', invoice_date: '2026-09-03', total: 590, taxable: 500, rate_pct: 18, gstin: '' },
+            { invoice_number: 'QCIN-3', invoice_date: '2026-09-04', total: 236, taxable: 200, rate_pct: 18, gstin: '' },
+        ],
+        creditNotes: [],
+        hsn: [{ hsn: '3209', tax_pct: 18, qty: 4, taxable_value: 1700, unit: 'ltr', description: 'Emulsion' }],
+        docs: [{ number: 'QCIN-1' }, { number: 'QCIN-2' }, { number: 'QCIN-3' }],
+    };
+
+    it('produces the offline-tool sections', () => {
+        const { gstr1, summary } = buildGstr1(base);
+        expect(gstr1.gstin).toBe(OWN);
+        expect(gstr1.fp).toBe('092026');
+        expect(gstr1.b2b).toEqual([{
+            ctin: KA_CUSTOMER,
+            inv: [{
+                inum: 'QCIN-1', idt: '02-09-2026', val: 1180, pos: '29', rchrg: 'N', inv_typ: 'R',
+                itms: [{ num: 1, itm_det: { txval: 1000, rt: 18, iamt: 180, camt: 0, samt: 0, csamt: 0 } }],
+            }],
+        }]);
+        expect(gstr1.b2cs).toEqual([
+            { sply_ty: 'INTRA', pos: '33', typ: 'OE', rt: 18, txval: 700, iamt: 0, camt: 63, samt: 63, csamt: 0 },
+        ]);
+        expect(gstr1.hsn.data[0]).toMatchObject({ num: 1, hsn_sc: '3209', uqc: 'LTR', qty: 4, txval: 1700, camt: 153, samt: 153 });
+        expect(gstr1.doc_issue.doc_det[0].docs[0]).toMatchObject({ from: 'QCIN-1', to: 'QCIN-3', totnum: 3, net_issue: 3 });
+        expect(summary).toMatchObject({ b2b_invoices: 1, b2c_invoices: 2, hsn_rows: 1, errors: 0 });
+    });
+
+    it('excludes an invalid-GSTIN invoice from b2b and reports it — never reclassifies to B2C', () => {
+        const input = { ...base, invoices: [{ ...base.invoices[0], gstin: '33EMXPS2411G1ZA' }] };
+        const { gstr1, issues } = buildGstr1(input);
+        expect(gstr1.b2b).toEqual([]);
+        expect(gstr1.b2cs).toEqual([]);
+        expect(issues).toEqual([expect.objectContaining({ severity: 'error', code: 'gstin_invalid', ref: 'QCIN-1' })]);
+    });
+
+    it('reports missing HSN as an error and leaves the row out', () => {
+        const { gstr1, issues } = buildGstr1({ ...base, hsn: [{ hsn: '(no HSN)', qty: 1, taxable_value: 99 }] });
+        expect(gstr1.hsn.data).toEqual([]);
+        expect(issues.map(i => i.code)).toContain('hsn_missing');
+    });
+
+    it('flags place-of-supply mismatches against the tax Zoho charged', () => {
+        const input = {
+            ...base,
+            invoices: [
+                { ...base.invoices[0], tax_names: ['GST18'] },                 // inter-state but CGST/SGST
+                { ...base.invoices[0], invoice_number: 'QCIN-4', gstin: MH_CUSTOMER }, // no lines cached
+                { ...base.invoices[1], branch_state: 'Kerala' },
+            ],
+        };
+        const codes = buildGstr1(input).issues.map(i => `${i.code}:${i.ref}`);
+        expect(codes).toEqual(expect.arrayContaining([
+            'pos_mismatch:QCIN-1', 'pos_inter_state:QCIN-4', 'pos_branch_state:QCIN-2',
+        ]));
+        // IGST on an inter-state invoice is fine
+        const ok = buildGstr1({ ...base, invoices: [{ ...base.invoices[0], tax_names: ['IGST18'] }] });
+        expect(ok.issues.filter(i => i.code === 'pos_mismatch')).toEqual([]);
+    });
+
+    it('puts registered credit notes in cdnr and nets unregistered ones into b2cs', () => {
+        const { gstr1 } = buildGstr1({
+            ...base,
+            creditNotes: [
+                { creditnote_number: 'CN-1', date: '2026-09-10', total: 118, rate_pct: 18, gstin: KA_CUSTOMER },
+                { creditnote_number: 'CN-2', date: '2026-09-11', total: 118, rate_pct: 18, gstin: '' },
+            ],
+        });
+        expect(gstr1.cdnr).toEqual([{
+            ctin: KA_CUSTOMER,
+            nt: [expect.objectContaining({ ntty: 'C', nt_num: 'CN-1', nt_dt: '10-09-2026', val: 118, pos: '29' })],
+        }]);
+        expect(gstr1.b2cs[0].txval).toBe(600);
+    });
+
+    it('errors when the business GSTIN is not configured', () => {
+        const { issues } = buildGstr1({ ...base, supplierGstin: '' });
+        expect(issues[0]).toMatchObject({ severity: 'error', code: 'supplier_gstin' });
+    });
+});
+
+describe('validationCsv', () => {
+    it('lists errors first and escapes commas', () => {
+        const csv = validationCsv([
+            { severity: 'info', code: 'c', section: 'b2b', ref: 'X', message: 'fine' },
+            { severity: 'error', code: 'e', section: 'hsn', ref: '', message: 'a, b' },
+        ]).split('\n');
+        expect(csv[0]).toBe('severity,code,section,reference,message');
+        expect(csv[1]).toBe('error,e,hsn,,"a, b"');
+        expect(csv[2]).toBe('info,c,b2b,X,fine');
+    });
+});
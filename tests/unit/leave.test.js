@@ -0,0 +1,223 @@
+/**
+ * Leave management — services/leave.js + routes/leave.js + the salary hook.
+ *
+ * Locks:
+ *   - expandLeaveDays: holidays are skipped, half_day_start / half_day_end
+ *     halve the first / last day, a year-crossing range is INVALID_DATES and
+ *     an all-holiday range NO_WORKING_DAYS;
+ *   - policyFor: a role's own row beats the default; carryForward caps;
+ *   - ensureBalance: a new year opens with last year's closing under the cap;
+ *   - accrueMonth: credits once per month, a role's 0-accrual row opts it out;
+ *   - checkRequest: pending days count against the balance, overlaps refused;
+ *   - approve: final approval books leave_days, marks full days on_leave and
+ *     adds the paid days to used;
+ *   - cancel: staff cannot take back a leave that has started;
+ *   - salary: unpaid leave-module days are deducted at a day's pay.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+jest.mock('../../services/notification-service', () => ({ send: jest.fn().mockResolvedValue() }));
+jest.mock('../../services/approval-workflow', () => ({
+    submitQuietly: jest.fn(),
+    decide: jest.fn(),
+    cancel: jest.fn().mockResolvedValue(),
+    DECISION_ERROR_STATUS: { NOT_APPROVER: 403 }
+}));
+
+const leave = require('../../services/leave');
+const routes = require('../../routes/leave');
+const approvals = require('../../services/approval-workflow');
+const salary = require('../../routes/salary');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const CL = { id: 1, code: 'CL', name: 'Casual leave', is_paid: 1, is_active: 1 };
+const POLICIES = [
+    { id: 1, role: null, leave_type_id: 1, monthly_accrual: '1.00', carry_forward_cap: '5.0', is_paid: 1 },
+    { id: 2, role: 'branch_manager', leave_type_id: 1, monthly_accrual: '0.00', carry_forward_cap: null, is_paid: 1 }
+];
+
+function makeDb({ balance = null, prevBalance = null, pending = 0, overlap = false, holidays = [], users = [], request = null, attendance = [] } = {}) {
+    const calls = [];
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM leave_types WHERE id = \?/.test(s)) return [[CL]];
+            if (/FROM holidays WHERE holiday_date BETWEEN/.test(s)) return [holidays.map(d => ({ holiday_date: d }))];
+            if (/FROM leave_requests WHERE user_id = \? AND status IN/.test(s)) return [overlap ? [{ id: 99 }] : []];
+            if (/FROM leave_policies lp JOIN leave_types/.test(s)) return [POLICIES];
+            if (/SELECT \* FROM leave_balances WHERE/.test(s)) {
+                const year = params[2];
+                if (prevBalance && year === prevBalance.year) return [[prevBalance]];
+                return [balance && year === balance.year ? [balance] : []];
+            }
+            if (/INSERT IGNORE INTO leave_balances/.test(s)) {
+                balance = { id: 50, user_id: params[0], leave_type_id: params[1], year: params[2], opening: params[3], accrued: 0, adjusted: 0, used: 0 };
+                return [{ affectedRows: 1 }];
+            }
+            if (/SUM\(days\)/.test(s)) return [pending ? [{ leave_type_id: 1, days: pending }] : []];
+            if (/FROM users WHERE status = 'active'/.test(s)) return [users];
+            if (/UPDATE leave_balances SET accrued/.test(s)) return [{ affectedRows: 1 }];
+            if (/FROM leave_requests lr JOIN users u/.test(s)) return [request ? [request] : []];
+            if (/FROM staff_attendance WHERE user_id/.test(s)) return [attendance];
+            return [{ insertId: 1, affectedRows: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn()
+    });
+    return db;
+}
+
+describe('leave rules', () => {
+    test('holidays are skipped and half days halve the ends', () => {
+        const days = leave.expandLeaveDays('2026-11-02', '2026-11-05', { halfDayStart: true, halfDayEnd: true }, new Set(['2026-11-03']));
+        expect(days).toEqual([
+            { date: '2026-11-02', portion: 0.5 },
+            { date: '2026-11-04', portion: 1 },
+            { date: '2026-11-05', portion: 0.5 }
+        ]);
+        expect(leave.totalDays(days)).toBe(2);
+        expect(leave.totalDays(leave.expandLeaveDays('2026-11-02', '2026-11-02', { halfDayEnd: true }))).toBe(0.5);
+    });
+
+    test('bad ranges are refused', () => {
+        expect(() => leave.expandLeaveDays('2026-12-30', '2027-01-02')).toThrow(expect.objectContaining({ code: 'INVALID_DATES' }));
+        expect(() => leave.expandLeaveDays('2026-11-05', '2026-11-02')).toThrow(expect.objectContaining({ code: 'INVALID_DATES' }));
+        expect(() => leave.expandLeaveDays('2026-11-03', '2026-11-03', {}, new Set(['2026-11-03'])))
+            .toThrow(expect.objectContaining({ code: 'NO_WORKING_DAYS' }));
+    });
+
+    test('a role\'s own policy beats the default; carry-forward is capped', () => {
+        expect(leave.policyFor(POLICIES, 'staff', 1).id).toBe(1);
+        expect(leave.policyFor(POLICIES, 'branch_manager', 1).id).toBe(2);
+        expect(leave.policyFor(POLICIES, 'staff', 2)).toBeNull();
+        expect(leave.carryForward(8.5, 5)).toBe(5);
+        expect(leave.carryForward(3, null)).toBe(3);
+        expect(leave.carryForward(-2, 5)).toBe(0);
+    });
+
+    test('a new year opens with last year\'s closing, capped', async () => {
+        const db = makeDb({ prevBalance: { id: 9, year: 2025, opening: 2, accrued: 12, adjusted: 0, used: 6 } });
+        const b = await leave.ensureBalance(db, 4, 1, 2026, POLICIES[0]);
+        expect(Number(b.opening)).toBe(5);
+    });
+});
+
+describe('accrual and requests', () => {
+    test('accrual credits each user once a month; a 0-accrual role is skipped', async () => {
+        const db = makeDb({ users: [{ id: 4, role: 'staff' }, { id: 5, role: 'branch_manager' }] });
+        const result = await leave.accrueMonth(db, '2026-10');
+        expect(result).toEqual({ users: 2, credited: 1 });
+        const upd = db.calls.find(c => /UPDATE leave_balances SET accrued/.test(c.sql));
+        expect(upd.sql).toContain('last_accrued_month < ?');
+        expect(upd.params).toEqual(['1.00', '2026-10', 50, '2026-10']);
+    });
+
+    test('pending days count against the balance', async () => {
+        const db = makeDb({ balance: { id: 50, year: 2026, opening: 0, accrued: 4, adjusted: 0, used: 1 }, pending: 2 });
+        const user = { id: 4, role: 'staff', branch_id: 2 };
+        await expect(leave.checkRequest(db, user, { leave_type_id: 1, from_date: '2026-11-02', to_date: '2026-11-03' }))
+            .rejects.toMatchObject({ code: 'INSUFFICIENT_BALANCE' });
+        const ok = await leave.checkRequest(db, user, { leave_type_id: 1, from_date: '2026-11-02', to_date: '2026-11-02' });
+        expect(ok.total).toBe(1);
+    });
+
+    test('overlapping leave is refused', async () => {
+        const db = makeDb({ overlap: true });
+        await expect(leave.checkRequest(db, { id: 4, role: 'staff' }, { leave_type_id: 1, from_date: '2026-11-02', to_date: '2026-11-02' }))
+            .rejects.toMatchObject({ code: 'LEAVE_OVERLAP' });
+    });
+});
+
+describe('routes', () => {
+    const REQUEST = {
+        id: 7, user_id: 4, branch_id: 2, leave_type_id: 1, from_date: '2026-11-02', to_date: '2026-11-03',
+        half_day_start: 0, half_day_end: 1, days: '1.5', status: 'pending', role: 'staff',
+        full_name: 'Arun', leave_type_name: 'Casual leave', is_paid: 1
+    };
+
+    test('final approval books the days, marks full days on leave and uses the balance', async () => {
+        approvals.decide.mockResolvedValue({ final: true, status: 'approved' });
+        const db = makeDb({ request: REQUEST, balance: { id: 50, year: 2026, opening: 0, accrued: 5, adjusted: 0, used: 0 } });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/requests/:id/approve'))(
+            { params: { id: '7' }, body: {}, user: { id: 1, role: 'admin' } }, res
+        );
+        expect(res.body).toMatchObject({ success: true, days: 1.5 });
+        const booked = db.calls.filter(c => /INSERT INTO leave_days/.test(c.sql)).map(c => [c.params[3], c.params[4]]);
+        expect(booked).toEqual([['2026-11-02', 1], ['2026-11-03', 0.5]]);
+        const onLeave = db.calls.filter(c => /INSERT INTO staff_attendance/.test(c.sql));
+        expect(onLeave.map(c => c.params[2])).toEqual(['2026-11-02']);
+        const used = db.calls.find(c => /UPDATE leave_balances SET used = used \+/.test(c.sql));
+        expect(used.params).toEqual([1.5, 4, 1, 2026]);
+    });
+
+    test('a chain still waiting on a later step books nothing', async () => {
+        approvals.decide.mockResolvedValue({ final: false, message: 'Approved at step 1 of 2' });
+        const db = makeDb({ request: REQUEST });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/requests/:id/approve'))(
+            { params: { id: '7' }, body: {}, user: { id: 3, role: 'branch_manager', branch_id: 2 } }, res
+        );
+        expect(res.body.pending).toBe(true);
+        expect(db.calls.some(c => /INSERT INTO leave_days/.test(c.sql))).toBe(false);
+    });
+
+    test('staff cannot cancel their own leave once it has started', async () => {
+        const db = makeDb({ request: { ...REQUEST, status: 'approved', from_date: '2026-01-05', to_date: '2026-01-06' } });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/requests/:id/cancel'))(
+            { params: { id: '7' }, body: {}, user: { id: 4, role: 'staff', branch_id: 2 } }, res
+        );
+        expect(res.statusCode).toBe(409);
+        expect(res.body.code).toBe('NOT_CANCELLABLE');
+        expect(db.calls.some(c => /DELETE FROM leave_days/.test(c.sql))).toBe(false);
+    });
+});
+
+describe('salary', () => {
+    test('unpaid leave-module days are deducted at a day\'s pay', async () => {
+        const captured = {};
+        salary.setPool({
+            query: jest.fn(async (sql, params) => {
+                if (/FROM staff_salary_config/i.test(sql)) {
+                    return [[{ branch_id: 1, monthly_salary: 26000, overtime_multiplier: '1.5', transport_allowance: 0,
+                        food_allowance: 0, other_allowance: 0, enable_late_deduction: 0, enable_absence_deduction: 1 }]];
+                }
+                if (/FROM staff_attendance/i.test(sql)) {
+                    return [[{ total_days: 3, present_days: 0, absent_days: 0, half_days: 0, leaves: 3, sundays_worked: 0,
+                        standard_hours: '0', sunday_hours: '0', overtime_hours: '0', sunday_overtime_hours: '0',
+                        approved_overtime_hours: '0', late_days: 0 }]];
+                }
+                if (/FROM attendance_permissions/i.test(sql)) return [[{ sunday_leaves: 0, weekday_leaves: 0 }]];
+                if (/FROM leave_days/i.test(sql)) return [[{ paid_sunday: '0', paid_weekday: '2.0', unpaid: '1.5' }]];
+                if (/FROM staff_incentives/i.test(sql)) return [[{ total_incentive: 0 }]];
+                if (/FROM salary_advances/i.test(sql)) return [[]];
+                if (/INSERT INTO monthly_salaries/i.test(sql)) { captured.params = params; return [{ insertId: 1 }]; }
+                return [[]];
+            })
+        });
+        await salary.calculateSalaryForUser(4, '2026-11', 1);
+        // paid_sunday_leaves / paid_weekday_leaves / excess_leaves, then leave_deduction (1.5 × 100 × 10)
+        expect(captured.params.slice(12, 15)).toEqual([0, 2, 1.5]);
+        expect(captured.params[31]).toBe(1500);
+    });
+});
@@ -0,0 +1,218 @@
+/**
+ * Room-by-room paint calculator — services/paint-calculator.js and
+ * routes/paint-calculator.js.
+ *
+ * Locks:
+ *   - wall area is perimeter × height less doors / windows; the ceiling only
+ *     counts when ticked;
+ *   - coats multiply the paint area; the surface condition adds putty and
+ *     primer coats, with a warning when the product was not chosen;
+ *   - bestPackMix covers the quantity at the lowest price (20 L + 4 L + 1 L for
+ *     25 L), prefers less overage on a price tie and handles ml packs;
+ *   - POST /estimate creates a draft estimate with one line per pack and
+ *     attaches the calculation in the same transaction; a repeated
+ *     Idempotency-Key replays the first estimate instead of making another.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+
+const calc = require('../../services/paint-calculator');
+const paintCalculator = require('../../routes/paint-calculator');
+
+const findRoute = (method, path) => paintCalculator.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const pack = (amount, price, over = {}) => ({ amount, unit: 'L', price, label: `${amount} L`, name: `Pack ${amount}`, ...over });
+const EMULSION = [pack(20, 4000), pack(10, 2100), pack(4, 900), pack(1, 250)];
+
+const catalog = new Map([
+    [1, { id: 1, name: 'Apex Emulsion', area_coverage: '100.00', packs: EMULSION }],
+    [2, { id: 2, name: 'Wall Primer', area_coverage: null, packs: [pack(10, 1500), pack(4, 650), pack(1, 180)] }],
+    [3, { id: 3, name: 'Wall Putty', area_coverage: '15.00', packs: [pack(40, 900, { unit: 'KG', label: '40 KG' }), pack(20, 480, { unit: 'KG', label: '20 KG' })] }]
+]);
+
+describe('roomAreas', () => {
+    test('walls less openings, ceiling only when included', () => {
+        const a = calc.roomAreas({
+            name: 'Hall', length_ft: 12, width_ft: 10, height_ft: 10, ceiling: true,
+            openings: [{ width_ft: 3, height_ft: 7, count: 2 }, { width_ft: 4, height_ft: 4 }]
+        });
+        expect(a).toEqual({ name: 'Hall', wall_sqft: 440, opening_sqft: 58, net_wall_sqft: 382, ceiling_sqft: 120 });
+        expect(calc.roomAreas({ length_ft: 12, width_ft: 10, height_ft: 10 }).ceiling_sqft).toBe(0);
+    });
+
+    test('bad dimensions are refused', () => {
+        expect(() => calc.roomAreas({ name: 'Hall', length_ft: -1 })).toThrow(expect.objectContaining({ code: 'INVALID_CALCULATION' }));
+        expect(() => calc.roomAreas({ name: 'Hall', height_ft: 'abc' })).toThrow(/Hall: height/);
+    });
+});
+
+describe('bestPackMix', () => {
+    test('25 L comes as 20 + 4 + 1 when that is cheapest', () => {
+        const mix = calc.bestPackMix(25, EMULSION);
+        expect(mix.packs.map(p => [p.amount, p.qty])).toEqual([[20, 1], [4, 1], [1, 1]]);
+        expect(mix).toEqual(expect.objectContaining({ supplied: 25, cost: 5150 }));
+    });
+
+    test('rounds up, and buys a bigger pack when it is cheaper than small ones', () => {
+        // 3.2 L: 4 × 1 L costs 1000, one 4 L costs 900
+        expect(calc.bestPackMix(3.2, EMULSION).packs.map(p => [p.amount, p.qty])).toEqual([[4, 1]]);
+    });
+
+    test('on a price tie takes less overage, then fewer packs; ml packs work', () => {
+        const packs = [pack(1, 200), pack(0.5, 100), pack(0.2, 40)];
+        expect(calc.bestPackMix(1.2, packs)).toEqual(expect.objectContaining({ supplied: 1.2, cost: 240 }));
+        expect(calc.bestPackMix(1.2, packs).packs.map(p => [p.amount, p.qty])).toEqual([[1, 1], [0.2, 1]]);
+        expect(calc.packAmount('500', 'ml')).toEqual({ amount: 0.5, unit: 'L' });
+        expect(calc.packAmount('20 Kg', null)).toEqual({ amount: 20, unit: 'KG' });
+    });
+
+    test('no packs is an error', () => {
+        expect(() => calc.bestPackMix(5, [])).toThrow(expect.objectContaining({ code: 'NO_PACKS' }));
+    });
+});
+
+describe('calculate', () => {
+    const room = { name: 'Bed 1', length_ft: 12, width_ft: 10, height_ft: 10, ceiling: true };
+
+    test('coats multiply paint area; ceiling in the wall paint folds into one line', () => {
+        const r = calc.calculate({ paint_product_id: 1, coats: 2, rooms: [room] }, catalog);
+        expect(r.requirements).toHaveLength(1);
+        const paint = r.requirements[0];
+        expect(paint.roles).toEqual(['paint', 'ceiling']);
+        expect(paint.coat_area_sqft).toBe(1120);       // (440 + 120) × 2
+        expect(paint.quantity).toBe(11.2);             // ÷ 100 sqft/L
+        expect(paint.packs.map(p => [p.amount, p.qty])).toEqual([[10, 1], [1, 2]]);
+        expect(r.warnings).toEqual([]);
+    });
+
+    test('new plaster adds putty and primer; missing putty only warns', () => {
+        const r = calc.calculate({ paint_product_id: 1, primer_product_id: 2, coats: 2, rooms: [{ ...room, condition: 'new' }] }, catalog);
+        const primer = r.requirements.find(q => q.product_id === 2);
+        expect(primer.coverage).toBe(calc.DEFAULT_COVERAGE);
+        expect(primer.coat_area_sqft).toBe(560);
+        expect(r.warnings).toEqual(['Putty is needed for some rooms but none was chosen']);
+
+        const withPutty = calc.calculate({ paint_product_id: 1, primer_product_id: 2, putty_product_id: 3, rooms: [{ ...room, condition: 'new' }] }, catalog);
+        const putty = withPutty.requirements.find(q => q.product_id === 3);
+        expect(putty).toEqual(expect.objectContaining({ unit: 'KG', coat_area_sqft: 1120, quantity: 74.67 }));
+        expect(putty.packs.map(p => [p.amount, p.qty])).toEqual([[40, 2]]);
+    });
+
+    test('wastage and per-room coats', () => {
+        const r = calc.calculate({ paint_product_id: 1, wastage_pct: 10, rooms: [{ ...room, ceiling: false, coats: 3 }] }, catalog);
+        expect(r.requirements[0].quantity).toBe(14.52);   // 440 × 3 ÷ 100 × 1.1
+    });
+
+    test('unknown product and condition are refused', () => {
+        expect(() => calc.calculate({ paint_product_id: 9, rooms: [room] }, catalog)).toThrow(expect.objectContaining({ code: 'PRODUCT_NOT_FOUND' }));
+        expect(() => calc.calculate({ paint_product_id: 1, rooms: [{ ...room, condition: 'wet' }] }, catalog)).toThrow(/surface condition/);
+        expect(() => calc.calculate({ rooms: [room] }, catalog)).toThrow(/Choose the paint/);
+    });
+});
+
+describe('POST /estimate', () => {
+    function makeDb() {
+        const calls = [];
+        const db = {
+            calls,
+            query: async (sql, params = []) => {
+                const s = String(sql).replace(/\s+/g, ' ');
+                calls.push({ sql: s, params });
+                if (/FROM products p/.test(s)) return [[{ id: 1, name: 'Apex Emulsion', area_coverage: '100.00', brand: 'Asian Paints', category: 'Emulsion' }]];
+                if (/FROM pack_sizes ps/.test(s)) {
+                    return [[
+                        { id: 11, product_id: 1, size: '20', unit: 'L', base_price: '4000.00', zoho_item_id: 'Z20', zoho_item_name: 'Apex 20L', zoho_rate: null },
+                        { id: 12, product_id: 1, size: '4', unit: 'L', base_price: '900.00', zoho_item_id: 'Z4', zoho_item_name: 'Apex 4L', zoho_rate: '880.00' },
+                        { id: 13, product_id: 1, size: '1', unit: 'L', base_price: '250.00', zoho_item_id: null, zoho_item_name: null, zoho_rate: null }
+                    ]];
+                }
+                if (/^SELECT estimate_number FROM estimates/.test(s)) return [[]];
+                if (/^SELECT \* FROM estimates WHERE id = \?/.test(s)) return [[{ id: 70, current_revision: 0, grand_total: '0' }]];
+                if (/^SELECT \* FROM estimate_items/.test(s)) return [[]];
+                return [{ insertId: 70, affectedRows: 1 }];
+            }
+        };
+        db.getConnection = async () => ({
+            ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn()
+        });
+        return db;
+    }
+
+    test('creates a draft with one line per pack and attaches the calculation', async () => {
+        const db = makeDb();
+        paintCalculator.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/estimate'))({
+            user: { id: 4, role: 'staff', branch_id: 2 },
+            body: {
+                customer_name: 'Ravi', customer_phone: '9876543210', paint_product_id: 1, coats: 2,
+                rooms: [{ name: 'Hall', length_ft: 15, width_ft: 10, height_ft: 10, openings: [{ width_ft: 3, height_ft: 7 }] }]
+            }
+        }, res);
+
+        // (500 − 21) × 2 = 958 sqft ÷ 100 = 9.58 L → 4 L × 2 + 1 L × 2 (1760 + 500) beats 20 L
+        expect(res.body.success).toBe(true);
+        expect(res.body.data).toEqual(expect.objectContaining({ id: 70, estimate_number: expect.stringMatching(/^EST\d{8}0001$/) }));
+
+        const header = db.calls.find(c => /^INSERT INTO estimates/.test(c.sql));
+        expect(header.params[1]).toBe('Ravi');
+        expect(header.params[6]).toBe(2);             // staff → own branch
+        expect(header.params[18]).toBe('draft');
+
+        const rows = db.calls.find(c => /^INSERT INTO estimate_items/.test(c.sql)).params[0];
+        expect(rows.map(r => [r[4], r[13]])).toEqual([['Apex 4L', 2], ['Apex Emulsion 1L', 2]]);
+        expect(rows[0][3]).toBe('Z4');
+        expect(rows[0][14]).toBe(479);                // area on the first line
+        expect(rows[0][17]).toBe(880);                // Zoho rate wins over base_price
+
+        const saved = db.calls.find(c => /INSERT INTO estimate_calculations/.test(c.sql));
+        expect(saved.params[0]).toBe(70);
+        expect(JSON.parse(saved.params[2]).requirements[0].quantity).toBe(9.58);
+        expect(db.calls.some(c => /INSERT INTO estimate_revisions/.test(c.sql))).toBe(true);
+    });
+
+    test('bad input is a 400 and nothing is written', async () => {
+        const db = makeDb();
+        paintCalculator.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/estimate'))({
+            user: { id: 4, role: 'staff', branch_id: 2 },
+            body: { customer_name: 'Ravi', paint_product_id: 1, rooms: [] }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_CALCULATION');
+        expect(db.calls.some(c => /^INSERT/.test(c.sql))).toBe(false);
+    });
+
+    test('a repeated Idempotency-Key replays the first estimate', async () => {
+        const db = makeDb();
+        const lookups = [];
+        db.query = async (sql, params) => {
+            lookups.push(String(sql));
+            return [[{ response_status: 200, response_body: JSON.stringify({ success: true, data: { id: 70 } }) }]];
+        };
+        paintCalculator.setPool(db);
+        const route = findRoute('post', '/estimate');
+        const res = mockRes();
+        res.setHeader = jest.fn();
+        const next = jest.fn();
+        await route.stack[route.stack.length - 2].handle({ headers: { 'idempotency-key': 'calc-1' }, user: { id: 4 }, body: {} }, res, next);
+
+        expect(next).not.toHaveBeenCalled();
+        expect(res.body).toEqual({ success: true, data: { id: 70 } });
+        expect(res.setHeader).toHaveBeenCalledWith('Idempotent-Replay', 'true');
+        expect(lookups[0]).toMatch(/FROM idempotency_records/);
+    });
+});
@@ -0,0 +1,301 @@
+/**
+ * Rule-based painter campaigns (services/painter-campaigns.js, the invoice
+ * line capture in processInvoice, the hourly runCampaignProgress job and the
+ * /admin/campaigns routes).
+ *
+ * Locks:
+ *   - normaliseCampaign: the "3 × Birla Opus emulsion 20L" shape, invoice
+ *     filters kept only on invoice metrics, bad definitions are
+ *     INVALID_CAMPAIGN;
+ *   - evaluateProgress: 'all' needs every condition, 'any' one; percentages;
+ *   - conditionValues: brand / category / item-name filters reach the SQL;
+ *   - syncCampaign: painters outside the targeted branches get no progress;
+ *   - awardCompletion: pays once via the claimed flip, undoes the flip when the
+ *     award fails;
+ *   - campaignResults: cost per participating painter from the ledger;
+ *   - processInvoice keeps the line items against the claim row;
+ *   - runCampaignProgress: completions are paid and the painter notified;
+ *   - POST /admin/campaigns refuses a bad definition with a 400.
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+jest.mock('../../services/painter-notification-service', () => ({
+    sendToPainter: jest.fn().mockResolvedValue({}),
+    sendWhatsApp: jest.fn().mockResolvedValue(true),
+    sendToAll: jest.fn(),
+    getRetentionNotification: jest.fn()
+}));
+jest.mock('../../services/painter-attendance-service', () => ({ setPool: jest.fn() }));
+
+const campaigns = require('../../services/painter-campaigns');
+const engine = require('../../services/painter-points-engine');
+const scheduler = require('../../services/painter-scheduler');
+const notifications = require('../../services/painter-notification-service');
+const adminRoutes = require('../../routes/painters/admin');
+
+const findRoute = (router, method, path) => router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const fails = (fn) => {
+    try { fn(); } catch (e) { return e; }
+    return null;
+};
+
+const OPUS = {
+    title: 'November Opus push', reward_points: '500', start_date: '2026-11-01', end_date: '2026-11-30',
+    rules: [{ metric: 'invoice_qty', target: '3', brand: 'Birla Opus', category: 'Emulsion', item_name: '20L' }]
+};
+
+const CAMPAIGN = {
+    id: 12, title: 'November Opus push', reward_points: '500.00', start_date: '2026-11-01', end_date: '2026-11-30',
+    match_mode: 'all', branch_ids: null, auto_award: 1, is_active: 1,
+    rules: JSON.stringify([
+        { metric: 'invoice_qty', target: 3, brand: 'Birla Opus' },
+        { metric: 'attendance_checkins', target: 5 }
+    ])
+};
+
+describe('normaliseCampaign', () => {
+    it('stores the conditions and defaults to all-branches auto-award', () => {
+        const c = campaigns.normaliseCampaign(OPUS);
+        expect(c).toMatchObject({
+            title: 'November Opus push', reward_points: 500, target_value: 100, match_mode: 'all',
+            branch_ids: null, auto_award: 1, challenge_type: 'campaign'
+        });
+        expect(JSON.parse(c.rules)).toEqual([
+            { metric: 'invoice_qty', target: 3, brand: 'Birla Opus', category: 'Emulsion', item_name: '20L' }
+        ]);
+    });
+
+    it('keeps invoice filters off other metrics and dedupes branches', () => {
+        const c = campaigns.normaliseCampaign({
+            ...OPUS, branch_ids: ['2', 2, 'x', 5], auto_award: false,
+            rules: [{ metric: 'referrals', target: 2, brand: 'Birla Opus' }]
+        });
+        expect(JSON.parse(c.rules)).toEqual([{ metric: 'referrals', target: 2 }]);
+        expect(c.branch_ids).toBe('[2,5]');
+        expect(c.auto_award).toBe(0);
+    });
+
+    it('refuses bad definitions', () => {
+        expect(fails(() => campaigns.normaliseCampaign({ ...OPUS, title: ' ' })).code).toBe('INVALID_CAMPAIGN');
+        expect(fails(() => campaigns.normaliseCampaign({ ...OPUS, rules: [] })).message).toMatch(/at least one condition/);
+        expect(fails(() => campaigns.normaliseCampaign({ ...OPUS, rules: [{ metric: 'likes', target: 1 }] })).message).toMatch(/unknown metric/);
+        expect(fails(() => campaigns.normaliseCampaign({ ...OPUS, rules: [{ metric: 'referrals', target: 0 }] })).message).toMatch(/greater than 0/);
+        expect(fails(() => campaigns.normaliseCampaign({ ...OPUS, end_date: '2026-10-01' })).message).toMatch(/before the start/);
+        expect(fails(() => campaigns.normaliseCampaign({ ...OPUS, match_mode: 'most' })).message).toMatch(/all or any/);
+    });
+});
+
+describe('evaluateProgress', () => {
+    const rules = JSON.parse(CAMPAIGN.rules);
+
+    it("needs every condition under 'all'", () => {
+        const p = campaigns.evaluateProgress(rules, [3, 2], 'all');
+        expect(p.completed).toBe(false);
+        expect(p.pct).toBe(70); // (100 + 40) / 2
+        expect(p.conditions.map(c => c.met)).toEqual([true, false]);
+        expect(p.conditions[0].label).toBe('Buy 3 units of Birla Opus');
+        expect(campaigns.evaluateProgress(rules, [4, 5], 'all')).toMatchObject({ completed: true, pct: 100 });
+    });
+
+    it("needs one condition under 'any'", () => {
+        expect(campaigns.evaluateProgress(rules, [1, 5], 'any')).toMatchObject({ completed: true, pct: 100 });
+        expect(campaigns.evaluateProgress(rules, [2, 1], 'any')).toMatchObject({ completed: false, pct: 66 });
+    });
+});
+
+describe('conditionValues', () => {
+    it('filters invoice lines by brand, category and item name', async () => {
+        const db = { query: jest.fn(async () => [[{ painter_id: 5, value: '4.00' }]]) };
+        const values = await campaigns.conditionValues(db, JSON.parse(campaigns.normaliseCampaign(OPUS).rules)[0], '2026-11-01', '2026-11-30');
+        expect(values.get(5)).toBe(4);
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toMatch(/SUM\(l\.quantity\)[\s\S]*FROM painter_invoice_lines l/);
+        expect(sql).toMatch(/zim\.zoho_brand = \?[\s\S]*zim\.zoho_category_name = \?[\s\S]*LIKE \?/);
+        expect(params).toEqual(['2026-11-01', '2026-11-30', 'Birla Opus', 'Emulsion', '%20L%']);
+    });
+
+    it('counts approved referrals for one painter', async () => {
+        const db = { query: jest.fn(async () => [[{ painter_id: 5, value: 2 }]]) };
+        await campaigns.conditionValues(db, { metric: 'referrals', target: 2 }, '2026-11-01', '2026-11-30', 5);
+        const [sql, params] = db.query.mock.calls[0];
+        expect(sql).toMatch(/p\.status = 'approved'/);
+        expect(params).toEqual(['2026-11-01', '2026-11-30', 5]);
+    });
+});
+
+describe('syncCampaign', () => {
+    function makeDb({ painters = [{ id: 5, branch_id: 2 }, { id: 6, branch_id: 3 }] } = {}) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_invoice_lines/.test(sql)) return [[{ painter_id: 5, value: 3 }, { painter_id: 6, value: 3 }]];
+                if (/FROM painter_attendance_checkins/.test(sql)) return [[{ painter_id: 5, value: 5 }, { painter_id: 6, value: 1 }]];
+                if (/SELECT id, branch_id FROM painters/.test(sql)) return [painters];
+                return [{ affectedRows: 1 }];
+            })
+        };
+    }
+
+    it('writes progress for every painter with activity', async () => {
+        const db = makeDb();
+        const results = await campaigns.syncCampaign(db, CAMPAIGN);
+        expect(results).toEqual([
+            { painter_id: 5, pct: 100, completed: true },
+            { painter_id: 6, pct: 60, completed: false }
+        ]);
+        const upsert = db.calls.find(c => /INSERT INTO painter_challenge_progress/.test(c[0]));
+        expect(upsert[0]).toMatch(/IF\(claimed = 1, completed, VALUES\(completed\)\)/);
+        expect(upsert[1].slice(0, 3)).toEqual([5, 12, 100]);
+    });
+
+    it('leaves out painters of other branches', async () => {
+        const db = makeDb();
+        const results = await campaigns.syncCampaign(db, { ...CAMPAIGN, branch_ids: '[2]' });
+        expect(results.map(r => r.painter_id)).toEqual([5]);
+        expect(await campaigns.syncCampaign(db, { ...CAMPAIGN, branch_ids: [2] }, { painterId: 6, branchId: 3 })).toEqual([]);
+    });
+});
+
+describe('awardCompletion', () => {
+    function makeDb(affectedRows = 1) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/SET claimed = 1/.test(sql)) return [{ affectedRows }];
+                return [{ affectedRows: 1 }];
+            })
+        };
+    }
+
+    it('pays through the points engine once', async () => {
+        const db = makeDb();
+        const fakeEngine = { addPointsWithMultiplier: jest.fn().mockResolvedValue({}) };
+        expect(await campaigns.awardCompletion(db, fakeEngine, CAMPAIGN, 5)).toBe(true);
+        expect(fakeEngine.addPointsWithMultiplier).toHaveBeenCalledWith(
+            5, 'regular', 500, 'challenge_reward', 'challenge-12', 'challenge', 'Campaign reward: November Opus push', null
+        );
+        expect(db.calls.some(c => /SET awarded_points/.test(c[0]))).toBe(true);
+
+        const paid = makeDb(0);
+        expect(await campaigns.awardCompletion(paid, fakeEngine, CAMPAIGN, 5)).toBe(false);
+        expect(fakeEngine.addPointsWithMultiplier).toHaveBeenCalledTimes(1);
+    });
+
+    it('undoes the claim when the award fails', async () => {
+        const db = makeDb();
+        const fakeEngine = { addPointsWithMultiplier: jest.fn().mockRejectedValue(new Error('lock wait timeout')) };
+        await expect(campaigns.awardCompletion(db, fakeEngine, CAMPAIGN, 5)).rejects.toThrow('lock wait timeout');
+        expect(db.calls.some(c => /SET claimed = 0, claimed_at = NULL/.test(c[0]))).toBe(true);
+    });
+});
+
+describe('campaignResults', () => {
+    it('divides the ledger cost by participating painters', async () => {
+        const db = {
+            query: jest.fn(async (sql) => {
+                if (/COUNT\(\*\) AS participants,\s+COALESCE\(SUM\(cp\.completed\)/.test(sql) && !/GROUP BY/.test(sql)) {
+                    return [[{ participants: 8, completed: 3, rewarded: 3 }]];
+                }
+                if (/FROM painter_point_transactions/.test(sql)) return [[{ points: '1650.00' }]];
+                return [[]];
+            })
+        };
+        const r = await campaigns.campaignResults(db, CAMPAIGN);
+        expect(r).toMatchObject({
+            participants: 8, completed: 3, completion_pct: 38,
+            points_cost: 1650, cost_per_participant: 206.25, cost_per_completion: 550
+        });
+        expect(db.query.mock.calls.find(c => /painter_point_transactions/.test(c[0]))[1]).toEqual(['challenge-12']);
+    });
+});
+
+describe('processInvoice line capture', () => {
+    it('keeps the line items against the claim row', async () => {
+        const calls = [];
+        engine.setPool({
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/INSERT IGNORE INTO painter_invoices_processed/i.test(sql)) return [{ affectedRows: 1, insertId: 42 }];
+                return [[]];
+            }),
+            getConnection: jest.fn()
+        });
+        await engine.processInvoice(5, {
+            invoice_id: 'INV7', date: '2026-11-04', total: 9000,
+            line_items: [{ item_id: 'Z1', quantity: 2, item_total: 6000 }, { item_id: 'Z2', name: 'Opus 20L', quantity: 1, item_total: 3000 }]
+        }, 'customer', null);
+        const insert = calls.find(c => /INSERT IGNORE INTO painter_invoice_lines/.test(c[0]));
+        expect(insert[1][0]).toEqual([
+            [42, 1, 5, 'INV7', '2026-11-04', 'Z1', null, 2, 6000],
+            [42, 2, 5, 'INV7', '2026-11-04', 'Z2', 'Opus 20L', 1, 3000]
+        ]);
+    });
+});
+
+describe('runCampaignProgress', () => {
+    let addSpy;
+    beforeEach(() => {
+        jest.clearAllMocks();
+        addSpy = jest.spyOn(engine, 'addPointsWithMultiplier').mockResolvedValue({});
+    });
+    afterEach(() => addSpy.mockRestore());
+
+    it('pays completed painters and tells them', async () => {
+        const calls = [];
+        scheduler.setPool({
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/config_key = \?/i.test(sql)) return [[{ config_value: '1' }]];
+                if (/FROM painter_challenges\s+WHERE is_active = 1 AND rules IS NOT NULL/.test(sql)) return [[CAMPAIGN]];
+                if (/FROM painter_invoice_lines/.test(sql)) return [[{ painter_id: 5, value: 3 }]];
+                if (/FROM painter_attendance_checkins/.test(sql)) return [[{ painter_id: 5, value: 6 }]];
+                return [{ affectedRows: 1 }];
+            }),
+            getConnection: jest.fn()
+        });
+        await scheduler.runCampaignProgress('2026-11-20');
+
+        expect(calls.find(c => /rules IS NOT NULL/.test(c[0]))[1]).toEqual(['2026-11-20', '2026-11-20']);
+        expect(addSpy).toHaveBeenCalledWith(5, 'regular', 500, 'challenge_reward', 'challenge-12', 'challenge', expect.any(String), null);
+        expect(notifications.sendToPainter).toHaveBeenCalledWith(5, expect.objectContaining({ type: 'challenge_reward' }));
+    });
+});
+
+describe('POST /admin/campaigns', () => {
+    const handler = lastHandler(findRoute(adminRoutes.router, 'post', '/admin/campaigns'));
+
+    it('creates the campaign with its rules', async () => {
+        const query = jest.fn(async () => [{ insertId: 12 }]);
+        adminRoutes.setPool({ query });
+        const res = mockRes();
+        await handler({ body: { ...OPUS, branch_ids: [2] }, user: { id: 1 } }, res);
+        expect(res.body).toMatchObject({ success: true, id: 12 });
+        const params = query.mock.calls[0][1];
+        expect(params).toContain('[2]');
+        expect(params).toContain(JSON.stringify(JSON.parse(campaigns.normaliseCampaign(OPUS).rules)));
+    });
+
+    it('refuses a campaign without conditions', async () => {
+        const query = jest.fn();
+        adminRoutes.setPool({ query });
+        const res = mockRes();
+        await handler({ body: { ...OPUS, rules: [] }, user: { id: 1 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(query).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,415 @@
+/**
+ * Painter fraud / collusion scoring (services/painter-fraud.js, the
+ * withdrawal freeze in pointsEngine and payout batches, the nightly
+ * runFraudScan job and the /fraud-cases review routes).
+ *
+ * Locks:
+ *   - parsePolicy: defaults, ignore-customer list, freeze never below the case
+ *     score;
+ *   - referralRings: 2- and 3-cycles once each, chains are not rings;
+ *   - scorePainters: distinct signals summed once and capped, evidence a
+ *     reviewer cleared for that painter never counts again;
+ *   - collectFindings: shared invoices and customer rotation key on the Zoho
+ *     invoice, so an estimate claim (EST-<id>) matches the same bill;
+ *   - runScan: opens a case at the case score, merges evidence into the open
+ *     case, leaves confirmed cases alone, auto-freezes only when enabled;
+ *   - requestWithdrawal / approval / payment refuse a frozen painter
+ *     (WITHDRAWALS_FROZEN), planBatch skips their withdrawals, and a painter
+ *     frozen after batching leaves the batch when its bank file is built —
+ *     a UTR the bank returns anyway is still recorded at settlement;
+ *   - runFraudScan: claims the IST day, releases the claim when the scan fails;
+ *   - POST /fraud-cases/:caseId/clear lifts the freeze; a cleared case can't
+ *     be confirmed.
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+jest.mock('../../services/painter-notification-service', () => ({
+    sendToPainter: jest.fn().mockResolvedValue({}),
+    sendWhatsApp: jest.fn().mockResolvedValue(true),
+    sendToAll: jest.fn(),
+    getRetentionNotification: jest.fn()
+}));
+jest.mock('../../services/painter-attendance-service', () => ({ setPool: jest.fn() }));
+
+const fraud = require('../../services/painter-fraud');
+const engine = require('../../services/painter-points-engine');
+const payouts = require('../../services/painter-payouts');
+const scheduler = require('../../services/painter-scheduler');
+const adminRoutes = require('../../routes/painters/admin');
+
+const findRoute = (router, method, path) => router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const POLICY = fraud.parsePolicy({});
+
+describe('parsePolicy', () => {
+    it('defaults to a 90-day window, cases at 40, no auto-freeze', () => {
+        expect(POLICY).toMatchObject({
+            enabled: true, lookbackDays: 90, caseScore: 40, autoFreeze: false, freezeScore: 70,
+            paintersPerDevice: 3, paintersPerPrefix: 4, customerPainters: 3, gpsRepeatDays: 5, ignoreCustomers: []
+        });
+    });
+
+    it('reads the configured values', () => {
+        expect(fraud.parsePolicy({
+            painter_fraud_enabled: '0',
+            painter_fraud_auto_freeze: '1',
+            painter_fraud_case_score: '60',
+            painter_fraud_freeze_score: '30',
+            painter_fraud_ignore_customers: ' 4600001, ,4600002'
+        })).toMatchObject({ enabled: false, autoFreeze: true, caseScore: 60, freezeScore: 60, ignoreCustomers: ['4600001', '4600002'] });
+    });
+});
+
+describe('referralRings', () => {
+    it('finds 2- and 3-cycles once each', () => {
+        const rings = fraud.referralRings([
+            { referrer_id: 1, referred_id: 2 }, { referrer_id: 2, referred_id: 1 },
+            { referrer_id: 5, referred_id: 6 }, { referrer_id: 6, referred_id: 7 }, { referrer_id: 7, referred_id: 5 }
+        ]);
+        expect(rings).toEqual([[1, 2], [5, 6, 7]]);
+    });
+
+    it('does not treat a referral chain as a ring', () => {
+        expect(fraud.referralRings([
+            { referrer_id: 1, referred_id: 2 }, { referrer_id: 2, referred_id: 3 }, { referrer_id: 3, referred_id: 4 }
+        ])).toEqual([]);
+    });
+});
+
+const SHARED_INVOICE = { signal: 'invoice_shared', key: 'invoice:INV1', summary: 'x', painter_ids: [5, 6], detail: {} };
+const SHARED_INVOICE_2 = { signal: 'invoice_shared', key: 'invoice:INV2', summary: 'x', painter_ids: [5, 6], detail: {} };
+const DEVICE = { signal: 'shared_device', key: 'device:abc', summary: 'x', painter_ids: [5, 7, 8], detail: {} };
+const RING = { signal: 'referral_ring', key: 'ring:5-6', summary: 'x', painter_ids: [5, 6], detail: {} };
+const GPS = { signal: 'gps_identical', key: 'gps:13.0,80.2', summary: 'x', painter_ids: [5, 9], detail: {} };
+
+describe('scorePainters', () => {
+    it('sums each distinct signal once, capped at 100', () => {
+        const scored = fraud.scorePainters([SHARED_INVOICE, SHARED_INVOICE_2, DEVICE, RING, GPS]);
+        expect(scored.get(6)).toMatchObject({ score: 75, signals: ['invoice_shared', 'referral_ring'] });
+        expect(scored.get(6).evidence).toHaveLength(3);
+        expect(scored.get(7).score).toBe(30);
+        expect(scored.get(5).score).toBe(100);
+    });
+
+    it('ignores evidence already cleared for that painter only', () => {
+        const scored = fraud.scorePainters([SHARED_INVOICE, DEVICE], new Map([[5, new Set(['invoice:INV1'])]]));
+        expect(scored.get(5)).toMatchObject({ score: 30, signals: ['shared_device'] });
+        expect(scored.get(6).score).toBe(40);
+    });
+});
+
+describe('runScan', () => {
+    // One finding set for every detector query: 5 and 6 share an invoice and
+    // a referral ring (score 75), 7 and 8 only a device (30, under 40).
+    function makeDb({ cases = [], cleared = [] } = {}) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM ai_config/i.test(sql)) return [[]];
+                if (/FROM painter_invoices_processed\s+WHERE COALESCE/i.test(sql)) {
+                    return [[{ invoice_key: 'INV1', invoice_number: 'SI-1', invoice_total: '5000', painter_ids: '6,5' }]];
+                }
+                if (/FROM painter_sessions\s+WHERE device_id/i.test(sql)) return [[{ device_id: 'abc', painter_ids: '7,8,7' }]];
+                if (/SELECT referrer_id, referred_id FROM painter_referrals/i.test(sql)) {
+                    return [[{ referrer_id: 5, referred_id: 6 }, { referrer_id: 6, referred_id: 5 }]];
+                }
+                if (/status = 'cleared'/i.test(sql)) return [cleared];
+                if (/status IN \('open', 'confirmed'\)/i.test(sql)) return [cases];
+                if (/INSERT INTO painter_fraud_cases/i.test(sql)) return [{ insertId: 40 + calls.length }];
+                if (/^\s*(UPDATE|INSERT)/i.test(sql)) return [{ affectedRows: 1 }];
+                return [[]];
+            }),
+        };
+    }
+    const inserts = db => db.calls.filter(c => /INSERT INTO painter_fraud_cases/i.test(c[0]));
+
+    it('opens a case per painter at the case score', async () => {
+        const db = makeDb();
+        const result = await fraud.runScan(db, '2026-10-19');
+        expect(result).toMatchObject({ findings: 3, flagged: 2, opened: 2, updated: 0, frozen: 0 });
+        const rows = inserts(db).map(c => c[1]);
+        expect(rows.map(r => r[0])).toEqual([5, 6]);
+        expect(rows[0].slice(1, 3)).toEqual([75, 'invoice_shared,referral_ring']);
+        expect(JSON.parse(rows[0][3]).map(f => f.key)).toEqual(['invoice:INV1', 'ring:5-6']);
+        // the detectors read the lookback window
+        const since = db.calls.find(c => /FROM painter_sessions\s+WHERE device_id/i.test(c[0]))[1];
+        expect(since).toEqual(['2026-07-21', 3]);
+        expect(db.calls.some(c => /withdrawals_frozen = \?/.test(c[0]))).toBe(false);
+    });
+
+    it('merges evidence into the open case and leaves a confirmed case alone', async () => {
+        const db = makeDb({
+            cases: [
+                { id: 3, painter_id: 5, status: 'open', withdrawals_frozen: 0, evidence: JSON.stringify([GPS]) },
+                { id: 4, painter_id: 6, status: 'confirmed', withdrawals_frozen: 1, evidence: '[]' }
+            ]
+        });
+        const result = await fraud.runScan(db, '2026-10-19');
+        expect(result).toMatchObject({ opened: 0, updated: 1 });
+        const update = db.calls.find(c => /UPDATE painter_fraud_cases SET score/i.test(c[0]));
+        expect(update[1][0]).toBe(100);
+        expect(update[1][1]).toBe('gps_identical,invoice_shared,referral_ring');
+        expect(update[1].slice(3)).toEqual(['2026-10-19', 3]);
+        expect(inserts(db)).toHaveLength(0);
+    });
+
+    it('does not re-raise evidence the reviewer cleared', async () => {
+        const db = makeDb({ cleared: [{ painter_id: 5, evidence: JSON.stringify([SHARED_INVOICE, RING]) }] });
+        const result = await fraud.runScan(db, '2026-10-19');
+        expect(result.opened).toBe(1);
+        expect(inserts(db).map(c => c[1][0])).toEqual([6]);
+    });
+
+    it('freezes withdrawals at the freeze score when auto-freeze is on', async () => {
+        const db = makeDb();
+        const result = await fraud.runScan(db, '2026-10-19', { ...POLICY, autoFreeze: true, freezeScore: 70 });
+        expect(result.frozen).toBe(2);
+        const freeze = db.calls.filter(c => /UPDATE painters SET withdrawals_frozen/i.test(c[0])).map(c => c[1]);
+        expect(freeze[0]).toEqual([1, expect.stringMatching(/^Fraud review case #\d+$/), 5]);
+    });
+});
+
+describe('collectFindings', () => {
+    // Painter 5 claimed the Zoho bill directly; painter 6 claimed it through
+    // an estimate, stored as EST-<id> with the bill in zoho_invoice_id.
+    const CLAIMS = [
+        { painter_id: 5, invoice_id: 'ZINV9', zoho_invoice_id: 'ZINV9', invoice_number: 'SI-9', invoice_total: '8000' },
+        { painter_id: 6, invoice_id: 'EST-12', zoho_invoice_id: 'ZINV9', invoice_number: 'SI-9', invoice_total: '8000' }
+    ];
+    const keyOf = sql => /GROUP BY invoice_key/.test(sql) && /COALESCE\(NULLIF\(zoho_invoice_id, ''\), invoice_id\)/.test(sql)
+        ? c => c.zoho_invoice_id || c.invoice_id
+        : c => c.invoice_id;
+
+    it('matches an estimate claim to the Zoho invoice it was billed on', async () => {
+        const calls = [];
+        const db = {
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_invoices_processed\s+WHERE/i.test(sql)) {
+                    const groups = new Map();
+                    for (const c of CLAIMS) {
+                        const key = keyOf(sql)(c);
+                        groups.set(key, [...(groups.get(key) || []), c]);
+                    }
+                    return [[...groups].filter(([, g]) => new Set(g.map(c => c.painter_id)).size > 1).map(([key, g]) => ({
+                        invoice_key: key, invoice_number: g[0].invoice_number, invoice_total: g[0].invoice_total,
+                        painter_ids: g.map(c => c.painter_id).join(',')
+                    }))];
+                }
+                return [[]];
+            }),
+        };
+        const findings = await fraud.collectFindings(db, POLICY, '2026-10-19');
+
+        expect(findings).toEqual([expect.objectContaining({
+            signal: 'invoice_shared', key: 'invoice:ZINV9', painter_ids: [5, 6],
+            detail: { invoice_id: 'ZINV9', invoice_number: 'SI-9', invoice_total: 8000 }
+        })]);
+        const rotation = calls.find(c => /JOIN zoho_invoices zi/i.test(c[0]))[0];
+        expect(rotation).toMatch(/zi\.zoho_invoice_id = COALESCE\(NULLIF\(pip\.zoho_invoice_id, ''\), pip\.invoice_id\)/);
+    });
+});
+
+describe('withdrawal freeze', () => {
+    function painterPool(frozen) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/SELECT withdrawals_frozen FROM painters/i.test(sql)) return [[{ withdrawals_frozen: frozen }]];
+                if (/FROM painters WHERE id/i.test(sql)) {
+                    return [[{ regular_points: '500', annual_points: '0', total_earned_regular: '0', total_earned_annual: '0', total_redeemed_regular: '0', total_redeemed_annual: '0' }]];
+                }
+                if (/FROM painter_withdrawals WHERE id/i.test(sql)) return [[{ id: 9, painter_id: 5, pool: 'regular', amount: '200', status: 'pending' }]];
+                if (/INSERT INTO painter_withdrawals/i.test(sql)) return [{ insertId: 77 }];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('refuses a new request from a frozen painter', async () => {
+        const pool = painterPool(1);
+        engine.setPool(pool);
+        await expect(engine.requestWithdrawal(5, 'regular', 100)).rejects.toMatchObject({ code: 'WITHDRAWALS_FROZEN' });
+        expect(pool.calls.some(c => /INSERT INTO painter_withdrawals/i.test(c[0]))).toBe(false);
+    });
+
+    it('lets an unfrozen painter through', async () => {
+        engine.setPool(painterPool(0));
+        await expect(engine.requestWithdrawal(5, 'regular', 100)).resolves.toEqual({ withdrawalId: 77 });
+    });
+
+    it('refuses approval while frozen', async () => {
+        const pool = painterPool(1);
+        engine.setPool(pool);
+        await expect(engine.processWithdrawal(9, 'approve', 1)).rejects.toMatchObject({ code: 'WITHDRAWALS_FROZEN' });
+        expect(pool.calls.some(c => /UPDATE painter_withdrawals/i.test(c[0]))).toBe(false);
+    });
+
+    it('refuses payment while frozen', async () => {
+        const pool = painterPool(1);
+        engine.setPool(pool);
+        await expect(engine.processWithdrawal(9, 'paid', 1, 'UTR123456')).rejects.toMatchObject({ code: 'WITHDRAWALS_FROZEN' });
+        expect(pool.calls.some(c => /painter_point_transactions|UPDATE painter_withdrawals/i.test(c[0]))).toBe(false);
+    });
+
+    it('keeps a frozen painter out of payout batches', () => {
+        const row = { status: 'approved', batch_id: null, amount: '200', upi_id: 'ravi@okaxis' };
+        const plan = payouts.planBatch([{ ...row, id: 1, full_name: 'Ravi' }, { ...row, id: 2, full_name: 'Kumar', withdrawals_frozen: 1 }], 'upi');
+        expect(plan.rows.map(r => r.id)).toEqual([1]);
+        expect(plan.skipped).toEqual([{ withdrawal_id: 2, painter: 'Kumar', reason: 'Withdrawals frozen for fraud review' }]);
+    });
+});
+
+describe('payout batches with a painter frozen after batching', () => {
+    const row = { pool: 'regular', status: 'approved', batch_id: 4 };
+    const ROWS = [
+        { ...row, id: 11, painter_id: 5, full_name: 'Ravi', amount: '500.00', payee_name: 'RAVI', payee_upi_id: 'ravi@okaxis', withdrawals_frozen: 0 },
+        { ...row, id: 12, painter_id: 6, full_name: 'Kumar', amount: '300.00', payee_name: 'KUMAR', payee_upi_id: 'kumar@okaxis', withdrawals_frozen: 1 }
+    ];
+    function makePool() {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_payout_batches WHERE id/i.test(sql)) return [[{ id: 4, batch_number: 'PB-20261019-001', mode: 'upi', status: 'generated' }]];
+                if (/FROM painter_withdrawals pw/i.test(sql)) return [ROWS];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('takes the frozen row out of the batch before the bank file is built', async () => {
+        const pool = makePool();
+        adminRoutes.setPool(pool);
+        const res = { setHeader: jest.fn(), send: jest.fn(), status: jest.fn(() => res), json: jest.fn() };
+        await lastHandler(findRoute(adminRoutes.router, 'get', '/payout-batches/:batchId/file'))({ params: { batchId: '4' } }, res);
+
+        const csv = res.send.mock.calls[0][0];
+        expect(csv).toMatch(/ravi@okaxis/);
+        expect(csv).not.toMatch(/kumar@okaxis/);
+        const pulled = pool.calls.find(c => /SET batch_id = NULL, failure_reason = \?/.test(c[0]));
+        expect(pulled[1]).toEqual(['Withdrawals frozen for fraud review', [12], 4]);
+        expect(pool.calls.find(c => /SET row_count = \?, total_amount = \?/.test(c[0]))[1]).toEqual([1, 500, 4]);
+    });
+
+    it('records a UTR the bank returned for a frozen row instead of discarding it', async () => {
+        const spy = jest.spyOn(engine, 'recordBankPayout').mockResolvedValue({ clawback: 0 });
+        const pool = makePool();
+        adminRoutes.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute(adminRoutes.router, 'post', '/payout-batches/:batchId/settle'))({ params: { batchId: '4' }, user: { id: 3 }, body: { rows: [
+            { withdrawal_id: 11, utr: 'UTR1234561' }, { withdrawal_id: 12, utr: 'UTR1234562' }
+        ] } }, res);
+        const recorded = spy.mock.calls.map(c => c[0]);
+        spy.mockRestore();
+
+        expect(res.body).toEqual({ success: true, paid: 2, failed: [], clawbacks: [], needs_review: [] });
+        expect(recorded).toEqual([11, 12]);
+        expect(pool.calls.some(c => /SET status = 'pending'/.test(c[0]))).toBe(false);
+    });
+});
+
+describe('runFraudScan', () => {
+    let scanSpy;
+    afterEach(() => scanSpy.mockRestore());
+
+    function makePool(jobClaimed = 1) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/config_key = \?/i.test(sql)) return [[{ config_value: '1' }]];
+                if (/FROM ai_config/i.test(sql)) return [[]];
+                if (/INSERT IGNORE INTO job_runs/i.test(sql)) return [{ affectedRows: jobClaimed }];
+                return [{ affectedRows: 0 }];
+            }),
+        };
+    }
+
+    it('claims the IST day and scans', async () => {
+        scanSpy = jest.spyOn(fraud, 'runScan').mockResolvedValue({ findings: 2, flagged: 1, opened: 1, updated: 0, frozen: 0 });
+        const pool = makePool();
+        scheduler.setPool(pool);
+        await scheduler.runFraudScan('2026-10-19');
+        expect(pool.calls.find(c => /INSERT IGNORE INTO job_runs/i.test(c[0]))[1]).toEqual(['painter-fraud-scan', '2026-10-19']);
+        expect(scanSpy).toHaveBeenCalledWith(pool, '2026-10-19', expect.objectContaining({ caseScore: 40 }));
+    });
+
+    it('skips a day already claimed', async () => {
+        scanSpy = jest.spyOn(fraud, 'runScan').mockResolvedValue({});
+        scheduler.setPool(makePool(0));
+        await scheduler.runFraudScan('2026-10-19');
+        expect(scanSpy).not.toHaveBeenCalled();
+    });
+
+    it('releases the claim when the scan fails', async () => {
+        scanSpy = jest.spyOn(fraud, 'runScan').mockRejectedValue(new Error('lock wait timeout'));
+        const pool = makePool();
+        scheduler.setPool(pool);
+        await scheduler.runFraudScan('2026-10-19');
+        expect(pool.calls.find(c => /DELETE FROM job_runs/i.test(c[0]))[1]).toEqual(['painter-fraud-scan', '2026-10-19']);
+    });
+});
+
+describe('POST /fraud-cases/:caseId/:action', () => {
+    const handler = lastHandler(findRoute(adminRoutes.router, 'post', '/fraud-cases/:caseId/:action'));
+
+    function makeConn(fraudCase) {
+        const calls = [];
+        return {
+            calls,
+            beginTransaction: jest.fn(async () => {}),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_fraud_cases WHERE id = \? FOR UPDATE/i.test(sql)) return [[fraudCase]];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('clears the case and lifts the freeze', async () => {
+        const conn = makeConn({ id: 3, painter_id: 5, status: 'open', withdrawals_frozen: 1 });
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { caseId: '3', action: 'clear' }, body: { notes: 'Family members, same shop' }, user: { id: 2 } }, res);
+
+        expect(res.body).toEqual({ success: true, case: { id: 3, status: 'cleared', withdrawals_frozen: 0 } });
+        expect(conn.calls.find(c => /UPDATE painters SET withdrawals_frozen/i.test(c[0]))[1]).toEqual([0, null, 5]);
+        expect(conn.calls.find(c => /UPDATE painter_fraud_cases SET status/i.test(c[0]))[1]).toEqual(['cleared', 0, 2, 'Family members, same shop', 3]);
+        expect(conn.commit).toHaveBeenCalled();
+    });
+
+    it('refuses to confirm a cleared case', async () => {
+        const conn = makeConn({ id: 3, painter_id: 5, status: 'cleared', withdrawals_frozen: 0 });
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { caseId: '3', action: 'confirm' }, body: { notes: 'x' }, user: { id: 2 } }, res);
+        expect(res.statusCode).toBe(409);
+        expect(conn.rollback).toHaveBeenCalled();
+    });
+
+    it('needs review notes to clear', async () => {
+        const res = mockRes();
+        await handler({ params: { caseId: '3', action: 'clear' }, body: {}, user: { id: 2 } }, res);
+        expect(res.statusCode).toBe(400);
+    });
+});
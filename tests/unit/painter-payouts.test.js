@@ -0,0 +1,472 @@
+/**
+ * Painter withdrawals — the enforced annual-pool window
+ * (services/painter-points-engine.js) and payout batches
+ * (services/painter-payouts.js + the /payout-batches admin routes).
+ *
+ * Locks:
+ *   - annualWithdrawalWindow: open from month/day for `days` days inclusive,
+ *     a December window runs into January, a Feb 29 window opens on Feb 28
+ *     in other years, and the countdown / days-left numbers;
+ *   - requestWithdrawal refuses annual points outside the window with
+ *     WITHDRAWAL_WINDOW_CLOSED; regular points are never gated;
+ *   - planBatch: only approved, unbatched rows with the mode's details
+ *     (NEFT: name / account / IFSC, UPI: VPA); the rest are skipped with why;
+ *   - payeeSnapshot / buildPayoutFile: the file pays the details copied at
+ *     batching, NEFT and UPI column layouts, W<id> references, CSV quoting;
+ *   - planSettlement: every row once, paid rows need a unique UTR;
+ *   - planReconcile: only rows still paid in the batch;
+ *   - recordBankPayout: a bank-confirmed payout is paid even when the points
+ *     were spent since approval — the shortfall is queued as a clawback;
+ *   - refundWithdrawal: puts the netted deduction back, voids the payout's
+ *     unsettled clawback and re-opens the request;
+ *   - POST /payout-batches copies each row's payee details onto the withdrawal;
+ *   - POST /payout-batches/:batchId/settle: claims the batch, records UTR rows
+ *     paid through recordBankPayout, keeps a row it can't record in the batch
+ *     for review (never pending), sends failed rows back to pending;
+ *   - PUT /me audits payout-detail changes.
+ *
+ * Handlers invoked directly via router stack walk (stock-transfers pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+jest.mock('../../services/painter-notification-service', () => ({ sendToPainter: jest.fn().mockResolvedValue({}) }));
+
+const engine = require('../../services/painter-points-engine');
+const payouts = require('../../services/painter-payouts');
+const adminRoutes = require('../../routes/painters/admin');
+const painterRoutes = require('../../routes/painters/painter');
+const audit = require('../../services/audit-log');
+
+const findRoute = (method, path) => adminRoutes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const fails = (fn) => {
+    try { fn(); } catch (e) { return e; }
+    return null;
+};
+
+const NEFT_ROW = {
+    id: 11, painter_id: 5, pool: 'regular', amount: '1500.00', status: 'approved', batch_id: null,
+    full_name: 'Ravi Kumar', bank_account_name: 'RAVI KUMAR', bank_account_number: '1234 5678 9012',
+    bank_ifsc_code: 'sbin0001234', upi_id: null
+};
+const UPI_ROW = {
+    id: 12, painter_id: 6, pool: 'annual', amount: '800.50', status: 'approved', batch_id: null,
+    full_name: 'Mani, S', bank_account_name: null, bank_account_number: null, bank_ifsc_code: null, upi_id: 'mani@okaxis'
+};
+
+describe('annualWithdrawalWindow', () => {
+    const cfg = { month: 1, day: 1, days: 30 };
+
+    it('is open on the first and last day of the window', () => {
+        expect(engine.annualWithdrawalWindow(cfg, '2026-01-01')).toMatchObject({
+            open: true, opensOn: '2026-01-01', closesOn: '2026-01-30', daysLeft: 30, daysUntilOpen: 0
+        });
+        expect(engine.annualWithdrawalWindow(cfg, '2026-01-30')).toMatchObject({ open: true, daysLeft: 1 });
+    });
+
+    it('counts down to next year once the window has closed', () => {
+        const w = engine.annualWithdrawalWindow(cfg, '2026-10-19');
+        expect(w).toMatchObject({ open: false, opensOn: '2027-01-01', closesOn: '2027-01-30', daysUntilOpen: 74, daysLeft: 0 });
+        expect(w.label).toBe('Withdrawal opens on January 1 (in 74 days)');
+    });
+
+    it('runs a late-December window into January', () => {
+        const w = engine.annualWithdrawalWindow({ month: 12, day: 20, days: 20 }, '2027-01-05');
+        expect(w).toMatchObject({ open: true, opensOn: '2026-12-20', closesOn: '2027-01-08', daysLeft: 4 });
+        expect(w.label).toBe('Withdrawal window open until January 8 (4 days left)');
+    });
+
+    it('opens a Feb 29 window on Feb 28 outside leap years', () => {
+        expect(engine.annualWithdrawalWindow({ month: 2, day: 29, days: 1 }, '2027-02-28')).toMatchObject({ open: true, opensOn: '2027-02-28' });
+        expect(engine.annualWithdrawalWindow({ month: 2, day: 29, days: 1 }, '2027-03-01')).toMatchObject({ open: false, opensOn: '2028-02-29' });
+    });
+});
+
+describe('requestWithdrawal window enforcement', () => {
+    function poolWithConfig(config) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painters WHERE id/i.test(sql)) {
+                    return [[{ regular_points: '500', annual_points: '900', total_earned_regular: '0', total_earned_annual: '0', total_redeemed_regular: '0', total_redeemed_annual: '0' }]];
+                }
+                if (/FROM ai_config/i.test(sql)) return [Object.entries(config).map(([config_key, config_value]) => ({ config_key, config_value }))];
+                if (/INSERT INTO painter_withdrawals/i.test(sql)) return [{ insertId: 77 }];
+                return [[]];
+            }),
+        };
+    }
+
+    afterEach(() => jest.useRealTimers());
+
+    it('refuses annual points outside the window', async () => {
+        jest.useFakeTimers({ now: new Date('2026-10-19T06:00:00Z') });
+        const pool = poolWithConfig({ painter_annual_withdrawal_month: '1', painter_annual_withdrawal_day: '1', painter_annual_withdrawal_window_days: '30' });
+        engine.setPool(pool);
+        const err = await engine.requestWithdrawal(5, 'annual', 100).catch(e => e);
+        expect(err.code).toBe('WITHDRAWAL_WINDOW_CLOSED');
+        expect(err.message).toMatch(/January 1 to January 30.*74 days/);
+        expect(pool.calls.some(c => /INSERT INTO painter_withdrawals/i.test(c[0]))).toBe(false);
+    });
+
+    it('accepts annual points inside the window, judged by the IST date', async () => {
+        // 2026-12-31 19:00 UTC is already Jan 1 in IST.
+        jest.useFakeTimers({ now: new Date('2026-12-31T19:00:00Z') });
+        engine.setPool(poolWithConfig({ painter_annual_withdrawal_month: '1', painter_annual_withdrawal_day: '1' }));
+        await expect(engine.requestWithdrawal(5, 'annual', 100)).resolves.toEqual({ withdrawalId: 77 });
+    });
+
+    it('never gates regular points', async () => {
+        jest.useFakeTimers({ now: new Date('2026-10-19T06:00:00Z') });
+        const pool = poolWithConfig({});
+        engine.setPool(pool);
+        await expect(engine.requestWithdrawal(5, 'regular', 100)).resolves.toEqual({ withdrawalId: 77 });
+        expect(pool.calls.some(c => /FROM ai_config/i.test(c[0]))).toBe(false);
+    });
+});
+
+describe('planBatch', () => {
+    it('batches rows with the details the mode needs and skips the rest with a reason', () => {
+        const plan = payouts.planBatch([
+            NEFT_ROW,
+            UPI_ROW,
+            { ...NEFT_ROW, id: 13, status: 'pending' },
+            { ...NEFT_ROW, id: 14, batch_id: 2 },
+            { ...NEFT_ROW, id: 15, bank_ifsc_code: 'SBIN123' }
+        ], 'neft');
+        expect(plan.rows.map(r => r.id)).toEqual([11]);
+        expect(plan.totalAmount).toBe(1500);
+        expect(plan.skipped).toEqual([
+            { withdrawal_id: 12, painter: 'Mani, S', reason: 'No bank account number' },
+            { withdrawal_id: 13, painter: 'Ravi Kumar', reason: 'Withdrawal is pending' },
+            { withdrawal_id: 14, painter: 'Ravi Kumar', reason: 'Already in a payout batch' },
+            { withdrawal_id: 15, painter: 'Ravi Kumar', reason: 'Invalid IFSC SBIN123' }
+        ]);
+    });
+
+    it('needs a VPA for UPI and refuses an empty batch', () => {
+        expect(payouts.planBatch([NEFT_ROW, UPI_ROW], 'upi').rows.map(r => r.id)).toEqual([12]);
+        expect(fails(() => payouts.planBatch([NEFT_ROW], 'upi')).code).toBe('INVALID_PAYOUT');
+        expect(fails(() => payouts.planBatch([NEFT_ROW], 'imps')).code).toBe('INVALID_PAYOUT');
+    });
+});
+
+describe('payeeSnapshot / buildPayoutFile', () => {
+    const NEFT_BATCHED = { ...NEFT_ROW, ...payouts.payeeSnapshot(NEFT_ROW, 'neft') };
+    const UPI_BATCHED = { ...UPI_ROW, ...payouts.payeeSnapshot(UPI_ROW, 'upi') };
+
+    it('copies only the mode\'s details, normalised', () => {
+        expect(payouts.payeeSnapshot(NEFT_ROW, 'neft')).toEqual({
+            payee_name: 'RAVI KUMAR', payee_account_number: '123456789012', payee_ifsc_code: 'SBIN0001234', payee_upi_id: null
+        });
+        expect(payouts.payeeSnapshot(UPI_ROW, 'upi')).toEqual({
+            payee_name: 'Mani, S', payee_account_number: null, payee_ifsc_code: null, payee_upi_id: 'mani@okaxis'
+        });
+    });
+
+    it('writes the NEFT layout with normalised account / IFSC and a W<id> reference', () => {
+        const csv = payouts.buildPayoutFile({ batch_number: 'PB-20261019-001', mode: 'neft' }, [NEFT_BATCHED]);
+        expect(csv.split('\r\n')).toEqual([
+            'Sr No,Beneficiary Name,Account Number,IFSC,Amount,Payment Mode,Narration,Reference',
+            '1,RAVI KUMAR,123456789012,SBIN0001234,1500.00,NEFT,Painter payout PB-20261019-001,W11',
+            ''
+        ]);
+    });
+
+    it('writes the UPI layout and quotes cells with commas', () => {
+        const csv = payouts.buildPayoutFile({ batch_number: 'PB-20261019-002', mode: 'upi' }, [UPI_BATCHED]);
+        expect(csv.split('\r\n')[1]).toBe('1,"Mani, S",mani@okaxis,800.50,Painter payout PB-20261019-002,W12');
+    });
+
+    it('pays the batched details even after the painter changes their profile', () => {
+        const edited = { ...NEFT_BATCHED, bank_account_name: 'SOMEONE ELSE', bank_account_number: '999988887777', bank_ifsc_code: 'HDFC0000001' };
+        const csv = payouts.buildPayoutFile({ batch_number: 'PB-20261019-001', mode: 'neft' }, [edited]);
+        expect(csv.split('\r\n')[1]).toBe('1,RAVI KUMAR,123456789012,SBIN0001234,1500.00,NEFT,Painter payout PB-20261019-001,W11');
+    });
+});
+
+describe('planSettlement / planReconcile', () => {
+    const rows = [NEFT_ROW, UPI_ROW];
+
+    it('splits paid rows (UTR upper-cased) from failed rows', () => {
+        const plan = payouts.planSettlement(rows, [
+            { withdrawal_id: 11, utr: ' sbin26292123456 ' },
+            { withdrawal_id: 12, failed: true, reason: 'VPA not found' }
+        ]);
+        expect(plan.paid.map(p => [p.row.id, p.utr])).toEqual([[11, 'SBIN26292123456']]);
+        expect(plan.failed.map(f => [f.row.id, f.reason])).toEqual([[12, 'VPA not found']]);
+        expect(plan.paidAmount).toBe(1500);
+    });
+
+    it('needs every row once, each paid row with its own valid UTR', () => {
+        const err = (results) => fails(() => payouts.planSettlement(rows, results));
+        expect(err([{ withdrawal_id: 11, utr: 'UTR123456' }]).message).toMatch(/missing #12/);
+        expect(err([{ withdrawal_id: 11, utr: 'UTR123456' }, { withdrawal_id: 11, utr: 'UTR654321' }]).message).toMatch(/listed twice/);
+        expect(err([{ withdrawal_id: 11, utr: 'UTR123456' }, { withdrawal_id: 12, utr: 'UTR123456' }]).message).toMatch(/used twice/);
+        expect(err([{ withdrawal_id: 11 }, { withdrawal_id: 12, failed: true }]).message).toMatch(/#11 needs a valid UTR/);
+        expect(err([{ withdrawal_id: 99, utr: 'UTR123456' }]).code).toBe('INVALID_PAYOUT');
+    });
+
+    it('reconciles only rows that are still paid', () => {
+        const settled = [{ ...NEFT_ROW, status: 'paid' }, { ...UPI_ROW, status: 'pending' }];
+        expect(payouts.planReconcile(settled, [{ withdrawal_id: 11 }]))
+            .toEqual([{ row: settled[0], reason: 'Payout returned by bank' }]);
+        expect(fails(() => payouts.planReconcile(settled, [{ withdrawal_id: 12 }])).message).toMatch(/pending, not paid/);
+        expect(fails(() => payouts.planReconcile(settled, [])).code).toBe('INVALID_PAYOUT');
+    });
+
+    it('settles / cancels only generated batches and reconciles only paid ones', () => {
+        expect(() => payouts.assertTransition('generated', 'settle')).not.toThrow();
+        expect(fails(() => payouts.assertTransition('paid', 'settle')).code).toBe('PAYOUT_STATE');
+        expect(fails(() => payouts.assertTransition('paid', 'cancel')).code).toBe('PAYOUT_STATE');
+        expect(fails(() => payouts.assertTransition('generated', 'reconcile')).code).toBe('PAYOUT_STATE');
+    });
+});
+
+describe('refundWithdrawal', () => {
+    function makeConn({ status = 'paid', net = '-1500' } = {}) {
+        const calls = [];
+        return {
+            calls,
+            beginTransaction: jest.fn(async () => {}),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_withdrawals WHERE id/i.test(sql)) return [[{ id: 11, painter_id: 5, pool: 'regular', amount: '1500.00', status }]];
+                if (/SUM\(amount\)/i.test(sql)) return [[{ net }]];
+                if (/FROM painters WHERE id/i.test(sql)) return [[{ regular_points: '200.00', annual_points: '0' }]];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('credits the deduction back and sends the request to pending', async () => {
+        const conn = makeConn();
+        engine.setPool({ getConnection: async () => conn });
+        await expect(engine.refundWithdrawal(11, 3, 'Account closed')).resolves.toEqual({ refunded: 1500 });
+        const ledger = conn.calls.find(c => /INSERT INTO painter_point_transactions/i.test(c[0]));
+        expect(ledger[1]).toEqual([5, 'regular', 1500, 1700, '11', 'Withdrawal #11 payout failed — points returned', 3]);
+        const voided = conn.calls.find(c => /DELETE FROM painter_clawback_pending/.test(c[0]));
+        expect(voided[1]).toEqual([5, 'Withdrawal #11 paid %']);
+        const reopen = conn.calls.find(c => /UPDATE painter_withdrawals SET status = 'pending'/.test(c[0]));
+        expect(reopen[0]).toMatch(/payee_name = NULL/);
+        expect(reopen[1]).toEqual(['Account closed', 3, 11]);
+        expect(conn.commit).toHaveBeenCalled();
+    });
+
+    it('refuses a withdrawal that is not paid', async () => {
+        const conn = makeConn({ status: 'approved' });
+        engine.setPool({ getConnection: async () => conn });
+        await expect(engine.refundWithdrawal(11, 3)).rejects.toThrow(/approved, not paid/);
+        expect(conn.rollback).toHaveBeenCalled();
+    });
+});
+
+describe('recordBankPayout', () => {
+    function makePool({ status = 'approved', net = '0', balance = '1500.00' } = {}) {
+        const calls = [];
+        const query = jest.fn(async (sql, params) => {
+            calls.push([sql, params]);
+            if (/FROM painter_withdrawals WHERE id/i.test(sql)) return [[{ id: 11, painter_id: 5, pool: 'regular', amount: '1500.00', status }]];
+            if (/SUM\(amount\)/i.test(sql)) return [[{ net }]];
+            if (/FROM painters WHERE id/i.test(sql)) return [[{ regular_points: balance, annual_points: '0' }]];
+            return [{ affectedRows: 1 }];
+        });
+        const conn = { query, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn() };
+        return { calls, query, getConnection: async () => conn };
+    }
+    const paidUpdate = (pool) => pool.calls.find(c => /UPDATE painter_withdrawals SET status = \?/.test(c[0]));
+
+    it('deducts the full amount when the points are still there', async () => {
+        const pool = makePool();
+        engine.setPool(pool);
+        await expect(engine.recordBankPayout(11, 3, 'N292261234567', 'Paid in PB-1')).resolves.toEqual({ clawback: 0 });
+        expect(pool.calls.find(c => /INSERT INTO painter_point_transactions/i.test(c[0]))[1][2]).toBe(-1500);
+        expect(pool.calls.some(c => /painter_clawback_pending/.test(c[0]))).toBe(false);
+        expect(paidUpdate(pool)[1]).toEqual(['paid', 3, 'N292261234567', 'Paid in PB-1', 11]);
+    });
+
+    it('still records the payout when the points were spent since approval', async () => {
+        const pool = makePool({ balance: '400.00' });
+        engine.setPool(pool);
+        await expect(engine.recordBankPayout(11, 3, 'N292261234567')).resolves.toEqual({ clawback: 1100 });
+        expect(pool.calls.find(c => /INSERT INTO painter_point_transactions/i.test(c[0]))[1][2]).toBe(-400);
+        expect(pool.calls.find(c => /INSERT INTO painter_clawback_pending/.test(c[0]))[1])
+            .toEqual([5, 1100, 'Withdrawal #11 paid with 1100 regular points short', 'withdrawal']);
+        expect(paidUpdate(pool)[1][0]).toBe('paid');
+    });
+
+    it('does not deduct twice for a legacy row deducted at approval', async () => {
+        const pool = makePool({ net: '-1500' });
+        engine.setPool(pool);
+        await engine.recordBankPayout(11, 3, 'N292261234567');
+        expect(pool.calls.some(c => /INSERT INTO painter_point_transactions/i.test(c[0]))).toBe(false);
+        expect(paidUpdate(pool)).toBeDefined();
+    });
+});
+
+describe('POST /payout-batches', () => {
+    const handler = lastHandler(findRoute('post', '/payout-batches'));
+
+    it('copies each row\'s payee details onto the withdrawal', async () => {
+        const calls = [];
+        const conn = {
+            beginTransaction: jest.fn(async () => {}),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_withdrawals pw/i.test(sql)) return [[NEFT_ROW, UPI_ROW]];
+                if (/SELECT .*batch_number/is.test(sql)) return [[]];
+                if (/INSERT INTO painter_payout_batches/i.test(sql)) return [{ insertId: 4 }];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ body: { mode: 'neft' }, user: { id: 3 } }, res);
+
+        expect(res.body.success).toBe(true);
+        expect(res.body.skipped).toEqual([{ withdrawal_id: 12, painter: 'Mani, S', reason: 'No bank account number' }]);
+        const batched = calls.filter(c => /UPDATE painter_withdrawals SET batch_id = \?/.test(c[0]));
+        expect(batched.map(c => c[1])).toEqual([[4, 'RAVI KUMAR', '123456789012', 'SBIN0001234', null, 11]]);
+        expect(conn.commit).toHaveBeenCalled();
+    });
+});
+
+describe('POST /payout-batches/:batchId/settle', () => {
+    const handler = lastHandler(findRoute('post', '/payout-batches/:batchId/settle'));
+    let processSpy;
+
+    beforeEach(() => {
+        processSpy = jest.spyOn(engine, 'recordBankPayout').mockResolvedValue({ clawback: 0 });
+    });
+    afterEach(() => processSpy.mockRestore());
+
+    function makePool({ batchStatus = 'generated', claimed = 1 } = {}) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_payout_batches WHERE id/i.test(sql)) return [[{ id: 4, batch_number: 'PB-20261019-001', mode: 'neft', status: batchStatus }]];
+                if (/FROM painter_withdrawals pw/i.test(sql)) return [[NEFT_ROW, { ...NEFT_ROW, id: 13, painter_id: 8, amount: '700.00' }]];
+                if (/SET status = 'paid', settled_by/i.test(sql)) return [{ affectedRows: claimed }];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('pays rows with their UTR and returns failed rows to pending', async () => {
+        const pool = makePool();
+        adminRoutes.setPool(pool);
+        const res = mockRes();
+        await handler({ params: { batchId: '4' }, user: { id: 3 }, body: { rows: [
+            { withdrawal_id: 11, utr: 'N292261234567' },
+            { withdrawal_id: 13, failed: true, reason: 'Invalid account' }
+        ] } }, res);
+
+        expect(res.body).toEqual({ success: true, paid: 1, failed: [{ withdrawal_id: 13, reason: 'Invalid account' }], clawbacks: [], needs_review: [] });
+        expect(processSpy).toHaveBeenCalledWith(11, 3, 'N292261234567', 'Paid in PB-20261019-001');
+        const back = pool.calls.find(c => /SET status = 'pending', batch_id = NULL/.test(c[0]));
+        expect(back[1]).toEqual(['Invalid account', 3, 13]);
+        const totals = pool.calls.find(c => /SET paid_count = \?/.test(c[0]));
+        expect(totals[1]).toEqual([1, 1500, 1, 4]);
+    });
+
+    it('never sends a row the bank paid back to pending', async () => {
+        processSpy.mockImplementation(async (id) => {
+            if (id === 13) throw new Error('Withdrawal already pending');
+            return { clawback: id === 11 ? 300 : 0 };
+        });
+        const pool = makePool();
+        adminRoutes.setPool(pool);
+        const res = mockRes();
+        await handler({ params: { batchId: '4' }, user: { id: 3 }, body: { rows: [
+            { withdrawal_id: 11, utr: 'N292261234567' },
+            { withdrawal_id: 13, utr: 'N292261234568' }
+        ] } }, res);
+
+        expect(res.body).toEqual({
+            success: true, paid: 1, failed: [],
+            clawbacks: [{ withdrawal_id: 11, points: 300 }],
+            needs_review: [{ withdrawal_id: 13, utr: 'N292261234568', reason: 'Withdrawal already pending' }]
+        });
+        expect(pool.calls.some(c => /SET status = 'pending'/.test(c[0]))).toBe(false);
+        const flagged = pool.calls.find(c => /SET failure_reason = \? WHERE id = \?/.test(c[0]));
+        expect(flagged[1]).toEqual(['Paid by bank (UTR N292261234568) but not recorded: Withdrawal already pending', 13]);
+        const totals = pool.calls.find(c => /SET paid_count = \?/.test(c[0]));
+        expect(totals[1]).toEqual([2, 2200, 0, 4]);
+    });
+
+    it('refuses a batch that is already settled', async () => {
+        adminRoutes.setPool(makePool({ batchStatus: 'paid' }));
+        const res = mockRes();
+        await handler({ params: { batchId: '4' }, user: { id: 3 }, body: { rows: [] } }, res);
+        expect(res.statusCode).toBe(409);
+        expect(processSpy).not.toHaveBeenCalled();
+    });
+
+    it('pays nothing when another settle claimed the batch first', async () => {
+        adminRoutes.setPool(makePool({ claimed: 0 }));
+        const res = mockRes();
+        await handler({ params: { batchId: '4' }, user: { id: 3 }, body: { rows: [
+            { withdrawal_id: 11, utr: 'N292261234567' },
+            { withdrawal_id: 13, utr: 'N292261234568' }
+        ] } }, res);
+        expect(res.statusCode).toBe(409);
+        expect(processSpy).not.toHaveBeenCalled();
+    });
+});
+
+describe('PUT /me payout details', () => {
+    const handler = lastHandler(painterRoutes.router.stack.map(l => l.route)
+        .find(rt => rt && rt.path === '/me' && rt.methods.put));
+
+    beforeEach(() => audit.record.mockClear());
+
+    function makePool(current) {
+        return {
+            query: jest.fn(async (sql) => {
+                if (/SELECT bank_account_name/i.test(sql)) return [[current]];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('audits a changed account with before and after', async () => {
+        painterRoutes.setPool(makePool({ bank_account_name: 'RAVI KUMAR', bank_name: 'SBI', bank_account_number: '123456789012', bank_ifsc_code: 'SBIN0001234', upi_id: null }));
+        const res = mockRes();
+        await handler({ painter: { id: 5 }, body: { bank_account_number: '9999 8888 7777', bank_ifsc_code: 'hdfc0000001', city: 'Chennai' } }, res);
+
+        expect(res.body).toEqual({ success: true, message: 'Profile updated' });
+        expect(audit.record).toHaveBeenCalledWith(expect.anything(), {
+            action: 'painter.payout_details.update', entity_type: 'painter', entity_id: 5,
+            before: { bank_account_number: '123456789012', bank_ifsc_code: 'SBIN0001234' },
+            after: { bank_account_number: '999988887777', bank_ifsc_code: 'HDFC0000001' }
+        });
+    });
+
+    it('writes nothing to the audit log when payout details are unchanged', async () => {
+        painterRoutes.setPool(makePool({ bank_account_name: null, bank_name: null, bank_account_number: null, bank_ifsc_code: null, upi_id: 'ravi@okaxis' }));
+        const res = mockRes();
+        await handler({ painter: { id: 5 }, body: { upi_id: 'ravi@okaxis', city: 'Chennai' } }, res);
+        expect(res.body.success).toBe(true);
+        expect(audit.record).not.toHaveBeenCalled();
+    });
+});
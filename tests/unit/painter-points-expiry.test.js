@@ -0,0 +1,223 @@
+/**
+ * Regular-pool points expiry (services/painter-points-expiry.js,
+ * pointsEngine.expireRegularPoints and the nightly runPointsExpiry job).
+ *
+ * Locks:
+ *   - parsePolicy: defaults, threshold list parsing, off unless enabled = '1';
+ *   - allocateLots / planExpiry: the balance sits on the newest earns (FIFO
+ *     spending), only unspent points on rows past expires_at expire, and a
+ *     second run on the reduced balance expires nothing;
+ *   - warningsDue: one warning per expiry date at the smallest threshold it is
+ *     inside, nothing outside the widest threshold;
+ *   - expireRegularPoints: one 'expired' ledger row, expired_points stamped on
+ *     the source earn rows, balance lowered — all in one transaction;
+ *   - runPointsExpiry: claims the day in job_runs, stamps new earn rows no
+ *     sooner than the widest warning, expires, warns once per claimed
+ *     (painter, date, threshold), WhatsApp alongside the push; skips when the
+ *     policy is off; releases the claim when the run fails.
+ */
+
+jest.mock('../../services/painter-notification-service', () => ({
+    sendToPainter: jest.fn().mockResolvedValue({}),
+    sendWhatsApp: jest.fn().mockResolvedValue(true),
+    sendToAll: jest.fn(),
+    getRetentionNotification: jest.fn()
+}));
+jest.mock('../../services/painter-attendance-service', () => ({ setPool: jest.fn() }));
+
+const expiry = require('../../services/painter-points-expiry');
+const engine = require('../../services/painter-points-engine');
+const scheduler = require('../../services/painter-scheduler');
+const notifications = require('../../services/painter-notification-service');
+
+// newest first, as loadLots() returns them
+const LOTS = [
+    { id: 4, amount: '300.00', expires_on: '2027-05-01' },
+    { id: 3, amount: '200.00', expires_on: '2026-11-10' },
+    { id: 2, amount: '400.00', expires_on: '2026-10-19' },
+    { id: 1, amount: '500.00', expires_on: '2026-09-01' }
+];
+
+describe('parsePolicy', () => {
+    it('defaults to 18 months with 30 / 7 day warnings, off', () => {
+        expect(expiry.parsePolicy({})).toEqual({ enabled: false, months: 18, warnDays: [30, 7], whatsapp: true });
+    });
+
+    it('reads the configured values', () => {
+        expect(expiry.parsePolicy({
+            painter_points_expiry_enabled: '1',
+            painter_points_expiry_months: '12',
+            painter_points_expiry_warn_days: '7, 60,abc,7',
+            painter_points_expiry_whatsapp: '0'
+        })).toEqual({ enabled: true, months: 12, warnDays: [60, 7], whatsapp: false });
+    });
+});
+
+describe('allocateLots / planExpiry', () => {
+    it('puts the balance on the newest earns first', () => {
+        const lots = expiry.allocateLots(LOTS, 650);
+        expect(lots.map(l => l.unspent)).toEqual([300, 200, 150, 0]);
+    });
+
+    it('expires only unspent points on rows past their date', () => {
+        // 1400 earned, 750 spent FIFO: row 1 fully spent, row 2 has 150 left
+        const plan = expiry.planExpiry(LOTS, 650, '2026-10-19');
+        expect(plan.expiring).toBe(150);
+        expect(plan.rows).toEqual([{ id: 2, points: 150 }]);
+    });
+
+    it('expires nothing on a second run against the reduced balance', () => {
+        expect(expiry.planExpiry(LOTS, 500, '2026-10-19').expiring).toBe(0);
+    });
+
+    it('never expires balance the earn rows cannot cover (refunds)', () => {
+        const lots = expiry.allocateLots([{ id: 9, amount: 100, expires_on: '2026-01-01' }], 250);
+        expect(lots[0].unspent).toBe(100);
+        expect(expiry.planExpiry([{ id: 9, amount: 100, expires_on: '2026-01-01' }], 250, '2026-10-19').expiring).toBe(100);
+    });
+});
+
+describe('warningsDue', () => {
+    const lots = expiry.allocateLots(LOTS, 650);
+
+    it('warns once per date at the smallest threshold it is inside', () => {
+        expect(expiry.warningsDue(lots, '2026-10-12', [30, 7])).toEqual([
+            { expires_on: '2026-10-19', days_before: 7, days_left: 7, points: 150 },
+            { expires_on: '2026-11-10', days_before: 30, days_left: 29, points: 200 }
+        ]);
+    });
+
+    it('says nothing outside the widest threshold or for spent rows', () => {
+        expect(expiry.warningsDue(lots, '2026-08-01', [30, 7])).toEqual([]);
+        expect(expiry.warningsDue(expiry.allocateLots(LOTS, 300), '2026-10-12', [30, 7])).toEqual([]);
+    });
+});
+
+describe('expireRegularPoints', () => {
+    function makeConn(balance) {
+        const calls = [];
+        return {
+            calls,
+            beginTransaction: jest.fn(async () => {}),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/SELECT regular_points FROM painters/i.test(sql)) return [[{ regular_points: balance }]];
+                if (/type = 'earn' AND amount > 0/i.test(sql)) return [LOTS];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('writes one expired row and stamps the earn rows it came from', async () => {
+        const conn = makeConn('650.00');
+        engine.setPool({ getConnection: async () => conn });
+        const result = await engine.expireRegularPoints(5, '2026-10-19');
+
+        expect(result).toMatchObject({ expired: 150, balance: 500 });
+        const ledger = conn.calls.find(c => /INSERT INTO painter_point_transactions/i.test(c[0]));
+        expect(ledger[0]).toMatch(/'expired'/);
+        expect(ledger[1]).toEqual([5, -150, 500, '150 unused points past their expiry date']);
+        const stamp = conn.calls.filter(c => /SET expired_points/.test(c[0])).map(c => c[1]);
+        expect(stamp).toEqual([[150, 2]]);
+        const bal = conn.calls.find(c => /UPDATE painters SET regular_points/.test(c[0]));
+        expect(bal[1]).toEqual([500, 5]);
+        expect(conn.commit).toHaveBeenCalled();
+    });
+
+    it('writes nothing when nothing is due', async () => {
+        const conn = makeConn('500.00');
+        engine.setPool({ getConnection: async () => conn });
+        const result = await engine.expireRegularPoints(5, '2026-10-19');
+        expect(result.expired).toBe(0);
+        expect(conn.calls.some(c => /INSERT INTO painter_point_transactions/i.test(c[0]))).toBe(false);
+    });
+});
+
+describe('runPointsExpiry', () => {
+    let expireSpy;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        expireSpy = jest.spyOn(engine, 'expireRegularPoints').mockResolvedValue({
+            expired: 150, balance: 500, lots: expiry.allocateLots(LOTS, 500)
+        });
+    });
+    afterEach(() => expireSpy.mockRestore());
+
+    function makePool({ enabled = '1', jobClaimed = 1, warningClaimed = 1, painters = [{ id: 5, full_name: 'Ravi', phone: '9876543210', status: 'approved' }] } = {}) {
+        const calls = [];
+        return {
+            calls,
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/config_key = \?/i.test(sql)) return [[{ config_value: '1' }]];
+                if (/painter_points_expiry_enabled/i.test(sql)) {
+                    return [[{ config_key: 'painter_points_expiry_enabled', config_value: enabled }]];
+                }
+                if (/INSERT IGNORE INTO job_runs/i.test(sql)) return [{ affectedRows: jobClaimed }];
+                if (/INSERT IGNORE INTO painter_points_expiry_warnings/i.test(sql)) return [{ affectedRows: warningClaimed }];
+                if (/FROM painters p/i.test(sql)) return [painters];
+                return [{ affectedRows: 0 }];
+            }),
+            getConnection: jest.fn(),
+        };
+    }
+
+    it('claims the day, expires and warns on push + WhatsApp', async () => {
+        const pool = makePool();
+        scheduler.setPool(pool);
+        await scheduler.runPointsExpiry('2026-10-19');
+
+        expect(pool.calls.find(c => /INSERT IGNORE INTO job_runs/i.test(c[0]))[1]).toEqual(['painter-points-expiry', '2026-10-19']);
+        // history stamped tonight expires no sooner than the widest warning
+        expect(pool.calls.find(c => /SET expires_at = GREATEST/.test(c[0]))[1]).toEqual([18, '2026-11-18']);
+        // candidates look as far ahead as the widest warning
+        expect(pool.calls.find(c => /FROM painters p/i.test(c[0]))[1]).toEqual(['2026-11-18']);
+        expect(expireSpy).toHaveBeenCalledWith(5, '2026-10-19');
+
+        const types = notifications.sendToPainter.mock.calls.map(c => c[1].type);
+        expect(types).toEqual(['points_expired', 'points_expiry_warning']);
+        expect(notifications.sendToPainter.mock.calls[1][1].title).toBe('200 points expire in 22 days');
+        expect(notifications.sendWhatsApp).toHaveBeenCalledWith(5, expect.stringContaining('expire on 10 Nov 2026'), 'painter_points_expiry');
+    });
+
+    it('does not repeat a warning already claimed', async () => {
+        scheduler.setPool(makePool({ warningClaimed: 0 }));
+        await scheduler.runPointsExpiry('2026-10-19');
+        expect(notifications.sendToPainter.mock.calls.map(c => c[1].type)).toEqual(['points_expired']);
+        expect(notifications.sendWhatsApp).not.toHaveBeenCalled();
+    });
+
+    it('does nothing while the policy is off', async () => {
+        const pool = makePool({ enabled: '0' });
+        scheduler.setPool(pool);
+        await scheduler.runPointsExpiry('2026-10-19');
+        expect(pool.calls.some(c => /job_runs/i.test(c[0]))).toBe(false);
+        expect(expireSpy).not.toHaveBeenCalled();
+    });
+
+    it('skips a day another run already claimed', async () => {
+        scheduler.setPool(makePool({ jobClaimed: 0 }));
+        await scheduler.runPointsExpiry('2026-10-19');
+        expect(expireSpy).not.toHaveBeenCalled();
+    });
+
+    it('releases the claim when the run fails', async () => {
+        const pool = makePool();
+        pool.query.mockImplementation(async (sql, params) => {
+            pool.calls.push([sql, params]);
+            if (/config_key = \?/i.test(sql)) return [[{ config_value: '1' }]];
+            if (/painter_points_expiry_enabled/i.test(sql)) return [[{ config_key: 'painter_points_expiry_enabled', config_value: '1' }]];
+            if (/INSERT IGNORE INTO job_runs/i.test(sql)) return [{ affectedRows: 1 }];
+            if (/SET expires_at = GREATEST/.test(sql)) throw new Error('lock wait timeout');
+            return [{ affectedRows: 0 }];
+        });
+        scheduler.setPool(pool);
+        await scheduler.runPointsExpiry('2026-10-19');
+        const release = pool.calls.find(c => /DELETE FROM job_runs/i.test(c[0]));
+        expect(release[1]).toEqual(['painter-points-expiry', '2026-10-19']);
+    });
+});
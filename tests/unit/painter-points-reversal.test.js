@@ -13,6 +13,8 @@ const engine = require('../../services/painter-points-engine');
 function makePool({ claims = [], referrals = [], balances = {} }) {
     const inserts = [];     // painter_point_transactions rows
     const clawbacks = [];   // painter_clawback_pending rows
+    const claimUpdates = []; // partial (sales-return) reductions of claim rows
+    const claimDeletes = [];
     const conn = {
         beginTransaction: async () => {}, commit: async () => {}, rollback: async () => {}, release: () => {},
         query: async (sql, params) => {
@@ -32,9 +34,10 @@ function makePool({ claims = [], referrals = [], balances = {} }) {
         }
     };
     const pool = {
-        inserts, clawbacks, balances,
+        inserts, clawbacks, balances, claimUpdates, claimDeletes,
         getConnection: async () => conn,
         query: async (sql, params) => {
+            if (/DELETE FROM painter_invoices_processed/.test(sql)) { claimDeletes.push(params); return [{ affectedRows: claims.length }]; }
             if (/FROM painter_invoices_processed WHERE invoice_id/.test(sql)) return [claims];
             if (/source = 'referral'/.test(sql)) return [referrals];
             if (/FROM painters WHERE id = \?/.test(sql) && !/FOR UPDATE/.test(sql)) {
@@ -42,7 +45,7 @@ function makePool({ claims = [], referrals = [], balances = {} }) {
                 return [[{ regular_points: b.regular_points, annual_points: b.annual_points }]];
             }
             if (/INSERT INTO painter_clawback_pending/.test(sql)) { clawbacks.push(params); return [{ insertId: clawbacks.length }]; }
-            if (/DELETE FROM painter_invoices_processed/.test(sql)) return [{ affectedRows: claims.length }];
+            if (/UPDATE painter_invoices_processed/.test(sql)) { claimUpdates.push(params); return [{ affectedRows: 1 }]; }
             return [[]];
         }
     };
@@ -85,4 +88,34 @@ describe('reverseInvoicePoints', () => {
         expect(pool.inserts.length).toBe(0);
         expect(pool.clawbacks.length).toBe(0);
     });
+
+    it('reverses a sales return in proportion and keeps the reduced claim', async () => {
+        const pool = makePool({
+            claims: [{ painter_id: 5, regular_points: 75, annual_points: 30 }],   // a quarter already returned
+            referrals: [{ painter_id: 8, pool: 'regular', amt: 40 }],
+            balances: { 5: { regular_points: 1000, annual_points: 500 }, 8: { regular_points: 100, annual_points: 0 } },
+        });
+        engine.setPool(pool);
+        const r = await engine.reverseInvoicePoints('ZINV3', 99, { fraction: 0.25, returnedBefore: 0.25, label: 'Goods returned on BI-1 (SR-1)' });
+        // claim scaled by 0.25 / 0.75; referral by 0.25 of the original earn
+        expect(r.reversed[0].regular).toEqual({ deducted: 25, clawback: 0 });
+        expect(r.reversed[0].annual).toEqual({ deducted: 10, clawback: 0 });
+        expect(r.reversed[1]).toMatchObject({ painter_id: 8, referral_pool: 'regular', deducted: 10 });
+        expect(pool.claimUpdates).toEqual([[25, 10, 5, 'ZINV3', 'ZINV3']]);
+        expect(pool.claimDeletes.length).toBe(0);
+        // ledger rows carry the sales_return source
+        expect(pool.inserts.every(p => p[4] === 'sales_return' && p[6] === 'invoice_return')).toBe(true);
+    });
+
+    it('drops the claim rows when the last of the invoice is returned', async () => {
+        const pool = makePool({
+            claims: [{ painter_id: 5, regular_points: 50, annual_points: 0 }],
+            balances: { 5: { regular_points: 1000, annual_points: 0 } },
+        });
+        engine.setPool(pool);
+        const r = await engine.reverseInvoicePoints('ZINV4', 99, { fraction: 0.5, returnedBefore: 0.5 });
+        expect(r.reversed[0].regular).toEqual({ deducted: 50, clawback: 0 });
+        expect(pool.claimUpdates.length).toBe(0);
+        expect(pool.claimDeletes.length).toBe(1);
+    });
 });
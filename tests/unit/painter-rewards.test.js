@@ -0,0 +1,293 @@
+/**
+ * Painter rewards catalogue (services/painter-rewards.js + the /me/rewards
+ * painter routes and /rewards admin routes).
+ *
+ * Locks:
+ *   - normaliseReward: required fields, vouchers need a value, blank stock is
+ *     unlimited, level / fulfilment must be known values;
+ *   - eligibilityIssue: level order, stock, per-painter limit, balance;
+ *   - planRedemption: quantity bounds, pickup needs a branch, dispatch needs an
+ *     address, pickup-only / dispatch-only rewards, totals;
+ *   - checkHandoverOtp: match, attempts cap, no code sent;
+ *   - assertTransition: the queue's allowed moves;
+ *   - POST /me/rewards/:rewardId/redeem: stock and points come off inside one
+ *     transaction as a 'redeem' row; refusals roll back with a 400;
+ *   - POST /rewards/redemptions/:id/handover: wrong OTP counts an attempt,
+ *     right OTP delivers and issues a voucher code; staff and managers hand
+ *     over pickups at their own branch only;
+ *   - GET /rewards/redemptions: staff and managers see their branch's pickups
+ *     and every dispatch, admins every branch.
+ *
+ * Handlers invoked directly via router stack walk (stock-transfers pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+jest.mock('../../services/painter-notification-service', () => ({ sendToPainter: jest.fn().mockResolvedValue({}) }));
+
+const rewards = require('../../services/painter-rewards');
+const { hashOtp } = require('../../services/otp-utils');
+const painterRoutes = require('../../routes/painters/painter');
+const adminRoutes = require('../../routes/painters/admin');
+
+const findRoute = (router, method, path) => router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const fails = (fn) => {
+    try { fn(); } catch (e) { return e; }
+    return null;
+};
+
+const REWARD = {
+    id: 3, name: 'Roller set', category: 'tool', points_cost: '500.00', voucher_value: null, stock: 4,
+    min_level: 'silver', fulfilment: 'either', max_per_painter: 2, is_active: 1
+};
+
+describe('normaliseReward', () => {
+    it('fills defaults and treats blank stock as unlimited', () => {
+        expect(rewards.normaliseReward({ name: ' Cap ', category: 'gift', points_cost: '150', stock: '' })).toMatchObject({
+            name: 'Cap', category: 'gift', points_cost: 150, voucher_value: null, stock: null,
+            min_level: 'bronze', fulfilment: 'either', max_per_painter: null, is_active: 1
+        });
+    });
+
+    it('refuses bad entries', () => {
+        expect(fails(() => rewards.normaliseReward({ category: 'gift', points_cost: 10 })).code).toBe('INVALID_REWARD');
+        expect(fails(() => rewards.normaliseReward({ name: 'X', category: 'cash', points_cost: 10 })).message).toMatch(/Category/);
+        expect(fails(() => rewards.normaliseReward({ name: 'X', category: 'gift', points_cost: 0 })).message).toMatch(/positive/);
+        expect(fails(() => rewards.normaliseReward({ name: 'X', category: 'voucher', points_cost: 10 })).message).toMatch(/store-credit value/);
+        expect(fails(() => rewards.normaliseReward({ name: 'X', category: 'gift', points_cost: 10, stock: -1 })).message).toMatch(/Stock/);
+        expect(fails(() => rewards.normaliseReward({ name: 'X', category: 'gift', points_cost: 10, min_level: 'platinum' })).message).toMatch(/Level/);
+    });
+});
+
+describe('eligibilityIssue', () => {
+    it('follows the level order', () => {
+        expect(rewards.eligibilityIssue(REWARD, { level: 'bronze' })).toBe('Reach Silver level to redeem this reward');
+        expect(rewards.eligibilityIssue(REWARD, { level: 'silver' })).toBeNull();
+        expect(rewards.eligibilityIssue(REWARD, { level: 'diamond' })).toBeNull();
+    });
+
+    it('checks stock, the per-painter limit and the balance', () => {
+        expect(rewards.eligibilityIssue(REWARD, { level: 'gold' }, 5)).toBe('Only 4 left');
+        expect(rewards.eligibilityIssue({ ...REWARD, stock: 0 }, { level: 'gold' })).toBe('Out of stock');
+        expect(rewards.eligibilityIssue({ ...REWARD, stock: null }, { level: 'gold' }, 2)).toBeNull();
+        expect(rewards.eligibilityIssue(REWARD, { level: 'gold', redeemedCount: 1 }, 2)).toBe('Limit 2 per painter');
+        expect(rewards.eligibilityIssue(REWARD, { level: 'gold', balance: 499 })).toBe('Not enough points');
+        expect(rewards.eligibilityIssue({ ...REWARD, is_active: 0 }, { level: 'gold' })).toMatch(/no longer available/);
+    });
+});
+
+describe('planRedemption', () => {
+    const painter = { level: 'gold', redeemedCount: 0 };
+
+    it('totals a branch pickup', () => {
+        expect(rewards.planRedemption(REWARD, painter, { quantity: '2', fulfilment: 'pickup', branch_id: '7' })).toEqual({
+            quantity: 2, fulfilment: 'pickup', branch_id: 7, delivery_address: null,
+            points_each: 500, total_points: 1000, voucher_value: null
+        });
+    });
+
+    it('carries the voucher value per unit', () => {
+        const voucher = { ...REWARD, category: 'voucher', voucher_value: '250', fulfilment: 'dispatch', max_per_painter: null };
+        expect(rewards.planRedemption(voucher, painter, { quantity: 3, delivery_address: '12 Gandhi Road, Madurai' }))
+            .toMatchObject({ fulfilment: 'dispatch', voucher_value: 750, total_points: 1500 });
+    });
+
+    it('refuses missing pickup branch, short address, wrong fulfilment and bad quantity', () => {
+        expect(fails(() => rewards.planRedemption(REWARD, painter, { fulfilment: 'pickup' })).message).toMatch(/branch/);
+        expect(fails(() => rewards.planRedemption(REWARD, painter, { fulfilment: 'dispatch', delivery_address: 'here' })).message).toMatch(/address/);
+        expect(fails(() => rewards.planRedemption({ ...REWARD, fulfilment: 'pickup' }, painter, { fulfilment: 'dispatch', delivery_address: '12 Gandhi Road, Madurai' })).message)
+            .toMatch(/collected at a branch/);
+        expect(fails(() => rewards.planRedemption(REWARD, painter, { quantity: 11, fulfilment: 'pickup', branch_id: 7 })).code).toBe('NOT_ELIGIBLE');
+        expect(fails(() => rewards.planRedemption(REWARD, painter, { quantity: 0, fulfilment: 'pickup', branch_id: 7 })).code).toBe('NOT_ELIGIBLE');
+    });
+});
+
+describe('handover OTP and transitions', () => {
+    it('matches the hashed code and stops after the attempt cap', () => {
+        const { otp, hash } = rewards.newHandoverOtp();
+        expect(otp).toMatch(/^\d{6}$/);
+        expect(rewards.checkHandoverOtp({ handover_otp_hash: hash, handover_otp_attempts: 0 }, otp)).toEqual({ ok: true, exhausted: false });
+        expect(rewards.checkHandoverOtp({ handover_otp_hash: hash, handover_otp_attempts: 2 }, '000000').ok).toBe(false);
+        expect(rewards.checkHandoverOtp({ handover_otp_hash: hash, handover_otp_attempts: 5 }, otp)).toEqual({ ok: false, exhausted: true });
+        expect(rewards.checkHandoverOtp({ handover_otp_hash: null, handover_otp_attempts: 0 }, otp).exhausted).toBe(true);
+    });
+
+    it('issues voucher codes without look-alike characters', () => {
+        expect(rewards.newVoucherCode()).toMatch(/^QCV-[A-HJ-NP-Z2-9]{8}$/);
+    });
+
+    it('allows only the queue moves', () => {
+        expect(() => rewards.assertTransition('requested', 'ready')).not.toThrow();
+        expect(() => rewards.assertTransition('dispatched', 'handover')).not.toThrow();
+        expect(() => rewards.assertTransition('ready', 'cancel')).not.toThrow();
+        expect(fails(() => rewards.assertTransition('ready', 'painter_cancel')).code).toBe('REDEMPTION_STATE');
+        expect(fails(() => rewards.assertTransition('delivered', 'cancel')).message).toBe('Cannot cancel a redemption that is delivered');
+        expect(fails(() => rewards.assertTransition('requested', 'handover')).code).toBe('REDEMPTION_STATE');
+    });
+});
+
+describe('POST /me/rewards/:rewardId/redeem', () => {
+    const handler = lastHandler(findRoute(painterRoutes.router, 'post', '/me/rewards/:rewardId/redeem'));
+
+    function makeConn({ reward = REWARD, level = 'gold', points = '2000.00' } = {}) {
+        const calls = [];
+        return {
+            calls,
+            beginTransaction: jest.fn(async () => {}),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_rewards WHERE id/i.test(sql)) return [[reward]];
+                if (/SELECT current_level FROM painters/i.test(sql)) return [[{ current_level: level }]];
+                if (/SUM\(quantity\)/i.test(sql)) return [[{ qty: 0 }]];
+                if (/FROM branches WHERE id/i.test(sql)) return [[{ id: 7 }]];
+                if (/SELECT redemption_number FROM/i.test(sql)) return [[]];
+                if (/INSERT INTO painter_reward_redemptions/i.test(sql)) return [{ insertId: 41 }];
+                if (/FROM painters WHERE id = \? FOR UPDATE/i.test(sql)) return [[{ regular_points: points, annual_points: '0' }]];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+
+    it('takes stock and points in the same transaction', async () => {
+        const conn = makeConn();
+        painterRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { rewardId: '3' }, painter: { id: 5 }, body: { quantity: 2, fulfilment: 'pickup', branch_id: 7 } }, res);
+
+        expect(res.body).toMatchObject({ success: true, balance: 1000, redemption: { id: 41, total_points: 1000, status: 'requested' } });
+        expect(res.body.redemption.redemption_number).toMatch(/^RW-\d{8}-001$/);
+        const stock = conn.calls.find(c => /SET stock = stock - \?/.test(c[0]));
+        expect(stock[1]).toEqual([2, 3]);
+        const ledger = conn.calls.find(c => /INSERT INTO painter_point_transactions/i.test(c[0]));
+        expect(ledger[1]).toEqual([5, 'regular', -1000, 1000, 'reward', '41', 'reward_redemption',
+            expect.stringMatching(/^Redeemed 2 × Roller set \(RW-/), null, 'redeem']);
+        expect(conn.commit).toHaveBeenCalled();
+        expect(conn.rollback).not.toHaveBeenCalled();
+    });
+
+    it('rolls back when the painter is below the reward level', async () => {
+        const conn = makeConn({ level: 'bronze' });
+        painterRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { rewardId: '3' }, painter: { id: 5 }, body: { fulfilment: 'pickup', branch_id: 7 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Reach Silver level to redeem this reward');
+        expect(conn.calls.some(c => /INSERT INTO painter_reward_redemptions/i.test(c[0]))).toBe(false);
+        expect(conn.rollback).toHaveBeenCalled();
+    });
+
+    it('rolls back the stock when the balance is short', async () => {
+        const conn = makeConn({ points: '400.00' });
+        painterRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { rewardId: '3' }, painter: { id: 5 }, body: { fulfilment: 'pickup', branch_id: 7 } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.message).toBe('Not enough points');
+        expect(conn.commit).not.toHaveBeenCalled();
+        expect(conn.rollback).toHaveBeenCalled();
+    });
+});
+
+describe('POST /rewards/redemptions/:id/handover', () => {
+    const handler = lastHandler(findRoute(adminRoutes.router, 'post', '/rewards/redemptions/:id/handover'));
+    const REDEMPTION = {
+        id: 41, redemption_number: 'RW-20261019-001', painter_id: 5, reward_name: 'Store credit', category: 'voucher',
+        voucher_value: '750.00', fulfilment: 'pickup', branch_id: 7, status: 'ready',
+        handover_otp_hash: hashOtp('482913'), handover_otp_attempts: 0
+    };
+
+    function makeConn(redemption = REDEMPTION) {
+        const calls = [];
+        return {
+            calls,
+            beginTransaction: jest.fn(async () => {}),
+            commit: jest.fn(async () => {}),
+            rollback: jest.fn(async () => {}),
+            release: jest.fn(),
+            query: jest.fn(async (sql, params) => {
+                calls.push([sql, params]);
+                if (/FROM painter_reward_redemptions WHERE id/i.test(sql)) return [[redemption]];
+                return [{ affectedRows: 1 }];
+            }),
+        };
+    }
+    const staff = { id: 9, role: 'staff', branch_id: 7 };
+
+    it('counts a wrong OTP against the attempts', async () => {
+        const conn = makeConn();
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { id: '41' }, user: staff, body: { otp: '111111' } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(conn.calls.some(c => /handover_otp_attempts = handover_otp_attempts \+ 1/.test(c[0]))).toBe(true);
+        expect(conn.calls.some(c => /SET status = 'delivered'/.test(c[0]))).toBe(false);
+    });
+
+    it('delivers on the right OTP and issues the voucher code', async () => {
+        const conn = makeConn();
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { id: '41' }, user: staff, body: { otp: '482913' } }, res);
+        expect(res.body).toEqual({ success: true, voucher_code: expect.stringMatching(/^QCV-/) });
+        const done = conn.calls.find(c => /SET status = 'delivered'/.test(c[0]));
+        expect(done[1]).toEqual([9, res.body.voucher_code, 41]);
+    });
+
+    it('keeps staff to pickups at their own branch', async () => {
+        const conn = makeConn();
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { id: '41' }, user: { ...staff, branch_id: 2 }, body: { otp: '482913' } }, res);
+        expect(res.statusCode).toBe(403);
+    });
+
+    it('keeps managers to their own branch too; admins hand over anywhere', async () => {
+        const conn = makeConn();
+        adminRoutes.setPool({ getConnection: async () => conn });
+        const res = mockRes();
+        await handler({ params: { id: '41' }, user: { id: 4, role: 'manager', branch_id: 2 }, body: { otp: '482913' } }, res);
+        expect(res.statusCode).toBe(403);
+
+        const res2 = mockRes();
+        await handler({ params: { id: '41' }, user: { id: 1, role: 'admin', branch_id: 2 }, body: { otp: '482913' } }, res2);
+        expect(res2.body).toEqual(expect.objectContaining({ success: true }));
+    });
+});
+
+describe('GET /rewards/redemptions', () => {
+    const handler = lastHandler(findRoute(adminRoutes.router, 'get', '/rewards/redemptions'));
+
+    async function queue(user) {
+        const calls = [];
+        adminRoutes.setPool({ query: jest.fn(async (sql, params) => { calls.push([sql, params]); return [[]]; }) });
+        await handler({ query: {}, user }, mockRes());
+        return calls[0];
+    }
+
+    it('scopes staff and managers to their branch pickups plus dispatches', async () => {
+        for (const role of ['staff', 'manager']) {
+            const [sql, params] = await queue({ id: 9, role, branch_id: 7 });
+            expect(sql).toMatch(/AND \(r\.fulfilment = 'dispatch' OR r\.branch_id = \?\)/);
+            expect(params).toEqual([7]);
+        }
+    });
+
+    it('shows admins every branch', async () => {
+        const [sql, params] = await queue({ id: 1, role: 'admin', branch_id: 7 });
+        expect(sql).not.toMatch(/r\.branch_id = \?/);
+        expect(params).toEqual([]);
+    });
+});
@@ -45,7 +45,7 @@ function makeArPool({ payment, sum = 0, grandTotal = 1000, count = 0 } = {}) {
         calls.push({ sql: s, params });
         if (/SELECT \* FROM billing_payments WHERE id = \? AND deleted_at IS NULL/.test(s)) return [payment ? [payment] : []];
         if (/SUM\(amount\)[\s\S]*FROM billing_payments WHERE invoice_id/.test(s)) return [[{ total_paid: sum }]];
-        if (/SELECT grand_total FROM billing_invoices/.test(s)) return [[{ grand_total: grandTotal }]];
+        if (/SELECT grand_total, returned_amount FROM billing_invoices/.test(s)) return [[{ grand_total: grandTotal }]];
         if (/COUNT\(\*\)[\s\S]*FROM billing_payments WHERE invoice_id/.test(s)) return [[{ c: count }]];
         return [{ affectedRows: 1 }];
     };
@@ -63,7 +63,7 @@ function makeApPool({ payment, sum = 0, grandTotal = 1000, count = 0, billExists
         calls.push({ sql: s, params });
         if (/SELECT \* FROM vendor_payments WHERE id = \? AND deleted_at IS NULL/.test(s)) return [payment ? [payment] : []];
         if (/SUM\(amount\)[\s\S]*FROM vendor_payments WHERE bill_id/.test(s)) return [[{ total_paid: sum }]];
-        if (/SELECT grand_total FROM vendor_bills/.test(s)) return [billExists ? [{ grand_total: grandTotal }] : []];
+        if (/SELECT grand_total, returned_amount FROM vendor_bills/.test(s)) return [billExists ? [{ grand_total: grandTotal }] : []];
         if (/COUNT\(\*\)[\s\S]*FROM vendor_payments WHERE bill_id/.test(s)) return [[{ c: count }]];
         return [{ affectedRows: 1 }];
     };
@@ -203,6 +203,21 @@ describe('reverseInvoicePayment (AR) — decision matrix', () => {
         expect(hasSoftDelete(pool.calls, 'billing_payments')).toBe(false);
     });
 
+    it('closed day-close for the payment date: throws DAY_CLOSED, no Zoho call, nothing touched', async () => {
+        const pool = makeArPool({ payment: arRow({ zoho_payment_id: 'ZP123', payment_date: '2026-10-18' }) });
+        const base = pool.query;
+        pool.query = async (sql, params) => {
+            if (/SELECT branch_id FROM billing_invoices/.test(sql)) return [[{ branch_id: 2 }]];
+            if (/FROM branch_day_closes/.test(sql)) { pool.calls.push({ sql, params }); return [[{ status: 'closed' }]]; }
+            return base(sql, params);
+        };
+        billing.setPool(pool);
+        await expect(billing.reverseInvoicePayment(5)).rejects.toMatchObject({ code: 'DAY_CLOSED' });
+        expect(pool.calls.find(c => /branch_day_closes/.test(c.sql)).params).toEqual([2, '2026-10-18']);
+        expect(mockDeleteCustomerPayment).not.toHaveBeenCalled();
+        expect(hasSoftDelete(pool.calls, 'billing_payments')).toBe(false);
+    });
+
     it('missing / already-reversed payment: throws NOT_FOUND', async () => {
         const pool = makeArPool({ payment: null });
         billing.setPool(pool);
@@ -0,0 +1,205 @@
+/**
+ * Price-list parser plug-ins — services/price-list-parsers/.
+ *
+ * Locks:
+ *   - every brand's golden fixture still parses to the same rows and prices
+ *     (the CLI scripts/price-list-fixtures.js runs the same check);
+ *   - detection keeps the old brand order and Berger's XP / non-XP keys;
+ *   - the column-mapping parser reads long (one row per pack) and wide (one
+ *     column per pack) tables from CSV and XLSX, and refuses bad mappings;
+ *   - a plug-in added at run time is detected without touching the core.
+ */
+
+const zlib = require('zlib');
+const parsers = require('../../services/price-list-parsers');
+const tabular = require('../../services/price-list-parsers/tabular');
+const { readXlsx } = require('../../services/price-list-parsers/xlsx');
+const { parsePriceList, detectBrand } = require('../../services/price-list-parser');
+
+/** A stored (uncompressed) zip, enough for readXlsx. */
+function zip(files) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+    for (const [name, text] of Object.entries(files)) {
+        const data = Buffer.from(text, 'utf8');
+        const nameBuf = Buffer.from(name, 'utf8');
+        const crc = zlib.crc32(data);
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt16LE(20, 4);
+        local.writeUInt32LE(crc, 14);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBuf.length, 26);
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(20, 4);
+        central.writeUInt16LE(20, 6);
+        central.writeUInt32LE(crc, 16);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBuf.length, 28);
+        central.writeUInt32LE(offset, 42);
+        locals.push(local, nameBuf, data);
+        centrals.push(central, nameBuf);
+        offset += 30 + nameBuf.length + data.length;
+    }
+    const dir = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(centrals.length / 2, 8);
+    end.writeUInt16LE(centrals.length / 2, 10);
+    end.writeUInt32LE(dir.length, 12);
+    end.writeUInt32LE(offset, 16);
+    return Buffer.concat([...locals, dir, end]);
+}
+
+function workbook(rows) {
+    const strings = [];
+    const sheetRows = rows.map((row, r) => `<row r="${r + 1}">${row.map((v, c) => {
+        const ref = String.fromCharCode(65 + c) + (r + 1);
+        if (typeof v === 'number') return `<c r="${ref}"><v>${v}</v></c>`;
+        strings.push(v);
+        return `<c r="${ref}" t="s"><v>${strings.length - 1}</v></c>`;
+    }).join('')}</row>`).join('');
+    return zip({
+        'xl/workbook.xml': '<workbook><sheets><sheet name="DPL" sheetId="1" r:id="rId1"/></sheets></workbook>',
+        'xl/_rels/workbook.xml.rels': '<Relationships><Relationship Id="rId1" Target="worksheets/sheet1.xml"/></Relationships>',
+        'xl/sharedStrings.xml': `<sst>${strings.map(s => `<si><t>${s.replace(/&/g, '&amp;')}</t></si>`).join('')}</sst>`,
+        'xl/worksheets/sheet1.xml': `<worksheet><sheetData>${sheetRows}</sheetData></worksheet>`
+    });
+}
+
+describe('golden fixtures', () => {
+    test('every brand parser still matches its golden output', async () => {
+        const reports = await parsers.runFixtures();
+        expect(reports.map(r => r.plugin)).toEqual(['asian', 'berger', 'birlaopus', 'gem', 'jsw', 'nippon']);
+        for (const r of reports) expect({ plugin: r.plugin, ok: r.ok, error: r.error }).toEqual({ plugin: r.plugin, ok: true, error: undefined });
+    });
+
+    test('compareRows reports price changes, missing and added rows', () => {
+        const row = (product, packSize, dpl) => ({ product, packSize, dpl });
+        const diff = parsers.compareRows(
+            [row('Apex', '1L', 520), row('Apex', '4L', 1980), row('Tractor', '1L', 198)],
+            [row('Apex', '1L', 540), row('Apex', '4L', 1980), row('Royale', '1L', 612)]
+        );
+        expect(diff).toEqual({
+            ok: false,
+            expectedRows: 3,
+            actualRows: 3,
+            priceChanges: [{ key: 'Apex|1L|', expected: 520, actual: 540 }],
+            missing: ['Tractor|1L|'],
+            added: ['Royale|1L|']
+        });
+    });
+});
+
+describe('detection', () => {
+    test('keeps the old order and brand keys', () => {
+        expect(detectBrand('', 'Berger NON XP DPL.pdf')).toBe('berger-nonxp');
+        expect(detectBrand('', 'Berger XP DPL.pdf')).toBe('berger-xp');
+        expect(detectBrand('', 'Berger DPL.pdf')).toBe('berger-nonxp');
+        // Asian is checked first, so a list naming both goes to Asian
+        expect(detectBrand('ASIAN PAINTS vs BIRLA OPUS', 'list.pdf')).toBe('asian');
+        expect(detectBrand('NIPPON PAINT', 'dpl.pdf')).toBe('nippon');
+        expect(detectBrand('hello', 'dpl.pdf')).toBe('unknown');
+    });
+
+    test('an unknown list names the supported brands', () => {
+        expect(() => parsers.parseInput({ kind: 'pdf', text: 'hello', rows: null }, { filename: 'x.pdf' }))
+            .toThrow(expect.objectContaining({ code: 'UNKNOWN_FORMAT', message: expect.stringMatching(/Supported: Asian Paints, Berger/) }));
+    });
+
+    test('a forced parser must read the input format', () => {
+        expect(() => parsers.parseInput({ kind: 'csv', text: '', rows: [] }, { parser: 'nippon' }))
+            .toThrow(/Nippon parser reads pdf files, not csv/);
+        expect(() => parsers.parseInput({ kind: 'pdf', text: '' }, { parser: 'nope' })).toThrow(/No price-list parser "nope"/);
+    });
+});
+
+describe('column mapping', () => {
+    const LONG = [
+        ['Indigo Paints dealer price list'],
+        ['Product', 'Base', 'Pack', 'DPL'],
+        ['Acrylic Emulsion', 'White', '1 L', '310'],
+        ['Acrylic Emulsion', 'White', '4 L', '1,180.00'],
+        ['Acrylic Emulsion', 'Pastel', '20 L', '-'],
+        ['Total', '', '', '9999']
+    ];
+
+    test('long table: one row per pack, header found by name', () => {
+        const rows = tabular.parseRows(LONG, {
+            brand: 'Indigo Paints',
+            columns: { product: 'product', shade: 'Base', pack_size: 'Pack', dpl: 'DPL' },
+            skip_pattern: '^Total'
+        });
+        expect(rows).toEqual([
+            { brand: 'Indigo Paints', product: 'Acrylic Emulsion - White', category: '', baseCode: '', packSize: '1L', dpl: 310 },
+            { brand: 'Indigo Paints', product: 'Acrylic Emulsion - White', category: '', baseCode: '', packSize: '4L', dpl: 1180 }
+        ]);
+    });
+
+    test('wide table: pack columns found automatically', () => {
+        const rows = tabular.parseRows([
+            ['Code', 'Product', 'Range', '1 L', '4 L', '200 ml', 'Remarks'],
+            ['IN01', 'Floor Coat', 'Specialty', '260', '', '70', 'new']
+        ], { brand: 'Indigo Paints', header_row: 1, columns: { product: 'Product', category: 'Range', base_code: 0 }, pack_columns: 'auto' });
+        expect(rows.map(r => [r.packSize, r.dpl, r.baseCode, r.category])).toEqual([['1L', 260, 'IN01', 'Specialty'], ['200ml', 70, 'IN01', 'Specialty']]);
+    });
+
+    test('bad mappings are refused', () => {
+        const bad = (mapping) => () => tabular.parseRows(LONG, mapping);
+        expect(bad({ columns: { product: 'Product' } })).toThrow(expect.objectContaining({ code: 'INVALID_MAPPING', message: 'Mapping needs a brand' }));
+        expect(bad({ brand: 'X', columns: { product: 'Product' } })).toThrow(/pack_size and dpl columns/);
+        expect(bad({ brand: 'X', columns: { product: 'Product', pack_size: 'Size', dpl: 'DPL' } })).toThrow(/Column "Size" not found/);
+        expect(bad({ brand: 'X', columns: { product: 'Name', pack_size: 'Pack', dpl: 'DPL' } })).toThrow(/first 20 rows/);
+    });
+
+    test('a mapping on a PDF is refused', () => {
+        expect(() => parsers.parseInput({ kind: 'pdf', text: 'x', rows: null }, { mapping: { brand: 'X', columns: { product: 'P' } } }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_MAPPING' }));
+    });
+
+    test('parsePriceList reads a CSV with an upload mapping', async () => {
+        const csv = Buffer.from('\uFEFFProduct,Pack,DPL\r\n"Wall Putty, White",20 Kg,"1,150"\r\n');
+        const result = await parsePriceList(csv, 'indigo.csv', {
+            mapping: { brand: 'Indigo Paints', columns: { product: 'Product', pack_size: 'Pack', dpl: 'DPL' } }
+        });
+        expect(result).toEqual(expect.objectContaining({ brand: 'Indigo Paints', parser: 'mapping', format: 'csv', totalExtracted: 1 }));
+        expect(result.items[0]).toEqual(expect.objectContaining({ product: 'Wall Putty, White', packSize: '20kg', dpl: 1150 }));
+    });
+});
+
+describe('XLSX', () => {
+    test('reads shared strings, numbers and entities', () => {
+        const { sheets, rows } = readXlsx(workbook([['Product', '1 L'], ['Floor & Roof', 260]]));
+        expect(sheets).toEqual(['DPL']);
+        expect(rows).toEqual([['Product', '1 L'], ['Floor & Roof', '260']]);
+        expect(() => readXlsx(Buffer.from('PK not a zip'))).toThrow(expect.objectContaining({ code: 'UNSUPPORTED_INPUT' }));
+    });
+
+    test('a registered tabular plug-in is detected from its headers', async () => {
+        parsers.register(parsers.definePlugin({
+            id: 'indigo',
+            label: 'Indigo Paints',
+            match: { headers: ['Indigo Code', 'Product'] },
+            mapping: { brand: 'Indigo Paints', columns: { product: 'Product', base_code: 'Indigo Code' }, pack_columns: ['1 L', '4 L'] }
+        }));
+        try {
+            expect(() => parsers.register({ id: 'indigo', detect: () => false, parse: () => [] })).toThrow(/already registered/);
+            const xlsx = workbook([['Indigo Code', 'Product', '1 L', '4 L'], ['IN01', 'Floor Coat', 260, 990]]);
+            const result = await parsePriceList(xlsx, 'march.xlsx');
+            expect(result).toEqual(expect.objectContaining({ brand: 'indigo', parser: 'indigo', format: 'xlsx', totalExtracted: 2 }));
+            expect(result.items.map(r => [r.packSize, r.dpl])).toEqual([['1L', 260], ['4L', 990]]);
+        } finally {
+            parsers.unregister('indigo');
+        }
+        await expect(parsePriceList(workbook([['Indigo Code', 'Product']]), 'march.xlsx')).rejects.toThrow(/Unknown brand format/);
+    });
+
+    test('plug-ins are validated', () => {
+        expect(() => parsers.register({ id: 'Bad Id', detect() {}, parse() {} })).toThrow(expect.objectContaining({ code: 'INVALID_PLUGIN' }));
+        expect(() => parsers.register({ id: 'x', detect() {}, parse() {}, formats: ['doc'] })).toThrow(/formats must be/);
+    });
+});
@@ -0,0 +1,200 @@
+/**
+ * Effective-dated price changes — services/scheduled-prices.js and the
+ * item-master dpl-apply / price-history routes.
+ *
+ * Locks:
+ *   - dpl-apply with a future effective date (or a DPL version dated ahead)
+ *     queues 'scheduled' history rows and leaves the item prices alone;
+ *   - runDue switches due simulations and scheduled rows in one Zoho bulk job,
+ *     refreshes the old prices at the switch, dates history by effective date,
+ *     and notifies staff and engineers;
+ *   - a simulation is marked applied in the transaction that switches its
+ *     items, so a failed switch rolls it back to scheduled;
+ *   - nothing due is a no-op (no job, no notifications);
+ *   - price-history filters and orders by the effective date and hides
+ *     cancelled rows unless asked.
+ *
+ * Handlers invoked directly via router stack walk (item-master-search pattern).
+ */
+
+const scheduled = require('../../services/scheduled-prices');
+const itemMaster = require('../../routes/item-master');
+
+const findRoute = (method, path) => itemMaster.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+function makeDb({ dueSimulations = [], simulationItems = [], dueHistory = [], versions = [] } = {}) {
+    const calls = [];
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ').trim();
+            calls.push({ sql: s, params });
+            if (/FROM dpl_versions WHERE id/.test(s)) return [versions];
+            if (/^SELECT zoho_rate, zoho_purchase_rate, zoho_cf_dpl FROM zoho_items_map/.test(s)) {
+                return [[{ zoho_rate: '1000.00', zoho_purchase_rate: '770.00', zoho_cf_dpl: '770.00' }]];
+            }
+            if (/FROM dpl_price_simulations WHERE status = 'scheduled' AND effective_date <= \?/.test(s)) return [dueSimulations];
+            if (/FROM dpl_price_simulations WHERE id = \? FOR UPDATE/.test(s)) return [[{ status: 'scheduled' }]];
+            if (/FROM dpl_price_simulation_items WHERE simulation_id = \? AND decision = 'approved'/.test(s)) return [simulationItems];
+            if (/^UPDATE dpl_catalog SET current_dpl/.test(s)) return [{ affectedRows: 1 }];
+            if (/FROM dpl_price_history WHERE status = 'scheduled' AND effective_date <= \?/.test(s)) return [dueHistory];
+            if (/FROM zoho_items_map WHERE zoho_item_id IN \(\?\)/.test(s)) {
+                return [params[0].map(id => ({ zoho_item_id: id, zoho_item_name: `Item ${id}`, zoho_brand: 'Birla Opus', zoho_cf_dpl: '300.00', zoho_purchase_rate: '300.00', zoho_rate: '390.00' }))];
+            }
+            if (/^INSERT INTO zoho_bulk_jobs/.test(s)) return [{ insertId: 77 }];
+            if (/FROM users WHERE role IN/.test(s)) return [[{ id: 1 }, { id: 2 }]];
+            if (/FROM engineers WHERE status = 'approved'/.test(s)) return [[{ id: 9, phone: '9876543210' }]];
+            return [{ affectedRows: 1, insertId: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn()
+    });
+    return db;
+}
+
+describe('POST /dpl-apply', () => {
+    test('a future effective date schedules instead of applying', async () => {
+        const db = makeDb();
+        itemMaster.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/dpl-apply'))({
+            user: { id: 5 },
+            body: { items: [{ zoho_item_id: 'Z1', new_dpl: 800 }], effective_date: '2099-04-01' }
+        }, res);
+
+        expect(res.body).toEqual({ success: true, applied: 0, scheduled: 1, effective_date: '2099-04-01' });
+        const row = db.calls.find(c => /^INSERT INTO dpl_price_history/.test(c.sql));
+        expect(row.sql).toMatch(/'scheduled'\)$/);
+        // old 770 / 1000 snapshot, new sales ceil(800 × 1.298) = 1039
+        expect(row.params).toEqual(['Z1', null, '770.00', 800, '770.00', 800, '1000.00', 1039, 5, '2099-04-01']);
+        expect(db.calls.some(c => /^UPDATE zoho_items_map/.test(c.sql))).toBe(false);
+    });
+
+    test('a DPL version dated ahead schedules too; today applies now', async () => {
+        const db = makeDb({ versions: [{ effective_date: '2099-05-01' }] });
+        itemMaster.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/dpl-apply'))({ user: { id: 5 }, body: { items: [{ zoho_item_id: 'Z1', dpl: 800 }], dpl_version_id: 3 } }, res);
+        expect(res.body).toEqual(expect.objectContaining({ scheduled: 1, effective_date: '2099-05-01' }));
+
+        const now = makeDb();
+        itemMaster.setPool(now);
+        const res2 = mockRes();
+        await lastHandler(findRoute('post', '/dpl-apply'))({ user: { id: 5 }, body: { items: [{ zoho_item_id: 'Z1', dpl: 800 }] } }, res2);
+        expect(res2.body).toEqual(expect.objectContaining({ success: true, applied: 1 }));
+        const row = now.calls.find(c => /^INSERT INTO dpl_price_history/.test(c.sql));
+        expect(row.params[9]).toBe(res2.body.effective_date);
+        expect(now.calls.some(c => /^UPDATE zoho_items_map/.test(c.sql))).toBe(true);
+    });
+
+    test('a bad date is a 400', async () => {
+        itemMaster.setPool(makeDb());
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/dpl-apply'))({ user: { id: 5 }, body: { items: [{ zoho_item_id: 'Z1', dpl: 800 }], effective_date: '2099-02-30' } }, res);
+        expect(res.statusCode).toBe(400);
+    });
+});
+
+describe('runDue', () => {
+    test('switches due simulations and scheduled rows in one job and notifies', async () => {
+        const db = makeDb({
+            dueSimulations: [{ id: 40, brand: 'birlaopus', effective_date: '2026-11-01', decided_by: 3 }],
+            simulationItems: [
+                { id: 1, catalog_id: 11, zoho_item_id: 'Z1', old_dpl: '300.00', new_dpl: '320.00', new_rate: '416.00' },
+                { id: 2, catalog_id: 12, zoho_item_id: null, old_dpl: null, new_dpl: '90.00', new_rate: '117.00' }
+            ],
+            dueHistory: [{ id: 501, zoho_item_id: 'Z2', new_dpl: '800.00', new_sales_rate: '1039.00', effective_date: '2026-10-31', dpl_version_id: 3, changed_by: 5 }]
+        });
+        const notify = jest.fn().mockResolvedValue();
+        const sendWhatsApp = jest.fn().mockResolvedValue();
+        const result = await scheduled.runDue({ db, notify, sendWhatsApp }, { today: '2026-11-01' });
+
+        expect(result).toEqual({
+            simulations: [{ id: 40, brand: 'birlaopus', applied: 2, stale: 0 }],
+            items: 2,
+            job_id: 77,
+            notified: { staff: 2, engineers: 1 }
+        });
+
+        const inserted = db.calls.find(c => /^INSERT INTO dpl_price_history/.test(c.sql));
+        expect(inserted.params).toEqual(['Z1', null, 300, 320, 300, 320, 390, 416, 3, '2026-11-01', 40]);
+        const refreshed = db.calls.find(c => /^UPDATE dpl_price_history SET status = 'applied'/.test(c.sql));
+        expect(refreshed.params).toEqual([300, 300, 390, 501]);
+
+        const items = db.calls.filter(c => /^UPDATE zoho_items_map/.test(c.sql)).map(c => c.params);
+        expect(items).toEqual([[320, 320, 416, 'Z1'], [800, 800, 1039, 'Z2']]);
+        const job = db.calls.find(c => /^INSERT INTO zoho_bulk_jobs/.test(c.sql));
+        expect(job.params[2]).toBe(2);
+        expect(job.params[3]).toBe(3);
+        const payloads = db.calls.filter(c => /^INSERT INTO zoho_bulk_job_items/.test(c.sql)).map(c => JSON.parse(c.params[3]));
+        expect(payloads).toEqual([{ cf_dpl: 320, purchase_rate: 320, rate: 416 }, { cf_dpl: 800, purchase_rate: 800, rate: 1039 }]);
+        expect(db.calls.find(c => /^UPDATE dpl_catalog SET pushed_at/.test(c.sql)).params).toEqual([77, 320, 416, 11]);
+
+        expect(notify).toHaveBeenCalledWith(1, expect.objectContaining({ type: 'price_change', body: '2 item prices changed from 2026-11-01 (Birla Opus) — 2 up, 0 down.' }));
+        expect(sendWhatsApp).toHaveBeenCalledWith('9876543210', expect.stringContaining('• Item Z1: ₹390 → ₹416'));
+    });
+
+    test('a failed item switch rolls back the simulation it marked applied', async () => {
+        const db = makeDb({
+            dueSimulations: [{ id: 40, brand: 'birlaopus', effective_date: '2026-11-01', decided_by: 3 }],
+            simulationItems: [{ id: 1, catalog_id: 11, zoho_item_id: 'Z1', old_dpl: '300.00', new_dpl: '320.00', new_rate: '416.00' }]
+        });
+        const conn = await db.getConnection();
+        const query = conn.query;
+        conn.query = async (sql, params) => {
+            if (/^\s*UPDATE zoho_items_map/.test(sql)) throw new Error('Lock wait timeout exceeded');
+            return query(sql, params);
+        };
+        db.getConnection = async () => conn;
+        const notify = jest.fn();
+
+        await expect(scheduled.runDue({ db, notify, sendWhatsApp: jest.fn() }, { today: '2026-11-01' }))
+            .rejects.toThrow('Lock wait timeout exceeded');
+        expect(db.calls.some(c => /^UPDATE dpl_price_simulations SET status = 'applied'/.test(c.sql))).toBe(true);
+        expect(conn.commit).not.toHaveBeenCalled();
+        expect(conn.rollback).toHaveBeenCalled();
+        expect(conn.release).toHaveBeenCalled();
+        expect(notify).not.toHaveBeenCalled();
+    });
+
+    test('nothing due does nothing', async () => {
+        const db = makeDb();
+        const notify = jest.fn();
+        const result = await scheduled.runDue({ db, notify, sendWhatsApp: jest.fn() }, { today: '2026-11-01' });
+        expect(result).toEqual({ simulations: [], items: 0, job_id: null, notified: { staff: 0, engineers: 0 } });
+        expect(db.calls.some(c => /^INSERT INTO zoho_bulk_jobs/.test(c.sql))).toBe(false);
+        expect(notify).not.toHaveBeenCalled();
+    });
+});
+
+describe('GET /price-history', () => {
+    test('filters and orders by effective date and hides cancelled rows', async () => {
+        const calls = [];
+        itemMaster.setPool({
+            query: async (sql, params) => {
+                calls.push({ sql: String(sql).replace(/\s+/g, ' '), params });
+                if (/COUNT\(\*\)/.test(sql)) return [[{ total: 0 }]];
+                return [[]];
+            }
+        });
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/price-history'))({ query: { start_date: '2026-11-01', end_date: '2026-11-30' } }, res);
+
+        const list = calls[1];
+        expect(list.sql).toMatch(/COALESCE\(dph\.effective_date, DATE\(dph\.changed_at\)\) >= \? AND COALESCE\(dph\.effective_date, DATE\(dph\.changed_at\)\) <= \?/);
+        expect(list.sql).toMatch(/dph\.status <> 'cancelled'/);
+        expect(list.sql).toMatch(/ORDER BY COALESCE\(dph\.effective_date, DATE\(dph\.changed_at\)\) DESC/);
+        expect(list.params.slice(0, 2)).toEqual(['2026-11-01', '2026-11-30']);
+    });
+});
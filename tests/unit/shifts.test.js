@@ -0,0 +1,242 @@
+/**
+ * Shift rosters — services/shifts.js + routes/shifts.js + the attendance,
+ * auto clock-out and salary hooks.
+ *
+ * Locks:
+ *   - validateShift: expected hours default to span − break, overnight and
+ *     over-long shifts are INVALID_SHIFT;
+ *   - resolveDay: a roster row beats the defaults, the weekly-off day is off,
+ *     no rows at all means no schedule (branch hours as before);
+ *   - applySchedule: a shift brings its own timing; a day off expects the
+ *     5 h Sunday day;
+ *   - expandFill: a drag covers staff × dates, optionally only some weekdays;
+ *   - swaps: identical entries are refused; approval writes each staff
+ *     member's entry to the other with source 'swap';
+ *   - roster writes are limited to a non full-admin's own branch;
+ *   - the 10 PM force clock-out leaves shifts ending later to the 11:59 run;
+ *   - salary treats the staff member's day off as the Sunday rule.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+jest.mock('../../services/notification-service', () => ({ send: jest.fn().mockResolvedValue() }));
+jest.mock('../../services/approval-workflow', () => ({
+    submitQuietly: jest.fn(),
+    decide: jest.fn(),
+    cancel: jest.fn().mockResolvedValue(),
+    DECISION_ERROR_STATUS: { NOT_APPROVER: 403 }
+}));
+
+const shifts = require('../../services/shifts');
+const routes = require('../../routes/shifts');
+const approvals = require('../../services/approval-workflow');
+const autoClockout = require('../../services/auto-clockout');
+const salary = require('../../routes/salary');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const MORNING = { id: 1, branch_id: null, name: 'Morning', start_time: '08:00:00', end_time: '16:00:00', expected_hours: '7.00', late_threshold_minutes: 10, is_active: 1 };
+const EVENING = { id: 2, branch_id: 2, name: 'Evening', start_time: '14:00:00', end_time: '23:00:00', expected_hours: '8.00', late_threshold_minutes: 15, is_active: 1 };
+const SHIFTS = new Map([[1, MORNING], [2, EVENING]]);
+
+/**
+ * rosters: [{ user_id, roster_date, shift_id, is_off, source }]
+ * defaults: [{ user_id, shift_id, weekly_off_day }]
+ */
+function makeDb({ rosters = [], defaults = [], users = [], swap = null, openSwap = false } = {}) {
+    const calls = [];
+    const db = {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM staff_rosters WHERE user_id = \? AND roster_date = \?/.test(s)) {
+                return [rosters.filter(r => r.user_id === params[0] && r.roster_date === params[1])];
+            }
+            if (/FROM staff_shift_defaults WHERE user_id = \?/.test(s)) return [defaults.filter(d => d.user_id === params[0])];
+            if (/FROM shifts WHERE id IN/.test(s)) return [params.map(id => SHIFTS.get(id)).filter(Boolean)];
+            if (/FROM users WHERE id IN/.test(s)) return [users.filter(u => params.includes(u.id))];
+            if (/FROM shift_swap_requests sw/.test(s)) return [swap ? [swap] : []];
+            if (/FROM shift_swap_requests WHERE status = 'pending'/.test(s)) return [openSwap ? [{ id: 3 }] : []];
+            return [{ insertId: 1, affectedRows: 1 }];
+        }
+    };
+    db.getConnection = async () => ({
+        ...db, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn(), release: jest.fn()
+    });
+    return db;
+}
+
+describe('shift rules', () => {
+    test('expected hours default to the span less the break; bad timings are refused', () => {
+        expect(shifts.validateShift({ start_time: '9:00', end_time: '21:00', break_minutes: 240 }))
+            .toEqual({ start_time: '09:00:00', end_time: '21:00:00', break_minutes: 240, expected_hours: 8 });
+        expect(() => shifts.validateShift({ start_time: '22:00', end_time: '06:00' }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_SHIFT' }));
+        expect(() => shifts.validateShift({ start_time: '08:00', end_time: '12:00', expected_hours: 5 }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_SHIFT' }));
+    });
+
+    test('a roster row beats the defaults; the weekly-off day is off; no rows is no schedule', async () => {
+        const db = makeDb({
+            rosters: [{ user_id: 4, roster_date: '2026-11-03', shift_id: 2, is_off: 0, source: 'manual' }],
+            defaults: [{ user_id: 4, shift_id: 1, weekly_off_day: 'wednesday' }]
+        });
+        expect(await shifts.resolveDay(db, 4, '2026-11-03')).toMatchObject({ is_off: false, shift: EVENING, source: 'roster' });
+        expect(await shifts.resolveDay(db, 4, '2026-11-04')).toMatchObject({ is_off: true, shift: null, source: 'weekly_off' });
+        // Sunday is a working day for someone whose weekly off is Wednesday
+        expect(await shifts.resolveDay(db, 4, '2026-11-08')).toMatchObject({ is_off: false, shift: MORNING, source: 'default' });
+        expect(await shifts.resolveDay(db, 9, '2026-11-03')).toBeNull();
+    });
+
+    test('a shift brings its own timing; a day off expects the Sunday day', () => {
+        const branch = { open_time: '08:30:00', close_time: '20:30:00', expected_hours: 10, late_threshold_minutes: 15 };
+        expect(shifts.applySchedule(branch, null)).toBe(branch);
+        expect(shifts.applySchedule(branch, { is_off: false, shift: EVENING })).toMatchObject({
+            open_time: '14:00:00', close_time: '23:00:00', expected_hours: 8, late_threshold_minutes: 15, shift_id: 2, is_off_day: false
+        });
+        expect(shifts.applySchedule(branch, { is_off: true, shift: null })).toMatchObject({
+            open_time: '08:30:00', expected_hours: shifts.OFF_DAY_EXPECTED_HOURS, shift_id: null, is_off_day: true
+        });
+    });
+
+    test('a fill covers staff × dates, optionally only some weekdays', () => {
+        const cells = shifts.expandFill({ user_ids: [4, 5], from: '2026-11-02', to: '2026-11-08', shift_id: 1, weekdays: ['monday', 'saturday'] });
+        expect(cells.map(c => [c.user_id, c.date])).toEqual([
+            [4, '2026-11-02'], [5, '2026-11-02'], [4, '2026-11-07'], [5, '2026-11-07']
+        ]);
+        expect(() => shifts.expandFill({ user_ids: [4], from: '2026-11-01', to: '2027-01-15', is_off: true }))
+            .toThrow(expect.objectContaining({ code: 'INVALID_DATES' }));
+    });
+
+    test('the off-day SQL falls back to Sunday', () => {
+        const sql = shifts.offDaySql('sa.date');
+        expect(sql).toContain('COALESCE(sr.is_off, DAYOFWEEK(sa.date) = FIELD(COALESCE(ssd.weekly_off_day, \'sunday\'), \'sunday\'');
+    });
+});
+
+describe('swaps', () => {
+    const STAFF = [
+        { id: 4, full_name: 'Arun', branch_id: 2, status: 'active' },
+        { id: 5, full_name: 'Bala', branch_id: 2, status: 'active' }
+    ];
+
+    test('a swap that changes nothing is refused, as are past days', async () => {
+        const db = makeDb({ defaults: [{ user_id: 4, shift_id: 1, weekly_off_day: 'sunday' }, { user_id: 5, shift_id: 1, weekly_off_day: 'sunday' }] });
+        await expect(shifts.checkSwap(db, STAFF[0], STAFF[1], { requester_date: '2099-11-03', target_date: '2099-11-03' }, '2026-10-19'))
+            .rejects.toMatchObject({ code: 'INVALID_SWAP' });
+        await expect(shifts.checkSwap(db, STAFF[0], STAFF[1], { requester_date: '2026-10-19', target_date: '2099-11-03' }, '2026-10-19'))
+            .rejects.toMatchObject({ code: 'INVALID_DATES' });
+        await expect(shifts.checkSwap(makeDb({ openSwap: true }), STAFF[0], STAFF[1], { requester_date: '2099-11-03', target_date: '2099-11-04' }, '2026-10-19'))
+            .rejects.toMatchObject({ code: 'SWAP_EXISTS' });
+    });
+
+    test('final approval trades the two entries on each swap date', async () => {
+        approvals.decide.mockResolvedValue({ final: true, status: 'approved' });
+        // Arun works Morning on Tue and is off Wed; Bala is off Tue and works Evening on Wed
+        const db = makeDb({
+            users: STAFF,
+            rosters: [
+                { user_id: 4, roster_date: '2099-11-03', shift_id: 1, is_off: 0 },
+                { user_id: 4, roster_date: '2099-11-04', shift_id: null, is_off: 1 },
+                { user_id: 5, roster_date: '2099-11-03', shift_id: null, is_off: 1 },
+                { user_id: 5, roster_date: '2099-11-04', shift_id: 2, is_off: 0 }
+            ],
+            swap: {
+                id: 8, requester_id: 4, requester_date: '2099-11-03', target_user_id: 5, target_date: '2099-11-04',
+                branch_id: 2, status: 'pending', requester_name: 'Arun', target_name: 'Bala'
+            }
+        });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('put', '/swaps/:id/approve'))(
+            { params: { id: '8' }, body: {}, user: { id: 1, role: 'admin' } }, res
+        );
+        expect(res.body).toMatchObject({ success: true });
+        const written = db.calls.filter(c => /INSERT INTO staff_rosters/.test(c.sql)).map(c => c.params);
+        expect(written).toEqual([
+            [4, '2099-11-03', null, 1, 'swap', 1],
+            [5, '2099-11-03', 1, 0, 'swap', 1],
+            [4, '2099-11-04', 2, 0, 'swap', 1],
+            [5, '2099-11-04', null, 1, 'swap', 1]
+        ]);
+        expect(db.calls.some(c => /UPDATE shift_swap_requests SET status = 'approved'/.test(c.sql))).toBe(true);
+    });
+});
+
+describe('roster routes', () => {
+    test('a branch manager cannot roster staff of another branch', async () => {
+        const db = makeDb({ users: [{ id: 4, branch_id: 2, status: 'active' }, { id: 7, branch_id: 3, status: 'active' }] });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/roster/fill'))({
+            body: { user_ids: [4, 7], from: '2026-11-02', to: '2026-11-03', shift_id: 1, is_off: false, clear: false },
+            user: { id: 3, role: 'branch_manager', branch_id: 2 }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_ASSIGNMENT');
+        expect(db.calls.some(c => /INSERT INTO staff_rosters/.test(c.sql))).toBe(false);
+    });
+
+    test('a shift of another branch cannot be assigned', async () => {
+        const db = makeDb({ users: [{ id: 7, branch_id: 3, status: 'active' }] });
+        routes.setPool(db);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/roster/assign'))({
+            body: { assignments: [{ user_id: 7, date: '2026-11-02', shift_id: 2, is_off: false, clear: false }] },
+            user: { id: 1, role: 'admin' }
+        }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_ASSIGNMENT');
+    });
+});
+
+describe('attendance hooks', () => {
+    test('the 10 PM force clock-out skips shifts that end later; the 11:59 run does not', async () => {
+        const calls = [];
+        autoClockout.setPool({ query: async (sql, params) => { calls.push({ sql: String(sql).replace(/\s+/g, ' '), params }); return [[]]; } });
+        await autoClockout.forceClockoutAll();
+        await autoClockout.forceClockoutAll({ lateShifts: true });
+        expect(calls[0].sql).toContain('AND (? = 1 OR s.end_time IS NULL OR s.end_time <= ?)');
+        expect(calls[0].params.slice(1)).toEqual([0, '22:00:00']);
+        expect(calls[1].params.slice(1)).toEqual([1, '22:00:00']);
+    });
+
+    test('salary applies the Sunday rule to the staff member\'s day off', async () => {
+        let attendanceSql = null;
+        salary.setPool({
+            query: jest.fn(async (sql) => {
+                if (/FROM staff_salary_config/i.test(sql)) {
+                    return [[{ branch_id: 1, monthly_salary: 26000, overtime_multiplier: '1.5', transport_allowance: 0,
+                        food_allowance: 0, other_allowance: 0, enable_late_deduction: 0, enable_absence_deduction: 0 }]];
+                }
+                if (/FROM staff_attendance/i.test(sql)) {
+                    attendanceSql = String(sql).replace(/\s+/g, ' ');
+                    return [[{ total_days: 1, present_days: 1, absent_days: 0, half_days: 0, leaves: 0, sundays_worked: 1,
+                        standard_hours: '0', sunday_hours: '5', overtime_hours: '0', sunday_overtime_hours: '0',
+                        approved_overtime_hours: '0', late_days: 0 }]];
+                }
+                if (/FROM attendance_permissions/i.test(sql)) return [[{ sunday_leaves: 0, weekday_leaves: 0 }]];
+                if (/FROM leave_days/i.test(sql)) return [[{ paid_sunday: '0', paid_weekday: '0', unpaid: '0' }]];
+                if (/FROM staff_incentives/i.test(sql)) return [[{ total_incentive: 0 }]];
+                if (/INSERT INTO monthly_salaries/i.test(sql)) return [{ insertId: 1 }];
+                return [[]];
+            })
+        });
+        await salary.calculateSalaryForUser(4, '2026-11', 1);
+        expect(attendanceSql).toContain('LEFT JOIN staff_rosters sr ON sr.user_id = sa.user_id AND sr.roster_date = sa.date');
+        expect(attendanceSql).toContain(`SUM(CASE WHEN ${shifts.offDaySql('sa.date')} AND sa.status IN ('present','half_day') THEN 1 ELSE 0 END) as sundays_worked`);
+        expect(attendanceSql).not.toContain('DAYOFWEEK(date) = 1');
+    });
+});
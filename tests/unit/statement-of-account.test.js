@@ -0,0 +1,178 @@
+/**
+ * Statement of account — services/statement-of-account.js + routes/statements.js.
+ *
+ * Locks:
+ *   - ledger: same-day invoices before credits, running balance after each
+ *     row, closing = opening + debits − credits;
+ *   - ageing: open balances bucketed by days past due at the period end (no
+ *     due date ⇒ invoice date);
+ *   - buildStatement: opening from documents before `from`, an inverted period
+ *     is INVALID_PERIOD, an unknown customer CUSTOMER_NOT_FOUND;
+ *   - deliver: no phone ⇒ skipped (nothing sent), a disconnected session ⇒
+ *     failed, both logged; a sent statement also lands in collection_reminders;
+ *   - runBulk: a scheduled run for a period that already ran is skipped;
+ *   - routes: staff cannot read another branch's customer.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+jest.mock('../../services/whatsapp-session-manager', () => ({ sendMedia: jest.fn() }));
+
+const statements = require('../../services/statement-of-account');
+const routes = require('../../routes/statements');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const CUSTOMER = {
+    zoho_contact_id: 'C1', zoho_contact_name: 'Ravi Traders', zoho_phone: '9876543210',
+    zoho_email: null, zoho_gst_no: null, zoho_unused_credits: '0', branch_id: 2
+};
+
+function makeDb({ customer = CUSTOMER, scheduledRun = false } = {}) {
+    const calls = [];
+    return {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM zoho_customers_map WHERE zoho_contact_id = \?/.test(s)) return [customer ? [customer] : []];
+            if (/AS invoiced/.test(s)) return [[{ invoiced: '5000', paid: '3000', credited: '500' }]];
+            if (/SELECT invoice_number, invoice_date, due_date, total FROM zoho_invoices/.test(s)) {
+                return [[{ invoice_number: 'INV-2', invoice_date: '2026-09-10', due_date: '2026-09-25', total: '2000' }]];
+            }
+            if (/FROM zoho_payments WHERE/.test(s)) {
+                return [[{ payment_number: 'PAY-1', payment_date: '2026-09-10', amount: '1000', payment_mode: 'cash', reference_number: null }]];
+            }
+            if (/FROM zoho_credit_notes WHERE/.test(s)) return [[]];
+            if (/SELECT invoice_date, due_date, balance FROM zoho_invoices/.test(s)) {
+                return [[
+                    { invoice_date: '2026-07-01', due_date: '2026-07-15', balance: '1500' },
+                    { invoice_date: '2026-09-10', due_date: '2026-09-25', balance: '1000' }
+                ]];
+            }
+            if (/FROM statement_runs WHERE period_from/.test(s)) return [scheduledRun ? [{ id: 9 }] : []];
+            return [{ insertId: 1, affectedRows: 1 }];
+        }
+    };
+}
+
+function fakePDF(options, stream) {
+    stream.end('%PDF-test');
+}
+
+describe('ledger and ageing', () => {
+    test('same-day invoice is posted before the payment, balance runs', () => {
+        const ledger = statements.buildLedger(100, [
+            { type: 'payment', date: '2026-09-10', number: 'PAY-1', debit: 0, credit: 50 },
+            { type: 'invoice', date: '2026-09-10', number: 'INV-1', debit: 200, credit: 0 },
+            { type: 'credit_note', date: '2026-09-02', number: 'CN-1', debit: 0, credit: 20 }
+        ]);
+        expect(ledger.rows.map(r => [r.number, r.balance])).toEqual([['CN-1', 80], ['INV-1', 280], ['PAY-1', 230]]);
+        expect(ledger).toMatchObject({ debits: 200, credits: 70, closing: 230 });
+    });
+
+    test('open balances land in days-past-due buckets', () => {
+        const ageing = statements.ageingBuckets([
+            { due_date: '2026-10-05', balance: 100 },
+            { due_date: '2026-09-20', balance: 200 },
+            { due_date: null, invoice_date: '2026-06-01', balance: 300 }
+        ], '2026-09-30');
+        expect(ageing).toEqual({ current: 100, d1_30: 200, d31_60: 0, d61_90: 0, d90_plus: 300, total: 600 });
+    });
+
+    test('previousMonth handles the January rollover', () => {
+        expect(statements.previousMonth('2026-01-15')).toEqual({ from: '2025-12-01', to: '2025-12-31' });
+        expect(statements.previousMonth('2026-03-01')).toEqual({ from: '2026-02-01', to: '2026-02-28' });
+    });
+});
+
+describe('buildStatement', () => {
+    test('opening comes from documents before the period', async () => {
+        const s = await statements.buildStatement(makeDb(), { customerId: 'C1', from: '2026-09-01', to: '2026-09-30' });
+        expect(s.opening).toBe(1500);
+        expect(s.rows.map(r => r.type)).toEqual(['invoice', 'payment']);
+        expect(s.closing).toBe(2500);
+        expect(s.ageing).toMatchObject({ current: 0, d1_30: 1000, d61_90: 1500, total: 2500 });
+    });
+
+    test('inverted period and unknown customer are refused', async () => {
+        await expect(statements.buildStatement(makeDb(), { customerId: 'C1', from: '2026-09-30', to: '2026-09-01' }))
+            .rejects.toMatchObject({ code: 'INVALID_PERIOD' });
+        await expect(statements.buildStatement(makeDb({ customer: null }), { customerId: 'X', from: '2026-09-01', to: '2026-09-30' }))
+            .rejects.toMatchObject({ code: 'CUSTOMER_NOT_FOUND' });
+    });
+});
+
+describe('deliver and runBulk', () => {
+    const period = { customerId: 'C1', from: '2026-09-01', to: '2026-09-30' };
+
+    test('a customer without a phone is skipped and logged', async () => {
+        const db = makeDb({ customer: { ...CUSTOMER, zoho_phone: null } });
+        const sessionManager = { sendMedia: jest.fn() };
+        const result = await statements.deliver({ db, sessionManager, generatePDF: fakePDF }, period);
+        expect(result.status).toBe('skipped');
+        expect(sessionManager.sendMedia).not.toHaveBeenCalled();
+        const log = db.calls.find(c => /INSERT INTO customer_statements/.test(c.sql));
+        expect(log.params).toContain('skipped');
+    });
+
+    test('a disconnected session fails without a reminder row', async () => {
+        const db = makeDb();
+        const sessionManager = { sendMedia: jest.fn().mockResolvedValue(false) };
+        const result = await statements.deliver({ db, sessionManager, generatePDF: fakePDF }, period);
+        expect(result).toMatchObject({ status: 'failed', reason: 'WhatsApp session not connected' });
+        expect(sessionManager.sendMedia).toHaveBeenCalledWith(2, '9876543210', expect.objectContaining({ type: 'document' }), expect.anything());
+        expect(db.calls.some(c => /INSERT INTO collection_reminders/.test(c.sql))).toBe(false);
+    });
+
+    test('a sent statement is also recorded as a reminder', async () => {
+        const db = makeDb();
+        const sessionManager = { sendMedia: jest.fn().mockResolvedValue(true) };
+        const result = await statements.deliver({ db, sessionManager, generatePDF: fakePDF }, { ...period, sentBy: 4 });
+        expect(result.status).toBe('sent');
+        expect(sessionManager.sendMedia.mock.calls[0][2].caption).toContain('Closing balance: *₹2,500.00*');
+        expect(db.calls.some(c => /INSERT INTO collection_reminders/.test(c.sql))).toBe(true);
+    });
+
+    test('a scheduled run for a period that already ran is skipped', async () => {
+        const db = makeDb({ scheduledRun: true });
+        const result = await statements.runBulk({ db }, { from: '2026-09-01', to: '2026-09-30', trigger: 'schedule' });
+        expect(result).toEqual({ skipped: true, runId: 9 });
+        expect(db.calls.some(c => /INSERT INTO statement_runs/.test(c.sql))).toBe(false);
+    });
+});
+
+describe('routes', () => {
+    test('staff cannot read another branch\'s customer statement', async () => {
+        routes.setPool(makeDb({ customer: { ...CUSTOMER, branch_id: 3 } }));
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/customer/:customerId'))(
+            { params: { customerId: 'C1' }, query: { from: '2026-09-01', to: '2026-09-30' }, user: { id: 4, role: 'staff', branch_id: 2 } },
+            res
+        );
+        expect(res.statusCode).toBe(404);
+        expect(res.body.code).toBe('CUSTOMER_NOT_FOUND');
+    });
+
+    test('an unassigned customer is visible to staff', async () => {
+        routes.setPool(makeDb({ customer: { ...CUSTOMER, branch_id: null } }));
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/customer/:customerId'))(
+            { params: { customerId: 'C1' }, query: {}, user: { id: 4, role: 'staff', branch_id: 2 } },
+            res
+        );
+        expect(res.statusCode).toBe(200);
+        expect(res.body.statement.customer.zoho_contact_id).toBe('C1');
+    });
+});
@@ -0,0 +1,332 @@
+/**
+ * Inter-branch stock transfers — services/stock-transfers.js, the
+ * transfer-first purchase suggestions and the routes/stock-transfers.js
+ * dispatch / receive handlers.
+ *
+ * Locks:
+ *   - the status flow: approve/reject only from requested, dispatch only
+ *     from approved, receive only from in_transit, cancel before dispatch;
+ *   - quantities narrow step by step: approved ≤ requested, dispatched ≤
+ *     approved, received ≤ dispatched; a short receipt needs a note and
+ *     flags a discrepancy;
+ *   - the Zoho legs: OUT (negative) at the source on dispatch, IN at the
+ *     destination on receipt, zero lines left out;
+ *   - open transfers: inbound qty counts toward the destination, requested /
+ *     approved qty is reserved at the source until it leaves;
+ *   - generatePurchaseSuggestions with transferFirst: a deficit is covered
+ *     from the largest sister-branch surplus in whole units, the rest is
+ *     bought ×multiplier; without it nothing changes;
+ *   - POST /:id/approve: a manager approves only for their own branch —
+ *     admins act for any branch;
+ *   - POST /:id/dispatch: source branch only; commits in_transit, posts the
+ *     OUT adjustment and takes the stock off the source cache; a Zoho failure
+ *     is stamped, not a 500;
+ *   - POST /:id/receive: destination branch only; refuses an over-receipt.
+ *
+ * Handlers invoked directly via router stack walk (vendor-three-way-match pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+
+const mockCreateAdjustment = jest.fn();
+jest.mock('../../services/zoho-api', () => ({
+    createInventoryAdjustment: (...a) => mockCreateAdjustment(...a),
+}));
+
+const audit = require('../../services/audit-log');
+const routes = require('../../routes/stock-transfers');
+const transfers = require('../../services/stock-transfers');
+const { generatePurchaseSuggestions } = require('../../services/purchase-suggestion');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const ITEMS = [
+    { id: 1, transfer_id: 9, zoho_item_id: 'Z1', item_name: 'Emulsion 20L', requested_qty: '10.00', approved_qty: null, dispatched_qty: null, received_qty: null },
+    { id: 2, transfer_id: 9, zoho_item_id: 'Z2', item_name: 'Primer 4L', requested_qty: '4.00', approved_qty: null, dispatched_qty: null, received_qty: null },
+];
+
+const fails = (fn) => {
+    try { fn(); } catch (e) { return e; }
+    return null;
+};
+
+describe('transfer workflow rules', () => {
+    it('allows each action only from its status', () => {
+        expect(() => transfers.assertTransition('requested', 'approve')).not.toThrow();
+        expect(() => transfers.assertTransition('approved', 'cancel')).not.toThrow();
+        expect(fails(() => transfers.assertTransition('in_transit', 'cancel')))
+            .toMatchObject({ code: 'TRANSFER_STATE', message: 'Cannot cancel a transfer that is in transit' });
+        expect(fails(() => transfers.assertTransition('requested', 'dispatch')).code).toBe('TRANSFER_STATE');
+        expect(fails(() => transfers.assertTransition('received', 'receive')).code).toBe('TRANSFER_STATE');
+    });
+
+    it('planRequest wants each item once with a positive quantity', () => {
+        expect(transfers.planRequest([{ zoho_item_id: ' Z1 ', quantity: 2.5 }])).toEqual([{ zoho_item_id: 'Z1', requested_qty: 2.5 }]);
+        expect(fails(() => transfers.planRequest([{ zoho_item_id: 'Z1', quantity: 1 }, { zoho_item_id: 'Z1', quantity: 2 }])).message)
+            .toBe('Item Z1 is listed twice');
+        expect(fails(() => transfers.planRequest([{ zoho_item_id: 'Z1', quantity: 0 }])).code).toBe('INVALID_TRANSFER');
+        expect(fails(() => transfers.planRequest([])).message).toBe('Request at least one item');
+    });
+
+    it('approves in full by default, or less per line — never more, never nothing', () => {
+        expect(transfers.planApproval(ITEMS).map(l => l.approved_qty)).toEqual([10, 4]);
+        expect(transfers.planApproval(ITEMS, [{ item_id: 2, approved_qty: 0 }]).map(l => l.approved_qty)).toEqual([10, 0]);
+        expect(fails(() => transfers.planApproval(ITEMS, [{ item_id: 1, approved_qty: 12 }])).message)
+            .toBe('Approved quantity for Emulsion 20L (12) is more than 10');
+        expect(fails(() => transfers.planApproval(ITEMS, [{ item_id: 1, approved_qty: 0 }, { item_id: 2, approved_qty: 0 }])).message)
+            .toMatch(/reject the request/);
+        expect(fails(() => transfers.planApproval(ITEMS, [{ item_id: 7, approved_qty: 1 }])).message).toBe('Line 7 is not on this transfer');
+    });
+
+    it('dispatches up to the approved quantity', () => {
+        const approved = ITEMS.map(it => ({ ...it, approved_qty: it.id === 1 ? '8.00' : '0.00' }));
+        expect(transfers.planDispatch(approved).map(l => l.dispatched_qty)).toEqual([8, 0]);
+        expect(fails(() => transfers.planDispatch(approved, [{ item_id: 2, dispatched_qty: 1 }])).code).toBe('INVALID_TRANSFER');
+    });
+
+    it('needs a note for a short receipt and flags the discrepancy', () => {
+        const sent = ITEMS.map(it => ({ ...it, dispatched_qty: it.id === 1 ? '8.00' : '4.00' }));
+        expect(transfers.planReceipt(sent)).toEqual({
+            hasDiscrepancy: false,
+            lines: [
+                { id: 1, zoho_item_id: 'Z1', item_name: 'Emulsion 20L', dispatched_qty: 8, received_qty: 8, shortfall: 0, discrepancy_note: null },
+                { id: 2, zoho_item_id: 'Z2', item_name: 'Primer 4L', dispatched_qty: 4, received_qty: 4, shortfall: 0, discrepancy_note: null },
+            ],
+        });
+        expect(fails(() => transfers.planReceipt(sent, [{ item_id: 1, received_qty: 7 }])).message)
+            .toBe('Emulsion 20L: 1 short — add a note on what happened');
+        const short = transfers.planReceipt(sent, [{ item_id: 1, received_qty: 7, note: 'One tin dented, left at source' }]);
+        expect(short.hasDiscrepancy).toBe(true);
+        expect(short.lines[0]).toEqual(expect.objectContaining({ shortfall: 1, discrepancy_note: 'One tin dented, left at source' }));
+        expect(fails(() => transfers.planReceipt(sent, [{ item_id: 2, received_qty: 5 }])).message)
+            .toBe('Received quantity for Primer 4L (5) is more than 4');
+    });
+});
+
+describe('adjustmentPayload', () => {
+    const T = { transfer_number: 'ST-20261019-001', from_location_id: 'L1', from_location_name: 'Main', to_location_id: 'L2', to_location_name: 'Annex' };
+
+    it('takes the dispatched qty off the source and adds the received qty at the destination', () => {
+        const items = [
+            { zoho_item_id: 'Z1', dispatched_qty: '8.00', received_qty: '7.00' },
+            { zoho_item_id: 'Z2', dispatched_qty: '0.00', received_qty: '0.00' },
+        ];
+        expect(transfers.adjustmentPayload(T, items, 'out', '2026-10-19')).toEqual({
+            date: '2026-10-19',
+            reason: 'Transfer OUT: ST-20261019-001',
+            description: 'Stock transfer ST-20261019-001 to Annex',
+            adjustment_type: 'quantity',
+            location_id: 'L1',
+            line_items: [{ item_id: 'Z1', location_id: 'L1', quantity_adjusted: -8 }],
+        });
+        const inLeg = transfers.adjustmentPayload(T, items, 'in', '2026-10-19');
+        expect(inLeg.location_id).toBe('L2');
+        expect(inLeg.line_items).toEqual([{ item_id: 'Z1', location_id: 'L2', quantity_adjusted: 7 }]);
+        expect(transfers.adjustmentPayload(T, [{ zoho_item_id: 'Z1', dispatched_qty: 0 }], 'out', '2026-10-19')).toBeNull();
+    });
+});
+
+describe('loadOpenTransfers', () => {
+    it('counts inbound at the destination and reserves at the source until dispatch', async () => {
+        const db = {
+            query: jest.fn().mockResolvedValue([[
+                { status: 'requested', from_location_id: 'L1', to_location_id: 'L2', zoho_item_id: 'Z1', requested_qty: '5.00', approved_qty: null, dispatched_qty: null },
+                { status: 'approved', from_location_id: 'L1', to_location_id: 'L2', zoho_item_id: 'Z1', requested_qty: '5.00', approved_qty: '3.00', dispatched_qty: null },
+                { status: 'in_transit', from_location_id: 'L3', to_location_id: 'L2', zoho_item_id: 'Z1', requested_qty: '4.00', approved_qty: '4.00', dispatched_qty: '2.00' },
+            ]]),
+        };
+        const open = await transfers.loadOpenTransfers(db);
+        expect(open).toEqual({ inbound: { Z1_L2: 10 }, reserved: { Z1_L1: 8 } });
+        expect(db.query.mock.calls[0][1]).toEqual([['requested', 'approved', 'in_transit']]);
+    });
+});
+
+describe('generatePurchaseSuggestions — transfer first', () => {
+    const threshold = (loc, branch, t) => ({
+        zoho_item_id: 'Z1', zoho_location_id: loc, branch_name: branch, branchThreshold: t,
+        globalReorderLevel: 40, dailyAvg: 0.5, totalSales: 45, usedDefault: false, itemName: 'Emulsion 20L', sku: 'EM20', category: 'Paint',
+    });
+    const THRESHOLDS = [threshold('L1', 'Main', 10), threshold('L2', 'Annex', 10), threshold('L3', 'Depot', 10)];
+    const STOCK = {
+        Z1_L1: { stock_on_hand: 14.5, item_name: 'Emulsion 20L', sku: 'EM20' },
+        Z1_L2: { stock_on_hand: 0, item_name: 'Emulsion 20L', sku: 'EM20' },
+        Z1_L3: { stock_on_hand: 12, item_name: 'Emulsion 20L', sku: 'EM20' },
+    };
+
+    it('covers the deficit from the largest surplus first, in whole units, then buys the rest', () => {
+        const rows = generatePurchaseSuggestions(THRESHOLDS, STOCK, 1.5, { transferFirst: true });
+        expect(rows.map(r => [r.suggestion_type, r.zoho_location_id, r.suggested_qty, r.transfer_from_location_id])).toEqual([
+            ['transfer', 'L2', 4, 'L1'],
+            ['transfer', 'L2', 2, 'L3'],
+            ['purchase', 'L2', 6, null],
+        ]);
+        expect(rows[0]).toEqual(expect.objectContaining({ transfer_from_branch: 'Main', priority: 'HIGH', current_stock: 0 }));
+    });
+
+    it('counts stock already on its way and leaves reserved surplus alone', () => {
+        const rows = generatePurchaseSuggestions(THRESHOLDS, STOCK, 1.5, {
+            transferFirst: true,
+            openTransfers: { inbound: { Z1_L2: 3 }, reserved: { Z1_L1: 4 } },
+        });
+        expect(rows.map(r => [r.suggestion_type, r.suggested_qty, r.transfer_from_location_id])).toEqual([
+            ['transfer', 2, 'L3'],
+            ['purchase', 7.5, null],
+        ]);
+    });
+
+    it('is the plain purchase list without transferFirst', () => {
+        const rows = generatePurchaseSuggestions(THRESHOLDS, STOCK, 1.5);
+        expect(rows).toHaveLength(1);
+        expect(rows[0]).toEqual(expect.objectContaining({ suggestion_type: 'purchase', zoho_location_id: 'L2', suggested_qty: 15 }));
+    });
+});
+
+function makePool({ transfer, items = ITEMS } = {}) {
+    const calls = [];
+    const connection = { commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn(), beginTransaction: jest.fn() };
+    const query = async (sql, params = []) => {
+        const s = String(sql).replace(/\s+/g, ' ').trim();
+        calls.push({ sql: s, params });
+        if (/FROM stock_transfers WHERE id = \?/.test(s)) return [transfer ? [transfer] : []];
+        if (/FROM stock_transfer_items WHERE transfer_id = \?/.test(s)) return [items];
+        return [{ affectedRows: 1, insertId: 1 }];
+    };
+    connection.query = query;
+    return { calls, connection, query, getConnection: async () => connection };
+}
+
+const TRANSFER = {
+    id: 9, transfer_number: 'ST-20261019-001', status: 'approved',
+    from_branch_id: 1, from_location_id: 'L1', from_location_name: 'Main',
+    to_branch_id: 2, to_location_id: 'L2', to_location_name: 'Annex',
+    zoho_out_adjustment_id: null, zoho_in_adjustment_id: null,
+};
+const APPROVED = ITEMS.map(it => ({ ...it, approved_qty: it.requested_qty }));
+
+describe('POST /:id/approve', () => {
+    const approve = (pool, user) => {
+        routes.setPool(pool);
+        const res = mockRes();
+        return lastHandler(findRoute('post', '/:id/approve'))({ params: { id: 9 }, user, body: {} }, res).then(() => res);
+    };
+    const REQUESTED = { ...TRANSFER, status: 'requested' };
+
+    it('refuses a manager of the receiving branch', async () => {
+        const pool = makePool({ transfer: REQUESTED });
+        const res = await approve(pool, { id: 7, role: 'manager', branch_id: 2 });
+        expect(res.statusCode).toBe(403);
+        expect(res.body.code).toBe('WRONG_BRANCH');
+        expect(pool.calls.some(c => /^UPDATE stock_transfers SET status = 'approved'/.test(c.sql))).toBe(false);
+    });
+
+    it('lets the source branch manager or an admin approve', async () => {
+        for (const user of [{ id: 7, role: 'manager', branch_id: 1 }, { id: 1, role: 'admin' }]) {
+            const pool = makePool({ transfer: REQUESTED });
+            const res = await approve(pool, user);
+            expect(res.statusCode).toBe(200);
+            expect(pool.calls.some(c => /^UPDATE stock_transfers SET status = 'approved'/.test(c.sql))).toBe(true);
+        }
+    });
+});
+
+describe('POST /:id/dispatch', () => {
+    const dispatch = (pool, user, body = {}) => {
+        routes.setPool(pool);
+        const res = mockRes();
+        return lastHandler(findRoute('post', '/:id/dispatch'))({ params: { id: 9 }, user, body: { items: [], ...body } }, res).then(() => res);
+    };
+    beforeEach(() => mockCreateAdjustment.mockReset().mockResolvedValue({ inventory_adjustment: { inventory_adjustment_id: 'IA1' } }));
+
+    it('is refused to the receiving branch', async () => {
+        const pool = makePool({ transfer: TRANSFER, items: APPROVED });
+        const res = await dispatch(pool, { id: 5, role: 'staff', branch_id: 2 });
+        expect(res.statusCode).toBe(403);
+        expect(res.body.code).toBe('WRONG_BRANCH');
+        expect(pool.connection.rollback).toHaveBeenCalled();
+        expect(mockCreateAdjustment).not.toHaveBeenCalled();
+    });
+
+    it('moves it in transit, posts the OUT adjustment and takes the stock off the source', async () => {
+        const pool = makePool({ transfer: TRANSFER, items: APPROVED });
+        const res = await dispatch(pool, { id: 4, role: 'staff', branch_id: 1 }, { items: [{ item_id: 2, dispatched_qty: 3 }] });
+
+        expect(res.statusCode).toBe(200);
+        expect(res.body.status).toBe('in_transit');
+        expect(pool.connection.commit).toHaveBeenCalled();
+        expect(pool.calls.filter(c => /^UPDATE stock_transfer_items SET dispatched_qty/.test(c.sql)).map(c => c.params))
+            .toEqual([[10, 1], [3, 2]]);
+        expect(pool.calls.find(c => /^UPDATE stock_transfers SET status = 'in_transit'/.test(c.sql)).params).toEqual([4, 9]);
+        expect(mockCreateAdjustment).toHaveBeenCalledTimes(1);
+        expect(mockCreateAdjustment.mock.calls[0][0]).toEqual(expect.objectContaining({
+            location_id: 'L1',
+            line_items: [
+                { item_id: 'Z1', location_id: 'L1', quantity_adjusted: -10 },
+                { item_id: 'Z2', location_id: 'L1', quantity_adjusted: -3 },
+            ],
+        }));
+        expect(pool.calls.find(c => /^UPDATE stock_transfers SET zoho_out_adjustment_id/.test(c.sql)).params).toEqual(['IA1', null, null, 9]);
+        expect(pool.calls.filter(c => /^INSERT INTO zoho_location_stock/.test(c.sql)).map(c => [c.params[0], c.params[1], c.params[4]]))
+            .toEqual([['Z1', 'L1', -10], ['Z2', 'L1', -3]]);
+        expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'stock_transfer.dispatch' }));
+    });
+
+    it('stamps a Zoho failure for retry instead of failing the dispatch', async () => {
+        mockCreateAdjustment.mockRejectedValue(new Error('Zoho 500'));
+        const pool = makePool({ transfer: TRANSFER, items: APPROVED });
+        const res = await dispatch(pool, { id: 1, role: 'admin' });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.message).toMatch(/Zoho push failed \(Zoho 500\)/);
+        expect(pool.calls.find(c => /^UPDATE stock_transfers SET zoho_out_adjustment_id/.test(c.sql)).params).toEqual([null, null, 'Zoho 500', 9]);
+    });
+
+    it('refuses a transfer that is not approved yet', async () => {
+        const pool = makePool({ transfer: { ...TRANSFER, status: 'requested' }, items: ITEMS });
+        const res = await dispatch(pool, { id: 1, role: 'admin' });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('TRANSFER_STATE');
+    });
+});
+
+describe('POST /:id/receive', () => {
+    const SENT = APPROVED.map(it => ({ ...it, dispatched_qty: it.approved_qty }));
+    const receive = (pool, user, body) => {
+        routes.setPool(pool);
+        const res = mockRes();
+        return lastHandler(findRoute('post', '/:id/receive'))({ params: { id: 9 }, user, body }, res).then(() => res);
+    };
+    beforeEach(() => mockCreateAdjustment.mockReset().mockResolvedValue({ inventory_adjustment: { inventory_adjustment_id: 'IA2' } }));
+
+    it('refuses more than was sent', async () => {
+        const pool = makePool({ transfer: { ...TRANSFER, status: 'in_transit', zoho_out_adjustment_id: 'IA1' }, items: SENT });
+        const res = await receive(pool, { id: 6, role: 'staff', branch_id: 2 }, { items: [{ item_id: 1, received_qty: 11 }] });
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_TRANSFER');
+        expect(pool.connection.commit).not.toHaveBeenCalled();
+    });
+
+    it('records a short receipt as a discrepancy and posts only the IN leg', async () => {
+        const pool = makePool({ transfer: { ...TRANSFER, status: 'in_transit', zoho_out_adjustment_id: 'IA1' }, items: SENT });
+        const res = await receive(pool, { id: 6, role: 'staff', branch_id: 2 }, {
+            items: [{ item_id: 1, received_qty: 9, note: 'One tin leaking' }],
+        });
+        expect(res.statusCode).toBe(200);
+        expect(res.body.has_discrepancy).toBe(true);
+        expect(pool.calls.find(c => /^UPDATE stock_transfers SET status = 'received'/.test(c.sql)).params).toEqual([6, 1, 9]);
+        expect(mockCreateAdjustment).toHaveBeenCalledTimes(1);
+        expect(mockCreateAdjustment.mock.calls[0][0].line_items).toEqual([
+            { item_id: 'Z1', location_id: 'L2', quantity_adjusted: 9 },
+            { item_id: 'Z2', location_id: 'L2', quantity_adjusted: 4 },
+        ]);
+        expect(pool.calls.find(c => /^UPDATE stock_transfers SET zoho_out_adjustment_id/.test(c.sql)).params).toEqual(['IA1', 'IA2', null, 9]);
+    });
+});
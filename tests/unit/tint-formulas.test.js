@@ -0,0 +1,183 @@
+/**
+ * Tint formulas — services/tint-formulas.js + routes/tint-formulas.js.
+ *
+ * Locks:
+ *   - colorants: codes upper-cased, shots rounded to 3 decimals, empty /
+ *     duplicate / out-of-range rows are INVALID_FORMULA;
+ *   - pack scaling: shots per litre × litres of the pack label (ML counts as
+ *     a fraction, KG does not scale) and the one-line print text;
+ *   - linking: an invoice line supplies customer (phone stored as the last 10
+ *     digits), base item + tint base key and pack; linking both an estimate
+ *     and an invoice line is refused; an unknown line is LINE_NOT_FOUND;
+ *   - routes: the catalog fills shade name/hex, search needs 10 phone digits,
+ *     an unknown line is 404.
+ *
+ * Handlers invoked directly via router stack walk (billing-products pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ setPool: jest.fn(), record: jest.fn() }));
+
+const tint = require('../../services/tint-formulas');
+const routes = require('../../routes/tint-formulas');
+const auditLog = require('../../services/audit-log');
+
+const findRoute = (method, path) => routes.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const INVOICE_LINE = {
+    id: 31, invoice_id: 12, zoho_item_id: '7001', item_name: 'CS101 Style Color Smart 04 L', pack_size: '04 L',
+    customer_name: 'Ravi Kumar', customer_phone: '+91 98765-43210', branch_id: 2
+};
+const BASE_ITEM = {
+    zoho_item_id: '7001', zoho_item_name: 'CS104 - STYLE COLOR SMART - INTERIOR EMULSION - Birla Opus - 04 L',
+    zoho_sku: 'CS104', zoho_brand: 'Birla Opus'
+};
+
+function makeDb() {
+    const calls = [];
+    return {
+        calls,
+        query: async (sql, params = []) => {
+            const s = String(sql).replace(/\s+/g, ' ');
+            calls.push({ sql: s, params });
+            if (/FROM billing_invoice_items bii JOIN billing_invoices/.test(s)) {
+                return [params[0] === INVOICE_LINE.id ? [INVOICE_LINE] : []];
+            }
+            if (/FROM estimate_items ei JOIN estimates/.test(s)) return [[]];
+            if (/FROM zoho_items_map WHERE zoho_item_id = \?/.test(s)) {
+                return [params[0] === BASE_ITEM.zoho_item_id ? [BASE_ITEM] : []];
+            }
+            if (/INSERT INTO tint_formulas/.test(s)) return [{ insertId: 5 }];
+            if (/FROM tint_formulas tf/.test(s)) return [[]];
+            return [[]];
+        }
+    };
+}
+
+describe('colorants and pack scaling', () => {
+    test('normalizeColorants tidies codes and shots', () => {
+        expect(tint.normalizeColorants([{ code: ' c1 ', shots_per_litre: '12.34567' }, { code: 'y2', shots_per_litre: 3.5 }]))
+            .toEqual([{ code: 'C1', shots_per_litre: 12.346 }, { code: 'Y2', shots_per_litre: 3.5 }]);
+    });
+
+    test('empty, duplicate and out-of-range colorants are refused', () => {
+        const invalid = expect.objectContaining({ code: 'INVALID_FORMULA' });
+        expect(() => tint.normalizeColorants([])).toThrow(invalid);
+        expect(() => tint.normalizeColorants([{ code: 'C1', shots_per_litre: 1 }, { code: 'c1', shots_per_litre: 2 }])).toThrow(invalid);
+        expect(() => tint.normalizeColorants([{ code: 'C1', shots_per_litre: 0 }])).toThrow(invalid);
+        expect(() => tint.normalizeColorants([{ code: 'C1', shots_per_litre: tint.MAX_SHOTS_PER_LITRE + 1 }])).toThrow(invalid);
+    });
+
+    test('packLitres reads litre and millilitre labels only', () => {
+        expect(tint.packLitres('04 L')).toBe(4);
+        expect(tint.packLitres('20LTR')).toBe(20);
+        expect(tint.packLitres('500 ML')).toBe(0.5);
+        expect(tint.packLitres('20 KG')).toBeNull();
+        expect(tint.packLitres(null)).toBeNull();
+    });
+
+    test('shots scale to the pack and print on one line', () => {
+        const colorants = [{ code: 'C1', shots_per_litre: 3 }, { code: 'Y2', shots_per_litre: 0.875 }];
+        expect(tint.shotsForPack(colorants, 4).map(c => c.shots)).toEqual([12, 3.5]);
+        const formula = { shade_code: 'WW 0002', shade_name: 'Jasmine White', base_key: 'CS1', machine_name: 'COROB', colorants };
+        expect(tint.formatFormula(formula, '04 L')).toBe('WW 0002 Jasmine White · Base CS1 · Machine COROB · 04 L: C1 12, Y2 3.5 shots');
+        expect(tint.formatFormula({ ...formula, colorants: JSON.stringify(colorants) }, '20 KG'))
+            .toBe('WW 0002 Jasmine White · Base CS1 · Machine COROB · C1 3, Y2 0.875 shots/L');
+    });
+
+    test('normalizePhone keeps the last 10 digits', () => {
+        expect(tint.normalizePhone('+91 98765-43210')).toBe('9876543210');
+        expect(tint.normalizePhone('12345')).toBeNull();
+    });
+});
+
+describe('buildFormula', () => {
+    test('an invoice line supplies customer, base item, tint base and pack', async () => {
+        const formula = await tint.buildFormula(makeDb(), {
+            shade_code: 'ww 0002', colorants: [{ code: 'C1', shots_per_litre: 3 }], invoice_item_id: 31
+        });
+        expect(formula).toMatchObject({
+            shade_code: 'WW 0002',
+            invoice_id: 12, invoice_item_id: 31, estimate_id: null,
+            base_zoho_item_id: '7001', base_item_name: BASE_ITEM.zoho_item_name, base_key: 'CS1',
+            pack_size: '04 L', customer_name: 'Ravi Kumar', customer_phone: '9876543210', branch_id: 2
+        });
+    });
+
+    test('linking both an estimate and an invoice line is refused', async () => {
+        await expect(tint.buildFormula(makeDb(), {
+            shade_code: 'X', colorants: [{ code: 'C1', shots_per_litre: 1 }], invoice_item_id: 31, estimate_item_id: 4
+        })).rejects.toMatchObject({ code: 'INVALID_FORMULA' });
+    });
+
+    test('an unknown line is LINE_NOT_FOUND', async () => {
+        await expect(tint.buildFormula(makeDb(), {
+            shade_code: 'X', colorants: [{ code: 'C1', shots_per_litre: 1 }], estimate_item_id: 4
+        })).rejects.toMatchObject({ code: 'LINE_NOT_FOUND' });
+    });
+});
+
+describe('routes/tint-formulas', () => {
+    const user = { id: 9, role: 'staff', branch_id: 2 };
+
+    test('POST / fills the shade from the catalog and stores colorants as JSON', async () => {
+        const db = makeDb();
+        routes.setPool(db);
+        auditLog.record.mockClear();
+        const body = routes.formulaSchema.parse({
+            shade_code: 'ww0002', brand_code: 'birla-opus', invoice_item_id: 31, machine_name: 'COROB',
+            colorants: [{ code: 'c1', shots_per_litre: 3 }]
+        });
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/'))({ user, body }, res);
+        expect(res.body).toMatchObject({ success: true, id: 5 });
+        expect(res.body.formula).toMatchObject({ shade_code: 'WW 0002', shade_name: 'Jasmine White', shade_hex: expect.stringMatching(/^#/) });
+        const insert = db.calls.find(c => /INSERT INTO tint_formulas/.test(c.sql));
+        expect(insert.params).toContain('[{"code":"C1","shots_per_litre":3}]');
+        expect(insert.params[insert.params.length - 1]).toBe(9);
+        expect(auditLog.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'billing.tint.create' }));
+    });
+
+    test('POST / with an unknown invoice line is 404', async () => {
+        routes.setPool(makeDb());
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/'))({
+            user, body: { shade_code: 'X1', colorants: [{ code: 'C1', shots_per_litre: 1 }], invoice_item_id: 99 }
+        }, res);
+        expect(res.statusCode).toBe(404);
+        expect(res.body.code).toBe('LINE_NOT_FOUND');
+    });
+
+    test('GET / by phone matches the last 10 digits and refuses short numbers', async () => {
+        const db = makeDb();
+        routes.setPool(db);
+        const handler = lastHandler(findRoute('get', '/'));
+
+        let res = mockRes();
+        await handler({ user, query: { phone: '091-98765 43210', limit: 50 } }, res);
+        expect(res.body).toEqual({ success: true, formulas: [] });
+        expect(db.calls.find(c => /FROM tint_formulas tf/.test(c.sql)).params).toEqual(['9876543210', 50]);
+
+        res = mockRes();
+        await handler({ user, query: { phone: '98765', limit: 50 } }, res);
+        expect(res.statusCode).toBe(400);
+    });
+
+    test('search needs at least one filter', () => {
+        const search = findRoute('get', '/').stack[1].handle;
+        const res = mockRes();
+        const next = jest.fn();
+        search({ query: {} }, res, next);
+        expect(next).not.toHaveBeenCalled();
+        expect(res.statusCode).toBe(400);
+    });
+});
@@ -0,0 +1,320 @@
+/**
+ * Purchase returns — routes/vendors.js planPurchaseReturn + POST /bills/:id/returns
+ * + /returns/:id/credit + /stats, and services/vendor-zoho-service.js
+ * pushPurchaseReturnToZoho.
+ *
+ * Money path. Locks:
+ *   - planPurchaseReturn: per-line open quantity (billed − already returned),
+ *     no unknown/duplicate lines, pro-rata discount + GST, total capped at what
+ *     the bill still carries, and the split between what cancels the unpaid
+ *     balance (adjusted) and what the vendor owes back (creditDue);
+ *   - purchaseReturnSchema: per-line reason enum, 'other' needs notes;
+ *   - the handler: unpushed bill ⇒ 400 NOT_PUSHED; an over-return rolls back ⇒
+ *     400 INVALID_RETURN; the happy path writes the return + lines +
+ *     returned_amount in ONE transaction, decrements the local stock at the
+ *     bill's location and pushes the debit note; a Zoho failure never changes
+ *     the 200 and is stamped on the return;
+ *   - the Zoho vendor credit carries the location on every line, is applied to
+ *     the bill up to its open balance, and is adopted (not re-created) when a
+ *     prior run already made it;
+ *   - credit received settles the return, with the return row locked in one
+ *     transaction; /stats nets open return credit.
+ *
+ * Handlers invoked directly via router stack walk (billing-sales-return pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+
+const mockGetVendorCredits = jest.fn();
+const mockCreateVendorCredit = jest.fn();
+const mockApplyVendorCredit = jest.fn();
+const mockGetBill = jest.fn();
+jest.mock('../../services/zoho-api', () => ({
+    getVendorCredits: (...a) => mockGetVendorCredits(...a),
+    createVendorCredit: (...a) => mockCreateVendorCredit(...a),
+    applyVendorCreditToBills: (...a) => mockApplyVendorCredit(...a),
+    getBill: (...a) => mockGetBill(...a),
+}));
+
+const vendors = require('../../routes/vendors');
+const vendorZohoService = require('../../services/vendor-zoho-service');
+const { planPurchaseReturn, purchaseReturnSchema } = vendors;
+
+const findRoute = (method, path) => vendors.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const ITEMS = [
+    { id: 21, zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: '10.00', unit_price: '4000.00' },
+    { id: 22, zoho_item_id: 'Z2', item_name: 'Primer 4L', quantity: '5.00', unit_price: '600.00' },
+];
+// subtotal 43000, discount 3000 → taxable 40000, GST 7200 → grand 47200
+const BILL = {
+    id: 8, vendor_id: 3, bill_number: 'BILL-20261019-001', zoho_status: 'pushed', zoho_bill_id: 'ZB8',
+    zoho_location_id: 'LOC1', zoho_location_name: 'Main Godown',
+    subtotal: '43000.00', discount_amount: '3000.00', tax_amount: '7200.00', grand_total: '47200.00',
+    returned_amount: '0.00', amount_paid: '0.00', balance_due: '47200.00', payment_status: 'unpaid',
+};
+
+describe('planPurchaseReturn', () => {
+    it('values a return net of the pro-rata discount plus its GST share', () => {
+        const plan = planPurchaseReturn(BILL, ITEMS, {}, [{ bill_item_id: 21, quantity: 2, reason_code: 'damaged' }]);
+        expect(plan.lines).toEqual([{
+            bill_item_id: 21, zoho_item_id: 'Z1', item_name: 'Emulsion 20L',
+            quantity: 2, unit_price: 4000, line_total: 8000, reason_code: 'damaged',
+        }]);
+        expect(plan.subtotal).toBe(8000);
+        expect(plan.discountShare).toBe(558.14);
+        expect(plan.taxAmount).toBe(1339.53);
+        expect(plan.total).toBe(8781.39);
+        // unpaid bill — the whole return just cancels what was owed
+        expect(plan.adjusted).toBe(8781.39);
+        expect(plan.creditDue).toBe(0);
+    });
+
+    it('puts what was already paid into credit due from the vendor', () => {
+        const paid = { ...BILL, amount_paid: '45000.00' };
+        const plan = planPurchaseReturn(paid, ITEMS, {}, [{ bill_item_id: 21, quantity: 2, reason_code: 'wrong_shade' }]);
+        expect(plan.adjusted).toBe(2200);
+        expect(plan.creditDue).toBe(6581.39);
+    });
+
+    it('refuses more than is still open, unknown and duplicate lines', () => {
+        const bad = (requested, returned = {}) => {
+            try { planPurchaseReturn(BILL, ITEMS, returned, requested); } catch (e) { return e; }
+            return null;
+        };
+        expect(bad([{ bill_item_id: 22, quantity: 2, reason_code: 'damaged' }], { 22: 4 })).toMatchObject({
+            code: 'INVALID_RETURN', message: 'Only 1 of Primer 4L can still be returned (billed 5, returned 4)',
+        });
+        expect(bad([{ bill_item_id: 99, quantity: 1, reason_code: 'damaged' }]).message).toBe('Line 99 is not on this bill');
+        expect(bad([
+            { bill_item_id: 21, quantity: 1, reason_code: 'damaged' },
+            { bill_item_id: 21, quantity: 1, reason_code: 'expired' },
+        ]).message).toBe('Line 21 is listed twice');
+    });
+
+    it('caps the total at what the bill still carries', () => {
+        const mostlyReturned = { ...BILL, returned_amount: '47000.00' };
+        const plan = planPurchaseReturn(mostlyReturned, ITEMS, {}, [{ bill_item_id: 22, quantity: 1, reason_code: 'damaged' }]);
+        expect(plan.total).toBe(200);
+    });
+});
+
+describe('purchaseReturnSchema', () => {
+    it('needs a known reason per line, and notes for "other"', () => {
+        expect(purchaseReturnSchema.safeParse({ items: [{ bill_item_id: 21, quantity: 1, reason_code: 'scratched' }] }).success).toBe(false);
+        expect(purchaseReturnSchema.safeParse({ items: [{ bill_item_id: 21, quantity: 1, reason_code: 'other' }] }).success).toBe(false);
+        expect(purchaseReturnSchema.safeParse({ items: [{ bill_item_id: 21, quantity: 1, reason_code: 'other' }], notes: 'lid cracked' }).success).toBe(true);
+    });
+});
+
+function makePool({ bill = BILL, items = ITEMS, returned = [], paid = 0 } = {}) {
+    const calls = [];
+    const connection = { commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn(), beginTransaction: jest.fn() };
+    const query = async (sql, params = []) => {
+        const s = String(sql).replace(/\s+/g, ' ').trim();
+        calls.push({ sql: s, params });
+        if (/FROM vendor_purchase_returns WHERE return_number LIKE/.test(s)) return [[]];
+        if (/FROM vendor_bills WHERE id = \? AND deleted_at IS NULL FOR UPDATE/.test(s)) return [bill ? [bill] : []];
+        if (/FROM vendor_bill_items WHERE bill_id = \?/.test(s)) return [items];
+        if (/GROUP BY vpri\.bill_item_id/.test(s)) return [returned];
+        if (/^INSERT INTO vendor_purchase_returns/.test(s)) return [{ insertId: 31 }];
+        if (/SUM\(amount\).*FROM vendor_payments WHERE bill_id/.test(s)) return [[{ total_paid: paid }]];
+        if (/SELECT grand_total, returned_amount FROM vendor_bills/.test(s)) return [[{ grand_total: bill.grand_total, returned_amount: 8781.39 }]];
+        return [{ affectedRows: 1, insertId: 1 }];
+    };
+    connection.query = query;
+    return { calls, connection, query, getConnection: async () => connection };
+}
+
+describe('POST /bills/:id/returns', () => {
+    const handler = () => lastHandler(findRoute('post', '/bills/:id/returns'));
+    const req = (body) => ({ params: { id: '8' }, user: { id: 4 }, body: { notes: '', ...body } });
+    let push;
+    beforeEach(() => { push = jest.spyOn(vendorZohoService, 'pushPurchaseReturnToZoho'); });
+    afterEach(() => push.mockRestore());
+
+    it('refuses a bill that is not in Zoho', async () => {
+        const pool = makePool({ bill: { ...BILL, zoho_status: 'pending', zoho_bill_id: null } });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await handler()(req({ items: [{ bill_item_id: 21, quantity: 1, reason_code: 'damaged' }] }), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('NOT_PUSHED');
+        expect(pool.connection.rollback).toHaveBeenCalled();
+        expect(push).not.toHaveBeenCalled();
+    });
+
+    it('rolls back an over-return', async () => {
+        const pool = makePool({ returned: [{ bill_item_id: 22, qty: '5.00' }] });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await handler()(req({ items: [{ bill_item_id: 22, quantity: 1, reason_code: 'damaged' }] }), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('INVALID_RETURN');
+        expect(pool.connection.commit).not.toHaveBeenCalled();
+        expect(pool.calls.some(c => /^INSERT INTO vendor_purchase_returns/.test(c.sql))).toBe(false);
+    });
+
+    it('records the return, takes the stock out at the bill location and pushes the debit note', async () => {
+        const pool = makePool();
+        vendors.setPool(pool);
+        push.mockResolvedValue({ zohoVendorCreditId: 'VC1', zohoVendorCreditNumber: 'DN-0001', appliedAmount: 8781.39, warnings: [] });
+        const res = mockRes();
+        await handler()(req({ items: [{ bill_item_id: 21, quantity: 2, reason_code: 'damaged' }] }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.connection.commit).toHaveBeenCalled();
+        const header = pool.calls.find(c => /^INSERT INTO vendor_purchase_returns/.test(c.sql));
+        expect(header.params).toEqual([
+            expect.stringMatching(/^PR-\d{8}-001$/), 3, '8', '', 'LOC1', 'Main Godown',
+            8000, 558.14, 1339.53, 8781.39, 8781.39, 0, 'settled', 4,
+        ]);
+        const line = pool.calls.find(c => /^INSERT INTO vendor_purchase_return_items/.test(c.sql));
+        expect(line.params).toEqual([31, 21, 'Z1', 'Emulsion 20L', 2, 4000, 8000, 'damaged']);
+        expect(pool.calls.find(c => /^UPDATE vendor_bills SET returned_amount = returned_amount \+ \?/.test(c.sql)).params).toEqual([8781.39, '8']);
+        // settled against grand − returned
+        expect(pool.calls.find(c => /^UPDATE vendor_bills SET amount_paid/.test(c.sql)).params).toEqual([0, 38418.61, 'unpaid', '8']);
+        expect(pool.calls.find(c => /^UPDATE zoho_location_stock/.test(c.sql)).params).toEqual([2, 2, 'Z1', 'LOC1']);
+
+        expect(push).toHaveBeenCalledWith(31);
+        expect(res.body.zoho).toEqual({ pushed: true, error: null, zoho_vendor_credit_id: 'VC1', zoho_vendor_credit_number: 'DN-0001', applied_amount: 8781.39, warnings: [] });
+        expect(res.body.return).toEqual(expect.objectContaining({ id: 31, total: 8781.39, credit_due: 0 }));
+        expect(res.body.bill).toEqual({ id: 8, returned_amount: 8781.39, amount_paid: 0, balance_due: 38418.61, payment_status: 'unpaid' });
+    });
+
+    it('a Zoho failure keeps the 200 and is stamped on the return', async () => {
+        const pool = makePool();
+        vendors.setPool(pool);
+        push.mockRejectedValue(Object.assign(new Error('Vendor is not linked to a Zoho contact'), { code: 'VENDOR_NOT_IN_ZOHO' }));
+        const res = mockRes();
+        await handler()(req({ items: [{ bill_item_id: 22, quantity: 1, reason_code: 'wrong_shade' }] }), res);
+        expect(res.statusCode).toBe(200);
+        expect(res.body.zoho).toEqual({ pushed: false, error: 'Vendor is not linked to a Zoho contact', code: 'VENDOR_NOT_IN_ZOHO' });
+        const stamp = pool.calls.find(c => /^UPDATE vendor_purchase_returns SET zoho_status = 'failed'/.test(c.sql));
+        expect(stamp.params).toEqual(['Vendor is not linked to a Zoho contact', 31]);
+    });
+});
+
+describe('pushPurchaseReturnToZoho', () => {
+    const RETURN = {
+        id: 31, return_number: 'PR-20261019-001', vendor_id: 3, bill_id: 8, notes: '',
+        zoho_location_id: 'LOC1', discount_share: '558.14', total: '8781.39', zoho_status: 'pending',
+        zoho_vendor_credit_id: null, zoho_applied_amount: null,
+        bill_number: 'BILL-20261019-001', bill_zoho_status: 'pushed', bill_zoho_bill_id: 'ZB8', vendor_zoho_contact_id: 'VZ3',
+    };
+    function servicePool(ret = RETURN) {
+        const calls = [];
+        return {
+            calls,
+            query: async (sql, params = []) => {
+                const s = String(sql).replace(/\s+/g, ' ').trim();
+                calls.push({ sql: s, params });
+                if (/FROM vendor_purchase_returns vpr/.test(s)) return [[ret]];
+                if (/FROM vendor_purchase_return_items/.test(s)) {
+                    return [[{ zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: '2.00', unit_price: '4000.00', reason_code: 'damaged' }]];
+                }
+                if (/FROM ai_config/.test(s)) return [[{ config_value: params[0] === 'zoho_default_gst_tax_id' ? 'TAX18' : 'ACC9' }]];
+                return [{ affectedRows: 1 }];
+            }
+        };
+    }
+    beforeEach(() => jest.clearAllMocks());
+
+    it('creates the vendor credit at the return location and applies it to the bill balance', async () => {
+        const pool = servicePool();
+        vendorZohoService.setPool(pool);
+        mockGetVendorCredits.mockResolvedValue({ vendor_credits: [] });
+        mockCreateVendorCredit.mockResolvedValue({ vendor_credit: { vendor_credit_id: 'VC1', vendor_credit_number: 'DN-0001', total: 8781.39 } });
+        mockGetBill.mockResolvedValue({ bill: { balance: 5000 } });
+
+        const result = await vendorZohoService.pushPurchaseReturnToZoho(31);
+
+        const payload = mockCreateVendorCredit.mock.calls[0][0];
+        expect(payload).toEqual(expect.objectContaining({
+            vendor_id: 'VZ3', reference_number: 'PR-20261019-001', bill_id: 'ZB8', location_id: 'LOC1',
+            discount: 558.14, discount_type: 'entity_level', is_discount_before_tax: true, discount_account_id: 'ACC9',
+        }));
+        expect(payload.line_items).toEqual([{
+            item_id: 'Z1', name: 'Emulsion 20L', quantity: 2, rate: 4000, description: 'damaged', tax_id: 'TAX18', location_id: 'LOC1',
+        }]);
+        expect(mockApplyVendorCredit).toHaveBeenCalledWith('VC1', [{ bill_id: 'ZB8', amount_applied: 5000 }]);
+        expect(result).toEqual({ zohoVendorCreditId: 'VC1', zohoVendorCreditNumber: 'DN-0001', appliedAmount: 5000, warnings: [] });
+        expect(pool.calls.find(c => /^UPDATE vendor_purchase_returns SET zoho_status = 'pushed'/.test(c.sql)).params).toEqual(['VC1', 'DN-0001', 5000, 31]);
+    });
+
+    it('adopts a vendor credit a prior run already created', async () => {
+        vendorZohoService.setPool(servicePool());
+        mockGetVendorCredits.mockResolvedValue({ vendor_credits: [{ vendor_credit_id: 'VC1', vendor_credit_number: 'DN-0001', reference_number: 'PR-20261019-001' }] });
+        const result = await vendorZohoService.pushPurchaseReturnToZoho(31);
+        expect(result).toEqual(expect.objectContaining({ adopted: true, zohoVendorCreditId: 'VC1' }));
+        expect(mockCreateVendorCredit).not.toHaveBeenCalled();
+    });
+
+    it('refuses while the bill is not in Zoho', async () => {
+        vendorZohoService.setPool(servicePool({ ...RETURN, bill_zoho_status: 'pending', bill_zoho_bill_id: null }));
+        await expect(vendorZohoService.pushPurchaseReturnToZoho(31)).rejects.toMatchObject({ code: 'BILL_NOT_PUSHED' });
+        expect(mockCreateVendorCredit).not.toHaveBeenCalled();
+    });
+});
+
+describe('POST /returns/:id/credit and GET /stats', () => {
+    function creditPool(ret) {
+        const calls = [];
+        const pool = {
+            calls,
+            query: async (sql, params = []) => {
+                const s = String(sql).replace(/\s+/g, ' ').trim();
+                calls.push({ sql: s, params });
+                if (/^SELECT \* FROM vendor_purchase_returns WHERE id = \? FOR UPDATE/.test(s)) return [ret ? [ret] : []];
+                if (/AS total_vendors/.test(s)) {
+                    return [[{ total_vendors: 4, open_bills: 2, outstanding: '12000.00', purchase_orders: 1, open_returns: 1, return_credit_due: '2500.00' }]];
+                }
+                return [{ affectedRows: 1 }];
+            }
+        };
+        pool.conn = {
+            query: pool.query, beginTransaction: jest.fn(), commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn()
+        };
+        pool.getConnection = async () => pool.conn;
+        return pool;
+    }
+
+    it('settles the return once the credit due is in', async () => {
+        const pool = creditPool({ id: 31, credit_due: '2500.00', credit_received: '1000.00', credit_status: 'open' });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/returns/:id/credit'))({ params: { id: '31' }, user: { id: 4 }, body: { amount: 1500, reference: 'CN-77' } }, res);
+        expect(res.body).toEqual(expect.objectContaining({ success: true, credit_received: 2500, credit_outstanding: 0, credit_status: 'settled' }));
+        expect(pool.calls.find(c => /^UPDATE vendor_purchase_returns SET credit_received/.test(c.sql)).params).toEqual([2500, 'settled', 'CN-77', 'settled', '31']);
+        expect(pool.conn.commit).toHaveBeenCalled();
+        expect(pool.conn.release).toHaveBeenCalled();
+    });
+
+    it('refuses more than is still due', async () => {
+        const pool = creditPool({ id: 31, credit_due: '2500.00', credit_received: '0.00', credit_status: 'open' });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/returns/:id/credit'))({ params: { id: '31' }, user: { id: 4 }, body: { amount: 3000, reference: '' } }, res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('EXCEEDS_CREDIT_DUE');
+        expect(pool.conn.rollback).toHaveBeenCalled();
+        expect(pool.calls.some(c => /^UPDATE/.test(c.sql))).toBe(false);
+    });
+
+    it('nets open return credit off the outstanding payable', async () => {
+        vendors.setPool(creditPool());
+        const res = mockRes();
+        await lastHandler(findRoute('get', '/stats'))({}, res);
+        expect(res.body.stats).toEqual(expect.objectContaining({ outstanding: '12000.00', return_credit_due: '2500.00', net_outstanding: 9500, open_returns: 1 }));
+    });
+});
@@ -0,0 +1,271 @@
+/**
+ * Goods receipts + three-way match — services/vendor-three-way-match.js and
+ * the routes/vendors.js GRN / push-zoho / override-three-way handlers.
+ *
+ * Locks:
+ *   - planGoodsReceipt: partial deliveries accumulate per PO line, each line
+ *     flagged short / ok / excess against the ordered qty, and the PO's
+ *     receipt_status follows; unknown, duplicate and non-positive lines refuse;
+ *   - matchThreeWay: billed qty vs received, billed qty vs ordered, billed
+ *     rate vs PO rate, lines not on the PO and "no GRN yet" are differences;
+ *     lines pair by Zoho item, else by name; no PO ⇒ not_applicable;
+ *   - POST /purchase-orders/:id/receipts: draft POs refuse; the receipt, the
+ *     running received_qty and receipt_status land in ONE transaction, the
+ *     PO's bill override is reset and the stock cache is bumped — unless
+ *     convert-to-bill already did;
+ *   - push-zoho refuses a mismatch with THREE_WAY_MISMATCH unless a manager
+ *     accepted it; the override needs a note and is audited.
+ *
+ * Handlers invoked directly via router stack walk (vendor-purchase-return pattern).
+ */
+
+jest.mock('../../services/audit-log', () => ({ record: jest.fn().mockResolvedValue() }));
+
+const mockCreateBill = jest.fn();
+const mockFinalize = jest.fn();
+jest.mock('../../services/zoho-api', () => ({
+    createBill: (...a) => mockCreateBill(...a),
+    finalizeDocument: (...a) => mockFinalize(...a),
+}));
+
+const audit = require('../../services/audit-log');
+const vendors = require('../../routes/vendors');
+const vendorZohoService = require('../../services/vendor-zoho-service');
+const { planGoodsReceipt, matchThreeWay } = require('../../services/vendor-three-way-match');
+
+const findRoute = (method, path) => vendors.router.stack
+    .map(l => l.route)
+    .find(rt => rt && rt.path === path && rt.methods[method]);
+const lastHandler = (route) => route.stack[route.stack.length - 1].handle;
+
+function mockRes() {
+    const res = { statusCode: 200, body: null };
+    res.status = (c) => { res.statusCode = c; return res; };
+    res.json = (b) => { res.body = b; return res; };
+    return res;
+}
+
+const PO_ITEMS = [
+    { id: 51, po_id: 7, zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: '10.00', received_qty: '0.00', unit_price: '4000.00' },
+    { id: 52, po_id: 7, zoho_item_id: null, item_name: 'Primer 4L', quantity: '5.00', received_qty: '0.00', unit_price: '600.00' },
+];
+
+describe('planGoodsReceipt', () => {
+    it('flags a partial delivery short and leaves the PO partial', () => {
+        const plan = planGoodsReceipt(PO_ITEMS, [{ po_item_id: 51, received_qty: 6 }]);
+        expect(plan.lines).toEqual([{
+            po_item_id: 51, zoho_item_id: 'Z1', item_name: 'Emulsion 20L',
+            ordered_qty: 10, received_qty: 6, total_received: 6, flag: 'short', notes: null,
+        }]);
+        expect(plan.receiptStatus).toBe('partial');
+    });
+
+    it('accumulates over deliveries to complete, or excess when over-delivered', () => {
+        const after = [{ ...PO_ITEMS[0], received_qty: '6.00' }, { ...PO_ITEMS[1], received_qty: '5.00' }];
+        const done = planGoodsReceipt(after, [{ po_item_id: 51, received_qty: 4 }]);
+        expect(done.lines[0]).toEqual(expect.objectContaining({ total_received: 10, flag: 'ok' }));
+        expect(done.receiptStatus).toBe('complete');
+
+        const over = planGoodsReceipt(after, [{ po_item_id: 51, received_qty: 5, notes: '1 extra tin' }]);
+        expect(over.lines[0]).toEqual(expect.objectContaining({ total_received: 11, flag: 'excess', notes: '1 extra tin' }));
+        expect(over.receiptStatus).toBe('excess');
+    });
+
+    it('refuses unknown, duplicate and non-positive lines', () => {
+        const bad = (requested) => {
+            try { planGoodsReceipt(PO_ITEMS, requested); } catch (e) { return e; }
+            return null;
+        };
+        expect(bad([{ po_item_id: 99, received_qty: 1 }])).toMatchObject({ code: 'INVALID_RECEIPT', message: 'Line 99 is not on this purchase order' });
+        expect(bad([{ po_item_id: 51, received_qty: 1 }, { po_item_id: 51, received_qty: 2 }]).message).toBe('Line 51 is listed twice');
+        expect(bad([{ po_item_id: 52, received_qty: 0 }]).message).toBe('Received quantity for Primer 4L must be positive');
+        expect(bad([]).message).toBe('Record at least one received line');
+    });
+});
+
+describe('matchThreeWay', () => {
+    const received = [{ ...PO_ITEMS[0], received_qty: '8.00' }, { ...PO_ITEMS[1], received_qty: '5.00' }];
+
+    it('matches a bill for exactly what arrived at the PO rate (name fallback for unmatched lines)', () => {
+        const result = matchThreeWay({
+            poItems: received,
+            billItems: [
+                { zoho_item_id: 'Z1', item_name: 'EMULSION 20 LTR', quantity: '8.00', unit_price: '4000.00' },
+                { zoho_item_id: null, item_name: ' primer 4l ', quantity: '5.00', unit_price: '600.00' },
+            ],
+        });
+        expect(result.status).toBe('matched');
+        expect(result.differences).toEqual([]);
+        expect(result.lines[0]).toEqual({
+            zoho_item_id: 'Z1', item_name: 'Emulsion 20L', ordered_qty: 10, received_qty: 8, billed_qty: 8,
+            po_rate: 4000, billed_rate: 4000, receipt_flag: 'short', status: 'matched',
+        });
+    });
+
+    it('flags billed-not-received, over-ordered, rate and off-PO lines', () => {
+        const result = matchThreeWay({
+            poItems: received,
+            billItems: [
+                { zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: '11.00', unit_price: '4100.00' },
+                { zoho_item_id: null, item_name: 'Primer 4L', quantity: '5.00', unit_price: '600.00' },
+                { zoho_item_id: 'Z9', item_name: 'Putty 40kg', quantity: '2.00', unit_price: '900.00' },
+            ],
+        });
+        expect(result.status).toBe('mismatch');
+        expect(result.differences.map(d => d.field)).toEqual(['billed_vs_received', 'billed_vs_ordered', 'rate', 'not_on_po']);
+        expect(result.differences[0].message).toBe('"Emulsion 20L": billed 11 but only 8 received');
+        expect(result.differences[2]).toEqual(expect.objectContaining({ expected: 4000, actual: 4100 }));
+        expect(result.lines.map(l => l.status)).toEqual(['mismatch', 'matched', 'mismatch']);
+    });
+
+    it('flags a received line left off the bill, and a PO with no receipt at all', () => {
+        const offBill = matchThreeWay({ poItems: received, billItems: [{ zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: 8, unit_price: 4000 }] });
+        expect(offBill.differences).toEqual([expect.objectContaining({
+            field: 'billed_vs_received', item_name: 'Primer 4L', expected: 5, actual: 0, message: '"Primer 4L": received 5 but billed 0',
+        })]);
+
+        const noGrn = matchThreeWay({ poItems: PO_ITEMS, billItems: [{ zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: 10, unit_price: 4000 }] });
+        expect(noGrn.status).toBe('mismatch');
+        expect(noGrn.differences.map(d => d.field)).toEqual(['no_receipt']);
+    });
+
+    it('is not applicable without a PO', () => {
+        expect(matchThreeWay({ poItems: [], billItems: [] }).status).toBe('not_applicable');
+    });
+});
+
+function makePool({ po, poItems = PO_ITEMS, bill, billItems = [] } = {}) {
+    const calls = [];
+    const connection = { commit: jest.fn(), rollback: jest.fn().mockResolvedValue(), release: jest.fn(), beginTransaction: jest.fn() };
+    const query = async (sql, params = []) => {
+        const s = String(sql).replace(/\s+/g, ' ').trim();
+        calls.push({ sql: s, params });
+        if (/FROM vendor_goods_receipts WHERE grn_number LIKE/.test(s)) return [[]];
+        if (/FROM vendor_purchase_orders WHERE id = \? FOR UPDATE/.test(s)) return [po ? [po] : []];
+        if (/FROM vendor_po_items WHERE po_id = \?/.test(s)) return [poItems];
+        if (/^INSERT INTO vendor_goods_receipts/.test(s)) return [{ insertId: 61 }];
+        if (/FROM zoho_location_stock/.test(s)) return [[{ id: 5, stock_on_hand: '3', available_stock: '2' }]];
+        if (/FROM vendor_bills vb JOIN vendors v/.test(s)) return [bill ? [bill] : []];
+        if (/FROM vendor_bills WHERE id = \? AND deleted_at IS NULL/.test(s)) return [bill ? [bill] : []];
+        if (/FROM vendor_bill_items WHERE bill_id = \? ORDER BY id/.test(s)) return [billItems];
+        if (/^SELECT item_name FROM vendor_bill_items/.test(s)) return [[]];
+        if (/FROM vendor_bill_items WHERE bill_id = \?/.test(s)) return [billItems];
+        if (/FROM ai_config/.test(s)) return [[]];
+        return [{ affectedRows: 1, insertId: 1 }];
+    };
+    connection.query = query;
+    return { calls, connection, query, getConnection: async () => connection };
+}
+
+const PO = { id: 7, po_number: 'PO-20261019-001', vendor_id: 3, status: 'sent', receipt_status: 'none', stock_applied_on_convert: 0, zoho_location_id: 'LOC1', zoho_location_name: 'Main Godown' };
+
+describe('POST /purchase-orders/:id/receipts', () => {
+    const handler = () => lastHandler(findRoute('post', '/purchase-orders/:id/receipts'));
+    const req = (body) => ({ params: { id: '7' }, user: { id: 4 }, body: { notes: '', ...body } });
+
+    it('refuses a draft PO', async () => {
+        const pool = makePool({ po: { ...PO, status: 'draft' } });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await handler()(req({ items: [{ po_item_id: 51, received_qty: 1 }] }), res);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('PO_NOT_OPEN');
+        expect(pool.connection.rollback).toHaveBeenCalled();
+    });
+
+    it('records the receipt in one transaction and bumps the stock at the PO location', async () => {
+        const pool = makePool({ po: PO });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await handler()(req({ items: [{ po_item_id: 51, received_qty: 6 }, { po_item_id: 52, received_qty: 5 }] }), res);
+
+        expect(res.statusCode).toBe(200);
+        expect(pool.connection.commit).toHaveBeenCalled();
+        const header = pool.calls.find(c => /^INSERT INTO vendor_goods_receipts/.test(c.sql));
+        expect(header.params).toEqual([expect.stringMatching(/^GRN-\d{8}-001$/), '7', 3, 'LOC1', 'Main Godown', '', 4]);
+        const lines = pool.calls.filter(c => /^INSERT INTO vendor_goods_receipt_items/.test(c.sql)).map(c => c.params);
+        expect(lines).toEqual([
+            [61, 51, 'Z1', 'Emulsion 20L', 10, 6, 'short', null],
+            [61, 52, null, 'Primer 4L', 5, 5, 'ok', null],
+        ]);
+        expect(pool.calls.filter(c => /^UPDATE vendor_po_items SET received_qty = received_qty \+ \?/.test(c.sql)).map(c => c.params))
+            .toEqual([[6, 51], [5, 52]]);
+        expect(pool.calls.find(c => /^UPDATE vendor_purchase_orders SET receipt_status/.test(c.sql)).params).toEqual(['partial', '7']);
+        expect(pool.calls.find(c => /^UPDATE vendor_bills SET three_way_overridden_by = NULL/.test(c.sql)).params).toEqual(['7']);
+        // only the Zoho-matched line moves the cache: 3 + 6, 2 + 6
+        expect(pool.calls.find(c => /^UPDATE zoho_location_stock/.test(c.sql)).params).toEqual([9, 8, 5]);
+        expect(res.body).toEqual(expect.objectContaining({ receipt_status: 'partial', message: expect.stringMatching(/1 line\(s\) still short/) }));
+        expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'vendor.po.receipt' }));
+    });
+
+    it('leaves the stock alone when convert-to-bill already applied it', async () => {
+        const pool = makePool({ po: { ...PO, status: 'received', stock_applied_on_convert: 1 } });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await handler()(req({ items: [{ po_item_id: 51, received_qty: 10 }] }), res);
+        expect(res.statusCode).toBe(200);
+        expect(pool.calls.some(c => /zoho_location_stock/.test(c.sql))).toBe(false);
+    });
+});
+
+describe('three-way gate on push-zoho', () => {
+    const BILL = {
+        id: 8, vendor_id: 3, po_id: 7, bill_number: 'BILL-20261019-001', vendor_name: 'Acme Paints', zoho_contact_id: 'ZC3',
+        ai_verification_status: 'verified', zoho_status: 'pending', discount_amount: '0.00', three_way_overridden_at: null,
+    };
+    const RECEIVED = [{ ...PO_ITEMS[0], received_qty: '8.00' }, { ...PO_ITEMS[1], received_qty: '5.00' }];
+    const BILLED = [
+        { id: 81, zoho_item_id: 'Z1', item_name: 'Emulsion 20L', quantity: '10.00', unit_price: '4000.00', hsn_or_sac: '3209' },
+        { id: 82, zoho_item_id: null, item_name: 'Primer 4L', quantity: '5.00', unit_price: '600.00', hsn_or_sac: '3209' },
+    ];
+    const push = (pool) => {
+        vendors.setPool(pool);
+        const res = mockRes();
+        return lastHandler(findRoute('post', '/bills/:id/push-zoho'))({ params: { id: '8' }, user: { id: 4, role: 'admin' }, body: {} }, res).then(() => res);
+    };
+    let sync;
+    beforeEach(() => {
+        mockCreateBill.mockReset().mockResolvedValue({ bill: { bill_id: 'ZB8' } });
+        mockFinalize.mockReset().mockResolvedValue({ state: 'approved' });
+        sync = jest.spyOn(vendorZohoService, 'syncBillPayments').mockResolvedValue({ synced: 0 });
+    });
+    afterEach(() => sync.mockRestore());
+
+    it('refuses a bill billing more than arrived', async () => {
+        const pool = makePool({ bill: BILL, poItems: RECEIVED, billItems: BILLED });
+        const res = await push(pool);
+        expect(res.statusCode).toBe(400);
+        expect(res.body.code).toBe('THREE_WAY_MISMATCH');
+        expect(res.body.differences.map(d => d.field)).toEqual(['billed_vs_received']);
+        const stored = pool.calls.find(c => /^UPDATE vendor_bills SET three_way_status = \?/.test(c.sql));
+        expect(stored.params[0]).toBe('mismatch');
+        expect(mockCreateBill).not.toHaveBeenCalled();
+    });
+
+    it('pushes once a manager accepted the differences', async () => {
+        const pool = makePool({ bill: { ...BILL, three_way_overridden_at: '2026-10-19 10:00:00' }, poItems: RECEIVED, billItems: BILLED });
+        const res = await push(pool);
+        expect(res.statusCode).toBe(200);
+        expect(mockCreateBill).toHaveBeenCalled();
+    });
+
+    it('override-three-way needs a mismatch and stamps who accepted it', async () => {
+        const pool = makePool({ bill: BILL, poItems: RECEIVED, billItems: BILLED });
+        vendors.setPool(pool);
+        const res = mockRes();
+        await lastHandler(findRoute('post', '/bills/:id/override-three-way'))(
+            { params: { id: '8' }, user: { id: 2 }, body: { note: 'Credit note agreed for 2 short tins' } }, res
+        );
+        expect(res.body.success).toBe(true);
+        expect(pool.calls.find(c => /^UPDATE vendor_bills SET three_way_overridden_by = \?/.test(c.sql)).params)
+            .toEqual([2, 'Credit note agreed for 2 short tins', '8']);
+        expect(audit.record).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ action: 'vendor.bill.three_way_override' }));
+
+        const matched = makePool({ bill: BILL, poItems: RECEIVED, billItems: [{ ...BILLED[0], quantity: '8.00' }, BILLED[1]] });
+        vendors.setPool(matched);
+        const res2 = mockRes();
+        await lastHandler(findRoute('post', '/bills/:id/override-three-way'))({ params: { id: '8' }, user: { id: 2 }, body: { note: 'n/a' } }, res2);
+        expect(res2.body.message).toMatch(/Nothing to accept/);
+        expect(matched.calls.some(c => /three_way_overridden_by = \?/.test(c.sql))).toBe(false);
+    });
+});